@@ -48,7 +48,16 @@ const PacketType = {
     APP_STATUS_UPDATE: 34,
     GAME_POINT_RANGE_UPDATE: 35,
     GAME_SUBMISSION_APPROVAL_CHANGE: 36,
-    GAME_SUBMISSION_CHANGE: 37
+    GAME_SUBMISSION_CHANGE: 37,
+    GAME_AREA_UPDATE: 38,
+    GAME_AREA_ALERT: 39,
+    BROADCAST_RECEIPT: 40,
+    CHAT_MESSAGE_SEND: 41,
+    CHAT_MESSAGE: 42,
+    CHAT_TYPING: 43,
+    CHAT_READ: 44,
+    CHAT_HISTORY_REQUEST: 45,
+    CHAT_HISTORY: 46
 };
 
 /**
@@ -83,6 +92,12 @@ const Config = {
          * Time in milliseconds for the location watcher fallback to kick in.
          */
         fallbackTime: 10 * 1000
+    },
+    offline: {
+        /**
+         * Minimum time in milliseconds between two locations queued while being offline.
+         */
+        locationInterval: 10 * 1000
     }
 };
 
@@ -213,6 +228,9 @@ var Maris = {
             // Start native droid
             this.startNativeDroid();
 
+            // Start offline support
+            this.offline.start();
+
             // Connect to the real time server
             this.realtime.connect();
 
@@ -301,8 +319,8 @@ var Maris = {
 
             // TODO: Make sure geo location is supported
 
-            // Determine whether to send locations to the server
-            const sendLocationUpdates = playing && Maris.state.activeGameRoles.participant;
+            // Determine whether to send locations to the server, keep watching while offline to queue the locations
+            const sendLocationUpdates = Maris.state.activeGameStage == 1 && Maris.state.activeGameRoles.participant;
 
             // Start the GEO location watcher if it needs to be started
             if(sendLocationUpdates && Maris.state.geoWatcher == null) {
@@ -388,7 +406,10 @@ var Maris = {
         connect: function() {
             // Create a socket instance
             this._socket = io.connect({
-                path: '/realtime'
+                path: '/realtime',
+
+                // Prefer web sockets, polling requires sticky sessions when the server runs multiple workers
+                transports: ['websocket', 'polling']
             });
 
             // Register the event handlers
@@ -431,8 +452,8 @@ var Maris = {
                     if((Date.now() - Maris.state.lastConnected) > 10 * 1000)
                         Maris.utils.flushPages(undefined, false);
 
-                    // Show a refresh notification after two minutes
-                    if((Date.now() - Maris.state.lastConnected) > 2 * 60 * 1000)
+                    // Show a refresh notification after two minutes, unless queued data is replayed to catch up
+                    if((Date.now() - Maris.state.lastConnected) > 2 * 60 * 1000 && !Maris.offline.isSupported())
                         showDisconnectedTooLongDialog();
                 }
 
@@ -515,7 +536,7 @@ var Maris = {
                 // Create a timer, to show the disconnected for too long if still disconnected after 3 minutes
                 setTimeout(function() {
                     // Make sure we're disconnected, then show the dialog
-                    if(!Maris.realtime._connected)
+                    if(!Maris.realtime._connected && !Maris.offline.isSupported())
                         showDisconnectedTooLongDialog();
                 }, 3 * 60 * 1000);
 
@@ -695,6 +716,364 @@ var Maris = {
         }
     },
 
+    /**
+     * Offline section.
+     * Submissions and locations are queued while the client is offline, and are replayed in order when it reconnects.
+     */
+    offline: {
+        /**
+         * Defines whether the queue is being replayed.
+         * @type {boolean}
+         */
+        _replaying: false,
+
+        /**
+         * Defines whether something was queued while replaying, to replay again when done.
+         * @type {boolean}
+         */
+        _queuedWhileReplaying: false,
+
+        /**
+         * Time the last location was queued at.
+         * @type {Number}
+         */
+        _lastQueuedLocation: 0,
+
+        /**
+         * Start offline support, and register the service worker.
+         */
+        start: function() {
+            // Make sure service workers are supported
+            if(!('serviceWorker' in navigator))
+                return;
+
+            // Register the service worker
+            navigator.serviceWorker.register('/sw.js').then(function() {
+                console.log('Registered service worker');
+            }, function(err) {
+                console.error('Failed to register service worker');
+                console.error(err);
+            });
+        },
+
+        /**
+         * Check whether queueing while being offline is supported.
+         *
+         * @return {boolean} True if supported, false if not.
+         */
+        isSupported: function() {
+            return typeof OfflineQueue !== 'undefined' && OfflineQueue.isSupported();
+        },
+
+        /**
+         * Check whether we're online, and connected to the real time server.
+         *
+         * @return {boolean} True if online, false if not.
+         */
+        isOnline: function() {
+            return Maris.realtime._connected && navigator.onLine !== false;
+        },
+
+        /**
+         * Queue a location update, to send it when the client reconnects.
+         * Locations are queued at most once every configured interval.
+         *
+         * @param {string} game Game ID.
+         * @param {Object} location Location object.
+         */
+        queueLocation: function(game, location) {
+            // Make sure queueing is supported, that we know the user, and that the interval has passed
+            const now = Date.now();
+            if(!this.isSupported() || Maris.state.user == null || now - this._lastQueuedLocation < Config.offline.locationInterval)
+                return;
+            this._lastQueuedLocation = now;
+
+            // Queue the location, for the current user
+            this._add({
+                type: OfflineQueue.TYPE_LOCATION,
+                user: Maris.state.user,
+                game: game,
+                location: location,
+                time: now
+            });
+        },
+
+        /**
+         * Handle the submission of a form.
+         * Answer forms get a token so the server ignores answers that are submitted twice. While being offline the
+         * answer is queued instead of submitted, the server checks whether the user was in range using the locations
+         * queued around the same time.
+         *
+         * @param {HTMLFormElement} form Form element.
+         * @param {Event} event Submit event.
+         *
+         * @return {boolean} True if the answer was queued, and the form must not be submitted.
+         */
+        handleSubmit: function(form, event) {
+            // Only handle answer forms
+            if($(form).data('offline-queue') !== true)
+                return false;
+
+            // Set the token
+            this._setFormField(form, 'field-submission-token', this._getFormField(form, 'field-submission-token') || OfflineQueue.createToken());
+
+            // Submit the form if we're online, or if queueing isn't supported
+            if(this.isOnline() || !this.isSupported())
+                return false;
+
+            // Prevent other handlers from submitting the form
+            event.stopImmediatePropagation();
+
+            // Serialize the form, and set the time the answer was made at
+            const time = Date.now();
+            const fields = OfflineQueue.serializeFormData(new FormData(form));
+            OfflineQueue.setField(fields, 'field-submission-time', String(time));
+
+            // Queue the answer, for the user the form was shown to
+            this._add({
+                type: OfflineQueue.TYPE_SUBMISSION,
+                user: this._getFormField(form, 'field-submission-user') || Maris.state.user,
+                url: $(form).attr('action').split('#')[0],
+                fields: fields,
+                time: time
+            }, function(err) {
+                // Show an error if queueing failed
+                if(err !== null) {
+                    showNotification('Uw antwoord kon niet worden opgeslagen, probeer het opnieuw zodra u verbinding heeft');
+                    return;
+                }
+
+                // Tell the user the answer is queued
+                showNotification('Geen verbinding, uw antwoord wordt ingezonden zodra u weer verbinding heeft', {
+                    vibrate: true,
+                    ttl: 1000 * 10
+                });
+
+                // Go back to the game page
+                if(Maris.utils.isGamePage())
+                    Maris.utils.navigateToPage('/game/' + Maris.utils.getGameId(), false);
+            });
+            return true;
+        },
+
+        /**
+         * Replay everything the current user queued while being offline, in the order it was queued in.
+         * Replaying stops when the connection drops again, the remaining items are replayed when reconnecting.
+         * Items queued by another user are kept until that user logs in again on this device, items without a user
+         * are dropped.
+         */
+        replay: function() {
+            // Store this instance
+            const self = this;
+
+            // Make sure queueing is supported, and that we aren't replaying already
+            if(!this.isSupported() || this._replaying)
+                return;
+            this._replaying = true;
+            this._queuedWhileReplaying = false;
+
+            // Create a function to call when done
+            const done = function() {
+                self._replaying = false;
+                if(self._queuedWhileReplaying && self.isOnline())
+                    self.replay();
+            };
+
+            // Get the queued items
+            OfflineQueue.getAll(function(err, items) {
+                // Handle errors
+                if(err !== null) {
+                    console.error('Failed to load offline queue');
+                    console.error(err);
+                    done();
+                    return;
+                }
+
+                // Show a status message
+                if(items.length > 0)
+                    console.log('Replaying ' + items.length + ' item(s) queued while being offline...');
+
+                // Replay the items one by one
+                const replayNext = function(i) {
+                    // Stop when all items are replayed, or when we went offline
+                    if(i >= items.length || !self.isOnline()) {
+                        done();
+                        return;
+                    }
+
+                    // Drop items without a user, we don't know who made them
+                    if(items[i].user == null) {
+                        console.log('Dropping item queued while being offline, it doesn\'t have a user');
+                        OfflineQueue.remove(items[i].id, function() {
+                            replayNext(i + 1);
+                        });
+                        return;
+                    }
+
+                    // Keep items of other users, until they log in again
+                    if(items[i].user !== Maris.state.user) {
+                        replayNext(i + 1);
+                        return;
+                    }
+
+                    // Replay the item, and remove it from the queue
+                    self._replayItem(items[i], function(err) {
+                        // Stop on errors, the item is replayed again later
+                        if(err !== null) {
+                            console.error(err);
+                            done();
+                            return;
+                        }
+
+                        // Remove the item, and replay the next
+                        OfflineQueue.remove(items[i].id, function() {
+                            replayNext(i + 1);
+                        });
+                    });
+                };
+                replayNext(0);
+            });
+        },
+
+        /**
+         * Replay a queued item.
+         *
+         * @param {Object} item Queued item.
+         * @param {function} callback Called on success, or with an error if the item must be replayed again later.
+         * @private
+         */
+        _replayItem: function(item, callback) {
+            // Replay locations through the real time server
+            if(item.type === OfflineQueue.TYPE_LOCATION) {
+                Maris.realtime.packetProcessor.sendPacket(PacketType.LOCATION_UPDATE, {
+                    game: item.game,
+                    user: item.user,
+                    location: item.location,
+                    time: item.time
+                });
+                callback(null);
+                return;
+            }
+
+            // Skip unknown items
+            if(item.type !== OfflineQueue.TYPE_SUBMISSION) {
+                callback(null);
+                return;
+            }
+
+            // Post the answer
+            $.ajax({
+                url: item.url,
+                type: 'POST',
+                data: OfflineQueue.createFormData(item.fields),
+                processData: false,
+                contentType: false,
+                success: function(data, status, xhr) {
+                    // Get the ID of the stored submission, the server doesn't send it if the answer was refused
+                    const submissionId = xhr.getResponseHeader('X-Submission');
+                    const gameId = item.url.split('/')[2];
+
+                    // Tell the user whether the answer was submitted
+                    if(submissionId !== null)
+                        showNotification('Uw offline antwoord is ingezonden', {
+                            vibrate: true,
+                            action: {
+                                text: 'Bekijken',
+                                action: function() {
+                                    Maris.utils.navigateToPage('/game/' + gameId + '/submission/' + submissionId, false);
+                                    return false;
+                                }
+                            }
+                        });
+                    else
+                        showNotification('Uw offline antwoord kon niet worden ingezonden', {
+                            vibrate: true,
+                            action: {
+                                text: 'Opnieuw',
+                                action: function() {
+                                    Maris.utils.navigateToPage(item.url, true);
+                                    return false;
+                                }
+                            },
+                            ttl: 1000 * 60
+                        });
+
+                    // Flush the game pages, they show the submission state
+                    Maris.utils.flushPages(new RegExp('^\\/game\\/' + gameId), false);
+                    callback(null);
+                },
+                error: function(xhr) {
+                    // Replay the answer later if the server couldn't be reached
+                    if(xhr.status === 0 || xhr.status >= 500) {
+                        callback(new Error('Failed to replay offline answer, trying again later'));
+                        return;
+                    }
+
+                    // The answer was refused
+                    showNotification('Uw offline antwoord kon niet worden ingezonden');
+                    callback(null);
+                }
+            });
+        },
+
+        /**
+         * Add an item to the queue.
+         *
+         * @param {Object} item Item to queue.
+         * @param {function} [callback] Called on success, or when an error occurred.
+         * @private
+         */
+        _add: function(item, callback) {
+            // Replay again after the current replay, if we're replaying
+            if(this._replaying)
+                this._queuedWhileReplaying = true;
+
+            // Add the item
+            OfflineQueue.add(item, function(err) {
+                // Show errors in the console
+                if(err !== null) {
+                    console.error('Failed to queue data while being offline');
+                    console.error(err);
+                }
+
+                // Call back
+                if(callback !== undefined)
+                    callback(err);
+            });
+        },
+
+        /**
+         * Get the value of a hidden form field.
+         *
+         * @param {HTMLFormElement} form Form element.
+         * @param {string} name Field name.
+         *
+         * @return {string|undefined} Field value, or undefined if the field doesn't exist.
+         * @private
+         */
+        _getFormField: function(form, name) {
+            return $(form).find('input[name="' + name + '"]').val();
+        },
+
+        /**
+         * Set the value of a hidden form field, the field is created if it doesn't exist.
+         *
+         * @param {HTMLFormElement} form Form element.
+         * @param {string} name Field name.
+         * @param {*} value Field value.
+         * @private
+         */
+        _setFormField: function(form, name, value) {
+            // Create the field if it doesn't exist
+            var field = $(form).find('input[name="' + name + '"]');
+            if(field.length === 0)
+                field = $('<input type="hidden">').attr('name', name).appendTo(form);
+
+            // Set the value
+            field.val(value);
+        }
+    },
+
     /**
      * Utility functions.
      */
@@ -1021,6 +1400,15 @@ Maris.realtime.packetProcessor.registerHandler(PacketType.AUTH_RESPONSE, functio
 
         // Update the active game page
         updateActiveGame();
+
+        // Replay what was queued while being offline
+        if(Maris.state.loggedIn)
+            Maris.offline.replay();
+
+        // Catch up with the chat messages sent while being disconnected
+        var chatThread = getChatThread();
+        if(chatThread !== null && Maris.state.loggedIn)
+            syncChatThread(chatThread);
     }
 
     // Request new game data
@@ -1290,6 +1678,11 @@ Maris.realtime.packetProcessor.registerHandler(PacketType.BROADCAST_MESSAGE, fun
     if(!alreadyQueued)
         broadcastQueue.push(packet);
 
+    // Let the server know the broadcast has been delivered
+    Maris.realtime.packetProcessor.sendPacket(PacketType.BROADCAST_RECEIPT, {
+        token: packet.token
+    });
+
     // Show the next queued broadcast if no dialog is shown
     if(!isDialogVisible())
         showNextBroadcast();
@@ -1941,6 +2334,7 @@ $(document).bind("pageinit", function() {
     };
     const popupParticipantSelector = 'select[name=field-participant]';
     const popupSpectatorSelector = 'select[name=field-spectator]';
+    const popupTeamSelector = 'select[name=field-team]';
     const userListSelector = '.user-list';
 
     // Handle button click events
@@ -2005,6 +2399,11 @@ $(document).bind("pageinit", function() {
                 }
             };
 
+            // Set the team if it's changed, an empty value keeps the current team
+            const teamField = popup.find(popupTeamSelector);
+            if(teamField.length > 0 && teamField.val() !== '')
+                updateObject.role.team = teamField.val() === 'none' ? null : teamField.val();
+
             // Disable all checkboxes for the selected users
             checkboxes.each(function() {
                 $(this).parent().addClass('ui-disabled');
@@ -2235,6 +2634,79 @@ $(document).bind("pagecreate", function() {
     });
 });
 
+// Assignment answer type selection
+$(document).bind("pagecreate", function() {
+    // Find the answer type select box
+    const answerTypeSelect = $('#field-assignment-answer-type');
+
+    // Only show the configuration fields that are used by the selected answer type
+    const updateAnswerConfig = function() {
+        // Get the selected answer type
+        const answerType = answerTypeSelect.val();
+
+        // Show or hide each configuration section
+        $('.assignment-answer-config').each(function() {
+            const types = $(this).data('answer-types').toString().split(' ');
+            $(this).toggle(types.indexOf(answerType) >= 0);
+        });
+    };
+
+    // Update the fields when the answer type changes, and update them once now
+    answerTypeSelect.unbind('change');
+    answerTypeSelect.change(updateAnswerConfig);
+    if(answerTypeSelect.length > 0)
+        updateAnswerConfig();
+});
+
+/**
+ * A variable that stores the handle of the game countdown update timer when active.
+ * @type {int|null}
+ */
+var gameCountdownHandle = null;
+
+/**
+ * Update all game countdowns on the active page, to show the remaining time.
+ */
+function updateGameCountdowns() {
+    getActivePage().find('.game-countdown').each(function() {
+        // Determine the remaining time in seconds
+        const remaining = Math.floor((new Date($(this).data('countdown-date')).getTime() - Date.now()) / 1000);
+
+        // Show now if the time has passed, the server changes the game stage shortly after
+        if(remaining <= 0) {
+            $(this).text('Nu');
+            return;
+        }
+
+        // Split the remaining time into days, hours, minutes and seconds
+        const days = Math.floor(remaining / 86400);
+        const hours = Math.floor(remaining / 3600) % 24;
+        const minutes = Math.floor(remaining / 60) % 60;
+        const seconds = remaining % 60;
+        const pad = (value) => (value < 10 ? '0' : '') + value;
+
+        // Show the remaining time
+        $(this).text((days > 0 ? days + 'd ' : '') + (days > 0 || hours > 0 ? hours + 'u ' : '') + pad(minutes) + 'm ' + pad(seconds) + 's');
+    });
+}
+
+// Game schedule countdown
+$(document).bind('pageshow', function() {
+    // Stop the countdown timer if there's no countdown on this page
+    if(getActivePage().find('.game-countdown').length === 0) {
+        if(gameCountdownHandle !== null) {
+            clearInterval(gameCountdownHandle);
+            gameCountdownHandle = null;
+        }
+        return;
+    }
+
+    // Update the countdowns, and start the countdown timer
+    updateGameCountdowns();
+    if(gameCountdownHandle === null)
+        gameCountdownHandle = setInterval(updateGameCountdowns, 1000);
+});
+
 // Broadcast button
 $(document).bind("pagecreate", function() {
     // Find the broadcast button
@@ -2617,17 +3089,23 @@ function processLocationSuccess(position, notification, alsoUpdateLocal) {
 
     // Update the location if a game is active and we have the proper roles
     if(Maris.state.activeGame !== null && Maris.state.activeGameStage == 1 && Maris.state.activeGameRoles.participant) {
-        // Send a location update to the server if we've an active game
-        Maris.realtime.packetProcessor.sendPacket(PacketType.LOCATION_UPDATE, {
-            game: Maris.state.activeGame,
-            location: {
-                latitude: position.coords.latitude,
-                longitude: position.coords.longitude,
-                altitude: position.coords.altitude,
-                accuracy: position.coords.accuracy,
-                altitudeAccuracy: position.coords.altitudeAccuracy,
-            }
-        });
+        // Build the location object
+        const location = {
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+            altitude: position.coords.altitude,
+            accuracy: position.coords.accuracy,
+            altitudeAccuracy: position.coords.altitudeAccuracy,
+        };
+
+        // Send a location update to the server if we've an active game, queue it while being offline
+        if(Maris.offline.isOnline())
+            Maris.realtime.packetProcessor.sendPacket(PacketType.LOCATION_UPDATE, {
+                game: Maris.state.activeGame,
+                location: location
+            });
+        else
+            Maris.offline.queueLocation(Maris.state.activeGame, location);
     }
 
     // Update the player position
@@ -3897,6 +4375,33 @@ function updateGameDataVisuals() {
     // Get the active page
     const activePage = getActivePage();
 
+    if(data.hasOwnProperty('teamStandings')) {
+        const teamCard = activePage.find('.card-team-standings');
+        const teamList = activePage.find('.current-team-standings');
+
+        // Only show the team standings if the game has any teams
+        if(data.teamStandings.length > 0) {
+            // Build the HTML
+            var teamTableHtml = '';
+
+            data.teamStandings.forEach(function(entry) {
+                teamTableHtml += '<tr>' +
+                    '<td><span style="color: ' + entry.color + ';">&#9679;</span> ' +
+                    '<span style="color: ' + (entry.me ? 'green' : 'red') + ';">' + $('<span>').text(entry.name).html() + '</span></td>' +
+                    '<td>' + entry.score + ' <span style="color: gray">punt' + (entry.score != 1 ? 'en' : '') + '</span></td>' +
+                    '</tr>'
+            });
+
+            teamList.html(teamTableHtml);
+            teamCard.show();
+
+            // Trigger a create on the list
+            teamList.trigger('create');
+
+        } else
+            teamCard.hide();
+    }
+
     if(data.hasOwnProperty('standings')) {
         const list = activePage.find('.current-standings');
 
@@ -3910,7 +4415,7 @@ function updateGameDataVisuals() {
 
         data.standings.forEach(function(entry) {
             tableHtml += '<tr>' +
-                '<td><span style="color: ' + (entry.me ? 'green' : 'red') + ';">' + entry.name + '</span></td>' +
+                '<td><span style="color: ' + (entry.me ? 'green' : 'red') + ';">' + $('<span>').text(entry.name).html() + '</span></td>' +
                 '<td>' + entry.score + ' <span style="color: gray">punt' + (entry.score != 1 ? 'en' : '') + '</span></td>' +
                 '</tr>'
         });
@@ -4663,6 +5168,22 @@ function initPointSelectMap() {
 	// Determine whether this is editable
 	var editable = latField.length > 0 && lngField.length > 0;
 
+	// Get the range field, and the default range of the point
+	var rangeField = pageElement.find('#field-point-range');
+	var defaultRange = parseFloat(mapContainer.data('range'));
+	if(isNaN(defaultRange) || defaultRange <= 0)
+		defaultRange = 15;
+
+	// Determine the range to show, use the range field value if it's valid
+	function getRange() {
+		if(rangeField.length > 0) {
+			var range = parseFloat(rangeField.val());
+			if(!isNaN(range) && range > 0)
+				return range;
+		}
+		return defaultRange;
+	}
+
     // Pick a default location
     var latlng = [52.06387, 4.248329];
 
@@ -4738,8 +5259,7 @@ function initPointSelectMap() {
 				pointSelectMarker = new L.marker(latlng, {draggable: editable ? true : false});
 
 				// Create a player range circle
-				// TODO: Fetch the range value from the game configuration
-				pointSelectCircle = L.circle(latlng, 15, {draggable: editable ? true : false});
+				pointSelectCircle = L.circle(latlng, getRange(), {draggable: editable ? true : false});
 				pointSelectCircle.setStyle({
 					opacity: 0.4
 				});
@@ -4794,6 +5314,13 @@ function initPointSelectMap() {
 			latField.bind('input', parseInput);
 			lngField.bind('input', parseInput);
 		}
+
+		// Update the range circle when the range is changed
+		if(rangeField.length > 0)
+			rangeField.bind('input', function() {
+				if(pointSelectCircle !== null)
+					pointSelectCircle.setRadius(getRange());
+			});
     }
 }
 
@@ -4801,6 +5328,943 @@ $(document).bind('pageshow', function() {
     initPointSelectMap();
 });
 
+/**
+ * Game area map instance.
+ * @type {*}
+ */
+var gameAreaMap = null;
+
+/**
+ * Initialize the map for drawing the play area of a game.
+ * This function early-returns if there isn't any play area map container
+ * on the current page.
+ */
+function initGameAreaMap() {
+    // Get the page element
+    var pageElement = getActivePage();
+
+    // Get the map container and area field
+    var mapContainer = pageElement.find('#game-area-map-container');
+    var areaField = pageElement.find('#field-game-area');
+
+    // Remove the existing map on an old page
+    if(gameAreaMap !== null) {
+        console.log('Destroying play area map');
+        gameAreaMap.remove();
+        gameAreaMap = null;
+    }
+
+    // Return early if there's no map container on this page
+    if(mapContainer.length <= 0)
+        return;
+
+    // Parse the current area
+    var corners = [];
+    try {
+        var area = mapContainer.data('area');
+        if(Array.isArray(area))
+            corners = area.map(function(corner) {
+                return L.latLng(corner.latitude, corner.longitude);
+            });
+    } catch(e) {
+        console.error('Failed to parse the play area');
+    }
+
+    // Build the map options
+    var mapOptions = {};
+
+    // Add animation options when animations are disabled
+    if(!Maris.state.animate) {
+        mapOptions.fadeAnimation = false;
+        mapOptions.zoomAnimation = false;
+        mapOptions.makerZoomAnimation = false;
+        mapOptions.inertia = false;
+    }
+
+    // Create the map
+    console.log('Initializing the play area map.');
+    gameAreaMap = L.map('game-area-map-container', mapOptions).setView([52.06387, 4.248329], 14);
+
+    // Set up the tile layers
+    L.tileLayer('https://api.mapbox.com/styles/v1/timvisee/cirawmn8f001ch4m27llnb45d/tiles/256/{z}/{x}/{y}?access_token=pk.eyJ1IjoidGltdmlzZWUiLCJhIjoiY2lyZXY5cDhzMDAxM2lsbTNicGViaTZkYyJ9.RqbUkoWLWeh_WZoyoxxt-Q', {
+        attribution: 'Hosted by <a href="https://timvisee.com/" target="_blank">timvisee.com</a>'
+    }).addTo(gameAreaMap);
+
+    // Create the polygon, and a layer for the corner markers
+    var polygon = L.polygon(corners).addTo(gameAreaMap);
+    var cornerLayer = L.layerGroup().addTo(gameAreaMap);
+
+    // Update the polygon, corner markers and field to the current corners
+    function updateArea() {
+        // Update the polygon
+        polygon.setLatLngs(corners);
+
+        // Recreate the corner markers, clicking a corner removes it
+        cornerLayer.clearLayers();
+        corners.forEach(function(corner, i) {
+            L.circleMarker(corner, {radius: 6}).on('click', function(event) {
+                L.DomEvent.stopPropagation(event);
+                corners.splice(i, 1);
+                updateArea();
+            }).addTo(cornerLayer);
+        });
+
+        // Update the field value
+        areaField.val(corners.length > 0 ? JSON.stringify(corners.map(function(corner) {
+            return {
+                latitude: corner.lat,
+                longitude: corner.lng
+            };
+        })) : '');
+    }
+
+    // Add a corner when the map is clicked
+    gameAreaMap.on('click', function(event) {
+        corners.push(event.latlng);
+        updateArea();
+    });
+
+    // Clear the area when the clear button is clicked
+    pageElement.find('.action-game-area-clear').click(function(event) {
+        event.preventDefault();
+        corners = [];
+        updateArea();
+    });
+
+    // Show the current area
+    updateArea();
+    if(corners.length > 0)
+        gameAreaMap.fitBounds(polygon.getBounds());
+
+    // Invalidate the map size, because the container size might be changed
+    gameAreaMap.invalidateSize();
+}
+
+$(document).bind('pageshow', function() {
+    initGameAreaMap();
+});
+
+/**
+ * Location history map instance.
+ * @type {*}
+ */
+var historyMap = null;
+
+/**
+ * Colors used for the trails on the location history map, one for each player.
+ * @type {string[]}
+ */
+const HISTORY_TRAIL_COLORS = ['#e53935', '#1e88e5', '#43a047', '#fb8c00', '#8e24aa', '#00acc1', '#6d4c41', '#fdd835'];
+
+/**
+ * Initialize the map for replaying the location history of a game.
+ * This function early-returns if there isn't any location history map container
+ * on the current page.
+ */
+function initHistoryMap() {
+    // Get the page element
+    var pageElement = getActivePage();
+
+    // Get the map container, time slider and label
+    var mapContainer = pageElement.find('#history-map-container');
+    var timeSlider = pageElement.find('#history-time');
+    var timeLabel = pageElement.find('#history-time-label');
+
+    // Remove the existing map on an old page
+    if(historyMap !== null) {
+        console.log('Destroying location history map');
+        historyMap.remove();
+        historyMap = null;
+    }
+
+    // Return early if there's no map container on this page
+    if(mapContainer.length <= 0)
+        return;
+
+    // Build the map options
+    var mapOptions = {};
+
+    // Add animation options when animations are disabled
+    if(!Maris.state.animate) {
+        mapOptions.fadeAnimation = false;
+        mapOptions.zoomAnimation = false;
+        mapOptions.makerZoomAnimation = false;
+        mapOptions.inertia = false;
+    }
+
+    // Create the map
+    console.log('Initializing the location history map.');
+    historyMap = L.map('history-map-container', mapOptions).setView([52.06387, 4.248329], 14);
+    const map = historyMap;
+
+    // Set up the tile layers
+    L.tileLayer('https://api.mapbox.com/styles/v1/timvisee/cirawmn8f001ch4m27llnb45d/tiles/256/{z}/{x}/{y}?access_token=pk.eyJ1IjoidGltdmlzZWUiLCJhIjoiY2lyZXY5cDhzMDAxM2lsbTNicGViaTZkYyJ9.RqbUkoWLWeh_WZoyoxxt-Q', {
+        attribution: 'Hosted by <a href="https://timvisee.com/" target="_blank">timvisee.com</a>'
+    }).addTo(map);
+
+    // Invalidate the map size, because the container size might be changed
+    map.invalidateSize();
+
+    // Fetch the location history
+    $.ajax({
+        type: 'GET',
+        url: '/api/v1/games/' + mapContainer.data('game') + '/locations',
+        dataType: 'json',
+        success: function(data) {
+            // Make sure the map is still shown
+            if(historyMap !== map)
+                return;
+
+            // Show a message if there's no history
+            if(data.trails.length === 0) {
+                timeLabel.html('<i>Er is nog geen locatiegeschiedenis vastgelegd...</i>');
+                return;
+            }
+
+            // Create a line and marker for each trail, and determine the time frame
+            var start = null;
+            var end = null;
+            var bounds = L.latLngBounds([]);
+            var trails = data.trails.map(function(trail, i) {
+                // Parse the locations
+                var locations = trail.locations.map(function(location) {
+                    var latlng = L.latLng(location.latitude, location.longitude);
+                    var time = new Date(location.date).getTime();
+                    bounds.extend(latlng);
+                    if(start === null || time < start)
+                        start = time;
+                    if(end === null || time > end)
+                        end = time;
+                    return {latlng: latlng, time: time};
+                });
+
+                // Create the line and marker
+                var color = HISTORY_TRAIL_COLORS[i % HISTORY_TRAIL_COLORS.length];
+                return {
+                    locations: locations,
+                    line: L.polyline([], {color: color}).addTo(map),
+                    marker: L.circleMarker(locations[0].latlng, {radius: 7, color: color, fillOpacity: 0.8})
+                        .bindPopup($('<span>').text(trail.name).html())
+                };
+            });
+
+            // Show the trails up to the given time
+            function showTime(time) {
+                // Update each trail
+                trails.forEach(function(trail) {
+                    var visible = trail.locations.filter(function(location) {
+                        return location.time <= time;
+                    });
+                    trail.line.setLatLngs(visible.map(function(location) {
+                        return location.latlng;
+                    }));
+
+                    // Show the marker at the last visible location
+                    if(visible.length > 0) {
+                        trail.marker.setLatLng(visible[visible.length - 1].latlng);
+                        if(!map.hasLayer(trail.marker))
+                            trail.marker.addTo(map);
+                    } else if(map.hasLayer(trail.marker))
+                        map.removeLayer(trail.marker);
+                });
+
+                // Update the time label
+                timeLabel.html(new Date(time).toLocaleString());
+            }
+
+            // Configure the slider in seconds since the start, and replay when it's moved
+            timeSlider.attr('max', Math.ceil((end - start) / 1000)).val(Math.ceil((end - start) / 1000));
+            timeSlider.slider('refresh');
+            timeSlider.on('change', function() {
+                showTime(start + parseInt(timeSlider.val(), 10) * 1000);
+            });
+
+            // Show the complete trails
+            map.fitBounds(bounds);
+            showTime(end);
+        },
+        error: function() {
+            timeLabel.html('<i>De locatiegeschiedenis kon niet geladen worden.</i>');
+        }
+    });
+}
+
+$(document).bind('pageshow', function() {
+    initHistoryMap();
+});
+
+/**
+ * Manager dashboard map instance.
+ * @type {*}
+ */
+var dashboardMap = null;
+
+/**
+ * Handle of the manager dashboard refresh timer, or null if not active.
+ * @type {Number|null}
+ */
+var dashboardRefreshHandle = null;
+
+/**
+ * Markers of the players on the manager dashboard map, by user ID.
+ * @type {Object}
+ */
+var dashboardMarkers = {};
+
+/**
+ * Colors used for the player markers on the manager dashboard, for each activity state.
+ * @type {Object}
+ */
+const DASHBOARD_STATE_COLORS = {
+    active: '#43a047',
+    idle: '#fb8c00',
+    offline: '#9e9e9e'
+};
+
+/**
+ * Labels used for the activity states of players on the manager dashboard.
+ * @type {Object}
+ */
+const DASHBOARD_STATE_LABELS = {
+    active: 'Actief',
+    idle: 'Inactief',
+    offline: 'Offline'
+};
+
+/**
+ * Initialize the manager dashboard.
+ * This function early-returns if there isn't any dashboard map container on the current page.
+ */
+function initDashboard() {
+    // Get the page element and map container
+    var pageElement = getActivePage();
+    var mapContainer = pageElement.find('#dashboard-map-container');
+
+    // Stop the refresh timer of an old page
+    if(dashboardRefreshHandle !== null) {
+        console.log('Stopping dashboard refresh timer...');
+        clearInterval(dashboardRefreshHandle);
+        dashboardRefreshHandle = null;
+    }
+
+    // Remove the existing map on an old page
+    if(dashboardMap !== null) {
+        console.log('Destroying dashboard map');
+        dashboardMap.remove();
+        dashboardMap = null;
+        dashboardMarkers = {};
+    }
+
+    // Return early if there's no map container on this page
+    if(mapContainer.length <= 0)
+        return;
+
+    // Build the map options
+    var mapOptions = {};
+
+    // Add animation options when animations are disabled
+    if(!Maris.state.animate) {
+        mapOptions.fadeAnimation = false;
+        mapOptions.zoomAnimation = false;
+        mapOptions.makerZoomAnimation = false;
+        mapOptions.inertia = false;
+    }
+
+    // Create the map
+    console.log('Initializing the dashboard map.');
+    dashboardMap = L.map('dashboard-map-container', mapOptions).setView([52.06387, 4.248329], 14);
+
+    // Set up the tile layers
+    L.tileLayer('https://api.mapbox.com/styles/v1/timvisee/cirawmn8f001ch4m27llnb45d/tiles/256/{z}/{x}/{y}?access_token=pk.eyJ1IjoidGltdmlzZWUiLCJhIjoiY2lyZXY5cDhzMDAxM2lsbTNicGViaTZkYyJ9.RqbUkoWLWeh_WZoyoxxt-Q', {
+        attribution: 'Hosted by <a href="https://timvisee.com/" target="_blank">timvisee.com</a>'
+    }).addTo(dashboardMap);
+
+    // Invalidate the map size, because the container size might be changed
+    dashboardMap.invalidateSize();
+
+    // Load the dashboard, fit the map to the players the first time
+    refreshDashboard(true);
+
+    // Refresh the dashboard periodically, to keep the locations and activity states up to date
+    console.log('Starting dashboard refresh timer...');
+    dashboardRefreshHandle = setInterval(function() {
+        refreshDashboard(false);
+    }, parseInt(mapContainer.data('refresh-interval'), 10) || 15000);
+}
+
+/**
+ * Refresh the manager dashboard with the latest state from the server.
+ * This function early-returns if the dashboard isn't shown.
+ *
+ * @param {boolean} [fitBounds=false] True to fit the map to the locations of the players.
+ */
+function refreshDashboard(fitBounds) {
+    // Make sure the dashboard is shown
+    if(dashboardMap === null)
+        return;
+
+    // Get the page elements
+    var pageElement = getActivePage();
+    var mapContainer = pageElement.find('#dashboard-map-container');
+    var playerTable = pageElement.find('#dashboard-players > tbody');
+    var pendingList = pageElement.find('#dashboard-pending');
+    const map = dashboardMap;
+    const gameId = mapContainer.data('game');
+
+    // Fetch the dashboard state
+    $.ajax({
+        type: 'GET',
+        url: '/api/v1/games/' + gameId + '/dashboard',
+        dataType: 'json',
+        success: function(data) {
+            // Make sure the map is still shown
+            if(dashboardMap !== map)
+                return;
+
+            // Update the player markers, and remove the markers of players without a location
+            var bounds = L.latLngBounds([]);
+            var markers = {};
+            data.players.forEach(function(player) {
+                // Skip players without a location
+                if(player.location === null)
+                    return;
+
+                // Create or update the marker
+                var latlng = L.latLng(player.location.latitude, player.location.longitude);
+                var color = DASHBOARD_STATE_COLORS[player.state];
+                var marker = dashboardMarkers[player.user];
+                if(marker === undefined)
+                    marker = L.circleMarker(latlng, {radius: 8, fillOpacity: 0.8}).addTo(map);
+                else
+                    marker.setLatLng(latlng);
+                marker.setStyle({color: color});
+                marker.bindPopup($('<span>').text(player.name + ' (' + DASHBOARD_STATE_LABELS[player.state] + ')').html());
+                markers[player.user] = marker;
+                bounds.extend(latlng);
+            });
+            for(var user in dashboardMarkers)
+                if(dashboardMarkers.hasOwnProperty(user) && !markers.hasOwnProperty(user))
+                    map.removeLayer(dashboardMarkers[user]);
+            dashboardMarkers = markers;
+
+            // Fit the map to the players
+            if(fitBounds && bounds.isValid())
+                map.fitBounds(bounds, {maxZoom: 17});
+
+            // Update the player table
+            playerTable.empty();
+            data.players.forEach(function(player) {
+                playerTable.append($('<tr>').append(
+                    $('<td>').text(player.name),
+                    $('<td>').append($('<span>', {class: 'dashboard-state-' + player.state}).text(DASHBOARD_STATE_LABELS[player.state])),
+                    $('<td>').text(player.submissions.approved),
+                    $('<td>').text(player.submissions.pending),
+                    $('<td>').text(player.submissions.total)
+                ));
+            });
+            if(data.players.length === 0)
+                playerTable.html('<tr><td colspan="5"><i>Er doen nog geen spelers mee...</i></td></tr>');
+
+            // Update the list of submissions awaiting approval
+            var names = {};
+            data.players.forEach(function(player) {
+                names[player.user] = player.name;
+            });
+            pendingList.empty();
+            data.pending.forEach(function(submission) {
+                pendingList.append($('<li>').append($('<a>', {
+                    href: '/game/' + gameId + '/submission/' + submission.id,
+                    'data-transition': 'slide'
+                }).text(submission.assignment_name + (names.hasOwnProperty(submission.user) ? ' (' + names[submission.user] + ')' : ''))));
+            });
+            if(data.pending.length === 0)
+                pendingList.html('<li><i>Er zijn geen inzendingen om te beoordelen...</i></li>');
+            pendingList.listview('refresh');
+        },
+        error: function() {
+            playerTable.html('<tr><td colspan="5"><i>Het dashboard kon niet geladen worden.</i></td></tr>');
+        }
+    });
+}
+
+$(document).bind('pageshow', function() {
+    initDashboard();
+});
+
+/**
+ * Index of the active submission in the review queue.
+ * @type {Number}
+ */
+var reviewQueueIndex = 0;
+
+/**
+ * Initialize the submission review queue, with inline approval and keyboard navigation.
+ * This function early-returns if there isn't any review queue on the current page.
+ */
+function initReviewQueue() {
+    // Get the review queue
+    var queue = getActivePage().find('#review-queue');
+
+    // Unbind the keyboard navigation of an old page
+    $(document).unbind('keydown.review');
+
+    // Return early if there's no review queue on this page
+    if(queue.length <= 0)
+        return;
+
+    // Get the submissions in the queue
+    function getItems() {
+        return queue.find('.review-item');
+    }
+
+    // Activate the submission at the given index, and scroll it into view
+    function activate(index) {
+        var items = getItems();
+        if(items.length === 0)
+            return;
+        reviewQueueIndex = Math.max(0, Math.min(index, items.length - 1));
+        items.removeClass('review-item-active');
+        var item = items.eq(reviewQueueIndex).addClass('review-item-active');
+        $('html, body').stop().animate({scrollTop: item.offset().top - 80}, Maris.state.animate ? 200 : 0);
+    }
+
+    // Approve or reject the given submission, and remove it from the queue
+    function review(item, approveType) {
+        // Make sure the item isn't being reviewed already
+        if(item.hasClass('review-item-busy'))
+            return;
+        item.addClass('review-item-busy');
+
+        // Send the approval state to the server
+        $.ajax({
+            type: 'PATCH',
+            url: '/api/v1/games/' + queue.data('game') + '/submissions/' + item.data('submission'),
+            data: {
+                approve_state: approveType === 'accept' ? 1 : 2,
+                feedback: item.find('.review-feedback').val() || '',
+                attempt: item.data('attempt')
+            },
+            dataType: 'json',
+            success: function() {
+                // Remove the submission, and activate the next one
+                item.remove();
+                if(getItems().length === 0)
+                    queue.prepend('<p class="review-empty"><i>Er zijn geen inzendingen meer om te beoordelen...</i></p>');
+                else
+                    activate(reviewQueueIndex);
+            },
+            error: function(xhr) {
+                // The player may have submitted a new attempt since the queue was loaded
+                item.removeClass('review-item-busy');
+                showNotification(xhr.status === 409 ? 'De speler heeft een nieuwe poging ingezonden, herlaad de pagina.' : 'De inzending kon niet beoordeeld worden.', {
+                    toast: true,
+                    native: false,
+                    vibrate: true
+                });
+            }
+        });
+    }
+
+    // Review submissions inline when an approval button is clicked
+    queue.find('.review-action').click(function(event) {
+        event.preventDefault();
+        review($(this).closest('.review-item'), $(this).data('approve-type'));
+    });
+
+    // Activate a submission when it's clicked
+    queue.find('.review-item').click(function() {
+        activate(getItems().index(this));
+    });
+
+    // Navigate and review using the keyboard
+    $(document).bind('keydown.review', function(event) {
+        // Don't handle keys when typing in a field or using modifiers
+        if($(event.target).is('input, select, textarea') || event.ctrlKey || event.altKey || event.metaKey)
+            return;
+
+        // Get the active submission
+        var item = getItems().eq(reviewQueueIndex);
+
+        // Handle the key
+        switch(event.which) {
+            case 74: // J
+            case 40: // Down
+                activate(reviewQueueIndex + 1);
+                break;
+            case 75: // K
+            case 38: // Up
+                activate(reviewQueueIndex - 1);
+                break;
+            case 65: // A
+                review(item, 'accept');
+                break;
+            case 82: // R
+                review(item, 'reject');
+                break;
+            case 88: // X
+                var checkbox = item.find('input[type=checkbox]');
+                checkbox.prop('checked', !checkbox.prop('checked')).checkboxradio('refresh');
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    });
+
+    // Activate the first submission
+    reviewQueueIndex = 0;
+    getItems().first().addClass('review-item-active');
+}
+
+$(document).bind('pageshow', function() {
+    initReviewQueue();
+});
+
+/**
+ * Time in milliseconds after the last key press, a user is considered to have stopped typing in a chat.
+ * @type {Number}
+ */
+const CHAT_TYPING_TIMEOUT = 3000;
+
+/**
+ * Handle of the chat typing timer, or null if the user isn't typing.
+ * @type {Number|null}
+ */
+var chatTypingHandle = null;
+
+/**
+ * Handle of the timer to hide the typing state of the other side, or null if not active.
+ * @type {Number|null}
+ */
+var chatTypingHideHandle = null;
+
+/**
+ * Get the chat thread element on the active page.
+ *
+ * @param {string} [gameId] Only return the thread if it's for this game.
+ * @param {string} [userId] Only return the thread if it's with this player.
+ *
+ * @return {*|null} Thread element, or null if the active page doesn't show the given thread.
+ */
+function getChatThread(gameId, userId) {
+    // Find the thread on the active page
+    var thread = getActivePage().find('#chat-thread');
+    if(thread.length === 0)
+        return null;
+
+    // Make sure the game and player match
+    if(gameId !== undefined && thread.data('game') != gameId)
+        return null;
+    if(userId !== undefined && thread.data('user') != userId)
+        return null;
+
+    return thread;
+}
+
+/**
+ * Create the packet properties that identify the given chat thread.
+ * Managers specify the player they chat with, players always chat in their own thread.
+ *
+ * @param {*} thread Thread element.
+ *
+ * @return {Object} Packet properties.
+ */
+function getChatThreadPacket(thread) {
+    var packet = {
+        game: thread.data('game')
+    };
+    if(thread.data('manager') === true)
+        packet.user = thread.data('user');
+    return packet;
+}
+
+/**
+ * Add a message to the given chat thread, if it isn't shown yet.
+ *
+ * @param {*} thread Thread element.
+ * @param {Object} message Message, see the CHAT_MESSAGE packet.
+ */
+function addChatMessage(thread, message) {
+    // Skip messages that are shown already
+    var list = thread.find('#chat-messages');
+    if(list.find('[data-message="' + message.id + '"]').length > 0)
+        return;
+
+    // Determine whether the message is sent by our side of the thread
+    var own = message.fromManager === (thread.data('manager') === true);
+
+    // Format the date
+    var date = new Date(message.date);
+    var pad = function(value) {
+        return (value < 10 ? '0' : '') + value;
+    };
+    var dateLabel = date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + ' ' +
+        pad(date.getHours()) + ':' + pad(date.getMinutes());
+
+    // Build the message element
+    var item = $('<li>', {
+        class: 'chat-message' + (own ? ' chat-message-own' : ''),
+        'data-message': message.id,
+        'data-date': message.date
+    });
+    item.append($('<div>', {class: 'chat-message-sender'}).text(message.senderName));
+    item.append($('<div>', {class: 'chat-message-text'}).text(message.message));
+    if(message.submission !== null)
+        item.append($('<div>', {class: 'chat-message-date'}).append($('<a>', {
+            href: '/game/' + thread.data('game') + '/submission/' + message.submission
+        }).text('Inzending bekijken')));
+    var dateElement = $('<div>', {class: 'chat-message-date'}).append($('<span>').text(dateLabel));
+    if(own)
+        dateElement.append($('<span>', {class: 'chat-message-read'}).html(' &middot; Gelezen').toggle(message.read));
+    item.append(dateElement);
+
+    // Add the message, and scroll to it
+    list.append(item);
+    thread.find('#chat-empty').hide();
+    $('html, body').scrollTop($(document).height());
+}
+
+/**
+ * Request the chat messages that were sent since the last shown message, and mark the thread as read.
+ *
+ * @param {*} thread Thread element.
+ */
+function syncChatThread(thread) {
+    // Get the time of the last message
+    var since = thread.find('#chat-messages > li').last().data('date');
+
+    // Request the missing messages, and mark the thread as read
+    var packet = getChatThreadPacket(thread);
+    if(since !== undefined)
+        packet.since = since;
+    Maris.realtime.packetProcessor.sendPacket(PacketType.CHAT_HISTORY_REQUEST, packet);
+    Maris.realtime.packetProcessor.sendPacket(PacketType.CHAT_READ, getChatThreadPacket(thread));
+}
+
+/**
+ * Send whether the user is typing in the given chat thread.
+ *
+ * @param {*} thread Thread element.
+ * @param {boolean} typing True if the user is typing, false if not.
+ */
+function sendChatTyping(thread, typing) {
+    var packet = getChatThreadPacket(thread);
+    packet.typing = typing;
+    Maris.realtime.packetProcessor.sendPacket(PacketType.CHAT_TYPING, packet);
+}
+
+/**
+ * Initialize the chat thread on the current page.
+ * This function early-returns if there isn't any chat thread on the current page.
+ */
+function initChatThread() {
+    // Get the thread
+    var thread = getChatThread();
+    if(thread === null)
+        return;
+
+    // Scroll to the last message
+    $('html, body').scrollTop($(document).height());
+
+    // Catch up with the messages sent while the page was cached
+    syncChatThread(thread);
+
+    // Get the form and the message field
+    var form = thread.find('#chat-form');
+    var messageField = form.find('#chat-field-message');
+
+    // Send the typing state while the user types
+    messageField.off('input').on('input', function() {
+        // Let the other side know we started typing
+        if(chatTypingHandle === null)
+            sendChatTyping(thread, true);
+        else
+            clearTimeout(chatTypingHandle);
+
+        // Let the other side know we stopped typing after a while
+        chatTypingHandle = setTimeout(function() {
+            chatTypingHandle = null;
+            sendChatTyping(thread, false);
+        }, CHAT_TYPING_TIMEOUT);
+    });
+
+    // Send messages through the real time connection
+    form.off('submit').on('submit', function(event) {
+        // Don't submit the form
+        event.preventDefault();
+
+        // Get the message, and make sure it isn't empty
+        var message = messageField.val().trim();
+        if(message.length === 0)
+            return;
+
+        // Make sure we're connected
+        if(!Maris.realtime._connected) {
+            showNotification('Geen verbinding. Probeer het later opnieuw.', {
+                toast: true,
+                native: false
+            });
+            return;
+        }
+
+        // Build the packet, with the assignment or submission the message is about
+        var packet = getChatThreadPacket(thread);
+        packet.message = message;
+        var assignmentField = form.find('#chat-field-assignment');
+        var submissionField = form.find('#chat-field-submission');
+        if(assignmentField.val().length > 0)
+            packet.assignment = assignmentField.val();
+        if(submissionField.val().length > 0)
+            packet.submission = submissionField.val();
+
+        // Send the message
+        Maris.realtime.packetProcessor.sendPacket(PacketType.CHAT_MESSAGE_SEND, packet);
+
+        // Clear the form, the assignment or submission only applies to the first message
+        messageField.val('');
+        assignmentField.val('');
+        submissionField.val('');
+        form.find('p.chat-message-date').remove();
+
+        // We stopped typing
+        if(chatTypingHandle !== null) {
+            clearTimeout(chatTypingHandle);
+            chatTypingHandle = null;
+            sendChatTyping(thread, false);
+        }
+    });
+}
+
+$(document).bind('pageshow', function() {
+    initChatThread();
+});
+
+// Chat message
+Maris.realtime.packetProcessor.registerHandler(PacketType.CHAT_MESSAGE, function(packet) {
+    // Make sure the required properties have been set
+    if(!packet.hasOwnProperty('game') || !packet.hasOwnProperty('user') || !packet.hasOwnProperty('message'))
+        return;
+
+    // Show the message if the thread is on the active page, and mark it as read
+    var thread = getChatThread(packet.game, packet.user);
+    if(thread !== null) {
+        addChatMessage(thread, packet);
+        if(packet.sender != Maris.state.user)
+            Maris.realtime.packetProcessor.sendPacket(PacketType.CHAT_READ, getChatThreadPacket(thread));
+        return;
+    }
+
+    // Don't notify about our own messages
+    if(packet.sender == Maris.state.user)
+        return;
+
+    // Notify the user, with an action to open the thread
+    var threadPath = '/game/' + packet.game + '/chat' + (packet.fromManager ? '' : '/' + packet.user);
+    showNotification('Bericht van <b>' + $('<span>').text(packet.senderName).html() + '</b>: ' + $('<span>').text(packet.message).html(), {
+        toast: true,
+        native: true,
+        vibrate: true,
+        ttl: 10000,
+        action: {
+            text: 'Openen',
+            action: function() {
+                Maris.utils.navigateToPath(threadPath);
+            }
+        }
+    });
+});
+
+// Chat typing state of the other side
+Maris.realtime.packetProcessor.registerHandler(PacketType.CHAT_TYPING, function(packet) {
+    // Make sure the thread is on the active page
+    var thread = getChatThread(packet.game, packet.user);
+    if(thread === null)
+        return;
+
+    // Show or hide the typing state
+    var typingElement = thread.find('#chat-typing');
+    if(chatTypingHideHandle !== null) {
+        clearTimeout(chatTypingHideHandle);
+        chatTypingHideHandle = null;
+    }
+    if(packet.typing) {
+        typingElement.text(packet.senderName + ' is aan het typen...').show();
+
+        // Hide the typing state if we don't hear from the other side anymore
+        chatTypingHideHandle = setTimeout(function() {
+            chatTypingHideHandle = null;
+            typingElement.hide();
+        }, CHAT_TYPING_TIMEOUT * 3);
+    } else
+        typingElement.hide();
+});
+
+// Chat messages read by the other side
+Maris.realtime.packetProcessor.registerHandler(PacketType.CHAT_READ, function(packet) {
+    // Make sure the thread is on the active page, and the messages were read by the other side
+    var thread = getChatThread(packet.game, packet.user);
+    if(thread === null || packet.byManager === (thread.data('manager') === true))
+        return;
+
+    // Mark our messages as read
+    thread.find('.chat-message-own .chat-message-read').show();
+});
+
+// Chat history, to catch up with missed messages
+Maris.realtime.packetProcessor.registerHandler(PacketType.CHAT_HISTORY, function(packet) {
+    // Make sure the thread is on the active page
+    var thread = getChatThread(packet.game, packet.user);
+    if(thread === null || !Array.isArray(packet.messages))
+        return;
+
+    // Add the missing messages
+    packet.messages.forEach(function(message) {
+        addChatMessage(thread, message);
+    });
+});
+
+// Play area update for the current user
+Maris.realtime.packetProcessor.registerHandler(PacketType.GAME_AREA_UPDATE, function(packet) {
+    // Make sure the area state has been set
+    if(!packet.hasOwnProperty('inArea'))
+        return;
+
+    // Warn the user when leaving the play area
+    if(!packet.inArea) {
+        showNotification('U bent <b>buiten het speelgebied</b>. Ga alstublieft terug.', {
+            toast: true,
+            native: true,
+            vibrate: true,
+            ttl: 15000
+        });
+        showDialog({
+            title: 'Buiten speelgebied',
+            message: 'U heeft het speelgebied verlaten. Ga alstublieft terug naar het speelgebied.'
+        });
+
+    } else
+        showNotification('U bent weer binnen het speelgebied.', {
+            toast: true,
+            native: false,
+            vibrate: true,
+            vibrationPattern: 50
+        });
+});
+
+// Play area alert for managers
+Maris.realtime.packetProcessor.registerHandler(PacketType.GAME_AREA_ALERT, function(packet) {
+    // Make sure the required properties have been set
+    if(!packet.hasOwnProperty('userName') || !packet.hasOwnProperty('inArea'))
+        return;
+
+    // Notify the manager
+    showNotification('Speler <b>' + $('<span>').text(packet.userName).html() + '</b> is ' + (packet.inArea ? 'terug binnen' : 'buiten') + ' het speelgebied', {
+        toast: true,
+        native: !packet.inArea,
+        vibrate: !packet.inArea
+    });
+});
+
 // Point range update
 Maris.realtime.packetProcessor.registerHandler(PacketType.GAME_POINT_RANGE_UPDATE, function(packet) {
     // Make sure a message has been set
@@ -4859,6 +6323,12 @@ Maris.realtime.packetProcessor.registerHandler(PacketType.GAME_SUBMISSION_APPROV
             message = 'Deze inzending is zojuist <span style="color: red;">afgekeurd</span>.';
         }
 
+        // Add the awarded points and feedback of the grader
+        if(packet.approve_state === 1 && packet.awarded_points !== undefined && packet.awarded_points !== null)
+            message += '<br />Je hebt <b>' + packet.awarded_points + '</b> punten gekregen.';
+        if(packet.feedback !== undefined && packet.feedback !== null)
+            message += '<br /><br /><i>' + $('<span>').text(packet.feedback).html() + '</i>';
+
         // Show the dialog
         showDialog({
             title: title,
@@ -4887,6 +6357,10 @@ Maris.realtime.packetProcessor.registerHandler(PacketType.GAME_SUBMISSION_APPROV
         else if(packet.approve_state === 2)
             message += 'afgekeurd';
 
+        // Add the feedback of the grader
+        if(packet.feedback !== undefined && packet.feedback !== null)
+            message += ': <i>' + $('<span>').text(packet.feedback).html() + '</i>';
+
         // Show a notification to view the submission
         showNotification(message, {
             toast: true,
@@ -4902,6 +6376,9 @@ Maris.realtime.packetProcessor.registerHandler(PacketType.GAME_SUBMISSION_APPROV
         });
     }
 
+    // Refresh the manager dashboard if shown
+    refreshDashboard(false);
+
     // Flush the submission pages
     Maris.utils.flushPages(new RegExp('^\\/game\\/' + Maris.utils.getGameId() + '\\/submission\\/' + packet.submission), false);
 });
@@ -4989,13 +6466,20 @@ Maris.realtime.packetProcessor.registerHandler(PacketType.GAME_SUBMISSION_CHANGE
         }
     }
 
+    // Refresh the manager dashboard if shown
+    refreshDashboard(false);
+
     // Flush the submission pages
     Maris.utils.flushPages(new RegExp('^\\/game\\/' + Maris.utils.getGameId() + '\\/submission\\/' + packet.submission), false);
 });
 
 $(document).bind("pageinit", function() {
     // Disable AJAX for file uploads
-    $(this).find('form').submit(function() {
+    $(this).find('form').submit(function(event) {
+        // Queue submissions while being offline, they're submitted when the client reconnects
+        if(Maris.offline.handleSubmit(this, event))
+            return false;
+
         // Determine whether the form has a file
         var hasFile = false;
 
@@ -0,0 +1,303 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+/**
+ * Offline queue.
+ * Stores submissions and locations in IndexedDB while the client is offline, so they can be replayed in order when the
+ * client reconnects. This script is shared by the client and the service worker.
+ *
+ * @type {Object}
+ */
+var OfflineQueue = {
+    /**
+     * Name of the IndexedDB database.
+     * @type {string}
+     */
+    DB_NAME: 'maris-offline',
+
+    /**
+     * Version of the IndexedDB database.
+     * @type {Number}
+     */
+    DB_VERSION: 1,
+
+    /**
+     * Name of the object store containing the queued items.
+     * @type {string}
+     */
+    STORE_NAME: 'queue',
+
+    /**
+     * Type of queued location updates.
+     * @type {string}
+     */
+    TYPE_LOCATION: 'location',
+
+    /**
+     * Type of queued submissions.
+     * @type {string}
+     */
+    TYPE_SUBMISSION: 'submission',
+
+    /**
+     * Opened database, or null if it isn't opened yet.
+     * @type {IDBDatabase|null}
+     */
+    _db: null,
+
+    /**
+     * Check whether queueing is supported in this browser.
+     *
+     * @return {boolean} True if supported, false if not.
+     */
+    isSupported: function() {
+        return typeof indexedDB !== 'undefined' && typeof FormData !== 'undefined';
+    },
+
+    /**
+     * Open the database.
+     *
+     * @param {function} callback Called with the database, or when an error occurred.
+     */
+    open: function(callback) {
+        // Store this instance
+        const self = this;
+
+        // Call back the database if it's opened already
+        if(this._db !== null) {
+            callback(null, this._db);
+            return;
+        }
+
+        // Open the database, and create the store when it's created
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = function() {
+            request.result.createObjectStore(self.STORE_NAME, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+        };
+        request.onsuccess = function() {
+            self._db = request.result;
+            callback(null, self._db);
+        };
+        request.onerror = function() {
+            callback(request.error);
+        };
+    },
+
+    /**
+     * Run a request on the queue store.
+     *
+     * @param {string} mode Transaction mode.
+     * @param {function} action Called with the store, must return the request to run.
+     * @param {function} callback Called with the result, or when an error occurred.
+     * @private
+     */
+    _request: function(mode, action, callback) {
+        // Store this instance
+        const self = this;
+
+        this.open(function(err, db) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Run the request
+            const request = action(db.transaction(self.STORE_NAME, mode).objectStore(self.STORE_NAME));
+            request.onsuccess = function() {
+                callback(null, request.result);
+            };
+            request.onerror = function() {
+                callback(request.error);
+            };
+        });
+    },
+
+    /**
+     * Add an item to the end of the queue.
+     * The current time is set on the item if it doesn't have a time yet.
+     *
+     * @param {Object} item Item to queue, with a type property and the ID of the user it was queued for.
+     * @param {function} [callback] Called with the ID of the item, or when an error occurred.
+     */
+    add: function(item, callback) {
+        // Set the time
+        if(item.time === undefined)
+            item.time = Date.now();
+
+        this._request('readwrite', function(store) {
+            return store.add(item);
+        }, callback || function() {});
+    },
+
+    /**
+     * Get all queued items, in the order they were queued in.
+     *
+     * @param {function} callback Called with the items, or when an error occurred.
+     */
+    getAll: function(callback) {
+        // Store this instance
+        const self = this;
+
+        this.open(function(err, db) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Walk through the store with a cursor, items are sorted by their ID
+            var items = [];
+            const request = db.transaction(self.STORE_NAME, 'readonly').objectStore(self.STORE_NAME).openCursor();
+            request.onsuccess = function() {
+                const cursor = request.result;
+                if(cursor) {
+                    items.push(cursor.value);
+                    cursor.continue();
+                } else
+                    callback(null, items);
+            };
+            request.onerror = function() {
+                callback(request.error);
+            };
+        });
+    },
+
+    /**
+     * Count the queued items.
+     *
+     * @param {function} callback Called with the number of items, or when an error occurred.
+     */
+    count: function(callback) {
+        this._request('readonly', function(store) {
+            return store.count();
+        }, callback);
+    },
+
+    /**
+     * Remove an item from the queue.
+     *
+     * @param {Number} id ID of the item.
+     * @param {function} [callback] Called on success, or when an error occurred.
+     */
+    remove: function(id, callback) {
+        this._request('readwrite', function(store) {
+            return store.delete(id);
+        }, callback || function() {});
+    },
+
+    /**
+     * Generate a random token for a submission.
+     * The server uses this token to ignore submissions that are replayed twice.
+     *
+     * @return {string} Token.
+     */
+    createToken: function() {
+        // Get random values, fall back to Math.random if the crypto API isn't available
+        var values = new Uint8Array(24);
+        if(typeof crypto !== 'undefined' && crypto.getRandomValues)
+            crypto.getRandomValues(values);
+        else
+            for(var i = 0; i < values.length; i++)
+                values[i] = Math.floor(Math.random() * 256);
+
+        // Convert the values into a hexadecimal token
+        var token = '';
+        for(var j = 0; j < values.length; j++)
+            token += ('0' + values[j].toString(16)).slice(-2);
+        return token;
+    },
+
+    /**
+     * Serialize form data, so it can be stored in the queue.
+     * Uploaded files are kept as blobs, empty file fields are skipped.
+     *
+     * @param {FormData} formData Form data.
+     *
+     * @return {Array} List of fields, each with a name, value and file name.
+     */
+    serializeFormData: function(formData) {
+        var fields = [];
+        formData.forEach(function(value, name) {
+            // Handle files
+            if(typeof value !== 'string') {
+                if(value.size > 0)
+                    fields.push({
+                        name: name,
+                        value: value,
+                        fileName: value.name
+                    });
+                return;
+            }
+
+            // Add the value
+            fields.push({
+                name: name,
+                value: value,
+                fileName: null
+            });
+        });
+        return fields;
+    },
+
+    /**
+     * Create form data from serialized fields.
+     *
+     * @param {Array} fields List of fields, as serialized by serializeFormData.
+     *
+     * @return {FormData} Form data.
+     */
+    createFormData: function(fields) {
+        var formData = new FormData();
+        fields.forEach(function(field) {
+            if(field.fileName !== null)
+                formData.append(field.name, field.value, field.fileName);
+            else
+                formData.append(field.name, field.value);
+        });
+        return formData;
+    },
+
+    /**
+     * Set the value of a serialized field, or add the field if it doesn't exist.
+     *
+     * @param {Array} fields List of fields, as serialized by serializeFormData.
+     * @param {string} name Field name.
+     * @param {string} value Field value.
+     */
+    setField: function(fields, name, value) {
+        // Remove the current values
+        for(var i = fields.length - 1; i >= 0; i--)
+            if(fields[i].name === name)
+                fields.splice(i, 1);
+
+        // Add the value
+        fields.push({
+            name: name,
+            value: value,
+            fileName: null
+        });
+    }
+};
@@ -0,0 +1,336 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+/**
+ * Service worker.
+ * Caches the application shell, the map tiles that were seen and the game pages, so the application keeps working
+ * while the connection drops. Submissions that fail to upload are queued, to submit them when the client reconnects.
+ */
+
+// Import the offline queue
+importScripts('/public/js/offline-queue.js');
+
+/**
+ * Version of the caches, increase this to drop all cached data when the application shell changes.
+ * @type {Number}
+ */
+const CACHE_VERSION = 2;
+
+/**
+ * Name of the cache containing the application shell.
+ * @type {string}
+ */
+const CACHE_SHELL = 'maris-shell-v' + CACHE_VERSION;
+
+/**
+ * Name of the cache containing seen map tiles.
+ * @type {string}
+ */
+const CACHE_TILES = 'maris-tiles-v' + CACHE_VERSION;
+
+/**
+ * Name of the cache containing visited game pages.
+ * The pages contain data of the logged in user, this cache is deleted when the user logs in or out.
+ * @type {string}
+ */
+const CACHE_PAGES = 'maris-pages-v' + CACHE_VERSION;
+
+/**
+ * Maximum number of map tiles to cache.
+ * @type {Number}
+ */
+const TILE_CACHE_LIMIT = 1500;
+
+/**
+ * Host the map tiles are loaded from.
+ * @type {string}
+ */
+const TILE_HOST = 'api.mapbox.com';
+
+/**
+ * Files of the application shell, cached when the service worker is installed.
+ * @type {string[]}
+ */
+const SHELL_FILES = [
+    '/public/vendor/jquerymobile/jquery.mobile.min.css',
+    '/public/vendor/leaflet/leaflet.css',
+    '/public/vendor/leaflet.easybutton/easy-button.css',
+    '/public/vendor/waves/waves.min.css',
+    '/public/vendor/wow/animate.css',
+    '/public/vendor/font-awesome/font-awesome.min.css',
+    '/public/css/nativedroid2.css',
+    '/public/css/nativedroid2.color.purple.css',
+    '/public/css/style.css',
+    '/public/vendor/jquery/jquery.min.js',
+    '/public/vendor/jquery-ui/jquery-ui.min.js',
+    '/public/vendor/jquerymobile/jquery.mobile.min.js',
+    '/public/vendor/leaflet/leaflet.min.js',
+    '/public/vendor/leaflet.sprite/leaflet.sprite.js',
+    '/public/vendor/leaflet.easybutton/easy-button.js',
+    '/public/vendor/raven/raven.min.js',
+    '/public/vendor/highcharts/highcharts.min.js',
+    '/public/vendor/waves/waves.min.js',
+    '/public/vendor/wow/wow.min.js',
+    '/public/js/nativedroid.custom.js',
+    '/public/js/offline-queue.js',
+    '/public/js/main.js',
+    '/realtime/socket.io.js'
+];
+
+/**
+ * Pattern matching the URL submissions are posted to.
+ * @type {RegExp}
+ */
+const SUBMIT_URL_PATTERN = /^\/game\/([a-f0-9]{24})\/assignment\/[a-f0-9]{24}\/submit\/?$/;
+
+/**
+ * Pattern matching the URLs of game pages, which are cached to show them while being offline.
+ * @type {RegExp}
+ */
+const GAME_PAGE_PATTERN = /^\/game\/[a-f0-9]{24}(\/|$)/;
+
+/**
+ * Pattern matching the URLs of game pages that must never be cached, such as file downloads, exports and login cards.
+ * @type {RegExp}
+ */
+const NO_CACHE_PATTERN = /\/(file|export|cards|checkin)(\/|$)/;
+
+/**
+ * Pattern matching the URLs that change the logged in user, the cached game pages are deleted when these are loaded.
+ * @type {RegExp}
+ */
+const SESSION_URL_PATTERN = /^\/(login|logout)(\/|$)/;
+
+// Cache the application shell when installing
+self.addEventListener('install', function(event) {
+    event.waitUntil(caches.open(CACHE_SHELL).then(function(cache) {
+        // Cache each file separately, so a single missing file doesn't break the installation
+        return Promise.all(SHELL_FILES.map(function(file) {
+            return cache.add(file).catch(function() {
+                console.log('Failed to cache \'' + file + '\', ignoring');
+            });
+        }));
+    }).then(function() {
+        return self.skipWaiting();
+    }));
+});
+
+// Remove caches of older versions when activating
+self.addEventListener('activate', function(event) {
+    event.waitUntil(caches.keys().then(function(names) {
+        return Promise.all(names.filter(function(name) {
+            return [CACHE_SHELL, CACHE_TILES, CACHE_PAGES].indexOf(name) < 0;
+        }).map(function(name) {
+            return caches.delete(name);
+        }));
+    }).then(function() {
+        return self.clients.claim();
+    }));
+});
+
+// Handle requests
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Queue submissions that fail to upload
+    if(request.method === 'POST' && url.origin === self.location.origin && SUBMIT_URL_PATTERN.test(url.pathname)) {
+        event.respondWith(fetchSubmission(request, url));
+        return;
+    }
+
+    // Delete the cached pages of the current user when logging in or out, leave the request itself alone
+    if(url.origin === self.location.origin && SESSION_URL_PATTERN.test(url.pathname)) {
+        event.waitUntil(caches.delete(CACHE_PAGES));
+        return;
+    }
+
+    // Only handle other GET requests
+    if(request.method !== 'GET')
+        return;
+
+    // Cache map tiles that were seen
+    if(url.host === TILE_HOST) {
+        event.respondWith(cacheFirst(request, CACHE_TILES, true));
+        return;
+    }
+
+    // Only handle requests to this server, and leave the real time connection alone
+    if(url.origin !== self.location.origin || (url.pathname.indexOf('/realtime/') === 0 && url.pathname !== '/realtime/socket.io.js'))
+        return;
+
+    // Serve static files from the cache, and load game pages from the network while caching them
+    if(url.pathname.indexOf('/public/') === 0 || url.pathname === '/realtime/socket.io.js')
+        event.respondWith(cacheFirst(request, CACHE_SHELL, false));
+    else if(GAME_PAGE_PATTERN.test(url.pathname) && !NO_CACHE_PATTERN.test(url.pathname))
+        event.respondWith(networkFirst(request, CACHE_PAGES));
+});
+
+/**
+ * Respond from the cache, load and cache the response from the network if it isn't cached.
+ *
+ * @param {Request} request Request.
+ * @param {string} cacheName Cache name.
+ * @param {boolean} limit True to limit the number of cached tiles.
+ *
+ * @return {Promise} Response.
+ */
+function cacheFirst(request, cacheName, limit) {
+    return caches.open(cacheName).then(function(cache) {
+        return cache.match(request).then(function(cached) {
+            // Respond with the cached response
+            if(cached)
+                return cached;
+
+            // Load and cache the response
+            return fetch(request).then(function(response) {
+                if(response.ok || response.type === 'opaque') {
+                    cache.put(request, response.clone()).then(function() {
+                        if(limit)
+                            trimCache(cache, TILE_CACHE_LIMIT);
+                    });
+                }
+                return response;
+            });
+        });
+    });
+}
+
+/**
+ * Respond from the network and cache the response, respond from the cache if the network fails.
+ *
+ * @param {Request} request Request.
+ * @param {string} cacheName Cache name.
+ *
+ * @return {Promise} Response.
+ */
+function networkFirst(request, cacheName) {
+    return caches.open(cacheName).then(function(cache) {
+        return fetch(request).then(function(response) {
+            // Cache successful responses, only if they're pages
+            const contentType = response.headers.get('Content-Type') || '';
+            if(response.ok && response.type === 'basic' && contentType.indexOf('text/html') === 0)
+                cache.put(request, response.clone());
+            return response;
+
+        }).catch(function(err) {
+            return cache.match(request).then(function(cached) {
+                // Respond with the cached response
+                if(cached)
+                    return cached;
+
+                // Show an offline page for pages that weren't cached
+                if(request.mode === 'navigate')
+                    return createOfflinePage('Geen verbinding',
+                        'Deze pagina is niet beschikbaar zonder verbinding. Probeer het opnieuw zodra u weer verbinding heeft.',
+                        '/');
+                throw err;
+            });
+        });
+    });
+}
+
+/**
+ * Post a submission, and queue it if the upload fails.
+ *
+ * @param {Request} request Request.
+ * @param {URL} url Request URL.
+ *
+ * @return {Promise} Response.
+ */
+function fetchSubmission(request, url) {
+    // Read the form before uploading, the request body can only be read once
+    const formDataPromise = request.clone().formData();
+
+    return fetch(request).catch(function(err) {
+        // Throw the error if queueing isn't supported
+        if(!OfflineQueue.isSupported())
+            throw err;
+
+        // Queue the submission, with the time it was made at
+        return formDataPromise.then(function(formData) {
+            // Serialize the fields, and set the time
+            const fields = OfflineQueue.serializeFormData(formData);
+            const time = Date.now();
+            OfflineQueue.setField(fields, 'field-submission-time', String(time));
+
+            // Add the submission to the queue, for the user the form was shown to
+            return new Promise(function(resolve, reject) {
+                OfflineQueue.add({
+                    type: OfflineQueue.TYPE_SUBMISSION,
+                    user: formData.get('field-submission-user'),
+                    url: url.pathname,
+                    fields: fields,
+                    time: time
+                }, function(err) {
+                    if(err !== null)
+                        reject(err);
+                    else
+                        resolve();
+                });
+            });
+
+        }).then(function() {
+            // Show a page telling the answer is queued
+            return createOfflinePage('Antwoord opgeslagen',
+                'Er is geen verbinding. Uw antwoord is opgeslagen, en wordt automatisch ingezonden zodra u weer verbinding heeft.',
+                '/game/' + SUBMIT_URL_PATTERN.exec(url.pathname)[1]);
+        });
+    });
+}
+
+/**
+ * Create a simple page to show while being offline.
+ *
+ * @param {string} title Page title.
+ * @param {string} message Message.
+ * @param {string} backUrl URL of the page to go back to.
+ *
+ * @return {Response} Response.
+ */
+function createOfflinePage(title, message, backUrl) {
+    return new Response('<!DOCTYPE html><html><head><meta charset="UTF-8">' +
+        '<meta name="viewport" content="width=device-width, initial-scale=1.0">' +
+        '<title>' + title + '</title></head><body style="font-family: sans-serif; padding: 1em;">' +
+        '<h1>' + title + '</h1><p>' + message + '</p>' +
+        '<p><a href="' + backUrl + '" data-ajax="false">Ga terug</a></p></body></html>', {
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8'
+        }
+    });
+}
+
+/**
+ * Remove the oldest entries from the given cache, until it contains at most the given number of entries.
+ *
+ * @param {Cache} cache Cache.
+ * @param {Number} limit Maximum number of entries.
+ *
+ * @return {Promise} Resolved when the cache is trimmed.
+ */
+function trimCache(cache, limit) {
+    return cache.keys().then(function(keys) {
+        return Promise.all(keys.slice(0, Math.max(keys.length - limit, 0)).map(function(key) {
+            return cache.delete(key);
+        }));
+    });
+}
@@ -28,12 +28,17 @@ var express = require('express');
 var http = require('http');
 var https = require('https');
 var fs = require('fs');
+var path = require('path');
 var Raven = require('raven');
 
 var Core = require('./Core');
 var GameManager = require('./app/live/game/GameManager');
 var MongoUtils = require('./app/mongo/MongoUtils');
 var RedisUtils = require('./app/redis/RedisUtils');
+var RedisPubSub = require('./app/redis/RedisPubSub');
+var BaseModel = require('./app/database/BaseModel');
+var LiveSync = require('./app/live/LiveSync');
+var MetricsUtils = require('./app/util/MetricsUtils');
 var Router = require('./app/router/Router');
 var PathLibrary = require('./PathLibrary');
 var UserModelManager = require('./app/model/user/UserModelManager');
@@ -43,9 +48,13 @@ var PointModelManager = require('./app/model/point/PointModelManager');
 var AssignmentModelManager = require('./app/model/assignment/AssignmentModelManager');
 var SubmissionModelManager = require('./app/model/submission/SubmissionModelManager');
 var GameUserModelManager = require('./app/model/gameuser/GameUserModelManager');
+var GameTeamModelManager = require('./app/model/gameteam/GameTeamModelManager');
 var RealTime = require('./app/realtime/RealTime');
 var PortUtils = require('./app/util/PortUtils');
 var EventLoopMonitor = require('./app/latency/EventLoopMonitor');
+var FileStorage = require('./app/storage/FileStorage');
+var JobQueue = require('./app/util/JobQueue');
+var MediaProcessor = require('./app/media/MediaProcessor');
 
 /**
  * Constructor.
@@ -110,6 +119,15 @@ App.prototype.init = function(callback) {
         // Instantiate the model managers
         (completeCallback) => self._initModelManagers(completeCallback),
 
+        // Initialize the storage for uploaded files
+        (completeCallback) => self._initFileStorage(completeCallback),
+
+        // Move files uploaded by older versions into the storage
+        (completeCallback) => self._migrateLegacyUploads(completeCallback),
+
+        // Initialize the queue for processing uploaded media
+        (completeCallback) => self._initMediaQueue(completeCallback),
+
         // Initialize the express application
         (completeCallback) => self._initExpressApp(function(err) {
             // Call back errors
@@ -145,7 +163,10 @@ App.prototype.init = function(callback) {
         }),
 
         // Initialize Redis
-        (completeCallback) => self._initRedis(completeCallback)
+        (completeCallback) => self._initRedis(completeCallback),
+
+        // Initialize synchronization with other workers
+        (completeCallback) => self._initPubSub(completeCallback)
 
     ], function(err) {
         // Make sure everything went right, callback or throw an error instead
@@ -399,6 +420,151 @@ App.prototype._initRedis = function(callback) {
     });
 };
 
+/**
+ * Initialize synchronization of live game state and model cache with other workers, through Redis pub/sub.
+ *
+ * @param {function} [callback] Called when connected, or if an error occurred.
+ */
+App.prototype._initPubSub = function(callback) {
+    // Apply changes made by other workers
+    LiveSync.listen();
+    BaseModel.listenCacheBroadcasts();
+    MetricsUtils.listen();
+
+    // Connect to Redis pub/sub
+    RedisPubSub.connect(function(err) {
+        // Filter the error
+        if(err !== null) {
+            console.warn("Failed to connect to Redis pub/sub on initialization. Workers aren't synchronized until connected.");
+            console.warn(err);
+        }
+
+        // Call back
+        if(callback !== null && callback !== undefined)
+            callback(null);
+    });
+};
+
+/**
+ * Initialize the storage backend for uploaded files.
+ *
+ * @param {function} [callback] Called when finished, or when an error occurred.
+ */
+App.prototype._initFileStorage = function(callback) {
+    // Create the storage backend
+    try {
+        Core.fileStorage = FileStorage.create(config.storage, config.upload.path);
+    } catch(err) {
+        if(callback !== undefined)
+            callback(err);
+        return;
+    }
+
+    // Show a status message
+    console.log('Storing uploaded files using \'' + config.storage.type + '\' storage.');
+
+    // Make sure the upload directory exists when storing files on the local disk
+    if(config.storage.type === FileStorage.TYPE_LOCAL && !fs.existsSync(config.upload.path))
+        fs.mkdirSync(config.upload.path);
+
+    // Call back
+    if(callback !== undefined)
+        callback(null);
+};
+
+/**
+ * Move files uploaded by older versions from the publicly reachable legacy upload directory into the file storage.
+ * Files that are moved by another worker in the meanwhile are skipped.
+ *
+ * @param {function} [callback] Called when finished, or when an error occurred.
+ */
+App.prototype._migrateLegacyUploads = function(callback) {
+    // Get the legacy upload directory
+    const legacyPath = config.upload.legacyPath;
+
+    // Call back if there's nothing to migrate
+    if(legacyPath === undefined || legacyPath === null || !fs.existsSync(legacyPath)) {
+        if(callback !== undefined)
+            callback(null);
+        return;
+    }
+
+    // Count the moved files
+    var moved = 0;
+
+    // Move each file into the storage
+    async.eachSeries(fs.readdirSync(legacyPath), function(name, completeCallback) {
+        // Get the file path
+        const filePath = path.join(legacyPath, name);
+
+        // Read the file, skip directories and files that are gone
+        fs.readFile(filePath, function(err, data) {
+            if(err) {
+                completeCallback(err.code === 'ENOENT' || err.code === 'EISDIR' ? null : err);
+                return;
+            }
+
+            // Store the file, and remove it from the legacy directory
+            Core.fileStorage.write(name, data, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    completeCallback(err);
+                    return;
+                }
+
+                fs.unlink(filePath, function(err) {
+                    // Call back errors
+                    if(err && err.code !== 'ENOENT') {
+                        completeCallback(err);
+                        return;
+                    }
+
+                    // Continue with the next file
+                    moved++;
+                    completeCallback(null);
+                });
+            });
+        });
+
+    }, function(err) {
+        // Call back errors
+        if(err) {
+            if(callback !== undefined)
+                callback(err);
+            return;
+        }
+
+        // Show a status message
+        if(moved > 0)
+            console.log('Moved ' + moved + ' uploaded file(s) from the legacy upload directory into the storage.');
+
+        // Call back
+        if(callback !== undefined)
+            callback(null);
+    });
+};
+
+/**
+ * Initialize the background queue for processing uploaded images and videos.
+ *
+ * @param {function} [callback] Called when finished, or when an error occurred.
+ */
+App.prototype._initMediaQueue = function(callback) {
+    // Create the queue if media processing is enabled
+    if(config.media.enabled) {
+        Core.mediaQueue = new JobQueue(MediaProcessor.process, {
+            concurrency: config.media.concurrency,
+            attempts: config.media.attempts,
+            retryDelay: 5000
+        });
+        console.log('Started media processing queue.');
+    }
+
+    // Call back
+    if(callback !== undefined)
+        callback(null);
+};
+
 /**
  * Initialize all model managers.
  *
@@ -413,6 +579,7 @@ App.prototype._initModelManagers = function(callback) {
     modelManagers.push(Core.model.sessionModelManager = new SessionModelManager());
     modelManagers.push(Core.model.gameModelManager = new GameModelManager());
     modelManagers.push(Core.model.gameUserModelManager = new GameUserModelManager());
+    modelManagers.push(Core.model.gameTeamModelManager = new GameTeamModelManager());
     modelManagers.push(Core.model.pointModelManager = new PointModelManager());
     modelManagers.push(Core.model.assignmentModelManager = new AssignmentModelManager());
     modelManagers.push(Core.model.submissionModelManager = new SubmissionModelManager());
@@ -56,6 +56,13 @@ Core.model.sessionModelManager = null;
  */
 Core.model.gameModelManager = null;
 
+/**
+ * Game team model manager.
+ *
+ * @type {GameTeamModelManager|null} Game team model manager, or null if it isn't instantiated yet.
+ */
+Core.model.gameTeamModelManager = null;
+
 /**
  * Point model manager.
  *
@@ -112,6 +119,20 @@ Core.gameManager = null;
  */
 Core.realTime = null;
 
+/**
+ * Storage backend for uploaded files.
+ *
+ * @type {LocalFileStorage|S3FileStorage|null} Storage backend, or null if it isn't initialized yet.
+ */
+Core.fileStorage = null;
+
+/**
+ * Background queue for processing uploaded images and videos.
+ *
+ * @type {JobQueue|null} Media queue, or null if it isn't initialized yet.
+ */
+Core.mediaQueue = null;
+
 /**
  * Event loop monitor.
  *
@@ -0,0 +1,401 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var zlib = require('zlib');
+
+var config = require('../../config');
+var ApiUtils = require('../util/ApiUtils');
+var ApprovalState = require('../model/submission/ApprovalState');
+var AnswerType = require('../model/assignment/AnswerType');
+var AnswerGrader = require('../model/assignment/AnswerGrader');
+var PointRange = require('../live/point/PointRange');
+var PointCheckIn = require('../live/point/PointCheckIn');
+var GameArea = require('../live/game/GameArea');
+
+/**
+ * GameArchive class.
+ * A game archive is a gzipped JSON document containing a whole game, so it can be imported as a new game.
+ *
+ * @class
+ * @constructor
+ */
+var GameArchive = function() {};
+
+/**
+ * Format identifier of game archives.
+ *
+ * @type {string}
+ */
+GameArchive.FORMAT = 'maris-game-archive';
+
+/**
+ * Current version of the archive format.
+ *
+ * @type {int}
+ */
+GameArchive.VERSION = 1;
+
+/**
+ * File extension used for game archives.
+ *
+ * @type {string}
+ */
+GameArchive.FILE_EXTENSION = 'marisgame';
+
+/**
+ * HTTP status code of errors for archives that are too large.
+ *
+ * @type {Number}
+ */
+GameArchive.STATUS_TOO_LARGE = 413;
+
+/**
+ * Create the error for archives that are too large.
+ *
+ * @return {Error} Error.
+ */
+GameArchive.createTooLargeError = function() {
+    return ApiUtils.createError('Het spel archief is groter dan ' + Math.floor(config.game.archiveMaxSize / 1024 / 1024) +
+        ' MB, en kan niet worden verwerkt.', GameArchive.STATUS_TOO_LARGE);
+};
+
+/**
+ * Create a new empty archive object.
+ *
+ * @return {Object} Archive object.
+ */
+GameArchive.create = function() {
+    return {
+        format: GameArchive.FORMAT,
+        version: GameArchive.VERSION,
+        export_date: new Date().toISOString(),
+        game: {
+            name: '',
+            route_mode: false,
+            point_range: {
+                range: null,
+                active: null
+            },
+            area: null,
+            location_history: false
+        },
+        points: [],
+        assignments: [],
+        users: [],
+        submissions: [],
+        files: {}
+    };
+};
+
+/**
+ * Pack the given archive object into a compressed buffer.
+ *
+ * @param {Object} archive Archive object.
+ * @param {GameArchive~packCallback} callback Called with the packed archive or when an error occurred.
+ */
+GameArchive.pack = function(archive, callback) {
+    // Serialize the archive, and make sure it isn't too large
+    var json;
+    try {
+        json = JSON.stringify(archive);
+    } catch(err) {
+        callback(err instanceof RangeError ? GameArchive.createTooLargeError() : err);
+        return;
+    }
+    if(Buffer.byteLength(json, 'utf8') > config.game.archiveMaxSize) {
+        callback(GameArchive.createTooLargeError());
+        return;
+    }
+
+    // Compress the archive
+    zlib.gzip(json, function(err, data) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the data
+        callback(null, data);
+    });
+};
+
+/**
+ * Called with the packed archive or when an error occurred.
+ *
+ * @callback GameArchive~packCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Buffer=} Packed archive.
+ */
+
+/**
+ * Unpack and validate an archive from the given buffer.
+ *
+ * @param {Buffer} data Packed archive.
+ * @param {GameArchive~unpackCallback} callback Called with the archive object or when an error occurred.
+ */
+GameArchive.unpack = function(data, callback) {
+    GameArchive.decompress(data, function(err, json) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Parse the archive
+        var archive;
+        try {
+            archive = JSON.parse(json.toString('utf8'));
+        } catch(err) {
+            callback(new Error('Het bestand is geen geldig spel archief.'));
+            return;
+        }
+
+        // Validate the archive
+        var message = GameArchive.validate(archive);
+        if(message !== null) {
+            callback(new Error(message));
+            return;
+        }
+
+        // Call back the archive
+        callback(null, archive);
+    });
+};
+
+/**
+ * Called with the archive object or when an error occurred.
+ *
+ * @callback GameArchive~unpackCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} Archive object.
+ */
+
+/**
+ * Decompress a packed archive.
+ * The output is counted while decompressing, and decompression is stopped when the archive becomes too large.
+ *
+ * @param {Buffer} data Packed archive.
+ * @param {GameArchive~decompressCallback} callback Called with the decompressed data or when an error occurred.
+ */
+GameArchive.decompress = function(data, callback) {
+    // Create the decompression stream
+    const gunzip = zlib.createGunzip();
+    var chunks = [];
+    var size = 0;
+    var calledBack = false;
+
+    // Collect the output, and stop when the archive becomes too large
+    gunzip.on('data', function(chunk) {
+        if(calledBack)
+            return;
+
+        size += chunk.length;
+        if(size > config.game.archiveMaxSize) {
+            calledBack = true;
+            chunks = [];
+            gunzip.close();
+            callback(GameArchive.createTooLargeError());
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    // Call back errors
+    gunzip.on('error', function() {
+        if(!calledBack)
+            callback(new Error('Het bestand is geen geldig spel archief.'));
+        calledBack = true;
+    });
+
+    // Call back the data when done
+    gunzip.on('end', function() {
+        if(!calledBack)
+            callback(null, Buffer.concat(chunks, size));
+        calledBack = true;
+    });
+
+    // Decompress the data
+    gunzip.end(data);
+};
+
+/**
+ * Called with the decompressed data or when an error occurred.
+ *
+ * @callback GameArchive~decompressCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Buffer=} Decompressed data.
+ */
+
+/**
+ * Add an uploaded file to the given archive, if the archive doesn't become too large.
+ *
+ * @param {Object} archive Archive object.
+ * @param {string} name Name of the file.
+ * @param {Buffer} data File contents.
+ *
+ * @return {boolean} True if the file was added, false if the archive would become too large.
+ */
+GameArchive.addFile = function(archive, name, data) {
+    // Get the size of the file when encoded, and of the files already in the archive
+    const size = Math.ceil(data.length / 3) * 4;
+    const filesSize = _.sumBy(_.values(archive.files), 'length');
+
+    // Make sure the archive doesn't become too large
+    if(filesSize + size > config.game.archiveMaxSize)
+        return false;
+
+    // Add the file
+    archive.files[name] = data.toString('base64');
+    return true;
+};
+
+/**
+ * Validate the structure of an archive object.
+ *
+ * @param {Object} archive Archive object.
+ *
+ * @return {string|null} Message describing the problem if the archive is invalid, null if it's valid.
+ */
+GameArchive.validate = function(archive) {
+    // The archive must be an object of a supported format
+    if(!_.isPlainObject(archive) || archive.format !== GameArchive.FORMAT)
+        return 'Het bestand is geen geldig spel archief.';
+    if(!_.isInteger(archive.version) || archive.version < 1 || archive.version > GameArchive.VERSION)
+        return 'Deze versie van het spel archief wordt niet ondersteund.';
+
+    // Validate the game
+    if(!_.isPlainObject(archive.game) || !_.isString(archive.game.name))
+        return 'Het spel archief bevat geen geldig spel.';
+
+    // Make sure all lists are available
+    if(!_.isArray(archive.points) || !_.isArray(archive.assignments) || !_.isArray(archive.users) ||
+        !_.isArray(archive.submissions) || !_.isPlainObject(archive.files))
+        return 'Het spel archief is onvolledig.';
+
+    // Validate the points
+    var validPoints = _.every(archive.points, (point) =>
+        _.isPlainObject(point) && _.isString(point.name) && _.isPlainObject(point.location) &&
+        _.isFinite(point.location.latitude) && _.isFinite(point.location.longitude));
+    if(!validPoints)
+        return 'Het spel archief bevat een ongeldig punt.';
+
+    // Validate the route, required points must reference a point in the archive
+    var pointIds = archive.points.map((point) => point.id);
+    var validRoute = (archive.game.route_mode === undefined || _.isBoolean(archive.game.route_mode)) &&
+        _.every(archive.points, (point) => point.required_points === undefined ||
+            (_.isArray(point.required_points) && _.every(point.required_points, (id) => _.isString(id) && _.includes(pointIds, id))));
+    if(!validRoute)
+        return 'Het spel archief bevat een ongeldige route.';
+
+    // Validate the ranges of the game and its points, these are optional
+    const isValidRange = (range) => range === undefined || (_.isPlainObject(range) &&
+        (range.range === null || _.isNumber(range.range)) && (range.active === null || _.isNumber(range.active)) &&
+        PointRange.validate(range) === null);
+    if(!isValidRange(archive.game.point_range) || !_.every(archive.points, (point) => isValidRange(point.range)))
+        return 'Het spel archief bevat een ongeldig bereik.';
+
+    // Validate the check-in settings of the points, these are optional
+    const isValidCheckIn = (checkIn) => checkIn === undefined || (_.isPlainObject(checkIn) &&
+        PointCheckIn.isValidMethod(checkIn.method) && (checkIn.code === null || _.isString(checkIn.code)));
+    if(!_.every(archive.points, (point) => isValidCheckIn(point.check_in)))
+        return 'Het spel archief bevat ongeldige instellingen voor het inchecken bij een punt.';
+
+    // Validate the play area, this is optional
+    if(archive.game.area !== undefined && GameArea.validate(archive.game.area) !== null)
+        return 'Het spel archief bevat een ongeldig speelgebied.';
+
+    // Validate whether the location history is recorded, this is optional
+    if(archive.game.location_history !== undefined && !_.isBoolean(archive.game.location_history))
+        return 'Het spel archief bevat een ongeldige instelling voor de locatiegeschiedenis.';
+
+    // Validate the assignments
+    var validAssignments = _.every(archive.assignments, (assignment) =>
+        _.isPlainObject(assignment) && _.isString(assignment.id) && _.isString(assignment.name) &&
+        _.isString(assignment.description) && _.isBoolean(assignment.answer_text) &&
+        _.isBoolean(assignment.answer_file) && _.isInteger(assignment.points) && assignment.points >= 0 &&
+        _.isBoolean(assignment.retry) &&
+        (assignment.max_attempts === undefined || assignment.max_attempts === null ||
+            (_.isInteger(assignment.max_attempts) && assignment.max_attempts >= 1)) &&
+        AnswerType.isValid(assignment.answer_type) &&
+        AnswerGrader.isValidConfig(assignment.answer_type, assignment.answer_config));
+    if(!validAssignments)
+        return 'Het spel archief bevat een ongeldige opdracht.';
+
+    // Validate the users
+    var validUsers = _.every(archive.users, (user) =>
+        _.isPlainObject(user) && _.isString(user.username) && _.isBoolean(user.participant) &&
+        _.isBoolean(user.spectator));
+    if(!validUsers)
+        return 'Het spel archief bevat een ongeldige speler.';
+
+    // Validate the revisions of submissions, these are optional
+    const isValidRevision = (revision) => _.isPlainObject(revision) &&
+        (revision.answer_text === null || _.isString(revision.answer_text)) &&
+        (revision.answer_file === null || _.isString(revision.answer_file)) &&
+        ApprovalState.isValid(revision.approve_state) &&
+        (revision.feedback === null || _.isString(revision.feedback)) &&
+        (revision.awarded_points === null || (_.isInteger(revision.awarded_points) && revision.awarded_points >= 0)) &&
+        _.isString(revision.date) && !isNaN(Date.parse(revision.date));
+
+    // Validate the submissions, they must reference an assignment in the archive
+    var assignmentIds = archive.assignments.map((assignment) => assignment.id);
+    var validSubmissions = _.every(archive.submissions, (submission) =>
+        _.isPlainObject(submission) && _.includes(assignmentIds, submission.assignment) &&
+        _.isString(submission.user) && (submission.approve_user === null || _.isString(submission.approve_user)) &&
+        ApprovalState.isValid(submission.approve_state) &&
+        (submission.answer_text === null || _.isString(submission.answer_text)) &&
+        (submission.answer_file === null || _.isString(submission.answer_file)) &&
+        (submission.feedback === undefined || submission.feedback === null || _.isString(submission.feedback)) &&
+        (submission.awarded_points === undefined || submission.awarded_points === null ||
+            (_.isInteger(submission.awarded_points) && submission.awarded_points >= 0)) &&
+        (submission.revisions === undefined || (_.isArray(submission.revisions) &&
+            _.every(submission.revisions, isValidRevision))));
+    if(!validSubmissions)
+        return 'Het spel archief bevat een ongeldige inzending.';
+
+    // Validate the files
+    if(!_.every(_.values(archive.files), _.isString))
+        return 'Het spel archief bevat een ongeldig bestand.';
+
+    // The archive is valid
+    return null;
+};
+
+/**
+ * Get the file name to use for an archive of a game with the given name.
+ *
+ * @param {string} gameName Name of the game.
+ *
+ * @return {string} File name.
+ */
+GameArchive.getFileName = function(gameName) {
+    // Replace characters that aren't safe in file names
+    var name = gameName.trim().replace(/[^a-z0-9_\-]+/gi, '-').replace(/^-+|-+$/g, '');
+
+    // Build the file name
+    return (name.length > 0 ? name : 'spel') + '.' + GameArchive.FILE_EXTENSION;
+};
+
+// Export the class
+module.exports = GameArchive;
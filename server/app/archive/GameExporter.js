@@ -0,0 +1,489 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../Core');
+var GameArchive = require('./GameArchive');
+var ApiUtils = require('../util/ApiUtils');
+var CallbackLatch = require('../util/CallbackLatch');
+
+/**
+ * GameExporter class.
+ * Used to export a game into an archive object.
+ *
+ * @class
+ * @constructor
+ */
+var GameExporter = function() {};
+
+/**
+ * Export the given game.
+ *
+ * @param {GameModel} game Game to export.
+ * @param {Object} [options] Export options.
+ * @param {boolean} [options.submissions=false] True to include players, submissions and their uploaded files.
+ * @param {GameExporter~exportGameCallback} callback Called with the archive object or when an error occurred.
+ */
+GameExporter.exportGame = function(game, options, callback) {
+    // Set the callback parameter if the options parameter is left out
+    if(_.isFunction(options)) {
+        callback = options;
+        options = {};
+    }
+
+    // Create the archive
+    var archive = GameArchive.create();
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Create a function to call back errors
+    const onError = function(err) {
+        if(!calledBack)
+            callback(err);
+        calledBack = true;
+    };
+
+    // Get the game name
+    latch.add();
+    game.getName(function(err, name) {
+        // Call back errors
+        if(err !== null) {
+            onError(err);
+            return;
+        }
+
+        // Set the name
+        archive.game.name = name;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the route mode
+    latch.add();
+    game.isRouteMode(function(err, isRouteMode) {
+        // Call back errors
+        if(err !== null) {
+            onError(err);
+            return;
+        }
+
+        // Set the route mode
+        archive.game.route_mode = isRouteMode;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the point range
+    latch.add();
+    game.getPointRange(function(err, range) {
+        // Call back errors
+        if(err !== null) {
+            onError(err);
+            return;
+        }
+
+        // Set the point range
+        archive.game.point_range = range;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the play area
+    latch.add();
+    game.getArea(function(err, area) {
+        // Call back errors
+        if(err !== null) {
+            onError(err);
+            return;
+        }
+
+        // Set the play area
+        archive.game.area = area;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Determine whether the location history is recorded, the history itself isn't exported
+    latch.add();
+    game.isLocationHistory(function(err, locationHistory) {
+        // Call back errors
+        if(err !== null) {
+            onError(err);
+            return;
+        }
+
+        // Set whether the location history is recorded
+        archive.game.location_history = locationHistory;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Export the points
+    latch.add();
+    Core.model.pointModelManager.getPoints(game, null, function(err, points) {
+        // Call back errors
+        if(err !== null) {
+            onError(err);
+            return;
+        }
+
+        // Serialize the points
+        ApiUtils.serializeAll(points, GameExporter.serializePoint, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                onError(err);
+                return;
+            }
+
+            // Add the points, and leave out required points that don't exist anymore
+            archive.points = result;
+            const pointIds = result.map((point) => point.id);
+            archive.points.forEach((point) => point.required_points = _.intersection(point.required_points, pointIds));
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Export the assignments, and their submissions if requested
+    latch.add();
+    Core.model.assignmentModelManager.getAssignments(game, null, function(err, assignments) {
+        // Call back errors
+        if(err !== null) {
+            onError(err);
+            return;
+        }
+
+        // Serialize the assignments
+        latch.add();
+        ApiUtils.serializeAll(assignments, GameExporter.serializeAssignment, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                onError(err);
+                return;
+            }
+
+            // Add the assignments
+            archive.assignments = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Export the submissions if requested
+        if(options.submissions) {
+            assignments.forEach(function(assignment) {
+                latch.add();
+                GameExporter.exportSubmissions(assignment, archive, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        onError(err);
+                        return;
+                    }
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            });
+        }
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Export the game users if submissions are included
+    if(options.submissions) {
+        latch.add();
+        Core.model.gameUserModelManager.getGameUsers(game, function(err, users) {
+            // Call back errors
+            if(err !== null) {
+                onError(err);
+                return;
+            }
+
+            // Serialize the game users
+            ApiUtils.serializeAll(users, (user, callback) => GameExporter.serializeGameUser(game, user, callback), function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Add the users
+                archive.users = result;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+    }
+
+    // Call back the archive when done
+    latch.then(function() {
+        if(!calledBack)
+            callback(null, archive);
+        calledBack = true;
+    });
+};
+
+/**
+ * Called with the archive object or when an error occurred.
+ *
+ * @callback GameExporter~exportGameCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} Archive object.
+ */
+
+/**
+ * Serialize a point for an archive.
+ *
+ * @param {PointModel} point Point to serialize.
+ * @param {function} callback Called with the serialized point, or when an error occurred.
+ */
+GameExporter.serializePoint = function(point, callback) {
+    ApiUtils.fetchProperties({
+        name: (callback) => point.getName(callback),
+        location: (callback) => point.getLocation(callback),
+        required_points: (callback) => point.getRequiredPoints(callback),
+        range: (callback) => point.getRange(callback),
+        check_in_method: (callback) => point.getCheckInMethod(callback),
+        check_in_code: (callback) => point.getCheckInCode(callback)
+    }, function(err, properties) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the point
+        callback(null, {
+            id: point.getIdHex(),
+            name: properties.name,
+            location: {
+                latitude: properties.location.latitude,
+                longitude: properties.location.longitude
+            },
+            required_points: properties.required_points.map((requiredPoint) => requiredPoint.getIdHex()),
+            range: properties.range,
+            check_in: {
+                method: properties.check_in_method,
+                code: properties.check_in_code
+            }
+        });
+    });
+};
+
+/**
+ * Serialize an assignment for an archive.
+ *
+ * @param {AssignmentModel} assignment Assignment to serialize.
+ * @param {function} callback Called with the serialized assignment, or when an error occurred.
+ */
+GameExporter.serializeAssignment = function(assignment, callback) {
+    ApiUtils.fetchProperties({
+        name: (callback) => assignment.getName(callback),
+        description: (callback) => assignment.getDescription(callback),
+        answer_text: (callback) => assignment.isAnswerText(callback),
+        answer_file: (callback) => assignment.isAnswerFile(callback),
+        points: (callback) => assignment.getPoints(callback),
+        retry: (callback) => assignment.isRetry(callback),
+        max_attempts: (callback) => assignment.getMaxAttempts(callback),
+        answer_type: (callback) => assignment.getAnswerType(callback),
+        answer_config: (callback) => assignment.getAnswerConfig(callback)
+    }, function(err, properties) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Add the ID and call back
+        callback(null, _.merge({
+            id: assignment.getIdHex()
+        }, properties));
+    });
+};
+
+/**
+ * Serialize a game user for an archive.
+ * Users are referenced by their username, so they can be matched with existing users when importing.
+ *
+ * @param {GameModel} game Game the user is in.
+ * @param {UserModel} user User to serialize.
+ * @param {function} callback Called with the serialized game user, or when an error occurred.
+ */
+GameExporter.serializeGameUser = function(game, user, callback) {
+    Core.model.gameUserModelManager.getGameUser(game, user, function(err, gameUser) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Fetch the user properties
+        ApiUtils.fetchProperties({
+            username: (callback) => user.getUsername(callback),
+            participant: (callback) => gameUser.isParticipant(callback),
+            spectator: (callback) => gameUser.isSpectator(callback)
+        }, callback);
+    });
+};
+
+/**
+ * Export the submissions of an assignment, and their uploaded files, into the given archive.
+ *
+ * @param {AssignmentModel} assignment Assignment to export the submissions for.
+ * @param {Object} archive Archive object to add the submissions to.
+ * @param {function} callback Called on success, or when an error occurred.
+ */
+GameExporter.exportSubmissions = function(assignment, archive, callback) {
+    // Get the submissions for this assignment
+    Core.model.submissionModelManager.getSubmissions(null, assignment, function(err, submissions) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Serialize the submissions
+        ApiUtils.serializeAll(submissions, function(submission, callback) {
+            ApiUtils.fetchProperties({
+                user: (callback) => submission.getUser(callback),
+                approve_user: (callback) => submission.getApproveUser(callback),
+                approve_state: (callback) => submission.getApprovalState(callback),
+                answer_text: (callback) => submission.getAnswerText(callback),
+                answer_file: (callback) => submission.getAnswerFile(callback),
+                feedback: (callback) => submission.getFeedback(callback),
+                awarded_points: (callback) => submission.getAwardedPoints(callback),
+                revisions: (callback) => submission.getRevisions(callback)
+            }, function(err, properties) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Create the serialized submission
+                var serialized = {
+                    assignment: assignment.getIdHex(),
+                    user: null,
+                    approve_user: null,
+                    approve_state: properties.approve_state,
+                    answer_text: _.isString(properties.answer_text) ? properties.answer_text : null,
+                    answer_file: _.isString(properties.answer_file) ? properties.answer_file : null,
+                    feedback: properties.feedback,
+                    awarded_points: properties.awarded_points,
+                    revisions: properties.revisions.map((revision) => _.assign({}, revision, {
+                        answer_text: _.isString(revision.answer_text) ? revision.answer_text : null,
+                        answer_file: _.isString(revision.answer_file) ? revision.answer_file : null,
+                        date: new Date(revision.date).toISOString()
+                    }))
+                };
+
+                // Create a callback latch
+                var latch = new CallbackLatch();
+                var calledBack = false;
+
+                // Resolve the usernames of the users
+                ['user', 'approve_user'].forEach(function(key) {
+                    // Skip users that aren't set
+                    if(properties[key] === null || properties[key] === undefined)
+                        return;
+
+                    // Get the username
+                    latch.add();
+                    properties[key].getUsername(function(err, username) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                callback(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Set the username
+                        serialized[key] = username;
+
+                        // Resolve the latch
+                        latch.resolve();
+                    });
+                });
+
+                // Add the uploaded files of the submission and its revisions
+                [serialized].concat(serialized.revisions).forEach(function(attempt) {
+                    // Skip attempts without a file
+                    if(attempt.answer_file === null)
+                        return;
+
+                    latch.add();
+                    Core.fileStorage.read(attempt.answer_file, function(err, data) {
+                        // Skip files that don't exist anymore
+                        if(err) {
+                            console.warn('Unable to read submission file \'' + attempt.answer_file + '\' for export, skipping.');
+                            attempt.answer_file = null;
+
+                        // Stop if the archive becomes too large
+                        } else if(!GameArchive.addFile(archive, attempt.answer_file, data)) {
+                            if(!calledBack)
+                                callback(GameArchive.createTooLargeError());
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Resolve the latch
+                        latch.resolve();
+                    });
+                });
+
+                // Call back the submission when done
+                latch.then(function() {
+                    if(!calledBack)
+                        callback(null, serialized);
+                    calledBack = true;
+                });
+            });
+        }, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Add the submissions of users that still exist to the archive
+            archive.submissions = archive.submissions.concat(result.filter((submission) => submission.user !== null));
+
+            // Call back
+            callback(null);
+        });
+    });
+};
+
+// Export the class
+module.exports = GameExporter;
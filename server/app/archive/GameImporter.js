@@ -0,0 +1,586 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../Core');
+var GameArchive = require('./GameArchive');
+var GameDatabase = require('../model/game/GameDatabase');
+var PointDatabase = require('../model/point/PointDatabase');
+var AssignmentDatabase = require('../model/assignment/AssignmentDatabase');
+var GameUserDatabase = require('../model/gameuser/GameUserDatabase');
+var SubmissionDatabase = require('../model/submission/SubmissionDatabase');
+var SubmissionRevision = require('../model/submission/SubmissionRevision');
+var Coordinate = require('../coordinate/Coordinate');
+var Validator = require('../validator/Validator');
+var FileStorage = require('../storage/FileStorage');
+var CallbackLatch = require('../util/CallbackLatch');
+
+/**
+ * GameImporter class.
+ * Used to import an archive object as a new game.
+ *
+ * @class
+ * @constructor
+ */
+var GameImporter = function() {};
+
+/**
+ * Import the given archive as a new game.
+ *
+ * @param {Object} archive Archive object.
+ * @param {UserModel} user User that imports the game, and becomes the owner of it.
+ * @param {Object} [options] Import options.
+ * @param {string} [options.name] Name for the new game, the name from the archive is used if not set.
+ * @param {boolean} [options.submissions=false] True to import the players, submissions and their uploaded files.
+ * Players are matched to existing users by their username, players that don't exist are skipped.
+ * @param {GameImporter~importGameCallback} callback Called with the new game or when an error occurred.
+ */
+GameImporter.importGame = function(archive, user, options, callback) {
+    // Set the callback parameter if the options parameter is left out
+    if(_.isFunction(options)) {
+        callback = options;
+        options = {};
+    }
+
+    // Validate the archive
+    var message = GameArchive.validate(archive);
+    if(message !== null) {
+        callback(new Error(message));
+        return;
+    }
+
+    // Determine the game name
+    var name = _.isString(options.name) && options.name.trim().length > 0 ? options.name : archive.game.name;
+
+    // Create a summary of the import
+    var summary = {
+        points: 0,
+        assignments: 0,
+        users: 0,
+        submissions: 0,
+        skipped: 0
+    };
+
+    // Create the game
+    GameDatabase.addGame(user, name, function(err, game) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+        var calledBack = false;
+
+        // Create a function to call back errors
+        const onError = function(err) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+        };
+
+        // Import the points, and keep track of the new point for each archived ID
+        var points = {};
+        archive.points.forEach(function(point) {
+            latch.add();
+            PointDatabase.addPoint(point.name, game, user, Coordinate.parse(point.location), function(err, pointModel) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Store the point, and count it
+                if(point.id !== undefined)
+                    points[point.id] = pointModel;
+                summary.points++;
+
+                // Set the range of the point
+                if(point.range !== undefined) {
+                    latch.add();
+                    pointModel.setRange(point.range, function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            onError(err);
+                            return;
+                        }
+
+                        // Resolve the latch
+                        latch.resolve();
+                    });
+                }
+
+                // Set the check-in method and code of the point
+                if(point.check_in !== undefined) {
+                    latch.add();
+                    pointModel.setCheckInMethod(point.check_in.method, function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            onError(err);
+                            return;
+                        }
+
+                        pointModel.setCheckInCode(point.check_in.code, function(err) {
+                            // Call back errors
+                            if(err !== null) {
+                                onError(err);
+                                return;
+                            }
+
+                            // Resolve the latch
+                            latch.resolve();
+                        });
+                    });
+                }
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Set the point range of the game
+        if(archive.game.point_range !== undefined) {
+            latch.add();
+            game.setPointRange(archive.game.point_range, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        }
+
+        // Set the play area of the game
+        if(!_.isEmpty(archive.game.area)) {
+            latch.add();
+            game.setArea(archive.game.area.map(Coordinate.parse), function(err) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        }
+
+        // Record the location history if the archived game did
+        if(archive.game.location_history === true) {
+            latch.add();
+            game.setLocationHistory(true, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        }
+
+        // Import the assignments, and keep track of the new assignment for each archived ID
+        var assignments = {};
+        archive.assignments.forEach(function(assignment) {
+            latch.add();
+            AssignmentDatabase.addAssignment(assignment.name, assignment.description, game, user, assignment.answer_text,
+                assignment.answer_file, assignment.points, assignment.retry, _.isInteger(assignment.max_attempts) ? assignment.max_attempts : null,
+                assignment.answer_type, assignment.answer_config,
+                function(err, assignmentModel) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Store the assignment, count and resolve the latch
+                assignments[assignment.id] = assignmentModel;
+                summary.assignments++;
+                latch.resolve();
+            });
+        });
+
+        // Import the route, players and submissions when the points and assignments are created
+        latch.then(function() {
+            // Import the route
+            GameImporter.importRoute(archive, game, points, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Return early if submissions shouldn't be imported
+                if(!options.submissions) {
+                    if(!calledBack)
+                        callback(null, game, summary);
+                    calledBack = true;
+                    return;
+                }
+
+                // Import the users and submissions
+                GameImporter.importSubmissions(archive, game, assignments, summary, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        onError(err);
+                        return;
+                    }
+
+                    // Call back the game
+                    if(!calledBack)
+                        callback(null, game, summary);
+                    calledBack = true;
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Called with the new game or when an error occurred.
+ *
+ * @callback GameImporter~importGameCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {GameModel=} Imported game.
+ * @param {Object=} Summary with the number of imported points, assignments, users and submissions,
+ * and the number of skipped players and submissions.
+ */
+
+/**
+ * Import the route mode and the required points of each point from an archive into the given game.
+ *
+ * @param {Object} archive Archive object.
+ * @param {GameModel} game Game to import the route into.
+ * @param {Object} points Object with the imported point model for each archived point ID.
+ * @param {function} callback Called on success, or when an error occurred.
+ */
+GameImporter.importRoute = function(archive, game, points, callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Create a function to call back errors
+    const onError = function(err) {
+        if(!calledBack)
+            callback(err);
+        calledBack = true;
+    };
+
+    // Set the route mode
+    if(archive.game.route_mode === true) {
+        latch.add();
+        game.setRouteMode(true, function(err) {
+            // Call back errors
+            if(err !== null) {
+                onError(err);
+                return;
+            }
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    }
+
+    // Set the required points of each point
+    archive.points.forEach(function(point) {
+        // Skip points without required points
+        if(points[point.id] === undefined || _.isEmpty(point.required_points))
+            return;
+
+        // Set the required points
+        latch.add();
+        points[point.id].setRequiredPoints(point.required_points.map((pointId) => points[pointId]), function(err) {
+            // Call back errors
+            if(err !== null) {
+                onError(err);
+                return;
+            }
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Call back when done
+    latch.then(function() {
+        if(!calledBack)
+            callback(null);
+        calledBack = true;
+    });
+};
+
+/**
+ * Import the players and submissions from an archive into the given game.
+ *
+ * @param {Object} archive Archive object.
+ * @param {GameModel} game Game to import the players and submissions into.
+ * @param {Object} assignments Object with the imported assignment model for each archived assignment ID.
+ * @param {Object} summary Import summary to update.
+ * @param {function} callback Called on success, or when an error occurred.
+ */
+GameImporter.importSubmissions = function(archive, game, assignments, summary, callback) {
+    // Resolve all usernames in the archive
+    var usernames = _.uniq(_.compact(
+        archive.users.map((user) => user.username)
+            .concat(archive.submissions.map((submission) => submission.user))
+            .concat(archive.submissions.map((submission) => submission.approve_user))
+    ));
+    GameImporter.resolveUsers(usernames, function(err, users) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+        var calledBack = false;
+
+        // Create a function to call back errors
+        const onError = function(err) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+        };
+
+        // Add the players to the game
+        archive.users.forEach(function(gameUser) {
+            // Skip users that don't exist
+            if(!users[gameUser.username]) {
+                summary.skipped++;
+                return;
+            }
+
+            // Add the user
+            latch.add();
+            GameUserDatabase.addGameUser(game, users[gameUser.username], gameUser.participant, gameUser.spectator, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Count and resolve the latch
+                summary.users++;
+                latch.resolve();
+            });
+        });
+
+        // Add the submissions
+        archive.submissions.forEach(function(submission) {
+            // Skip submissions of users that don't exist
+            if(!users[submission.user]) {
+                summary.skipped++;
+                return;
+            }
+
+            // Restore the uploaded file
+            latch.add();
+            GameImporter.restoreFile(archive, submission.answer_file, function(err, fileName) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Add the submission
+                var approveUser = submission.approve_user !== null && users[submission.approve_user] ? users[submission.approve_user] : null;
+                SubmissionDatabase.addSubmission(assignments[submission.assignment], users[submission.user], approveUser,
+                    submission.approve_state, submission.answer_text, fileName, null, function(err, submissionModel) {
+                    // Call back errors
+                    if(err !== null) {
+                        onError(err);
+                        return;
+                    }
+
+                    // Restore the revisions and their uploaded files
+                    GameImporter.restoreRevisions(archive, submission.revisions, function(err, revisions) {
+                        // Call back errors
+                        if(err !== null) {
+                            onError(err);
+                            return;
+                        }
+
+                        // Restore the feedback, awarded points and revisions, archives of older versions don't have these
+                        submissionModel.setFields({
+                            feedback: _.isString(submission.feedback) ? submission.feedback : null,
+                            awarded_points: _.isInteger(submission.awarded_points) ? submission.awarded_points : null,
+                            revisions
+                        }, function(err) {
+                            // Call back errors
+                            if(err !== null) {
+                                onError(err);
+                                return;
+                            }
+
+                            // Count and resolve the latch
+                            summary.submissions++;
+                            latch.resolve();
+                        });
+                    });
+                });
+            });
+        });
+
+        // Call back when done
+        latch.then(function() {
+            if(!calledBack)
+                callback(null);
+            calledBack = true;
+        });
+    });
+};
+
+/**
+ * Find the existing users for the given usernames.
+ *
+ * @param {Array} usernames Array of usernames.
+ * @param {function} callback Called with an object containing the user model for each username that exists,
+ * or when an error occurred.
+ */
+GameImporter.resolveUsers = function(usernames, callback) {
+    // Create the result object
+    var users = {};
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Find each user
+    usernames.forEach(function(username) {
+        // Skip invalid usernames
+        if(!Validator.isValidUsername(username))
+            return;
+
+        // Find the user
+        latch.add();
+        Core.model.userModelManager.getUserByUsername(username, function(err, user) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Store the user if it exists
+            if(user !== null)
+                users[username] = user;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Call back the users
+    latch.then(function() {
+        if(!calledBack)
+            callback(null, users);
+        calledBack = true;
+    });
+};
+
+/**
+ * Restore an uploaded file from an archive into the upload directory, under a new random name.
+ *
+ * @param {Object} archive Archive object.
+ * @param {string|null} archivedName Name of the file in the archive, or null.
+ * @param {function} callback Called with the new file name, null if the file isn't available, or when an error occurred.
+ */
+GameImporter.restoreFile = function(archive, archivedName, callback) {
+    // Call back null if the archive doesn't contain the file
+    if(archivedName === null || !_.has(archive.files, archivedName)) {
+        callback(null, null);
+        return;
+    }
+
+    // Generate a random name to store the file with
+    var fileName = FileStorage.generateName(archivedName);
+
+    // Store the file
+    Core.fileStorage.write(fileName, Buffer.from(archive.files[archivedName], 'base64'), function(err) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the file name
+        callback(null, fileName);
+    });
+};
+
+/**
+ * Restore the revisions of an archived submission, along with their uploaded files.
+ *
+ * @param {Object} archive Archive object.
+ * @param {Array|undefined} archivedRevisions Archived revisions, undefined for archives of older versions.
+ * @param {function} callback Called with the restored revisions, or when an error occurred.
+ */
+GameImporter.restoreRevisions = function(archive, archivedRevisions, callback) {
+    // Archives of older versions don't have revisions
+    if(!_.isArray(archivedRevisions))
+        archivedRevisions = [];
+
+    // Create the list of revisions, and a callback latch
+    var revisions = new Array(archivedRevisions.length);
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Restore each revision
+    archivedRevisions.forEach(function(revision, i) {
+        // Restore the uploaded file
+        latch.add();
+        GameImporter.restoreFile(archive, revision.answer_file, function(err, fileName) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Create the revision
+            revisions[i] = SubmissionRevision.create(revision.answer_text, fileName, revision.approve_state,
+                revision.feedback, revision.awarded_points, new Date(revision.date));
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Call back the revisions when done
+    latch.then(function() {
+        if(!calledBack)
+            callback(null, revisions);
+        calledBack = true;
+    });
+};
+
+// Export the class
+module.exports = GameImporter;
@@ -0,0 +1,539 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Coordinate = require('./Coordinate');
+var Validator = require('../validator/Validator');
+
+/**
+ * PointFile class.
+ * Used to read and write points from and to GPX, GeoJSON and KML files.
+ *
+ * @class
+ * @constructor
+ */
+var PointFile = function() {};
+
+/**
+ * GPX format, points are stored as waypoints.
+ *
+ * @type {string}
+ */
+PointFile.FORMAT_GPX = 'gpx';
+
+/**
+ * GeoJSON format, points are stored as point features.
+ *
+ * @type {string}
+ */
+PointFile.FORMAT_GEOJSON = 'geojson';
+
+/**
+ * KML format, points are stored as placemarks.
+ *
+ * @type {string}
+ */
+PointFile.FORMAT_KML = 'kml';
+
+/**
+ * List of supported formats.
+ *
+ * @type {Array}
+ */
+PointFile.FORMATS = [PointFile.FORMAT_GPX, PointFile.FORMAT_GEOJSON, PointFile.FORMAT_KML];
+
+/**
+ * MIME type for each format.
+ *
+ * @type {Object}
+ */
+PointFile.MIME_TYPES = {
+    gpx: 'application/gpx+xml',
+    geojson: 'application/geo+json',
+    kml: 'application/vnd.google-earth.kml+xml'
+};
+
+/**
+ * Check whether the given format is supported.
+ *
+ * @param {string} format Format.
+ *
+ * @return {boolean} True if the format is supported, false if not.
+ */
+PointFile.isValidFormat = (format) => _.includes(PointFile.FORMATS, format);
+
+/**
+ * Detect the format of a file, based on its name and contents.
+ *
+ * @param {string} fileName Name of the file.
+ * @param {string} content File contents.
+ *
+ * @return {string|null} Detected format, or null if the format is unknown.
+ */
+PointFile.detectFormat = function(fileName, content) {
+    // Detect the format from the file extension
+    var ext = _.isString(fileName) ? fileName.trim().split('.').pop().toLowerCase() : '';
+    if(ext === 'gpx')
+        return PointFile.FORMAT_GPX;
+    if(ext === 'geojson' || ext === 'json')
+        return PointFile.FORMAT_GEOJSON;
+    if(ext === 'kml')
+        return PointFile.FORMAT_KML;
+
+    // Detect the format from the contents
+    if(!_.isString(content))
+        return null;
+    content = content.trim();
+    if(_.startsWith(content, '{'))
+        return PointFile.FORMAT_GEOJSON;
+    if(/<gpx[\s>]/i.test(content))
+        return PointFile.FORMAT_GPX;
+    if(/<kml[\s>]/i.test(content))
+        return PointFile.FORMAT_KML;
+    return null;
+};
+
+/**
+ * Parse the points from a file.
+ * The name and location of each point is validated, invalid points are counted but not returned.
+ * Points without a name are given a numbered default name.
+ *
+ * @param {string} content File contents.
+ * @param {string} format File format.
+ *
+ * @return {{points: Array, invalid: int}|null} Object with an array of valid points, each having a name and a
+ * location coordinate, and the number of invalid points. Null if the file couldn't be parsed.
+ */
+PointFile.parse = function(content, format) {
+    // Parse the raw points
+    var raw;
+    if(format === PointFile.FORMAT_GPX)
+        raw = PointFile._parseGpx(content);
+    else if(format === PointFile.FORMAT_GEOJSON)
+        raw = PointFile._parseGeoJson(content);
+    else if(format === PointFile.FORMAT_KML)
+        raw = PointFile._parseKml(content);
+    else
+        return null;
+
+    // Return null if the file couldn't be parsed
+    if(raw === null)
+        return null;
+
+    // Create the result object
+    var result = {
+        points: [],
+        invalid: 0
+    };
+
+    // Validate the points
+    raw.forEach(function(point, i) {
+        // Use a default name if none is given
+        var name = _.isString(point.name) && point.name.trim().length > 0 ? point.name : 'Punt ' + (i + 1);
+
+        // Validate the name and location
+        if(!Validator.isValidPointName(name) || !Validator.isValidLatitude(point.latitude) || !Validator.isValidLongitude(point.longitude)) {
+            result.invalid++;
+            return;
+        }
+
+        // Add the point
+        result.points.push({
+            name: Validator.formatPointName(name),
+            location: new Coordinate({
+                latitude: Validator.parseLatitude(point.latitude),
+                longitude: Validator.parseLongitude(point.longitude)
+            })
+        });
+    });
+
+    // Return the result
+    return result;
+};
+
+/**
+ * Write points to a file in the given format.
+ *
+ * @param {Array} points Array of points, each having a name and a location coordinate.
+ * @param {string} format File format.
+ * @param {string} title Title of the collection of points, such as the game name.
+ *
+ * @return {string|null} File contents, or null if the format isn't supported.
+ */
+PointFile.write = function(points, format, title) {
+    if(format === PointFile.FORMAT_GPX)
+        return PointFile._writeGpx(points, title);
+    else if(format === PointFile.FORMAT_GEOJSON)
+        return PointFile._writeGeoJson(points, title);
+    else if(format === PointFile.FORMAT_KML)
+        return PointFile._writeKml(points, title);
+    return null;
+};
+
+/**
+ * Get the file name to use for a points file of the given game.
+ *
+ * @param {string} gameName Name of the game.
+ * @param {string} format File format.
+ *
+ * @return {string} File name.
+ */
+PointFile.getFileName = function(gameName, format) {
+    // Replace characters that aren't safe in file names
+    var name = gameName.trim().replace(/[^a-z0-9_\-]+/gi, '-').replace(/^-+|-+$/g, '');
+
+    // Build the file name
+    return (name.length > 0 ? name : 'punten') + '.' + format;
+};
+
+/**
+ * Parse the raw points from a GPX file.
+ * Both waypoints and route points are used.
+ *
+ * @param {string} content File contents.
+ *
+ * @return {Array|null} Array of raw points, or null if the file is invalid.
+ * @private
+ */
+PointFile._parseGpx = function(content) {
+    // Make sure this is a GPX file
+    if(!_.isString(content) || !/<gpx[\s>]/i.test(content))
+        return null;
+
+    // Find all waypoints and route points
+    return PointFile._findXmlElements(content, ['wpt', 'rtept']).map((element) => ({
+        name: PointFile._getXmlElement(element.content, 'name'),
+        latitude: PointFile._getXmlAttribute(element.attributes, 'lat'),
+        longitude: PointFile._getXmlAttribute(element.attributes, 'lon')
+    }));
+};
+
+/**
+ * Parse the raw points from a KML file.
+ * Only placemarks with a point geometry are used.
+ *
+ * @param {string} content File contents.
+ *
+ * @return {Array|null} Array of raw points, or null if the file is invalid.
+ * @private
+ */
+PointFile._parseKml = function(content) {
+    // Make sure this is a KML file
+    if(!_.isString(content) || !/<kml[\s>]/i.test(content))
+        return null;
+
+    // Find all placemarks
+    var points = [];
+    PointFile._findXmlElements(content, ['Placemark']).forEach(function(placemark) {
+        // Get the point geometry, skip placemarks without one
+        var point = PointFile._findXmlElements(placemark.content, ['Point'], 1)[0];
+        if(point === undefined)
+            return;
+
+        // Get the coordinates, formatted as longitude,latitude[,altitude]
+        var coordinates = (PointFile._getXmlElement(point.content, 'coordinates') || '').trim().split(',');
+        points.push({
+            name: PointFile._getXmlElement(placemark.content.substring(0, point.start) + placemark.content.substring(point.end), 'name'),
+            latitude: coordinates.length >= 2 ? coordinates[1].trim() : null,
+            longitude: coordinates[0].trim()
+        });
+    });
+    return points;
+};
+
+/**
+ * Parse the raw points from a GeoJSON file.
+ * Point and multi point geometries are used, other geometries are ignored.
+ *
+ * @param {string} content File contents.
+ *
+ * @return {Array|null} Array of raw points, or null if the file is invalid.
+ * @private
+ */
+PointFile._parseGeoJson = function(content) {
+    // Parse the JSON
+    var geoJson;
+    try {
+        geoJson = JSON.parse(content);
+    } catch(err) {
+        return null;
+    }
+
+    // Get the list of features
+    var features;
+    if(_.isPlainObject(geoJson) && geoJson.type === 'FeatureCollection' && _.isArray(geoJson.features))
+        features = geoJson.features;
+    else if(_.isPlainObject(geoJson) && geoJson.type === 'Feature')
+        features = [geoJson];
+    else
+        return null;
+
+    // Convert a position array to a raw point
+    const toPoint = (position, name) => ({
+        name,
+        latitude: _.isArray(position) && _.isNumber(position[1]) ? position[1].toString() : null,
+        longitude: _.isArray(position) && _.isNumber(position[0]) ? position[0].toString() : null
+    });
+
+    // Collect the points of all features
+    var points = [];
+    features.forEach(function(feature) {
+        // Skip features without a geometry
+        if(!_.isPlainObject(feature) || !_.isPlainObject(feature.geometry))
+            return;
+
+        // Get the name of the feature
+        var properties = _.isPlainObject(feature.properties) ? feature.properties : {};
+        var name = _.isString(properties.name) ? properties.name : (_.isString(properties.title) ? properties.title : null);
+
+        // Add the points
+        if(feature.geometry.type === 'Point')
+            points.push(toPoint(feature.geometry.coordinates, name));
+        else if(feature.geometry.type === 'MultiPoint' && _.isArray(feature.geometry.coordinates))
+            feature.geometry.coordinates.forEach((position) => points.push(toPoint(position, name)));
+    });
+    return points;
+};
+
+/**
+ * Write points to a GPX file, as waypoints.
+ *
+ * @param {Array} points Array of points.
+ * @param {string} title Title.
+ *
+ * @return {string} File contents.
+ * @private
+ */
+PointFile._writeGpx = function(points, title) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<gpx version="1.1" creator="Maris" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+        '  <metadata><name>' + PointFile._encodeXml(title) + '</name></metadata>\n' +
+        points.map((point) =>
+            '  <wpt lat="' + point.location.latitude + '" lon="' + point.location.longitude + '">' +
+            '<name>' + PointFile._encodeXml(point.name) + '</name></wpt>\n'
+        ).join('') +
+        '</gpx>\n';
+};
+
+/**
+ * Write points to a KML file, as placemarks.
+ *
+ * @param {Array} points Array of points.
+ * @param {string} title Title.
+ *
+ * @return {string} File contents.
+ * @private
+ */
+PointFile._writeKml = function(points, title) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+        '  <Document>\n' +
+        '    <name>' + PointFile._encodeXml(title) + '</name>\n' +
+        points.map((point) =>
+            '    <Placemark><name>' + PointFile._encodeXml(point.name) + '</name>' +
+            '<Point><coordinates>' + point.location.longitude + ',' + point.location.latitude + '</coordinates></Point>' +
+            '</Placemark>\n'
+        ).join('') +
+        '  </Document>\n' +
+        '</kml>\n';
+};
+
+/**
+ * Write points to a GeoJSON file, as a feature collection of points.
+ *
+ * @param {Array} points Array of points.
+ * @param {string} title Title.
+ *
+ * @return {string} File contents.
+ * @private
+ */
+PointFile._writeGeoJson = function(points, title) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        name: title,
+        features: points.map((point) => ({
+            type: 'Feature',
+            properties: {
+                name: point.name
+            },
+            geometry: {
+                type: 'Point',
+                coordinates: [point.location.longitude, point.location.latitude]
+            }
+        }))
+    }, null, 2);
+};
+
+/**
+ * Get the value of an attribute from an XML attribute string.
+ *
+ * @param {string} attributes Attribute string of an element.
+ * @param {string} name Attribute name.
+ *
+ * @return {string|null} Attribute value, or null if not found.
+ * @private
+ */
+PointFile._getXmlAttribute = function(attributes, name) {
+    var match = new RegExp('\\b' + name + '\\s*=\\s*("([^"]*)"|\'([^\']*)\')', 'i').exec(attributes);
+    if(match === null)
+        return null;
+    return PointFile._decodeXml(match[2] !== undefined ? match[2] : match[3]);
+};
+
+/**
+ * Get the contents of the first child element with the given name from an XML string.
+ *
+ * @param {string|undefined} xml XML string.
+ * @param {string} name Element name.
+ * @param {boolean} [raw=false] True to return the raw XML contents, false to return decoded text.
+ *
+ * @return {string|null} Element contents, or null if not found.
+ * @private
+ */
+PointFile._getXmlElement = function(xml, name, raw) {
+    // Return null if there's no XML
+    if(!_.isString(xml))
+        return null;
+
+    // Find the element
+    var element = PointFile._findXmlElements(xml, [name], 1)[0];
+    if(element === undefined)
+        return null;
+    return raw ? element.content : PointFile._decodeXml(element.content).trim();
+};
+
+/**
+ * Find the elements with one of the given names in an XML string, in a single pass.
+ * Elements can't be nested in an element with the same name. Elements that aren't closed are skipped.
+ *
+ * @param {string} xml XML string.
+ * @param {string[]} names Element names.
+ * @param {Number} [limit] Maximum number of elements to find.
+ *
+ * @return {{name: string, attributes: string, content: string, start: Number, end: Number}[]} Elements found, with
+ * the position of the whole element in the XML string.
+ * @private
+ */
+PointFile._findXmlElements = function(xml, names, limit) {
+    var elements = [];
+
+    // Names of elements that aren't closed anywhere after the current position
+    var unclosed = {};
+
+    // Find the opening tags, attributes can't contain angle brackets so the pattern never scans beyond the next tag
+    var openRegex = new RegExp('<(' + names.join('|') + ')\\b([^<>]*?)(/?)>', 'gi');
+    var match;
+    while((limit === undefined || elements.length < limit) && (match = openRegex.exec(xml)) !== null) {
+        // Use the name as specified, since names are matched case insensitively
+        var name = _.find(names, (name) => name.toLowerCase() === match[1].toLowerCase());
+
+        // Add self closing elements
+        if(match[3] === '/') {
+            elements.push({name, attributes: match[2], content: '', start: match.index, end: openRegex.lastIndex});
+            continue;
+        }
+
+        // Skip elements we know aren't closed
+        if(unclosed[name])
+            continue;
+
+        // Find the closing tag, remember elements that aren't closed so we don't search again
+        var closeRegex = new RegExp('</' + name + '\\s*>', 'gi');
+        closeRegex.lastIndex = openRegex.lastIndex;
+        var close = closeRegex.exec(xml);
+        if(close === null) {
+            unclosed[name] = true;
+            continue;
+        }
+
+        // Add the element, and continue after it
+        elements.push({
+            name,
+            attributes: match[2],
+            content: xml.substring(openRegex.lastIndex, close.index),
+            start: match.index,
+            end: closeRegex.lastIndex
+        });
+        openRegex.lastIndex = closeRegex.lastIndex;
+    }
+
+    return elements;
+};
+
+/**
+ * Decode XML text, resolving CDATA sections and entities.
+ *
+ * @param {string} text XML text.
+ *
+ * @return {string} Decoded text.
+ * @private
+ */
+PointFile._decodeXml = function(text) {
+    // Unwrap CDATA sections, they don't contain entities
+    var parts = text.split(/<!\[CDATA\[([\s\S]*?)\]\]>/);
+    return parts.map((part, i) => i % 2 === 1 ? part : part
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => PointFile._decodeCodePoint(match, parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, dec) => PointFile._decodeCodePoint(match, parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&')
+    ).join('');
+};
+
+/**
+ * Decode the code point of a numeric XML character reference.
+ * Invalid code points, such as surrogates, aren't decoded and the reference is kept as it is.
+ *
+ * @param {string} reference Character reference.
+ * @param {Number} codePoint Code point.
+ *
+ * @return {string} Decoded character.
+ * @private
+ */
+PointFile._decodeCodePoint = function(reference, codePoint) {
+    if(codePoint <= 0 || codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF))
+        return reference;
+    return String.fromCodePoint(codePoint);
+};
+
+/**
+ * Encode text to use it in XML.
+ *
+ * @param {string} text Text.
+ *
+ * @return {string} Encoded text.
+ * @private
+ */
+PointFile._encodeXml = function(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+};
+
+// Export the class
+module.exports = PointFile;
@@ -26,10 +26,13 @@ var _ = require('lodash');
 
 var config = require('../../config');
 
+var Core = require('../../Core');
 var CallbackLatch = require('../util/CallbackLatch');
 var ObjectCache = require('../cache/ObjectCache');
 var MongoUtils = require('../mongo/MongoUtils');
 var RedisUtils = require('../redis/RedisUtils');
+var RedisPubSub = require('../redis/RedisPubSub');
+var Metrics = require('../metrics/Metrics');
 
 /**
  * Cache key prefix for database object layer instances.
@@ -88,6 +91,7 @@ var BaseModel = function(instance, modelConfig) {
 BaseModel.prototype.getField = function(field, callback) {
     // Get the fields from cache
     var value = this.cacheGetField(field);
+    Metrics.countCacheLookup('object', value !== undefined);
 
     // Call back the value if it isn't undefined
     if(value !== undefined) {
@@ -115,6 +119,9 @@ BaseModel.prototype.getField = function(field, callback) {
                 console.warn(err);
 
             } else {
+                // Count the lookup
+                Metrics.countCacheLookup('redis', value !== null);
+
                 // Call back the value if it isn't undefined, and if no error occurred
                 if(value !== null) {
                     // Call back
@@ -219,6 +226,9 @@ BaseModel.prototype.getFields = function(fields, callback) {
             fieldQueue = field;
     }
 
+    // Count the lookup, it's a hit if all fields were cached
+    Metrics.countCacheLookup('object', fieldQueue.length === 0);
+
     // Call back if the field queue is empty, since we successfully fetched all data
     if(fieldQueue.length === 0) {
         callback(null, results);
@@ -263,6 +273,9 @@ BaseModel.prototype.getFields = function(fields, callback) {
                         fieldQueue.push(field);
                 }
 
+                // Count the lookup, it's a hit if all remaining fields were cached
+                Metrics.countCacheLookup('redis', fieldQueue.length === 0);
+
                 // Create a task to cache the values in the local object cache
                 cacheTasks.push(function(completeTask) {
                     // Set the fields in cache
@@ -418,9 +431,12 @@ BaseModel.prototype.setField = function(field, value, callback) {
         });
     }
 
-    // Call back if the latch is fully resolved
-    if(callback !== undefined)
-        latch.then(() => callback(null));
+    // Flush the field in other worker threads when it's set, and call back
+    latch.then(function() {
+        self.cacheBroadcastFlush(field);
+        if(callback !== undefined)
+            callback(null);
+    });
 
     // Set the field in the local object cache
     this.cacheSetField(field, value);
@@ -497,9 +513,12 @@ BaseModel.prototype.setFields = function(fields, callback) {
         });
     }
 
-    // Call back if the latch is fully resolved
-    if(callback !== undefined)
-        latch.then(() => callback(null));
+    // Flush the fields in other worker threads when they're set, and call back
+    latch.then(function() {
+        self.cacheBroadcastFlush(Object.keys(fields));
+        if(callback !== undefined)
+            callback(null);
+    });
 
     // Set the field in the local object cache
     this.cacheSetFields(fields);
@@ -822,8 +841,8 @@ BaseModel.prototype.flushCache = function(fields, callback) {
     else if(callback !== undefined)
         callback(null);
 
-    // Flush the local object cache
-    this.cacheFlush(fields);
+    // Flush the local object cache, also in other worker threads
+    this.cacheFlush(fields, true);
 };
 
 /**
@@ -912,8 +931,14 @@ BaseModel.prototype.mongoGetFields = function(fields, callback) {
     // Make sure we only call back once
     var calledBack = false;
 
+    // Measure the duration of the call
+    const stopTimer = Metrics.startModelCallTimer('mongo', 'get');
+
     // Fetch the field from MongoDB
     mongo.collection(this._modelConfig.mongo.collection).find(queryObject, projectionObject).toArray(function(err, reply) {
+        // Record the duration of the call
+        stopTimer();
+
         // Call back errors
         if(err !== null) {
             if(!calledBack)
@@ -1041,8 +1066,14 @@ BaseModel.prototype.mongoSetFields = function(fields, callback) {
         $set: data
     };
 
+    // Measure the duration of the call
+    const stopTimer = Metrics.startModelCallTimer('mongo', 'set');
+
     // Fetch the field from MongoDB
     mongo.collection(this._modelConfig.mongo.collection).updateOne(queryObject, updateObject, function(err) {
+        // Record the duration of the call
+        stopTimer();
+
         // Call back errors
         if(err !== null) {
             // Encapsulate the error
@@ -1134,8 +1165,14 @@ BaseModel.prototype.mongoHasFields = function(fields, callback) {
         _id: true
     };
 
+    // Measure the duration of the call
+    const stopTimer = Metrics.startModelCallTimer('mongo', 'has');
+
     // Fetch the field from MongoDB
     mongo.collection(this._modelConfig.mongo.collection).find(queryObject, projectionObject).toArray(function(err, data) {
+        // Record the duration of the call
+        stopTimer();
+
         // Call back errors
         if(err !== null) {
             callback(new Error(err), false);
@@ -1175,9 +1212,15 @@ BaseModel.prototype.mongoFlush = function(fields, callback) {
 
     // Check whether to delete the whole document for this model object
     if(fields === undefined || (Array.isArray(fields) && fields.length === 0)) {
+        // Measure the duration of the call
+        const stopDeleteTimer = Metrics.startModelCallTimer('mongo', 'flush');
+
         // Delete the document
         // Delete the document from MongoDB
         mongo.collection(this._modelConfig.mongo.collection).deleteOne(queryObject, function(err) {
+            // Record the duration of the call
+            stopDeleteTimer();
+
             // Call back errors
             if(err !== null) {
                 // Encapsulate the error
@@ -1228,8 +1271,14 @@ BaseModel.prototype.mongoFlush = function(fields, callback) {
         $unset: updateFieldsObject
     };
 
+    // Measure the duration of the call
+    const stopTimer = Metrics.startModelCallTimer('mongo', 'flush');
+
     // Delete the field from MongoDB
     mongo.collection(this._modelConfig.mongo.collection).updateOne(queryObject, updateObject, function(err) {
+        // Record the duration of the call
+        stopTimer();
+
         // Call back errors
         if(err !== null) {
             // Encapsulate the error
@@ -1409,9 +1458,6 @@ BaseModel.prototype.cacheSetFields = function(fields) {
 
     // Push the cache object to the object's cache
     this._cache.setCacheMultiple(cacheObject);
-
-    // TODO: Push a message to the master thread using process.send(data)
-    // TODO: Push a message through Redis to update the internal cache in other worker threads.
 };
 
 /**
@@ -1460,9 +1506,9 @@ BaseModel.prototype.cacheHasFields = function(fields) {
  * If field names are given, only those specific fields will be flushed.
  *
  * @param {Array|String} [fields=undefined] An array with field names or a specific field name to flush, undefined to flush all cache.
+ * @param {boolean} [broadcast=false] True to also flush the cache in other worker threads, false to just flush it in this thread.
  */
-// TODO: Add a property to define whether to flush cache in other worker threads, or just in this thread.
-BaseModel.prototype.cacheFlush = function(fields) {
+BaseModel.prototype.cacheFlush = function(fields, broadcast) {
     // Return if internal cache is diabled
     if(!config.cache.enable)
         return false;
@@ -1470,7 +1516,50 @@ BaseModel.prototype.cacheFlush = function(fields) {
     // Flush the cache
     this._cache.flushCache(fields);
 
-    // TODO: Flush all cache in other worker threads!
+    // Flush the cache in other worker threads
+    if(broadcast)
+        this.cacheBroadcastFlush(fields);
+};
+
+/**
+ * Flush the cached fields of this model in other worker threads, because the fields have changed.
+ * This doesn't flush the cache in this thread.
+ *
+ * @param {Array|String} [fields=undefined] An array with field names or a specific field name to flush, undefined to flush all cache.
+ */
+BaseModel.prototype.cacheBroadcastFlush = function(fields) {
+    // Return if internal cache is disabled
+    if(!config.cache.enable)
+        return;
+
+    // Publish the flush to other worker threads
+    RedisPubSub.publish(REDIS_CACHE_BROADCAST_CHANNEL_NAME, {
+        collection: this._modelConfig.mongo.collection,
+        id: this._instance.getIdHex(),
+        fields: fields !== undefined ? fields : null
+    });
+};
+
+/**
+ * Listen for cache flushes broadcasted by other worker threads, and flush the cache of the local model instances.
+ */
+BaseModel.listenCacheBroadcasts = function() {
+    RedisPubSub.subscribe(REDIS_CACHE_BROADCAST_CHANNEL_NAME, function(data) {
+        // Make sure the message is valid
+        if(!_.isObject(data) || !_.isString(data.collection) || !_.isString(data.id))
+            return;
+
+        // Find the loaded model instance in the model managers, and flush its cache
+        _.forOwn(Core.model, function(modelManager) {
+            // Get the loaded instance, and make sure it's stored in the same collection
+            const instance = _.has(modelManager, '_instanceManager') ? modelManager._instanceManager.get(data.id) : undefined;
+            if(instance === undefined || instance._baseModel._modelConfig.mongo.collection !== data.collection)
+                return;
+
+            // Flush the cache in this thread only
+            instance._baseModel.cacheFlush(data.fields !== null ? data.fields : undefined);
+        });
+    });
 };
 
 /**
@@ -1589,8 +1678,14 @@ BaseModel.prototype.redisGetField = function(field, callback) {
     // Store the class instance
     const self = this;
 
+    // Measure the duration of the call
+    const stopTimer = Metrics.startModelCallTimer('redis', 'get');
+
     // Fetch the value from Redis
     redis.get(key, function(err, value) {
+        // Record the duration of the call
+        stopTimer();
+
         // Handle errors
         // TODO: Is it possible to only check for null, and not for undefined?
         if(err !== undefined && err !== null) {
@@ -1675,8 +1770,14 @@ BaseModel.prototype.redisGetFields = function(fields, callback) {
         // Add a latch for the Redis command
         latch.add();
 
+        // Measure the duration of the call
+        const stopTimer = Metrics.startModelCallTimer('redis', 'get');
+
         // Fetch the values from Redis
         redis.mget(redisKeys, function(err, reply) {
+            // Record the duration of the call
+            stopTimer();
+
             // Handle errors
             // TODO: Is it possible to only check for null, and not for undefined?
             if(err !== undefined && err !== null) {
@@ -1777,8 +1878,14 @@ BaseModel.prototype.redisSetField = function(field, value, callback) {
         // Convert the value
         value = this._modelConfig.fields[field].redis.to(value);
 
+    // Measure the duration of the call
+    const stopTimer = Metrics.startModelCallTimer('redis', 'set');
+
     // Set the field and it's TTL
     redis.setex(key, config.redis.cacheExpire, value, function(err) {
+        // Record the duration of the call
+        stopTimer();
+
         // Call back if an error occurred
         if(err !== null) {
             // Encapsulate the error
@@ -1861,8 +1968,14 @@ BaseModel.prototype.redisSetFields = function(fields, callback) {
         return;
     }
 
+    // Measure the duration of the call
+    const stopTimer = Metrics.startModelCallTimer('redis', 'set');
+
     // Set the Redis data
     redis.mset(redisData, function(err) {
+        // Record the duration of the call
+        stopTimer();
+
         // Call back if an error occurred
         if(err !== null) {
             // Encapsulate the error
@@ -1968,8 +2081,14 @@ BaseModel.prototype.redisHasFields = function(fields, callback) {
     // Get the Redis connection instance
     var redis = RedisUtils.getConnection();
 
+    // Measure the duration of the call
+    const stopTimer = Metrics.startModelCallTimer('redis', 'has');
+
     // Check whether the keys are available in Redis
     redis.exists(keys, function(err, reply) {
+        // Record the duration of the call
+        stopTimer();
+
         // Call back if an error occurred
         if(err !== null) {
             callback(new Error(err));
@@ -2031,8 +2150,14 @@ BaseModel.prototype.redisFlush = function(fields, callback) {
         // Push the base wildcard key into the array of keys
         keys.push(this.redisGetKeyRoot() + ':*');
 
+    // Measure the duration of the call
+    const stopTimer = Metrics.startModelCallTimer('redis', 'flush');
+
     // Flush the list of keys from Redis
     RedisUtils.flushKeys(keys, function(err, keyCount) {
+        // Record the duration of the call
+        stopTimer();
+
         // Call back errors
         if(err !== null) {
             if(callback !== undefined)
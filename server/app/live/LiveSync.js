@@ -0,0 +1,239 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var mongo = require('mongodb');
+var ObjectId = mongo.ObjectId;
+
+var Core = require('../../Core');
+var Coordinate = require('../coordinate/Coordinate');
+var RedisPubSub = require('../redis/RedisPubSub');
+
+/**
+ * Pub/sub channel the live state changes are shared on.
+ *
+ * @type {string}
+ */
+const CHANNEL = 'live';
+
+/**
+ * LiveSync class.
+ * Shares changes to the live game state with the other workers, so each worker has the same in-memory state.
+ * The worker that makes a change sends the related packets to the users, the other workers only update their state.
+ *
+ * @class
+ * @constructor
+ */
+var LiveSync = function() {};
+
+/**
+ * The location of a user changed.
+ * Data: {game, user, location, time}
+ *
+ * @type {string}
+ */
+LiveSync.USER_LOCATION = 'userLocation';
+
+/**
+ * A client replayed a location of a user that is older than the last known location, and was added to the trail.
+ * Data: {game, user, location, time}
+ *
+ * @type {string}
+ */
+LiveSync.USER_TRAIL = 'userTrail';
+
+/**
+ * A user came in range, or went out of range of a point.
+ * Data: {game, point, user, inRange}
+ *
+ * @type {string}
+ */
+LiveSync.POINT_RANGE = 'pointRange';
+
+/**
+ * A user checked in at a point.
+ * Data: {game, point, user, time}
+ *
+ * @type {string}
+ */
+LiveSync.POINT_CHECK_IN = 'pointCheckIn';
+
+/**
+ * The assignments of a user or team at a point changed.
+ * Data: {game, point, key, assignments}
+ *
+ * @type {string}
+ */
+LiveSync.POINT_USER_ASSIGNMENTS = 'pointUserAssignments';
+
+/**
+ * The stage of a game changed.
+ * Data: {game, stage}
+ *
+ * @type {string}
+ */
+LiveSync.GAME_STAGE = 'gameStage';
+
+/**
+ * Share a change of the live state with the other workers.
+ *
+ * @param {string} type Change type.
+ * @param {Object} data Change data, must contain the hexadecimal ID of the game as game property.
+ * @return {boolean} True if the change was published, false if not.
+ */
+LiveSync.publish = function(type, data) {
+    return RedisPubSub.publish(CHANNEL, _.assign({type}, data));
+};
+
+/**
+ * Start applying changes made by other workers.
+ */
+LiveSync.listen = function() {
+    RedisPubSub.subscribe(CHANNEL, function(data) {
+        LiveSync.apply(data, function(err) {
+            // Show errors in the console
+            if(err !== null) {
+                console.error('Failed to apply live state change from another worker, ignoring.');
+                console.error(err);
+            }
+        });
+    });
+};
+
+/**
+ * Apply a change of the live state that was made by another worker.
+ * Changes for games that aren't active are ignored.
+ *
+ * @param {Object} data Change data.
+ * @param {LiveSync~applyCallback} callback Called when the change is applied, or when an error occurred.
+ */
+LiveSync.apply = function(data, callback) {
+    // Make sure the change is valid
+    if(!_.isObject(data) || !_.isString(data.type) || !_.isString(data.game) || !ObjectId.isValid(data.game)) {
+        callback(new Error('Invalid live state change.'));
+        return;
+    }
+
+    // Apply game stage changes
+    if(data.type === LiveSync.GAME_STAGE) {
+        Core.model.gameModelManager.getGameById(data.game, function(err, game) {
+            // Call back errors
+            if(err !== null || game === null) {
+                callback(err);
+                return;
+            }
+
+            // Apply the stage without storing it again
+            Core.gameManager.applyGameStage(game, data.stage, callback);
+        });
+        return;
+    }
+
+    // Get the live game, this loads the game if it isn't loaded on this worker yet
+    Core.gameManager.getGame(data.game, function(err, liveGame) {
+        // Call back errors, and ignore games that aren't active
+        if(err !== null || liveGame === null) {
+            callback(err);
+            return;
+        }
+
+        // Get the live point for changes related to a point
+        var livePoint = null;
+        if(data.type !== LiveSync.USER_LOCATION && data.type !== LiveSync.USER_TRAIL) {
+            livePoint = _.isString(data.point) && ObjectId.isValid(data.point) ? liveGame.pointManager.getLoadedPoint(data.point) : null;
+            if(livePoint === null) {
+                callback(null);
+                return;
+            }
+        }
+
+        // Apply changes of user assignments, which don't need the live user
+        if(data.type === LiveSync.POINT_USER_ASSIGNMENTS) {
+            if(_.isString(data.key) && (_.isArray(data.assignments) || data.assignments === null))
+                livePoint.setUserAssignmentMemory(data.key, data.assignments !== null ? data.assignments.map((id) => new ObjectId(id)) : null);
+            callback(null);
+            return;
+        }
+
+        // Get the live user
+        liveGame.getUser(data.user, function(err, liveUser) {
+            // Call back errors, and ignore users that aren't active
+            if(err !== null || liveUser === null) {
+                callback(err);
+                return;
+            }
+
+            // Apply the change
+            switch(data.type) {
+                case LiveSync.USER_LOCATION:
+                    // Parse the location
+                    var location = _.isObject(data.location) ? Coordinate.parse(data.location) : null;
+                    if(location === null) {
+                        callback(new Error('Invalid location.'));
+                        return;
+                    }
+
+                    // Set the location, and update whether the user is inside the play area without notifying anybody
+                    liveUser.setLocation(location, _.isFinite(data.time) ? new Date(data.time) : undefined);
+                    liveUser.updateAreaState((err) => callback(err));
+                    return;
+
+                case LiveSync.USER_TRAIL:
+                    // Parse the location and time
+                    var trailLocation = _.isObject(data.location) ? Coordinate.parse(data.location) : null;
+                    if(trailLocation === null || !_.isFinite(data.time)) {
+                        callback(new Error('Invalid location.'));
+                        return;
+                    }
+
+                    // Add the location to the trail
+                    liveUser.addTrailLocation(trailLocation, new Date(data.time));
+                    break;
+
+                case LiveSync.POINT_RANGE:
+                    livePoint.setInRangeMemory(liveUser, !!data.inRange);
+                    break;
+
+                case LiveSync.POINT_CHECK_IN:
+                    livePoint.setCheckInMemory(liveUser, data.time);
+                    break;
+
+                default:
+                    callback(new Error('Unknown live state change type: ' + data.type));
+                    return;
+            }
+
+            // Call back
+            callback(null);
+        });
+    });
+};
+
+/**
+ * Called when the change is applied, or when an error occurred.
+ *
+ * @callback LiveSync~applyCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+// Export the class
+module.exports = LiveSync;
@@ -0,0 +1,159 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+/**
+ * BroadcastTarget class.
+ * Used to determine which users of a game a broadcast is sent to.
+ *
+ * A target is an object with the following properties:
+ * - type: 'all' for all users in the game, 'users' for specific users, 'teams' for the users in specific teams, or
+ *   'point' for the users near a point.
+ * - ids: Hexadecimal IDs of the users, teams or the point, depending on the type.
+ * - range: Range in meters around the point, for the 'point' type.
+ *
+ * @class
+ * @constructor
+ */
+var BroadcastTarget = function() {};
+
+/**
+ * List of valid target types.
+ *
+ * @type {string[]}
+ */
+BroadcastTarget.TYPES = ['all', 'users', 'teams', 'point'];
+
+/**
+ * Check whether the given target is valid.
+ *
+ * @param {Object} target Broadcast target.
+ *
+ * @return {string|null} Message describing why the target is invalid, or null if it is valid.
+ */
+BroadcastTarget.validate = function(target) {
+    // Validate the type
+    if(!_.includes(BroadcastTarget.TYPES, target.type))
+        return 'Ongeldige ontvangers voor de omroep.';
+
+    // Make sure the IDs are valid
+    if(target.type !== 'all' && (!_.isArray(target.ids) || !_.every(target.ids, (id) => /^[a-f0-9]{24}$/i.test(id))))
+        return 'Ongeldige ontvangers voor de omroep.';
+
+    // Validate the selected users, teams or point
+    switch(target.type) {
+        case 'users':
+            if(target.ids.length === 0)
+                return 'Selecteer ten minste één speler om de omroep naar te versturen.';
+            break;
+
+        case 'teams':
+            if(target.ids.length === 0)
+                return 'Selecteer ten minste één team om de omroep naar te versturen.';
+            break;
+
+        case 'point':
+            if(target.ids.length !== 1)
+                return 'Selecteer het punt om de omroep rondom te versturen.';
+            if(!_.isInteger(target.range) || target.range <= 0)
+                return 'Het bereik rondom het punt moet een positief aantal meters zijn.';
+            break;
+    }
+
+    return null;
+};
+
+/**
+ * Select the users a broadcast is sent to from the users in a game.
+ * Users near a point can't be selected this way, as it depends on their live location.
+ *
+ * @param {Object} target Broadcast target.
+ * @param {string[]} userIds Hexadecimal IDs of all users in the game.
+ * @param {Object} teams Object with hexadecimal user IDs as key, and the hexadecimal ID of their team as value.
+ *
+ * @return {string[]} Hexadecimal IDs of the selected users.
+ */
+BroadcastTarget.selectUserIds = function(target, userIds, teams) {
+    // Normalize the target IDs
+    const ids = _.map(target.ids, (id) => id.toLowerCase());
+
+    switch(target.type) {
+        case 'all':
+            return userIds;
+
+        case 'users':
+            return userIds.filter((userId) => _.includes(ids, userId.toLowerCase()));
+
+        case 'teams':
+            return userIds.filter((userId) => _.has(teams, userId) && _.includes(ids, teams[userId].toLowerCase()));
+
+        default:
+            return [];
+    }
+};
+
+/**
+ * Check whether a user at the given location is near the point of a target.
+ *
+ * @param {Object} target Broadcast target, of the 'point' type.
+ * @param {Coordinate|null} location Location of the user, or null if it isn't known.
+ * @param {Coordinate} pointLocation Location of the point.
+ *
+ * @return {boolean} True if the user is near the point, false if not.
+ */
+BroadcastTarget.isNearPoint = function(target, location, pointLocation) {
+    return location !== null && location !== undefined && location.isInRange(pointLocation, target.range);
+};
+
+/**
+ * Describe the given target, to show it to managers.
+ *
+ * @param {Object} target Broadcast target.
+ * @param {Object} names Object with hexadecimal user, team and point IDs as key, and their name as value.
+ *
+ * @return {string} Description.
+ */
+BroadcastTarget.describe = function(target, names) {
+    // Get the names of the selected users, teams or point
+    const selected = _.map(target.ids, (id) => _.has(names, id) ? names[id] : '?').join(', ');
+
+    switch(target.type) {
+        case 'all':
+            return 'Alle spelers';
+
+        case 'users':
+            return 'Spelers: ' + selected;
+
+        case 'teams':
+            return 'Teams: ' + selected;
+
+        case 'point':
+            return 'Binnen ' + target.range + ' meter van ' + selected;
+
+        default:
+            return 'Onbekend';
+    }
+};
+
+// Export the class
+module.exports = BroadcastTarget;
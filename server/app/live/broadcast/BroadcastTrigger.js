@@ -0,0 +1,154 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var GameSchedule = require('../game/GameSchedule');
+
+/**
+ * BroadcastTrigger class.
+ * Used to determine when a scheduled broadcast must be sent.
+ *
+ * A trigger is an object with the following properties:
+ * - type: 'now' to send right away, 'time' to send at a given time, 'start' to send after the game has started, or
+ *   'end' to send before the game finishes according to its schedule.
+ * - time: Date to send the broadcast on, for the 'now' and 'time' types.
+ * - offset: Number of minutes after the start, or before the end, for the 'start' and 'end' types.
+ *
+ * @class
+ * @constructor
+ */
+var BroadcastTrigger = function() {};
+
+/**
+ * Number of milliseconds in a minute.
+ *
+ * @type {Number}
+ */
+const MINUTE = 60 * 1000;
+
+/**
+ * List of valid trigger types.
+ *
+ * @type {string[]}
+ */
+BroadcastTrigger.TYPES = ['now', 'time', 'start', 'end'];
+
+/**
+ * Check whether the given trigger is valid.
+ *
+ * @param {Object} trigger Broadcast trigger.
+ *
+ * @return {string|null} Message describing why the trigger is invalid, or null if it is valid.
+ */
+BroadcastTrigger.validate = function(trigger) {
+    // Validate the type
+    if(!_.includes(BroadcastTrigger.TYPES, trigger.type))
+        return 'Ongeldig moment om de omroep te versturen.';
+
+    // Time triggers must have a time
+    if((trigger.type === 'now' || trigger.type === 'time') && !_.isDate(trigger.time))
+        return 'Vul een geldige datum en tijd in om de omroep op te versturen.';
+
+    // Game event triggers must have an offset
+    if((trigger.type === 'start' || trigger.type === 'end') && (!_.isInteger(trigger.offset) || trigger.offset < 0))
+        return 'Het aantal minuten moet nul of een positief aantal zijn.';
+
+    return null;
+};
+
+/**
+ * Get the date the given trigger is due on.
+ * Game event triggers are only due while the game is active.
+ *
+ * @param {Object} trigger Broadcast trigger.
+ * @param {Number} stage Current game stage.
+ * @param {Object} schedule Game schedule, see {@code GameSchedule}.
+ *
+ * @return {Date|null} Due date, or null if the trigger isn't due on any date right now.
+ */
+BroadcastTrigger.getDueDate = function(trigger, stage, schedule) {
+    switch(trigger.type) {
+        case 'now':
+        case 'time':
+            return trigger.time;
+
+        case 'start':
+            if(stage !== 1 || !_.isDate(schedule.started))
+                return null;
+            return new Date(schedule.started.getTime() + trigger.offset * MINUTE);
+
+        case 'end':
+            if(stage !== 1)
+                return null;
+            var end = GameSchedule.getEndDate(schedule);
+            return end !== null ? new Date(end.getTime() - trigger.offset * MINUTE) : null;
+
+        default:
+            return null;
+    }
+};
+
+/**
+ * Check whether the given trigger is due.
+ *
+ * @param {Object} trigger Broadcast trigger.
+ * @param {Number} stage Current game stage.
+ * @param {Object} schedule Game schedule, see {@code GameSchedule}.
+ * @param {Date} now Current date.
+ *
+ * @return {boolean} True if the broadcast must be sent, false if not.
+ */
+BroadcastTrigger.isDue = function(trigger, stage, schedule, now) {
+    const due = BroadcastTrigger.getDueDate(trigger, stage, schedule);
+    return due !== null && due.getTime() <= now.getTime();
+};
+
+/**
+ * Describe the given trigger, to show it to managers.
+ *
+ * @param {Object} trigger Broadcast trigger.
+ * @param {function} formatDate Function to format a date with.
+ *
+ * @return {string} Description.
+ */
+BroadcastTrigger.describe = function(trigger, formatDate) {
+    switch(trigger.type) {
+        case 'now':
+            return 'Direct';
+
+        case 'time':
+            return 'Op ' + formatDate(trigger.time);
+
+        case 'start':
+            return trigger.offset > 0 ? trigger.offset + ' minuten na de start' : 'Bij de start';
+
+        case 'end':
+            return trigger.offset > 0 ? trigger.offset + ' minuten voor het einde' : 'Bij het einde';
+
+        default:
+            return 'Onbekend';
+    }
+};
+
+// Export the class
+module.exports = BroadcastTrigger;
@@ -0,0 +1,430 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var ObjectId = require('mongodb').ObjectId;
+
+var Core = require('../../../Core');
+var PacketType = require('../../realtime/PacketType');
+var BroadcastDatabase = require('../../model/broadcast/BroadcastDatabase');
+var BroadcastTarget = require('./BroadcastTarget');
+var BroadcastTrigger = require('./BroadcastTrigger');
+var CallbackLatch = require('../../util/CallbackLatch');
+
+/**
+ * Broadcaster class.
+ * Used to create broadcasts, send them to their recipients once they're due, and to keep track of their receipts.
+ *
+ * @class
+ * @constructor
+ */
+var Broadcaster = function() {};
+
+/**
+ * Create a broadcast for a game.
+ * The broadcast is sent right away if its trigger is of the 'now' type.
+ *
+ * @param {GameModel} game Game to create the broadcast for.
+ * @param {UserModel} user User that creates the broadcast.
+ * @param {string} message Message to broadcast.
+ * @param {Object} target Broadcast target, see {@code BroadcastTarget}.
+ * @param {Object} trigger Broadcast trigger, see {@code BroadcastTrigger}.
+ * @param {Broadcaster~createCallback} callback Called with the broadcast or when an error occurred.
+ */
+Broadcaster.create = function(game, user, message, target, trigger, callback) {
+    BroadcastDatabase.addBroadcast(game, user, message, target, trigger, function(err, broadcast) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back if the broadcast is scheduled for later
+        if(trigger.type !== 'now') {
+            callback(null, broadcast);
+            return;
+        }
+
+        // Send the broadcast
+        Broadcaster.send(game, broadcast, (err) => callback(err, broadcast));
+    });
+};
+
+/**
+ * Called with the broadcast or when an error occurred.
+ *
+ * @callback Broadcaster~createCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} The created broadcast.
+ */
+
+/**
+ * Get the users a broadcast must be sent to.
+ *
+ * @param {GameModel} game Game the broadcast is for.
+ * @param {Object} target Broadcast target, see {@code BroadcastTarget}.
+ * @param {Broadcaster~getRecipientsCallback} callback Called with the users or when an error occurred.
+ */
+Broadcaster.getRecipients = function(game, target, callback) {
+    // Users near a point are selected by their live location
+    if(target.type === 'point') {
+        Broadcaster.getUsersNearPoint(game, target, callback);
+        return;
+    }
+
+    // Get the users in the game, and their teams
+    var users;
+    var teams;
+
+    var latch = new CallbackLatch(2);
+    var calledBack = false;
+
+    Core.model.gameUserModelManager.getGameUsers(game, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        users = result;
+        latch.resolve();
+    });
+    Core.model.gameUserModelManager.getGameUserTeams(game, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        teams = result;
+        latch.resolve();
+    });
+
+    // Select the users the broadcast is sent to
+    latch.then(function() {
+        const userIds = BroadcastTarget.selectUserIds(target, users.map((user) => user.getIdHex()), teams);
+        callback(null, users.filter((user) => _.includes(userIds, user.getIdHex())));
+    });
+};
+
+/**
+ * Called with the users or when an error occurred.
+ *
+ * @callback Broadcaster~getRecipientsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {UserModel[]=} Users to send the broadcast to.
+ */
+
+/**
+ * Get the users in a game that are near the point of the given target, based on their recent live location.
+ *
+ * @param {GameModel} game Game the broadcast is for.
+ * @param {Object} target Broadcast target, of the 'point' type.
+ * @param {Broadcaster~getRecipientsCallback} callback Called with the users or when an error occurred.
+ */
+Broadcaster.getUsersNearPoint = function(game, target, callback) {
+    // Get the live game, users only have a live location while the game is active
+    Core.gameManager.getGame(game, function(err, liveGame) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Nobody is near the point if the game isn't active
+        if(liveGame === null) {
+            callback(null, []);
+            return;
+        }
+
+        // Get the point
+        Core.model.pointModelManager.getPointById(target.ids[0], function(err, point) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Nobody is near a point that doesn't exist anymore
+            if(point === null || point === undefined) {
+                callback(null, []);
+                return;
+            }
+
+            // Get the location of the point
+            point.getLocation(function(err, pointLocation) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Select the loaded users with a recent location near the point
+                callback(null, liveGame.userManager.users
+                    .filter((liveUser) => BroadcastTarget.isNearPoint(target, liveUser.getRecentLocation(), pointLocation))
+                    .map((liveUser) => liveUser.getUserModel()));
+            });
+        });
+    });
+};
+
+/**
+ * Send a scheduled broadcast to its recipients, and create a receipt for each of them.
+ * Nothing is sent if the broadcast was sent or cancelled in the meantime.
+ *
+ * @param {GameModel} game Game the broadcast is for.
+ * @param {Object} broadcast Broadcast to send.
+ * @param {Broadcaster~sendCallback} callback Called on success or when an error occurred.
+ */
+Broadcaster.send = function(game, broadcast, callback) {
+    // Get the users to send the broadcast to
+    Broadcaster.getRecipients(game, broadcast.target, function(err, users) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Mark the broadcast as sent, stop if another worker sent it already
+        BroadcastDatabase.setSent(broadcast.id, users.map((user) => user.getId()), function(err, updated) {
+            // Call back errors
+            if(err !== null || !updated) {
+                callback(err);
+                return;
+            }
+
+            // Create the broadcast object, the broadcast ID is used as token
+            var broadcastObject = {
+                message: broadcast.message,
+                game: game.getIdHex(),
+                token: broadcast.id
+            };
+
+            // Queue the broadcast for each user, until they've read it
+            users.forEach((user) => Core.realTime.queueBroadcast(broadcastObject, user.getIdHex().toLowerCase()));
+
+            // Get the name of the game
+            game.getName(function(err, gameName) {
+                // Handle errors
+                if(err !== null)
+                    gameName = 'Unknown';
+
+                // Set the game name in the broadcast object
+                broadcastObject.gameName = gameName;
+
+                // Send a broadcast packet to all recipients, on any worker
+                users.forEach((user) => Core.realTime.packetProcessor.sendPacketUser(PacketType.BROADCAST_MESSAGE, broadcastObject, user));
+
+                // Call back
+                callback(null);
+            });
+        });
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback Broadcaster~sendCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Send all scheduled broadcasts that are due.
+ *
+ * @param {Broadcaster~sendDueCallback} [callback] Called on success or when an error occurred.
+ */
+Broadcaster.sendDue = function(callback) {
+    // Get the current date
+    const now = new Date();
+
+    // Get the scheduled broadcasts
+    BroadcastDatabase.getScheduledBroadcasts(function(err, broadcasts) {
+        // Call back errors
+        if(err !== null) {
+            if(_.isFunction(callback))
+                callback(err);
+            return;
+        }
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+        var calledBack = false;
+
+        // Loop through the broadcasts
+        broadcasts.forEach(function(broadcast) {
+            latch.add();
+
+            // Get the game of the broadcast
+            Core.model.gameModelManager.getGameById(broadcast.game, function(err, game) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack && _.isFunction(callback))
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Skip broadcasts of games that don't exist anymore
+                if(game === null) {
+                    latch.resolve();
+                    return;
+                }
+
+                // Get the stage and schedule of the game
+                var stage;
+                var schedule;
+
+                var gameLatch = new CallbackLatch(2);
+
+                game.getStage(function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack && _.isFunction(callback))
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    stage = result;
+                    gameLatch.resolve();
+                });
+                game.getSchedule(function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack && _.isFunction(callback))
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    schedule = result;
+                    gameLatch.resolve();
+                });
+
+                // Send the broadcast if it's due
+                gameLatch.then(function() {
+                    if(!BroadcastTrigger.isDue(broadcast.trigger, stage, schedule, now)) {
+                        latch.resolve();
+                        return;
+                    }
+
+                    Broadcaster.send(game, broadcast, function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack && _.isFunction(callback))
+                                callback(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        latch.resolve();
+                    });
+                });
+            });
+        });
+
+        // Call back when all due broadcasts are sent
+        latch.then(function() {
+            if(!calledBack && _.isFunction(callback))
+                callback(null);
+            calledBack = true;
+        });
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback Broadcaster~sendDueCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Mark a broadcast as delivered to the given user.
+ *
+ * @param {UserModel} user User that received the broadcast.
+ * @param {string} token Broadcast token.
+ * @param {Broadcaster~setReceiptCallback} callback Called on success or when an error occurred.
+ */
+Broadcaster.setDelivered = function(user, token, callback) {
+    // Ignore tokens that aren't a broadcast ID
+    if(!Broadcaster.isValidToken(token)) {
+        callback(null);
+        return;
+    }
+
+    // Set the delivery date
+    BroadcastDatabase.setReceipt(token, user, 'delivered', callback);
+};
+
+/**
+ * Mark a broadcast as read by the given user.
+ * The broadcast is marked as delivered as well, in case the delivery receipt got lost.
+ *
+ * @param {UserModel} user User that read the broadcast.
+ * @param {string} token Broadcast token.
+ * @param {Broadcaster~setReceiptCallback} callback Called on success or when an error occurred.
+ */
+Broadcaster.setRead = function(user, token, callback) {
+    // Ignore tokens that aren't a broadcast ID
+    if(!Broadcaster.isValidToken(token)) {
+        callback(null);
+        return;
+    }
+
+    // Set the delivery and read date
+    BroadcastDatabase.setReceipt(token, user, 'delivered', function(err) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        BroadcastDatabase.setReceipt(token, user, 'read', callback);
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback Broadcaster~setReceiptCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Check whether the given broadcast token is valid.
+ *
+ * @param {*} token Broadcast token.
+ *
+ * @return {boolean} True if the token is the ID of a broadcast, false if not.
+ */
+Broadcaster.isValidToken = function(token) {
+    return _.isString(token) && /^[a-f0-9]{24}$/i.test(token) && ObjectId.isValid(token);
+};
+
+// Export the class
+module.exports = Broadcaster;
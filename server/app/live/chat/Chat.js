@@ -0,0 +1,532 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var ObjectId = require('mongodb').ObjectId;
+
+var Core = require('../../../Core');
+var PacketType = require('../../realtime/PacketType');
+var ChatDatabase = require('../../model/chat/ChatDatabase');
+var ChatThread = require('./ChatThread');
+var ApiUtils = require('../../util/ApiUtils');
+var CallbackLatch = require('../../util/CallbackLatch');
+
+/**
+ * Chat class.
+ * Used to resolve chat threads, and to deliver chat messages, typing and read state to the player and the managers of
+ * a game on any worker.
+ *
+ * @class
+ * @constructor
+ */
+var Chat = function() {};
+
+/**
+ * Get the thread a user may chat in.
+ * Managers may chat with any user in the game, other users may only chat in their own thread.
+ *
+ * @param {GameModel} game Game.
+ * @param {UserModel} sender User that wants to chat.
+ * @param {string|undefined} rawUser Hexadecimal ID of the player the thread is with, or undefined for the own thread.
+ * @param {Chat~getThreadCallback} callback Called with the thread or when an error occurred.
+ */
+Chat.getThread = function(game, sender, rawUser, callback) {
+    // Determine whether the sender is a manager
+    game.hasManagePermission(sender, function(err, isManager) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Users chat in their own thread, unless a manager chats with another player
+        const ownThread = !_.isString(rawUser) || rawUser.toLowerCase() === sender.getIdHex().toLowerCase();
+
+        // Other users may only chat in their own thread
+        if(!ownThread && !isManager) {
+            callback(null, null);
+            return;
+        }
+
+        // Get the player of the thread
+        const getUser = (callback) => {
+            if(ownThread)
+                callback(null, sender);
+            else if(ObjectId.isValid(rawUser))
+                Core.model.userModelManager.getUserById(rawUser, callback);
+            else
+                callback(null, null);
+        };
+        getUser(function(err, user) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Make sure the user exists
+            if(user === null || user === undefined) {
+                callback(null, null);
+                return;
+            }
+
+            // Make sure the user joined the game
+            Core.model.gameUserModelManager.hasUser(game, user, {requested: false}, function(err, hasUser) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Call back the thread, managers that chat in another thread chat on behalf of the managers
+                callback(null, hasUser ? {
+                    user,
+                    fromManager: !ownThread
+                } : null);
+            });
+        });
+    });
+};
+
+/**
+ * Called with the thread or when an error occurred.
+ *
+ * @callback Chat~getThreadCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {{user: UserModel, fromManager: boolean}|null=} Thread with the player, and whether the sender acts as
+ * manager in it, or null if the sender may not chat in the requested thread.
+ */
+
+/**
+ * Get the game and the thread for a chat packet sent by a client.
+ * The packet must contain a game ID, and may contain the hexadecimal ID of the player the thread is with.
+ *
+ * @param {Object} packet Packet object.
+ * @param socket SocketIO socket the packet was received on.
+ * @param {Chat~getPacketThreadCallback} callback Called with the game and thread or when an error occurred.
+ */
+Chat.getPacketThread = function(packet, socket, callback) {
+    // Make sure the user is authenticated
+    if(!_.has(socket, 'session.valid') || !socket.session.valid) {
+        callback(null, null, null);
+        return;
+    }
+
+    // Make sure a valid game ID is given
+    if(!_.isString(packet.game) || !ObjectId.isValid(packet.game)) {
+        callback(null, null, null);
+        return;
+    }
+
+    // Get the game
+    Core.model.gameModelManager.getGameById(packet.game, function(err, game) {
+        // Call back errors
+        if(err !== null || game === null) {
+            callback(err, null, null);
+            return;
+        }
+
+        // Get the thread
+        Chat.getThread(game, socket.session.user, packet.user, (err, thread) => callback(err, game, thread));
+    });
+};
+
+/**
+ * Called with the game and thread or when an error occurred.
+ *
+ * @callback Chat~getPacketThreadCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {GameModel|null=} Game, or null if the game is invalid.
+ * @param {Object|null=} Thread, see {@code Chat.getThread}, or null if the user may not chat in the requested thread.
+ */
+
+/**
+ * Get the users that take part in the thread with a player: the player itself and the managers of the game.
+ *
+ * @param {GameModel} game Game.
+ * @param {UserModel} user Player the thread is with.
+ * @param {Chat~getRecipientsCallback} callback Called with the users or when an error occurred.
+ */
+Chat.getRecipients = function(game, user, callback) {
+    game.getManageUsers(user, function(err, managers) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the player and the managers
+        callback(null, [user].concat(managers));
+    });
+};
+
+/**
+ * Called with the users or when an error occurred.
+ *
+ * @callback Chat~getRecipientsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {UserModel[]=} Users in the thread.
+ */
+
+/**
+ * Get the names of the given users.
+ *
+ * @param {Array} userIds IDs of the users.
+ * @param {Chat~getNamesCallback} callback Called with the names or when an error occurred.
+ */
+Chat.getNames = function(userIds, callback) {
+    // Get each unique user once
+    const ids = _.uniq(userIds.map((userId) => userId.toString()));
+
+    // Get the name of each user
+    ApiUtils.serializeAll(ids, (id, callback) => Core.model.userModelManager.getUserById(id, function(err, user) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Users that don't exist anymore don't have a name
+        if(user === null || user === undefined) {
+            callback(null, '?');
+            return;
+        }
+
+        user.getName(callback);
+    }), function(err, names) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the names by user ID
+        callback(null, _.zipObject(ids, names));
+    });
+};
+
+/**
+ * Called with the names or when an error occurred.
+ *
+ * @callback Chat~getNamesCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} Object with hexadecimal user IDs as key, and the name of the user as value.
+ */
+
+/**
+ * Get the serialized messages in the thread with a player.
+ *
+ * @param {GameModel} game Game.
+ * @param {UserModel} user Player the thread is with.
+ * @param {Date|null} since Only get the messages sent after this date, or null to get all messages.
+ * @param {Chat~getMessagesCallback} callback Called with the messages or when an error occurred.
+ */
+Chat.getMessages = function(game, user, since, callback) {
+    ChatDatabase.getMessages(game, {user, since}, function(err, messages) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Get the names of the senders
+        Chat.getNames(messages.map((message) => message.sender), function(err, names) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Call back the serialized messages
+            callback(null, messages.map((message) => ChatThread.serialize(message, names)));
+        });
+    });
+};
+
+/**
+ * Called with the messages or when an error occurred.
+ *
+ * @callback Chat~getMessagesCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object[]=} Serialized messages in chronological order.
+ */
+
+/**
+ * Send a message in the thread with a player, and deliver it to everybody in the thread.
+ *
+ * @param {GameModel} game Game.
+ * @param {Object} thread Thread to send the message in, see {@code Chat.getThread}.
+ * @param {UserModel} sender User that sends the message.
+ * @param {string} message Message text.
+ * @param {Object} links Assignment and submission the message is about, see {@code ChatDatabase.addMessage}.
+ * @param {Chat~sendCallback} callback Called with the message or when an error occurred.
+ */
+Chat.send = function(game, thread, sender, message, links, callback) {
+    ChatDatabase.addMessage(game, thread.user, sender, thread.fromManager, message, links, function(err, chatMessage) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Get the name of the sender, and the users in the thread
+        ApiUtils.fetchProperties({
+            name: (callback) => sender.getName(callback),
+            recipients: (callback) => Chat.getRecipients(game, thread.user, callback)
+        }, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Create the message packet
+            var names = {};
+            names[sender.getIdHex()] = result.name;
+            const packet = _.assign({
+                game: game.getIdHex()
+            }, ChatThread.serialize(chatMessage, names));
+
+            // Deliver the message to everybody in the thread, on any worker
+            result.recipients.forEach((user) => Core.realTime.packetProcessor.sendPacketUser(PacketType.CHAT_MESSAGE, packet, user));
+
+            // Call back the message
+            callback(null, packet);
+        });
+    });
+};
+
+/**
+ * Called with the message or when an error occurred.
+ *
+ * @callback Chat~sendCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} The serialized message.
+ */
+
+/**
+ * Let the other users in a thread know whether the given user is typing.
+ *
+ * @param {GameModel} game Game.
+ * @param {Object} thread Thread the user is typing in, see {@code Chat.getThread}.
+ * @param {UserModel} sender User that is typing.
+ * @param {boolean} typing True if the user is typing, false if the user stopped typing.
+ * @param {Chat~sendTypingCallback} callback Called on success or when an error occurred.
+ */
+Chat.sendTyping = function(game, thread, sender, typing, callback) {
+    ApiUtils.fetchProperties({
+        name: (callback) => sender.getName(callback),
+        recipients: (callback) => Chat.getRecipients(game, thread.user, callback)
+    }, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Send the typing state to the other users in the thread
+        result.recipients
+            .filter((user) => !user.getId().equals(sender.getId()))
+            .forEach((user) => Core.realTime.packetProcessor.sendPacketUser(PacketType.CHAT_TYPING, {
+                game: game.getIdHex(),
+                user: thread.user.getIdHex(),
+                sender: sender.getIdHex(),
+                senderName: result.name,
+                fromManager: thread.fromManager,
+                typing
+            }, user));
+
+        // Call back
+        callback(null);
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback Chat~sendTypingCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Mark the messages of the other side in a thread as read, and let the users in the thread know.
+ *
+ * @param {GameModel} game Game.
+ * @param {Object} thread Thread to mark as read, see {@code Chat.getThread}.
+ * @param {Chat~setReadCallback} callback Called on success or when an error occurred.
+ */
+Chat.setRead = function(game, thread, callback) {
+    ChatDatabase.setRead(game, thread.user, thread.fromManager, function(err, readDate) {
+        // Call back errors, and stop if nothing was unread
+        if(err !== null || readDate === null) {
+            callback(err);
+            return;
+        }
+
+        // Get the users in the thread
+        Chat.getRecipients(game, thread.user, function(err, recipients) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Let the users in the thread know the messages have been read
+            recipients.forEach((user) => Core.realTime.packetProcessor.sendPacketUser(PacketType.CHAT_READ, {
+                game: game.getIdHex(),
+                user: thread.user.getIdHex(),
+                byManager: thread.fromManager,
+                date: readDate.getTime()
+            }, user));
+
+            // Call back
+            callback(null);
+        });
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback Chat~setReadCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Get the assignment and submission a message is about, and make sure they belong to the game.
+ * The submission must be made by the player of the thread, or by a player in the same team.
+ * Links that are invalid, belong to another game or to another player are left out.
+ *
+ * @param {GameModel} game Game.
+ * @param {UserModel} user Player the thread is with.
+ * @param {string|undefined} rawAssignment Hexadecimal ID of the assignment, or undefined.
+ * @param {string|undefined} rawSubmission Hexadecimal ID of the submission, or undefined.
+ * @param {Chat~getLinksCallback} callback Called with the links or when an error occurred.
+ */
+Chat.getLinks = function(game, user, rawAssignment, rawSubmission, callback) {
+    // Create the links object
+    var links = {
+        assignment: null,
+        submission: null
+    };
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Get a model, and keep it if it belongs to the game and passes the given check
+    const getLink = (key, raw, getter, check) => {
+        // Skip links that aren't given
+        if(!_.isString(raw) || !ObjectId.isValid(raw))
+            return;
+
+        latch.add();
+        getter(raw, function(err, model) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Skip models that don't exist
+            if(model === null || model === undefined) {
+                latch.resolve();
+                return;
+            }
+
+            // Keep the model if it belongs to the game, and passes the check
+            ApiUtils.fetchProperties({
+                isGameModel: (callback) => ApiUtils.isGameModel(game, model, callback),
+                valid: (callback) => check(model, callback)
+            }, function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                if(result.isGameModel && result.valid)
+                    links[key] = model;
+                latch.resolve();
+            });
+        });
+    };
+    getLink('assignment', rawAssignment, (id, callback) => Core.model.assignmentModelManager.getAssignmentById(id, callback),
+        (assignment, callback) => callback(null, true));
+    getLink('submission', rawSubmission, (id, callback) => Core.model.submissionModelManager.getSubmissionById(id, callback),
+        (submission, callback) => Chat.isTeamSubmission(game, user, submission, callback));
+
+    // Call back the links
+    latch.then(function() {
+        if(!calledBack)
+            callback(null, links);
+        calledBack = true;
+    });
+};
+
+/**
+ * Called with the links or when an error occurred.
+ *
+ * @callback Chat~getLinksCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {{assignment: AssignmentModel|null, submission: SubmissionModel|null}=} Links.
+ */
+
+/**
+ * Check whether the given submission is made by the given user, or by a user in the same team.
+ *
+ * @param {GameModel} game Game.
+ * @param {UserModel} user User.
+ * @param {SubmissionModel} submission Submission.
+ * @param {Chat~isTeamSubmissionCallback} callback Called with the result or when an error occurred.
+ */
+Chat.isTeamSubmission = function(game, user, submission, callback) {
+    ApiUtils.fetchProperties({
+        submitter: (callback) => submission.getUser(callback),
+        users: (callback) => Core.model.gameUserModelManager.getTeamUsers(game, user, callback)
+    }, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Check whether the submitter is one of the users
+        callback(null, result.submitter !== null && result.submitter !== undefined &&
+            _.some(result.users, (teamUser) => teamUser.getId().equals(result.submitter.getId())));
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback Chat~isTeamSubmissionCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the submission is made by the user or a user in the same team, false if not.
+ */
+
+// Export the class
+module.exports = Chat;
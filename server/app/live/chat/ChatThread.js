@@ -0,0 +1,121 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+/**
+ * ChatThread class.
+ * Used to validate chat messages, and to summarize the chat threads of a game for the manager inbox.
+ *
+ * Each player has a single thread with the managers of a game. Messages sent by any manager are shown to the player
+ * and all managers, so managers share the thread.
+ *
+ * @class
+ * @constructor
+ */
+var ChatThread = function() {};
+
+/**
+ * Maximum number of characters in a message.
+ *
+ * @type {Number}
+ */
+ChatThread.MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Format a message sent by a user.
+ *
+ * @param {*} message Raw message.
+ *
+ * @return {string|null} Trimmed message, or null if the message is empty, too long or invalid.
+ */
+ChatThread.formatMessage = function(message) {
+    // Make sure the message is a string
+    if(!_.isString(message))
+        return null;
+
+    // Trim the message, and make sure its length is valid
+    message = message.trim();
+    return message.length > 0 && message.length <= ChatThread.MAX_MESSAGE_LENGTH ? message : null;
+};
+
+/**
+ * Count the unread messages in a thread.
+ *
+ * @param {Object[]} messages Messages in the thread.
+ * @param {boolean} forManager True to count the messages a manager hasn't read, false to count the messages the player
+ * hasn't read.
+ *
+ * @return {Number} Number of unread messages.
+ */
+ChatThread.countUnread = function(messages, forManager) {
+    return messages.filter((message) => message.fromManager !== forManager && message.readDate === null).length;
+};
+
+/**
+ * Summarize the threads of a game for the manager inbox.
+ *
+ * @param {Object[]} messages Messages of the game, in chronological order.
+ *
+ * @return {{user: string, last: Object, count: Number, unread: Number}[]} Thread summaries, with the hexadecimal ID of
+ * the player, the last message, the number of messages and the number of messages managers haven't read. Threads with
+ * unread messages come first, then the most recently active threads.
+ */
+ChatThread.summarize = function(messages) {
+    // Summarize the messages of each player
+    const threads = _.map(_.groupBy(messages, (message) => message.user.toString()), (userMessages, user) => ({
+        user,
+        last: _.last(userMessages),
+        count: userMessages.length,
+        unread: ChatThread.countUnread(userMessages, true)
+    }));
+
+    // Sort the threads
+    return _.orderBy(threads, [(thread) => thread.unread > 0, (thread) => thread.last.date.getTime()], ['desc', 'desc']);
+};
+
+/**
+ * Serialize a message, to send it to a client or to show it on a page.
+ *
+ * @param {Object} message Message.
+ * @param {Object} names Object with hexadecimal user IDs as key, and the name of the user as value.
+ *
+ * @return {Object} Serialized message.
+ */
+ChatThread.serialize = function(message, names) {
+    const sender = message.sender.toString();
+    return {
+        id: message.id,
+        user: message.user.toString(),
+        sender,
+        senderName: _.has(names, sender) ? names[sender] : '?',
+        fromManager: message.fromManager,
+        message: message.message,
+        assignment: message.assignment !== null ? message.assignment.toString() : null,
+        submission: message.submission !== null ? message.submission.toString() : null,
+        date: message.date.getTime(),
+        read: message.readDate !== null
+    };
+};
+
+// Export the class
+module.exports = ChatThread;
@@ -22,6 +22,7 @@
 
 var mongo = require('mongodb');
 var ObjectId = mongo.ObjectId;
+var _ = require('lodash');
 
 var Core = require('../../../Core');
 var GameModel = require('../../model/game/GameModel');
@@ -56,6 +57,14 @@ var Game = function(game) {
      */
     this.pointManager = new PointManager(this);
 
+    /**
+     * Object containing the team of each user in this game that is in a team.
+     *
+     * @type {Object} Object with hexadecimal user IDs as key, and the hexadecimal ID of their team as value.
+     * @private
+     */
+    this._userTeams = {};
+
     // Get and set the game ID
     if(game instanceof GameModel)
         this._id = game.getId();
@@ -142,6 +151,69 @@ Game.prototype.getUser = function(user, callback) {
  * @param {User=} User instance.
  */
 
+/**
+ * Get the ID of the team the given user is in.
+ *
+ * @param {UserModel|User|ObjectId|string} user User instance or user ID.
+ * @return {string|null} Hexadecimal team ID, or null if the user isn't in a team.
+ */
+Game.prototype.getUserTeamId = function(user) {
+    // Get the user ID as a string
+    if(!_.isString(user))
+        user = user instanceof ObjectId ? user.toString() : user.getIdHex();
+
+    // Return the team ID
+    return this._userTeams.hasOwnProperty(user) ? this._userTeams[user] : null;
+};
+
+/**
+ * Get the IDs of all users that share their assignments and submissions with the given user.
+ * These are the users in the same team, or just the given user if the user isn't in a team.
+ *
+ * @param {UserModel|User|ObjectId|string} user User instance or user ID.
+ * @return {ObjectId[]} List of user IDs, including the ID of the given user.
+ */
+Game.prototype.getTeamUserIds = function(user) {
+    // Get the user ID
+    if(_.isString(user))
+        user = new ObjectId(user);
+    else if(!(user instanceof ObjectId))
+        user = user.getId();
+
+    // Get the team ID, return the user itself if not in a team
+    const teamId = this.getUserTeamId(user);
+    if(teamId === null)
+        return [user];
+
+    // Collect the IDs of all users in the team
+    return _.keys(_.pickBy(this._userTeams, (userTeamId) => userTeamId === teamId))
+        .map((userId) => new ObjectId(userId));
+};
+
+/**
+ * Load the teams of the users in this game.
+ * This must be called again when the team of a user is changed.
+ *
+ * @param {Game~loadCallback} callback Called on success or when an error occurred.
+ */
+Game.prototype.loadTeams = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // Fetch the teams of all users
+    Core.model.gameUserModelManager.getGameUserTeams(this.getGameModel(), function(err, userTeams) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Set the user teams
+        self._userTeams = userTeams;
+        callback(null);
+    });
+};
+
 /**
  * Unload this live game instance.
  *
@@ -169,6 +241,21 @@ Game.prototype.load = function(callback) {
         latch.resolve();
     });
 
+    // Load the user teams
+    latch.add();
+    this.loadTeams(function(err) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
     // Load the point manager
     latch.add();
     this.pointManager.load(function(err) {
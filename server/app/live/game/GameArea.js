@@ -0,0 +1,116 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var geolib = require('geolib');
+
+var config = require('../../../config');
+var Coordinate = require('../../coordinate/Coordinate');
+
+/**
+ * GameArea class.
+ * Used to check whether players are inside the play area of a game.
+ *
+ * An area is a polygon, defined as a list of coordinates. Games without an area have an unlimited play area.
+ *
+ * @class
+ * @constructor
+ */
+var GameArea = function() {};
+
+/**
+ * Parse an area from a form field.
+ * The field must contain a JSON list of objects with a latitude and longitude property.
+ *
+ * @param {string|undefined} value Field value.
+ *
+ * @return {Coordinate[]|null|undefined} Area, null if the field is empty, or undefined if the value is invalid.
+ */
+GameArea.parse = function(value) {
+    // Empty fields remove the area
+    if(!_.isString(value) || value.trim().length === 0)
+        return null;
+
+    // Parse the list of coordinates
+    var raw;
+    try {
+        raw = JSON.parse(value);
+    } catch(e) {
+        return undefined;
+    }
+
+    // Make sure the list is valid
+    if(!_.isArray(raw) || !_.every(raw, _.isPlainObject))
+        return undefined;
+
+    // Parse each coordinate, and make sure they're all valid
+    var area = raw.map(Coordinate.parse);
+    return _.every(area, (coordinate) => coordinate !== null) ? area : undefined;
+};
+
+/**
+ * Check whether the given area is valid.
+ * An area must have at least three corners, and each corner must be a valid coordinate.
+ *
+ * @param {Coordinate[]|null|undefined} area Area, or null if the game doesn't have an area.
+ *
+ * @return {string|null} Message describing why the area is invalid, or null if it is valid.
+ */
+GameArea.validate = function(area) {
+    // Games don't need an area
+    if(area === null)
+        return null;
+
+    // Make sure the area is a list of valid coordinates
+    const isValid = (coordinate) => _.isObject(coordinate) &&
+        _.isFinite(coordinate.latitude) && Math.abs(coordinate.latitude) <= 90 &&
+        _.isFinite(coordinate.longitude) && Math.abs(coordinate.longitude) <= 180;
+    if(!_.isArray(area) || !_.every(area, isValid))
+        return 'Het speelgebied is ongeldig.';
+
+    // Make sure the number of corners is within the limits
+    if(area.length < 3)
+        return 'Het speelgebied moet uit minimaal 3 hoeken bestaan.';
+    if(area.length > config.validation.gameAreaMaxCorners)
+        return 'Het speelgebied mag uit maximaal ' + config.validation.gameAreaMaxCorners + ' hoeken bestaan.';
+
+    return null;
+};
+
+/**
+ * Check whether the given location is inside the given area.
+ *
+ * @param {Coordinate[]|null} area Area, or null if the game doesn't have an area.
+ * @param {Coordinate} location Location to check.
+ *
+ * @return {boolean} True if the location is inside the area or if there is no area, false if not.
+ */
+GameArea.contains = function(area, location) {
+    // Everything is inside if there's no area
+    if(area === null)
+        return true;
+
+    return geolib.isPointInside(location, area);
+};
+
+// Export the class
+module.exports = GameArea;
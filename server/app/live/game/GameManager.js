@@ -29,10 +29,14 @@ var config = require('../../../config');
 var Core = require('../../../Core');
 var PacketType = require('../../realtime/PacketType');
 var Game = require('./Game');
+var GameSchedule = require('./GameSchedule');
 var GameModel = require('../../model/game/GameModel');
 var User = require('../user/User');
 var UserModel = require('../../model/user/UserModel');
 var CallbackLatch = require('../../util/CallbackLatch');
+var RedisUtils = require('../../redis/RedisUtils');
+var LiveSync = require('../LiveSync');
+var Broadcaster = require('../broadcast/Broadcaster');
 
 var viewAssignment = require('../../route/game/assignment-view');
 
@@ -51,13 +55,64 @@ var GameManager = function() {
     this.games = [];
 
     // Set up the location update interval
+    // Location data is broadcasted by a single worker, the packets are delivered to the sockets of all workers
     setInterval(function() {
-        Core.gameManager.broadcastLocationData(config.game.locationUpdateInterval, undefined, undefined, false, undefined, function(err) {
+        GameManager.runOnSingleWorker('game:locations', config.game.locationUpdateInterval, function(callback) {
+            Core.gameManager.broadcastLocationData(config.game.locationUpdateInterval, undefined, undefined, false, undefined, callback);
+        }, function(err) {
             // Show errors in the console
             if(err !== null)
                 console.error('An error occurred while broadcasting location data to clients, ignoring (' + err + ')');
         });
     }, config.game.locationUpdateInterval);
+
+    // Set up the game tick interval, to enforce game schedules
+    // Ticks are processed by a single worker, stage changes are shared with the other workers
+    setInterval(function() {
+        GameManager.runOnSingleWorker('game:tick', config.game.tickInterval, function(callback) {
+            Core.gameManager.tick(callback);
+        }, function(err) {
+            // Show errors in the console
+            if(err !== null)
+                console.error('An error occurred while processing a game tick, ignoring (' + err + ')');
+        });
+    }, config.game.tickInterval);
+
+    // Set up the broadcast interval, to send scheduled broadcasts once they're due
+    setInterval(function() {
+        GameManager.runOnSingleWorker('game:broadcasts', config.game.broadcastInterval, function(callback) {
+            Broadcaster.sendDue(callback);
+        }, function(err) {
+            // Show errors in the console
+            if(err !== null)
+                console.error('An error occurred while sending scheduled broadcasts, ignoring (' + err + ')');
+        });
+    }, config.game.broadcastInterval);
+};
+
+/**
+ * Run a periodic task on a single worker only, when running multiple workers or hosts.
+ * A lock is acquired for a bit less than the interval of the task, the task is skipped if another worker holds it.
+ *
+ * @param {string} name Task name.
+ * @param {Number} interval Interval in milliseconds the task is run at.
+ * @param {function} task Task function, called with a callback.
+ * @param {function} callback Called with null when the task has run or was skipped, or with an error.
+ */
+GameManager.runOnSingleWorker = function(name, interval, task, callback) {
+    RedisUtils.acquireLock(name, interval * 0.9, function(err, acquired) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Run the task if we acquired the lock
+        if(acquired)
+            task(callback);
+        else
+            callback(null);
+    });
 };
 
 /**
@@ -378,6 +433,120 @@ GameManager.prototype.unloadGame = function(gameId) {
         this.games.splice(removeIndex, 1);
 };
 
+/**
+ * Change the stage of the given game.
+ * This loads or unloads the live game, and broadcasts the stage change to all connected clients.
+ * The change is shared with the other workers, which apply it as well.
+ *
+ * @param {GameModel} game Game to change the stage for.
+ * @param {Number} stage New game stage.
+ * @param {GameManager~setGameStageCallback} callback Called on success or when an error occurred.
+ */
+GameManager.prototype.setGameStage = function(game, stage, callback) {
+    // Store this instance
+    const self = this;
+
+    // Set the game stage, and remember when the game was started
+    var fields = {stage};
+    if(stage === 1)
+        fields.start_date = new Date();
+
+    // Set the game stage
+    game.setFields(fields, function(err) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Share the stage change with the other workers, and apply it
+        LiveSync.publish(LiveSync.GAME_STAGE, {
+            game: game.getIdHex(),
+            stage
+        });
+        self.applyGameStage(game, stage, callback);
+    });
+};
+
+/**
+ * Apply a stage change of the given game on this worker, after the stage has been stored.
+ * This loads or unloads the live game, and broadcasts the stage change to the clients connected to this worker.
+ *
+ * @param {GameModel} game Game the stage was changed for.
+ * @param {Number} stage New game stage.
+ * @param {GameManager~setGameStageCallback} callback Called on success or when an error occurred.
+ */
+GameManager.prototype.applyGameStage = function(game, stage, callback) {
+    // Store this instance
+    const self = this;
+
+    // Create a function to broadcast the game state to all connected users
+    const broadcastStageFunction = function() {
+        // Get the name of the game
+        game.getName(function(err, gameName) {
+            // Handle errors
+            if(err !== null)
+                gameName = 'Unknown';
+
+            // Loop through all connected clients, to send the game stage update
+            Object.keys(Core.realTime._io.sockets.sockets).forEach(function(socketId) {
+                // Get the socket
+                const entrySocket = Core.realTime._io.sockets.sockets[socketId];
+
+                // Skip the socket if not authenticated
+                if(!_.has(entrySocket, 'session.valid') || !_.has(entrySocket, 'session.user') || !entrySocket.session.valid)
+                    return;
+
+                // Get the user
+                const user = entrySocket.session.user;
+
+                // Check whether the user joined this game
+                game.hasUser(user, function(err, joined) {
+                    // Handle errors
+                    if(err !== null)
+                        joined = false;
+
+                    // Send a game stage changed packet to the user
+                    Core.realTime.packetProcessor.sendPacket(PacketType.GAME_STAGE_CHANGED, {
+                        game: game.getIdHex(),
+                        gameName,
+                        stage,
+                        joined
+                    }, entrySocket);
+                });
+            });
+        });
+    };
+
+    // Load the game if it's started
+    if(stage === 1) {
+        self.loadGame(game, function(err) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Broadcast the game stage, and call back
+            broadcastStageFunction();
+            callback(null);
+        });
+        return;
+    }
+
+    // Unload the game if it's still loaded, broadcast the stage and call back
+    self.unloadGame(game);
+    broadcastStageFunction();
+    callback(null);
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback GameManager~setGameStageCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
+
 /**
  * Broadcast the location status of all loaded games to all real-time connected clients.
  *
@@ -808,6 +977,7 @@ GameManager.prototype.sendGameData = function(game, user, sockets, callback) {
     // Create a data object to send back
     var gameData = {
         standings: [],
+        teamStandings: []
     };
 
     // Convert the sockets to an array
@@ -840,7 +1010,11 @@ GameManager.prototype.sendGameData = function(game, user, sockets, callback) {
         callback(null);
     };
 
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
     // Get the game standings
+    latch.add();
     game.getStandings(user, function(err, standings) {
         // Call back errors
         if(err !== null) {
@@ -853,9 +1027,30 @@ GameManager.prototype.sendGameData = function(game, user, sockets, callback) {
         // Set the standings
         gameData.standings = standings;
 
-        // Send the game data
-        sendGameData();
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the team standings
+    latch.add();
+    game.getTeamStandings(user, function(err, teamStandings) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the team standings
+        gameData.teamStandings = teamStandings;
+
+        // Resolve the latch
+        latch.resolve();
     });
+
+    // Send the game data
+    latch.then(sendGameData);
 };
 
 /**
@@ -927,46 +1122,83 @@ GameManager.prototype.sendGameDataToAll = function(game, callback) {
 
 /**
  * Run a game tick.
- * This invokes a game tick for games that are currently active.
+ * This enforces the schedule of games, starting and finishing games when their scheduled time has passed.
+ * Stage changes are applied through {@code setGameStage}, which broadcasts them to all connected clients.
  *
- * @param {int|null|undefined} scheduleTime=0 Time in milliseconds ticks may be scheduled in. Zero to not schedule.
  * @param {GameManager~tickCallback} [callback] Called when the tick has been processed, or when an error occurred.
  */
-GameManager.prototype.tick = function(scheduleTime, callback) {
-    // Parse the schedule time
-    if(scheduleTime < 0 || scheduleTime === undefined || scheduleTime === null)
-        scheduleTime = 0;
+GameManager.prototype.tick = function(callback) {
+    // Store this instance
+    const self = this;
 
-    // Create a new callback latch
-    var latch = new CallbackLatch();
+    // Get the current date
+    const now = new Date();
 
-    // We may only call back once
-    var calledBack = false;
+    // Get all games that have a schedule
+    Core.model.gameModelManager.getScheduledGames(function(err, games) {
+        // Call back errors
+        if(err !== null) {
+            if(_.isFunction(callback))
+                callback(err);
+            return;
+        }
 
-    // Count the number of ticks that need to be processed
-    var tickCount = 0;
-    this.games.forEach(function(liveGame) {
-        tickCount += liveGame.factoryManager.factories.length;
-    });
+        // Create a new callback latch
+        var latch = new CallbackLatch();
 
-    // Define the delay value in milliseconds
-    var delay = 0;
+        // We may only call back once
+        var calledBack = false;
+
+        // Loop through the games
+        games.forEach(function(game) {
+            // Get the stage and schedule of the game
+            var stage;
+            var schedule;
+
+            var gameLatch = new CallbackLatch();
 
-    // Loop through all the games, and tick the factories
-    this.games.forEach(function(liveGame) {
-        // Loop through the factories
-        liveGame.factoryManager.factories.forEach(function(liveFactory) {
-            // Add a latch for this point
             latch.add();
+            gameLatch.add(2);
+            game.getStage(function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack && _.isFunction(callback))
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                stage = result;
+                gameLatch.resolve();
+            });
+            game.getSchedule(function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack && _.isFunction(callback))
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                schedule = result;
+                gameLatch.resolve();
+            });
 
-            // Define a function to invoke the tick
-            var doTick = function() {
-                liveFactory.tick(function(err) {
+            // Change the stage of the game if required by its schedule
+            gameLatch.then(function() {
+                // Determine the new stage, continue if the stage doesn't change
+                const newStage = GameSchedule.getNextStage(stage, schedule, now);
+                if(newStage === null) {
+                    latch.resolve();
+                    return;
+                }
+
+                // Change the game stage
+                self.setGameStage(game, newStage, function(err) {
                     // Call back errors
                     if(err !== null) {
-                        if(!calledBack)
-                            if(_.isFunction(callback))
-                                callback(err);
+                        if(!calledBack && _.isFunction(callback))
+                            callback(err);
                         calledBack = true;
                         return;
                     }
@@ -974,24 +1206,15 @@ GameManager.prototype.tick = function(scheduleTime, callback) {
                     // Resolve the latch
                     latch.resolve();
                 });
-            };
-
-            // Run tasks with a delay of zero immediately and schedule delayed tasks
-            if(delay === 0)
-                doTick();
-            else
-                setTimeout(doTick, parseInt(delay));
-
-            // Increase the delay
-            if(config.game.spreadTicks && scheduleTime !== 0)
-                delay += scheduleTime / tickCount;
+            });
         });
-    });
 
-    // Call back when we're done
-    latch.then(function() {
-        if(_.isFunction(callback))
-            callback(null);
+        // Call back when we're done
+        latch.then(function() {
+            if(!calledBack && _.isFunction(callback))
+                callback(null);
+            calledBack = true;
+        });
     });
 };
 
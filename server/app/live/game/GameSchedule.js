@@ -0,0 +1,165 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+/**
+ * GameSchedule class.
+ * Used to determine when a game with a schedule must be started or finished.
+ *
+ * A schedule is an object with the following properties, each of which may be null:
+ * - start: Date the game is scheduled to start on.
+ * - end: Date the game is scheduled to finish on.
+ * - duration: Number of minutes the game may be active for, after it has been started.
+ * - started: Date the game was last started on.
+ *
+ * @class
+ * @constructor
+ */
+var GameSchedule = function() {};
+
+/**
+ * Number of milliseconds in a minute.
+ *
+ * @type {Number}
+ */
+const MINUTE = 60 * 1000;
+
+/**
+ * Check whether the given schedule has anything scheduled.
+ *
+ * @param {Object} schedule Game schedule.
+ *
+ * @return {boolean} True if a start, end or duration is scheduled, false if not.
+ */
+GameSchedule.isScheduled = function(schedule) {
+    return _.isDate(schedule.start) || _.isDate(schedule.end) || _.isNumber(schedule.duration);
+};
+
+/**
+ * Check whether the given schedule is valid.
+ * The end must be after the start, and the duration must be a positive whole number.
+ *
+ * @param {Object} schedule Game schedule.
+ *
+ * @return {string|null} Message describing why the schedule is invalid, or null if it is valid.
+ */
+GameSchedule.validate = function(schedule) {
+    // Validate the duration
+    if(schedule.duration !== null && (!_.isInteger(schedule.duration) || schedule.duration <= 0))
+        return 'De speelduur moet een positief aantal minuten zijn.';
+
+    // The end must be after the start
+    if(_.isDate(schedule.start) && _.isDate(schedule.end) && schedule.end.getTime() <= schedule.start.getTime())
+        return 'De eindtijd moet na de starttijd liggen.';
+
+    return null;
+};
+
+/**
+ * Get the date a game is finished on according to the schedule.
+ * This is the scheduled end date, or the start date plus the duration, whichever comes first.
+ * The actual start date is used for the duration if the game was started, the scheduled start date if not.
+ *
+ * @param {Object} schedule Game schedule.
+ *
+ * @return {Date|null} End date, or null if the game doesn't finish automatically.
+ */
+GameSchedule.getEndDate = function(schedule) {
+    // Collect the candidate end dates
+    var dates = [];
+    if(_.isDate(schedule.end))
+        dates.push(schedule.end.getTime());
+
+    // Determine the end date from the duration
+    var start = _.isDate(schedule.started) ? schedule.started : schedule.start;
+    if(_.isNumber(schedule.duration) && _.isDate(start))
+        dates.push(start.getTime() + schedule.duration * MINUTE);
+
+    // Return the earliest date
+    return dates.length > 0 ? new Date(_.min(dates)) : null;
+};
+
+/**
+ * Determine the stage a game must be changed to, based on its current stage and schedule.
+ * A game that isn't started yet is started when its start date has passed, or finished right away if its end date
+ * has passed too. An active game is finished when its end date has passed. Finished games are never changed.
+ *
+ * @param {Number} stage Current game stage.
+ * @param {Object} schedule Game schedule.
+ * @param {Date} now Current date.
+ *
+ * @return {Number|null} New game stage, or null if the stage must not change.
+ */
+GameSchedule.getNextStage = function(stage, schedule, now) {
+    // Start games that aren't started yet, when their start date has passed
+    if(stage === 0) {
+        if(!_.isDate(schedule.start) || schedule.start.getTime() > now.getTime())
+            return null;
+
+        // Finish the game right away if its end date has passed too
+        var end = GameSchedule.getEndDate(_.assign({}, schedule, {started: schedule.start}));
+        return end !== null && end.getTime() <= now.getTime() ? 2 : 1;
+    }
+
+    // Finish active games when their end date has passed
+    if(stage === 1) {
+        var endDate = GameSchedule.getEndDate(schedule);
+        return endDate !== null && endDate.getTime() <= now.getTime() ? 2 : null;
+    }
+
+    return null;
+};
+
+/**
+ * Get the countdown to show for a game.
+ * Games that aren't started count down to their start, active games count down to their end.
+ *
+ * @param {Number} stage Current game stage.
+ * @param {Object} schedule Game schedule.
+ *
+ * @return {{type: string, date: Date}|null} Countdown, with a type of 'start' or 'end', or null if there's nothing
+ * to count down to.
+ */
+GameSchedule.getCountdown = function(stage, schedule) {
+    // Count down to the start
+    if(stage === 0 && _.isDate(schedule.start))
+        return {
+            type: 'start',
+            date: schedule.start
+        };
+
+    // Count down to the end
+    if(stage === 1) {
+        var end = GameSchedule.getEndDate(schedule);
+        if(end !== null)
+            return {
+                type: 'end',
+                date: end
+            };
+    }
+
+    return null;
+};
+
+// Export the class
+module.exports = GameSchedule;
@@ -24,16 +24,18 @@ var mongo = require('mongodb');
 var ObjectId = mongo.ObjectId;
 var _ = require('lodash');
 
-var config = require('../../../config');
-
 var Core = require('../../../Core');
 var PacketType = require('../../realtime/PacketType');
 var PointModel = require('../../model/point/PointModel');
 var CallbackLatch = require('../../util/CallbackLatch');
+var ApiUtils = require('../../util/ApiUtils');
 var ApprovalState = require("../../model/submission/ApprovalState.js");
 var UserModel = require('../../model/user/UserModel');
 var User = require('../user/User');
 var AssignmentModel = require('../../model/assignment/AssignmentModel');
+var PointRoute = require('./PointRoute');
+var PointCheckIn = require('./PointCheckIn');
+var LiveSync = require('../LiveSync');
 
 /**
  * Point class.
@@ -66,10 +68,19 @@ var Point = function(point, game) {
      */
     this._userRangeMem = [];
 
+    /**
+     * Object containing the time live users last checked in at this point, with the code of the point.
+     *
+     * @type {Object} Object with user IDs as key, and the check-in time in milliseconds as value.
+     * @private
+     */
+    this._userCheckInMem = {};
+
     /**
      * Object containing all the users that have incomplete assignments at this point.
+     * Users in a team share their assignments, these are stored with the team as key.
      *
-     * @type {object} Object with users as key, with an array of assignment IDs as value.
+     * @type {object} Object with users or teams as key, with an array of assignment IDs as value.
      * @private
      */
     this._userAssignmentMem = {};
@@ -390,10 +401,43 @@ Point.prototype.broadcastData = function(callback) {
 
 /**
  * Check whether the given live user is in range.
+ * This depends on the check-in method of the point, users may need to be in range by GPS, to have checked in, or both.
+ *
  * @param liveUser Live user.
  * @param callback (err, inRange)
  */
 Point.prototype.isUserInRange = function(liveUser, callback) {
+    // Store this instance
+    const self = this;
+
+    // Make sure a proper live user is given
+    if(liveUser === null || liveUser === undefined) {
+        callback(null, false);
+        return;
+    }
+
+    // Get the check-in method, and whether the user is in range by GPS
+    ApiUtils.fetchProperties({
+        method: (callback) => this.getPointModel().getCheckInMethod(callback),
+        inRange: (callback) => this.isUserInGpsRange(liveUser, callback)
+    }, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the result
+        callback(null, PointCheckIn.isAtPoint(result.method, result.inRange, self.hasCheckedIn(liveUser)));
+    });
+};
+
+/**
+ * Check whether the given live user is in range by GPS.
+ * @param liveUser Live user.
+ * @param callback (err, inRange)
+ */
+Point.prototype.isUserInGpsRange = function(liveUser, callback) {
     // Make sure a proper live user is given, and that he has a recent location
     if(liveUser === null || !liveUser.hasRecentLocation()) {
         callback(null, false);
@@ -448,6 +492,40 @@ Point.prototype.isUserInRange = function(liveUser, callback) {
     latch.then(() => callback(null, factoryLocation.isInRange(liveUser.getLocation(), factoryRange)));
 };
 
+/**
+ * Check whether the given live user was in range at the given time, based on the locations the server received.
+ * Used for answers a user submitted while being offline, that are replayed after reconnecting. The location the client
+ * claims isn't used, because it can't be trusted.
+ * The active range is used, because the user must have been in range to open the assignment.
+ *
+ * @param liveUser Live user.
+ * @param {Date} time Time the user must have been in range at.
+ * @param callback (err, inRange)
+ */
+Point.prototype.isUserInRangeAt = function(liveUser, time, callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the check-in method, the ranges and the location of the point
+    ApiUtils.fetchProperties({
+        method: (callback) => this.getPointModel().getCheckInMethod(callback),
+        ranges: (callback) => this.getRanges(callback),
+        location: (callback) => this.getPointModel().getLocation(callback)
+    }, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Check whether any location known at the given time is in range
+        const inRange = liveUser.getTrailLocations(time).some((location) => result.location.isInRange(location, result.ranges.active));
+
+        // Call back the result
+        callback(null, PointCheckIn.isAtPoint(result.method, inRange, self.hasCheckedIn(liveUser)));
+    });
+};
+
 /**
  * Check whether this point is visible for the given user.
  *
@@ -531,15 +609,32 @@ Point.prototype.isVisibleFor = function(liveUser, callback) {
                 return;
             }
 
-            // Add the point if there are any assignments
-            if(hasAssignments) {
-                if(!calledBack)
-                    callback(null, true);
+            // Resolve the latch if there aren't any assignments
+            if(!hasAssignments) {
+                latch.resolve();
                 return;
             }
 
-            // Resolve the latch
-            latch.resolve();
+            // Add the point if it's unlocked for the user, which is always the case if the game isn't in route mode
+            self.isUnlockedFor(liveUser, function(err, isUnlocked) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Add the point if it's unlocked
+                if(isUnlocked) {
+                    if(!calledBack)
+                        callback(null, true);
+                    return;
+                }
+
+                // Resolve the latch
+                latch.resolve();
+            });
         });
 
         // We're done, not visible
@@ -550,6 +645,137 @@ Point.prototype.isVisibleFor = function(liveUser, callback) {
     });
 };
 
+/**
+ * Get the IDs of the points that must be completed before this point is unlocked, when the game is in route mode.
+ * Required points that aren't loaded, because they have been deleted, are left out.
+ *
+ * @param {Point~getRequiredPointIdsCallback} callback Called with the result or when an error occurred.
+ */
+Point.prototype.getRequiredPointIds = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the required points
+    this.getPointModel().getRequiredPoints(function(err, points) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the IDs of the required points that are loaded
+        callback(null, points
+            .filter((point) => self.getGame().pointManager.isPointLoaded(point))
+            .map((point) => point.getIdHex()));
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback Point~getRequiredPointIdsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {string[]=} Hexadecimal IDs of the required points.
+ */
+
+/**
+ * Check whether this point is unlocked for the given user.
+ * Points are always unlocked if the game isn't in route mode, otherwise all required points must be completed.
+ *
+ * @param {UserModel|User|ObjectId} user User to check for.
+ * @param {Point~isUnlockedForCallback} callback Called with the result or when an error occurred.
+ */
+Point.prototype.isUnlockedFor = function(user, callback) {
+    // Parse the user
+    if(user instanceof UserModel || user instanceof User)
+        user = user.getId();
+
+    // Store this instance
+    const self = this;
+
+    // Get the game model
+    const gameModel = this.getGame().getGameModel();
+
+    // Points are always unlocked if the game isn't in route mode
+    gameModel.isRouteMode(function(err, isRouteMode) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back if the game isn't in route mode
+        if(!isRouteMode) {
+            callback(null, true);
+            return;
+        }
+
+        // Get the required points
+        self.getRequiredPointIds(function(err, requiredPointIds) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Call back if there aren't any required points
+            if(requiredPointIds.length === 0) {
+                callback(null, true);
+                return;
+            }
+
+            // Get the completed points, and call back the result
+            Core.model.gameUserModelManager.getCompletedPointIds(gameModel, user, function(err, completedPointIds) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Call back the result
+                callback(null, PointRoute.isUnlocked(requiredPointIds, completedPointIds));
+            });
+        });
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback Point~isUnlockedForCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the point is unlocked, false if not.
+ */
+
+/**
+ * Mark this point as completed by the given user, to unlock the points that require it in route mode.
+ *
+ * @param {UserModel|ObjectId} user User that completed the point.
+ * @param {Point~errorCallback} callback Called on success or when an error occurred.
+ */
+Point.prototype.complete = function(user, callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the game user
+    Core.model.gameUserModelManager.getGameUser(this.getGame().getGameModel(), user, function(err, gameUser) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back if the user didn't join the game
+        if(gameUser === null) {
+            callback(null);
+            return;
+        }
+
+        // Add the point to the completed points
+        gameUser.addCompletedPoint(self.getPointModel(), callback);
+    });
+};
+
 /**
  * Update the visibility state for the given user.
  *
@@ -577,9 +803,16 @@ Point.prototype.updateRangeState = function(liveUser, callback) {
         // Check whether the visibility state changed
         var stateChanged = false;
 
-        // Update the range memory
-        if(self.setInRangeMemory(liveUser, visible))
+        // Update the range memory, and share the change with the other workers
+        if(self.setInRangeMemory(liveUser, visible)) {
             stateChanged = true;
+            LiveSync.publish(LiveSync.POINT_RANGE, {
+                game: self._game.getIdHex(),
+                point: self.getIdHex(),
+                user: liveUser.getIdHex(),
+                inRange: visible
+            });
+        }
 
         // Send the point data if the state changed
         if(stateChanged) {
@@ -700,6 +933,62 @@ Point.prototype.setInRangeMemory = function(liveUser, inRange) {
     return true;
 };
 
+/**
+ * Check whether the given live user has a valid check-in at this point.
+ *
+ * @param {User} liveUser Live user.
+ * @return {boolean} True if the user checked in recently, false if not.
+ */
+Point.prototype.hasCheckedIn = function(liveUser) {
+    return liveUser !== null && liveUser !== undefined &&
+        PointCheckIn.isValidCheckIn(this._userCheckInMem[liveUser.getIdHex()], Date.now());
+};
+
+/**
+ * Check the given live user in at this point, after the user scanned the QR code or entered the code of the point.
+ * The range state of the user is updated, so assignments at the point are opened if the user is now in range.
+ *
+ * @param {User} liveUser Live user that checks in.
+ * @param {Point~updateVisibilityStateCallback} callback Called with the result or when an error occurred.
+ */
+Point.prototype.checkIn = function(liveUser, callback) {
+    // Remember the check-in time, and share it with the other workers
+    const time = Date.now();
+    this.setCheckInMemory(liveUser, time);
+    LiveSync.publish(LiveSync.POINT_CHECK_IN, {
+        game: this._game.getIdHex(),
+        point: this.getIdHex(),
+        user: liveUser.getIdHex(),
+        time
+    });
+
+    // Update the range state of the user
+    this.updateRangeState(liveUser, callback);
+};
+
+/**
+ * Set the time the given live user last checked in at this point.
+ *
+ * @param {User} liveUser Live user.
+ * @param {Number} time Check-in time in milliseconds.
+ */
+Point.prototype.setCheckInMemory = function(liveUser, time) {
+    this._userCheckInMem[liveUser.getIdHex()] = time;
+};
+
+/**
+ * Get the key the assignments of the given user are stored with in the user assignment memory.
+ * This is the team of the user if the user is in a team, so all team members share the same assignments.
+ *
+ * @param {ObjectId|string} userId User ID.
+ * @return {string} Key in the user assignment memory.
+ */
+Point.prototype.getUserAssignmentMemoryKey = function(userId) {
+    // Use the team as key if the user is in a team
+    const teamId = this._game.getUserTeamId(userId);
+    return teamId !== null ? 'team:' + teamId : userId.toString();
+};
+
 /**
  * Check whether the given user is in the user assignment memory.
  * That would indicate that the user has assignments at this point.
@@ -712,7 +1001,7 @@ Point.prototype.isInUserAssignmentMemory = function(liveUser) {
         return false;
 
     // Check whether the user is in the user assignment memory
-    return this._userAssignmentMem.hasOwnProperty(liveUser.getIdHex());
+    return this._userAssignmentMem.hasOwnProperty(this.getUserAssignmentMemoryKey(liveUser.getId()));
 };
 
 /**
@@ -751,7 +1040,7 @@ Point.prototype.getUserAssignmentAssignmentIds = function(userId, filter, callba
         filter = null;
 
     // Get the section for the user, and return an empty array if undefined
-    var ids = this._userAssignmentMem[userId.toString()];
+    var ids = this._userAssignmentMem[this.getUserAssignmentMemoryKey(userId)];
     if(ids === undefined) {
         callback(null, []);
         return;
@@ -766,6 +1055,10 @@ Point.prototype.getUserAssignmentAssignmentIds = function(userId, filter, callba
     // Create a result list of IDs
     var result = [];
 
+    // Get the users that share their submissions with this user
+    const teamUsers = this._game.getTeamUserIds(userId)
+        .map((teamUserId) => Core.model.userModelManager._instanceManager.create(teamUserId));
+
     // Create a callback latch
     var latch = new CallbackLatch();
     var calledBack = false;
@@ -787,8 +1080,8 @@ Point.prototype.getUserAssignmentAssignmentIds = function(userId, filter, callba
                 return;
             }
 
-            // Get the user by it's ID
-            Core.model.userModelManager.getUserById(userId, function(err, user) {
+            // Get the submissions for the given user and it's team and the current assignment
+            Core.model.submissionModelManager.getUsersSubmissions(teamUsers, assignment, function(err, submissions) {
                 // Call back errors
                 if(err !== null) {
                     if(!calledBack)
@@ -797,93 +1090,82 @@ Point.prototype.getUserAssignmentAssignmentIds = function(userId, filter, callba
                     return;
                 }
 
-                // Get the submissions for the given user and the current assignment
-                Core.model.submissionModelManager.getSubmissions(user, assignment, function(err, submissions) {
-                    // Call back errors
-                    if(err !== null) {
-                        if(!calledBack)
-                            callback(err);
-                        calledBack = true;
-                        return;
-                    }
-
-                    // Set whether to keep the submission
-                    var keep = false;
-
-                    // Create a callback latch for the filtering
-                    var filterLatch = new CallbackLatch();
-
-                    // Filter open assignments
-                    if(filter.open && submissions.length === 0)
-                        keep = true;
+                // Set whether to keep the submission
+                var keep = false;
+
+                // Create a callback latch for the filtering
+                var filterLatch = new CallbackLatch();
+
+                // Filter open assignments
+                if(filter.open && submissions.length === 0)
+                    keep = true;
+
+                else if(filter.pending || filter.accepted || filter.rejected || filter.approved || filter.retryable) {
+                    // Loop through the list of submissions
+                    submissions.forEach(function(submission) {
+                        // Return early if called back or if already determined to keep the submission
+                        if(calledBack || keep)
+                            return;
+
+                        // Get the approval state
+                        filterLatch.add();
+                        submission.getApprovalState(function(err, approvalState) {
+                            // Call back errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    callback(err);
+                                calledBack = true;
+                                return;
+                            }
 
-                    else if(filter.pending || filter.accepted || filter.rejected || filter.approved || filter.retryable) {
-                        // Loop through the list of submissions
-                        submissions.forEach(function(submission) {
-                            // Return early if called back or if already determined to keep the submission
-                            if(calledBack || keep)
+                            // Return early if determined to keep the submission
+                            if(keep) {
+                                filterLatch.resolve();
                                 return;
+                            }
+
+                            // Filter
+                            if(filter.pending && approvalState === ApprovalState.PENDING)
+                                keep = true;
+                            else if(filter.accepted && approvalState === ApprovalState.APPROVED)
+                                keep = true;
+                            else if(filter.rejected && approvalState === ApprovalState.REJECTED)
+                                keep = true;
+                            else if(filter.approved && approvalState !== ApprovalState.PENDING)
+                                keep = true;
+
+                            // Check whether it's retryable
+                            if(!keep && filter.retryable && approvalState === ApprovalState.REJECTED) {
+                                // Check whether the user can retry this assignment
+                                assignment.isRetry(function(err, isRetry) {
+                                    // Call back errors
+                                    if(err !== null) {
+                                        if(!calledBack)
+                                            callback(err);
+                                        calledBack = true;
+                                        return;
+                                    }
+
+                                    // Keep it if it's retryable
+                                    if(isRetry)
+                                        keep = true;
 
-                            // Get the approval state
-                            filterLatch.add();
-                            submission.getApprovalState(function(err, approvalState) {
-                                // Call back errors
-                                if(err !== null) {
-                                    if(!calledBack)
-                                        callback(err);
-                                    calledBack = true;
-                                    return;
-                                }
-
-                                // Return early if determined to keep the submission
-                                if(keep) {
-                                    filterLatch.resolve();
-                                    return;
-                                }
-
-                                // Filter
-                                if(filter.pending && approvalState === ApprovalState.PENDING)
-                                    keep = true;
-                                else if(filter.accepted && approvalState === ApprovalState.APPROVED)
-                                    keep = true;
-                                else if(filter.rejected && approvalState === ApprovalState.REJECTED)
-                                    keep = true;
-                                else if(filter.approved && approvalState !== ApprovalState.PENDING)
-                                    keep = true;
-
-                                // Check whether it's retryable
-                                if(!keep && filter.retryable && approvalState === ApprovalState.REJECTED) {
-                                    // Check whether the user can retry this assignment
-                                    assignment.isRetry(function(err, isRetry) {
-                                        // Call back errors
-                                        if(err !== null) {
-                                            if(!calledBack)
-                                                callback(err);
-                                            calledBack = true;
-                                            return;
-                                        }
-
-                                        // Keep it if it's retryable
-                                        if(isRetry)
-                                            keep = true;
-
-                                        // Resolve the latch
-                                        filterLatch.resolve();
-                                    });
-
-                                } else
                                     // Resolve the latch
                                     filterLatch.resolve();
-                            });
-                        });
-                    }
+                                });
 
-                    // Continue with the latch
-                    filterLatch.then(function() {
-                        if(keep)
-                            result.push(assignment.getId());
-                        latch.resolve();
+                            } else
+                                // Resolve the latch
+                                filterLatch.resolve();
+                        });
                     });
+                }
+
+                // Continue with the latch
+                filterLatch.then(function() {
+                    if(keep)
+                        result.push(assignment.getId());
+                    latch.resolve();
                 });
             });
         });
@@ -1060,7 +1342,7 @@ Point.prototype.hasUserAssignment = function(user, assignment, callback) {
     var calledBack = false;
 
     // Get the assignment IDs
-    var ids = this._userAssignmentMem[user.toString()];
+    var ids = this._userAssignmentMem[this.getUserAssignmentMemoryKey(user)];
 
     // Make sure there's any assignment
     if(ids === null || ids === undefined || ids.length === 0) {
@@ -1069,7 +1351,7 @@ Point.prototype.hasUserAssignment = function(user, assignment, callback) {
     }
 
     // Loop through the list of assignments
-    this._userAssignmentMem[user.toString()].forEach(function(assignmentId) {
+    ids.forEach(function(assignmentId) {
         // Skip if we called back
         if(calledBack)
             return;
@@ -1119,8 +1401,11 @@ Point.prototype.setUserAssignmentAssignments = function(userId, assignments, err
     if(!_.isArray(assignments))
         assignments = [assignments];
 
+    // Determine the key in the user assignment memory
+    const memoryKey = this.getUserAssignmentMemoryKey(userId);
+
     // Reset the list of assignments
-    this._userAssignmentMem[userId.toString()] = assignments.length > 0 ? [] : undefined;
+    this._userAssignmentMem[memoryKey] = assignments.length > 0 ? [] : undefined;
 
     // Determine whether we called back
     var calledBack = false;
@@ -1162,8 +1447,11 @@ Point.prototype.setUserAssignmentAssignments = function(userId, assignments, err
         }
 
         // Push the ID in the list
-        self._userAssignmentMem[userId.toString()].push(assignmentId);
+        self._userAssignmentMem[memoryKey].push(assignmentId);
     });
+
+    // Share the assignments with the other workers
+    this.publishUserAssignmentMemory(memoryKey);
 };
 
 /**
@@ -1210,17 +1498,56 @@ Point.prototype.removeUserAssignmentAssignments = function(userId, assignments,
 
     }).filter((value) => value !== null);
 
+    // Determine the key in the user assignment memory
+    const memoryKey = this.getUserAssignmentMemoryKey(userId);
+
     // Get the list of IDs
-    var ids = this._userAssignmentMem[userId.toString()];
+    var ids = this._userAssignmentMem[memoryKey];
 
     // Filter the IDs
     ids = ids.filter((id) => !_.includes(assignments, id.toString()));
 
     // Update the list
     if(ids !== null && ids !== undefined && ids.length > 0)
-        this._userAssignmentMem[userId.toString()] = ids;
+        this._userAssignmentMem[memoryKey] = ids;
+    else
+        delete this._userAssignmentMem[memoryKey];
+
+    // Share the assignments with the other workers
+    this.publishUserAssignmentMemory(memoryKey);
+};
+
+/**
+ * Set the assignment IDs in the user assignment memory for the given key.
+ *
+ * @param {string} memoryKey Key in the user assignment memory, see {@code getUserAssignmentMemoryKey}.
+ * @param {ObjectId[]|null} assignmentIds Assignment IDs, or null to remove the key.
+ */
+Point.prototype.setUserAssignmentMemory = function(memoryKey, assignmentIds) {
+    if(assignmentIds !== null)
+        this._userAssignmentMem[memoryKey] = assignmentIds;
     else
-        delete this._userAssignmentMem[userId.toString()];
+        delete this._userAssignmentMem[memoryKey];
+};
+
+/**
+ * Share the assignment IDs in the user assignment memory for the given key with the other workers.
+ *
+ * @param {string} memoryKey Key in the user assignment memory.
+ */
+Point.prototype.publishUserAssignmentMemory = function(memoryKey) {
+    // Get the assignment IDs, null if the key isn't in the memory
+    var ids = null;
+    if(this._userAssignmentMem.hasOwnProperty(memoryKey))
+        ids = (this._userAssignmentMem[memoryKey] || []).map((id) => id.toString());
+
+    // Publish the assignment IDs
+    LiveSync.publish(LiveSync.POINT_USER_ASSIGNMENTS, {
+        game: this._game.getIdHex(),
+        point: this.getIdHex(),
+        key: memoryKey,
+        assignments: ids
+    });
 };
 
 /**
@@ -1237,11 +1564,20 @@ Point.prototype.removeUserAssignmentAssignments = function(userId, assignments,
  * @param {Point~getRangeCallback} callback Called back with the range or when an error occurred.
  */
 Point.prototype.getRange = function(liveUser, callback) {
-    // Check whether the active or global range should be used, call back the result
-    if(this.isInRangeMemory(liveUser))
-        callback(null, config.game.pointRangeActive);
-    else
-        callback(null, config.game.pointRange);
+    // Store this instance
+    const self = this;
+
+    // Get the range of the point
+    this.getRanges(function(err, range) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Check whether the active or regular range should be used, call back the result
+        callback(null, self.isInRangeMemory(liveUser) ? range.active : range.range);
+    });
 };
 
 /**
@@ -1252,6 +1588,24 @@ Point.prototype.getRange = function(liveUser, callback) {
  * @param {Number=} Point range in meters.
  */
 
+/**
+ * Get the regular and active range of the point.
+ * The range configured for the point is used, falling back to the range of the game and the default range.
+ *
+ * @param {Point~getRangesCallback} callback Called back with the range or when an error occurred.
+ */
+Point.prototype.getRanges = function(callback) {
+    this.getPointModel().getResolvedRange(callback);
+};
+
+/**
+ * Called back with the range or when an error occurred.
+ *
+ * @callback Point~getRangesCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {{range: Number, active: Number}=} Regular and active point range in meters.
+ */
+
 /**
  * Destroy the point.
  *
@@ -0,0 +1,176 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var crypto = require('crypto');
+
+var config = require('../../../config');
+
+/**
+ * PointCheckIn class.
+ * Used to determine whether a user is at a point, by GPS range and by checking in with the secret code of the point.
+ * The code is printed as a QR code at the point, for indoor locations where the location of a user isn't accurate.
+ *
+ * @class
+ * @constructor
+ */
+var PointCheckIn = function() {};
+
+/**
+ * Users are at the point when they're in range by GPS.
+ *
+ * @type {string}
+ */
+PointCheckIn.METHOD_GPS = 'gps';
+
+/**
+ * Users are at the point when they've checked in with the code of the point.
+ *
+ * @type {string}
+ */
+PointCheckIn.METHOD_QR = 'qr';
+
+/**
+ * Users are at the point when they're in range by GPS, or when they've checked in.
+ *
+ * @type {string}
+ */
+PointCheckIn.METHOD_EITHER = 'either';
+
+/**
+ * Users are at the point when they're in range by GPS, and have checked in.
+ *
+ * @type {string}
+ */
+PointCheckIn.METHOD_BOTH = 'both';
+
+/**
+ * List of all check-in methods.
+ *
+ * @type {string[]}
+ */
+PointCheckIn.METHODS = [
+    PointCheckIn.METHOD_GPS,
+    PointCheckIn.METHOD_QR,
+    PointCheckIn.METHOD_EITHER,
+    PointCheckIn.METHOD_BOTH
+];
+
+/**
+ * Characters used in generated codes, leaving out characters that are easily confused with each other.
+ *
+ * @type {string}
+ */
+const CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Check whether the given check-in method is valid.
+ *
+ * @param {*} method Check-in method.
+ *
+ * @return {boolean} True if the method is valid, false if not.
+ */
+PointCheckIn.isValidMethod = function(method) {
+    return _.includes(PointCheckIn.METHODS, method);
+};
+
+/**
+ * Check whether users need the code of the point to be at the point, with the given check-in method.
+ *
+ * @param {string} method Check-in method.
+ *
+ * @return {boolean} True if the method uses the code, false if not.
+ */
+PointCheckIn.usesCode = function(method) {
+    return method !== PointCheckIn.METHOD_GPS;
+};
+
+/**
+ * Check whether a user is at a point.
+ *
+ * @param {string} method Check-in method of the point.
+ * @param {boolean} inRange True if the user is in range of the point by GPS.
+ * @param {boolean} checkedIn True if the user has a valid check-in at the point.
+ *
+ * @return {boolean} True if the user is at the point, false if not.
+ */
+PointCheckIn.isAtPoint = function(method, inRange, checkedIn) {
+    switch(method) {
+        case PointCheckIn.METHOD_QR:
+            return checkedIn;
+        case PointCheckIn.METHOD_EITHER:
+            return inRange || checkedIn;
+        case PointCheckIn.METHOD_BOTH:
+            return inRange && checkedIn;
+        default:
+            return inRange;
+    }
+};
+
+/**
+ * Check whether a check-in is still valid.
+ *
+ * @param {Number|undefined} checkInTime Time in milliseconds the user checked in at, undefined if never.
+ * @param {Number} time Current time in milliseconds.
+ *
+ * @return {boolean} True if the check-in is valid, false if not.
+ */
+PointCheckIn.isValidCheckIn = function(checkInTime, time) {
+    return checkInTime !== undefined && time - checkInTime <= config.game.checkInDuration;
+};
+
+/**
+ * Format a code, as entered by a user.
+ * Codes aren't case sensitive, and spaces and dashes are ignored.
+ *
+ * @param {string} code Code.
+ *
+ * @return {string} Formatted code.
+ */
+PointCheckIn.formatCode = function(code) {
+    return _.isString(code) ? code.replace(/[\s-]/g, '').toUpperCase() : '';
+};
+
+/**
+ * Check whether a code matches the code of a point.
+ *
+ * @param {string|null} pointCode Code of the point, null if the point doesn't have a code.
+ * @param {string} code Code entered by the user.
+ *
+ * @return {boolean} True if the code matches, false if not.
+ */
+PointCheckIn.matchesCode = function(pointCode, code) {
+    return _.isString(pointCode) && pointCode.length > 0 && PointCheckIn.formatCode(pointCode) === PointCheckIn.formatCode(code);
+};
+
+/**
+ * Generate a random code for a point.
+ *
+ * @return {string} Code.
+ */
+PointCheckIn.generateCode = function() {
+    return Array.prototype.map.call(crypto.randomBytes(config.game.checkInCodeLength),
+        (byte) => CODE_CHARS.charAt(byte % CODE_CHARS.length)).join('');
+};
+
+// Export the class
+module.exports = PointCheckIn;
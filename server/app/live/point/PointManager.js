@@ -26,8 +26,11 @@ var ObjectId = mongo.ObjectId;
 
 var Core = require('../../../Core');
 var Point = require('./Point');
+var PointRoute = require('./PointRoute');
+var PointCheckIn = require('./PointCheckIn');
 var PointModel = require('../../model/point/PointModel');
 var CallbackLatch = require('../../util/CallbackLatch');
+var ApiUtils = require('../../util/ApiUtils');
 var UserModel = require('../../model/user/UserModel');
 var User = require('../user/User');
 
@@ -214,6 +217,59 @@ PointManager.prototype.getLoadedPointCount = function() {
     return this.points.length;
 };
 
+/**
+ * Get the loaded point users check in at with the given code.
+ * Points that only use GPS are ignored, even if they have a code.
+ *
+ * @param {string} code Check-in code, as entered by the user.
+ * @param {PointManager~getPointByCheckInCodeCallback} callback Called back with the point or when an error occurred.
+ */
+PointManager.prototype.getPointByCheckInCode = function(code, callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Find the point with the given code
+    var result = null;
+    this.points.forEach(function(point) {
+        latch.add();
+        ApiUtils.fetchProperties({
+            method: (callback) => point.getPointModel().getCheckInMethod(callback),
+            code: (callback) => point.getPointModel().getCheckInCode(callback)
+        }, function(err, checkIn) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Use the point if the code matches
+            if(PointCheckIn.usesCode(checkIn.method) && PointCheckIn.matchesCode(checkIn.code, code))
+                result = point;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Call back the result
+    latch.then(function() {
+        if(!calledBack)
+            callback(null, result);
+        calledBack = true;
+    });
+};
+
+/**
+ * Called back with the point or when an error occurred.
+ *
+ * @callback PointManager~getPointByCheckInCodeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Point|null=} Point instance, or null if no point uses the given code.
+ */
+
 /**
  * Load all points for this game.
  *
@@ -422,6 +478,33 @@ PointManager.prototype.updateUserPoints = function(user, callback) {
         return;
     }
 
+    // Keep a reference to this
+    const self = this;
+
+    // Points are unlocked along the route instead if the game is in route mode
+    this.game.getGameModel().isRouteMode(function(err, isRouteMode) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Update the route points, or scatter assignments over random points
+        if(isRouteMode)
+            self.updateUserRoutePoints(user, callback);
+        else
+            self.updateUserRandomPoints(user, callback);
+    });
+};
+
+/**
+ * Update the points that are available to the user, by putting assignments on random points until the configured
+ * minimum of clean points is reached.
+ *
+ * @param {ObjectId} user ID of the user to update the points for.
+ * @param {PointManager~errorCallback} callback
+ */
+PointManager.prototype.updateUserRandomPoints = function(user, callback) {
     // Count the number of clean points
     var cleanPoints = 0;
 
@@ -638,6 +721,204 @@ PointManager.prototype.updateUserPoints = function(user, callback) {
     });
 };
 
+/**
+ * Update the points that are available to the user in a game in route mode.
+ * An assignment is put on every point that is unlocked for the user and doesn't have an assignment yet.
+ * A point is unlocked when all points it requires are completed, which happens when an assignment on it is approved.
+ *
+ * @param {ObjectId} user ID of the user to update the points for.
+ * @param {PointManager~errorCallback} callback
+ */
+PointManager.prototype.updateUserRoutePoints = function(user, callback) {
+    // Keep a reference to this
+    const self = this;
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Get the route
+    var route = null;
+    latch.add();
+    this.getRoute(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the route
+        route = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the points the user completed
+    var completedPointIds = null;
+    latch.add();
+    Core.model.gameUserModelManager.getCompletedPointIds(this.game.getGameModel(), user, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the completed points
+        completedPointIds = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Find the unlocked points without assignments
+    latch.then(function() {
+        // Get the unlocked points
+        const unlockedPoints = PointRoute.getUnlockedPointIds(route, completedPointIds)
+            .map((pointId) => self.getLoadedPoint(pointId));
+
+        // Create a callback latch for the assignment counts
+        var countLatch = new CallbackLatch();
+
+        // Find the unlocked points that don't have any assignments yet
+        var emptyPoints = [];
+        unlockedPoints.forEach(function(point) {
+            countLatch.add();
+            point.getUserAssignmentAssignmentCount(user, null, function(err, count) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Add the point if it doesn't have assignments
+                if(count <= 0)
+                    emptyPoints.push(point);
+
+                // Resolve the latch
+                countLatch.resolve();
+            });
+        });
+
+        // Put an assignment on each empty point
+        countLatch.then(function() {
+            // We're done if all unlocked points have assignments
+            if(emptyPoints.length === 0) {
+                if(!calledBack)
+                    callback(null);
+                calledBack = true;
+                return;
+            }
+
+            // Get a list of unused assignments
+            self.getUnusedAssignments(user, function(err, unusedAssignments) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Attach a random assignment to each point, as long as there are assignments left
+                emptyPoints.forEach(function(point) {
+                    // Skip if there are no assignments left
+                    if(unusedAssignments.length <= 0)
+                        return;
+
+                    // Pick a random assignment, and remove it from the unused list
+                    var randomIndex = _.random(unusedAssignments.length - 1);
+                    var assignment = unusedAssignments[randomIndex];
+                    unusedAssignments.splice(randomIndex, 1);
+
+                    // Attach the assignment to the point
+                    point.setUserAssignmentAssignments(user, [assignment], function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                callback(err);
+                            calledBack = true;
+                        }
+                    });
+                });
+
+                // Return early if an error was called back
+                if(calledBack)
+                    return;
+
+                // Broadcast updated location data to the player
+                Core.gameManager.broadcastLocationData(0, self.game, user, true, null, function(err) {
+                    // Handle errors
+                    if(err !== null) {
+                        console.warn('An error occurred while broadcasting location data to a user.');
+                        console.error(err);
+                    }
+                });
+
+                // Call back
+                callback(null);
+                calledBack = true;
+            });
+        });
+    });
+};
+
+/**
+ * Get the route of the loaded points.
+ * Required points that aren't loaded, because they have been deleted, are left out.
+ *
+ * @param {PointManager~getRouteCallback} callback Called with the route or when an error occurred.
+ */
+PointManager.prototype.getRoute = function(callback) {
+    // Create the route object
+    var route = {};
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Get the required points of each point
+    this.points.forEach(function(point) {
+        latch.add();
+        point.getRequiredPointIds(function(err, pointIds) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Add the point to the route
+            route[point.getIdHex()] = pointIds;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Call back the route
+    latch.then(function() {
+        if(!calledBack)
+            callback(null, route);
+        calledBack = true;
+    });
+};
+
+/**
+ * Called with the route or when an error occurred.
+ *
+ * @callback PointManager~getRouteCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} Route object, with the hexadecimal IDs of the required points for each point ID.
+ */
+
 /**
  * Error callback.
  *
@@ -0,0 +1,115 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var config = require('../../../config');
+
+/**
+ * PointRange class.
+ * Used to determine the range of a point, which may be configured for a game and overridden for each point.
+ *
+ * A range is an object with the following properties, each of which may be null to inherit it:
+ * - range: Radius in meters a user must be in to be in range of a point.
+ * - active: Radius in meters a user must leave, once in range, to be out of range of the point again.
+ *   This is larger than the range to prevent users with an inaccurate location from flickering in and out of range.
+ *
+ * @class
+ * @constructor
+ */
+var PointRange = function() {};
+
+/**
+ * Get the default range, used for anything that isn't configured for a game or point.
+ *
+ * @return {{range: Number, active: Number}} Default range.
+ */
+PointRange.getDefault = function() {
+    return {
+        range: config.game.pointRange,
+        active: config.game.pointRangeActive
+    };
+};
+
+/**
+ * Resolve the range to use from the given ranges.
+ * The first range that configures a property is used for it, the default range is used as last resort.
+ * The active range is never smaller than the range itself.
+ *
+ * @param {...Object} ranges Ranges in order of precedence, for example the range of a point and of its game.
+ *
+ * @return {{range: Number, active: Number}} Resolved range.
+ */
+PointRange.resolve = function(ranges) {
+    // Use the first range that configures each property
+    ranges = Array.prototype.slice.call(arguments).concat([PointRange.getDefault()]);
+    const range = _.find(ranges, (entry) => _.isNumber(entry.range)).range;
+    const active = _.find(ranges, (entry) => _.isNumber(entry.active)).active;
+
+    return {
+        range,
+        active: Math.max(range, active)
+    };
+};
+
+/**
+ * Parse a range value from a form field.
+ *
+ * @param {string|undefined} value Field value.
+ *
+ * @return {Number|null} Range in meters, null if the field is empty, or NaN if the value is invalid.
+ */
+PointRange.parse = function(value) {
+    // Empty fields inherit the range
+    if(!_.isString(value) || value.trim().length === 0)
+        return null;
+
+    // Parse the value
+    value = value.trim().replace(',', '.');
+    return /^\d+(\.\d+)?$/.test(value) ? parseFloat(value) : NaN;
+};
+
+/**
+ * Check whether the given range is valid.
+ * Configured values must be within the configured limits, and the active range may not be smaller than the range.
+ *
+ * @param {Object} range Range.
+ *
+ * @return {string|null} Message describing why the range is invalid, or null if it is valid.
+ */
+PointRange.validate = function(range) {
+    // Make sure the values are within the limits
+    const isValid = (value) => value === null ||
+        (_.isFinite(value) && value >= config.validation.pointRangeMin && value <= config.validation.pointRangeMax);
+    if(!isValid(range.range) || !isValid(range.active))
+        return 'Het bereik moet tussen de ' + config.validation.pointRangeMin + ' en ' +
+            config.validation.pointRangeMax + ' meter liggen.';
+
+    // The active range may not be smaller than the range
+    if(range.range !== null && range.active !== null && range.active < range.range)
+        return 'Het actieve bereik mag niet kleiner zijn dan het bereik.';
+
+    return null;
+};
+
+// Export the class
+module.exports = PointRange;
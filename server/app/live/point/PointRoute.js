@@ -0,0 +1,123 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+/**
+ * PointRoute class.
+ * Used to determine which points of a game in route mode are unlocked for a user.
+ *
+ * The route of a game is described by an object with the hexadecimal ID of each point as key, and an array of the
+ * hexadecimal IDs of the points that must be completed before the point is unlocked as value. A point without any
+ * required points is unlocked right away, so a fixed tour is described by letting each point require the previous one.
+ *
+ * @class
+ * @constructor
+ */
+var PointRoute = function() {};
+
+/**
+ * Check whether a point is unlocked, based on its required points and the points that are completed.
+ *
+ * @param {string[]} requiredPointIds Hexadecimal IDs of the points that must be completed first.
+ * @param {string[]} completedPointIds Hexadecimal IDs of the completed points.
+ *
+ * @return {boolean} True if all required points are completed, false if not.
+ */
+PointRoute.isUnlocked = function(requiredPointIds, completedPointIds) {
+    return _.every(requiredPointIds, (pointId) => _.includes(completedPointIds, pointId));
+};
+
+/**
+ * Get the points that are unlocked but not completed yet.
+ * These are the points a user should currently be walking to.
+ *
+ * @param {Object} route Route object, with the required point IDs for each point ID.
+ * @param {string[]} completedPointIds Hexadecimal IDs of the completed points.
+ *
+ * @return {string[]} Hexadecimal IDs of the unlocked points that aren't completed.
+ */
+PointRoute.getUnlockedPointIds = function(route, completedPointIds) {
+    return Object.keys(route).filter((pointId) =>
+        !_.includes(completedPointIds, pointId) && PointRoute.isUnlocked(route[pointId], completedPointIds));
+};
+
+/**
+ * Check whether the given route is valid.
+ * Points may only require other points in the route, and points may not require themselves through a cycle, because
+ * such points would never be unlocked.
+ *
+ * @param {Object} route Route object, with the required point IDs for each point ID.
+ *
+ * @return {string|null} Message describing why the route is invalid, or null if it is valid.
+ */
+PointRoute.validate = function(route) {
+    // Make sure all required points are part of the route
+    var unknown = _.some(route, (requiredPointIds) => _.some(requiredPointIds, (pointId) => !route.hasOwnProperty(pointId)));
+    if(unknown)
+        return 'Een punt vereist een punt dat niet in dit spel bestaat.';
+
+    // Unlock points as if every unlocked point is completed, until nothing changes anymore
+    var completed = [];
+    var unlocked;
+    while((unlocked = PointRoute.getUnlockedPointIds(route, completed)).length > 0)
+        completed = completed.concat(unlocked);
+
+    // Points that are never unlocked are part of a cycle, or require a point that is
+    if(completed.length < Object.keys(route).length)
+        return 'De vereiste punten vormen een kring, waardoor sommige punten nooit vrijgegeven worden.';
+
+    return null;
+};
+
+/**
+ * Get the step number of each point in the route.
+ * Points without required points are step 1, other points have a step one higher than their highest required point.
+ * The route must be valid.
+ *
+ * @param {Object} route Route object, with the required point IDs for each point ID.
+ *
+ * @return {Object} Object with the step number for each point ID.
+ */
+PointRoute.getSteps = function(route) {
+    // Create the steps object
+    var steps = {};
+
+    /**
+     * Determine the step of the given point.
+     *
+     * @param {string} pointId Point ID.
+     * @return {Number} Step number.
+     */
+    const getStep = function(pointId) {
+        if(!steps.hasOwnProperty(pointId))
+            steps[pointId] = 1 + _.max([0].concat(route[pointId].map(getStep)));
+        return steps[pointId];
+    };
+
+    // Determine the step of each point
+    Object.keys(route).forEach(getStep);
+    return steps;
+};
+
+// Export the class
+module.exports = PointRoute;
@@ -0,0 +1,68 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var config = require('../../../config');
+
+/**
+ * LocationHistory class.
+ * Used to decide which locations to record in the location history of a game, and to build trails from the history.
+ *
+ * @class
+ * @constructor
+ */
+var LocationHistory = function() {};
+
+/**
+ * Check whether a new location should be recorded, based on the time the last location of the user was recorded.
+ * This limits the size of the history for users that send their location very frequently.
+ *
+ * @param {Date|null} lastTime Time the last location of the user was recorded, or null if none was recorded.
+ * @param {Date} time Current time.
+ *
+ * @return {boolean} True if the location should be recorded, false if not.
+ */
+LocationHistory.shouldRecord = function(lastTime, time) {
+    return lastTime === null || time.getTime() - lastTime.getTime() >= config.game.locationHistoryInterval;
+};
+
+/**
+ * Build a trail for each user from the given history entries.
+ *
+ * @param {Object[]} entries History entries, with a user, latitude, longitude and date property.
+ *
+ * @return {{user: string, locations: Object[]}[]} List of trails, with the locations of each user in chronological order.
+ */
+LocationHistory.getTrails = function(entries) {
+    return _.map(_.groupBy(entries, (entry) => entry.user.toString()), (userEntries, user) => ({
+        user,
+        locations: _.sortBy(userEntries, (entry) => entry.date.getTime()).map((entry) => ({
+            latitude: entry.latitude,
+            longitude: entry.longitude,
+            date: entry.date
+        }))
+    }));
+};
+
+// Export the class
+module.exports = LocationHistory;
@@ -0,0 +1,140 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var config = require('../../../config');
+
+/**
+ * OfflineReplay class.
+ * Used to validate submissions and locations a client queued while it was offline, and replays after reconnecting.
+ *
+ * @class
+ * @constructor
+ */
+var OfflineReplay = function() {};
+
+/**
+ * Pattern a client token must match.
+ * Clients generate a random token for each queued submission, to prevent storing a replayed submission twice.
+ *
+ * @type {RegExp}
+ */
+OfflineReplay.TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+/**
+ * Check whether the given client token is valid.
+ *
+ * @param {*} token Client token.
+ *
+ * @return {boolean} True if the token is valid, false if not.
+ */
+OfflineReplay.isValidToken = function(token) {
+    return _.isString(token) && OfflineReplay.TOKEN_PATTERN.test(token);
+};
+
+/**
+ * Parse the time a client queued something at.
+ * Times that are too old, or too far in the future are rejected. Times slightly in the future, because the clock of
+ * the client runs ahead, are limited to the current time.
+ *
+ * @param {Number|string|undefined} value Time in milliseconds since the epoch.
+ * @param {Date} now Current time.
+ *
+ * @return {Date|null} Parsed time, or null if the time is invalid.
+ */
+OfflineReplay.parseTime = function(value, now) {
+    // Parse string values
+    if(_.isString(value) && /^\d+$/.test(value.trim()))
+        value = parseInt(value.trim(), 10);
+
+    // Make sure the time is a number
+    if(!_.isFinite(value))
+        return null;
+
+    // Make sure the time isn't too old, or too far in the future
+    if(value < now.getTime() - config.game.offlineMaxAge || value > now.getTime() + config.game.offlineClockTolerance)
+        return null;
+
+    // Limit the time to the current time
+    return new Date(Math.min(value, now.getTime()));
+};
+
+/**
+ * Check whether something a client queued was made by the given user.
+ * Clients store the ID of the user with everything they queue, since a device may be shared by multiple users that log
+ * in after each other. Data that isn't queued doesn't have a user, and is always made by the current user.
+ *
+ * @param {string|undefined} rawUser ID of the user the client queued the data for, or undefined if not queued.
+ * @param {UserModel} user Current user.
+ *
+ * @return {boolean} True if the data was made by the given user, false if not.
+ */
+OfflineReplay.isSameUser = function(rawUser, user) {
+    return rawUser === undefined || (_.isString(rawUser) && rawUser.toLowerCase() === user.getIdHex().toLowerCase());
+};
+
+/**
+ * Add a location the server received from a user to the location trail of that user.
+ * The trail is used to check where a user was at the time an answer was made while being offline, instead of
+ * trusting the location the client claims. Locations older than the maximum offline age are removed, and locations
+ * received shortly after another location are skipped to limit the size of the trail.
+ *
+ * @param {{location: Coordinate, time: Date}[]} trail Location trail, ordered by time.
+ * @param {Coordinate} location Location of the user.
+ * @param {Date} time Time the location was determined at.
+ * @param {Date} now Current time.
+ *
+ * @return {boolean} True if the location was added, false if not.
+ */
+OfflineReplay.addTrailLocation = function(trail, location, time, now) {
+    // Remove locations that are too old
+    const minTime = now.getTime() - config.game.offlineMaxAge;
+    while(trail.length > 0 && trail[0].time.getTime() < minTime)
+        trail.shift();
+
+    // Make sure the location isn't too old, and that no other location is known around the same time
+    if(time.getTime() < minTime || trail.some((entry) => Math.abs(entry.time.getTime() - time.getTime()) < config.game.offlineTrailInterval))
+        return false;
+
+    // Insert the location, keeping the trail ordered by time
+    trail.splice(_.sortedIndexBy(trail, {time}, (entry) => entry.time.getTime()), 0, {location, time});
+    return true;
+};
+
+/**
+ * Get the locations from a location trail that were known at the given time.
+ * A location is known for as long as it takes a location to decay.
+ *
+ * @param {{location: Coordinate, time: Date}[]} trail Location trail.
+ * @param {Date} time Time.
+ *
+ * @return {Coordinate[]} Locations known at the given time.
+ */
+OfflineReplay.getTrailLocations = function(trail, time) {
+    return trail
+        .filter((entry) => Math.abs(entry.time.getTime() - time.getTime()) <= config.game.locationDecayTime)
+        .map((entry) => entry.location);
+};
+
+// Export the class
+module.exports = OfflineReplay;
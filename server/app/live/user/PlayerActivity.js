@@ -0,0 +1,90 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var config = require('../../../config');
+var ApprovalState = require('../../model/submission/ApprovalState');
+
+/**
+ * PlayerActivity class.
+ * Used to summarize the activity and progress of players, as shown on the manager dashboard.
+ *
+ * @class
+ * @constructor
+ */
+var PlayerActivity = function() {};
+
+/**
+ * State of players that recently sent their location.
+ *
+ * @type {string}
+ */
+PlayerActivity.STATE_ACTIVE = 'active';
+
+/**
+ * State of players whose location is outdated, but that were active a short while ago.
+ *
+ * @type {string}
+ */
+PlayerActivity.STATE_IDLE = 'idle';
+
+/**
+ * State of players that haven't sent their location for a long time, or never did.
+ *
+ * @type {string}
+ */
+PlayerActivity.STATE_OFFLINE = 'offline';
+
+/**
+ * Get the activity state of a player, based on the age of the last known location.
+ *
+ * @param {Number|null} locationAge Age of the last known location in milliseconds, or null if it's unknown.
+ *
+ * @return {string} Activity state.
+ */
+PlayerActivity.getState = function(locationAge) {
+    if(locationAge === null || locationAge === undefined || locationAge > config.game.playerOfflineTime)
+        return PlayerActivity.STATE_OFFLINE;
+    if(locationAge > config.game.locationDecayTime)
+        return PlayerActivity.STATE_IDLE;
+    return PlayerActivity.STATE_ACTIVE;
+};
+
+/**
+ * Count the submissions of a player for each approval state.
+ *
+ * @param {Number[]} states Approval states of the submissions of the player.
+ *
+ * @return {{total: Number, pending: Number, approved: Number, rejected: Number}} Submission counts.
+ */
+PlayerActivity.countSubmissions = function(states) {
+    return {
+        total: states.length,
+        pending: _.filter(states, (state) => state === ApprovalState.PENDING).length,
+        approved: _.filter(states, (state) => state === ApprovalState.APPROVED).length,
+        rejected: _.filter(states, (state) => state === ApprovalState.REJECTED).length
+    };
+};
+
+// Export the class
+module.exports = PlayerActivity;
@@ -20,6 +20,7 @@
  * program. If not, see <http://opensource.org/licenses/MIT/>.                *
  ******************************************************************************/
 
+var _ = require('lodash');
 var mongo = require('mongodb');
 var ObjectId = mongo.ObjectId;
 
@@ -28,6 +29,12 @@ var config = require('../../../config');
 var Core = require('../../../Core');
 var UserModel = require('../../model/user/UserModel');
 var CallbackLatch = require('../../util/CallbackLatch');
+var GameArea = require('../game/GameArea');
+var LocationHistory = require('./LocationHistory');
+var OfflineReplay = require('./OfflineReplay');
+var LocationHistoryDatabase = require('../../model/locationhistory/LocationHistoryDatabase');
+var LiveSync = require('../LiveSync');
+var Metrics = require('../../metrics/Metrics');
 
 /**
  * User class.
@@ -69,6 +76,31 @@ var User = function(user, game) {
      */
     this._locationTime = null;
 
+    /**
+     * Whether the user is inside the play area of the game.
+     * Users are considered to be inside until a location outside the play area is known.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._inArea = true;
+
+    /**
+     * Last time a location of this user was recorded in the location history.
+     *
+     * @type {Date|null}
+     * @private
+     */
+    this._locationHistoryTime = null;
+
+    /**
+     * Locations received from this user in the last hours, used to validate answers made while being offline.
+     *
+     * @type {{location: Coordinate, time: Date}[]}
+     * @private
+     */
+    this._locationTrail = [];
+
     // Get and set the user ID
     if(user instanceof UserModel)
         this._id = user.getId();
@@ -197,11 +229,53 @@ User.prototype.unload = function() {
  * Set the location.
  *
  * @param location New location.
+ * @param {Date} [time] Time the location was determined at, defaults to now.
  */
-User.prototype.setLocation = function(location) {
+User.prototype.setLocation = function(location, time) {
     // Set the location and it's update time
     this._location = location;
-    this._locationTime = new Date();
+    this._locationTime = time !== undefined ? time : new Date();
+
+    // Add the location to the location trail
+    this.addTrailLocation(location, this._locationTime);
+};
+
+/**
+ * Add a location to the location trail of this user, without changing the last known location.
+ *
+ * @param {Coordinate} location Location.
+ * @param {Date} time Time the location was determined at.
+ */
+User.prototype.addTrailLocation = function(location, time) {
+    OfflineReplay.addTrailLocation(this._locationTrail, location, time, new Date());
+};
+
+/**
+ * Add a location a client replayed after being offline to the location trail of this user, and share it with the
+ * other workers. Used for replayed locations that are older than the last known location.
+ *
+ * @param {Coordinate} location Location.
+ * @param {Date} time Time the location was determined at.
+ */
+User.prototype.recordTrailLocation = function(location, time) {
+    this.addTrailLocation(location, time);
+    LiveSync.publish(LiveSync.USER_TRAIL, {
+        game: this.getGame().getIdHex(),
+        user: this.getIdHex(),
+        location,
+        time: time.getTime()
+    });
+};
+
+/**
+ * Get the locations of this user that were known at the given time.
+ *
+ * @param {Date} time Time.
+ *
+ * @return {Coordinate[]} Known locations.
+ */
+User.prototype.getTrailLocations = function(time) {
+    return OfflineReplay.getTrailLocations(this._locationTrail, time);
 };
 
 /**
@@ -227,6 +301,18 @@ User.prototype.getLocationAge = function() {
     return Date.now() - this._locationTime.getTime();
 };
 
+/**
+ * Check whether the last known location was determined after the given time.
+ * Used to skip locations a client replays after being offline, if a newer location is already known.
+ *
+ * @param {Date} time Time.
+ *
+ * @return {boolean} True if a newer location is known, false if not.
+ */
+User.prototype.hasNewerLocation = function(time) {
+    return this._locationTime != null && this._locationTime.getTime() > time.getTime();
+};
+
 /**
  * Get the recent/last known participant location.
  * Null will be returned if the location hasn't been updated and/or is decayed.
@@ -264,24 +350,153 @@ User.prototype.hasLocation = function() {
     return this.getLocation() !== null;
 };
 
+/**
+ * Record the last known location in the location history, if the game records a location history.
+ * Locations are recorded at most once every configured interval.
+ *
+ * @param {Date} [time] Time the location was determined at, defaults to now.
+ * @param {User~recordLocationCallback} callback Called with the result or when an error occurred.
+ */
+User.prototype.recordLocation = function(time, callback) {
+    // Store this instance
+    const self = this;
+
+    // Set the callback parameter if the time parameter was left out
+    if(_.isFunction(time)) {
+        callback = time;
+        time = undefined;
+    }
+
+    // Make sure a location is known, and that the interval has passed
+    const now = time !== undefined ? time : new Date();
+    if(!this.hasLocation() || !LocationHistory.shouldRecord(this._locationHistoryTime, now)) {
+        callback(null, false);
+        return;
+    }
+
+    // Make sure the game records a location history
+    const gameModel = this.getGame().getGameModel();
+    gameModel.isLocationHistory(function(err, locationHistory) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Don't record if the location history is disabled
+        if(!locationHistory) {
+            callback(null, false);
+            return;
+        }
+
+        // Set the record time before storing, to prevent recording the same location twice
+        self._locationHistoryTime = now;
+
+        // Record the location
+        LocationHistoryDatabase.addLocation(gameModel, self.getUserModel(), self.getLocation(), now, function(err) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Call back
+            callback(null, true);
+        });
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback User~recordLocationCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the location was recorded, false if not.
+ */
+
+/**
+ * Check whether the user is inside the play area of the game, based on the last known location.
+ *
+ * @return {boolean} True if the user is inside the play area, false if not.
+ */
+User.prototype.isInArea = function() {
+    return this._inArea;
+};
+
+/**
+ * Update whether the user is inside the play area of the game, based on the last known location.
+ *
+ * @param {User~updateAreaStateCallback} callback Called with the result or when an error occurred.
+ */
+User.prototype.updateAreaState = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // The state can't change without a known location
+    if(!this.hasLocation()) {
+        callback(null, false);
+        return;
+    }
+
+    // Get the play area of the game
+    this.getGame().getGameModel().getArea(function(err, area) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Determine whether the user is inside the area, and whether that changed
+        const inArea = GameArea.contains(area, self.getLocation());
+        const changed = inArea !== self._inArea;
+        self._inArea = inArea;
+
+        // Call back
+        callback(null, changed);
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback User~updateAreaStateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the user entered or left the play area, false if nothing changed.
+ */
+
 /**
  * Update the location.
  *
  * @param {Coordinate|undefined} [location] New location or undefined to not update his current location.
  * @param [socket] Source socket or undefined.
+ * @param {Date} [time] Time the location was determined at, defaults to now.
  * @param {User~updateLocationCallback} callback Called on success or when an error occurred.
  */
-User.prototype.updateLocation = function(location, socket, callback) {
+User.prototype.updateLocation = function(location, socket, time, callback) {
     // Store this instance
     const self = this;
 
-    // Set the location
-    if(location !== undefined)
-        this.setLocation(location);
+    // Set the callback parameter if the time parameter was left out
+    if(_.isFunction(time)) {
+        callback = time;
+        time = undefined;
+    }
 
     // Get the live game
     const liveGame = this.getGame();
 
+    // Set the location, and share it with the other workers
+    if(location !== undefined) {
+        Metrics.countLocationUpdate();
+        this.setLocation(location, time);
+        LiveSync.publish(LiveSync.USER_LOCATION, {
+            game: liveGame.getIdHex(),
+            user: this.getIdHex(),
+            location,
+            time: this._locationTime.getTime()
+        });
+    }
+
     // Define whether to update the game data
     var updateUser = false;
 
@@ -0,0 +1,373 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+/**
+ * Size in bytes of each TIFF field type, by type number.
+ * Types that aren't listed aren't read.
+ *
+ * @type {Object}
+ */
+const TYPE_SIZES = {
+    1: 1,
+    2: 1,
+    3: 2,
+    4: 4,
+    5: 8,
+    7: 1,
+    9: 4,
+    10: 8
+};
+
+/**
+ * EXIF tags that are read, by IFD.
+ *
+ * @type {Object}
+ */
+const TAGS = {
+    DATE_TIME: 0x0132,
+    EXIF_IFD: 0x8769,
+    GPS_IFD: 0x8825,
+    DATE_TIME_ORIGINAL: 0x9003,
+    OFFSET_TIME_ORIGINAL: 0x9011,
+    GPS_LATITUDE_REF: 0x0001,
+    GPS_LATITUDE: 0x0002,
+    GPS_LONGITUDE_REF: 0x0003,
+    GPS_LONGITUDE: 0x0004,
+    GPS_TIME_STAMP: 0x0007,
+    GPS_DATE_STAMP: 0x001D
+};
+
+/**
+ * ExifReader class.
+ * Reads the capture date and GPS location from the EXIF metadata of JPEG images.
+ *
+ * @class
+ * @constructor
+ */
+var ExifReader = function() {};
+
+/**
+ * Read the metadata of a JPEG image.
+ *
+ * The capture date is taken from the GPS time stamp if available, as that's in UTC. The original date and time is used
+ * otherwise, along with its time zone offset if the camera stored one. Dates without a time zone are interpreted in
+ * the time zone of the server.
+ *
+ * @param {Buffer} data Image data.
+ *
+ * @return {ExifReader~Metadata|null} Image metadata, or null if the image doesn't have any EXIF metadata.
+ */
+ExifReader.read = function(data) {
+    // Only JPEG images are supported
+    if(!Buffer.isBuffer(data) || data.length < 4 || data[0] !== 0xFF || data[1] !== 0xD8)
+        return null;
+
+    // Find the EXIF segment, and parse it
+    try {
+        var offset = 2;
+        while(offset + 4 <= data.length) {
+            // Every segment must start with a marker, skip fill bytes
+            if(data[offset] !== 0xFF)
+                return null;
+            if(data[offset + 1] === 0xFF) {
+                offset++;
+                continue;
+            }
+
+            // Stop at the start of the image data
+            const marker = data[offset + 1];
+            if(marker === 0xDA || marker === 0xD9)
+                return null;
+
+            // Parse the EXIF segment
+            const size = data.readUInt16BE(offset + 2);
+            if(marker === 0xE1 && data.toString('binary', offset + 4, offset + 10) === 'Exif\0\0')
+                return ExifReader._parseTiff(data.slice(offset + 10, offset + 2 + size));
+
+            // Continue with the next segment
+            offset += 2 + size;
+        }
+    } catch(err) {
+        // Treat corrupt metadata as missing
+        if(err instanceof RangeError)
+            return null;
+        throw err;
+    }
+
+    return null;
+};
+
+/**
+ * Image metadata.
+ *
+ * @typedef {Object} ExifReader~Metadata
+ * @param {Date|null} date Date the image was captured on, or null if unknown.
+ * @param {boolean} dateZoned True if the time zone of the date was known, false if the server time zone was assumed.
+ * @param {{latitude: Number, longitude: Number}|null} location Location the image was captured at, or null if unknown.
+ */
+
+/**
+ * Parse the TIFF structure of an EXIF segment.
+ *
+ * @param {Buffer} tiff TIFF data.
+ *
+ * @return {ExifReader~Metadata} Image metadata.
+ * @private
+ */
+ExifReader._parseTiff = function(tiff) {
+    // Determine the byte order
+    const byteOrder = tiff.toString('binary', 0, 2);
+    if(byteOrder !== 'II' && byteOrder !== 'MM')
+        return null;
+    const reader = new TiffReader(tiff, byteOrder === 'II');
+    if(reader.uint16(2) !== 42)
+        return null;
+
+    // Read the IFDs
+    const ifd0 = reader.ifd(reader.uint32(4));
+    const exif = _.isNumber(ifd0[TAGS.EXIF_IFD]) ? reader.ifd(ifd0[TAGS.EXIF_IFD]) : {};
+    const gps = _.isNumber(ifd0[TAGS.GPS_IFD]) ? reader.ifd(ifd0[TAGS.GPS_IFD]) : {};
+
+    // Determine the capture date
+    var date = ExifReader.parseGpsDate(gps[TAGS.GPS_DATE_STAMP], gps[TAGS.GPS_TIME_STAMP]);
+    var dateZoned = date !== null;
+    if(date === null) {
+        const offset = exif[TAGS.OFFSET_TIME_ORIGINAL];
+        date = ExifReader.parseDate(exif[TAGS.DATE_TIME_ORIGINAL] || ifd0[TAGS.DATE_TIME], offset);
+        dateZoned = date !== null && ExifReader.parseOffset(offset) !== null;
+    }
+
+    // Determine the location
+    const latitude = ExifReader.parseCoordinate(gps[TAGS.GPS_LATITUDE], gps[TAGS.GPS_LATITUDE_REF], 90);
+    const longitude = ExifReader.parseCoordinate(gps[TAGS.GPS_LONGITUDE], gps[TAGS.GPS_LONGITUDE_REF], 180);
+
+    return {
+        date,
+        dateZoned,
+        location: latitude !== null && longitude !== null ? {latitude, longitude} : null
+    };
+};
+
+/**
+ * Parse an EXIF date, such as '2017:05:24 13:45:10'.
+ *
+ * @param {string|undefined} value EXIF date.
+ * @param {string|undefined} [offset] Time zone offset, such as '+02:00'. The server time zone is used if not set.
+ *
+ * @return {Date|null} Date, or null if invalid.
+ */
+ExifReader.parseDate = function(value, offset) {
+    // Parse the date parts
+    const match = _.isString(value) ? value.trim().match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/) : null;
+    if(match === null)
+        return null;
+    const parts = match.slice(1).map((part) => parseInt(part, 10));
+    if(parts[0] === 0 || parts[1] === 0)
+        return null;
+
+    // Build the date, in the given time zone or in the server time zone
+    const offsetMinutes = ExifReader.parseOffset(offset);
+    const date = offsetMinutes !== null ?
+        new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]) - offsetMinutes * 60 * 1000) :
+        new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse an EXIF time zone offset, such as '+02:00'.
+ *
+ * @param {string|undefined} offset Time zone offset.
+ *
+ * @return {int|null} Offset in minutes, or null if invalid.
+ */
+ExifReader.parseOffset = function(offset) {
+    const match = _.isString(offset) ? offset.trim().match(/^([+-])(\d{2}):(\d{2})$/) : null;
+    if(match === null)
+        return null;
+    return (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10));
+};
+
+/**
+ * Parse the GPS date and time stamp, which are in UTC.
+ *
+ * @param {string|undefined} dateStamp Date stamp, such as '2017:05:24'.
+ * @param {Array|undefined} timeStamp Hours, minutes and seconds.
+ *
+ * @return {Date|null} Date, or null if invalid or incomplete.
+ */
+ExifReader.parseGpsDate = function(dateStamp, timeStamp) {
+    // Both stamps must be available
+    if(!_.isArray(timeStamp) || timeStamp.length !== 3 || !timeStamp.every(_.isFinite))
+        return null;
+
+    // Parse the date as UTC
+    const seconds = timeStamp[0] * 3600 + timeStamp[1] * 60 + timeStamp[2];
+    const date = ExifReader.parseDate(_.isString(dateStamp) ? dateStamp.trim() + ' 00:00:00' : undefined, '+00:00');
+    return date !== null ? new Date(date.getTime() + Math.round(seconds * 1000)) : null;
+};
+
+/**
+ * Parse a GPS coordinate, from its degrees, minutes and seconds.
+ *
+ * @param {Array|undefined} value Degrees, minutes and seconds.
+ * @param {string|undefined} ref Reference, 'S' and 'W' are negative.
+ * @param {Number} max Maximum absolute value.
+ *
+ * @return {Number|null} Coordinate in decimal degrees, or null if invalid.
+ */
+ExifReader.parseCoordinate = function(value, ref, max) {
+    // Validate the value
+    if(!_.isArray(value) || value.length !== 3 || !value.every(_.isFinite))
+        return null;
+
+    // Convert to decimal degrees
+    var coordinate = value[0] + value[1] / 60 + value[2] / 3600;
+    if(_.isString(ref) && (ref.trim().toUpperCase() === 'S' || ref.trim().toUpperCase() === 'W'))
+        coordinate = -coordinate;
+    return Math.abs(coordinate) <= max ? coordinate : null;
+};
+
+/**
+ * TiffReader class.
+ * Reads values from TIFF data with the given byte order.
+ *
+ * @param {Buffer} data TIFF data.
+ * @param {boolean} littleEndian True if the data is little endian, false if big endian.
+ *
+ * @class
+ * @constructor
+ * @private
+ */
+var TiffReader = function(data, littleEndian) {
+    this.data = data;
+    this.littleEndian = littleEndian;
+};
+
+/**
+ * Read an unsigned 16-bit integer.
+ *
+ * @param {int} offset Offset to read at.
+ *
+ * @return {int} Value.
+ */
+TiffReader.prototype.uint16 = function(offset) {
+    return this.littleEndian ? this.data.readUInt16LE(offset) : this.data.readUInt16BE(offset);
+};
+
+/**
+ * Read an unsigned 32-bit integer.
+ *
+ * @param {int} offset Offset to read at.
+ *
+ * @return {int} Value.
+ */
+TiffReader.prototype.uint32 = function(offset) {
+    return this.littleEndian ? this.data.readUInt32LE(offset) : this.data.readUInt32BE(offset);
+};
+
+/**
+ * Read a signed 32-bit integer.
+ *
+ * @param {int} offset Offset to read at.
+ *
+ * @return {int} Value.
+ */
+TiffReader.prototype.int32 = function(offset) {
+    return this.littleEndian ? this.data.readInt32LE(offset) : this.data.readInt32BE(offset);
+};
+
+/**
+ * Read the entries of an IFD.
+ * Single values are returned as is, multiple numeric values as array.
+ *
+ * @param {int} offset Offset of the IFD.
+ *
+ * @return {Object} Values by tag.
+ */
+TiffReader.prototype.ifd = function(offset) {
+    const entries = {};
+    const count = this.uint16(offset);
+    for(var i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const type = this.uint16(entry + 2);
+        const valueCount = this.uint32(entry + 4);
+
+        // Skip unsupported types
+        if(!TYPE_SIZES.hasOwnProperty(type))
+            continue;
+
+        // Values of up to 4 bytes are stored in the entry itself
+        const size = TYPE_SIZES[type] * valueCount;
+        const valueOffset = size <= 4 ? entry + 8 : this.uint32(entry + 8);
+        if(valueOffset + size > this.data.length)
+            continue;
+
+        entries[this.uint16(entry)] = this.value(type, valueOffset, valueCount);
+    }
+    return entries;
+};
+
+/**
+ * Read a value.
+ *
+ * @param {int} type TIFF field type.
+ * @param {int} offset Offset of the value.
+ * @param {int} count Number of values.
+ *
+ * @return {string|Number|Array} Value.
+ */
+TiffReader.prototype.value = function(type, offset, count) {
+    // Read strings up to the null terminator
+    if(type === 2)
+        return this.data.toString('binary', offset, offset + count).replace(/\0[\s\S]*$/, '');
+
+    // Read the numbers
+    const values = [];
+    for(var i = 0; i < count; i++) {
+        const position = offset + i * TYPE_SIZES[type];
+        switch(type) {
+            case 3:
+                values.push(this.uint16(position));
+                break;
+            case 4:
+                values.push(this.uint32(position));
+                break;
+            case 5:
+                values.push(this.uint32(position) / this.uint32(position + 4));
+                break;
+            case 9:
+                values.push(this.int32(position));
+                break;
+            case 10:
+                values.push(this.int32(position) / this.int32(position + 4));
+                break;
+            default:
+                values.push(this.data[position]);
+        }
+    }
+    return values.length === 1 ? values[0] : values;
+};
+
+// Export the class
+module.exports = ExifReader;
@@ -0,0 +1,259 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var config = require('../../config');
+
+var Core = require('../../Core');
+var FileUtils = require('../util/FileUtils');
+var HashUtils = require('../hash/HashUtils');
+var MediaState = require('./MediaState');
+var MediaVariant = require('./MediaVariant');
+
+/**
+ * ImageMagick coders to read images with, by their file extension.
+ * The coder is forced so ImageMagick never detects a different, possibly unsafe, format from the file contents.
+ * @type {Object}
+ */
+const IMAGE_CODERS = {
+    png: 'png',
+    jpg: 'jpeg',
+    jpeg: 'jpeg',
+    gif: 'gif',
+    bmp: 'bmp'
+};
+
+/**
+ * MediaProcessor class.
+ * Generates the variants of uploaded images and videos, such as thumbnails and poster frames, in the background.
+ * Images are processed with ImageMagick, videos with FFmpeg. Metadata such as EXIF is stripped from all variants, the
+ * original files are kept untouched.
+ *
+ * @class
+ * @constructor
+ */
+var MediaProcessor = function() {};
+
+/**
+ * Get the command to generate a variant of a file.
+ *
+ * @param {string} fileName Name of the original file, used to determine whether it's an image or a video.
+ * @param {string} variant Media variant to generate.
+ * @param {string} inputPath Path of the original file.
+ * @param {string} outputPath Path to write the variant to.
+ * @param {Object} options Media configuration, see config.media.
+ *
+ * @return {{command: string, args: Array}} Command and its arguments.
+ *
+ * @throws {Error} If the file is an image in a format that isn't supported.
+ */
+MediaProcessor.getCommand = function(fileName, variant, inputPath, outputPath, options) {
+    // Determine the maximum size of the variant
+    const size = variant === MediaVariant.THUMBNAIL ? options.thumbnailSize : options.previewSize;
+
+    // Grab a representative frame of videos, and scale it down
+    if(FileUtils.isVideo(fileName))
+        return {
+            command: options.videoCommand,
+            args: [
+                '-y',
+                '-i', inputPath,
+                '-vf', 'thumbnail,scale=w=\'min(' + size + ',iw)\':h=\'min(' + size + ',ih)\':force_original_aspect_ratio=decrease',
+                '-frames:v', '1',
+                '-an',
+                '-map_metadata', '-1',
+                '-f', 'image2',
+                outputPath
+            ]
+        };
+
+    // Read images with the coder of their format, so other formats are rejected
+    const coder = IMAGE_CODERS[path.extname(fileName).substring(1).toLowerCase()];
+    if(coder === undefined)
+        throw new Error('Unsupported image format.');
+
+    // Rotate images according to their orientation before stripping the metadata, only use the first frame of animations
+    return {
+        command: options.imageCommand,
+        args: [
+            coder + ':' + inputPath + '[0]',
+            '-auto-orient',
+            '-background', 'white',
+            '-flatten',
+            '-strip',
+            variant === MediaVariant.THUMBNAIL ? '-thumbnail' : '-resize', size + 'x' + size + '>',
+            '-quality', '80',
+            'jpg:' + outputPath
+        ]
+    };
+};
+
+/**
+ * Generate all variants of a stored file, and store them next to the original.
+ *
+ * @param {{file: string}} job Job with the name of the stored file.
+ * @param {function} callback Called on success, or when an error occurred.
+ */
+MediaProcessor.process = function(job, callback) {
+    // Determine the variants to generate
+    const variants = MediaVariant.getVariants(job.file);
+
+    // Determine the path to put the original file in while processing
+    const tempPrefix = path.join(os.tmpdir(), 'maris-media-' + HashUtils.randomHash());
+    const inputPath = tempPrefix + path.extname(job.file);
+    const tempFiles = [inputPath];
+
+    /**
+     * Remove the temporary files, and call back.
+     *
+     * @param {Error|null} err Error instance if an error occurred, null otherwise.
+     */
+    const complete = function(err) {
+        tempFiles.forEach((tempFile) => fs.unlink(tempFile, () => {}));
+        callback(err);
+    };
+
+    /**
+     * Generate and store the variant at the given index, and continue with the next one.
+     * Variants are generated one by one, to limit the load on the server.
+     *
+     * @param {int} i Index of the variant.
+     */
+    const next = function(i) {
+        // Complete when all variants are generated
+        if(i >= variants.length) {
+            complete(null);
+            return;
+        }
+
+        // Determine the output path, and get the command
+        const outputPath = tempPrefix + '.' + variants[i] + '.jpg';
+        var command;
+        try {
+            command = MediaProcessor.getCommand(job.file, variants[i], inputPath, outputPath, config.media);
+        } catch(err) {
+            complete(err);
+            return;
+        }
+        tempFiles.push(outputPath);
+
+        // Generate the variant
+        childProcess.execFile(command.command, command.args, {timeout: config.media.timeout}, function(err) {
+            // Call back errors
+            if(err) {
+                complete(err);
+                return;
+            }
+
+            // Read the variant, and store it
+            fs.readFile(outputPath, function(err, data) {
+                // Call back errors
+                if(err) {
+                    complete(err);
+                    return;
+                }
+
+                Core.fileStorage.write(MediaVariant.getName(job.file, variants[i]), data, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        complete(err);
+                        return;
+                    }
+
+                    // Continue with the next variant
+                    next(i + 1);
+                });
+            });
+        });
+    };
+
+    // Copy the original file from storage to a temporary file, and start generating the variants
+    Core.fileStorage.read(job.file, function(err, data) {
+        // Call back errors
+        if(err !== null) {
+            complete(err);
+            return;
+        }
+
+        fs.writeFile(inputPath, data, function(err) {
+            // Call back errors
+            if(err) {
+                complete(err);
+                return;
+            }
+
+            // Generate the variants
+            next(0);
+        });
+    });
+};
+
+/**
+ * Queue the given file of a submission for processing, if it's an image or a video.
+ * The file is marked as pending, and is processed in the background. The callback doesn't wait for processing to
+ * complete. The media state of the file is updated when processing succeeded or failed.
+ *
+ * @param {SubmissionModel} submission Submission the file belongs to.
+ * @param {string} fileName Name of the stored file.
+ * @param {function} callback Called when the file is queued, or when an error occurred.
+ */
+MediaProcessor.enqueue = function(submission, fileName, callback) {
+    // Skip files that don't have variants, or if media processing is disabled
+    if(!config.media.enabled || Core.mediaQueue === null || !MediaVariant.hasVariants(fileName)) {
+        callback(null);
+        return;
+    }
+
+    // Mark the file as pending
+    submission.setMediaState(fileName, MediaState.PENDING, function(err) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Queue the file
+        Core.mediaQueue.push({file: fileName}, function(err) {
+            // Show processing errors in the console
+            if(err !== null) {
+                console.error('Failed to process media file \'' + fileName + '\', only the original is available.');
+                console.error(err);
+            }
+
+            // Update the media state of the file
+            submission.setMediaState(fileName, err === null ? MediaState.PROCESSED : MediaState.FAILED, function(err) {
+                if(err !== null)
+                    console.error(err);
+            });
+        });
+
+        // Call back, don't wait for processing
+        callback(null);
+    });
+};
+
+// Export the class
+module.exports = MediaProcessor;
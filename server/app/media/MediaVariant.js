@@ -0,0 +1,83 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var FileUtils = require('../util/FileUtils');
+
+// Media variant constants
+var MediaVariant = {};
+
+// Small thumbnail, for images and videos.
+MediaVariant.THUMBNAIL = 'thumbnail';
+
+// Resized preview of an image, shown instead of the full size original.
+MediaVariant.LARGE = 'large';
+
+// Poster frame of a video, shown before the video is played.
+MediaVariant.POSTER = 'poster';
+
+/**
+ * Check whether the given media variant is valid.
+ *
+ * @param {string} variant Media variant to check.
+ * @return {boolean} True if it's valid, false if not.
+ */
+MediaVariant.isValid = (variant) =>
+    variant === MediaVariant.THUMBNAIL || variant === MediaVariant.LARGE || variant === MediaVariant.POSTER;
+
+/**
+ * Get the variants that are generated for the given file.
+ * Images get a thumbnail and a large preview, videos get a thumbnail and a poster frame.
+ * Other files don't have any variants.
+ *
+ * @param {string} fileName Name of the original file.
+ * @return {Array} Array of media variants.
+ */
+MediaVariant.getVariants = function(fileName) {
+    if(FileUtils.isImage(fileName))
+        return [MediaVariant.THUMBNAIL, MediaVariant.LARGE];
+    else if(FileUtils.isVideo(fileName))
+        return [MediaVariant.THUMBNAIL, MediaVariant.POSTER];
+    return [];
+};
+
+/**
+ * Check whether variants are generated for the given file.
+ *
+ * @param {string} fileName Name of the original file.
+ * @return {boolean} True if the file has variants, false if not.
+ */
+MediaVariant.hasVariants = (fileName) => MediaVariant.getVariants(fileName).length > 0;
+
+/**
+ * Get the storage name of a variant of the given file.
+ * Variants are always stored as JPEG image.
+ *
+ * @param {string} fileName Name of the original file.
+ * @param {string} variant Media variant.
+ * @return {string} Name of the variant file.
+ */
+MediaVariant.getName = (fileName, variant) => fileName + '.' + variant + '.jpg';
+
+// Export the constants
+module.exports = MediaVariant;
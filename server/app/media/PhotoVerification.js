@@ -0,0 +1,134 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Coordinate = require('../coordinate/Coordinate');
+
+/**
+ * Number of milliseconds in a minute.
+ *
+ * @type {Number}
+ */
+const MINUTE = 60 * 1000;
+
+/**
+ * PhotoVerification class.
+ * Compares the metadata of a submitted photo against the point and the running window of the game, to flag photos
+ * that were probably taken elsewhere or at another time. Flags are only shown to reviewers, nothing is rejected
+ * automatically.
+ *
+ * @class
+ * @constructor
+ */
+var PhotoVerification = function() {};
+
+// The photo doesn't have any metadata, it might be downloaded or edited.
+PhotoVerification.NO_METADATA = 'no_metadata';
+
+// The photo doesn't have a location.
+PhotoVerification.NO_LOCATION = 'no_location';
+
+// The photo doesn't have a capture date.
+PhotoVerification.NO_DATE = 'no_date';
+
+// The photo was taken too far away from the point.
+PhotoVerification.TOO_FAR = 'too_far';
+
+// The photo was taken before the game started, or after it finished.
+PhotoVerification.OUTSIDE_WINDOW = 'outside_window';
+
+/**
+ * Verify the metadata of a photo.
+ *
+ * @param {ExifReader~Metadata|null} metadata Photo metadata, or null if the photo doesn't have any.
+ * @param {{location: Coordinate, range: Number}|null} point Location and range in meters of the point the assignment
+ * was attached to, or null if unknown.
+ * @param {{start: Date|null, end: Date|null}} window Running window of the game, each side may be null if unknown.
+ * @param {{locationTolerance: Number, timeTolerance: Number}} options Location tolerance in meters, added to the
+ * point range, and time tolerance in minutes.
+ *
+ * @return {PhotoVerification~Result} Verification result.
+ */
+PhotoVerification.verify = function(metadata, point, window, options) {
+    // Create the result object
+    const result = {
+        suspicious: false,
+        flags: [],
+        distance: null,
+        date: null
+    };
+
+    /**
+     * Add a flag to the result.
+     *
+     * @param {string} type Flag type.
+     * @param {string} message Message for the reviewer.
+     */
+    const flag = function(type, message) {
+        result.suspicious = true;
+        result.flags.push({type, message});
+    };
+
+    // Flag photos without metadata
+    if(metadata === null || metadata === undefined) {
+        flag(PhotoVerification.NO_METADATA, 'De foto bevat geen metadata, mogelijk is deze gedownload of bewerkt.');
+        return result;
+    }
+
+    // Compare the location against the point
+    if(metadata.location === null)
+        flag(PhotoVerification.NO_LOCATION, 'De foto bevat geen locatie.');
+    else if(point !== null && point !== undefined && point.location !== null) {
+        result.distance = Math.round(new Coordinate(metadata.location).getDistanceTo(point.location));
+        if(result.distance > point.range + options.locationTolerance)
+            flag(PhotoVerification.TOO_FAR, 'De foto is ' + result.distance + ' meter van het punt genomen.');
+    }
+
+    // Compare the capture date against the running window of the game
+    if(!_.isDate(metadata.date))
+        flag(PhotoVerification.NO_DATE, 'De foto bevat geen opnamedatum.');
+    else {
+        result.date = metadata.date;
+        const time = metadata.date.getTime();
+        const tolerance = options.timeTolerance * MINUTE;
+        if(_.isDate(window.start) && time < window.start.getTime() - tolerance)
+            flag(PhotoVerification.OUTSIDE_WINDOW, 'De foto is genomen voordat het spel begon.');
+        else if(_.isDate(window.end) && time > window.end.getTime() + tolerance)
+            flag(PhotoVerification.OUTSIDE_WINDOW, 'De foto is genomen nadat het spel was afgelopen.');
+    }
+
+    return result;
+};
+
+/**
+ * Photo verification result.
+ *
+ * @typedef {Object} PhotoVerification~Result
+ * @param {boolean} suspicious True if any flags were raised, false if not.
+ * @param {Array} flags Raised flags, each with a type and a message.
+ * @param {Number|null} distance Distance in meters between the photo and the point, or null if unknown.
+ * @param {Date|null} date Date the photo was captured on, or null if unknown.
+ */
+
+// Export the class
+module.exports = PhotoVerification;
@@ -0,0 +1,315 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+/**
+ * Default histogram buckets, in seconds.
+ *
+ * @type {Number[]}
+ */
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+/**
+ * MetricRegistry class.
+ * Holds a set of counters, gauges and histograms, and formats them in the Prometheus text exposition format.
+ *
+ * @class
+ * @constructor
+ */
+var MetricRegistry = function() {
+    /**
+     * Map of registered metrics, with the metric name as key.
+     *
+     * @type {Map}
+     * @private
+     */
+    this._metrics = new Map();
+};
+
+/**
+ * Counter metric type, a value that only increases.
+ *
+ * @type {string}
+ */
+MetricRegistry.TYPE_COUNTER = 'counter';
+
+/**
+ * Gauge metric type, a value that may go up and down.
+ *
+ * @type {string}
+ */
+MetricRegistry.TYPE_GAUGE = 'gauge';
+
+/**
+ * Histogram metric type, observations counted in buckets.
+ *
+ * @type {string}
+ */
+MetricRegistry.TYPE_HISTOGRAM = 'histogram';
+
+/**
+ * Register a metric.
+ * If a metric with the same name is registered already, nothing is changed.
+ *
+ * @param {string} name Metric name.
+ * @param {string} type Metric type, one of the TYPE_ constants.
+ * @param {string} help Description of the metric.
+ * @param {Number[]} [buckets] Upper bounds of the buckets for histograms, in ascending order.
+ */
+MetricRegistry.prototype.register = function(name, type, help, buckets) {
+    // Make sure the metric isn't registered already
+    if(this._metrics.has(name))
+        return;
+
+    // Register the metric
+    this._metrics.set(name, {
+        name,
+        type,
+        help,
+        buckets: type === MetricRegistry.TYPE_HISTOGRAM ? (buckets || DEFAULT_BUCKETS) : null,
+        values: new Map()
+    });
+};
+
+/**
+ * Check whether a metric is registered.
+ *
+ * @param {string} name Metric name.
+ *
+ * @return {boolean} True if registered, false if not.
+ */
+MetricRegistry.prototype.has = function(name) {
+    return this._metrics.has(name);
+};
+
+/**
+ * Get the value entry of a metric for the given labels, the entry is created if it doesn't exist.
+ *
+ * @param {string} name Metric name.
+ * @param {Object} [labels] Object with label names and values.
+ *
+ * @return {Object} Value entry.
+ * @private
+ */
+MetricRegistry.prototype._getEntry = function(name, labels) {
+    // Get the metric
+    const metric = this._metrics.get(name);
+    if(metric === undefined)
+        throw new Error('Metric \'' + name + '\' isn\'t registered');
+
+    // Use a sorted list of labels as key
+    labels = labels || {};
+    const key = MetricRegistry.formatLabels(labels);
+
+    // Create the entry if it doesn't exist
+    if(!metric.values.has(key))
+        metric.values.set(key, {
+            labels: _.clone(labels),
+            value: 0,
+            counts: metric.buckets !== null ? metric.buckets.map(() => 0) : null,
+            sum: 0,
+            count: 0
+        });
+
+    return metric.values.get(key);
+};
+
+/**
+ * Increase a counter or gauge.
+ *
+ * @param {string} name Metric name.
+ * @param {Object} [labels] Object with label names and values.
+ * @param {Number} [value=1] Value to increase by.
+ */
+MetricRegistry.prototype.increase = function(name, labels, value) {
+    this._getEntry(name, labels).value += value !== undefined ? value : 1;
+};
+
+/**
+ * Set the value of a gauge.
+ *
+ * @param {string} name Metric name.
+ * @param {Object} [labels] Object with label names and values.
+ * @param {Number} value Value.
+ */
+MetricRegistry.prototype.set = function(name, labels, value) {
+    this._getEntry(name, labels).value = value;
+};
+
+/**
+ * Observe a value for a histogram.
+ *
+ * @param {string} name Metric name.
+ * @param {Object} [labels] Object with label names and values.
+ * @param {Number} value Observed value.
+ */
+MetricRegistry.prototype.observe = function(name, labels, value) {
+    // Get the entry, and the buckets of the metric
+    const entry = this._getEntry(name, labels);
+    const buckets = this._metrics.get(name).buckets;
+
+    // Count the value in each bucket it fits in
+    buckets.forEach(function(bound, i) {
+        if(value <= bound)
+            entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+};
+
+/**
+ * Clear all values of a metric.
+ * Used for gauges that are collected again each time, so values for labels that disappeared aren't reported.
+ *
+ * @param {string} name Metric name.
+ */
+MetricRegistry.prototype.clear = function(name) {
+    const metric = this._metrics.get(name);
+    if(metric !== undefined)
+        metric.values.clear();
+};
+
+/**
+ * Serialize the values of all metrics, so they can be sent to another worker.
+ *
+ * @return {{name: string, values: Object[]}[]} List of metrics that have values, with their value entries.
+ */
+MetricRegistry.prototype.serialize = function() {
+    var metrics = [];
+    this._metrics.forEach(function(metric) {
+        if(metric.values.size > 0)
+            metrics.push({
+                name: metric.name,
+                values: Array.from(metric.values.values())
+            });
+    });
+    return metrics;
+};
+
+/**
+ * Add serialized metric values, such as the values of another worker, to this registry.
+ * Values of metrics that aren't registered in this registry are ignored.
+ *
+ * @param {{name: string, values: Object[]}[]} metrics Serialized metrics.
+ * @param {Object} [labels] Labels to add to every value, such as the worker ID.
+ */
+MetricRegistry.prototype.merge = function(metrics, labels) {
+    // Store this instance
+    const self = this;
+
+    metrics.forEach(function(metric) {
+        // Skip metrics that aren't registered
+        if(!_.isPlainObject(metric) || !self._metrics.has(metric.name) || !_.isArray(metric.values))
+            return;
+
+        // Copy the values
+        metric.values.forEach(function(value) {
+            const entry = self._getEntry(metric.name, _.assign({}, value.labels, labels));
+            entry.value = value.value;
+            entry.counts = value.counts !== null ? _.clone(value.counts) : null;
+            entry.sum = value.sum;
+            entry.count = value.count;
+        });
+    });
+};
+
+/**
+ * Format all metrics in the Prometheus text exposition format.
+ *
+ * @param {Object} [labels] Labels to add to every sample, such as the worker ID.
+ *
+ * @return {string} Formatted metrics.
+ */
+MetricRegistry.prototype.format = function(labels) {
+    // Create a list of lines
+    var lines = [];
+
+    // Format each metric
+    this._metrics.forEach(function(metric) {
+        lines.push('# HELP ' + metric.name + ' ' + metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n'));
+        lines.push('# TYPE ' + metric.name + ' ' + metric.type);
+
+        metric.values.forEach(function(entry) {
+            // Combine the entry labels with the global labels
+            const entryLabels = _.assign({}, labels, entry.labels);
+
+            // Format plain values
+            if(metric.type !== MetricRegistry.TYPE_HISTOGRAM) {
+                lines.push(metric.name + MetricRegistry.formatLabels(entryLabels) + ' ' +
+                    MetricRegistry.formatValue(entry.value));
+                return;
+            }
+
+            // Format the histogram buckets, sum and count
+            metric.buckets.forEach(function(bound, i) {
+                lines.push(metric.name + '_bucket' +
+                    MetricRegistry.formatLabels(_.assign({}, entryLabels, {le: MetricRegistry.formatValue(bound)})) +
+                    ' ' + entry.counts[i]);
+            });
+            lines.push(metric.name + '_bucket' + MetricRegistry.formatLabels(_.assign({}, entryLabels, {le: '+Inf'})) +
+                ' ' + entry.count);
+            lines.push(metric.name + '_sum' + MetricRegistry.formatLabels(entryLabels) + ' ' +
+                MetricRegistry.formatValue(entry.sum));
+            lines.push(metric.name + '_count' + MetricRegistry.formatLabels(entryLabels) + ' ' + entry.count);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Format a set of labels, sorted by name.
+ *
+ * @param {Object} labels Object with label names and values.
+ *
+ * @return {string} Formatted labels, such as `{game="abc",type="x"}`, or an empty string if there aren't any labels.
+ */
+MetricRegistry.formatLabels = function(labels) {
+    // Format each label
+    const formatted = _.keys(labels).sort().map(function(name) {
+        const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        return name + '="' + value + '"';
+    });
+
+    return formatted.length > 0 ? '{' + formatted.join(',') + '}' : '';
+};
+
+/**
+ * Format a sample value.
+ *
+ * @param {Number} value Value.
+ *
+ * @return {string} Formatted value.
+ */
+MetricRegistry.formatValue = function(value) {
+    if(value === Infinity)
+        return '+Inf';
+    else if(value === -Infinity)
+        return '-Inf';
+    else if(!_.isNumber(value) || _.isNaN(value))
+        return 'NaN';
+    return String(value);
+};
+
+// Export the class
+module.exports = MetricRegistry;
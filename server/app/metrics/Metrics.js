@@ -0,0 +1,168 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var process = require('process');
+
+var MetricRegistry = require('./MetricRegistry');
+var PacketType = require('../realtime/PacketType');
+
+/**
+ * Metrics class.
+ * Holds the metric registry of this worker, and provides the functions used to record metrics throughout the
+ * application. Metrics that describe the current state are collected when the metrics are requested, see MetricsUtils.
+ *
+ * @class
+ * @constructor
+ */
+var Metrics = function() {};
+
+/**
+ * Name prefix of all application metrics.
+ *
+ * @type {string}
+ */
+Metrics.PREFIX = 'maris_';
+
+/**
+ * Metric definitions, with the metric name as key.
+ *
+ * @type {Object}
+ */
+Metrics.DEFINITIONS = {
+    process_uptime_seconds: [MetricRegistry.TYPE_GAUGE, 'Uptime of the worker process in seconds.'],
+    process_cpu_seconds_total: [MetricRegistry.TYPE_COUNTER, 'CPU time spent by the worker process in seconds.'],
+    process_memory_bytes: [MetricRegistry.TYPE_GAUGE, 'Memory used by the worker process in bytes.'],
+    system_load_average: [MetricRegistry.TYPE_GAUGE, 'System load average over the given number of minutes.'],
+    system_memory_bytes: [MetricRegistry.TYPE_GAUGE, 'System memory in bytes.'],
+    event_loop_latency_seconds: [MetricRegistry.TYPE_GAUGE, 'Event loop latency of the worker in seconds.'],
+    live_games: [MetricRegistry.TYPE_GAUGE, 'Number of games loaded on the worker.'],
+    realtime_connections: [MetricRegistry.TYPE_GAUGE, 'Number of real time connections to the worker.'],
+    realtime_game_connections: [MetricRegistry.TYPE_GAUGE, 'Number of real time connections to the worker, per game.'],
+    realtime_packets_received_total: [MetricRegistry.TYPE_COUNTER, 'Number of real time packets processed, per type.'],
+    location_updates_total: [MetricRegistry.TYPE_COUNTER, 'Number of user location updates processed.'],
+    submissions: [MetricRegistry.TYPE_GAUGE, 'Number of submissions, per approval state.'],
+    model_call_duration_seconds: [MetricRegistry.TYPE_HISTOGRAM, 'Duration of MongoDB and Redis model calls in seconds.'],
+    cache_lookups_total: [MetricRegistry.TYPE_COUNTER, 'Number of model field lookups in the object and Redis cache.'],
+    cache_objects: [MetricRegistry.TYPE_GAUGE, 'Number of model objects and fields in the object cache.']
+};
+
+/**
+ * Create a new registry with all application metrics registered.
+ *
+ * @return {MetricRegistry} Metric registry.
+ */
+Metrics.createRegistry = function() {
+    const registry = new MetricRegistry();
+    _.forOwn(Metrics.DEFINITIONS, function(definition, name) {
+        registry.register(Metrics.PREFIX + name, definition[0], definition[1]);
+    });
+    return registry;
+};
+
+/**
+ * Metric registry of this worker.
+ *
+ * @type {MetricRegistry}
+ */
+Metrics.registry = Metrics.createRegistry();
+
+// Report the counter without labels from the start, instead of after the first update
+Metrics.registry.increase(Metrics.PREFIX + 'location_updates_total', {}, 0);
+
+/**
+ * Get the full name of a metric.
+ *
+ * @param {string} name Metric name, without prefix.
+ *
+ * @return {string} Full metric name.
+ */
+Metrics.getName = function(name) {
+    return Metrics.PREFIX + name;
+};
+
+/**
+ * Get the name of a packet type, to use as label.
+ *
+ * @param {*} packetType Packet type.
+ *
+ * @return {string} Packet type name, or `unknown` if it isn't a known packet type.
+ */
+Metrics.getPacketTypeName = function(packetType) {
+    const name = _.findKey(PacketType, (value) => value === packetType);
+    return name !== undefined ? name : 'unknown';
+};
+
+/**
+ * Count a processed real time packet.
+ *
+ * @param {*} packetType Type of the packet.
+ */
+Metrics.countPacket = function(packetType) {
+    Metrics.registry.increase(Metrics.getName('realtime_packets_received_total'), {
+        type: Metrics.getPacketTypeName(packetType)
+    });
+};
+
+/**
+ * Count a processed location update.
+ */
+Metrics.countLocationUpdate = function() {
+    Metrics.registry.increase(Metrics.getName('location_updates_total'));
+};
+
+/**
+ * Count a model field lookup in a cache.
+ *
+ * @param {string} cache Cache name, `object` or `redis`.
+ * @param {boolean} hit True if the field was cached, false if not.
+ */
+Metrics.countCacheLookup = function(cache, hit) {
+    Metrics.registry.increase(Metrics.getName('cache_lookups_total'), {
+        cache,
+        result: hit ? 'hit' : 'miss'
+    });
+};
+
+/**
+ * Start measuring the duration of a MongoDB or Redis call made by a model.
+ *
+ * @param {string} store Store name, `mongo` or `redis`.
+ * @param {string} operation Operation name, such as `get` or `set`.
+ *
+ * @return {function} Function to call when the call has completed, to record its duration.
+ */
+Metrics.startModelCallTimer = function(store, operation) {
+    // Get the start time
+    const start = process.hrtime();
+
+    return function() {
+        const duration = process.hrtime(start);
+        Metrics.registry.observe(Metrics.getName('model_call_duration_seconds'), {
+            store,
+            operation
+        }, duration[0] + duration[1] / 1e9);
+    };
+};
+
+// Export the class
+module.exports = Metrics;
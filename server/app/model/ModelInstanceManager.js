@@ -128,6 +128,17 @@ ModelInstanceManager.prototype.count = function() {
     return this._instances.size;
 };
 
+/**
+ * Count the number of fields cached by all instances.
+ *
+ * @return {Number} Number of cached fields.
+ */
+ModelInstanceManager.prototype.countCacheFields = function() {
+    var count = 0;
+    this._instances.forEach((instance) => count += instance._baseModel._cache.getCacheCount());
+    return count;
+};
+
 /**
  * Clear the list of instances.
  *
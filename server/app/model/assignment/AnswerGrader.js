@@ -0,0 +1,317 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var AnswerType = require('./AnswerType');
+
+/**
+ * AnswerGrader class.
+ * Used to configure and grade assignments that have an automatically graded answer type.
+ *
+ * @class
+ * @constructor
+ */
+var AnswerGrader = function() {};
+
+/**
+ * Prefix used to mark a choice as correct, when configuring choices as text.
+ *
+ * @type {string}
+ */
+AnswerGrader.CHOICE_CORRECT_PREFIX = '*';
+
+/**
+ * Parse a number.
+ * Both a dot and a comma are accepted as decimal separator.
+ *
+ * @param {string|Number} value Value to parse.
+ *
+ * @return {Number} Parsed number, or NaN if the value is invalid.
+ */
+AnswerGrader.parseNumber = function(value) {
+    // Return numbers as they are
+    if(_.isNumber(value))
+        return value;
+
+    // The value must be a string
+    if(!_.isString(value))
+        return NaN;
+
+    // Trim the value, and replace the decimal separator
+    value = value.trim().replace(',', '.');
+
+    // Make sure the value is a number, parseFloat accepts trailing garbage
+    if(!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(value))
+        return NaN;
+
+    // Parse and return the number
+    return parseFloat(value);
+};
+
+/**
+ * Parse the choices configuration from text.
+ * Each line contains a choice, correct choices are prefixed with an asterisk.
+ *
+ * @param {string} raw Choices as text.
+ *
+ * @return {{choices: Array, correct: Array}} Choices configuration.
+ */
+AnswerGrader.parseChoices = function(raw) {
+    // Create the configuration object
+    var config = {
+        choices: [],
+        correct: []
+    };
+
+    // Return an empty configuration if the input isn't a string
+    if(!_.isString(raw))
+        return config;
+
+    // Loop through the lines
+    raw.split(/\r?\n/).forEach(function(line) {
+        // Trim the line
+        line = line.trim();
+
+        // Check whether this choice is correct, and strip the prefix
+        var correct = _.startsWith(line, AnswerGrader.CHOICE_CORRECT_PREFIX);
+        if(correct)
+            line = line.substring(AnswerGrader.CHOICE_CORRECT_PREFIX.length).trim();
+
+        // Skip empty lines
+        if(line.length === 0)
+            return;
+
+        // Add the choice
+        if(correct)
+            config.correct.push(config.choices.length);
+        config.choices.push(line);
+    });
+
+    // Return the configuration
+    return config;
+};
+
+/**
+ * Format the choices configuration as text, so it can be edited.
+ * This is the inverse of the parseChoices function.
+ *
+ * @param {{choices: Array, correct: Array}|null} config Choices configuration.
+ *
+ * @return {string} Choices as text.
+ */
+AnswerGrader.formatChoices = function(config) {
+    // Return an empty string if there are no choices
+    if(!_.isObject(config) || !_.isArray(config.choices))
+        return '';
+
+    // Format each choice on it's own line
+    return config.choices.map(function(choice, i) {
+        return (_.includes(config.correct, i) ? AnswerGrader.CHOICE_CORRECT_PREFIX + ' ' : '') + choice;
+    }).join('\n');
+};
+
+/**
+ * Parse the answer configuration for the given type from the assignment form fields.
+ *
+ * @param {int} type Answer type.
+ * @param {Object} fields Form field values.
+ * @param {string} [fields.choices] Choices as text, for choice types.
+ * @param {string} [fields.number] Correct number, for the numeric type.
+ * @param {string} [fields.tolerance] Allowed tolerance, for the numeric type.
+ * @param {string} [fields.pattern] Regular expression, for the pattern type.
+ *
+ * @return {Object|null} Answer configuration, null if the type doesn't have a configuration.
+ * The isValidConfig function should be used to validate the result.
+ */
+AnswerGrader.parseConfig = function(type, fields) {
+    switch(type) {
+        case AnswerType.CHOICE:
+        case AnswerType.MULTIPLE_CHOICE:
+            return AnswerGrader.parseChoices(fields.choices);
+
+        case AnswerType.NUMERIC:
+            return {
+                value: AnswerGrader.parseNumber(fields.number),
+                tolerance: _.isEmpty(fields.tolerance) ? 0 : AnswerGrader.parseNumber(fields.tolerance)
+            };
+
+        case AnswerType.PATTERN:
+            return {
+                pattern: _.isString(fields.pattern) ? fields.pattern.trim() : ''
+            };
+
+        default:
+            return null;
+    }
+};
+
+/**
+ * Check whether the given answer configuration is valid for the given type.
+ *
+ * @param {int} type Answer type.
+ * @param {Object|null} config Answer configuration.
+ *
+ * @return {boolean} True if the configuration is valid, false if not.
+ */
+AnswerGrader.isValidConfig = function(type, config) {
+    // The type must be valid
+    if(!AnswerType.isValid(type))
+        return false;
+
+    // Open answers don't have a configuration
+    if(type === AnswerType.OPEN)
+        return config === null || config === undefined;
+
+    // Other types must have a configuration object
+    if(!_.isObject(config))
+        return false;
+
+    switch(type) {
+        case AnswerType.CHOICE:
+        case AnswerType.MULTIPLE_CHOICE:
+            // There must be at least two choices, with valid correct indices
+            if(!_.isArray(config.choices) || config.choices.length < 2 || !_.every(config.choices, (choice) => _.isString(choice) && choice.length > 0))
+                return false;
+            if(!_.isArray(config.correct) || !_.every(config.correct, (i) => _.isInteger(i) && i >= 0 && i < config.choices.length))
+                return false;
+
+            // Single choice assignments must have exactly one correct choice, multiple choice at least one
+            if(type === AnswerType.CHOICE)
+                return config.correct.length === 1;
+            return config.correct.length >= 1;
+
+        case AnswerType.NUMERIC:
+            return _.isFinite(config.value) && _.isFinite(config.tolerance) && config.tolerance >= 0;
+
+        case AnswerType.PATTERN:
+            // The pattern must not be empty, and must compile
+            if(!_.isString(config.pattern) || config.pattern.length === 0)
+                return false;
+            try {
+                new RegExp(config.pattern);
+            } catch(err) {
+                return false;
+            }
+            return true;
+    }
+
+    return false;
+};
+
+/**
+ * Get a message describing the requirements for a valid answer configuration of the given type.
+ * This is shown to the user when an invalid configuration is given.
+ *
+ * @param {int} type Answer type.
+ *
+ * @return {string} Requirements message.
+ */
+AnswerGrader.getConfigRequirements = function(type) {
+    switch(type) {
+        case AnswerType.CHOICE:
+            return 'Vul minimaal twee keuzes in, en markeer precies één juiste keuze met een *.';
+        case AnswerType.MULTIPLE_CHOICE:
+            return 'Vul minimaal twee keuzes in, en markeer minimaal één juiste keuze met een *.';
+        case AnswerType.NUMERIC:
+            return 'Vul een geldig getal in, en een afwijking die niet negatief is.';
+        case AnswerType.PATTERN:
+            return 'Vul een geldige reguliere expressie in.';
+        default:
+            return 'Kies een geldig antwoord type.';
+    }
+};
+
+/**
+ * Parse the selected choices from a submission form value.
+ *
+ * @param {string|Array|undefined} value Selected choice index, or an array of indices.
+ *
+ * @return {Array} Sorted array of unique selected choice indices.
+ */
+AnswerGrader.parseChoiceAnswer = function(value) {
+    // Normalize the value to an array
+    if(value === undefined || value === null)
+        return [];
+    if(!_.isArray(value))
+        value = [value];
+
+    // Parse the indices, and drop invalid ones
+    return _.sortBy(_.uniq(value.map((index) => parseInt(index)).filter((index) => _.isInteger(index) && index >= 0)));
+};
+
+/**
+ * Grade an answer.
+ *
+ * @param {int} type Answer type.
+ * @param {Object} config Answer configuration.
+ * @param {Array|string} answer Array of selected choice indices for choice types, the answer text otherwise.
+ *
+ * @return {boolean} True if the answer is correct, false if not.
+ */
+AnswerGrader.grade = function(type, config, answer) {
+    // The configuration must be valid
+    if(!AnswerType.isAutoGraded(type) || !AnswerGrader.isValidConfig(type, config))
+        return false;
+
+    switch(type) {
+        case AnswerType.CHOICE:
+        case AnswerType.MULTIPLE_CHOICE:
+            // The selected choices must equal the correct choices
+            return _.isArray(answer) && _.isEqual(_.sortBy(_.uniq(answer)), _.sortBy(config.correct));
+
+        case AnswerType.NUMERIC:
+            // The number must be within the tolerance, allow a small error for floating point arithmetic
+            var number = AnswerGrader.parseNumber(answer);
+            return _.isFinite(number) && Math.abs(number - config.value) <= config.tolerance + 1e-9;
+
+        case AnswerType.PATTERN:
+            // The whole trimmed answer must match, case insensitive
+            return _.isString(answer) && new RegExp('^(?:' + config.pattern + ')$', 'i').test(answer.trim());
+    }
+
+    return false;
+};
+
+/**
+ * Format an answer as text, to store it with the submission.
+ *
+ * @param {int} type Answer type.
+ * @param {Object} config Answer configuration.
+ * @param {Array|string} answer Array of selected choice indices for choice types, the answer text otherwise.
+ *
+ * @return {string} Answer as text.
+ */
+AnswerGrader.formatAnswer = function(type, config, answer) {
+    // Format the selected choices
+    if(AnswerType.isChoice(type))
+        return answer
+            .filter((index) => index < config.choices.length)
+            .map((index) => config.choices[index])
+            .join(', ');
+
+    // Return the trimmed answer text
+    return _.isString(answer) ? answer.trim() : '';
+};
+
+// Export the class
+module.exports = AnswerGrader;
@@ -0,0 +1,69 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+// Answer type constants
+var AnswerType = {};
+
+// Open answer, as text and/or file, that must be reviewed by a teacher.
+AnswerType.OPEN = 0;
+
+// Single choice answer, one of the choices must be selected.
+AnswerType.CHOICE = 1;
+
+// Multiple choice answer, all correct choices must be selected.
+AnswerType.MULTIPLE_CHOICE = 2;
+
+// Numeric answer, that must equal the configured value within a tolerance.
+AnswerType.NUMERIC = 3;
+
+// Short text answer, that must match the configured regular expression.
+AnswerType.PATTERN = 4;
+
+/**
+ * Check whether the given answer type is valid.
+ * The type must be an integer, that's between 0 and 4 (included).
+ *
+ * @param {int} type Answer type to check.
+ * @return {boolean} True if it's valid, false if not.
+ */
+AnswerType.isValid = (type) => _.isInteger(type) && type >= 0 && type <= 4;
+
+/**
+ * Check whether the given answer type is graded automatically.
+ *
+ * @param {int} type Answer type to check.
+ * @return {boolean} True if submissions for this type are graded automatically, false if a teacher must review them.
+ */
+AnswerType.isAutoGraded = (type) => AnswerType.isValid(type) && type !== AnswerType.OPEN;
+
+/**
+ * Check whether the given answer type is a choice type.
+ *
+ * @param {int} type Answer type to check.
+ * @return {boolean} True if the user answers by selecting choices, false if not.
+ */
+AnswerType.isChoice = (type) => type === AnswerType.CHOICE || type === AnswerType.MULTIPLE_CHOICE;
+
+// Export the constants
+module.exports = AnswerType;
@@ -25,6 +25,7 @@ var MongoUtil = require('../../mongo/MongoUtils');
 var HashUtils = require('../../hash/HashUtils');
 var CallbackLatch = require('../../util/CallbackLatch');
 var Validator = require('../../validator/Validator');
+var AnswerGrader = require('./AnswerGrader');
 
 /**
  * Constructor.
@@ -49,9 +50,12 @@ AssignmentDatabase.DB_COLLECTION_NAME = 'assignment';
  * @param {boolean} answerFile True to answer with a file, false if not.
  * @param {int} points Number of points this assignment is worth.
  * @param {boolean} retry True to allow users to retry the assignment when it's rejected.
+ * @param {Number|null} maxAttempts Maximum number of attempts for a submission, or null if unlimited.
+ * @param {int} answerType Answer type, see AnswerType.
+ * @param {Object|null} answerConfig Answer configuration used for automatic grading, null if the type doesn't have one.
  * @param {AssignmentDatabase~addAssignmentCallback} callback Called on success or on failure.
  */
-AssignmentDatabase.addAssignment = function (name, description, game, user, answerText, answerFile, points, retry, callback) {
+AssignmentDatabase.addAssignment = function (name, description, game, user, answerText, answerFile, points, retry, maxAttempts, answerType, answerConfig, callback) {
     // Get the database instance
     var db = MongoUtil.getConnection();
 
@@ -68,6 +72,12 @@ AssignmentDatabase.addAssignment = function (name, description, game, user, answ
         return;
     }
 
+    // Validate the answer type and configuration
+    if(!AnswerGrader.isValidConfig(answerType, answerConfig)) {
+        callback(new Error('Unable to create assignment, invalid answer type or configuration given.'));
+        return;
+    }
+
     // Format the assignment name and description
     name = Validator.formatAssignmentName(name);
     description = Validator.formatAssignmentDescription(description);
@@ -86,7 +96,10 @@ AssignmentDatabase.addAssignment = function (name, description, game, user, answ
             answer_text: answerText,
             answer_file: answerFile,
             points,
-            retry
+            retry,
+            max_attempts: maxAttempts,
+            answer_type: answerType,
+            answer_config: answerConfig
         };
 
         // Insert the assignment into the database
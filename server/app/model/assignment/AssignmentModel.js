@@ -28,6 +28,7 @@ var BaseModel = require('../../database/BaseModel');
 var ConversionFunctions = require('../../database/ConversionFunctions');
 var CallbackLatch = require('../../util/CallbackLatch');
 var Coordinate = require('../../coordinate/Coordinate');
+var AnswerType = require('./AnswerType');
 
 /**
  * AssignmentModel class.
@@ -154,6 +155,58 @@ var AssignmentModel = function(id) {
                     from: ConversionFunctions.boolFromRedis,
                     to: ConversionFunctions.boolToRedis
                 }
+            },
+            max_attempts: {
+                mongo: {
+                    from: (maxAttempts) => maxAttempts !== undefined ? maxAttempts : null
+                },
+                redis: {
+                    /**
+                     * Convert the maximum number of attempts from a string.
+                     *
+                     * @param {string} raw Maximum number of attempts, or an empty string if unlimited.
+                     * @return {Number|null} Maximum number of attempts.
+                     */
+                    from: (raw) => raw.length > 0 ? parseInt(raw, 10) : null,
+
+                    /**
+                     * Convert the maximum number of attempts to a string to store it in Redis.
+                     *
+                     * @param {Number|null} maxAttempts Maximum number of attempts, or null if unlimited.
+                     * @return {string} Maximum number of attempts, or an empty string if unlimited.
+                     */
+                    to: (maxAttempts) => maxAttempts !== null ? maxAttempts.toString() : ''
+                }
+            },
+            answer_type: {
+                mongo: {
+                    from: (value) => (value === null || value === undefined) ? AnswerType.OPEN : value
+                },
+                redis: {
+                    from: (type) => parseInt(type)
+                }
+            },
+            answer_config: {
+                mongo: {
+                    from: (value) => value !== undefined ? value : null
+                },
+                redis: {
+                    /**
+                     * Convert a serialized answer configuration to an object.
+                     *
+                     * @param {string} raw Serialized answer configuration.
+                     * @return {Object|null} Answer configuration.
+                     */
+                    from: (raw) => JSON.parse(raw),
+
+                    /**
+                     * Serialize the answer configuration to store it in Redis.
+                     *
+                     * @param {Object|null} config Answer configuration.
+                     * @return {string} Serialized answer configuration.
+                     */
+                    to: (config) => JSON.stringify(config)
+                }
             }
         }
     });
@@ -446,6 +499,87 @@ AssignmentModel.prototype.setRetry = function(retry, callback) {
     this.setField('retry', retry, callback);
 };
 
+/**
+ * Get the maximum number of attempts a user has for a submission on this assignment.
+ *
+ * @param {AssignmentModel~getMaxAttemptsCallback} callback Called with the maximum number of attempts or when an error occurred.
+ */
+AssignmentModel.prototype.getMaxAttempts = function(callback) {
+    this.getField('max_attempts', callback);
+};
+
+/**
+ * Called with the maximum number of attempts or when an error occurred.
+ *
+ * @callback AssignmentModel~getMaxAttemptsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number|null} Maximum number of attempts, or null if the number of attempts is unlimited.
+ */
+
+/**
+ * Set the maximum number of attempts a user has for a submission on this assignment.
+ *
+ * @param {Number|null} maxAttempts Maximum number of attempts, or null if unlimited.
+ * @param {AssignmentModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+AssignmentModel.prototype.setMaxAttempts = function(maxAttempts, callback) {
+    this.setField('max_attempts', maxAttempts, callback);
+};
+
+/**
+ * Get the answer type of this assignment.
+ *
+ * @param {AssignmentModel~getAnswerTypeCallback} callback Called with the answer type or when an error occurred.
+ */
+AssignmentModel.prototype.getAnswerType = function(callback) {
+    this.getField('answer_type', callback);
+};
+
+/**
+ * Called with the answer type or when an error occurred.
+ *
+ * @callback AssignmentModel~getAnswerTypeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {int} Answer type, see AnswerType.
+ */
+
+/**
+ * Set the answer type of this assignment.
+ *
+ * @param {int} answerType Answer type, see AnswerType.
+ * @param {AssignmentModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+AssignmentModel.prototype.setAnswerType = function(answerType, callback) {
+    this.setField('answer_type', answerType, callback);
+};
+
+/**
+ * Get the answer configuration of this assignment, used to grade submissions automatically.
+ *
+ * @param {AssignmentModel~getAnswerConfigCallback} callback Called with the answer configuration or when an error occurred.
+ */
+AssignmentModel.prototype.getAnswerConfig = function(callback) {
+    this.getField('answer_config', callback);
+};
+
+/**
+ * Called with the answer configuration or when an error occurred.
+ *
+ * @callback AssignmentModel~getAnswerConfigCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object|null} Answer configuration, null if the answer type doesn't have one.
+ */
+
+/**
+ * Set the answer configuration of this assignment.
+ *
+ * @param {Object|null} answerConfig Answer configuration, null if the answer type doesn't have one.
+ * @param {AssignmentModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+AssignmentModel.prototype.setAnswerConfig = function(answerConfig, callback) {
+    this.setField('answer_config', answerConfig, callback);
+};
+
 /**
  * Find the point this assignment is currently attached to.
  *
@@ -328,6 +328,7 @@ AssignmentModelManager.prototype.getAssignments = function(game, user, callback)
 
 /**
  * Get all assignments for the given user on the given game that don't have any submissions yet.
+ * Submissions made by other members of the user's team are taken into account as well.
  *
  * @param {GameModel|Game|ObjectId|string} game Game to get the assignments for.
  * @param {UserModel|User|ObjectId|string} user User to get the assignments for.
@@ -395,14 +396,45 @@ AssignmentModelManager.prototype.getAssignmentsWithoutSubmissions = function(gam
             return;
         }
 
+        // Create variables for the assignments and the users in the team of the user
+        var assignments;
+        var teamUsers;
+
+        // Create a callback latch for fetching
+        var fetchLatch = new CallbackLatch(2);
+
         // Get the list of assignments
-        self.getAssignments(game, null, function(err, assignments) {
+        self.getAssignments(game, null, function(err, result) {
             // Call back errors
             if(err !== null) {
-                callback(err);
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
                 return;
             }
 
+            // Set the assignments and resolve the latch
+            assignments = result;
+            fetchLatch.resolve();
+        });
+
+        // Get the users in the team of the user
+        Core.model.gameUserModelManager.getTeamUsers(game, user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the team users and resolve the latch
+            teamUsers = result;
+            fetchLatch.resolve();
+        });
+
+        // Continue when everything is fetched
+        fetchLatch.then(function() {
             // Create the result array
             var result = [];
 
@@ -413,7 +445,7 @@ AssignmentModelManager.prototype.getAssignmentsWithoutSubmissions = function(gam
             assignments.forEach(function(assignment) {
                 // Get the submissions for this assignment
                 latch.add();
-                Core.model.submissionModelManager.getSubmissions(user, assignment, function(err, submissions) {
+                Core.model.submissionModelManager.getUsersSubmissions(teamUsers, assignment, function(err, submissions) {
                     // Call back errors
                     if(err !== null) {
                         if(!calledBack)
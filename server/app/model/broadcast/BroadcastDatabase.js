@@ -0,0 +1,322 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var ObjectId = require('mongodb').ObjectId;
+
+var MongoUtil = require('../../mongo/MongoUtils');
+
+/**
+ * Constructor.
+ * Broadcasts are queried directly instead of through a model, as only their state and receipts change once created.
+ *
+ * @returns {BroadcastDatabase} BroadcastDatabase instance.
+ */
+var BroadcastDatabase = function() {};
+
+/**
+ * Database collection name.
+ */
+BroadcastDatabase.DB_COLLECTION_NAME = 'broadcast';
+
+/**
+ * Convert a broadcast document from the database into a broadcast object.
+ *
+ * @param {Object} entry Broadcast document.
+ *
+ * @return {Object} Broadcast object.
+ */
+BroadcastDatabase.fromDocument = function(entry) {
+    return {
+        id: entry._id.toString(),
+        game: entry.game_id,
+        user: entry.user_id,
+        message: entry.message,
+        target: {
+            type: entry.target.type,
+            ids: _.map(entry.target.ids, (id) => id.toString()),
+            range: entry.target.range
+        },
+        trigger: {
+            type: entry.trigger.type,
+            time: entry.trigger.time,
+            offset: entry.trigger.offset
+        },
+        state: entry.state,
+        createDate: entry.create_date,
+        sendDate: entry.send_date,
+        receipts: _.map(entry.receipts, (receipt) => ({
+            user: receipt.user_id,
+            delivered: receipt.delivered,
+            read: receipt.read
+        }))
+    };
+};
+
+/**
+ * Add a scheduled broadcast.
+ *
+ * @param {GameModel} game Game the broadcast is for.
+ * @param {UserModel} user User that created the broadcast.
+ * @param {string} message Message to broadcast.
+ * @param {Object} target Broadcast target, see {@code BroadcastTarget}.
+ * @param {Object} trigger Broadcast trigger, see {@code BroadcastTrigger}.
+ * @param {BroadcastDatabase~addBroadcastCallback} callback Called with the broadcast or when an error occurred.
+ */
+BroadcastDatabase.addBroadcast = function(game, user, message, target, trigger, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Create the document
+    const document = {
+        game_id: game.getId(),
+        user_id: user.getId(),
+        message,
+        target: {
+            type: target.type,
+            ids: _.map(target.ids, (id) => new ObjectId(id)),
+            range: target.range !== undefined ? target.range : null
+        },
+        trigger: {
+            type: trigger.type,
+            time: trigger.time !== undefined ? trigger.time : null,
+            offset: trigger.offset !== undefined ? trigger.offset : null
+        },
+        state: 'scheduled',
+        create_date: new Date(),
+        send_date: null,
+        receipts: []
+    };
+
+    // Insert the broadcast
+    db.collection(BroadcastDatabase.DB_COLLECTION_NAME).insertOne(document, function(err) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the broadcast
+        callback(null, BroadcastDatabase.fromDocument(document));
+    });
+};
+
+/**
+ * Called with the broadcast or when an error occurred.
+ *
+ * @callback BroadcastDatabase~addBroadcastCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} The added broadcast.
+ */
+
+/**
+ * Get the broadcasts of a game, the most recently created first.
+ *
+ * @param {GameModel} game Game to get the broadcasts for.
+ * @param {BroadcastDatabase~getBroadcastsCallback} callback Called with the broadcasts or when an error occurred.
+ */
+BroadcastDatabase.getBroadcasts = function(game, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Fetch the broadcasts
+    db.collection(BroadcastDatabase.DB_COLLECTION_NAME).find({
+        game_id: game.getId()
+    }).sort({create_date: -1}).toArray(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the broadcasts
+        callback(null, result.map(BroadcastDatabase.fromDocument));
+    });
+};
+
+/**
+ * Called with the broadcasts or when an error occurred.
+ *
+ * @callback BroadcastDatabase~getBroadcastsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object[]=} List of broadcasts.
+ */
+
+/**
+ * Get the broadcasts of all games that are scheduled but haven't been sent yet.
+ *
+ * @param {BroadcastDatabase~getScheduledBroadcastsCallback} callback Called with the broadcasts or when an error occurred.
+ */
+BroadcastDatabase.getScheduledBroadcasts = function(callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Fetch the broadcasts
+    db.collection(BroadcastDatabase.DB_COLLECTION_NAME).find({
+        state: 'scheduled'
+    }).toArray(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the broadcasts
+        callback(null, result.map(BroadcastDatabase.fromDocument));
+    });
+};
+
+/**
+ * Called with the broadcasts or when an error occurred.
+ *
+ * @callback BroadcastDatabase~getScheduledBroadcastsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object[]=} List of scheduled broadcasts.
+ */
+
+/**
+ * Mark a scheduled broadcast as sent, and create a receipt for each of the given recipients.
+ * This fails if the broadcast isn't scheduled anymore, so a broadcast is never sent twice.
+ *
+ * @param {string} broadcastId Hexadecimal ID of the broadcast.
+ * @param {ObjectId[]} userIds IDs of the users the broadcast is sent to.
+ * @param {BroadcastDatabase~setSentCallback} callback Called with the result or when an error occurred.
+ */
+BroadcastDatabase.setSent = function(broadcastId, userIds, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Update the broadcast if it's still scheduled
+    db.collection(BroadcastDatabase.DB_COLLECTION_NAME).updateOne({
+        _id: new ObjectId(broadcastId),
+        state: 'scheduled'
+    }, {
+        $set: {
+            state: 'sent',
+            send_date: new Date(),
+            receipts: userIds.map((userId) => ({
+                user_id: userId,
+                delivered: null,
+                read: null
+            }))
+        }
+    }, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back whether the broadcast was updated
+        callback(null, result.modifiedCount > 0);
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback BroadcastDatabase~setSentCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the broadcast was marked as sent, false if it wasn't scheduled anymore.
+ */
+
+/**
+ * Cancel a scheduled broadcast of a game.
+ *
+ * @param {GameModel} game Game the broadcast is for.
+ * @param {string} broadcastId Hexadecimal ID of the broadcast.
+ * @param {BroadcastDatabase~cancelBroadcastCallback} callback Called with the result or when an error occurred.
+ */
+BroadcastDatabase.cancelBroadcast = function(game, broadcastId, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Cancel the broadcast if it's still scheduled
+    db.collection(BroadcastDatabase.DB_COLLECTION_NAME).updateOne({
+        _id: new ObjectId(broadcastId),
+        game_id: game.getId(),
+        state: 'scheduled'
+    }, {
+        $set: {
+            state: 'cancelled'
+        }
+    }, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back whether the broadcast was cancelled
+        callback(null, result.modifiedCount > 0);
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback BroadcastDatabase~cancelBroadcastCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the broadcast was cancelled, false if it wasn't scheduled anymore.
+ */
+
+/**
+ * Set the date a broadcast was delivered to, or read by the given user.
+ * Dates that are already set are kept.
+ *
+ * @param {string} broadcastId Hexadecimal ID of the broadcast.
+ * @param {UserModel} user User the receipt is for.
+ * @param {string} field Receipt field to set, either 'delivered' or 'read'.
+ * @param {BroadcastDatabase~setReceiptCallback} callback Called on success or when an error occurred.
+ */
+BroadcastDatabase.setReceipt = function(broadcastId, user, field, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Build the receipt query
+    var receiptQuery = {
+        user_id: user.getId()
+    };
+    receiptQuery[field] = null;
+
+    // Build the update
+    var update = {};
+    update['receipts.$.' + field] = new Date();
+
+    // Update the receipt
+    db.collection(BroadcastDatabase.DB_COLLECTION_NAME).updateOne({
+        _id: new ObjectId(broadcastId),
+        receipts: {$elemMatch: receiptQuery}
+    }, {
+        $set: update
+    }, (err) => callback(err));
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback BroadcastDatabase~setReceiptCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+// Export the class
+module.exports = BroadcastDatabase;
@@ -0,0 +1,214 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var MongoUtil = require('../../mongo/MongoUtils');
+
+/**
+ * Constructor.
+ * Chat messages are never changed once sent except for their read date, so they're queried directly instead of
+ * through a model.
+ *
+ * @returns {ChatDatabase} ChatDatabase instance.
+ */
+var ChatDatabase = function() {};
+
+/**
+ * Database collection name.
+ */
+ChatDatabase.DB_COLLECTION_NAME = 'chat_message';
+
+/**
+ * Convert a message document from the database into a message object.
+ *
+ * @param {Object} entry Message document.
+ *
+ * @return {Object} Message object.
+ */
+ChatDatabase.fromDocument = function(entry) {
+    return {
+        id: entry._id.toString(),
+        user: entry.user_id,
+        sender: entry.sender_id,
+        fromManager: entry.from_manager,
+        message: entry.message,
+        assignment: entry.assignment_id,
+        submission: entry.submission_id,
+        date: entry.date,
+        readDate: entry.read_date
+    };
+};
+
+/**
+ * Add a message to the thread of a player in a game.
+ *
+ * @param {GameModel} game Game the message is sent in.
+ * @param {UserModel} user Player the thread is with.
+ * @param {UserModel} sender User that sent the message.
+ * @param {boolean} fromManager True if the message is sent by a manager, false if it's sent by the player.
+ * @param {string} message Message text.
+ * @param {Object} [options] Options.
+ * @param {AssignmentModel|null} [options.assignment] Assignment the message is about.
+ * @param {SubmissionModel|null} [options.submission] Submission the message is about.
+ * @param {ChatDatabase~addMessageCallback} callback Called with the message or when an error occurred.
+ */
+ChatDatabase.addMessage = function(game, user, sender, fromManager, message, options, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Set the callback parameter if the options parameter was left out
+    if(_.isFunction(options)) {
+        callback = options;
+        options = {};
+    }
+
+    // Create the document
+    const document = {
+        game_id: game.getId(),
+        user_id: user.getId(),
+        sender_id: sender.getId(),
+        from_manager: fromManager,
+        message,
+        assignment_id: options.assignment ? options.assignment.getId() : null,
+        submission_id: options.submission ? options.submission.getId() : null,
+        date: new Date(),
+        read_date: null
+    };
+
+    // Insert the message
+    db.collection(ChatDatabase.DB_COLLECTION_NAME).insertOne(document, function(err) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the message
+        callback(null, ChatDatabase.fromDocument(document));
+    });
+};
+
+/**
+ * Called with the message or when an error occurred.
+ *
+ * @callback ChatDatabase~addMessageCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} The added message.
+ */
+
+/**
+ * Get the messages of a game in chronological order.
+ *
+ * @param {GameModel} game Game to get the messages for.
+ * @param {Object} [options] Options.
+ * @param {UserModel} [options.user] Only get the messages in the thread with this player.
+ * @param {Date} [options.since] Only get the messages sent after this date.
+ * @param {ChatDatabase~getMessagesCallback} callback Called with the messages or when an error occurred.
+ */
+ChatDatabase.getMessages = function(game, options, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Set the callback parameter if the options parameter was left out
+    if(_.isFunction(options)) {
+        callback = options;
+        options = {};
+    }
+
+    // Build the query
+    var query = {
+        game_id: game.getId()
+    };
+    if(options.user !== undefined && options.user !== null)
+        query.user_id = options.user.getId();
+    if(_.isDate(options.since))
+        query.date = {$gt: options.since};
+
+    // Fetch the messages in chronological order
+    db.collection(ChatDatabase.DB_COLLECTION_NAME).find(query).sort({date: 1}).toArray(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the messages
+        callback(null, result.map(ChatDatabase.fromDocument));
+    });
+};
+
+/**
+ * Called with the messages or when an error occurred.
+ *
+ * @callback ChatDatabase~getMessagesCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object[]=} Messages in chronological order.
+ */
+
+/**
+ * Mark the messages in the thread with a player as read, that were sent by the other side.
+ *
+ * @param {GameModel} game Game of the thread.
+ * @param {UserModel} user Player the thread is with.
+ * @param {boolean} byManager True if the messages are read by a manager, false if they're read by the player.
+ * @param {ChatDatabase~setReadCallback} callback Called with the read date or when an error occurred.
+ */
+ChatDatabase.setRead = function(game, user, byManager, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Get the read date
+    const readDate = new Date();
+
+    // Mark the unread messages of the other side as read
+    db.collection(ChatDatabase.DB_COLLECTION_NAME).updateMany({
+        game_id: game.getId(),
+        user_id: user.getId(),
+        from_manager: !byManager,
+        read_date: null
+    }, {
+        $set: {
+            read_date: readDate
+        }
+    }, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the read date, or null if nothing was unread
+        callback(null, result.modifiedCount > 0 ? readDate : null);
+    });
+};
+
+/**
+ * Called with the read date or when an error occurred.
+ *
+ * @callback ChatDatabase~setReadCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Date|null=} Date the messages were marked as read on, or null if there weren't any unread messages.
+ */
+
+// Export the class
+module.exports = ChatDatabase;
@@ -74,7 +74,16 @@ GameDatabase.addGame = function(user, name, callback) {
         user_id: user.getId(),
         name,
         stage: 0,
-        create_date: new Date()
+        create_date: new Date(),
+        schedule_start: null,
+        schedule_end: null,
+        schedule_duration: null,
+        start_date: null,
+        route_mode: false,
+        point_range: null,
+        point_range_active: null,
+        area: null,
+        location_history: false
     };
 
     // Insert the game into the database
@@ -33,6 +33,8 @@ var UserModel = require('../user/UserModel');
 var GameUserModel = require('../gameuser/GameUserModel');
 var User = require('../../live/user/User');
 var CallbackLatch = require('../../util/CallbackLatch');
+var ApiUtils = require('../../util/ApiUtils');
+var Coordinate = require('../../coordinate/Coordinate');
 
 /**
  * GameModel class.
@@ -122,6 +124,195 @@ var GameModel = function(id) {
                     from: ConversionFunctions.dateFromRedis,
                     to: ConversionFunctions.dateToRedis
                 }
+            },
+            schedule_start: {
+                mongo: {
+                    from: (value) => value !== undefined ? value : null
+                },
+                redis: {
+                    /**
+                     * Convert a serialized date to a date.
+                     *
+                     * @param {string} raw Serialized date, or an empty string if not set.
+                     * @return {Date|null} Date.
+                     */
+                    from: (raw) => raw.length > 0 ? new Date(raw) : null,
+
+                    /**
+                     * Serialize the date to store it in Redis.
+                     *
+                     * @param {Date|null} date Date.
+                     * @return {string} Serialized date, or an empty string if not set.
+                     */
+                    to: (date) => date !== null ? date.toISOString() : ''
+                }
+            },
+            schedule_end: {
+                mongo: {
+                    from: (value) => value !== undefined ? value : null
+                },
+                redis: {
+                    /**
+                     * Convert a serialized date to a date.
+                     *
+                     * @param {string} raw Serialized date, or an empty string if not set.
+                     * @return {Date|null} Date.
+                     */
+                    from: (raw) => raw.length > 0 ? new Date(raw) : null,
+
+                    /**
+                     * Serialize the date to store it in Redis.
+                     *
+                     * @param {Date|null} date Date.
+                     * @return {string} Serialized date, or an empty string if not set.
+                     */
+                    to: (date) => date !== null ? date.toISOString() : ''
+                }
+            },
+            schedule_duration: {
+                mongo: {
+                    from: (value) => value !== undefined ? value : null
+                },
+                redis: {
+                    /**
+                     * Convert the duration from a string to a number of minutes.
+                     *
+                     * @param {string} raw Duration string, or an empty string if not set.
+                     * @return {Number|null} Duration in minutes.
+                     */
+                    from: (raw) => raw.length > 0 ? parseInt(raw, 10) : null,
+
+                    /**
+                     * Convert the duration to a string.
+                     *
+                     * @param {Number|null} duration Duration in minutes.
+                     * @return {string} Duration string, or an empty string if not set.
+                     */
+                    to: (duration) => duration !== null ? duration.toString() : ''
+                }
+            },
+            start_date: {
+                mongo: {
+                    from: (value) => value !== undefined ? value : null
+                },
+                redis: {
+                    /**
+                     * Convert a serialized date to a date.
+                     *
+                     * @param {string} raw Serialized date, or an empty string if not set.
+                     * @return {Date|null} Date.
+                     */
+                    from: (raw) => raw.length > 0 ? new Date(raw) : null,
+
+                    /**
+                     * Serialize the date to store it in Redis.
+                     *
+                     * @param {Date|null} date Date.
+                     * @return {string} Serialized date, or an empty string if not set.
+                     */
+                    to: (date) => date !== null ? date.toISOString() : ''
+                }
+            },
+            route_mode: {
+                mongo: {
+                    from: (value) => value === true
+                },
+                redis: {
+                    from: ConversionFunctions.boolFromRedis,
+                    to: ConversionFunctions.boolToRedis
+                }
+            },
+            point_range: {
+                mongo: {
+                    from: (value) => value !== undefined ? value : null
+                },
+                redis: {
+                    /**
+                     * Convert the point range from a string to a number of meters.
+                     *
+                     * @param {string} raw Range string, or an empty string if not set.
+                     * @return {Number|null} Range in meters.
+                     */
+                    from: (raw) => raw.length > 0 ? parseFloat(raw) : null,
+
+                    /**
+                     * Convert the point range to a string.
+                     *
+                     * @param {Number|null} range Range in meters.
+                     * @return {string} Range string, or an empty string if not set.
+                     */
+                    to: (range) => range !== null ? range.toString() : ''
+                }
+            },
+            point_range_active: {
+                mongo: {
+                    from: (value) => value !== undefined ? value : null
+                },
+                redis: {
+                    /**
+                     * Convert the active point range from a string to a number of meters.
+                     *
+                     * @param {string} raw Range string, or an empty string if not set.
+                     * @return {Number|null} Range in meters.
+                     */
+                    from: (raw) => raw.length > 0 ? parseFloat(raw) : null,
+
+                    /**
+                     * Convert the active point range to a string.
+                     *
+                     * @param {Number|null} range Range in meters.
+                     * @return {string} Range string, or an empty string if not set.
+                     */
+                    to: (range) => range !== null ? range.toString() : ''
+                }
+            },
+            area: {
+                mongo: {
+                    /**
+                     * Convert the list of corners to an area.
+                     *
+                     * @param {Object[]|null|undefined} corners List of corners, or null if not set.
+                     * @return {Coordinate[]|null} Area.
+                     */
+                    from: (corners) => _.isArray(corners) ? corners.map(Coordinate.parse) : null,
+
+                    /**
+                     * Convert an area to a list of corners.
+                     *
+                     * @param {Coordinate[]|null} area Area.
+                     * @return {Object[]|null} List of corners, or null if not set.
+                     */
+                    to: (area) => area !== null ? area.map((corner) => ({
+                        latitude: corner.latitude,
+                        longitude: corner.longitude
+                    })) : null
+                },
+                redis: {
+                    /**
+                     * Convert a serialized area to an area.
+                     *
+                     * @param {string} raw Serialized area, or an empty string if not set.
+                     * @return {Coordinate[]|null} Area.
+                     */
+                    from: (raw) => raw.length > 0 ? JSON.parse(raw).map(Coordinate.parse) : null,
+
+                    /**
+                     * Serialize the area to store it in Redis.
+                     *
+                     * @param {Coordinate[]|null} area Area.
+                     * @return {string} Serialized area, or an empty string if not set.
+                     */
+                    to: (area) => area !== null ? JSON.stringify(area) : ''
+                }
+            },
+            location_history: {
+                mongo: {
+                    from: (value) => value === true
+                },
+                redis: {
+                    from: ConversionFunctions.boolFromRedis,
+                    to: ConversionFunctions.boolToRedis
+                }
             }
         }
     });
@@ -384,6 +575,221 @@ GameModel.prototype.setCreateDate = function(createDate, callback) {
     this.setField('create_date', createDate, callback);
 };
 
+/**
+ * Get the schedule of the game.
+ *
+ * @param {GameModel~getScheduleCallback} callback Called with the schedule or when an error occurred.
+ */
+GameModel.prototype.getSchedule = function(callback) {
+    // Create the schedule object
+    var schedule = {};
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Map the model fields to the schedule properties
+    const fields = {
+        start: 'schedule_start',
+        end: 'schedule_end',
+        duration: 'schedule_duration',
+        started: 'start_date'
+    };
+
+    // Fetch each field
+    Object.keys(fields).forEach((key) => {
+        latch.add();
+        this.getField(fields[key], function(err, value) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            schedule[key] = value !== undefined ? value : null;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Call back the schedule
+    latch.then(function() {
+        if(!calledBack)
+            callback(null, schedule);
+        calledBack = true;
+    });
+};
+
+/**
+ * Called with the schedule or when an error occurred.
+ *
+ * @callback GameModel~getScheduleCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} Schedule with a start, end, duration and started property, see {@code GameSchedule}.
+ */
+
+/**
+ * Set the schedule of the game.
+ * The date the game was started on isn't changed.
+ *
+ * @param {Object} schedule Schedule with a start date, end date and duration in minutes, each of which may be null.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setSchedule = function(schedule, callback) {
+    this.setFields({
+        schedule_start: schedule.start,
+        schedule_end: schedule.end,
+        schedule_duration: schedule.duration
+    }, callback);
+};
+
+/**
+ * Get the date this game was last started on.
+ *
+ * @param {GameModel~getStartDateCallback} callback Called with the start date or when an error occurred.
+ */
+GameModel.prototype.getStartDate = function(callback) {
+    this.getField('start_date', callback);
+};
+
+/**
+ * Called with the start date or when an error occurred.
+ *
+ * @callback GameModel~getStartDateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Date|null} Date the game was last started on, or null if it was never started.
+ */
+
+/**
+ * Set the date this game was last started on.
+ *
+ * @param {Date} startDate Game start date.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setStartDate = function(startDate, callback) {
+    this.setField('start_date', startDate, callback);
+};
+
+/**
+ * Check whether this game is in route mode.
+ * Points in a game in route mode are unlocked one after another, when the points they require are completed.
+ *
+ * @param {GameModel~isRouteModeCallback} callback Called with the result or when an error occurred.
+ */
+GameModel.prototype.isRouteMode = function(callback) {
+    this.getField('route_mode', callback);
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback GameModel~isRouteModeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean} True if the game is in route mode, false if not.
+ */
+
+/**
+ * Set whether this game is in route mode.
+ *
+ * @param {boolean} routeMode True to enable route mode, false to disable it.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setRouteMode = function(routeMode, callback) {
+    this.setField('route_mode', routeMode, callback);
+};
+
+/**
+ * Get the range configured for the points in this game.
+ * Properties that aren't configured are null, the default range is used for these.
+ *
+ * @param {GameModel~getPointRangeCallback} callback Called with the range or when an error occurred.
+ */
+GameModel.prototype.getPointRange = function(callback) {
+    ApiUtils.fetchProperties({
+        range: (callback) => this.getField('point_range', callback),
+        active: (callback) => this.getField('point_range_active', callback)
+    }, callback);
+};
+
+/**
+ * Called with the range or when an error occurred.
+ *
+ * @callback GameModel~getPointRangeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {{range: Number|null, active: Number|null}=} Point range in meters.
+ */
+
+/**
+ * Set the range of the points in this game.
+ *
+ * @param {{range: Number|null, active: Number|null}} range Point range in meters, null properties use the default.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setPointRange = function(range, callback) {
+    this.setFields({
+        point_range: range.range,
+        point_range_active: range.active
+    }, callback);
+};
+
+/**
+ * Get the play area of this game.
+ *
+ * @param {GameModel~getAreaCallback} callback Called with the area or when an error occurred.
+ */
+GameModel.prototype.getArea = function(callback) {
+    this.getField('area', callback);
+};
+
+/**
+ * Called with the area or when an error occurred.
+ *
+ * @callback GameModel~getAreaCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Coordinate[]|null=} Corners of the play area, or null if the play area is unlimited.
+ */
+
+/**
+ * Set the play area of this game.
+ *
+ * @param {Coordinate[]|null} area Corners of the play area, or null to remove the play area.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setArea = function(area, callback) {
+    this.setField('area', area, callback);
+};
+
+/**
+ * Check whether the locations of the players in this game are recorded in the location history.
+ *
+ * @param {GameModel~isLocationHistoryCallback} callback Called with the result or when an error occurred.
+ */
+GameModel.prototype.isLocationHistory = function(callback) {
+    this.getField('location_history', callback);
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback GameModel~isLocationHistoryCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean} True if the locations are recorded, false if not.
+ */
+
+/**
+ * Set whether the locations of the players in this game are recorded in the location history.
+ *
+ * @param {boolean} locationHistory True to record the locations, false to stop recording.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setLocationHistory = function(locationHistory, callback) {
+    this.setField('location_history', locationHistory, callback);
+};
+
 /**
  * Get the number of users that joined this game.
  *
@@ -762,5 +1168,124 @@ GameModel.prototype.getStandings = function(currentUser, callback) {
     });
 };
 
+/**
+ * Get the team standings for this game.
+ * The score of a team is the sum of the scores of all it's members.
+ *
+ * @param {UserModel|null} currentUser Current user, used to mark the team the user is in.
+ * @param {GameModel~getTeamStandingsCallback} callback Called with the standings or when an error occurred.
+ */
+GameModel.prototype.getTeamStandings = function(currentUser, callback) {
+    // Keep a reference to this
+    const self = this;
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Get the teams, and the team of the current user
+    var teams = [];
+    var currentTeam = null;
+
+    // Get all teams in this game
+    latch.add();
+    Core.model.gameTeamModelManager.getTeams(self, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the teams and resolve the latch
+        teams = result;
+        latch.resolve();
+    });
+
+    // Get the team of the current user
+    if(currentUser !== null && currentUser !== undefined) {
+        latch.add();
+        Core.model.gameUserModelManager.getGameUser(self, currentUser, function(err, gameUser) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Resolve the latch if the user didn't join this game
+            if(gameUser === null || gameUser === undefined) {
+                latch.resolve();
+                return;
+            }
+
+            // Get the team
+            gameUser.getTeam(function(err, team) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the team and resolve the latch
+                currentTeam = team;
+                latch.resolve();
+            });
+        });
+    }
+
+    // Build the standings
+    latch.then(function() {
+        // Serialize each team
+        ApiUtils.serializeAll(teams, function(team, callback) {
+            ApiUtils.fetchProperties({
+                name: (callback) => team.getName(callback),
+                color: (callback) => team.getColor(callback),
+                score: (callback) => team.getScore(callback)
+            }, function(err, teamObject) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Determine whether the current user is in this team
+                teamObject.me = currentTeam !== null && currentTeam.getId().equals(team.getId());
+
+                // Call back the team object
+                callback(null, teamObject);
+            });
+        }, function(err, standings) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Sort the standings by score
+            standings.sort((a, b) => b.score - a.score);
+
+            // Call back
+            if(!calledBack)
+                callback(null, standings);
+            calledBack = true;
+        });
+    });
+};
+
+/**
+ * Called with the team standings or when an error occurred.
+ *
+ * @callback GameModel~getTeamStandingsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object[]=} List of team standings, each with a me, name, color and score property, sorted by score.
+ */
+
 // Export the user class
 module.exports = GameModel;
@@ -508,6 +508,47 @@ GameModelManager.prototype.getGamesCountWithStage = function(stage, options, cal
  * @param {Number=} Number of games.
  */
 
+/**
+ * Get all games that aren't finished, and have a scheduled start, end or duration.
+ * The result isn't cached, as it's used to enforce game schedules.
+ *
+ * @param {GameModelManager~getScheduledGamesCallback} callback Called with the result or when an error occurred.
+ */
+GameModelManager.prototype.getScheduledGames = function(callback) {
+    // Store the current instance
+    const self = this;
+
+    // Create the query object
+    const queryObject = {
+        stage: {$in: [0, 1]},
+        $or: [
+            {schedule_start: {$ne: null}},
+            {schedule_end: {$ne: null}},
+            {schedule_duration: {$ne: null}}
+        ]
+    };
+
+    // Query the database
+    GameDatabase.layerFetchFieldsFromDatabase(queryObject, {_id: true}, function(err, data) {
+        // Call back errors
+        if(err !== null && err !== undefined) {
+            callback(new Error(err));
+            return;
+        }
+
+        // Create game instances, and call back
+        callback(null, data.map((gameData) => self._instanceManager.create(gameData._id)));
+    });
+};
+
+/**
+ * Called with the list of scheduled games or when an error occurred.
+ *
+ * @callback GameModelManager~getScheduledGamesCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Array=} Array of games.
+ */
+
 /**
  * Flush the cache for this model manager.
  *
@@ -0,0 +1,144 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var MongoUtil = require('../../mongo/MongoUtils');
+var Validator = require('../../validator/Validator');
+
+/**
+ * Constructor.
+ *
+ * @returns {GameTeamDatabase} GameTeamDatabase instance.
+ */
+var GameTeamDatabase = function() {};
+
+/**
+ * Database collection name.
+ */
+GameTeamDatabase.DB_COLLECTION_NAME = 'game_team';
+
+/**
+ * Add a team to the database.
+ *
+ * @param {GameModel} game Game the team is created for.
+ * @param {String} name Name of the team.
+ * @param {String} color Team color, as hexadecimal color code.
+ * @param {GameTeamDatabase~addGameTeamCallback} callback Called on success or on failure.
+ */
+GameTeamDatabase.addGameTeam = function(game, name, color, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Validate the team name and color
+    if(!Validator.isValidTeamName(name)) {
+        callback(new Error('Unable to create team, invalid name given.'));
+        return;
+    }
+    if(!Validator.isValidTeamColor(color)) {
+        callback(new Error('Unable to create team, invalid color given.'));
+        return;
+    }
+
+    // Make sure the game is valid
+    if(game === null || game === undefined) {
+        callback(new Error('Unable to create team, invalid game instance.'));
+        return;
+    }
+
+    // Create the object to insert
+    const insertObject = {
+        game_id: game.getId(),
+        name: Validator.formatTeamName(name),
+        color: Validator.formatTeamColor(color),
+        create_date: new Date()
+    };
+
+    // Insert the team into the database
+    db.collection(GameTeamDatabase.DB_COLLECTION_NAME).insertOne(insertObject, function(err) {
+        // Handle errors and make sure the status is ok
+        if(err !== null) {
+            // Show a warning and call back with the error
+            console.warn('Unable to create new team, failed to insert team into database.');
+            callback(err, null);
+            return;
+        }
+
+        // Flush the model manager cache
+        Core.model.gameTeamModelManager.flushCache(function(err) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Call back with the inserted ID
+            callback(null, Core.model.gameTeamModelManager._instanceManager.create(insertObject._id));
+        });
+    });
+};
+
+/**
+ * Called with the new team or when an error occurred.
+ *
+ * @callback GameTeamDatabase~addGameTeamCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {GameTeamModel=} Team model that was added to the database.
+ */
+
+/**
+ * Do a find query on the team database. Parse the result as an array through a callback.
+ *
+ * @param a First find parameter.
+ * @param b Second find parameter.
+ * @param {Object} [options] Additional options.
+ * @param {string} [options.sortField=] Field to sort on.
+ * @param {boolean} [options.sortAscending=true] True to sort in ascending order, false to sort in descending order.
+ * @param {function} callback (err, data) Callback.
+ */
+GameTeamDatabase.layerFetchFieldsFromDatabase = function(a, b, options, callback) {
+    // Get the database instance
+    var db = MongoUtil.getConnection();
+
+    // Set the callback parameter if the options parameter was left out
+    if(_.isFunction(options)) {
+        //noinspection JSValidateTypes
+        callback = options;
+        options = {};
+    }
+
+    // Create the find query
+    var findQuery = db.collection(GameTeamDatabase.DB_COLLECTION_NAME).find(a, b);
+
+    // Sort the results
+    if(options.hasOwnProperty('sortField'))
+        findQuery = findQuery.sort({
+            [options.sortField]: options.sortAscending !== false ? 1 : -1
+        });
+
+    // Convert the results into an array and call back
+    findQuery.toArray(callback);
+};
+
+// Export the team database module
+module.exports = GameTeamDatabase;
@@ -0,0 +1,496 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var Core = require('../../../Core');
+var GameTeamDatabase = require('./GameTeamDatabase');
+var BaseModel = require('../../database/BaseModel');
+var ConversionFunctions = require('../../database/ConversionFunctions');
+var CallbackLatch = require('../../util/CallbackLatch');
+
+/**
+ * GameTeamModel class.
+ *
+ * @class
+ * @constructor
+ *
+ * @param {ObjectId} id Team ID object.
+ *
+ * @returns {GameTeamModel} Team instance.
+ */
+var GameTeamModel = function(id) {
+    /**
+     * Set the API application ID.
+     *
+     * @private
+     */
+    this._id = id;
+
+    // Create and configure the base model instance for this model
+    this._baseModel = new BaseModel(this, {
+        mongo: {
+            collection: GameTeamDatabase.DB_COLLECTION_NAME
+        },
+        fields: {
+            game: {
+                mongo: {
+                    field: 'game_id',
+
+                    /**
+                     * Convert an ID to an Game model.
+                     *
+                     * @param {ObjectId} id
+                     * @return {GameModel} Game.
+                     */
+                    from: (id) => Core.model.gameModelManager._instanceManager.create(id),
+
+                    /**
+                     * Convert an Game model to an ID.
+                     *
+                     * @param {GameModel} game Game.
+                     * @return {ObjectId} ID.
+                     */
+                    to: (game) => game.getId()
+                },
+                redis: {
+                    /**
+                     * Convert a hexadecimal ID to a Game model.
+                     *
+                     * @param {String} id
+                     * @return {GameModel} Game.
+                     */
+                    from: (id) => Core.model.gameModelManager._instanceManager.create(id),
+
+                    /**
+                     * Convert an Game model to a hexadecimal ID.
+                     *
+                     * @param {GameModel} game Game.
+                     * @return {String} Hexadecimal ID.
+                     */
+                    to: (game) => game.getIdHex()
+                }
+            },
+            name: {},
+            color: {},
+            create_date: {
+                redis: {
+                    from: ConversionFunctions.deserializeDate,
+                    to: ConversionFunctions.serializeDate
+                }
+            }
+        }
+    });
+};
+
+/**
+ * Get the ID object of the team.
+ *
+ * @returns {ObjectId} Team ID object.
+ */
+GameTeamModel.prototype.getId = function() {
+    return this._id;
+};
+
+/**
+ * Get the hexadecimal ID representation of the team.
+ *
+ * @returns {*} Team ID as hexadecimal string.
+ */
+GameTeamModel.prototype.getIdHex = function() {
+    return this.getId().toString();
+};
+
+/**
+ * Get the given field from the model.
+ *
+ * @param {String} field Field names.
+ * @param {GameTeamModel~getFieldCallback} callback Called with the result of a model field, or when an error occurred.
+ */
+GameTeamModel.prototype.getField = function(field, callback) {
+    this._baseModel.getField(field, callback);
+};
+
+/**
+ * Called with the result of a model field, or when an error occurred.
+ *
+ * @callback GameTeamModel~getFieldCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {*=} Field value.
+ */
+
+/**
+ * Set the given field to the given value for this model.
+ *
+ * @param {String} field Field name.
+ * @param {*} value Field value.
+ * @param {GameTeamModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+GameTeamModel.prototype.setField = function(field, value, callback) {
+    this._baseModel.setField(field, value, callback);
+};
+
+/**
+ * Called on success, or when an error occurred.
+ *
+ * @callback GameTeamModel~setFieldCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Set the given fields to the given values.
+ *
+ * @param {Object} fields Object with key value pairs.
+ * @param {GameTeamModel~setFieldsCallback} callback Called on success, or when an error occurred.
+ */
+GameTeamModel.prototype.setFields = function(fields, callback) {
+    this._baseModel.setFields(fields, callback);
+};
+
+/**
+ * Called on success, or when an error occurred.
+ *
+ * @callback GameTeamModel~setFieldsCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Get the game of the team.
+ *
+ * @param {GameTeamModel~getGameCallback} callback Called with the game or when an error occurred.
+ */
+GameTeamModel.prototype.getGame = function(callback) {
+    this.getField('game', callback);
+};
+
+/**
+ * Called with the game or when an error occurred.
+ *
+ * @callback GameTeamModel~getGameCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {GameModel} Game.
+ */
+
+/**
+ * Get the name of the team.
+ *
+ * @param {GameTeamModel~getNameCallback} callback Called with the name or when an error occurred.
+ */
+GameTeamModel.prototype.getName = function(callback) {
+    this.getField('name', callback);
+};
+
+/**
+ * Called with the name or when an error occurred.
+ *
+ * @callback GameTeamModel~getNameCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {String} Team name.
+ */
+
+/**
+ * Set the name of the team.
+ *
+ * @param {String} name Team name.
+ * @param {GameTeamModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameTeamModel.prototype.setName = function(name, callback) {
+    this.setField('name', name, callback);
+};
+
+/**
+ * Get the color of the team.
+ *
+ * @param {GameTeamModel~getColorCallback} callback Called with the color or when an error occurred.
+ */
+GameTeamModel.prototype.getColor = function(callback) {
+    this.getField('color', callback);
+};
+
+/**
+ * Called with the color or when an error occurred.
+ *
+ * @callback GameTeamModel~getColorCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {String} Team color, as hexadecimal color code.
+ */
+
+/**
+ * Set the color of the team.
+ *
+ * @param {String} color Team color, as hexadecimal color code.
+ * @param {GameTeamModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameTeamModel.prototype.setColor = function(color, callback) {
+    this.setField('color', color, callback);
+};
+
+/**
+ * Get the date the team was created on.
+ *
+ * @param {GameTeamModel~getCreateDateCallback} callback Called with the creation date or when an error occurred.
+ */
+GameTeamModel.prototype.getCreateDate = function(callback) {
+    this.getField('create_date', callback);
+};
+
+/**
+ * Called with the creation date or when an error occurred.
+ *
+ * @callback GameTeamModel~getCreateDateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Date} Team creation date.
+ */
+
+/**
+ * Get the users that are member of this team.
+ *
+ * @param {GameTeamModel~getUsersCallback} callback Called with the users or when an error occurred.
+ */
+GameTeamModel.prototype.getUsers = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the game
+    this.getGame(function(err, game) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Get the game users in this team
+        Core.model.gameUserModelManager.getGameUsers(game, {
+            team: self
+        }, callback);
+    });
+};
+
+/**
+ * Called with the users or when an error occurred.
+ *
+ * @callback GameTeamModel~getUsersCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {UserModel[]=} Users in this team.
+ */
+
+/**
+ * Get the score of the team.
+ * This is the sum of the scores of all team members.
+ *
+ * @param {GameTeamModel~getScoreCallback} callback Called with the score or when an error occurred.
+ */
+GameTeamModel.prototype.getScore = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Define the score
+    var score = 0;
+
+    // Get the game
+    latch.add();
+    this.getGame(function(err, game) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Get the users in this team
+        Core.model.gameUserModelManager.getGameUsers(game, {
+            team: self
+        }, function(err, users) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Add the score of each user
+            users.forEach(function(user) {
+                latch.add();
+                Core.model.gameUserModelManager.getGameUser(game, user, function(err, gameUser) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Get the score of the user
+                    gameUser.getScore(function(err, userScore) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                callback(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Add the score
+                        score += userScore;
+
+                        // Resolve the latch
+                        latch.resolve();
+                    });
+                });
+            });
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Call back the score
+    latch.then(function() {
+        if(!calledBack)
+            callback(null, score);
+        calledBack = true;
+    });
+};
+
+/**
+ * Called with the score or when an error occurred.
+ *
+ * @callback GameTeamModel~getScoreCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number=} Team score.
+ */
+
+/**
+ * Delete the team.
+ * The users that are member of this team are removed from it.
+ *
+ * @param {GameTeamModel~deleteCallback} [callback] Called on success, or when an error occurred.
+ */
+GameTeamModel.prototype.delete = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Get the game of this team
+    latch.add();
+    this.getGame(function(err, game) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack && callback !== undefined)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Get the users in this team
+        Core.model.gameUserModelManager.getGameUsers(game, {
+            team: self
+        }, function(err, users) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack && callback !== undefined)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Remove each user from the team
+            users.forEach(function(user) {
+                latch.add();
+                Core.model.gameUserModelManager.getGameUser(game, user, function(err, gameUser) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack && callback !== undefined)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Clear the team
+                    gameUser.setTeam(null, function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack && callback !== undefined)
+                                callback(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Resolve the latch
+                        latch.resolve();
+                    });
+                });
+            });
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Delete the team model when the members are removed
+    latch.then(function() {
+        // Make sure we didn't call back yet
+        if(calledBack)
+            return;
+
+        self._baseModel.flush(undefined, function(err) {
+            // Call back errors
+            if(err !== null) {
+                if(callback !== undefined)
+                    callback(err);
+                return;
+            }
+
+            // Flush the model managers
+            Core.model.gameUserModelManager.flushCache(function(err) {
+                // Call back errors
+                if(err !== null) {
+                    if(callback !== undefined)
+                        callback(err);
+                    return;
+                }
+
+                Core.model.gameTeamModelManager.flushCache(function(err) {
+                    if(callback !== undefined)
+                        callback(err);
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Called on success, or when an error occurred.
+ *
+ * @callback GameTeamModel~deleteCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+// Export the team class
+module.exports = GameTeamModel;
@@ -0,0 +1,332 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var mongo = require('mongodb');
+var ObjectId = mongo.ObjectId;
+
+var config = require('../../../config');
+
+var Core = require('../../../Core');
+var CallbackLatch = require('../../util/CallbackLatch');
+var RedisUtils = require('../../redis/RedisUtils');
+var GameTeamDatabase = require('./GameTeamDatabase');
+var ModelInstanceManager = require('../ModelInstanceManager');
+var GameTeamModel = require('./GameTeamModel');
+
+/**
+ * Redis key root for cache.
+ * @type {string}
+ */
+const REDIS_KEY_ROOT = 'model:gameteam';
+
+/**
+ * GameTeamModelManager class.
+ *
+ * @class
+ * @constructor
+ */
+var GameTeamModelManager = function() {
+    /**
+     * Model instance manager.
+     *
+     * @type {ModelInstanceManager}
+     */
+    this._instanceManager = new ModelInstanceManager(GameTeamModel);
+};
+
+/**
+ * Check whether the given team ID is valid and exists.
+ *
+ * @param {ObjectId|string} id The team ID.
+ * @param {GameTeamModelManager~isValidTeamIdCallback} callback Called with the result or when an error occurred.
+ */
+GameTeamModelManager.prototype.isValidTeamId = function(id, callback) {
+    // Validate the object ID
+    if(id === null || id === undefined || !ObjectId.isValid(id)) {
+        // Call back
+        callback(null, false);
+        return;
+    }
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Convert the ID to an ObjectID
+    if(!(id instanceof ObjectId))
+        id = new ObjectId(id);
+
+    // Determine the Redis cache key
+    var redisCacheKey = REDIS_KEY_ROOT + ':' + id.toString() + ':exists';
+
+    // Check whether the team is valid through Redis if ready
+    if(RedisUtils.isReady()) {
+        // Fetch the result from Redis
+        latch.add();
+        RedisUtils.getConnection().get(redisCacheKey, function(err, result) {
+            // Show a warning if an error occurred
+            if(err !== null && err !== undefined) {
+                // Print the error to the console
+                console.error('A Redis error occurred while checking team validity, falling back to MongoDB.')
+                console.error(new Error(err));
+
+                // Resolve the latch and return
+                latch.resolve();
+                return;
+            }
+
+            // Resolve the latch if the result is undefined, null or zero
+            if(result === undefined || result === null || result == 0) {
+                // Resolve the latch and return
+                latch.resolve();
+                return;
+            }
+
+            // The team is valid, call back
+            calledBack = true;
+            callback(null, true);
+        });
+    }
+
+    // Fetch the result from MongoDB when we're done with Redis
+    latch.then(function() {
+        // Return if we already called back
+        if(calledBack)
+            return;
+
+        // Query the database and check whether the team is valid
+        GameTeamDatabase.layerFetchFieldsFromDatabase({_id: id}, {_id: true}, function(err, data) {
+            // Call back errors
+            if(err !== null && err !== undefined) {
+                // Encapsulate the error and call back
+                callback(new Error(err), null);
+                return;
+            }
+
+            // Determine whether a team exists for this ID
+            const hasTeam = data.length > 0;
+
+            // Call back with the result
+            callback(null, hasTeam);
+
+            // Store the result in Redis if ready
+            if(RedisUtils.isReady()) {
+                // Store the results
+                RedisUtils.getConnection().setex(redisCacheKey, config.redis.cacheExpire, hasTeam ? 1 : 0, function(err) {
+                    // Show a warning on error
+                    if(err !== null && err !== undefined) {
+                        console.error('A Redis error occurred when storing team ID validity, ignoring.');
+                        console.error(new Error(err));
+                    }
+                });
+            }
+        });
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback GameTeamModelManager~isValidTeamIdCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if a team with this ID exists, false if not.
+ */
+
+/**
+ * Get a team by it's team ID.
+ *
+ * @param {ObjectId|string} id The team ID.
+ * @param {GameTeamModelManager~getTeamByIdCallback} callback Called with the team or when an error occurred.
+ */
+GameTeamModelManager.prototype.getTeamById = function(id, callback) {
+    // Store the current instance
+    const self = this;
+
+    // Check whether the team ID is valid
+    this.isValidTeamId(id, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err, null);
+            return;
+        }
+
+        // Call back the result
+        callback(null, result ? self._instanceManager.create(id) : null);
+    });
+};
+
+/**
+ * Called with the team or when an error occurred.
+ *
+ * @callback GameTeamModelManager~getTeamByIdCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {GameTeamModel|null} Team instance, or null if no team was found for the given ID.
+ */
+
+/**
+ * Get all teams for the given game, in the order they were created in.
+ *
+ * @param {GameModel} game Game to get the teams for.
+ * @param {GameTeamModelManager~getTeamsCallback} callback Called with the result or when an error occurred.
+ */
+GameTeamModelManager.prototype.getTeams = function(game, callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Determine the Redis cache key
+    var redisCacheKey = REDIS_KEY_ROOT + ':' + game.getIdHex() + ':getTeams';
+
+    // Store this instance
+    const self = this;
+
+    // Fetch the list of teams through Redis if ready
+    if(RedisUtils.isReady()) {
+        // Fetch the result from Redis
+        latch.add();
+        RedisUtils.getConnection().get(redisCacheKey, function(err, result) {
+            // Show a warning if an error occurred
+            if(err !== null && err !== undefined) {
+                // Print the error to the console
+                console.error('A Redis error occurred while fetching teams, falling back to MongoDB.')
+                console.error(new Error(err));
+
+                // Resolve the latch and return
+                latch.resolve();
+                return;
+            }
+
+            // Resolve the latch if the result is undefined or null
+            if(result === undefined || result === null) {
+                // Resolve the latch and return
+                latch.resolve();
+                return;
+            }
+
+            // Create the team models, skip empty IDs
+            var teams = result.split(',')
+                .filter((teamId) => teamId.trim().length > 0)
+                .map((teamId) => self._instanceManager.create(teamId));
+
+            // Call back the list of teams
+            calledBack = true;
+            callback(null, teams);
+        });
+    }
+
+    // Fetch the result from MongoDB
+    latch.then(function() {
+        // Return if we already called back
+        if(calledBack)
+            return;
+
+        GameTeamDatabase.layerFetchFieldsFromDatabase({game_id: game.getId()}, {_id: true}, {
+            sortField: 'create_date'
+        }, function(err, data) {
+            // Call back errors
+            if(err !== null && err !== undefined) {
+                // Encapsulate the error and call back
+                callback(new Error(err));
+                return;
+            }
+
+            // Create a team model for each result
+            var teams = data.map((teamData) => self._instanceManager.create(teamData._id));
+
+            // Call back with the teams
+            callback(null, teams);
+
+            // Store the result in Redis if ready
+            if(RedisUtils.isReady()) {
+                // Join the team IDs
+                var joined = teams.map((team) => team.getIdHex()).join(',');
+
+                // Store the results
+                RedisUtils.getConnection().setex(redisCacheKey, config.redis.cacheExpire, joined, function(err) {
+                    // Show a warning on error
+                    if(err !== null && err !== undefined) {
+                        console.error('A Redis error occurred when storing fetched teams, ignoring.');
+                        console.error(new Error(err));
+                    }
+                });
+            }
+        });
+    });
+};
+
+/**
+ * Called with the array of teams for the given game.
+ *
+ * @callback GameTeamModelManager~getTeamsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {GameTeamModel[]=} Array of teams.
+ */
+
+/**
+ * Flush the cache for this model manager.
+ *
+ * @param {GameTeamModelManager~flushCacheCallback} [callback] Called on success or when an error occurred.
+ */
+GameTeamModelManager.prototype.flushCache = function(callback) {
+    // Determine the cache key for this manager and wildcard it
+    const cacheKey = REDIS_KEY_ROOT + ':*';
+
+    // Create a latch
+    var latch = new CallbackLatch();
+
+    // Flush the cache
+    latch.add();
+    RedisUtils.flushKeys(cacheKey, function(err) {
+        // Call back errors
+        if(err !== null) {
+            if(callback !== undefined)
+                callback(err);
+            return;
+        }
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Delete the internal model cache
+    this._instanceManager.clear(true);
+
+    // Call back when we're done
+    latch.then(function() {
+        if(callback !== undefined)
+            callback(null);
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback GameTeamModelManager~flushCacheCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+// Return the created class
+module.exports = GameTeamModelManager;
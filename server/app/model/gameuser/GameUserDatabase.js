@@ -58,7 +58,9 @@ GameUserDatabase.addGameUser = function(game, user, isParticipant, isSpectator,
         game_id: game.getId(),
         user_id: user.getId(),
         is_participant: !!isParticipant,
-        is_spectator: !!isSpectator
+        is_spectator: !!isSpectator,
+        team_id: null,
+        completed_point_ids: []
     };
 
     // Insert the game user into the database
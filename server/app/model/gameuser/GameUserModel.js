@@ -139,6 +139,83 @@ var GameUserModel = function(id) {
                     from: ConversionFunctions.boolFromRedis,
                     to: ConversionFunctions.boolToRedis
                 }
+            },
+            team: {
+                mongo: {
+                    field: 'team_id',
+
+                    /**
+                     * Convert an ID to a team model.
+                     *
+                     * @param {ObjectId|null|undefined} id
+                     * @return {GameTeamModel|null} Team, or null if the user isn't in a team.
+                     */
+                    from: (id) => id !== null && id !== undefined ? Core.model.gameTeamModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert a team model to an ID.
+                     *
+                     * @param {GameTeamModel|null} team Team.
+                     * @return {ObjectId|null} ID.
+                     */
+                    to: (team) => team !== null ? team.getId() : null
+                },
+                redis: {
+                    /**
+                     * Convert a hexadecimal ID to a team model.
+                     *
+                     * @param {String} id Hexadecimal ID, or an empty string if the user isn't in a team.
+                     * @return {GameTeamModel|null} Team.
+                     */
+                    from: (id) => id.length > 0 ? Core.model.gameTeamModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert a team model to a hexadecimal ID.
+                     *
+                     * @param {GameTeamModel|null} team Team.
+                     * @return {String} Hexadecimal ID, or an empty string if the user isn't in a team.
+                     */
+                    to: (team) => team !== null ? team.getIdHex() : ''
+                }
+            },
+            completed_points: {
+                mongo: {
+                    field: 'completed_point_ids',
+
+                    /**
+                     * Convert a list of IDs to point models.
+                     *
+                     * @param {ObjectId[]|undefined} ids
+                     * @return {PointModel[]} Points.
+                     */
+                    from: (ids) => (ids || []).map((id) => Core.model.pointModelManager._instanceManager.create(id)),
+
+                    /**
+                     * Convert a list of point models to IDs.
+                     *
+                     * @param {PointModel[]} points Points.
+                     * @return {ObjectId[]} IDs.
+                     */
+                    to: (points) => points.map((point) => point.getId())
+                },
+                redis: {
+                    /**
+                     * Convert a comma separated list of hexadecimal IDs to point models.
+                     *
+                     * @param {String} ids Comma separated hexadecimal IDs.
+                     * @return {PointModel[]} Points.
+                     */
+                    from: (ids) => ids.split(',').filter((id) => id.length > 0)
+                        .map((id) => Core.model.pointModelManager._instanceManager.create(id)),
+
+                    /**
+                     * Convert a list of point models to a comma separated list of hexadecimal IDs.
+                     *
+                     * @param {PointModel[]} points Points.
+                     * @return {String} Comma separated hexadecimal IDs.
+                     */
+                    to: (points) => points.map((point) => point.getIdHex()).join(',')
+                }
             }
         }
     });
@@ -324,11 +401,85 @@ GameUserModel.prototype.setSpectator = function(isSpectator, callback) {
 };
 
 /**
- * Get the game score for this user.
+ * Get the team the user is in.
+ *
+ * @param {GameUserModel~getTeamCallback} callback Called with the team or when an error occurred.
+ */
+GameUserModel.prototype.getTeam = function(callback) {
+    this.getField('team', callback);
+};
+
+/**
+ * Called with the team or when an error occurred.
+ *
+ * @callback GameUserModel~getTeamCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {GameTeamModel|null} Team, or null if the user isn't in a team.
+ */
+
+/**
+ * Set the team the user is in.
+ *
+ * @param {GameTeamModel|null} team Team, or null to remove the user from it's team.
+ * @param {GameUserModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameUserModel.prototype.setTeam = function(team, callback) {
+    this.setField('team', team, callback);
+};
+
+/**
+ * Get the points the user completed, when the game is in route mode.
+ *
+ * @param {GameUserModel~getCompletedPointsCallback} callback Called with the points or when an error occurred.
+ */
+GameUserModel.prototype.getCompletedPoints = function(callback) {
+    this.getField('completed_points', callback);
+};
+
+/**
+ * Called with the completed points or when an error occurred.
  *
- * TODO: Document this
+ * @callback GameUserModel~getCompletedPointsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {PointModel[]} Completed points.
+ */
+
+/**
+ * Mark the given point as completed by the user.
+ * Nothing is changed if the point was completed already.
+ *
+ * @param {PointModel} point Completed point.
+ * @param {GameUserModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameUserModel.prototype.addCompletedPoint = function(point, callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the points that are completed already
+    this.getCompletedPoints(function(err, points) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back if the point was completed already
+        if(points.some((other) => other.getId().equals(point.getId()))) {
+            callback(null);
+            return;
+        }
+
+        // Add the point
+        self.setField('completed_points', points.concat([point]), callback);
+    });
+};
+
+/**
+ * Get the game score for this user.
+ * The score is the sum of the earned points of the submissions of this user in the game, which includes partial points
+ * awarded by graders.
  *
- * @param callback
+ * @param {GameUserModel~getScoreCallback} callback Called with the score or when an error occurred.
  */
 GameUserModel.prototype.getScore = function(callback) {
     var latch = new CallbackLatch();
@@ -433,5 +584,43 @@ GameUserModel.prototype.getScore = function(callback) {
     });
 };
 
+/**
+ * Called with the score or when an error occurred.
+ *
+ * @callback GameUserModel~getScoreCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number=} Score of the user.
+ */
+
+/**
+ * Delete the game user.
+ *
+ * @param {GameUserModel~deleteCallback} [callback] Called on success, or when an error occurred.
+ */
+GameUserModel.prototype.delete = function(callback) {
+    // Delete the game user model
+    this._baseModel.flush(undefined, function(err) {
+        // Call back errors
+        if(err !== null) {
+            if(callback !== undefined)
+                callback(err);
+            return;
+        }
+
+        // Flush the model manager
+        Core.model.gameUserModelManager.flushCache(function(err) {
+            if(callback !== undefined)
+                callback(err);
+        });
+    });
+};
+
+/**
+ * Called on success, or when an error occurred.
+ *
+ * @callback GameUserModel~deleteCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
 // Export the user class
 module.exports = GameUserModel;
@@ -660,6 +660,8 @@ GameUserModelManager.prototype.getUserGameState = function(game, user, callback)
  * @param {boolean|undefined} [options.requested=] True if the result must include requested players, false if the result
  * may not include requested players. This property overrides other constraints when set to true.
  * @param {UserModel|undefined} [options.user=] User model instance if only a specific user should be counted.
+ * @param {GameTeamModel|null|undefined} [options.team=] Team model instance if only users in a specific team should be
+ * included, null if only users that aren't in a team should be included. Undefined if this constraint shouldn't be checked.
  * @param {GameModelManager~getGameUsersCallback} callback Called with the result or when an error occurred.
  */
 // TODO: Add Redis caching to this function?
@@ -715,6 +717,10 @@ GameUserModelManager.prototype.getGameUsers = function(game, options, callback)
     if(options.user !== undefined)
         queryObject.user_id = options.user.getId();
 
+    // Limit the query to a specific team if set
+    if(options.team !== undefined)
+        queryObject.team_id = options.team !== null ? options.team.getId() : null;
+
     // Fetch the result from MongoDB
     GameUserDatabase.layerFetchFieldsFromDatabase(queryObject, {user_id: true}, function(err, data) {
         // Call back errors
@@ -745,6 +751,184 @@ GameUserModelManager.prototype.getGameUsers = function(game, options, callback)
  * @param {Array=} Array of UserModel users.
  */
 
+/**
+ * Get the teams of all users in the given game that are in a team.
+ *
+ * @param {GameModel} game Game to get the user teams for.
+ * @param {GameUserModelManager~getGameUserTeamsCallback} callback Called with the result or when an error occurred.
+ */
+GameUserModelManager.prototype.getGameUserTeams = function(game, callback) {
+    // Create the query object
+    const queryObject = {
+        game_id: game.getId(),
+        team_id: {$ne: null}
+    };
+
+    // Fetch the result from MongoDB
+    GameUserDatabase.layerFetchFieldsFromDatabase(queryObject, {user_id: true, team_id: true}, function(err, data) {
+        // Call back errors
+        if(err !== null && err !== undefined) {
+            // Encapsulate the error and call back
+            callback(new Error(err));
+            return;
+        }
+
+        // Map each user ID to it's team ID
+        var teams = {};
+        data.forEach(function(gameUserData) {
+            teams[gameUserData.user_id.toString()] = gameUserData.team_id.toString();
+        });
+
+        // Call back the teams
+        callback(null, teams);
+    });
+};
+
+/**
+ * Called with the teams of the game users or when an error occurred.
+ *
+ * @callback GameUserModelManager~getGameUserTeamsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} Object with hexadecimal user IDs as key, and the hexadecimal ID of their team as value.
+ */
+
+/**
+ * Get the users that share their assignments and submissions with the given user in the given game.
+ * These are the users in the same team, or just the given user if the user isn't in a team.
+ *
+ * @param {GameModel} game Game.
+ * @param {UserModel} user User.
+ * @param {GameUserModelManager~getTeamUsersCallback} callback Called with the result or when an error occurred.
+ */
+GameUserModelManager.prototype.getTeamUsers = function(game, user, callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the game user
+    this.getGameUser(game, user, function(err, gameUser) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Just call back the user if it didn't join the game
+        if(gameUser === null || gameUser === undefined) {
+            callback(null, [user]);
+            return;
+        }
+
+        // Get the team of the user
+        gameUser.getTeam(function(err, team) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Just call back the user if it isn't in a team
+            if(team === null || team === undefined) {
+                callback(null, [user]);
+                return;
+            }
+
+            // Get all users in the team
+            self.getGameUsers(game, {
+                team
+            }, callback);
+        });
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback GameUserModelManager~getTeamUsersCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {UserModel[]=} List of users, including the given user.
+ */
+
+/**
+ * Get the points that are completed by the given user in the given game, when the game is in route mode.
+ * Users in a team share their completed points.
+ *
+ * @param {GameModel} game Game.
+ * @param {UserModel|ObjectId} user User.
+ * @param {GameUserModelManager~getCompletedPointIdsCallback} callback Called with the result or when an error occurred.
+ */
+GameUserModelManager.prototype.getCompletedPointIds = function(game, user, callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the users the given user shares its points with
+    this.getTeamUsers(game, user, function(err, users) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Create a list of completed point IDs
+        var pointIds = [];
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+        var calledBack = false;
+
+        // Collect the completed points of each user
+        users.forEach(function(teamUser) {
+            latch.add();
+            self.getGameUser(game, teamUser, function(err, gameUser) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Skip users that didn't join the game
+                if(gameUser === null || gameUser === undefined) {
+                    latch.resolve();
+                    return;
+                }
+
+                // Get the completed points
+                gameUser.getCompletedPoints(function(err, points) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Add the point IDs
+                    pointIds = pointIds.concat(points.map((point) => point.getIdHex()));
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            });
+        });
+
+        // Call back the unique point IDs
+        latch.then(function() {
+            if(!calledBack)
+                callback(null, _.uniq(pointIds));
+            calledBack = true;
+        });
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback GameUserModelManager~getCompletedPointIdsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {string[]=} Hexadecimal IDs of the completed points.
+ */
+
 /**
  * Get a game user by a game and user instance.
  *
@@ -0,0 +1,158 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var MongoUtil = require('../../mongo/MongoUtils');
+
+/**
+ * Constructor.
+ * Location history entries are never changed once recorded, so they're queried directly instead of through a model.
+ *
+ * @returns {LocationHistoryDatabase} LocationHistoryDatabase instance.
+ */
+var LocationHistoryDatabase = function() {};
+
+/**
+ * Database collection name.
+ */
+LocationHistoryDatabase.DB_COLLECTION_NAME = 'location_history';
+
+/**
+ * Add a location to the location history of a game.
+ *
+ * @param {GameModel} game Game the location is recorded in.
+ * @param {UserModel} user User the location is of.
+ * @param {Coordinate} location Location of the user.
+ * @param {Date} date Date and time the location was recorded at.
+ * @param {LocationHistoryDatabase~addLocationCallback} callback Called on success or when an error occurred.
+ */
+LocationHistoryDatabase.addLocation = function(game, user, location, date, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Make sure the game and user are valid
+    if(game === null || game === undefined || user === null || user === undefined) {
+        callback(new Error('Unable to record location, invalid game or user instance.'));
+        return;
+    }
+
+    // Insert the location
+    db.collection(LocationHistoryDatabase.DB_COLLECTION_NAME).insertOne({
+        game_id: game.getId(),
+        user_id: user.getId(),
+        latitude: location.latitude,
+        longitude: location.longitude,
+        date
+    }, function(err) {
+        // Show a warning on error
+        if(err !== null)
+            console.warn('Unable to record location, failed to insert location into database.');
+
+        // Call back
+        callback(err);
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback LocationHistoryDatabase~addLocationCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Get the location history of a game.
+ *
+ * @param {GameModel} game Game to get the location history for.
+ * @param {Object} [options] Options.
+ * @param {UserModel} [options.user] Only get the locations of this user.
+ * @param {LocationHistoryDatabase~getLocationsCallback} callback Called with the locations or when an error occurred.
+ */
+LocationHistoryDatabase.getLocations = function(game, options, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Set the callback parameter if the options parameter was left out
+    if(_.isFunction(options)) {
+        callback = options;
+        options = {};
+    }
+
+    // Build the query
+    var query = {
+        game_id: game.getId()
+    };
+    if(options.user !== undefined && options.user !== null)
+        query.user_id = options.user.getId();
+
+    // Fetch the locations in chronological order
+    db.collection(LocationHistoryDatabase.DB_COLLECTION_NAME).find(query).sort({date: 1}).toArray(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the locations
+        callback(null, result.map((entry) => ({
+            user: entry.user_id,
+            latitude: entry.latitude,
+            longitude: entry.longitude,
+            date: entry.date
+        })));
+    });
+};
+
+/**
+ * Called with the locations or when an error occurred.
+ *
+ * @callback LocationHistoryDatabase~getLocationsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object[]=} Locations in chronological order, with a user ID, latitude, longitude and date property.
+ */
+
+/**
+ * Delete the location history of a game.
+ *
+ * @param {GameModel} game Game to delete the location history for.
+ * @param {LocationHistoryDatabase~deleteLocationsCallback} callback Called on success or when an error occurred.
+ */
+LocationHistoryDatabase.deleteLocations = function(game, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Delete the locations
+    db.collection(LocationHistoryDatabase.DB_COLLECTION_NAME).deleteMany({
+        game_id: game.getId()
+    }, (err) => callback(err));
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback LocationHistoryDatabase~deleteLocationsCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+// Export the class
+module.exports = LocationHistoryDatabase;
@@ -0,0 +1,161 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var config = require('../../../config');
+
+var MongoUtil = require('../../mongo/MongoUtils');
+var TokenGenerator = require('../../token/TokenGenerator');
+
+/**
+ * Constructor.
+ * Login tokens are used once to log in a user without credentials, such as through a printed QR login card.
+ * They're removed when used, so they're queried directly instead of through a model.
+ *
+ * @returns {LoginTokenDatabase} LoginTokenDatabase instance.
+ */
+var LoginTokenDatabase = function() {};
+
+/**
+ * Database collection name.
+ */
+LoginTokenDatabase.DB_COLLECTION_NAME = 'login_token';
+
+/**
+ * Create a login token for a user in a game.
+ * Earlier login tokens of the user in the game are removed, so that only the newest login card can be used.
+ *
+ * @param {GameModel} game Game the user is dropped into after logging in.
+ * @param {UserModel} user User the token logs in.
+ * @param {LoginTokenDatabase~addLoginTokenCallback} callback Called with the token or when an error occurred.
+ */
+LoginTokenDatabase.addLoginToken = function(game, user, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Make sure the game and user are valid
+    if(game === null || game === undefined || user === null || user === undefined) {
+        callback(new Error('Unable to create login token, invalid game or user instance.'));
+        return;
+    }
+
+    // Generate the token
+    TokenGenerator.generateToken(config.security.tokenLength, function(err, token) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Remove the earlier tokens of the user in this game
+        db.collection(LoginTokenDatabase.DB_COLLECTION_NAME).deleteMany({
+            game_id: game.getId(),
+            user_id: user.getId()
+        }, function(err) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Determine the current, and expire date
+            const createDate = new Date();
+            const expireDate = new Date(createDate.getTime() + config.session.loginTokenExpire * 1000);
+
+            // Insert the token
+            db.collection(LoginTokenDatabase.DB_COLLECTION_NAME).insertOne({
+                game_id: game.getId(),
+                user_id: user.getId(),
+                token,
+                create_date: createDate,
+                expire_date: expireDate
+            }, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    console.warn('Unable to create login token, failed to insert token into database.');
+                    callback(err);
+                    return;
+                }
+
+                // Call back the token
+                callback(null, token);
+            });
+        });
+    });
+};
+
+/**
+ * Called with the token or when an error occurred.
+ *
+ * @callback LoginTokenDatabase~addLoginTokenCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {string=} Login token.
+ */
+
+/**
+ * Use a login token. The token is removed, so that it can't be used again.
+ *
+ * @param {string} token Login token.
+ * @param {LoginTokenDatabase~useLoginTokenCallback} callback Called with the result or when an error occurred.
+ */
+LoginTokenDatabase.useLoginToken = function(token, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Make sure the token is a string with the proper length
+    if(typeof token !== 'string' || token.length !== config.security.tokenLength) {
+        callback(null, null);
+        return;
+    }
+
+    // Find and remove the token, if it isn't expired
+    db.collection(LoginTokenDatabase.DB_COLLECTION_NAME).findOneAndDelete({
+        token: token.toLowerCase(),
+        expire_date: {$gt: new Date()}
+    }, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the game and user IDs if the token was found
+        if(result.value === null || result.value === undefined) {
+            callback(null, null);
+            return;
+        }
+        callback(null, {
+            game: result.value.game_id,
+            user: result.value.user_id
+        });
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback LoginTokenDatabase~useLoginTokenCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {{game: ObjectId, user: ObjectId}|null=} IDs of the game and user of the token, or null if the token is invalid.
+ */
+
+// Export the class
+module.exports = LoginTokenDatabase;
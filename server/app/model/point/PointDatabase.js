@@ -25,6 +25,7 @@ var MongoUtil = require('../../mongo/MongoUtils');
 var HashUtils = require('../../hash/HashUtils');
 var CallbackLatch = require('../../util/CallbackLatch');
 var Validator = require('../../validator/Validator');
+var PointCheckIn = require('../../live/point/PointCheckIn');
 
 /**
  * Constructor.
@@ -78,6 +79,11 @@ PointDatabase.addPoint = function (name, game, user, location, callback) {
             user_id: user.getId(),
             game_id: game.getId(),
             location,
+            required_point_ids: [],
+            range: null,
+            range_active: null,
+            check_in_method: PointCheckIn.METHOD_GPS,
+            check_in_code: null
         };
 
         // Insert the point into the database
@@ -26,7 +26,10 @@ var Core = require('../../../Core');
 var PointDatabase = require('./PointDatabase');
 var BaseModel = require('../../database/BaseModel');
 var CallbackLatch = require('../../util/CallbackLatch');
+var ApiUtils = require('../../util/ApiUtils');
 var Coordinate = require('../../coordinate/Coordinate');
+var PointRange = require('../../live/point/PointRange');
+var PointCheckIn = require('../../live/point/PointCheckIn');
 
 /**
  * PointModel class.
@@ -149,6 +152,116 @@ var PointModel = function(id) {
                     to: (location) => location.serialize()
                 }
             },
+            required_points: {
+                mongo: {
+                    field: 'required_point_ids',
+
+                    /**
+                     * Convert a list of IDs to point models.
+                     *
+                     * @param {ObjectId[]|undefined} ids
+                     * @return {PointModel[]} Points.
+                     */
+                    from: (ids) => (ids || []).map((id) => Core.model.pointModelManager._instanceManager.create(id)),
+
+                    /**
+                     * Convert a list of point models to IDs.
+                     *
+                     * @param {PointModel[]} points Points.
+                     * @return {ObjectId[]} IDs.
+                     */
+                    to: (points) => points.map((point) => point.getId())
+                },
+                redis: {
+                    /**
+                     * Convert a comma separated list of hexadecimal IDs to point models.
+                     *
+                     * @param {String} ids Comma separated hexadecimal IDs.
+                     * @return {PointModel[]} Points.
+                     */
+                    from: (ids) => ids.split(',').filter((id) => id.length > 0)
+                        .map((id) => Core.model.pointModelManager._instanceManager.create(id)),
+
+                    /**
+                     * Convert a list of point models to a comma separated list of hexadecimal IDs.
+                     *
+                     * @param {PointModel[]} points Points.
+                     * @return {String} Comma separated hexadecimal IDs.
+                     */
+                    to: (points) => points.map((point) => point.getIdHex()).join(',')
+                }
+            },
+            range: {
+                mongo: {
+                    from: (value) => value !== undefined ? value : null
+                },
+                redis: {
+                    /**
+                     * Convert the range from a string to a number of meters.
+                     *
+                     * @param {string} raw Range string, or an empty string if not set.
+                     * @return {Number|null} Range in meters.
+                     */
+                    from: (raw) => raw.length > 0 ? parseFloat(raw) : null,
+
+                    /**
+                     * Convert the range to a string.
+                     *
+                     * @param {Number|null} range Range in meters.
+                     * @return {string} Range string, or an empty string if not set.
+                     */
+                    to: (range) => range !== null ? range.toString() : ''
+                }
+            },
+            range_active: {
+                mongo: {
+                    from: (value) => value !== undefined ? value : null
+                },
+                redis: {
+                    /**
+                     * Convert the active range from a string to a number of meters.
+                     *
+                     * @param {string} raw Range string, or an empty string if not set.
+                     * @return {Number|null} Range in meters.
+                     */
+                    from: (raw) => raw.length > 0 ? parseFloat(raw) : null,
+
+                    /**
+                     * Convert the active range to a string.
+                     *
+                     * @param {Number|null} range Range in meters.
+                     * @return {string} Range string, or an empty string if not set.
+                     */
+                    to: (range) => range !== null ? range.toString() : ''
+                }
+            },
+            check_in_method: {
+                mongo: {
+                    from: (method) => PointCheckIn.isValidMethod(method) ? method : PointCheckIn.METHOD_GPS
+                }
+            },
+            check_in_code: {
+                mongo: {
+                    from: (code) => code !== undefined ? code : null
+                },
+                redis: {
+                    /**
+                     * Convert the check-in code from Redis.
+                     *
+                     * @param {string} raw Code, or an empty string if not set.
+                     * @return {string|null} Code.
+                     */
+                    from: (raw) => raw.length > 0 ? raw : null,
+
+                    /**
+                     * Convert the check-in code to store it in Redis.
+                     *
+                     * @param {string|null} code Code.
+                     * @return {string} Code, or an empty string if not set.
+                     */
+                    to: (code) => code !== null ? code : ''
+                }
+            }
         }
     });
 };
@@ -332,6 +445,152 @@ PointModel.prototype.setLocation = function(location, callback) {
     this.setField('location', location, callback);
 };
 
+/**
+ * Get the points that must be completed before this point is unlocked, when the game is in route mode.
+ *
+ * @param {PointModel~getRequiredPointsCallback} callback Called with the required points or when an error occurred.
+ */
+PointModel.prototype.getRequiredPoints = function(callback) {
+    this.getField('required_points', callback);
+};
+
+/**
+ * Called with the required points or when an error occurred.
+ *
+ * @callback PointModel~getRequiredPointsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {PointModel[]} Points that must be completed first.
+ */
+
+/**
+ * Set the points that must be completed before this point is unlocked, when the game is in route mode.
+ *
+ * @param {PointModel[]} points Points that must be completed first.
+ * @param {PointModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+PointModel.prototype.setRequiredPoints = function(points, callback) {
+    this.setField('required_points', points, callback);
+};
+
+/**
+ * Get the range configured for this point.
+ * Properties that aren't configured are null, the range of the game is used for these.
+ *
+ * @param {PointModel~getRangeCallback} callback Called with the range or when an error occurred.
+ */
+PointModel.prototype.getRange = function(callback) {
+    ApiUtils.fetchProperties({
+        range: (callback) => this.getField('range', callback),
+        active: (callback) => this.getField('range_active', callback)
+    }, callback);
+};
+
+/**
+ * Called with the range or when an error occurred.
+ *
+ * @callback PointModel~getRangeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {{range: Number|null, active: Number|null}=} Range in meters.
+ */
+
+/**
+ * Set the range of this point.
+ *
+ * @param {{range: Number|null, active: Number|null}} range Range in meters, null properties use the game range.
+ * @param {PointModel~setFieldsCallback} callback Called on success, or when an error occurred.
+ */
+PointModel.prototype.setRange = function(range, callback) {
+    this.setFields({
+        range: range.range,
+        range_active: range.active
+    }, callback);
+};
+
+/**
+ * Get the range that applies to this point.
+ * The range configured for the point is used, falling back to the range of the game and the default range.
+ *
+ * @param {PointModel~getResolvedRangeCallback} callback Called with the range or when an error occurred.
+ */
+PointModel.prototype.getResolvedRange = function(callback) {
+    // Get the range of the point and of its game
+    ApiUtils.fetchProperties({
+        point: (callback) => this.getRange(callback),
+        game: (callback) => this.getGame((err, game) => err === null ? game.getPointRange(callback) : callback(err))
+    }, function(err, ranges) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Resolve and call back the range
+        callback(null, PointRange.resolve(ranges.point, ranges.game));
+    });
+};
+
+/**
+ * Called with the range or when an error occurred.
+ *
+ * @callback PointModel~getResolvedRangeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {{range: Number, active: Number}=} Regular and active range in meters.
+ */
+
+/**
+ * Get the method users check in at this point with.
+ *
+ * @param {PointModel~getCheckInMethodCallback} callback Called with the method or when an error occurred.
+ */
+PointModel.prototype.getCheckInMethod = function(callback) {
+    this.getField('check_in_method', callback);
+};
+
+/**
+ * Called with the method or when an error occurred.
+ *
+ * @callback PointModel~getCheckInMethodCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {string=} Check-in method, one of the PointCheckIn methods.
+ */
+
+/**
+ * Set the method users check in at this point with.
+ *
+ * @param {string} method Check-in method, one of the PointCheckIn methods.
+ * @param {PointModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+PointModel.prototype.setCheckInMethod = function(method, callback) {
+    this.setField('check_in_method', method, callback);
+};
+
+/**
+ * Get the secret code users check in at this point with, which is printed as QR code at the point.
+ *
+ * @param {PointModel~getCheckInCodeCallback} callback Called with the code or when an error occurred.
+ */
+PointModel.prototype.getCheckInCode = function(callback) {
+    this.getField('check_in_code', callback);
+};
+
+/**
+ * Called with the code or when an error occurred.
+ *
+ * @callback PointModel~getCheckInCodeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {string|null=} Check-in code, or null if the point doesn't have a code.
+ */
+
+/**
+ * Set the secret code users check in at this point with.
+ *
+ * @param {string|null} code Check-in code, or null to remove the code.
+ * @param {PointModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+PointModel.prototype.setCheckInCode = function(code, callback) {
+    this.setField('check_in_code', code, callback);
+};
+
 /**
  * Get the live point instance for this point.
  *
@@ -357,6 +616,12 @@ PointModel.prototype.getLivePoint = function(callback) {
                 return;
             }
 
+            // Call back null if the game isn't loaded
+            if(liveGame === null) {
+                callback(null, null);
+                return;
+            }
+
             // Get the live point
             liveGame.pointManager.getPoint(self, function(err, livePoint) {
                 // Call back errors
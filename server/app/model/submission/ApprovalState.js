@@ -43,5 +43,30 @@ ApprovalState.REJECTED = 2;
  */
 ApprovalState.isValid = (state) => _.isInteger(state) && state >= 0 && state <= 2;
 
+/**
+ * Parse an approval type, as used in the approval URLs, into an approval state.
+ * The types 'reset', 'accept' and 'reject' are supported, case insensitively.
+ *
+ * @param {string} type Approval type to parse.
+ * @return {int|null} Approval state, or null if the type is invalid.
+ */
+ApprovalState.parse = function(type) {
+    // The type must be a string
+    if(!_.isString(type))
+        return null;
+
+    // Parse the approval type
+    switch(type.trim().toLowerCase()) {
+        case 'reset':
+            return ApprovalState.PENDING;
+        case 'accept':
+            return ApprovalState.APPROVED;
+        case 'reject':
+            return ApprovalState.REJECTED;
+        default:
+            return null;
+    }
+};
+
 // Export the constants
 module.exports = ApprovalState;
@@ -20,6 +20,8 @@
  * program. If not, see <http://opensource.org/licenses/MIT/>.                *
  ******************************************************************************/
 
+var _ = require('lodash');
+
 var ApprovalState = require('./ApprovalState');
 var Core = require('../../../Core');
 var MongoUtil = require('../../mongo/MongoUtils');
@@ -50,12 +52,22 @@ SubmissionDatabase.DB_COLLECTION_NAME = 'submission';
  *                                See {@see ApprovalState}.
  * @param {string|null} answerText Text answer a user has submitted, or null.
  * @param {string|null} answerFile File name of a file a user has submitted, or null.
+ * @param {PointModel|null} point Point the submission was made at, or null if unknown.
+ * @param {Object} [options] Options.
+ * @param {string|null} [options.clientToken] Token the client generated for this submission, to prevent storing it twice.
+ * @param {Date|null} [options.clientDate] Time the submission was made at, if the client submitted it while being offline.
  * @param {SubmissionDatabase~addSubmissionCallback} callback Called on success or on failure.
  */
-SubmissionDatabase.addSubmission = function (assignment, user, approveUser, approveState, answerText, answerFile, callback) {
+SubmissionDatabase.addSubmission = function (assignment, user, approveUser, approveState, answerText, answerFile, point, options, callback) {
     // Get the database instance
     var db = MongoUtil.getConnection();
 
+    // Set the callback parameter if the options parameter was left out
+    if(_.isFunction(options)) {
+        callback = options;
+        options = {};
+    }
+
     // Set the approve state
     if(approveState === null || approveState === undefined)
         approveState = ApprovalState.PENDING;
@@ -127,7 +139,15 @@ SubmissionDatabase.addSubmission = function (assignment, user, approveUser, appr
             approve_user: approveUser !== null && approveUser !== null ? approveUser.getId() : null,
             approve_state: approveState,
             answer_text: answerText,
-            answer_file: answerFile
+            answer_file: answerFile,
+            feedback: null,
+            awarded_points: null,
+            revisions: [],
+            media: {},
+            point_id: point !== null ? point.getId() : null,
+            file_metadata: null,
+            client_token: options.clientToken !== undefined ? options.clientToken : null,
+            client_date: options.clientDate !== undefined ? options.clientDate : null
         };
 
         // Insert the submission into the database
@@ -178,5 +198,47 @@ SubmissionDatabase.layerFetchFieldsFromDatabase = function(a, b, callback) {
     db.collection(SubmissionDatabase.DB_COLLECTION_NAME).find(a, b).toArray(callback);
 };
 
+/**
+ * Count the submissions in each approval state.
+ *
+ * @param {SubmissionDatabase~countApprovalStatesCallback} callback Called with the result or when an error occurred.
+ */
+SubmissionDatabase.countApprovalStates = function(callback) {
+    // Get the database instance
+    var db = MongoUtil.getConnection();
+
+    // Group the submissions by their approval state
+    db.collection(SubmissionDatabase.DB_COLLECTION_NAME).aggregate([
+        {$group: {_id: '$approve_state', count: {$sum: 1}}}
+    ], function(err, groups) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Count the submissions per state, include states without submissions
+        var counts = {};
+        counts[ApprovalState.PENDING] = 0;
+        counts[ApprovalState.APPROVED] = 0;
+        counts[ApprovalState.REJECTED] = 0;
+        groups.forEach(function(group) {
+            if(ApprovalState.isValid(group._id))
+                counts[group._id] += group.count;
+        });
+
+        // Call back the counts
+        callback(null, counts);
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback SubmissionDatabase~countApprovalStatesCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} Object with the approval state as key, and the number of submissions as value.
+ */
+
 // Export the submission database module
 module.exports = SubmissionDatabase;
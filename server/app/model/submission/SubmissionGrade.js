@@ -0,0 +1,86 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var ApprovalState = require('./ApprovalState');
+
+/**
+ * SubmissionGrade class.
+ * Used to determine the points a player earns with a submission, graders may award partial points when approving.
+ *
+ * @class
+ * @constructor
+ */
+var SubmissionGrade = function() {};
+
+/**
+ * Parse the number of points a grader awards for a submission.
+ * An empty value means no partial points are awarded, so the submission earns the full points of the assignment.
+ *
+ * @param {string|Number|null|undefined} value Value to parse.
+ * @param {Number} maxPoints Points of the assignment, the maximum number of points that may be awarded.
+ *
+ * @return {Number|null|undefined} Awarded points, null for the full points, or undefined if the value is invalid.
+ */
+SubmissionGrade.parsePoints = function(value, maxPoints) {
+    // Award the full points if the value is empty
+    if(value === null || value === undefined || (_.isString(value) && value.trim().length === 0))
+        return null;
+
+    // Parse strings
+    if(_.isString(value)) {
+        if(!/^\d+$/.test(value.trim()))
+            return undefined;
+        value = parseInt(value.trim(), 10);
+    }
+
+    // The points must be a whole number between zero and the points of the assignment
+    if(!_.isInteger(value) || value < 0 || value > maxPoints)
+        return undefined;
+    return value;
+};
+
+/**
+ * Get the number of points a player earns with a submission.
+ * Only approved submissions earn points. The awarded points are limited to the points of the assignment, in case
+ * the points of the assignment have been lowered after grading.
+ *
+ * @param {int} approvalState Approval state of the submission.
+ * @param {Number} maxPoints Points of the assignment.
+ * @param {Number|null} awardedPoints Points awarded by the grader, or null for the full points.
+ *
+ * @return {Number} Earned points.
+ */
+SubmissionGrade.getEarnedPoints = function(approvalState, maxPoints, awardedPoints) {
+    // Only approved submissions earn points
+    if(approvalState !== ApprovalState.APPROVED)
+        return 0;
+
+    // Return the full points, or the awarded points
+    if(awardedPoints === null || awardedPoints === undefined)
+        return maxPoints;
+    return Math.min(awardedPoints, maxPoints);
+};
+
+// Export the class
+module.exports = SubmissionGrade;
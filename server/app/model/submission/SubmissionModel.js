@@ -23,8 +23,6 @@
 var _ = require('lodash');
 var util = require('util');
 
-var config = require('../../../config');
-
 var Core = require('../../../Core');
 var SubmissionDatabase = require('./SubmissionDatabase');
 var BaseModel = require('../../database/BaseModel');
@@ -32,6 +30,13 @@ var CallbackLatch = require('../../util/CallbackLatch');
 var Coordinate = require('../../coordinate/Coordinate');
 var ApprovalState = require("./ApprovalState.js");
 var FileUtils = require('../../util/FileUtils');
+var ApiUtils = require('../../util/ApiUtils');
+var SubmissionGrade = require('./SubmissionGrade');
+var SubmissionRevision = require('./SubmissionRevision');
+var MediaState = require('../../media/MediaState');
+var MediaVariant = require('../../media/MediaVariant');
+var PhotoVerification = require('../../media/PhotoVerification');
+var GameSchedule = require('../../live/game/GameSchedule');
 
 /**
  * SubmissionModel class.
@@ -175,7 +180,187 @@ var SubmissionModel = function(id) {
                 }
             },
             answer_text: {},
-            answer_file: {}
+            answer_file: {},
+            feedback: {
+                mongo: {
+                    from: (feedback) => feedback !== undefined ? feedback : null
+                },
+                redis: {
+                    /**
+                     * Convert the feedback from Redis.
+                     *
+                     * @param {string} raw Feedback, or an empty string if not set.
+                     * @return {string|null} Feedback.
+                     */
+                    from: (raw) => raw.length > 0 ? raw : null,
+
+                    /**
+                     * Convert the feedback to store it in Redis.
+                     *
+                     * @param {string|null} feedback Feedback.
+                     * @return {string} Feedback, or an empty string if not set.
+                     */
+                    to: (feedback) => feedback !== null ? feedback : ''
+                }
+            },
+            awarded_points: {
+                mongo: {
+                    from: (points) => points !== undefined ? points : null
+                },
+                redis: {
+                    /**
+                     * Convert the awarded points from a string.
+                     *
+                     * @param {string} raw Points string, or an empty string if not set.
+                     * @return {Number|null} Awarded points.
+                     */
+                    from: (raw) => raw.length > 0 ? parseInt(raw, 10) : null,
+
+                    /**
+                     * Convert the awarded points to a string.
+                     *
+                     * @param {Number|null} points Awarded points.
+                     * @return {string} Points string, or an empty string if not set.
+                     */
+                    to: (points) => points !== null ? points.toString() : ''
+                }
+            },
+            revisions: {
+                mongo: {
+                    from: (revisions) => _.isArray(revisions) ? revisions : []
+                },
+                redis: {
+                    /**
+                     * Convert the serialized revisions to an array, and restore the revision dates.
+                     *
+                     * @param {string} raw Serialized revisions.
+                     * @return {Array} Revisions.
+                     */
+                    from: (raw) => JSON.parse(raw).map((revision) => _.assign(revision, {date: new Date(revision.date)})),
+
+                    /**
+                     * Serialize the revisions to store them in Redis.
+                     *
+                     * @param {Array} revisions Revisions.
+                     * @return {string} Serialized revisions.
+                     */
+                    to: (revisions) => JSON.stringify(revisions)
+                }
+            },
+            media: {
+                mongo: {
+                    from: (media) => _.isPlainObject(media) ? media : {}
+                },
+                redis: {
+                    /**
+                     * Convert the serialized media states to an object.
+                     *
+                     * @param {string} raw Serialized media states.
+                     * @return {Object} Media states.
+                     */
+                    from: (raw) => raw.length > 0 ? JSON.parse(raw) : {},
+
+                    /**
+                     * Serialize the media states to store them in Redis.
+                     *
+                     * @param {Object} media Media states.
+                     * @return {string} Serialized media states.
+                     */
+                    to: (media) => JSON.stringify(media)
+                }
+            },
+            point: {
+                mongo: {
+                    field: 'point_id',
+
+                    /**
+                     * Convert an ID to a Point model.
+                     *
+                     * @param {ObjectId|null|undefined} id
+                     * @return {PointModel|null} Point, or null if unknown.
+                     */
+                    from: (id) => id !== undefined && id !== null ? Core.model.pointModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert a Point model to an ID.
+                     *
+                     * @param {PointModel|null} point Point.
+                     * @return {ObjectId|null} ID.
+                     */
+                    to: (point) => point !== null ? point.getId() : null
+                },
+                redis: {
+                    /**
+                     * Convert a hexadecimal ID to a Point model.
+                     *
+                     * @param {String} id
+                     * @return {PointModel|null} Point, or null if unknown.
+                     */
+                    from: (id) => id.length > 0 ? Core.model.pointModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert a Point model to a hexadecimal ID.
+                     *
+                     * @param {PointModel|null} point Point.
+                     * @return {String} Hexadecimal ID, or an empty string if unknown.
+                     */
+                    to: (point) => point !== null ? point.getIdHex() : ''
+                }
+            },
+            file_metadata: {
+                mongo: {
+                    from: (metadata) => metadata !== undefined ? metadata : null
+                },
+                redis: {
+                    /**
+                     * Convert the serialized file metadata, and restore the capture date.
+                     *
+                     * @param {string} raw Serialized file metadata, or an empty string if not set.
+                     * @return {Object|null} File metadata.
+                     */
+                    from: function(raw) {
+                        // Return null if not set
+                        if(raw.length === 0)
+                            return null;
+
+                        // Parse the metadata, and restore the capture date
+                        var metadata = JSON.parse(raw);
+                        if(metadata.exif !== null && metadata.exif.date !== null)
+                            metadata.exif.date = new Date(metadata.exif.date);
+                        return metadata;
+                    },
+
+                    /**
+                     * Serialize the file metadata to store it in Redis.
+                     *
+                     * @param {Object|null} metadata File metadata.
+                     * @return {string} Serialized file metadata, or an empty string if not set.
+                     */
+                    to: (metadata) => metadata !== null ? JSON.stringify(metadata) : ''
+                }
+            },
+            client_date: {
+                mongo: {
+                    from: (date) => date !== undefined ? date : null
+                },
+                redis: {
+                    /**
+                     * Convert a serialized date to a Date.
+                     *
+                     * @param {string} raw Serialized date, or an empty string if not set.
+                     * @return {Date|null} Date.
+                     */
+                    from: (raw) => raw.length > 0 ? new Date(raw) : null,
+
+                    /**
+                     * Serialize a date to store it in Redis.
+                     *
+                     * @param {Date|null} date Date.
+                     * @return {string} Serialized date, or an empty string if not set.
+                     */
+                    to: (date) => date !== null ? date.toISOString() : ''
+                }
+            }
         }
     });
 };
@@ -440,6 +625,181 @@ SubmissionModel.prototype.hasAnswerText = function(callback) {
  * @param {boolean} True if this submission has a text answer, false if not.
  */
 
+/**
+ * Get the feedback of the grader on the submission.
+ *
+ * @param {SubmissionModel~getFeedbackCallback} callback Called with the feedback or when an error occurred.
+ */
+SubmissionModel.prototype.getFeedback = function(callback) {
+    this.getField('feedback', callback);
+};
+
+/**
+ * Called with the feedback or when an error occurred.
+ *
+ * @callback SubmissionModel~getFeedbackCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {string|null} Feedback of the grader, or null if no feedback was given.
+ */
+
+/**
+ * Set the feedback of the grader on the submission.
+ *
+ * @param {string|null} feedback Feedback, or null.
+ * @param {SubmissionModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+SubmissionModel.prototype.setFeedback = function(feedback, callback) {
+    this.setField('feedback', feedback, callback);
+};
+
+/**
+ * Get the points the grader awarded for the submission.
+ *
+ * @param {SubmissionModel~getAwardedPointsCallback} callback Called with the points or when an error occurred.
+ */
+SubmissionModel.prototype.getAwardedPoints = function(callback) {
+    this.getField('awarded_points', callback);
+};
+
+/**
+ * Called with the awarded points or when an error occurred.
+ *
+ * @callback SubmissionModel~getAwardedPointsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number|null} Awarded points, or null if the full points of the assignment are awarded.
+ */
+
+/**
+ * Set the points the grader awarded for the submission.
+ *
+ * @param {Number|null} points Awarded points, or null to award the full points of the assignment.
+ * @param {SubmissionModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+SubmissionModel.prototype.setAwardedPoints = function(points, callback) {
+    this.setField('awarded_points', points, callback);
+};
+
+/**
+ * Get the revisions of the submission, these are the earlier attempts ordered from old to new.
+ *
+ * @param {SubmissionModel~getRevisionsCallback} callback Called with the revisions or when an error occurred.
+ */
+SubmissionModel.prototype.getRevisions = function(callback) {
+    this.getField('revisions', callback);
+};
+
+/**
+ * Called with the revisions or when an error occurred.
+ *
+ * @callback SubmissionModel~getRevisionsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Array} Revision objects, see SubmissionRevision.create.
+ */
+
+/**
+ * Keep the current answer and its approval decision as a revision.
+ * This must be called before the answer of the submission is replaced by a new attempt.
+ *
+ * @param {SubmissionModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+SubmissionModel.prototype.addRevision = function(callback) {
+    // Store a reference to this
+    const self = this;
+
+    // Get the current attempt and the earlier revisions
+    ApiUtils.fetchProperties({
+        answer_text: (callback) => self.getAnswerText(callback),
+        answer_file: (callback) => self.getAnswerFile(callback),
+        approve_state: (callback) => self.getApprovalState(callback),
+        feedback: (callback) => self.getFeedback(callback),
+        awarded_points: (callback) => self.getAwardedPoints(callback),
+        revisions: (callback) => self.getRevisions(callback)
+    }, function(err, properties) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Append the current attempt as revision
+        var revisions = properties.revisions.concat([
+            SubmissionRevision.create(properties.answer_text, properties.answer_file, properties.approve_state,
+                properties.feedback, properties.awarded_points, new Date())
+        ]);
+
+        // Store the revisions
+        self.setField('revisions', revisions, callback);
+    });
+};
+
+/**
+ * Get the number of attempts made on this submission, including the current attempt.
+ *
+ * @param {SubmissionModel~getAttemptCountCallback} callback Called with the number of attempts or when an error occurred.
+ */
+SubmissionModel.prototype.getAttemptCount = function(callback) {
+    this.getRevisions(function(err, revisions) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the number of attempts
+        callback(null, SubmissionRevision.getAttemptCount(revisions));
+    });
+};
+
+/**
+ * Called with the number of attempts or when an error occurred.
+ *
+ * @callback SubmissionModel~getAttemptCountCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number} Number of attempts.
+ */
+
+/**
+ * Check whether another attempt may be made on this submission, based on the maximum attempts of the assignment.
+ *
+ * @param {SubmissionModel~canAttemptCallback} callback Called with the result or when an error occurred.
+ */
+SubmissionModel.prototype.canAttempt = function(callback) {
+    // Store a reference to this
+    const self = this;
+
+    // Get the assignment
+    this.getAssignment(function(err, assignment) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Get the number of attempts and the maximum
+        ApiUtils.fetchProperties({
+            attempts: (callback) => self.getAttemptCount(callback),
+            maxAttempts: (callback) => assignment.getMaxAttempts(callback)
+        }, function(err, properties) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Call back the result
+            callback(null, SubmissionRevision.canAttempt(properties.attempts, properties.maxAttempts));
+        });
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback SubmissionModel~canAttemptCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean} True if another attempt may be made, false if the maximum number of attempts has been reached.
+ */
+
 /**
  * Get the file answer for the submission.
  *
@@ -463,27 +823,63 @@ SubmissionModel.prototype.getAnswerFile = function(callback) {
  * @param {SubmissionModel~getAnswerFileUrlCallback} callback Called with file answer or when an error occurred.
  */
 SubmissionModel.prototype.getAnswerFileObject = function(callback) {
-    // Get the file
-    this.getAnswerFile(function(err, name) {
+    // Store a reference to this
+    const self = this;
+
+    // Get the file, the game and the media states
+    ApiUtils.fetchProperties({
+        name: (callback) => self.getAnswerFile(callback),
+        game: (callback) => self.getGame(callback),
+        media: (callback) => self.getMedia(callback)
+    }, function(err, properties) {
         // Call back errors
-        if(err !== null || name === null || !_.isString(name) || name.trim().length === 0) {
+        if(err !== null) {
             callback(err, null);
             return;
         }
 
-        // Determine the URL
-        var url = config.upload.publicPath + '/' + name.trim();
-
-        // Build and call back the URL
-        callback(null, {
-            name,
-            url,
-            isImage: FileUtils.isImage(name),
-            isVideo: FileUtils.isVideo(name)
-        })
+        // Build and call back the file object
+        callback(null, SubmissionModel.createFileObject(properties.game.getIdHex(), self.getIdHex(), properties.name,
+            properties.media));
     });
 };
 
+/**
+ * Create the file answer object for the given file name, that can be used in templating.
+ * This is also used for the file answers of revisions. Files are served through a permission checked route.
+ * The thumbnail and preview URLs are only set when the variants of the file have been generated.
+ *
+ * @param {string} gameId Hexadecimal ID of the game the submission is in.
+ * @param {string} submissionId Hexadecimal ID of the submission.
+ * @param {string|null} name File name.
+ * @param {Object} [media] Media states of the submission files.
+ *
+ * @return {SubmissionModel~FileAnswerObject|null} File answer object, or null if there is no file.
+ */
+SubmissionModel.createFileObject = function(gameId, submissionId, name, media) {
+    // Return null if there is no file
+    if(name === null || !_.isString(name) || name.trim().length === 0)
+        return null;
+
+    // Determine the URL
+    var url = '/game/' + gameId + '/submission/' + submissionId + '/file/' + encodeURIComponent(name.trim());
+
+    // Get the media state of the file
+    var mediaState = _.isPlainObject(media) && media.hasOwnProperty(name) ? media[name] : null;
+    var processed = mediaState === MediaState.PROCESSED;
+
+    // Build the file object
+    return {
+        name,
+        url,
+        isImage: FileUtils.isImage(name),
+        isVideo: FileUtils.isVideo(name),
+        processing: mediaState === MediaState.PENDING,
+        thumbnailUrl: processed ? url + '?variant=' + MediaVariant.THUMBNAIL : null,
+        previewUrl: processed ? url + '?variant=' + (FileUtils.isVideo(name) ? MediaVariant.POSTER : MediaVariant.LARGE) : null
+    };
+};
+
 /**
  * Called with the file answer object or when an error occurred.
  *
@@ -500,6 +896,197 @@ SubmissionModel.prototype.getAnswerFileObject = function(callback) {
  * @param {string} url Public URL.
  * @param {boolean} isImage True if this file probably is an image, false if not.
  * @param {boolean} isVideo True if this file probably is a video, false if not.
+ * @param {boolean} processing True if the thumbnail and preview are still being generated, false if not.
+ * @param {string|null} thumbnailUrl Thumbnail URL, or null if not available.
+ * @param {string|null} previewUrl URL of the image preview or video poster, or null if not available.
+ */
+
+/**
+ * Get the media states of the files of the submission.
+ * This is an object with the file name as key, and the media state as value.
+ * Files that weren't queued for processing aren't included.
+ *
+ * @param {SubmissionModel~getMediaCallback} callback Called with the media states or when an error occurred.
+ */
+SubmissionModel.prototype.getMedia = function(callback) {
+    this.getField('media', callback);
+};
+
+/**
+ * Called with the media states or when an error occurred.
+ *
+ * @callback SubmissionModel~getMediaCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object} Object with the media state of each processed file.
+ */
+
+/**
+ * Set the media state of a file of the submission.
+ *
+ * @param {string} fileName Name of the file.
+ * @param {int} state Media state, see MediaState.
+ * @param {SubmissionModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+SubmissionModel.prototype.setMediaState = function(fileName, state, callback) {
+    // Store a reference to this
+    const self = this;
+
+    // Get the current media states
+    this.getMedia(function(err, media) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Set the state of the file, and store the media states
+        self.setField('media', _.assign({}, media, {[fileName]: state}), callback);
+    });
+};
+
+/**
+ * Get the point the submission was made at.
+ *
+ * @param {SubmissionModel~getPointCallback} callback Called with the point or when an error occurred.
+ */
+SubmissionModel.prototype.getPoint = function(callback) {
+    this.getField('point', callback);
+};
+
+/**
+ * Called with the point or when an error occurred.
+ *
+ * @callback SubmissionModel~getPointCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {PointModel|null} Point the submission was made at, or null if unknown.
+ */
+
+/**
+ * Set the point the submission was made at.
+ *
+ * @param {PointModel|null} point Point.
+ * @param {SubmissionModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+SubmissionModel.prototype.setPoint = function(point, callback) {
+    this.setField('point', point, callback);
+};
+
+/**
+ * Get the time the submission was made at, if the user submitted it while being offline.
+ * The submission was stored when the client reconnected and replayed it.
+ *
+ * @param {SubmissionModel~getClientDateCallback} callback Called with the date or when an error occurred.
+ */
+SubmissionModel.prototype.getClientDate = function(callback) {
+    this.getField('client_date', callback);
+};
+
+/**
+ * Called with the date or when an error occurred.
+ *
+ * @callback SubmissionModel~getClientDateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Date|null} Time the submission was made at while being offline, or null if it was submitted online.
+ */
+
+/**
+ * Get the metadata of the file answer, read when the file was uploaded.
+ *
+ * @param {SubmissionModel~getFileMetadataCallback} callback Called with the metadata or when an error occurred.
+ */
+SubmissionModel.prototype.getFileMetadata = function(callback) {
+    this.getField('file_metadata', callback);
+};
+
+/**
+ * Called with the file metadata or when an error occurred.
+ *
+ * @callback SubmissionModel~getFileMetadataCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {{file: string, exif: ExifReader~Metadata|null}|null} Name of the file the metadata was read from, and its
+ * EXIF metadata. Null if the metadata wasn't read.
+ */
+
+/**
+ * Set the metadata of the file answer.
+ *
+ * @param {string} fileName Name of the file the metadata was read from.
+ * @param {ExifReader~Metadata|null} exif EXIF metadata, or null if the file doesn't have any.
+ * @param {SubmissionModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+SubmissionModel.prototype.setFileMetadata = function(fileName, exif, callback) {
+    this.setField('file_metadata', {
+        file: fileName,
+        exif
+    }, callback);
+};
+
+/**
+ * Verify the metadata of the photo that was submitted as file answer, against the location of the point it was
+ * submitted at and the running window of the game.
+ *
+ * @param {Object} options Verification options, see config.media.verification.
+ * @param {SubmissionModel~getPhotoVerificationCallback} callback Called with the result or when an error occurred.
+ */
+SubmissionModel.prototype.getPhotoVerification = function(options, callback) {
+    // Store a reference to this
+    const self = this;
+
+    // Get the file answer, its metadata, the point and the game
+    ApiUtils.fetchProperties({
+        file: (callback) => self.getAnswerFile(callback),
+        metadata: (callback) => self.getFileMetadata(callback),
+        point: (callback) => self.getPoint(callback),
+        game: (callback) => self.getGame(callback)
+    }, function(err, properties) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Only verify images of which the metadata was read
+        const metadata = properties.metadata;
+        if(!FileUtils.isImage(properties.file) || metadata === null || metadata.file !== properties.file) {
+            callback(null, null);
+            return;
+        }
+
+        // Get the location and range of the point, and the schedule of the game
+        const point = properties.point;
+        ApiUtils.fetchProperties({
+            location: (callback) => point !== null ? point.getLocation(callback) : callback(null, null),
+            range: (callback) => point !== null ? point.getResolvedRange(callback) : callback(null, null),
+            schedule: (callback) => properties.game.getSchedule(callback)
+        }, function(err, results) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Determine the running window of the game
+            const schedule = results.schedule;
+            const window = {
+                start: _.isDate(schedule.started) ? schedule.started : schedule.start,
+                end: GameSchedule.getEndDate(schedule)
+            };
+
+            // Verify the photo, and call back the result
+            callback(null, PhotoVerification.verify(metadata.exif, point !== null ? {
+                location: results.location,
+                range: results.range.range
+            } : null, window, options));
+        });
+    });
+};
+
+/**
+ * Called with the photo verification result or when an error occurred.
+ *
+ * @callback SubmissionModel~getPhotoVerificationCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {PhotoVerification~Result|null} Verification result, or null if the file answer isn't a verified photo.
  */
 
 /**
@@ -792,14 +1379,6 @@ SubmissionModel.prototype.hasEditPermission = function(user, callback) {
                         return;
                     }
 
-                    // The user can edit if the status is still pending
-                    if(approvalState === ApprovalState.PENDING) {
-                        if(!calledBack)
-                            callback(null, true);
-                        calledBack = true;
-                        return;
-                    }
-
                     // Get the assignment
                     self.getAssignment(function(err, assignment) {
                         // Call back errors
@@ -810,7 +1389,7 @@ SubmissionModel.prototype.hasEditPermission = function(user, callback) {
                             return;
                         }
 
-                        // The user must be able to retry
+                        // The user must be able to retry, unless the status is still pending
                         assignment.isRetry(function(err, retry) {
                             // Call back errors
                             if(err !== null) {
@@ -820,16 +1399,33 @@ SubmissionModel.prototype.hasEditPermission = function(user, callback) {
                                 return;
                             }
 
-                            // Call back if the user can retry
-                            if(retry) {
-                                if(!calledBack)
-                                    callback(null, true);
-                                calledBack = true;
+                            // Resolve the latch if the user can't retry
+                            if(approvalState !== ApprovalState.PENDING && !retry) {
+                                latch.resolve();
                                 return;
                             }
 
-                            // Resolve the latch
-                            latch.resolve();
+                            // Every edit is a new attempt, the maximum number of attempts must not be reached
+                            self.canAttempt(function(err, canAttempt) {
+                                // Call back errors
+                                if(err !== null) {
+                                    if(!calledBack)
+                                        callback(err);
+                                    calledBack = true;
+                                    return;
+                                }
+
+                                // Call back if the user can make another attempt
+                                if(canAttempt) {
+                                    if(!calledBack)
+                                        callback(null, true);
+                                    calledBack = true;
+                                    return;
+                                }
+
+                                // Resolve the latch
+                                latch.resolve();
+                            });
                         });
                     });
                 });
@@ -951,16 +1547,8 @@ SubmissionModel.prototype.hasDeletePermission = function(user, callback) {
                         return;
                     }
 
-                    // The user can delete if the answer isn't rejected
-                    if(approvalState !== ApprovalState.REJECTED) {
-                        if(!calledBack)
-                            callback(null, true);
-                        calledBack = true;
-                        return;
-                    }
-
-                    // Get the assignment
-                    self.getAssignment(function(err, assignment) {
+                    // Get the earlier attempts
+                    self.getRevisions(function(err, revisions) {
                         // Call back errors
                         if(err !== null) {
                             if(!calledBack)
@@ -969,8 +1557,16 @@ SubmissionModel.prototype.hasDeletePermission = function(user, callback) {
                             return;
                         }
 
-                        // The user must be able to retry
-                        assignment.isRetry(function(err, retry) {
+                        // The user can delete if the answer isn't rejected, and no earlier attempts were made
+                        if(approvalState !== ApprovalState.REJECTED && revisions.length === 0) {
+                            if(!calledBack)
+                                callback(null, true);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Get the assignment
+                        self.getAssignment(function(err, assignment) {
                             // Call back errors
                             if(err !== null) {
                                 if(!calledBack)
@@ -979,16 +1575,31 @@ SubmissionModel.prototype.hasDeletePermission = function(user, callback) {
                                 return;
                             }
 
-                            // Call back if the user can retry
-                            if(retry) {
-                                if(!calledBack)
-                                    callback(null, true);
-                                calledBack = true;
-                                return;
-                            }
-
-                            // Resolve the latch
-                            latch.resolve();
+                            // Get the retry state and the maximum number of attempts
+                            ApiUtils.fetchProperties({
+                                retry: (callback) => assignment.isRetry(callback),
+                                maxAttempts: (callback) => assignment.getMaxAttempts(callback)
+                            }, function(err, properties) {
+                                // Call back errors
+                                if(err !== null) {
+                                    if(!calledBack)
+                                        callback(err);
+                                    calledBack = true;
+                                    return;
+                                }
+
+                                // A rejected answer may only be deleted if the user can retry, and deleting would
+                                // reset the attempts so it isn't allowed when the number of attempts is limited
+                                if((approvalState !== ApprovalState.REJECTED || properties.retry) && properties.maxAttempts === null) {
+                                    if(!calledBack)
+                                        callback(null, true);
+                                    calledBack = true;
+                                    return;
+                                }
+
+                                // Resolve the latch
+                                latch.resolve();
+                            });
                         });
                     });
                 });
@@ -1275,7 +1886,11 @@ SubmissionModel.prototype.getPermissionObject = function(user, callback) {
  * @param {boolean} approve True if the user has approve permissions, false if not.
  */
 
-// TODO: Document this
+/**
+ * Get the points of the assignment of this submission.
+ *
+ * @param {SubmissionModel~getPointsCallback} callback Called with the points or when an error occurred.
+ */
 SubmissionModel.prototype.getPoints = function(callback) {
     // Get the assignment
     this.getAssignment(function(err, assignment) {
@@ -1290,7 +1905,20 @@ SubmissionModel.prototype.getPoints = function(callback) {
     });
 };
 
-// TODO: Document this
+/**
+ * Called with the points or when an error occurred.
+ *
+ * @callback SubmissionModel~getPointsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number=} Points of the assignment.
+ */
+
+/**
+ * Get the points the user earned with this submission.
+ * Only approved submissions earn points, either the full points of the assignment or the points awarded by the grader.
+ *
+ * @param {SubmissionModel~getEarnedPointsCallback} callback Called with the points or when an error occurred.
+ */
 SubmissionModel.prototype.getEarnedPoints = function(callback) {
     // Keep a reference to this
     const self = this;
@@ -1309,10 +1937,30 @@ SubmissionModel.prototype.getEarnedPoints = function(callback) {
             return;
         }
 
-        // Get the points and call it back
-        self.getPoints(callback);
+        // Get the points and the awarded points
+        ApiUtils.fetchProperties({
+            points: (callback) => self.getPoints(callback),
+            awarded: (callback) => self.getAwardedPoints(callback)
+        }, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Determine and call back the earned points
+            callback(null, SubmissionGrade.getEarnedPoints(approveState, result.points, result.awarded));
+        });
     });
 };
 
+/**
+ * Called with the earned points or when an error occurred.
+ *
+ * @callback SubmissionModel~getEarnedPointsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number=} Earned points.
+ */
+
 // Export the submission class
 module.exports = SubmissionModel;
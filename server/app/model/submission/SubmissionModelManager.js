@@ -321,6 +321,88 @@ SubmissionModelManager.prototype.getSubmissions = function(user, assignment, cal
  * @param {Array=} Array of SubmissionModel submissions.
  */
 
+/**
+ * Get all submissions for the given assignment, made by any of the given users.
+ * This is used to get the submissions that are shared within a team.
+ *
+ * @param {UserModel[]} users Users to get the submissions for.
+ * @param {AssignmentModel} [assignment] Assignment to get the submissions for.
+ * @param {SubmissionModelManager~getSubmissionsCallback} callback Called with the result or when an error occurred.
+ */
+SubmissionModelManager.prototype.getUsersSubmissions = function(users, assignment, callback) {
+    // Create a list of submissions
+    var submissions = [];
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Get the submissions for each user
+    users.forEach((user) => {
+        latch.add();
+        this.getSubmissions(user, assignment, function(err, userSubmissions) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Add the submissions
+            submissions = submissions.concat(userSubmissions);
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Call back the submissions
+    latch.then(function() {
+        if(!calledBack)
+            callback(null, submissions);
+        calledBack = true;
+    });
+};
+
+/**
+ * Get the submission a user made with the given client token.
+ * Clients send a token with each submission, to prevent storing a submission twice when it's replayed after being
+ * offline.
+ *
+ * @param {UserModel} user User that made the submission.
+ * @param {string} token Client token.
+ * @param {SubmissionModelManager~getSubmissionByClientTokenCallback} callback Called with the submission or when an error
+ * occurred.
+ */
+SubmissionModelManager.prototype.getSubmissionByClientToken = function(user, token, callback) {
+    // Store the current instance
+    const self = this;
+
+    // Query the database for the submission
+    SubmissionDatabase.layerFetchFieldsFromDatabase({
+        user_id: user.getId(),
+        client_token: token
+    }, {_id: true}, function(err, data) {
+        // Call back errors
+        if(err !== null && err !== undefined) {
+            callback(new Error(err), null);
+            return;
+        }
+
+        // Call back the submission
+        callback(null, data.length > 0 ? self._instanceManager.create(data[0]._id) : null);
+    });
+};
+
+/**
+ * Called with the submission or when an error occurred.
+ *
+ * @callback SubmissionModelManager~getSubmissionByClientTokenCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {SubmissionModel|null} Submission instance, or null if no submission was made with the given token.
+ */
+
 /**
  * Flush the cache for this model manager.
  *
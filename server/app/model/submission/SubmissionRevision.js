@@ -0,0 +1,109 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+/**
+ * SubmissionRevision class.
+ * A revision is an earlier attempt of a submission, kept when a player changes the answer of the submission.
+ * Each revision holds the answer of the attempt, along with the approval decision made on that attempt.
+ *
+ * @class
+ * @constructor
+ */
+var SubmissionRevision = function() {};
+
+/**
+ * Create a revision object.
+ *
+ * @param {string|null} answerText Answer text of the attempt.
+ * @param {string|null} answerFile Answer file of the attempt.
+ * @param {int} approvalState Approval state of the attempt.
+ * @param {string|null} feedback Feedback of the grader on the attempt.
+ * @param {Number|null} awardedPoints Points awarded on the attempt, or null for the full points.
+ * @param {Date} date Date the attempt was replaced by a new attempt.
+ *
+ * @return {Object} Revision object.
+ */
+SubmissionRevision.create = function(answerText, answerFile, approvalState, feedback, awardedPoints, date) {
+    return {
+        answer_text: answerText !== undefined ? answerText : null,
+        answer_file: answerFile !== undefined ? answerFile : null,
+        approve_state: approvalState,
+        feedback: feedback !== undefined ? feedback : null,
+        awarded_points: awardedPoints !== undefined ? awardedPoints : null,
+        date: date
+    };
+};
+
+/**
+ * Get the number of attempts made on a submission.
+ * This is the number of earlier revisions, plus the current attempt.
+ *
+ * @param {Array|null} revisions Revisions of the submission.
+ *
+ * @return {Number} Number of attempts.
+ */
+SubmissionRevision.getAttemptCount = function(revisions) {
+    return (_.isArray(revisions) ? revisions.length : 0) + 1;
+};
+
+/**
+ * Check whether another attempt may be made on a submission.
+ *
+ * @param {Number} attempts Number of attempts that have been made.
+ * @param {Number|null} maxAttempts Maximum number of attempts, or null if unlimited.
+ *
+ * @return {boolean} True if another attempt may be made, false if not.
+ */
+SubmissionRevision.canAttempt = function(attempts, maxAttempts) {
+    return maxAttempts === null || maxAttempts === undefined || attempts < maxAttempts;
+};
+
+/**
+ * Parse the maximum number of attempts for an assignment.
+ * An empty value means the number of attempts is unlimited.
+ *
+ * @param {string|Number|null|undefined} value Value to parse.
+ *
+ * @return {Number|null|undefined} Maximum number of attempts, null if unlimited, or undefined if the value is invalid.
+ */
+SubmissionRevision.parseMaxAttempts = function(value) {
+    // The number of attempts is unlimited if the value is empty
+    if(value === null || value === undefined || (_.isString(value) && value.trim().length === 0))
+        return null;
+
+    // Parse strings
+    if(_.isString(value)) {
+        if(!/^\d+$/.test(value.trim()))
+            return undefined;
+        value = parseInt(value.trim(), 10);
+    }
+
+    // At least one attempt must be allowed
+    if(!_.isInteger(value) || value < 1)
+        return undefined;
+    return value;
+};
+
+// Export the class
+module.exports = SubmissionRevision;
@@ -0,0 +1,293 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var crypto = require('crypto');
+
+var config = require('../../config');
+var Validator = require('../validator/Validator');
+
+/**
+ * PlayerList class.
+ * Used to read a list of players to create accounts for from a CSV file, such as a class list.
+ *
+ * Each row contains the name, username, an optional password, an optional team name and an optional role of a player.
+ * The columns may be given in any order when the file has a header row, and are read in this order otherwise.
+ *
+ * @class
+ * @constructor
+ */
+var PlayerList = function() {};
+
+/**
+ * Participant role, for players that play the game.
+ *
+ * @type {string}
+ */
+PlayerList.ROLE_PARTICIPANT = 'participant';
+
+/**
+ * Spectator role, for users that only follow the game.
+ *
+ * @type {string}
+ */
+PlayerList.ROLE_SPECTATOR = 'spectator';
+
+/**
+ * Recognized header names for each column.
+ *
+ * @type {Object}
+ */
+PlayerList.COLUMNS = {
+    name: ['naam', 'name'],
+    username: ['gebruikersnaam', 'username', 'gebruiker', 'user'],
+    password: ['wachtwoord', 'password'],
+    team: ['team', 'groep', 'group'],
+    role: ['rol', 'role']
+};
+
+/**
+ * Recognized values for each role.
+ *
+ * @type {Object}
+ */
+PlayerList.ROLES = {
+    participant: ['speler', 'deelnemer', 'participant', 'player'],
+    spectator: ['toeschouwer', 'spectator']
+};
+
+/**
+ * Colors given to teams that are created for a player list, used in order.
+ *
+ * @type {string[]}
+ */
+PlayerList.TEAM_COLORS = ['#2196f3', '#f44336', '#4caf50', '#ff9800', '#9c27b0', '#00bcd4', '#ffeb3b', '#795548'];
+
+/**
+ * Characters used in generated passwords, leaving out characters that are easily confused with each other.
+ *
+ * @type {string}
+ */
+const PASSWORD_CHARS = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+/**
+ * Split CSV content into rows of values.
+ * Values may be separated by commas or semicolons, and may be quoted.
+ *
+ * @param {string} content CSV content.
+ *
+ * @return {string[][]} List of rows, empty rows are left out.
+ */
+PlayerList.parseCsv = function(content) {
+    // Strip the byte order mark, and determine the separator from the first line
+    content = content.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/)[0];
+    const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    // Parse the content character by character, to support quoted values
+    var rows = [];
+    var row = [];
+    var value = '';
+    var quoted = false;
+    for(var i = 0; i < content.length; i++) {
+        const c = content.charAt(i);
+
+        // Handle quoted values, where two quotes are an escaped quote
+        if(quoted) {
+            if(c === '"' && content.charAt(i + 1) === '"') {
+                value += '"';
+                i++;
+            } else if(c === '"')
+                quoted = false;
+            else
+                value += c;
+
+        } else if(c === '"')
+            quoted = true;
+        else if(c === separator) {
+            row.push(value);
+            value = '';
+        } else if(c === '\n' || c === '\r') {
+            // Finish the row, and skip the line feed of a carriage return line feed
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+            if(c === '\r' && content.charAt(i + 1) === '\n')
+                i++;
+        } else
+            value += c;
+    }
+
+    // Finish the last row
+    row.push(value);
+    rows.push(row);
+
+    // Trim the values, and leave out empty rows
+    return rows.map((row) => row.map((value) => value.trim()))
+        .filter((row) => _.some(row, (value) => value.length > 0));
+};
+
+/**
+ * Parse a role value.
+ *
+ * @param {string|undefined} value Role value, the participant role is used if empty.
+ *
+ * @return {string|null} Role, or null if the value is invalid.
+ */
+PlayerList.parseRole = function(value) {
+    // Use the participant role by default
+    if(value === undefined || value.length === 0)
+        return PlayerList.ROLE_PARTICIPANT;
+
+    // Find the role
+    value = value.toLowerCase();
+    const role = _.findKey(PlayerList.ROLES, (values) => _.includes(values, value));
+    return role !== undefined ? role : null;
+};
+
+/**
+ * Parse a list of players from CSV content.
+ * Invalid rows are skipped, and reported with the reason they're skipped.
+ *
+ * @param {string} content CSV content.
+ *
+ * @return {{players: Object[], invalid: {line: Number, message: string}[]}} Parsed players, and the invalid rows.
+ * Each player has a line, name, username, password, team and role property.
+ * The password and team are null if not given.
+ */
+PlayerList.parse = function(content) {
+    // Parse the rows
+    var rows = PlayerList.parseCsv(content);
+
+    // Determine the column order, use the header row if the file has one
+    var columns = ['name', 'username', 'password', 'team', 'role'];
+    var firstLine = 1;
+    if(rows.length > 0) {
+        const header = rows[0].map((value) => _.findKey(PlayerList.COLUMNS, (names) => _.includes(names, value.toLowerCase())));
+        if(_.includes(header, 'name') && _.includes(header, 'username')) {
+            columns = header;
+            rows = rows.slice(1);
+            firstLine = 2;
+        }
+    }
+
+    // Parse each row
+    var players = [];
+    var invalid = [];
+    var usernames = [];
+    rows.forEach(function(row, i) {
+        // Get the value of each column
+        var values = {};
+        columns.forEach(function(column, j) {
+            if(column !== undefined && row[j] !== undefined && row[j].length > 0)
+                values[column] = row[j];
+        });
+
+        // Validate the row
+        const line = firstLine + i;
+        const message = PlayerList._validate(values, usernames);
+        if(message !== null) {
+            invalid.push({line, message});
+            return;
+        }
+
+        // Add the player
+        const username = Validator.formatUsername(values.username);
+        usernames.push(username.toLowerCase());
+        players.push({
+            line,
+            name: Validator.formatName(values.name),
+            username,
+            password: values.password !== undefined ? values.password : null,
+            team: values.team !== undefined ? Validator.formatTeamName(values.team) : null,
+            role: PlayerList.parseRole(values.role)
+        });
+    });
+
+    return {
+        players,
+        invalid
+    };
+};
+
+/**
+ * Validate the values of a row.
+ *
+ * @param {Object} values Row values for each column.
+ * @param {string[]} usernames Lowercase usernames of the rows before this row.
+ *
+ * @return {string|null} Message describing why the row is invalid, or null if it's valid.
+ *
+ * @private
+ */
+PlayerList._validate = function(values, usernames) {
+    if(!Validator.isValidName(values.name))
+        return 'Ongeldige naam.';
+    if(!Validator.isValidUsername(values.username))
+        return 'Ongeldige gebruikersnaam.';
+    if(_.includes(usernames, Validator.formatUsername(values.username).toLowerCase()))
+        return 'Dubbele gebruikersnaam.';
+    if(values.password !== undefined && !Validator.isValidPassword(values.password))
+        return 'Het wachtwoord moet tussen de ' + config.validation.passwordMinLength + ' en ' +
+            config.validation.passwordMaxLength + ' karakters lang zijn.';
+    if(values.team !== undefined && !Validator.isValidTeamName(values.team))
+        return 'Ongeldige teamnaam.';
+    if(PlayerList.parseRole(values.role) === null)
+        return 'Ongeldige rol, gebruik speler of toeschouwer.';
+    return null;
+};
+
+/**
+ * Get the color for a team that is created for a player list.
+ *
+ * @param {Number} index Index of the team, the colors are reused when there are more teams than colors.
+ *
+ * @return {string} Team color, as hexadecimal color code.
+ */
+PlayerList.getTeamColor = function(index) {
+    return PlayerList.TEAM_COLORS[index % PlayerList.TEAM_COLORS.length];
+};
+
+/**
+ * Generate a random password that is easy to read and type.
+ * Random bytes that would make some characters more likely than others are rejected.
+ *
+ * @return {string} Password.
+ */
+PlayerList.generatePassword = function() {
+    // Bytes at or above this limit are rejected, so each character is equally likely
+    const limit = 256 - 256 % PASSWORD_CHARS.length;
+
+    // Pick characters until the password is long enough
+    var password = '';
+    while(password.length < config.security.generatedPasswordLength) {
+        const bytes = crypto.randomBytes(config.security.generatedPasswordLength - password.length);
+        for(var i = 0; i < bytes.length; i++)
+            if(bytes[i] < limit)
+                password += PASSWORD_CHARS.charAt(bytes[i] % PASSWORD_CHARS.length);
+    }
+    return password;
+};
+
+// Export the class
+module.exports = PlayerList;
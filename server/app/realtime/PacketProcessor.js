@@ -29,6 +29,7 @@ var config = require('../../config');
 var Core = require('../../Core');
 var UserModel = require('../model/user/UserModel');
 var User = require('../live/user/User');
+var Metrics = require('../metrics/Metrics');
 
 /**
  * Packet parser class.
@@ -67,6 +68,9 @@ PacketProcessor.prototype.receivePacked = function(rawPacket, socket) {
     // Get the packet type
     const packetType = rawPacket.type;
 
+    // Count the packet
+    Metrics.countPacket(packetType);
+
     // Invoke all packet handlers for this packet
     this.invokeHandlers(rawPacket, packetType, socket);
 };
@@ -92,13 +96,15 @@ PacketProcessor.prototype.sendPacket = function(packetType, packet, sockets) {
 
 /**
  * Send a packet to the given user.
+ * The packet is sent to all sockets of the user, including the sockets that are connected to other workers.
  *
  * @param {Number} packetType Packet type value.
  * @param {Object} packet Packet object to send.
  * @param {UserModel|ObjectId|string} userId User instance or user ID to send the packet to.
  * @param {Object} [options] Options object.
- * @param {boolean} [options.once=false] True to only send a packet to one socket, false to send to multiple if available.
- * @return {Number} Number of sockets the packet was send to.
+ * @param {boolean} [options.once=false] True to only send a packet to one socket of this worker, false to send to all
+ * sockets of the user.
+ * @return {Number} Number of sockets on this worker the packet was send to.
  */
 PacketProcessor.prototype.sendPacketUser = function(packetType, packet, userId, options) {
     // Get the user ID as an ObjectId
@@ -117,35 +123,41 @@ PacketProcessor.prototype.sendPacketUser = function(packetType, packet, userId,
     // Put the packet type in the packet object
     packet.type = packetType;
 
-    // Count the number of found clients
-    var found = 0;
-
-    // Loop through all connected clients to find the correct ones
-    Object.keys(Core.realTime._io.sockets.sockets).forEach(function(socketId) {
-        // Skip if we only should send once and we found one
-        if(once && found >= 1)
-            return;
-
-        // Get the socket
-        const entrySocket = Core.realTime._io.sockets.sockets[socketId];
-
-        // Skip the socket if not authenticated
-        if(!_.has(entrySocket, 'session.valid') || !_.has(entrySocket, 'session.user') || !entrySocket.session.valid || entrySocket.session.user == null)
-            return;
+    // Get the room of the user, and the local sockets in it
+    const room = PacketProcessor.getUserRoom(userId);
+    const localRoom = Core.realTime._io.sockets.adapter.rooms[room];
+    const localSocketIds = localRoom !== undefined ? Object.keys(localRoom.sockets) : [];
+
+    // Send the packet to a single local socket
+    if(once) {
+        const socket = localSocketIds.length > 0 ? Core.realTime._io.sockets.connected[localSocketIds[0]] : undefined;
+        if(socket === undefined)
+            return 0;
+        socket.emit(config.realtime.defaultRoom, packet);
+        return 1;
+    }
 
-        // Compare the user and skip if it isn't the correct user
-        if(!entrySocket.session.user.getId().equals(userId))
-            return;
+    // Send the packet to the room of the user, the adapter delivers it to the sockets on other workers
+    Core.realTime._io.to(room).emit(config.realtime.defaultRoom, packet);
 
-        // Send the packet over the socket
-        entrySocket.emit(config.realtime.defaultRoom, packet);
+    // Return the number of local sockets
+    return localSocketIds.length;
+};
 
-        // Increase the found counter
-        found++;
-    });
+/**
+ * Get the name of the room the sockets of the given user are in.
+ * Sockets join this room when they're authenticated.
+ *
+ * @param {UserModel|ObjectId|string} user User instance or user ID.
+ * @return {string} Room name.
+ */
+PacketProcessor.getUserRoom = function(user) {
+    // Get the user ID as a string
+    if(user instanceof UserModel)
+        user = user.getIdHex();
 
-    // Return the number of found sockets
-    return found;
+    // Return the room name
+    return 'user:' + user.toString().toLowerCase();
 };
 
 /**
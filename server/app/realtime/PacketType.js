@@ -88,7 +88,7 @@ module.exports = {
      * Broadcast a message from the server to the client.
      *
      * Data:
-     * - uid: unique broadcast ID
+     * - token: unique broadcast token, the ID of the broadcast
      * - message: message to broadcast
      * - game: ID of the game to broadcast a message for
      * - gameName: name of the game a message is broadcasted for
@@ -288,4 +288,113 @@ module.exports = {
      * - own: True if the player owns this submission, false if not.
      */
     GAME_SUBMISSION_CHANGE: 37,
+
+    /**
+     * An update to define whether the user is inside the play area of a game.
+     * Send from the server to the user that entered or left the play area.
+     *
+     * Data:
+     * - game: ID of the game.
+     * - inArea: True if the user is inside the play area, false if not.
+     */
+    GAME_AREA_UPDATE: 38,
+
+    /**
+     * Alert to the managers of a game that a player entered or left the play area.
+     * Send from the server to the managers.
+     *
+     * Data:
+     * - game: ID of the game.
+     * - user: ID of the player.
+     * - userName: Name of the player.
+     * - inArea: True if the player is inside the play area, false if not.
+     */
+    GAME_AREA_ALERT: 39,
+
+    /**
+     * Receipt from a client to the server, when a broadcast is delivered to it.
+     *
+     * Data:
+     * - token: Token of the delivered broadcast.
+     */
+    BROADCAST_RECEIPT: 40,
+
+    /**
+     * Send a chat message, from a client to the server.
+     * Players chat in their own thread with the managers, managers specify the player they chat with.
+     *
+     * Data:
+     * - game: ID of the game.
+     * - [user]: ID of the player the thread is with, for managers.
+     * - message: Message text.
+     * - [assignment]: ID of the assignment the message is about.
+     * - [submission]: ID of the submission the message is about.
+     */
+    CHAT_MESSAGE_SEND: 41,
+
+    /**
+     * Chat message, from the server to the player and the managers in a thread.
+     *
+     * Data:
+     * - game: ID of the game.
+     * - id: ID of the message.
+     * - user: ID of the player the thread is with.
+     * - sender: ID of the user that sent the message.
+     * - senderName: Name of the user that sent the message.
+     * - fromManager: True if the message was sent by a manager, false if it was sent by the player.
+     * - message: Message text.
+     * - assignment: ID of the assignment the message is about, or null.
+     * - submission: ID of the submission the message is about, or null.
+     * - date: Time the message was sent at, in milliseconds.
+     * - read: True if the message has been read by the other side, false if not.
+     */
+    CHAT_MESSAGE: 42,
+
+    /**
+     * Typing state in a chat thread.
+     * Sent from a client to the server, and relayed to the other users in the thread.
+     *
+     * Data:
+     * - game: ID of the game.
+     * - [user]: ID of the player the thread is with, always set when sent by the server.
+     * - typing: True if the user is typing, false if the user stopped typing.
+     * - [sender]: ID of the user that is typing, set by the server.
+     * - [senderName]: Name of the user that is typing, set by the server.
+     * - [fromManager]: True if the user is typing as manager, set by the server.
+     */
+    CHAT_TYPING: 43,
+
+    /**
+     * Read state of a chat thread.
+     * Sent from a client to the server to mark the messages of the other side as read, and from the server to the
+     * users in the thread when messages have been read.
+     *
+     * Data:
+     * - game: ID of the game.
+     * - [user]: ID of the player the thread is with, always set when sent by the server.
+     * - [byManager]: True if the messages were read by a manager, false if by the player, set by the server.
+     * - [date]: Time the messages were read at in milliseconds, set by the server.
+     */
+    CHAT_READ: 44,
+
+    /**
+     * Request the messages of a chat thread, from a client to the server.
+     * Used to catch up with messages that were sent while the client was disconnected.
+     *
+     * Data:
+     * - game: ID of the game.
+     * - [user]: ID of the player the thread is with, for managers.
+     * - [since]: Only request messages sent after this time in milliseconds.
+     */
+    CHAT_HISTORY_REQUEST: 45,
+
+    /**
+     * Messages of a chat thread, from the server to a client.
+     *
+     * Data:
+     * - game: ID of the game.
+     * - user: ID of the player the thread is with.
+     * - messages: List of messages, see CHAT_MESSAGE.
+     */
+    CHAT_HISTORY: 46
 };
@@ -20,6 +20,7 @@
  * program. If not, see <http://opensource.org/licenses/MIT/>.                *
  ******************************************************************************/
 
+var _ = require('lodash');
 var io = require('socket.io');
 var path = require('path');
 var fs = require('fs');
@@ -30,6 +31,8 @@ var config = require('../../config');
 
 var Core = require('../../Core');
 var PacketProcessor = require('./PacketProcessor');
+var RedisAdapter = require('./RedisAdapter');
+var RedisPubSub = require('../redis/RedisPubSub');
 var UserModel = require('../model/user/UserModel');
 
 /**
@@ -38,6 +41,12 @@ var UserModel = require('../model/user/UserModel');
  */
 const HANDLERS_DIRECTORY = './handler';
 
+/**
+ * Pub/sub channel that changes to the broadcast queue are shared with other workers on.
+ * @type {string}
+ */
+const BROADCAST_QUEUE_CHANNEL = 'broadcastqueue';
+
 /**
  * Real time class.
  *
@@ -86,7 +95,10 @@ RealTime.prototype.start = function() {
         serveClient: true,
 
         // Set the real time SocketIO server path
-        path: config.realtime.path
+        path: config.realtime.path,
+
+        // Share broadcasts with the other workers if cluster synchronization is enabled
+        adapter: RedisPubSub.isEnabled() ? RedisAdapter : undefined
     });
 
     // Attach the SocketIO server to the running HTTP server
@@ -106,6 +118,9 @@ RealTime.prototype.start = function() {
     // Store this instance
     const self = this;
 
+    // Apply changes to the broadcast queue made by other workers
+    RedisPubSub.subscribe(BROADCAST_QUEUE_CHANNEL, (data) => self._onBroadcastQueueChange(data));
+
     // Register the connection event
     this._io.on('connection', function(socket) {
         // Show a status message
@@ -134,6 +149,19 @@ RealTime.prototype.getConnectionCount = function() {
     //noinspection JSUnresolvedVariable
     return this._io.engine.clientsCount;
 };
+
+/**
+ * Get the number of connections of the given user to this worker.
+ *
+ * @param {UserModel|ObjectId|string} user User, or the ID of the user.
+ *
+ * @return {Number} Number of connections.
+ */
+RealTime.prototype.getUserConnectionCount = function(user) {
+    const room = this._io.sockets.adapter.rooms[PacketProcessor.getUserRoom(user)];
+    return room !== undefined ? Object.keys(room.sockets).length : 0;
+};
+
 /**
  * Get the packet processor.
  *
@@ -182,8 +210,9 @@ RealTime.prototype.registerHandlers = function() {
  *
  * @param {Object} broadcastObject Broadcast object.
  * @param {UserModel|ObjectId|string} user User instance or user ID to queue the broadcast for.
+ * @param {boolean} [publish=true] True to share the change with the other workers, false if not.
  */
-RealTime.prototype.queueBroadcast = function(broadcastObject, user) {
+RealTime.prototype.queueBroadcast = function(broadcastObject, user, publish) {
     // Get the current broadcasts
     var broadcasts = this.getBroadcasts(user);
 
@@ -200,6 +229,14 @@ RealTime.prototype.queueBroadcast = function(broadcastObject, user) {
 
     // Set the broadcasts
     this._broadcastQueue.set(user, broadcasts);
+
+    // Share the change with the other workers
+    if(publish === undefined || publish)
+        RedisPubSub.publish(BROADCAST_QUEUE_CHANNEL, {
+            action: 'queue',
+            user,
+            broadcast: broadcastObject
+        });
 };
 
 /**
@@ -249,8 +286,9 @@ RealTime.prototype.hasBroadcasts = function(user) {
  *
  * @param {UserModel|ObjectId|string} user User instance or user ID to resolve the broadcasts for.
  * @param {string} token Broadcast token.
+ * @param {boolean} [publish=true] True to share the change with the other workers, false if not.
  */
-RealTime.prototype.resolveBroadcast = function(user, token) {
+RealTime.prototype.resolveBroadcast = function(user, token, publish) {
     // Get the user ID as a string
     if(user instanceof UserModel)
         user = user.getIdHex().toLowerCase();
@@ -278,14 +316,23 @@ RealTime.prototype.resolveBroadcast = function(user, token) {
 
     // Update the list of broadcasts
     this._broadcastQueue.set(user, broadcasts);
+
+    // Share the change with the other workers
+    if(publish === undefined || publish)
+        RedisPubSub.publish(BROADCAST_QUEUE_CHANNEL, {
+            action: 'resolve',
+            user,
+            token
+        });
 };
 
 /**
  * Resolve all broadcasts for the given user.
  *
  * @param {UserModel|ObjectId|string} user User instance or user ID to resolve the broadcasts for.
+ * @param {boolean} [publish=true] True to share the change with the other workers, false if not.
  */
-RealTime.prototype.resolveAllBroadcasts = function(user) {
+RealTime.prototype.resolveAllBroadcasts = function(user, publish) {
     // Get the user ID as a string
     if(user instanceof UserModel)
         user = user.getIdHex().toLowerCase();
@@ -296,6 +343,33 @@ RealTime.prototype.resolveAllBroadcasts = function(user) {
 
     // Delete the objects
     this._broadcastQueue.delete(user);
+
+    // Share the change with the other workers
+    if(publish === undefined || publish)
+        RedisPubSub.publish(BROADCAST_QUEUE_CHANNEL, {
+            action: 'resolveAll',
+            user
+        });
+};
+
+/**
+ * Apply a change to the broadcast queue that was made by another worker.
+ *
+ * @param {Object} data Published change.
+ * @private
+ */
+RealTime.prototype._onBroadcastQueueChange = function(data) {
+    // Make sure the change is valid
+    if(!_.isObject(data) || !_.isString(data.user))
+        return;
+
+    // Apply the change without publishing it again
+    if(data.action === 'queue' && _.isObject(data.broadcast))
+        this.queueBroadcast(data.broadcast, data.user, false);
+    else if(data.action === 'resolve' && _.isString(data.token))
+        this.resolveBroadcast(data.user, data.token, false);
+    else if(data.action === 'resolveAll')
+        this.resolveAllBroadcasts(data.user, false);
 };
 
 // Export the module
@@ -0,0 +1,111 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var util = require('util');
+var Adapter = require('socket.io-adapter');
+
+var RedisPubSub = require('../redis/RedisPubSub');
+
+/**
+ * Prefix of the pub/sub channel packets are broadcasted on, the namespace name is appended to it.
+ *
+ * @type {string}
+ */
+const CHANNEL_PREFIX = 'realtime:';
+
+/**
+ * SocketIO adapter that shares broadcasts with the other workers through Redis pub/sub.
+ * Each worker only knows about its own sockets and rooms. Broadcasts are delivered to the local sockets, and are
+ * published so the other workers deliver them to their sockets as well. Only packets that can be serialized as JSON
+ * are supported, binary packets are only delivered locally.
+ *
+ * @param {Namespace} nsp SocketIO namespace.
+ *
+ * @class
+ * @constructor
+ */
+var RedisAdapter = function(nsp) {
+    // Construct the base adapter
+    Adapter.call(this, nsp);
+
+    /**
+     * Pub/sub channel for this namespace.
+     *
+     * @type {string}
+     * @private
+     */
+    this._channel = CHANNEL_PREFIX + nsp.name;
+
+    // Deliver broadcasts from other workers to the local sockets
+    RedisPubSub.subscribe(this._channel, (data) => this.onRemoteBroadcast(data));
+};
+
+util.inherits(RedisAdapter, Adapter);
+
+/**
+ * Broadcast a packet to the local sockets, and publish it to the other workers.
+ *
+ * @param {Object} packet Packet object.
+ * @param {Object} opts Broadcast options, containing the rooms, sockets to exclude and flags.
+ */
+RedisAdapter.prototype.broadcast = function(packet, opts) {
+    // Broadcast to the local sockets
+    Adapter.prototype.broadcast.call(this, packet, opts);
+
+    // Publish JSON packets to the other workers
+    if(!RedisAdapter.isBinaryPacket(packet))
+        RedisPubSub.publish(this._channel, {
+            packet,
+            opts: {
+                rooms: opts.rooms || [],
+                except: opts.except || [],
+                flags: opts.flags || {}
+            }
+        });
+};
+
+/**
+ * Deliver a broadcast published by another worker to the local sockets.
+ *
+ * @param {{packet: Object, opts: Object}} data Published broadcast.
+ */
+RedisAdapter.prototype.onRemoteBroadcast = function(data) {
+    // Make sure the broadcast is valid
+    if(data === null || typeof data !== 'object' || data.packet === undefined || data.opts === undefined)
+        return;
+
+    // Broadcast to the local sockets only
+    Adapter.prototype.broadcast.call(this, data.packet, data.opts);
+};
+
+/**
+ * Check whether the given packet contains binary data, which can't be published as JSON.
+ *
+ * @param {Object} packet Packet object.
+ * @return {boolean} True if the packet contains binary data, false if not.
+ */
+RedisAdapter.isBinaryPacket = function(packet) {
+    return Buffer.isBuffer(packet.data) || (Array.isArray(packet.data) && packet.data.some((value) => Buffer.isBuffer(value)));
+};
+
+// Export the class
+module.exports = RedisAdapter;
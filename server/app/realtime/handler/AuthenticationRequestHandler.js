@@ -24,6 +24,7 @@ var _ = require('lodash');
 
 var Core = require('../../../Core');
 var PacketType = require('../PacketType');
+var PacketProcessor = require('../PacketProcessor');
 
 /**
  * Type of packets to handle by this handler.
@@ -90,6 +91,9 @@ AuthenticationRequestHandler.prototype.handler = function(packet, socket) {
         // Set the logged in state
         socket.session.valid = false;
 
+        // Leave the room of a previously authenticated user
+        AuthenticationRequestHandler.leaveUserRoom(socket);
+
         // Show a status message
         console.log('Authenticated real time client. (no session)');
         return;
@@ -126,6 +130,9 @@ AuthenticationRequestHandler.prototype.handler = function(packet, socket) {
         if(!_.has(socket, 'session'))
             socket.session = {};
 
+        // Leave the room of a previously authenticated user
+        AuthenticationRequestHandler.leaveUserRoom(socket);
+
         // Set the logged in state and user
         socket.session.valid = isValid;
         socket.session.userId = user !== null ? user.getIdHex() : null;
@@ -139,6 +146,10 @@ AuthenticationRequestHandler.prototype.handler = function(packet, socket) {
             return;
         }
 
+        // Join the room of the user, packets for the user are sent to this room from any worker
+        if(isValid)
+            socket.join(PacketProcessor.getUserRoom(user));
+
         // Show a status message
         console.log('Authenticated real time client. (valid: ' + isValid + ', session: ' + sessionToken + ')');
 
@@ -179,5 +190,19 @@ AuthenticationRequestHandler.prototype.handler = function(packet, socket) {
     });
 };
 
+/**
+ * Make the given socket leave the room of the user it was authenticated as, if it was authenticated.
+ *
+ * @param socket SocketIO socket.
+ */
+AuthenticationRequestHandler.leaveUserRoom = function(socket) {
+    // Get the previously authenticated user
+    const userId = _.get(socket, 'session.userId', null);
+
+    // Leave the room
+    if(_.isString(userId))
+        socket.leave(PacketProcessor.getUserRoom(userId));
+};
+
 // Export the module
 module.exports = AuthenticationRequestHandler;
@@ -0,0 +1,87 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var PacketType = require('../PacketType');
+var Broadcaster = require('../../live/broadcast/Broadcaster');
+
+/**
+ * Type of packets to handle by this handler.
+ * @type {number} Packet type.
+ */
+const HANDLER_PACKET_TYPE = PacketType.BROADCAST_RECEIPT;
+
+/**
+ * Broadcast receipt handler.
+ *
+ * @param {boolean=false} init True to initialize after constructing.
+ *
+ * @class
+ * @constructor
+ */
+var BroadcastReceiptHandler = function(init) {
+    // Initialize
+    if(init)
+        this.init();
+};
+
+/**
+ * Initialize the handler.
+ */
+BroadcastReceiptHandler.prototype.init = function() {
+    // Make sure the real time instance is initialized
+    if(Core.realTime === null)
+        throw new Error('Real time server not initialized yet');
+
+    // Register the handler
+    Core.realTime.getPacketProcessor().registerHandler(HANDLER_PACKET_TYPE, this.handler);
+};
+
+/**
+ * Handle the packet.
+ *
+ * @param {Object} packet Packet object.
+ * @param socket SocketIO socket.
+ */
+BroadcastReceiptHandler.prototype.handler = function(packet, socket) {
+    // Make sure a token is given
+    if(!_.isString(packet.token)) {
+        console.log('Received malformed packet, broadcast receipt packet doesn\'t contain token');
+        return;
+    }
+
+    // Make sure the user is authenticated
+    if(!_.has(socket, 'session.valid') || !socket.session.valid)
+        return;
+
+    // Mark the broadcast as delivered to this user
+    Broadcaster.setDelivered(socket.session.user, packet.token.trim(), function(err) {
+        // Show errors in the console
+        if(err !== null)
+            console.error('Failed to mark broadcast as delivered, ignoring (' + err + ')');
+    });
+};
+
+// Export the module
+module.exports = BroadcastReceiptHandler;
@@ -24,6 +24,7 @@ var _ = require('lodash');
 
 var Core = require('../../../Core');
 var PacketType = require('../PacketType');
+var Broadcaster = require('../../live/broadcast/Broadcaster');
 
 /**
  * Type of packets to handle by this handler.
@@ -71,6 +72,15 @@ BroadcastResolveAllHandler.prototype.handler = function(packet, socket) {
     // Get the user
     const user = socket.session.user;
 
+    // Mark the queued broadcasts as read
+    Core.realTime.getBroadcasts(user.getIdHex()).forEach(function(broadcast) {
+        Broadcaster.setRead(user, broadcast.token, function(err) {
+            // Show errors in the console
+            if(err !== null)
+                console.error('Failed to mark broadcast as read, ignoring (' + err + ')');
+        });
+    });
+
     // Resolve the broadcasts for this user
     Core.realTime.resolveAllBroadcasts(user.getIdHex());
 };
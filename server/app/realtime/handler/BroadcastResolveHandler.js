@@ -24,6 +24,7 @@ var _ = require('lodash');
 
 var Core = require('../../../Core');
 var PacketType = require('../PacketType');
+var Broadcaster = require('../../live/broadcast/Broadcaster');
 
 /**
  * Type of packets to handle by this handler.
@@ -80,6 +81,13 @@ BroadcastResolveAllHandler.prototype.handler = function(packet, socket) {
     // Get the user
     const user = socket.session.user;
 
+    // Mark the broadcast as read
+    Broadcaster.setRead(user, token, function(err) {
+        // Show errors in the console
+        if(err !== null)
+            console.error('Failed to mark broadcast as read, ignoring (' + err + ')');
+    });
+
     // Resolve the broadcasts for this user
     Core.realTime.resolveBroadcast(user.getIdHex(), token);
 };
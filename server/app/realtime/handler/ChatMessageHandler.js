@@ -0,0 +1,120 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var PacketType = require('../PacketType');
+var Chat = require('../../live/chat/Chat');
+var ChatThread = require('../../live/chat/ChatThread');
+
+/**
+ * Type of packets to handle by this handler.
+ * @type {number} Packet type.
+ */
+const HANDLER_PACKET_TYPE = PacketType.CHAT_MESSAGE_SEND;
+
+/**
+ * Chat message handler.
+ *
+ * @param {boolean=false} init True to initialize after constructing.
+ *
+ * @class
+ * @constructor
+ */
+var ChatMessageHandler = function(init) {
+    // Initialize
+    if(init)
+        this.init();
+};
+
+/**
+ * Initialize the handler.
+ */
+ChatMessageHandler.prototype.init = function() {
+    // Make sure the real time instance is initialized
+    if(Core.realTime === null)
+        throw new Error('Real time server not initialized yet');
+
+    // Register the handler
+    Core.realTime.getPacketProcessor().registerHandler(HANDLER_PACKET_TYPE, this.handler);
+};
+
+/**
+ * Handle the packet.
+ *
+ * @param {Object} packet Packet object.
+ * @param socket SocketIO socket.
+ */
+ChatMessageHandler.prototype.handler = function(packet, socket) {
+    // Make sure the message is valid
+    const message = ChatThread.formatMessage(packet.message);
+    if(message === null) {
+        console.log('Received malformed packet, chat message packet doesn\'t contain a valid message');
+        return;
+    }
+
+    // Send an error response to the client
+    const sendError = (message) => Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+        error: true,
+        message,
+        dialog: true
+    }, socket);
+
+    // Get the game and thread
+    Chat.getPacketThread(packet, socket, function(err, game, thread) {
+        // Handle errors
+        if(err !== null) {
+            console.error(err);
+            sendError('Er is een fout opgetreden bij het versturen van uw bericht.');
+            return;
+        }
+
+        // Make sure the user may chat in this thread
+        if(game === null || thread === null) {
+            sendError('U kunt geen berichten sturen in dit gesprek.');
+            return;
+        }
+
+        // Get the assignment and submission the message is about
+        Chat.getLinks(game, thread.user, packet.assignment, packet.submission, function(err, links) {
+            // Handle errors
+            if(err !== null) {
+                console.error(err);
+                sendError('Er is een fout opgetreden bij het versturen van uw bericht.');
+                return;
+            }
+
+            // Send the message
+            Chat.send(game, thread, socket.session.user, message, links, function(err) {
+                // Handle errors
+                if(err !== null) {
+                    console.error(err);
+                    sendError('Er is een fout opgetreden bij het versturen van uw bericht.');
+                }
+            });
+        });
+    });
+};
+
+// Export the module
+module.exports = ChatMessageHandler;
@@ -0,0 +1,88 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var Core = require('../../../Core');
+var PacketType = require('../PacketType');
+var Chat = require('../../live/chat/Chat');
+
+/**
+ * Type of packets to handle by this handler.
+ * @type {number} Packet type.
+ */
+const HANDLER_PACKET_TYPE = PacketType.CHAT_TYPING;
+
+/**
+ * Chat typing state handler.
+ *
+ * @param {boolean=false} init True to initialize after constructing.
+ *
+ * @class
+ * @constructor
+ */
+var ChatTypingHandler = function(init) {
+    // Initialize
+    if(init)
+        this.init();
+};
+
+/**
+ * Initialize the handler.
+ */
+ChatTypingHandler.prototype.init = function() {
+    // Make sure the real time instance is initialized
+    if(Core.realTime === null)
+        throw new Error('Real time server not initialized yet');
+
+    // Register the handler
+    Core.realTime.getPacketProcessor().registerHandler(HANDLER_PACKET_TYPE, this.handler);
+};
+
+/**
+ * Handle the packet.
+ *
+ * @param {Object} packet Packet object.
+ * @param socket SocketIO socket.
+ */
+ChatTypingHandler.prototype.handler = function(packet, socket) {
+    // Get the game and thread
+    Chat.getPacketThread(packet, socket, function(err, game, thread) {
+        // Handle errors
+        if(err !== null) {
+            console.error(err);
+            return;
+        }
+
+        // Make sure the user may chat in this thread
+        if(game === null || thread === null)
+            return;
+
+        // Let the other users in the thread know
+        Chat.sendTyping(game, thread, socket.session.user, packet.typing === true, function(err) {
+            // Show errors in the console
+            if(err !== null)
+                console.error('Failed to send chat typing state, ignoring (' + err + ')');
+        });
+    });
+};
+
+// Export the module
+module.exports = ChatTypingHandler;
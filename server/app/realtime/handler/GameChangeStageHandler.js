@@ -188,80 +188,19 @@ GameChangeStageHandler.prototype.handler = function(packet, socket) {
 
         // Continue when we're done
         latch.then(function() {
-            // Set the game stage
-            game.setStage(stage, function(err) {
+            // Set the game stage, this loads or unloads the game and broadcasts the change
+            Core.gameManager.setGameStage(game, stage, function(err) {
                 // Handle errors
                 if(err !== null) {
+                    // Print the error to the console
+                    console.error(err);
+
                     // Send a message response to the user
                     Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
                         error: true,
-                        message: 'Je hebt geen rechten om de staat van dit spel te veranderen.',
+                        message: 'Er is een fout opgetreden tijdens het veranderen van de staat van dit spel.',
                         dialog: true
                     }, socket);
-                    return;
-                }
-
-                // Create a function to broadcast the game state to all connected users
-                const broadcastStageFunction = function() {
-                    // Get the name of the game
-                    game.getName(function(err, gameName) {
-                        // Handle errors
-                        if(err !== null)
-                            gameName = 'Unknown';
-
-                        // Loop through all connected clients, to send the game stage update
-                        Object.keys(Core.realTime._io.sockets.sockets).forEach(function(socketId) {
-                            // Get the socket
-                            const entrySocket = Core.realTime._io.sockets.sockets[socketId];
-
-                            // Skip the socket if not authenticated
-                            if(!_.has(entrySocket, 'session.valid') || !_.has(entrySocket, 'session.user') || !entrySocket.session.valid)
-                                return;
-
-                            // Get the user
-                            const user = entrySocket.session.user;
-
-                            // Check whether the user joined this game
-                            game.hasUser(user, function(err, joined) {
-                                // Handle errors
-                                if(err !== null)
-                                    joined = false;
-
-                                // Send a game stage changed packet to the user
-                                Core.realTime.packetProcessor.sendPacket(PacketType.GAME_STAGE_CHANGED, {
-                                    game: game.getIdHex(),
-                                    gameName,
-                                    stage,
-                                    joined
-                                }, entrySocket);
-                            });
-                        });
-                    });
-                };
-
-                // Load/unload the game
-                if(stage === 1)
-                    // Load the game
-                    Core.gameManager.loadGame(game, function(err) {
-                        // Handle errors
-                        if(err !== null) {
-                            // Send a message response to the user
-                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
-                                error: true,
-                                message: 'Er is een fout opgetreden tijdens het laden van dit spel, daarom kom het spel niet gestart worden.',
-                                dialog: true
-                            }, socket);
-                            return;
-                        }
-
-                        // Broadcast the game stage
-                        broadcastStageFunction();
-                    });
-
-                else {
-                    // Unload the game if it's still loaded and broadcast the stage
-                    Core.gameManager.unloadGame(game);
-                    broadcastStageFunction();
                 }
             });
         });
@@ -25,6 +25,7 @@ var _ = require('lodash');
 var Core = require('../../../Core');
 var PacketType = require('../PacketType');
 var Coordinate = require('../../coordinate/Coordinate');
+var OfflineReplay = require('../../live/user/OfflineReplay');
 var CallbackLatch = require('../../util/CallbackLatch');
 
 /**
@@ -121,6 +122,22 @@ LocationUpdateHandler.prototype.handler = function(packet, socket) {
         return;
     }
 
+    // Locations a client queued while it was offline have the time they were determined at
+    const replayed = packet.hasOwnProperty('time');
+    const time = replayed ? OfflineReplay.parseTime(packet.time, new Date()) : undefined;
+
+    // Silently drop replayed locations with an invalid time, they're too old to be useful
+    if(time === null) {
+        console.log('Ignoring replayed location, the location is too old or has an invalid time');
+        return;
+    }
+
+    // Silently drop replayed locations of another user, a device may be shared by users that log in after each other
+    if(!OfflineReplay.isSameUser(packet.user, user)) {
+        console.log('Ignoring replayed location, the location was queued for another user');
+        return;
+    }
+
     // Get the game instance by it's ID
     Core.model.gameModelManager.getGameById(rawGame, function(err, game) {
         // Handle errors
@@ -139,6 +156,10 @@ LocationUpdateHandler.prototype.handler = function(packet, socket) {
         // Make sure the game is active
         latch.add();
         game.getStage(function(err, stage) {
+            // Silently drop replayed locations if the game isn't active anymore
+            if(err === null && stage !== 1 && replayed)
+                return;
+
             // Call back errors
             if(err !== null || stage !== 1) {
                 callbackError(err);
@@ -191,8 +212,14 @@ LocationUpdateHandler.prototype.handler = function(packet, socket) {
                     return;
                 }
 
+                // Only add replayed locations to the location trail if a newer location is already known
+                if(replayed && liveUser.hasNewerLocation(time)) {
+                    liveUser.recordTrailLocation(coordinate, time);
+                    return;
+                }
+
                 // Update the user location
-                liveUser.updateLocation(coordinate, socket, function(err) {
+                liveUser.updateLocation(coordinate, socket, time, function(err) {
                     // Handle errors
                     if(err !== null) {
                         console.error(err);
@@ -200,6 +227,29 @@ LocationUpdateHandler.prototype.handler = function(packet, socket) {
                     }
                 });
 
+                // Record the location in the location history
+                liveUser.recordLocation(time, function(err) {
+                    // Handle errors
+                    if(err !== null) {
+                        console.error(err);
+                        console.error('Failed to record player location, ignoring');
+                    }
+                });
+
+                // Check whether the user entered or left the play area
+                liveUser.updateAreaState(function(err, changed) {
+                    // Handle errors
+                    if(err !== null) {
+                        console.error(err);
+                        console.error('Failed to update player area state, ignoring');
+                        return;
+                    }
+
+                    // Notify the user and the managers if the state changed
+                    if(changed)
+                        LocationUpdateHandler.sendAreaUpdate(game, liveUser);
+                });
+
                 // Update the points
                 liveGame.pointManager.updateUserPoints(user, function(err) {
                     // Call back errors
@@ -231,5 +281,75 @@ LocationUpdateHandler.prototype.handler = function(packet, socket) {
     });
 };
 
+/**
+ * Notify the given user and the managers of the game that the user entered or left the play area.
+ *
+ * @param {GameModel} game Game model.
+ * @param {User} liveUser Live user that entered or left the play area.
+ */
+LocationUpdateHandler.sendAreaUpdate = function(game, liveUser) {
+    // Determine whether the user is inside the area
+    const inArea = liveUser.isInArea();
+
+    // Warn the user
+    Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_AREA_UPDATE, {
+        game: game.getIdHex(),
+        inArea
+    }, liveUser);
+
+    // Get the user name and the managers of the game
+    var userName = null;
+    var managers = [];
+    var latch = new CallbackLatch();
+    var failed = false;
+
+    // Get the user name
+    latch.add();
+    liveUser.getName(function(err, name) {
+        // Handle errors
+        if(err !== null) {
+            console.error(err);
+            failed = true;
+        }
+
+        // Set the name, and resolve the latch
+        userName = name;
+        latch.resolve();
+    });
+
+    // Get the managers, leaving out the user itself
+    latch.add();
+    game.getManageUsers(liveUser.getId(), function(err, result) {
+        // Handle errors
+        if(err !== null) {
+            console.error(err);
+            failed = true;
+        }
+
+        // Set the managers, and resolve the latch
+        managers = result || [];
+        latch.resolve();
+    });
+
+    // Alert the managers
+    latch.then(function() {
+        // Don't send anything if something failed
+        if(failed) {
+            console.error('Failed to alert managers about a player area change, ignoring');
+            return;
+        }
+
+        // Send the alert to each manager
+        managers.forEach(function(manager) {
+            Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_AREA_ALERT, {
+                game: game.getIdHex(),
+                user: liveUser.getIdHex(),
+                userName,
+                inArea
+            }, manager);
+        });
+    });
+};
+
 // Export the module
 module.exports = LocationUpdateHandler;
@@ -0,0 +1,271 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var os = require('os');
+var redis = require('redis');
+
+var config = require('../../config');
+
+/**
+ * Unique identifier of this process, used to ignore messages that were published by this process itself.
+ *
+ * @type {string}
+ */
+const ORIGIN = os.hostname() + ':' + process.pid;
+
+/**
+ * Redis client used for publishing messages.
+ *
+ * @type {RedisClient|null}
+ */
+var publisher = null;
+
+/**
+ * Redis client used for subscribing to channels.
+ * A subscribed client can't be used for other commands, that's why two clients are required.
+ *
+ * @type {RedisClient|null}
+ */
+var subscriber = null;
+
+/**
+ * Map of channel names, with an array of listeners as value.
+ *
+ * @type {Map}
+ */
+var listeners = new Map();
+
+/**
+ * RedisPubSub class.
+ * Publishes messages to, and receives messages from other workers and hosts through Redis pub/sub.
+ *
+ * @class
+ * @constructor
+ */
+var RedisPubSub = function() {};
+
+/**
+ * Check whether pub/sub is enabled in the configuration.
+ *
+ * @return {boolean} True if enabled, false if not.
+ */
+RedisPubSub.isEnabled = function() {
+    return config.redis.enable && config.cluster.sync;
+};
+
+/**
+ * Check whether we're connected and able to publish messages.
+ *
+ * @return {boolean} True if connected, false if not.
+ */
+RedisPubSub.isConnected = function() {
+    return publisher !== null && publisher.connected;
+};
+
+/**
+ * Get the identifier of this process, that is attached to all published messages.
+ *
+ * @return {string} Origin identifier.
+ */
+RedisPubSub.getOrigin = function() {
+    return ORIGIN;
+};
+
+/**
+ * Connect to Redis as configured in the configuration file, and subscribe to all channels that have listeners.
+ *
+ * @param {RedisPubSub~connectCallback} [callback] Called when connected, or when failed to connect.
+ */
+RedisPubSub.connect = function(callback) {
+    // Make sure we only call back once
+    var calledBack = false;
+    const callbackOnce = function(err, connected) {
+        if(callback !== undefined && !calledBack)
+            callback(err, connected);
+        calledBack = true;
+    };
+
+    // Do not connect if pub/sub is disabled
+    if(!RedisPubSub.isEnabled()) {
+        console.log('Not connecting to Redis pub/sub. Cluster synchronization is disabled in the configuration.');
+        callbackOnce(null, false);
+        return;
+    }
+
+    // Create the clients
+    publisher = redis.createClient(config.redis.url);
+    subscriber = redis.createClient(config.redis.url);
+
+    // Handle errors for both clients
+    const errorHandler = function(err) {
+        console.warn('Redis pub/sub error: ' + err);
+        callbackOnce(err, false);
+    };
+    publisher.on('error', errorHandler);
+    subscriber.on('error', errorHandler);
+
+    // Pass received messages to the listeners
+    subscriber.on('message', (channel, message) => RedisPubSub.receive(channel.substring(config.cluster.channelPrefix.length), message));
+
+    // Subscribe to all channels with listeners when ready, this is also invoked after reconnecting
+    subscriber.on('ready', function() {
+        // Subscribe to the channels
+        listeners.forEach((channelListeners, channel) => subscriber.subscribe(config.cluster.channelPrefix + channel));
+
+        // Show a status message and call back
+        console.log('Redis pub/sub is ready, synchronizing with other workers.');
+        callbackOnce(null, true);
+    });
+};
+
+/**
+ * Called when connected, or when failed to connect.
+ *
+ * @callback RedisPubSub~connectCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean} True if connected, false if pub/sub is disabled or when failed to connect.
+ */
+
+/**
+ * Publish a message to all other workers on the given channel.
+ * Nothing is published if we aren't connected.
+ *
+ * @param {string} channel Channel name.
+ * @param {*} data Message data, must be serializable as JSON.
+ * @return {boolean} True if the message was published, false if not.
+ */
+RedisPubSub.publish = function(channel, data) {
+    // Make sure we're connected
+    if(!RedisPubSub.isConnected())
+        return false;
+
+    // Publish the message
+    publisher.publish(config.cluster.channelPrefix + channel, RedisPubSub.encode(data, ORIGIN));
+    return true;
+};
+
+/**
+ * Add a listener for messages on the given channel, that are published by other workers.
+ *
+ * @param {string} channel Channel name.
+ * @param {RedisPubSub~listener} listener Listener.
+ */
+RedisPubSub.subscribe = function(channel, listener) {
+    // Subscribe to the channel if this is the first listener, and we're connected
+    if(!listeners.has(channel)) {
+        listeners.set(channel, []);
+        if(subscriber !== null && subscriber.ready)
+            subscriber.subscribe(config.cluster.channelPrefix + channel);
+    }
+
+    // Add the listener
+    listeners.get(channel).push(listener);
+};
+
+/**
+ * Called with the data of a message published by another worker.
+ *
+ * @callback RedisPubSub~listener
+ * @param {*} data Message data.
+ * @param {string} origin Identifier of the worker that published the message.
+ */
+
+/**
+ * Remove all listeners for the given channel.
+ *
+ * @param {string} channel Channel name.
+ */
+RedisPubSub.unsubscribe = function(channel) {
+    // Remove the listeners, and unsubscribe from the channel
+    if(listeners.delete(channel) && subscriber !== null && subscriber.ready)
+        subscriber.unsubscribe(config.cluster.channelPrefix + channel);
+};
+
+/**
+ * Pass a received raw message to the listeners of the given channel.
+ * Malformed messages and messages that were published by this process are ignored.
+ *
+ * @param {string} channel Channel name, without the configured prefix.
+ * @param {string} message Raw message.
+ * @return {boolean} True if the message was passed to the listeners, false if it was ignored.
+ */
+RedisPubSub.receive = function(channel, message) {
+    // Decode the message, make sure it's valid and published by another worker
+    const decoded = RedisPubSub.decode(message);
+    if(decoded === null || decoded.origin === ORIGIN || !listeners.has(channel))
+        return false;
+
+    // Invoke the listeners, a failing listener shouldn't affect the others
+    listeners.get(channel).forEach(function(listener) {
+        try {
+            listener(decoded.data, decoded.origin);
+        } catch(err) {
+            console.error('An error occurred while handling a pub/sub message on \'' + channel + '\', ignoring.');
+            console.error(err);
+        }
+    });
+    return true;
+};
+
+/**
+ * Encode message data to publish.
+ *
+ * @param {*} data Message data.
+ * @param {string} origin Identifier of the publishing worker.
+ * @return {string} Encoded message.
+ */
+RedisPubSub.encode = function(data, origin) {
+    return JSON.stringify({
+        origin,
+        data
+    });
+};
+
+/**
+ * Decode a received message.
+ *
+ * @param {string} message Encoded message.
+ * @return {{origin: string, data: *}|null} Decoded message, or null if the message is malformed.
+ */
+RedisPubSub.decode = function(message) {
+    // Parse the message
+    var decoded;
+    try {
+        decoded = JSON.parse(message);
+    } catch(err) {
+        return null;
+    }
+
+    // Make sure the message has an origin
+    if(!_.isObject(decoded) || !_.isString(decoded.origin))
+        return null;
+
+    // Return the message
+    return {
+        origin: decoded.origin,
+        data: decoded.data
+    };
+};
+
+// Export the class
+module.exports = RedisPubSub;
@@ -307,5 +307,42 @@ RedisUtils.flushKeys = function(keys, callback) {
  * @param {Number} Number of deleted Redis keys.
  */
 
+/**
+ * Acquire the lock with the given name, which expires automatically after the given duration.
+ * This is used to make sure periodic tasks are only run by a single worker, when running multiple workers or hosts.
+ * The lock is always acquired if Redis isn't ready.
+ *
+ * @param {string} name Lock name.
+ * @param {Number} duration Number of milliseconds after which the lock expires.
+ * @param {RedisUtils~acquireLockCallback} callback Called with the result or when an error occurred.
+ */
+RedisUtils.acquireLock = function(name, duration, callback) {
+    // Acquire the lock if Redis isn't ready, there's nothing to coordinate with
+    if(!RedisUtils.isReady()) {
+        callback(null, true);
+        return;
+    }
+
+    // Set the lock key if it doesn't exist yet
+    redisClient.set('lock:' + name, process.pid, 'NX', 'PX', Math.max(Math.floor(duration), 1), function(err, reply) {
+        // Call back errors
+        if(err !== null) {
+            callback(new Error(err));
+            return;
+        }
+
+        // The lock is acquired if the key was set
+        callback(null, reply === 'OK');
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback RedisUtils~acquireLockCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the lock was acquired, false if it's held by another worker.
+ */
+
 // Export the class
 module.exports = RedisUtils;
\ No newline at end of file
@@ -31,6 +31,7 @@ var Validator = require('../../validator/Validator');
 var IpUtils = require('../../util/IpUtils');
 var LayoutRenderer = require('../../layout/LayoutRenderer');
 var SessionValidator = require('../../router/middleware/SessionValidator');
+var LoginTokenDatabase = require('../../model/logintoken/LoginTokenDatabase');
 
 // Login index
 router.get('/', function(req, res, next) {
@@ -141,6 +142,96 @@ router.post('/', function(req, res, next) {
     });
 });
 
+// Login with a one-time login token, such as from a printed QR login card
+router.get('/token/:token', function(req, res, next) {
+    // Use the login token
+    LoginTokenDatabase.useLoginToken(req.params.token, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            next(err);
+            return;
+        }
+
+        // Show an error page if the token is invalid
+        if(result === null) {
+            LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                message: 'Deze inlogcode is ongeldig, verlopen of al gebruikt.\n\n' +
+                'Vraag alstublieft een nieuwe inlogkaart aan de spelleider, of log in met uw gebruikersnaam en wachtwoord.'
+            });
+            return;
+        }
+
+        // Get the user of the token
+        Core.model.userModelManager.getUserById(result.user, function(err, user) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Show an error page if the user doesn't exist anymore
+            if(user === null) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'De gebruiker van deze inlogcode bestaat niet meer.'
+                });
+                return;
+            }
+
+            // Get the game of the token
+            Core.model.gameModelManager.getGameById(result.game, function(err, game) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Show an error page if the game doesn't exist anymore
+                if(game === null) {
+                    LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                        message: 'Het spel van deze inlogcode bestaat niet meer.'
+                    });
+                    return;
+                }
+
+                // Users that can manage the game must log in with their password, their account gives more access
+                game.hasManagePermission(user, function(err, privileged) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Show an error page for privileged users
+                    if(privileged) {
+                        LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                            message: 'Deze inlogcode kan niet worden gebruikt door een gebruiker met beheerrechten.\n\n' +
+                            'Log alstublieft in met uw gebruikersnaam en wachtwoord.'
+                        });
+                        return;
+                    }
+
+                    // Create a session for the user
+                    Core.model.sessionModelManager.createSession(user, IpUtils.getIp(req), function(err, sessionId, token) {
+                        // Call back errors
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Put the token in the user's cookie
+                        res.cookie(config.session.cookieName, token, {
+                            maxAge: config.session.expire * 1000
+                        });
+
+                        // Drop the user straight into the game
+                        res.redirect('/game/' + result.game.toString());
+                    });
+                });
+            });
+        });
+    });
+});
+
 /**
  * Called after successfully logged in to redirect the user to the proper page.
  * The user will be redirected to the dashboard by default.
@@ -52,6 +52,7 @@ router.post('/', function(req, res, next) {
     const users = data.users;
     const isParticipant = data.role.participant;
     const isSpectator = data.role.spectator;
+    const teamId = data.role.team;
 
     // Create a variable for the game
     var game = null;
@@ -103,28 +104,16 @@ router.post('/', function(req, res, next) {
                 return;
             }
 
-            // Create a callback latch
-            var latch = new CallbackLatch();
+            // Create a variable for the team, undefined if the team shouldn't be changed
+            var team = teamId === null ? null : undefined;
 
-            // Create an array of players that were successfully updated
-            var updatedUsers = [];
-
-            // Loop through the user ids
-            users.forEach(function(userId) {
-                // Format the user ID
-                userId = userId.trim();
-
-                // Cancel the current loop if we called back already
-                if(calledBack)
-                    return;
-
-                // Get the game user for this game and user
-                latch.add();
-                Core.model.gameUserModelManager.getGameUser(game, userId, function(err, gameUser) {
-                    // Continue if the operation was cancelled
-                    if(calledBack)
-                        return;
+            // Create a callback latch for fetching the team
+            var teamLatch = new CallbackLatch();
 
+            // Get the team if a team is given
+            if(teamId !== undefined && teamId !== null) {
+                teamLatch.add();
+                Core.model.gameTeamModelManager.getTeamById(teamId, function(err, result) {
                     // Call back errors
                     if(err !== null) {
                         if(!calledBack)
@@ -133,30 +122,21 @@ router.post('/', function(req, res, next) {
                         return;
                     }
 
-                    // Make sure the game user is valid
-                    if(gameUser === null || gameUser === undefined) {
-                        // Respond with an error
+                    // Send an error response if the team is invalid
+                    if(result === null) {
                         if(!calledBack)
                             res.json({
                                 status: 'error',
                                 error: {
-                                    message: 'Ongeldige game en gebruikers ID combinatie (gebruiker ID: \'' + userId + '\')'
+                                    message: 'Ongeldig team ID.'
                                 }
                             });
-
-                        // Set the cancelled flag and return
                         calledBack = true;
                         return;
                     }
 
-                    // Create a fields object with the new field values
-                    const fields = {
-                        is_participant: isParticipant,
-                        is_spectator: isSpectator
-                    };
-
-                    // Set the fields for the game user
-                    gameUser.setFields(fields, function(err) {
+                    // Make sure the team is part of this game
+                    result.getGame(function(err, teamGame) {
                         // Call back errors
                         if(err !== null) {
                             if(!calledBack)
@@ -165,33 +145,133 @@ router.post('/', function(req, res, next) {
                             return;
                         }
 
-                        // Add the user to the updated users list
-                        updatedUsers.push(userId);
+                        // Send an error response if the team isn't part of this game
+                        if(!game.getId().equals(teamGame.getId())) {
+                            if(!calledBack)
+                                res.json({
+                                    status: 'error',
+                                    error: {
+                                        message: 'Dit team hoort niet bij dit spel.'
+                                    }
+                                });
+                            calledBack = true;
+                            return;
+                        }
 
-                        // Resolve the latch
-                        latch.resolve();
+                        // Set the team, and resolve the latch
+                        team = result;
+                        teamLatch.resolve();
                     });
                 });
-            });
+            }
 
-            // Send the result when we're done
-            latch.then(function() {
-                // Flush the game user model manager
-                Core.model.gameUserModelManager.flushCache(function(err) {
-                    // Call back errors
-                    if(err !== null) {
-                        if(!calledBack)
-                            next(err);
-                        calledBack = true;
+            // Update the users when the team is fetched
+            teamLatch.then(function() {
+                // Create a callback latch
+                var latch = new CallbackLatch();
+
+                // Create an array of players that were successfully updated
+                var updatedUsers = [];
+
+                // Loop through the user ids
+                users.forEach(function(userId) {
+                    // Format the user ID
+                    userId = userId.trim();
+
+                    // Cancel the current loop if we called back already
+                    if(calledBack)
                         return;
-                    }
 
-                    // Send an OK response if not cancelled
-                    if(!calledBack)
-                        res.json({
-                            status: 'ok',
-                            updatedUsers
+                    // Get the game user for this game and user
+                    latch.add();
+                    Core.model.gameUserModelManager.getGameUser(game, userId, function(err, gameUser) {
+                        // Continue if the operation was cancelled
+                        if(calledBack)
+                            return;
+
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                next(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Make sure the game user is valid
+                        if(gameUser === null || gameUser === undefined) {
+                            // Respond with an error
+                            if(!calledBack)
+                                res.json({
+                                    status: 'error',
+                                    error: {
+                                        message: 'Ongeldige game en gebruikers ID combinatie (gebruiker ID: \'' + userId + '\')'
+                                    }
+                                });
+
+                            // Set the cancelled flag and return
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Create a fields object with the new field values
+                        const fields = {
+                            is_participant: isParticipant,
+                            is_spectator: isSpectator
+                        };
+
+                        // Set the team if it's changed
+                        if(team !== undefined)
+                            fields.team = team;
+
+                        // Set the fields for the game user
+                        gameUser.setFields(fields, function(err) {
+                            // Call back errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    next(err);
+                                calledBack = true;
+                                return;
+                            }
+
+                            // Add the user to the updated users list
+                            updatedUsers.push(userId);
+
+                            // Resolve the latch
+                            latch.resolve();
                         });
+                    });
+                });
+
+                // Send the result when we're done
+                latch.then(function() {
+                    // Flush the game user model manager
+                    Core.model.gameUserModelManager.flushCache(function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                next(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Reload the user teams of the live game if the teams are changed
+                        const liveGame = Core.gameManager.getLoadedGame(game);
+                        if(team !== undefined && liveGame !== null)
+                            liveGame.loadTeams(function(err) {
+                                // Show a warning on error
+                                if(err !== null) {
+                                    console.warn('Failed to reload the user teams of a live game.');
+                                    console.warn(err);
+                                }
+                            });
+
+                        // Send an OK response if not cancelled
+                        if(!calledBack)
+                            res.json({
+                                status: 'ok',
+                                updatedUsers
+                            });
+                    });
                 });
             });
         });
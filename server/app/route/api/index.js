@@ -0,0 +1,55 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var express = require('express');
+var router = express.Router();
+
+var Core = require('../../../Core');
+var ApiUtils = require('../../util/ApiUtils');
+var v1 = require('./v1/index');
+
+// Index page
+router.get('/', (req, res, next) => next(ApiUtils.createError('No API version specified', 404)));
+
+// API version 1
+router.use('/v1', v1);
+
+// Catch 404 errors, and forward them to the error handler
+router.use(function(req, res, next) {
+    next(ApiUtils.createError('Not Found', 404));
+});
+
+// Error handler
+router.use(function(err, req, res, next) {
+    // Determine whether we're in development mode
+    var dev = Core.expressApp.get('env') === 'development';
+
+    // Respond with the error, include the stack trace if we're in development mode
+    ApiUtils.respondError(res, err, dev);
+
+    // Print the error message to the console for internal errors
+    if(err.status === undefined || err.status >= 500)
+        console.error(err.stack);
+});
+
+// Export the router
+module.exports = router;
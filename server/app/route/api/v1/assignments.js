@@ -0,0 +1,455 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../../Core');
+var ApiUtils = require('../../../util/ApiUtils');
+var CallbackLatch = require('../../../util/CallbackLatch');
+var Validator = require('../../../validator/Validator');
+var AssignmentDatabase = require('../../../model/assignment/AssignmentDatabase');
+var AnswerType = require('../../../model/assignment/AnswerType');
+var AnswerGrader = require('../../../model/assignment/AnswerGrader');
+var SubmissionRevision = require('../../../model/submission/SubmissionRevision');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the assignment endpoints.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the assignment endpoints
+        router.get('/games/:game/assignments', (req, res, next) => self.list(req, res, next));
+        router.post('/games/:game/assignments', (req, res, next) => self.create(req, res, next));
+        router.get('/games/:game/assignments/:assignment', (req, res, next) => self.get(req, res, next));
+        router.patch('/games/:game/assignments/:assignment', (req, res, next) => self.update(req, res, next));
+        router.delete('/games/:game/assignments/:assignment', (req, res, next) => self.delete(req, res, next));
+    },
+
+    /**
+     * List all assignments in a game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    list: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            // Get the assignments
+            Core.model.assignmentModelManager.getAssignments(game, null, function(err, assignments) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Serialize the assignments
+                ApiUtils.serializeAll(assignments, self.serialize, function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Respond with the assignments
+                    ApiUtils.respond(res, {
+                        assignments: result
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Create a new assignment in a game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    create: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game and user
+        const self = module.exports;
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights
+        ApiUtils.requireManagePermission(game, user, next, function() {
+            // Parse the assignment properties, use defaults for the properties that aren't given
+            parseAssignment(req.body, {
+                description: '',
+                answer_text: true,
+                answer_file: false,
+                points: 0,
+                retry: false,
+                max_attempts: null,
+                answer_type: AnswerType.OPEN,
+                answer_config: null
+            }, function(err, assignment) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Create the assignment
+                AssignmentDatabase.addAssignment(assignment.name, assignment.description, game, user, assignment.answer_text,
+                    assignment.answer_file, assignment.points, assignment.retry, assignment.max_attempts, assignment.answer_type, assignment.answer_config,
+                    function(err, assignmentModel) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Respond with the created assignment
+                    self.respondAssignment(res, next, assignmentModel, 201);
+                });
+            });
+        });
+    },
+
+    /**
+     * Get an assignment.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game and assignment
+        const self = module.exports;
+        const game = req.game;
+        const assignment = req.assignment;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights, and the assignment must be part of the game
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            ApiUtils.requireGameModel(game, assignment, 'Ongeldige opdracht.', next, function() {
+                self.respondAssignment(res, next, assignment);
+            });
+        });
+    },
+
+    /**
+     * Update the properties of an assignment.
+     * Properties that aren't given are left unchanged.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    update: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game and assignment
+        const self = module.exports;
+        const game = req.game;
+        const assignment = req.assignment;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights, and the assignment must be part of the game
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            ApiUtils.requireGameModel(game, assignment, 'Ongeldige opdracht.', next, function() {
+                // Get the current assignment properties to use as defaults
+                self.serialize(assignment, function(err, current) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Parse the new assignment properties
+                    parseAssignment(req.body, current, function(err, properties) {
+                        // Call back errors
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Create a callback latch
+                        var latch = new CallbackLatch();
+                        var calledBack = false;
+
+                        // Create a function for setter callbacks
+                        var setterCallback = function(err) {
+                            // Pass errors along
+                            if(err !== null) {
+                                if(!calledBack)
+                                    next(err);
+                                calledBack = true;
+                                return;
+                            }
+
+                            // Resolve the latch
+                            latch.resolve();
+                        };
+
+                        // Update the assignment
+                        latch.add(9);
+                        assignment.setName(properties.name, setterCallback);
+                        assignment.setDescription(properties.description, setterCallback);
+                        assignment.setAnswerText(properties.answer_text, setterCallback);
+                        assignment.setAnswerFile(properties.answer_file, setterCallback);
+                        assignment.setPoints(properties.points, setterCallback);
+                        assignment.setRetry(properties.retry, setterCallback);
+                        assignment.setMaxAttempts(properties.max_attempts, setterCallback);
+                        assignment.setAnswerType(properties.answer_type, setterCallback);
+                        assignment.setAnswerConfig(properties.answer_config, setterCallback);
+
+                        // Respond with the updated assignment
+                        latch.then(function() {
+                            if(!calledBack)
+                                self.respondAssignment(res, next, assignment);
+                            calledBack = true;
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Delete an assignment.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    delete: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Get the game and assignment
+        const game = req.game;
+        const assignment = req.assignment;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights, and the assignment must be part of the game
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            ApiUtils.requireGameModel(game, assignment, 'Ongeldige opdracht.', next, function() {
+                // Delete the model
+                assignment.delete(function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Respond with an empty result
+                    ApiUtils.respond(res);
+                });
+            });
+        });
+    },
+
+    /**
+     * Respond with the given assignment.
+     *
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {AssignmentModel} assignment Assignment to respond with.
+     * @param {Number} [status=200] HTTP status code.
+     */
+    respondAssignment: (res, next, assignment, status) => {
+        module.exports.serialize(assignment, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Respond with the assignment
+            ApiUtils.respond(res, {
+                assignment: result
+            }, status);
+        });
+    },
+
+    /**
+     * Serialize an assignment for an API response.
+     *
+     * @param {AssignmentModel} assignment Assignment to serialize.
+     * @param {function} callback Called with the serialized assignment, or when an error occurred.
+     */
+    serialize: (assignment, callback) => {
+        ApiUtils.fetchProperties({
+            name: (callback) => assignment.getName(callback),
+            description: (callback) => assignment.getDescription(callback),
+            answer_text: (callback) => assignment.isAnswerText(callback),
+            answer_file: (callback) => assignment.isAnswerFile(callback),
+            points: (callback) => assignment.getPoints(callback),
+            retry: (callback) => assignment.isRetry(callback),
+            max_attempts: (callback) => assignment.getMaxAttempts(callback),
+            answer_type: (callback) => assignment.getAnswerType(callback),
+            answer_config: (callback) => assignment.getAnswerConfig(callback)
+        }, function(err, properties) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Add the ID and call back
+            properties.id = assignment.getIdHex();
+            callback(null, properties);
+        });
+    }
+};
+
+/**
+ * Parse and validate the assignment properties from a request body.
+ *
+ * @param {Object} body Request body.
+ * @param {Object} defaults Default values for properties that aren't given in the body.
+ * @param {function} callback Called with the parsed properties, or with an error if they're invalid.
+ */
+function parseAssignment(body, defaults, callback) {
+    // Merge the body with the defaults
+    var assignment = {
+        name: body.name !== undefined ? body.name : defaults.name,
+        description: body.description !== undefined ? body.description : defaults.description,
+        answer_text: body.answer_text !== undefined ? ApiUtils.parseBoolean(body.answer_text) : defaults.answer_text,
+        answer_file: body.answer_file !== undefined ? ApiUtils.parseBoolean(body.answer_file) : defaults.answer_file,
+        points: body.points !== undefined ? parseInt(body.points, 10) : defaults.points,
+        retry: body.retry !== undefined ? ApiUtils.parseBoolean(body.retry) : defaults.retry,
+        max_attempts: body.max_attempts !== undefined ? SubmissionRevision.parseMaxAttempts(body.max_attempts) : defaults.max_attempts,
+        answer_type: body.answer_type !== undefined ? parseInt(body.answer_type, 10) : defaults.answer_type,
+        answer_config: body.answer_config !== undefined ? body.answer_config : defaults.answer_config
+    };
+
+    // Validate assignment name
+    if(!_.isString(assignment.name) || !Validator.isValidAssignmentName(assignment.name)) {
+        callback(ApiUtils.createError('Ongeldige naam voor de opdracht.', 400));
+        return;
+    }
+
+    // Validate the description
+    if(!_.isString(assignment.description)) {
+        callback(ApiUtils.createError('Ongeldige beschrijving voor de opdracht.', 400));
+        return;
+    }
+
+    // Validate the booleans
+    if(assignment.answer_text === undefined || assignment.answer_file === undefined || assignment.retry === undefined) {
+        callback(ApiUtils.createError('Ongeldige waarde voor een van de opdracht opties.', 400));
+        return;
+    }
+
+    // Validate the maximum number of attempts
+    if(assignment.max_attempts === undefined) {
+        callback(ApiUtils.createError('Ongeldig maximaal aantal pogingen voor de opdracht.', 400));
+        return;
+    }
+
+    // Validate the answer type
+    if(!AnswerType.isValid(assignment.answer_type)) {
+        callback(ApiUtils.createError('Ongeldig antwoord type voor de opdracht.', 400));
+        return;
+    }
+
+    // Open answers don't have a configuration, drop the configuration of a previous type
+    if(assignment.answer_type === AnswerType.OPEN && body.answer_config === undefined)
+        assignment.answer_config = null;
+
+    // Validate the answer configuration
+    if(!AnswerGrader.isValidConfig(assignment.answer_type, assignment.answer_config)) {
+        callback(ApiUtils.createError('Ongeldige antwoord instellingen voor de opdracht. ' + AnswerGrader.getConfigRequirements(assignment.answer_type), 400));
+        return;
+    }
+
+    // Automatically graded assignments are always answered with text
+    if(AnswerType.isAutoGraded(assignment.answer_type)) {
+        assignment.answer_text = true;
+        assignment.answer_file = false;
+    }
+
+    // Make sure the user will be able to answer with one of the two
+    if(!assignment.answer_text && !assignment.answer_file) {
+        callback(ApiUtils.createError('Er moet met tekst of een bestand geantwoord kunnen worden.', 400));
+        return;
+    }
+
+    // Make sure the points are valid
+    if(!_.isInteger(assignment.points) || assignment.points < 0) {
+        callback(ApiUtils.createError('Ongeldig aantal punten.', 400));
+        return;
+    }
+
+    // Format the name and description, and call back
+    assignment.name = Validator.formatAssignmentName(assignment.name);
+    assignment.description = Validator.formatAssignmentDescription(assignment.description);
+    callback(null, assignment);
+}
@@ -0,0 +1,225 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../../Core');
+var ApiUtils = require('../../../util/ApiUtils');
+var CallbackLatch = require('../../../util/CallbackLatch');
+var ApprovalState = require('../../../model/submission/ApprovalState');
+var PlayerActivity = require('../../../live/user/PlayerActivity');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the dashboard endpoints.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the dashboard endpoints
+        router.get('/games/:game/dashboard', (req, res, next) => self.get(req, res, next));
+    },
+
+    /**
+     * Get the live state of a game for the manager dashboard.
+     * This includes the location, activity and progress of each participant, and the submissions awaiting approval.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            // Get the participants and submissions of the game
+            ApiUtils.fetchProperties({
+                participants: (callback) => Core.model.gameUserModelManager.getGameUsers(game, {participants: true}, callback),
+                submissions: (callback) => self.getSubmissions(game, callback)
+            }, function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Get the approval states of the submissions of each user
+                const states = _.mapValues(_.groupBy(result.submissions, 'user'),
+                    (submissions) => submissions.map((submission) => submission.approve_state));
+
+                // Get the live game, to get the locations of the players
+                const liveGame = Core.gameManager.getLoadedGame(game);
+
+                // Serialize the participants
+                ApiUtils.serializeAll(result.participants,
+                    (participant, callback) => self.serializePlayer(participant, liveGame, states[participant.getIdHex()] || [], callback),
+                    function(err, players) {
+                        // Call back errors
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Respond with the players and the submissions awaiting approval
+                        ApiUtils.respond(res, {
+                            players,
+                            pending: result.submissions.filter((submission) => submission.approve_state === ApprovalState.PENDING)
+                        });
+                    });
+            });
+        });
+    },
+
+    /**
+     * Get the submissions of a game, with the assignment, user and approval state of each submission.
+     *
+     * @param {GameModel} game Game model.
+     * @param {function} callback Called with an error or null, and the list of submissions.
+     */
+    getSubmissions: (game, callback) => {
+        // Get the assignments of the game
+        Core.model.assignmentModelManager.getAssignments(game, null, function(err, assignments) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Create a callback latch
+            var latch = new CallbackLatch();
+            var calledBack = false;
+
+            // Get the submissions of each assignment
+            var submissions = [];
+            assignments.forEach(function(assignment) {
+                latch.add();
+                ApiUtils.fetchProperties({
+                    name: (callback) => assignment.getName(callback),
+                    submissions: (callback) => Core.model.submissionModelManager.getSubmissions(null, assignment, callback)
+                }, function(err, properties) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Get the user and approval state of each submission
+                    properties.submissions.forEach(function(submission) {
+                        latch.add();
+                        ApiUtils.fetchProperties({
+                            user: (callback) => submission.getUser(callback),
+                            approve_state: (callback) => submission.getApprovalState(callback)
+                        }, function(err, submissionProperties) {
+                            // Call back errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    callback(err);
+                                calledBack = true;
+                                return;
+                            }
+
+                            // Add the submission
+                            submissions.push({
+                                id: submission.getIdHex(),
+                                assignment: assignment.getIdHex(),
+                                assignment_name: properties.name,
+                                user: submissionProperties.user !== null ? submissionProperties.user.getIdHex() : null,
+                                approve_state: submissionProperties.approve_state
+                            });
+
+                            // Resolve the latch
+                            latch.resolve();
+                        });
+                    });
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            });
+
+            // Call back the submissions
+            latch.then(function() {
+                if(!calledBack)
+                    callback(null, submissions);
+                calledBack = true;
+            });
+        });
+    },
+
+    /**
+     * Serialize a player for the dashboard.
+     *
+     * @param {UserModel} user User model of the player.
+     * @param {Game|null} liveGame Live game instance, or null if the game isn't loaded.
+     * @param {Number[]} states Approval states of the submissions of the player.
+     * @param {function} callback Called with the serialized player, or when an error occurred.
+     */
+    serializePlayer: (user, liveGame, states, callback) => {
+        // Get the name of the player
+        user.getName(function(err, name) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Get the location of the player if the game is loaded
+            const liveUser = liveGame !== null ? liveGame.userManager.getLoadedUser(user) : null;
+            const location = liveUser !== null ? liveUser.getLocation() : null;
+            const locationAge = liveUser !== null ? liveUser.getLocationAge() : null;
+
+            // Build the serialized player and call back
+            callback(null, {
+                user: user.getIdHex(),
+                name,
+                team: liveGame !== null ? liveGame.getUserTeamId(user) : null,
+                location: location !== null ? {
+                    latitude: location.latitude,
+                    longitude: location.longitude
+                } : null,
+                location_age: locationAge,
+                state: PlayerActivity.getState(locationAge),
+                submissions: PlayerActivity.countSubmissions(states)
+            });
+        });
+    }
+};
@@ -0,0 +1,385 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../../Core');
+var ApiUtils = require('../../../util/ApiUtils');
+var CallbackLatch = require('../../../util/CallbackLatch');
+var Validator = require('../../../validator/Validator');
+var GameDatabase = require('../../../model/game/GameDatabase');
+var GameSchedule = require('../../../live/game/GameSchedule');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the game endpoints.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the game endpoints
+        router.get('/games', (req, res, next) => self.list(req, res, next));
+        router.post('/games', (req, res, next) => self.create(req, res, next));
+        router.get('/games/:game', (req, res, next) => self.get(req, res, next));
+        router.patch('/games/:game', (req, res, next) => self.update(req, res, next));
+    },
+
+    /**
+     * List all games, optionally limited to the stage given in the query.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    list: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the user
+        const self = module.exports;
+        const user = req.session.user;
+
+        // Determine what stages to list the games for
+        var stages = [0, 1, 2];
+        if(req.query.stage !== undefined) {
+            // Parse the stage, and make sure it's valid
+            const stage = parseInt(req.query.stage, 10);
+            if(!Core.model.gameModelManager.isValidStage(stage)) {
+                next(ApiUtils.createError('Ongeldige spel staat.', 400));
+                return;
+            }
+
+            // Only list this stage
+            stages = [stage];
+        }
+
+        // Create a list of games
+        var games = [];
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+        var calledBack = false;
+
+        // Get the games for each stage
+        stages.forEach(function(stage) {
+            latch.add();
+            Core.model.gameModelManager.getGamesWithStage(stage, {
+                limit: -1
+            }, function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Add the games to the list
+                games = games.concat(result);
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Serialize the games when done
+        latch.then(function() {
+            ApiUtils.serializeAll(games, (game, callback) => self.serialize(game, user, callback), function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Respond with the games
+                ApiUtils.respond(res, {
+                    games: result
+                });
+            });
+        });
+    },
+
+    /**
+     * Create a new game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    create: (req, res, next) => {
+        // Get the game name
+        var gameName = req.body.name;
+
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the user
+        const self = module.exports;
+        const user = req.session.user;
+
+        // The user must be an administrator
+        user.isAdmin(function(err, isAdmin) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user is an administrator
+            if(!isAdmin) {
+                next(ApiUtils.createError('Je hebt geen rechten om een spel aan te maken.', 403));
+                return;
+            }
+
+            // Validate game name
+            if(!_.isString(gameName) || !Validator.isValidGameName(gameName)) {
+                next(ApiUtils.createError('Ongeldige naam voor het spel.', 400));
+                return;
+            }
+
+            // Create the game
+            GameDatabase.addGame(user, Validator.formatGameName(gameName), function(err, game) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Respond with the created game
+                self.respondGame(res, next, game, user, 201);
+            });
+        });
+    },
+
+    /**
+     * Get a game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Get the game
+        const game = req.game;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // Respond with the game
+        module.exports.respondGame(res, next, game, req.session.user);
+    },
+
+    /**
+     * Update the name and/or stage of a game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    update: (req, res, next) => {
+        // Get the new values
+        var gameName = req.body.name;
+        var stage = req.body.stage;
+
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game and user
+        const self = module.exports;
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights
+        ApiUtils.requireManagePermission(game, user, next, function() {
+            // Validate the game name if set
+            if(gameName !== undefined && (!_.isString(gameName) || !Validator.isValidGameName(gameName))) {
+                next(ApiUtils.createError('Ongeldige naam voor het spel.', 400));
+                return;
+            }
+
+            // Validate the stage if set, a game can't be moved back to the initial stage
+            if(stage !== undefined) {
+                stage = parseInt(stage, 10);
+                if(!Core.model.gameModelManager.isValidStage(stage) || stage < 1) {
+                    next(ApiUtils.createError('Ongeldige spel staat.', 400));
+                    return;
+                }
+            }
+
+            // Create a callback latch
+            var latch = new CallbackLatch();
+            var calledBack = false;
+
+            // Set the game name
+            if(gameName !== undefined) {
+                latch.add();
+                game.setName(Validator.formatGameName(gameName), function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            }
+
+            // Change the game stage if it's different
+            if(stage !== undefined) {
+                latch.add();
+                game.getStage(function(err, currentStage) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Resolve the latch if the stage doesn't change
+                    if(stage === currentStage) {
+                        latch.resolve();
+                        return;
+                    }
+
+                    // Set the stage, this loads or unloads the live game
+                    Core.gameManager.setGameStage(game, stage, function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                next(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Resolve the latch
+                        latch.resolve();
+                    });
+                });
+            }
+
+            // Flush the game cache and respond with the updated game
+            latch.then(function() {
+                Core.model.gameModelManager.flushCache(function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Respond with the game
+                    if(!calledBack)
+                        self.respondGame(res, next, game, user);
+                    calledBack = true;
+                });
+            });
+        });
+    },
+
+    /**
+     * Respond with the given game.
+     *
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {GameModel} game Game to respond with.
+     * @param {UserModel} user User the response is for.
+     * @param {Number} [status=200] HTTP status code.
+     */
+    respondGame: (res, next, game, user, status) => {
+        module.exports.serialize(game, user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Respond with the game
+            ApiUtils.respond(res, {
+                game: result
+            }, status);
+        });
+    },
+
+    /**
+     * Serialize a game for an API response.
+     *
+     * @param {GameModel} game Game to serialize.
+     * @param {UserModel} user User the game is serialized for.
+     * @param {function} callback Called with the serialized game, or when an error occurred.
+     */
+    serialize: (game, user, callback) => {
+        ApiUtils.fetchProperties({
+            name: (callback) => game.getName(callback),
+            stage: (callback) => game.getStage(callback),
+            create_date: (callback) => game.getCreateDate(callback),
+            user: (callback) => game.getUser((err, host) => callback(err, host !== null && host !== undefined ? host.getIdHex() : null)),
+            user_state: (callback) => game.getUserState(user, callback),
+            manage: (callback) => game.hasManagePermission(user, callback),
+            schedule: (callback) => game.getSchedule((err, schedule) => callback(err, err === null ? {
+                start: schedule.start,
+                end: schedule.end,
+                duration: schedule.duration,
+                finish_date: GameSchedule.getEndDate(schedule)
+            } : undefined)),
+            route_mode: (callback) => game.isRouteMode(callback),
+            point_range: (callback) => game.getPointRange(callback),
+            area: (callback) => game.getArea(callback),
+            location_history: (callback) => game.isLocationHistory(callback)
+        }, function(err, properties) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Add the ID and call back
+            properties.id = game.getIdHex();
+            callback(null, properties);
+        });
+    }
+};
@@ -0,0 +1,79 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var express = require('express');
+var router = express.Router();
+
+var apiSession = require('./session');
+var apiGames = require('./games');
+var apiPoints = require('./points');
+var apiAssignments = require('./assignments');
+var apiUsers = require('./users');
+var apiSubmissions = require('./submissions');
+var apiLocations = require('./locations');
+var apiDashboard = require('./dashboard');
+
+var ApiUtils = require('../../../util/ApiUtils');
+var GameParam = require('../../../router/middleware/GameParam');
+var PointParam = require('../../../router/middleware/PointParam');
+var AssignmentParam = require('../../../router/middleware/AssignmentParam');
+var SubmissionParam = require('../../../router/middleware/SubmissionParam');
+var UserParam = require('../../../router/middleware/UserParam');
+
+// Index page
+router.get('/', (req, res) => ApiUtils.respond(res, {
+    version: 1
+}));
+
+// Attach the parameter middleware
+GameParam.attach(router);
+PointParam.attach(router);
+AssignmentParam.attach(router);
+SubmissionParam.attach(router);
+UserParam.attach(router);
+
+// Route the session endpoints
+apiSession.route(router);
+
+// Route the game endpoints
+apiGames.route(router);
+
+// Route the point endpoints
+apiPoints.route(router);
+
+// Route the assignment endpoints
+apiAssignments.route(router);
+
+// Route the game user endpoints
+apiUsers.route(router);
+
+// Route the submission endpoints
+apiSubmissions.route(router);
+
+// Route the location history endpoints
+apiLocations.route(router);
+
+// Route the dashboard endpoints
+apiDashboard.route(router);
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,116 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var Core = require('../../../../Core');
+var ApiUtils = require('../../../util/ApiUtils');
+var LocationHistory = require('../../../live/user/LocationHistory');
+var LocationHistoryDatabase = require('../../../model/locationhistory/LocationHistoryDatabase');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the location history endpoints.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the location history endpoints
+        router.get('/games/:game/locations', (req, res, next) => self.list(req, res, next));
+    },
+
+    /**
+     * List the recorded location history of a game, as a trail for each player.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    list: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            // Get the location history
+            LocationHistoryDatabase.getLocations(game, function(err, locations) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Serialize the trails
+                ApiUtils.serializeAll(LocationHistory.getTrails(locations), self.serializeTrail, function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Respond with the trails
+                    ApiUtils.respond(res, {
+                        trails: result
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Serialize a trail for an API response.
+     *
+     * @param {{user: string, locations: Object[]}} trail Trail to serialize.
+     * @param {function} callback Called with the serialized trail, or when an error occurred.
+     */
+    serializeTrail: (trail, callback) => {
+        // Get the name of the user
+        Core.model.userModelManager._instanceManager.create(trail.user).getName(function(err, name) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Build the serialized trail and call back
+            callback(null, {
+                user: trail.user,
+                name,
+                locations: trail.locations
+            });
+        });
+    }
+};
@@ -0,0 +1,405 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../../Core');
+var ApiUtils = require('../../../util/ApiUtils');
+var CallbackLatch = require('../../../util/CallbackLatch');
+var Coordinate = require('../../../coordinate/Coordinate');
+var Validator = require('../../../validator/Validator');
+var PointDatabase = require('../../../model/point/PointDatabase');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the point endpoints.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the point endpoints
+        router.get('/games/:game/points', (req, res, next) => self.list(req, res, next));
+        router.post('/games/:game/points', (req, res, next) => self.create(req, res, next));
+        router.get('/games/:game/points/:point', (req, res, next) => self.get(req, res, next));
+        router.patch('/games/:game/points/:point', (req, res, next) => self.update(req, res, next));
+        router.delete('/games/:game/points/:point', (req, res, next) => self.delete(req, res, next));
+    },
+
+    /**
+     * List all points in a game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    list: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            // Get the points
+            Core.model.pointModelManager.getPoints(game, null, function(err, points) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Serialize the points
+                ApiUtils.serializeAll(points, self.serialize, function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Respond with the points
+                    ApiUtils.respond(res, {
+                        points: result
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Create a new point in a game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    create: (req, res, next) => {
+        // Get the point name
+        var pointName = req.body.name;
+
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game and user
+        const self = module.exports;
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights
+        ApiUtils.requireManagePermission(game, user, next, function() {
+            // Validate the point name
+            if(!_.isString(pointName) || !Validator.isValidPointName(pointName)) {
+                next(ApiUtils.createError('Ongeldige naam voor het punt.', 400));
+                return;
+            }
+
+            // Parse the location
+            const location = parseLocation(req.body);
+            if(location === null) {
+                next(ApiUtils.createError('Ongeldige locatie voor het punt.', 400));
+                return;
+            }
+
+            // Create the point
+            PointDatabase.addPoint(Validator.formatPointName(pointName), game, user, location, function(err, point) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Respond with the created point
+                self.respondPoint(res, next, point, 201);
+            });
+        });
+    },
+
+    /**
+     * Get a point.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game and point
+        const self = module.exports;
+        const game = req.game;
+        const point = req.point;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights, and the point must be part of the game
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            ApiUtils.requireGameModel(game, point, 'Ongeldig punt.', next, function() {
+                self.respondPoint(res, next, point);
+            });
+        });
+    },
+
+    /**
+     * Update the name and/or location of a point.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    update: (req, res, next) => {
+        // Get the new point name
+        var pointName = req.body.name;
+
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game and point
+        const self = module.exports;
+        const game = req.game;
+        const point = req.point;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights, and the point must be part of the game
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            ApiUtils.requireGameModel(game, point, 'Ongeldig punt.', next, function() {
+                // Validate the point name if set
+                if(pointName !== undefined && (!_.isString(pointName) || !Validator.isValidPointName(pointName))) {
+                    next(ApiUtils.createError('Ongeldige naam voor het punt.', 400));
+                    return;
+                }
+
+                // Parse the location if set
+                var location;
+                if(req.body.latitude !== undefined || req.body.longitude !== undefined) {
+                    location = parseLocation(req.body);
+                    if(location === null) {
+                        next(ApiUtils.createError('Ongeldige locatie voor het punt.', 400));
+                        return;
+                    }
+                }
+
+                // Create a callback latch
+                var latch = new CallbackLatch();
+                var calledBack = false;
+
+                // Create a function for setter callbacks
+                var setterCallback = function(err) {
+                    // Pass errors along
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Resolve the latch
+                    latch.resolve();
+                };
+
+                // Update the point
+                if(pointName !== undefined) {
+                    latch.add();
+                    point.setName(Validator.formatPointName(pointName), setterCallback);
+                }
+                if(location !== undefined) {
+                    latch.add();
+                    point.setLocation(location, setterCallback);
+                }
+
+                // Respond with the updated point
+                latch.then(function() {
+                    if(!calledBack)
+                        self.respondPoint(res, next, point);
+                    calledBack = true;
+                });
+            });
+        });
+    },
+
+    /**
+     * Delete a point.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    delete: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Get the game and point
+        const game = req.game;
+        const point = req.point;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights, and the point must be part of the game
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            ApiUtils.requireGameModel(game, point, 'Ongeldig punt.', next, function() {
+                // Get the live point
+                point.getLivePoint(function(err, livePoint) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Create a function to call when the point is deleted
+                    const deleteCallback = function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Respond with an empty result
+                        ApiUtils.respond(res);
+                    };
+
+                    // Destroy the live point if it's loaded, delete the point model otherwise
+                    if(livePoint !== null)
+                        livePoint.destroy(deleteCallback);
+                    else
+                        point.delete(deleteCallback);
+                });
+            });
+        });
+    },
+
+    /**
+     * Respond with the given point.
+     *
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {PointModel} point Point to respond with.
+     * @param {Number} [status=200] HTTP status code.
+     */
+    respondPoint: (res, next, point, status) => {
+        module.exports.serialize(point, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Respond with the point
+            ApiUtils.respond(res, {
+                point: result
+            }, status);
+        });
+    },
+
+    /**
+     * Serialize a point for an API response.
+     *
+     * @param {PointModel} point Point to serialize.
+     * @param {function} callback Called with the serialized point, or when an error occurred.
+     */
+    serialize: (point, callback) => {
+        ApiUtils.fetchProperties({
+            name: (callback) => point.getName(callback),
+            location: (callback) => point.getLocation(callback),
+            required_points: (callback) => point.getRequiredPoints(callback),
+            range: (callback) => point.getRange(callback),
+            check_in_method: (callback) => point.getCheckInMethod(callback)
+        }, function(err, properties) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Build the serialized point and call back
+            callback(null, {
+                id: point.getIdHex(),
+                name: properties.name,
+                latitude: properties.location.latitude,
+                longitude: properties.location.longitude,
+                required_points: properties.required_points.map((requiredPoint) => requiredPoint.getIdHex()),
+                range: properties.range.range,
+                range_active: properties.range.active,
+                check_in_method: properties.check_in_method
+            });
+        });
+    }
+};
+
+/**
+ * Parse the location from a request body.
+ * The body must contain a latitude and longitude property.
+ *
+ * @param {Object} body Request body.
+ *
+ * @return {Coordinate|null} Parsed location, or null if it's invalid.
+ */
+function parseLocation(body) {
+    // Get the latitude and longitude as string, for the validator
+    const latitude = body.latitude !== undefined && body.latitude !== null ? String(body.latitude) : undefined;
+    const longitude = body.longitude !== undefined && body.longitude !== null ? String(body.longitude) : undefined;
+
+    // Validate both values
+    if(!Validator.isValidLatitude(latitude) || !Validator.isValidLongitude(longitude))
+        return null;
+
+    // Create the location
+    return new Coordinate({
+        latitude: Validator.parseLatitude(latitude),
+        longitude: Validator.parseLongitude(longitude)
+    });
+}
@@ -0,0 +1,137 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var config = require('../../../../config');
+
+var Core = require('../../../../Core');
+var ApiUtils = require('../../../util/ApiUtils');
+var IpUtils = require('../../../util/IpUtils');
+var Validator = require('../../../validator/Validator');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the session endpoints.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the session endpoints
+        router.get('/session', (req, res, next) => self.get(req, res, next));
+        router.post('/session', (req, res, next) => self.post(req, res, next));
+    },
+
+    /**
+     * Get the user of the current session.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Get the user
+        const user = req.session.user;
+
+        // Fetch the user properties
+        ApiUtils.fetchProperties({
+            username: (callback) => user.getUsername(callback),
+            name: (callback) => user.getName(callback),
+            admin: (callback) => user.isAdmin(callback)
+        }, function(err, properties) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Respond with the user
+            properties.id = user.getIdHex();
+            ApiUtils.respond(res, {
+                user: properties
+            });
+        });
+    },
+
+    /**
+     * Create a new session for the given credentials.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Get the credentials
+        var username = req.body.username;
+        var password = req.body.password;
+
+        // Validate the username and password
+        if(!_.isString(username) || !Validator.isValidUsername(username) || !_.isString(password) || password.length === 0) {
+            next(ApiUtils.createError('Ongeldige gebruikersnaam of wachtwoord.', 400));
+            return;
+        }
+
+        // Validate the given credentials
+        Core.model.userModelManager.getUserByCredentials(username, password, function(err, user) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Respond with an error if no user was found
+            if(user === null) {
+                next(ApiUtils.createError('De combinatie van deze gebruikersnaam en dit wachtwoord is onbekend.', 401));
+                return;
+            }
+
+            // Create a session for the user
+            Core.model.sessionModelManager.createSession(user, IpUtils.getIp(req), function(err, sessionId, token) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Respond with the session token
+                ApiUtils.respond(res, {
+                    session: {
+                        token,
+                        expire: config.session.expire
+                    },
+                    user: {
+                        id: user.getIdHex()
+                    }
+                }, 201);
+            });
+        });
+    }
+};
@@ -0,0 +1,486 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../../Core');
+var ApiUtils = require('../../../util/ApiUtils');
+var CallbackLatch = require('../../../util/CallbackLatch');
+var Validator = require('../../../validator/Validator');
+var ApprovalState = require('../../../model/submission/ApprovalState');
+var SubmissionGrade = require('../../../model/submission/SubmissionGrade');
+var pageSubmissionApprove = require('../../game/submission/approve/approve');
+var pageSubmissionDelete = require('../../game/submission/delete');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the submission endpoints.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the submission endpoints
+        router.get('/games/:game/submissions', (req, res, next) => self.list(req, res, next));
+        router.get('/games/:game/submissions/:submission', (req, res, next) => self.get(req, res, next));
+        router.patch('/games/:game/submissions/:submission', (req, res, next) => self.update(req, res, next));
+        router.delete('/games/:game/submissions/:submission', (req, res, next) => self.delete(req, res, next));
+    },
+
+    /**
+     * List the submissions in a game.
+     * Game managers get all submissions, other users only get their own.
+     * The assignment, user and approve_state query parameters may be used to filter the list.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    list: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game and user
+        const self = module.exports;
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // Parse the approval state filter
+        var approvalState;
+        if(req.query.approve_state !== undefined) {
+            approvalState = parseInt(req.query.approve_state, 10);
+            if(!ApprovalState.isValid(approvalState)) {
+                next(ApiUtils.createError('Ongeldige goedkeuringsstatus.', 400));
+                return;
+            }
+        }
+
+        // Create the filter values
+        var userFilter = null;
+        var assignments = [];
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+        var calledBack = false;
+
+        // Determine the user to filter on, users that can't manage the game may only list their own submissions
+        latch.add();
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Only list the user's own submissions if the user isn't a manager
+            if(!hasPermission) {
+                if(req.query.user !== undefined && req.query.user !== user.getIdHex()) {
+                    if(!calledBack)
+                        next(ApiUtils.createError('Je hebt geen rechten om de inzendingen van deze gebruiker te bekijken.', 403));
+                    calledBack = true;
+                    return;
+                }
+
+                userFilter = user;
+                latch.resolve();
+                return;
+            }
+
+            // Resolve the latch if no user filter is given
+            if(req.query.user === undefined) {
+                latch.resolve();
+                return;
+            }
+
+            // Get the user to filter on
+            Core.model.userModelManager.getUserById(req.query.user, function(err, result) {
+                // Call back errors
+                if(err !== null || result === null) {
+                    if(!calledBack)
+                        next(err !== null ? err : ApiUtils.createError('Ongeldige gebruiker.', 400));
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the user filter, and resolve the latch
+                userFilter = result;
+                latch.resolve();
+            });
+        });
+
+        // Determine the assignments to list the submissions for
+        latch.add();
+        if(req.query.assignment !== undefined) {
+            Core.model.assignmentModelManager.getAssignmentById(req.query.assignment, function(err, assignment) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Make sure the assignment is part of this game
+                ApiUtils.requireGameModel(game, assignment, 'Ongeldige opdracht.', function(err) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                }, function() {
+                    assignments = [assignment];
+                    latch.resolve();
+                });
+            });
+
+        } else {
+            Core.model.assignmentModelManager.getAssignments(game, null, function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the assignments, and resolve the latch
+                assignments = result;
+                latch.resolve();
+            });
+        }
+
+        // Collect the submissions when we're done
+        latch.then(function() {
+            // Create a list of submissions
+            var submissions = [];
+
+            // Create a callback latch for the submissions
+            var submissionLatch = new CallbackLatch();
+
+            // Get the submissions for each assignment
+            assignments.forEach(function(assignment) {
+                submissionLatch.add();
+                Core.model.submissionModelManager.getSubmissions(userFilter, assignment, function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Add the submissions to the list
+                    submissions = submissions.concat(result);
+
+                    // Resolve the latch
+                    submissionLatch.resolve();
+                });
+            });
+
+            // Serialize the submissions
+            submissionLatch.then(function() {
+                ApiUtils.serializeAll(submissions, (submission, callback) => self.serialize(submission, user, callback), function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Apply the approval state filter
+                    if(approvalState !== undefined)
+                        result = result.filter((submission) => submission.approve_state === approvalState);
+
+                    // Respond with the submissions
+                    if(!calledBack)
+                        ApiUtils.respond(res, {
+                            submissions: result
+                        });
+                    calledBack = true;
+                });
+            });
+        });
+    },
+
+    /**
+     * Get a submission.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game, user and submission
+        const self = module.exports;
+        const game = req.game;
+        const user = req.session.user;
+        const submission = req.submission;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The submission must be part of the game, and the user must have permission to view it
+        ApiUtils.requireGameModel(game, submission, 'Ongeldige inzending.', next, function() {
+            self.requirePermission(submission, user, 'view', next, function() {
+                self.respondSubmission(res, next, submission, user);
+            });
+        });
+    },
+
+    /**
+     * Update the approval state of a submission.
+     * Graders may give feedback, and award partial points when approving.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    update: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game, user and submission
+        const self = module.exports;
+        const game = req.game;
+        const user = req.session.user;
+        const submission = req.submission;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // Parse the approval state
+        const approvalState = parseInt(req.body.approve_state, 10);
+
+        // The submission must be part of the game, and the user must have permission to approve it
+        ApiUtils.requireGameModel(game, submission, 'Ongeldige inzending.', next, function() {
+            self.requirePermission(submission, user, 'approve', next, function() {
+                // Validate the approval state
+                if(!ApprovalState.isValid(approvalState)) {
+                    next(ApiUtils.createError('Ongeldige goedkeuringsstatus.', 400));
+                    return;
+                }
+
+                // Validate the feedback
+                const feedback = req.body.feedback !== undefined ? req.body.feedback : '';
+                if(!Validator.isValidSubmissionFeedback(feedback)) {
+                    next(ApiUtils.createError('Ongeldige feedback.', 400));
+                    return;
+                }
+
+                // Get the points of the assignment to validate the awarded points, and the current attempt
+                ApiUtils.fetchProperties({
+                    maxPoints: (callback) => submission.getPoints(callback),
+                    attempt: (callback) => submission.getAttemptCount(callback)
+                }, function(err, properties) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // The decision is tied to an attempt, make sure it's still current if it's given
+                    if(req.body.attempt !== undefined && parseInt(req.body.attempt, 10) !== properties.attempt) {
+                        next(ApiUtils.createError('De speler heeft een nieuwe poging ingezonden.', 409));
+                        return;
+                    }
+
+                    // Parse the awarded points
+                    const maxPoints = properties.maxPoints;
+                    const awardedPoints = SubmissionGrade.parsePoints(req.body.points, maxPoints);
+                    if(awardedPoints === undefined) {
+                        next(ApiUtils.createError('Ongeldig aantal punten.', 400));
+                        return;
+                    }
+
+                    // Apply the approval state, feedback and awarded points
+                    pageSubmissionApprove.applyApprovalState(game, submission, approvalState, {
+                        feedback: Validator.formatSubmissionFeedback(feedback),
+                        points: awardedPoints
+                    }, function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Respond with the updated submission
+                        self.respondSubmission(res, next, submission, user);
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Delete a submission.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    delete: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game, user and submission
+        const self = module.exports;
+        const game = req.game;
+        const submission = req.submission;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The submission must be part of the game, and the user must have permission to delete it
+        ApiUtils.requireGameModel(game, submission, 'Ongeldige inzending.', next, function() {
+            self.requirePermission(submission, req.session.user, 'delete', next, function() {
+                // Delete the submission
+                pageSubmissionDelete.deleteSubmission(game, submission, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Respond with an empty result
+                    ApiUtils.respond(res);
+                });
+            });
+        });
+    },
+
+    /**
+     * Require the given user to have the given permission on a submission.
+     * A 403 error is passed to the next callback if the user doesn't have permission.
+     *
+     * @param {SubmissionModel} submission Submission.
+     * @param {UserModel} user User.
+     * @param {string} permission Permission name, as used in the submission permission object.
+     * @param {function} next Express next callback.
+     * @param {function} callback Called without arguments if the user has permission.
+     */
+    requirePermission: (submission, user, permission, next, callback) => {
+        submission.getPermissionObject(user, function(err, permissions) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user has permission
+            if(!permissions[permission]) {
+                next(ApiUtils.createError('Je hebt geen rechten voor deze inzending.', 403));
+                return;
+            }
+
+            // Continue
+            callback();
+        });
+    },
+
+    /**
+     * Respond with the given submission.
+     *
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {SubmissionModel} submission Submission to respond with.
+     * @param {UserModel} user User the response is for.
+     */
+    respondSubmission: (res, next, submission, user) => {
+        module.exports.serialize(submission, user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Respond with the submission
+            ApiUtils.respond(res, {
+                submission: result
+            });
+        });
+    },
+
+    /**
+     * Serialize a submission for an API response.
+     *
+     * @param {SubmissionModel} submission Submission to serialize.
+     * @param {UserModel} user User the submission is serialized for.
+     * @param {function} callback Called with the serialized submission, or when an error occurred.
+     */
+    serialize: (submission, user, callback) => {
+        // Create a function to get the ID of a model
+        const getIdHex = (model) => model !== null && model !== undefined ? model.getIdHex() : null;
+
+        ApiUtils.fetchProperties({
+            assignment: (callback) => submission.getAssignment((err, assignment) => callback(err, getIdHex(assignment))),
+            user: (callback) => submission.getUser((err, owner) => callback(err, getIdHex(owner))),
+            approve_user: (callback) => submission.getApproveUser((err, approveUser) => callback(err, getIdHex(approveUser))),
+            approve_state: (callback) => submission.getApprovalState(callback),
+            answer_text: (callback) => submission.getAnswerText(callback),
+            answer_file: (callback) => submission.getAnswerFileObject(callback),
+            feedback: (callback) => submission.getFeedback(callback),
+            awarded_points: (callback) => submission.getAwardedPoints(callback),
+            points: (callback) => submission.getEarnedPoints(callback),
+            attempt: (callback) => submission.getAttemptCount(callback),
+            offline_date: (callback) => submission.getClientDate(callback),
+            revisions: (callback) => submission.getRevisions(callback),
+            permissions: (callback) => submission.getPermissionObject(user, callback)
+        }, function(err, properties) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Add the ID and call back
+            properties.id = submission.getIdHex();
+            callback(null, properties);
+        });
+    }
+};
@@ -0,0 +1,417 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../../Core');
+var ApiUtils = require('../../../util/ApiUtils');
+var GameUserDatabase = require('../../../model/gameuser/GameUserDatabase');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the game user endpoints.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the game user endpoints
+        router.get('/games/:game/users', (req, res, next) => self.list(req, res, next));
+        router.post('/games/:game/users', (req, res, next) => self.create(req, res, next));
+        router.get('/games/:game/users/:user', (req, res, next) => self.get(req, res, next));
+        router.patch('/games/:game/users/:user', (req, res, next) => self.update(req, res, next));
+        router.delete('/games/:game/users/:user', (req, res, next) => self.delete(req, res, next));
+    },
+
+    /**
+     * List the users in a game.
+     * The participants, spectators and requested query parameters may be used to filter the list.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    list: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            // Build the filter options from the query
+            const options = {
+                participants: ApiUtils.parseBoolean(req.query.participants),
+                spectators: ApiUtils.parseBoolean(req.query.spectators),
+                requested: ApiUtils.parseBoolean(req.query.requested)
+            };
+
+            // Get the users
+            Core.model.gameUserModelManager.getGameUsers(game, options, function(err, users) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Serialize the users
+                ApiUtils.serializeAll(users, (user, callback) => self.serialize(game, user, callback), function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Respond with the users
+                    ApiUtils.respond(res, {
+                        users: result
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Add an existing user to a game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    create: (req, res, next) => {
+        // Get the roles
+        const isParticipant = req.body.participant !== undefined ? ApiUtils.parseBoolean(req.body.participant) : true;
+        const isSpectator = req.body.spectator !== undefined ? ApiUtils.parseBoolean(req.body.spectator) : false;
+
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            // Validate the roles
+            if(isParticipant === undefined || isSpectator === undefined) {
+                next(ApiUtils.createError('Ongeldige rol voor de gebruiker.', 400));
+                return;
+            }
+
+            // Get the user to add
+            Core.model.userModelManager.getUserById(req.body.user, function(err, user) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Make sure the user exists
+                if(user === null) {
+                    next(ApiUtils.createError('Ongeldige gebruiker.', 400));
+                    return;
+                }
+
+                // Make sure the user isn't in the game yet
+                Core.model.gameUserModelManager.getGameUser(game, user, function(err, gameUser) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Respond with a conflict if the user is already in the game
+                    if(gameUser !== null && gameUser !== undefined) {
+                        next(ApiUtils.createError('Deze gebruiker zit al in dit spel.', 409));
+                        return;
+                    }
+
+                    // Add the user to the game
+                    GameUserDatabase.addGameUser(game, user, isParticipant, isSpectator, function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Respond with the game user
+                        self.respondUser(res, next, game, user, 201);
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Get a user in a game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            self.requireGameUser(req, next, function(gameUser) {
+                self.respondUser(res, next, game, req.paramUser);
+            });
+        });
+    },
+
+    /**
+     * Update the roles of a user in a game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    update: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // Create a fields object with the new field values
+        var fields = {};
+        if(req.body.participant !== undefined)
+            fields.is_participant = ApiUtils.parseBoolean(req.body.participant);
+        if(req.body.spectator !== undefined)
+            fields.is_spectator = ApiUtils.parseBoolean(req.body.spectator);
+
+        // The user must have management rights
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            // Validate the roles
+            if(_.includes(_.values(fields), undefined)) {
+                next(ApiUtils.createError('Ongeldige rol voor de gebruiker.', 400));
+                return;
+            }
+
+            self.requireGameUser(req, next, function(gameUser) {
+                // Set the fields for the game user
+                gameUser.setFields(fields, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Flush the game user model manager
+                    Core.model.gameUserModelManager.flushCache(function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Respond with the game user
+                        self.respondUser(res, next, game, req.paramUser);
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Remove a user from a game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    delete: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!ApiUtils.requireValidSession(req, next))
+            return;
+
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(ApiUtils.createError('Ongeldig spel.', 404));
+            return;
+        }
+
+        // The user must have management rights
+        ApiUtils.requireManagePermission(game, req.session.user, next, function() {
+            self.requireGameUser(req, next, function(gameUser) {
+                // Delete the game user
+                gameUser.delete(function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Respond with an empty result
+                    ApiUtils.respond(res);
+                });
+            });
+        });
+    },
+
+    /**
+     * Get the game user for the game and user in the request parameters.
+     * A 404 error is passed to the next callback if the user isn't in the game.
+     *
+     * @param req Express request object.
+     * @param next Express next callback.
+     * @param {function} callback Called with the game user.
+     */
+    requireGameUser: (req, next, callback) => {
+        // Make sure the user is valid
+        if(req.paramUser === undefined) {
+            next(ApiUtils.createError('Ongeldige gebruiker.', 404));
+            return;
+        }
+
+        // Get the game user
+        Core.model.gameUserModelManager.getGameUser(req.game, req.paramUser, function(err, gameUser) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user is in the game
+            if(gameUser === null || gameUser === undefined) {
+                next(ApiUtils.createError('Deze gebruiker zit niet in dit spel.', 404));
+                return;
+            }
+
+            // Call back the game user
+            callback(gameUser);
+        });
+    },
+
+    /**
+     * Respond with the given user in a game.
+     *
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {GameModel} game Game the user is in.
+     * @param {UserModel} user User to respond with.
+     * @param {Number} [status=200] HTTP status code.
+     */
+    respondUser: (res, next, game, user, status) => {
+        module.exports.serialize(game, user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Respond with the user
+            ApiUtils.respond(res, {
+                user: result
+            }, status);
+        });
+    },
+
+    /**
+     * Serialize a user in a game for an API response.
+     *
+     * @param {GameModel} game Game the user is in.
+     * @param {UserModel} user User to serialize.
+     * @param {function} callback Called with the serialized user, or when an error occurred.
+     */
+    serialize: (game, user, callback) => {
+        ApiUtils.fetchProperties({
+            username: (callback) => user.getUsername(callback),
+            name: (callback) => user.getName(callback),
+            state: (callback) => game.getUserState(user, callback),
+            score: (callback) => {
+                Core.model.gameUserModelManager.getGameUser(game, user, function(err, gameUser) {
+                    // Call back errors, or a zero score if the user isn't in the game
+                    if(err !== null || gameUser === null || gameUser === undefined) {
+                        callback(err, 0);
+                        return;
+                    }
+
+                    // Get the score
+                    gameUser.getScore(callback);
+                });
+            }
+        }, function(err, properties) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Build the serialized user and call back
+            callback(null, {
+                id: user.getIdHex(),
+                username: properties.username,
+                name: properties.name,
+                participant: properties.state.participant,
+                spectator: properties.state.spectator,
+                requested: properties.state.requested,
+                score: properties.score
+            });
+        });
+    }
+};
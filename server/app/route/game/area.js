@@ -0,0 +1,104 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var GameArea = require('../../live/game/GameArea');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the play area pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.post('/:game/area', self.post);
+    },
+
+    /**
+     * Post page.
+     * The play area is drawn on the game management page, which this redirects back to.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Get the field values
+        var area = GameArea.parse(req.body['field-game-area']);
+
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must have management rights
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Validate the area
+            var message = GameArea.validate(area);
+            if(message !== null) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: message + '\n\nGa alstublieft terug en pas het speelgebied aan.'
+                });
+                return;
+            }
+
+            // Set the area
+            game.setArea(area, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Redirect back to the management page
+                res.redirect('/game/' + game.getIdHex() + '/manage');
+            });
+        });
+    }
+};
@@ -28,6 +28,9 @@ var Coordinate = require('../../../coordinate/Coordinate');
 var Validator = require('../../../validator/Validator');
 var AssignmentDatabase = require('../../../model/assignment/AssignmentDatabase');
 var LayoutRenderer = require('../../../layout/LayoutRenderer');
+var AnswerType = require('../../../model/assignment/AnswerType');
+var AnswerGrader = require('../../../model/assignment/AnswerGrader');
+var SubmissionRevision = require('../../../model/submission/SubmissionRevision');
 
 // Export the module
 module.exports = {
@@ -107,6 +110,8 @@ module.exports = {
         var assignmentAnswerFile = req.body['field-assignment-answer-file'];
         var assignmentPoints = req.body['field-assignment-points'];
         var assignmentRetry = req.body['field-assignment-retry'];
+        var assignmentMaxAttempts = req.body['field-assignment-max-attempts'];
+        var assignmentAnswerType = req.body['field-assignment-answer-type'];
 
         // Make sure the user has a valid session
         if(!req.requireValidSession())
@@ -174,6 +179,38 @@ module.exports = {
             assignmentPoints = parseInt(assignmentPoints);
             assignmentRetry = assignmentRetry === 'true';
 
+            // Parse the answer type
+            assignmentAnswerType = assignmentAnswerType !== undefined ? parseInt(assignmentAnswerType) : AnswerType.OPEN;
+            if(!AnswerType.isValid(assignmentAnswerType)) {
+                next(new Error('An internal error occurred while parsing the assignment answer type'));
+                return;
+            }
+
+            // Parse the answer configuration for the selected type
+            var assignmentAnswerConfig = AnswerGrader.parseConfig(assignmentAnswerType, {
+                choices: req.body['field-assignment-answer-choices'],
+                number: req.body['field-assignment-answer-number'],
+                tolerance: req.body['field-assignment-answer-tolerance'],
+                pattern: req.body['field-assignment-answer-pattern']
+            });
+
+            // Make sure the answer configuration is valid
+            if(!AnswerGrader.isValidConfig(assignmentAnswerType, assignmentAnswerConfig)) {
+                // Show an error page
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'De antwoord instellingen die u heeft ingevuld zijn ongeldig.\n\n' +
+                    AnswerGrader.getConfigRequirements(assignmentAnswerType) + '\n\n' +
+                    'Ga alstublieft terug en pas de antwoord instellingen aan.'
+                });
+                return;
+            }
+
+            // Automatically graded assignments are always answered with text
+            if(AnswerType.isAutoGraded(assignmentAnswerType)) {
+                assignmentAnswerText = true;
+                assignmentAnswerFile = false;
+            }
+
             // Make sure the user will be able to answer with one of the two
             if(!assignmentAnswerText && !assignmentAnswerFile) {
                 // Show an error page
@@ -194,8 +231,19 @@ module.exports = {
                 return;
             }
 
+            // Parse and validate the maximum number of attempts
+            assignmentMaxAttempts = SubmissionRevision.parseMaxAttempts(assignmentMaxAttempts);
+            if(assignmentMaxAttempts === undefined) {
+                // Show an error page
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'Het maximaal aantal pogingen dat u heeft ingevuld is ongeldig.\n\n' +
+                    'Ga alstublieft terug en vul een getal van minimaal 1 in, of laat het veld leeg voor onbeperkt.'
+                });
+                return;
+            }
+
             // Create the assignment
-            AssignmentDatabase.addAssignment(assignmentName, assignmentDescription, game, user, assignmentAnswerText, assignmentAnswerFile, assignmentPoints, assignmentRetry, function(err, assignmentModel) {
+            AssignmentDatabase.addAssignment(assignmentName, assignmentDescription, game, user, assignmentAnswerText, assignmentAnswerFile, assignmentPoints, assignmentRetry, assignmentMaxAttempts, assignmentAnswerType, assignmentAnswerConfig, function(err, assignmentModel) {
                 // Call back errors
                 if(err !== null) {
                     next(err);
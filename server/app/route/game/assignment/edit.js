@@ -29,6 +29,9 @@ var Validator = require('../../../validator/Validator');
 var AssignmentDatabase = require('../../../model/assignment/AssignmentDatabase');
 var LayoutRenderer = require('../../../layout/LayoutRenderer');
 var CallbackLatch = require('../../../util/CallbackLatch');
+var AnswerType = require('../../../model/assignment/AnswerType');
+var AnswerGrader = require('../../../model/assignment/AnswerGrader');
+var SubmissionRevision = require('../../../model/submission/SubmissionRevision');
 
 // Export the module
 module.exports = {
@@ -104,7 +107,13 @@ module.exports = {
                     answer_text: false,
                     answer_file: false,
                     points: 0,
-                    retry: false
+                    retry: false,
+                    max_attempts: '',
+                    answer_type: AnswerType.OPEN,
+                    answer_choices: '',
+                    answer_number: '',
+                    answer_tolerance: '0',
+                    answer_pattern: ''
                 }
             };
 
@@ -220,6 +229,62 @@ module.exports = {
                 latch.resolve();
             });
 
+            // Fetch the maximum number of attempts
+            latch.add();
+            assignment.getMaxAttempts(function(err, maxAttempts) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the property, leave it empty if the number of attempts is unlimited
+                options.assignment.max_attempts = maxAttempts !== null ? maxAttempts : '';
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
+            // Fetch the answer type and configuration
+            latch.add();
+            assignment.getAnswerType(function(err, answerType) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the property
+                options.assignment.answer_type = answerType;
+
+                // Fetch the answer configuration
+                assignment.getAnswerConfig(function(err, answerConfig) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the configuration fields for the answer type
+                    if(AnswerType.isChoice(answerType))
+                        options.assignment.answer_choices = AnswerGrader.formatChoices(answerConfig);
+                    else if(answerType === AnswerType.NUMERIC) {
+                        options.assignment.answer_number = answerConfig.value.toString();
+                        options.assignment.answer_tolerance = answerConfig.tolerance.toString();
+                    } else if(answerType === AnswerType.PATTERN)
+                        options.assignment.answer_pattern = answerConfig.pattern;
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            });
+
             // Render the page when we're ready
             latch.then(function() {
                 // Render the game page if we didn't call back yet
@@ -245,6 +310,8 @@ module.exports = {
         var assignmentAnswerFile = req.body['field-assignment-answer-file'];
         var assignmentPoints = req.body['field-assignment-points'];
         var assignmentRetry = req.body['field-assignment-retry'];
+        var assignmentMaxAttempts = req.body['field-assignment-max-attempts'];
+        var assignmentAnswerType = req.body['field-assignment-answer-type'];
 
         // Make sure the user has a valid session
         if(!req.requireValidSession())
@@ -319,6 +386,38 @@ module.exports = {
             assignmentPoints = parseInt(assignmentPoints);
             assignmentRetry = assignmentRetry === 'true';
 
+            // Parse the answer type
+            assignmentAnswerType = assignmentAnswerType !== undefined ? parseInt(assignmentAnswerType) : AnswerType.OPEN;
+            if(!AnswerType.isValid(assignmentAnswerType)) {
+                next(new Error('An internal error occurred while parsing the assignment answer type'));
+                return;
+            }
+
+            // Parse the answer configuration for the selected type
+            var assignmentAnswerConfig = AnswerGrader.parseConfig(assignmentAnswerType, {
+                choices: req.body['field-assignment-answer-choices'],
+                number: req.body['field-assignment-answer-number'],
+                tolerance: req.body['field-assignment-answer-tolerance'],
+                pattern: req.body['field-assignment-answer-pattern']
+            });
+
+            // Make sure the answer configuration is valid
+            if(!AnswerGrader.isValidConfig(assignmentAnswerType, assignmentAnswerConfig)) {
+                // Show an error page
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'De antwoord instellingen die u heeft ingevuld zijn ongeldig.\n\n' +
+                    AnswerGrader.getConfigRequirements(assignmentAnswerType) + '\n\n' +
+                    'Ga alstublieft terug en pas de antwoord instellingen aan.'
+                });
+                return;
+            }
+
+            // Automatically graded assignments are always answered with text
+            if(AnswerType.isAutoGraded(assignmentAnswerType)) {
+                assignmentAnswerText = true;
+                assignmentAnswerFile = false;
+            }
+
             // Make sure the user will be able to answer with one of the two
             if(!assignmentAnswerText && !assignmentAnswerFile) {
                 // Show an error page
@@ -339,6 +438,17 @@ module.exports = {
                 return;
             }
 
+            // Parse and validate the maximum number of attempts
+            assignmentMaxAttempts = SubmissionRevision.parseMaxAttempts(assignmentMaxAttempts);
+            if(assignmentMaxAttempts === undefined) {
+                // Show an error page
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'Het maximaal aantal pogingen dat u heeft ingevuld is ongeldig.\n\n' +
+                    'Ga alstublieft terug en vul een getal van minimaal 1 in, of laat het veld leeg voor onbeperkt.'
+                });
+                return;
+            }
+
             // Create a latch for updating the assignment
             var latch = new CallbackLatch();
             var calledBack = false;
@@ -358,13 +468,19 @@ module.exports = {
             };
 
             // Update the assignment
-            latch.add(6);
+            latch.add(7);
             assignment.setName(assignmentName, setterCallback);
             assignment.setDescription(assignmentDescription, setterCallback);
             assignment.setAnswerText(assignmentAnswerText, setterCallback);
             assignment.setAnswerFile(assignmentAnswerFile, setterCallback);
-            assignment.setPoints(assignmentPoints, setterCallback());
+            assignment.setPoints(assignmentPoints, setterCallback);
             assignment.setRetry(assignmentRetry, setterCallback);
+            assignment.setMaxAttempts(assignmentMaxAttempts, setterCallback);
+
+            // Update the answer type and configuration
+            latch.add(2);
+            assignment.setAnswerType(assignmentAnswerType, setterCallback);
+            assignment.setAnswerConfig(assignmentAnswerConfig, setterCallback);
 
             // Redirect to the assignments overview page when done
             latch.then(function() {
@@ -99,7 +99,8 @@ module.exports = {
                     points: 1,
                     answer_text: false,
                     answer_file: false,
-                    retry: false
+                    retry: false,
+                    max_attempts: null
                 }
             };
 
@@ -215,6 +216,24 @@ module.exports = {
                 latch.resolve();
             });
 
+            // Fetch the maximum number of attempts
+            latch.add();
+            assignment.getMaxAttempts(function(err, maxAttempts) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the property
+                options.assignment.max_attempts = maxAttempts;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
             // Render the page when we're ready
             latch.then(function() {
                 // Render the game page if we didn't call back yet
@@ -0,0 +1,389 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var ApiUtils = require('../../util/ApiUtils');
+var CallbackLatch = require('../../util/CallbackLatch');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var Validator = require('../../validator/Validator');
+var BroadcastDatabase = require('../../model/broadcast/BroadcastDatabase');
+var Broadcaster = require('../../live/broadcast/Broadcaster');
+var BroadcastTarget = require('../../live/broadcast/BroadcastTarget');
+var BroadcastTrigger = require('../../live/broadcast/BroadcastTrigger');
+
+/**
+ * Labels to show for each broadcast state.
+ *
+ * @type {Object}
+ */
+const STATE_LABELS = {
+    scheduled: 'Gepland',
+    sent: 'Verstuurd',
+    cancelled: 'Geannuleerd'
+};
+
+/**
+ * Format a date to show it on the broadcast page.
+ *
+ * @param {Date|null} date Date.
+ *
+ * @return {string|null} Formatted date, or null if no date was given.
+ */
+const formatDate = (date) => _.isDate(date) ? Validator.formatDateTime(date).replace('T', ' ') : null;
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the broadcast pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/broadcast', (req, res, next) => self.get(req, res, next));
+        router.post('/:game/broadcast', (req, res, next) => self.post(req, res, next));
+        router.post('/:game/broadcast/:broadcast/cancel', (req, res, next) => self.cancel(req, res, next));
+    },
+
+    /**
+     * Make sure the user may manage the game of the request.
+     * A no permission or error page is shown if this isn't the case.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {function} callback Called without arguments if the user may manage the game.
+     */
+    requireManagePermission: (req, res, next, callback) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must have management rights
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Continue
+            callback();
+        });
+    },
+
+    /**
+     * Get page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // The user must have management rights
+        self.requireManagePermission(req, res, next, function() {
+            // Create the page options object
+            var options = {
+                page: {
+                    leftButton: 'back'
+                },
+                game: {
+                    id: game.getIdHex()
+                },
+                users: [],
+                teams: [],
+                points: [],
+                broadcasts: []
+            };
+
+            // Keep track of the raw broadcasts
+            var broadcasts;
+
+            // Create a callback latch
+            var latch = new CallbackLatch();
+            var calledBack = false;
+
+            // Get the users, teams and points that can be selected as recipients
+            latch.add();
+            Core.model.gameUserModelManager.getGameUsers(game, function(err, users) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Serialize the users
+                ApiUtils.serializeAll(users, (user, callback) => ApiUtils.fetchProperties({
+                    id: (callback) => callback(null, user.getIdHex()),
+                    name: (callback) => user.getName(callback)
+                }, callback), function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    options.users = _.sortBy(result, 'name');
+                    latch.resolve();
+                });
+            });
+            latch.add();
+            Core.model.gameTeamModelManager.getTeams(game, function(err, teams) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Serialize the teams
+                ApiUtils.serializeAll(teams, (team, callback) => ApiUtils.fetchProperties({
+                    id: (callback) => callback(null, team.getIdHex()),
+                    name: (callback) => team.getName(callback)
+                }, callback), function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    options.teams = _.sortBy(result, 'name');
+                    latch.resolve();
+                });
+            });
+            latch.add();
+            Core.model.pointModelManager.getPoints(game, null, function(err, points) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Serialize the points
+                ApiUtils.serializeAll(points, (point, callback) => ApiUtils.fetchProperties({
+                    id: (callback) => callback(null, point.getIdHex()),
+                    name: (callback) => point.getName(callback)
+                }, callback), function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    options.points = _.sortBy(result, 'name');
+                    latch.resolve();
+                });
+            });
+
+            // Get the broadcasts of the game
+            latch.add();
+            BroadcastDatabase.getBroadcasts(game, function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                broadcasts = result;
+                latch.resolve();
+            });
+
+            // Describe the broadcasts and render the page when we're ready
+            latch.then(function() {
+                // Get the name of each user, team and point by their ID
+                var names = {};
+                options.users.concat(options.teams, options.points).forEach((entry) => names[entry.id] = entry.name);
+
+                // Describe each broadcast and its receipts
+                options.broadcasts = broadcasts.map((broadcast) => ({
+                    id: broadcast.id,
+                    message: broadcast.message,
+                    target: BroadcastTarget.describe(broadcast.target, names),
+                    trigger: BroadcastTrigger.describe(broadcast.trigger, formatDate),
+                    state: STATE_LABELS[broadcast.state],
+                    scheduled: broadcast.state === 'scheduled',
+                    createDate: formatDate(broadcast.createDate),
+                    sendDate: formatDate(broadcast.sendDate),
+                    deliveredCount: broadcast.receipts.filter((receipt) => receipt.delivered !== null).length,
+                    readCount: broadcast.receipts.filter((receipt) => receipt.read !== null).length,
+                    receipts: broadcast.receipts.map((receipt) => ({
+                        name: _.has(names, receipt.user.toString()) ? names[receipt.user.toString()] : '?',
+                        delivered: formatDate(receipt.delivered),
+                        read: formatDate(receipt.read)
+                    }))
+                }));
+
+                // Show the broadcast page
+                if(!calledBack)
+                    LayoutRenderer.renderAndShow(req, res, next, 'game/broadcast', 'Omroepen', options);
+                calledBack = true;
+            });
+        });
+    },
+
+    /**
+     * Post page, to create a broadcast.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Store the module instance, get the game and the field values
+        const self = module.exports;
+        const game = req.game;
+        const message = _.isString(req.body['field-broadcast-message']) ? req.body['field-broadcast-message'].trim() : '';
+        const targetType = req.body['field-broadcast-target'];
+        const triggerType = req.body['field-broadcast-trigger'];
+        const rawRange = req.body['field-broadcast-range'];
+        const rawTime = req.body['field-broadcast-time'];
+        const rawOffset = req.body['field-broadcast-offset'];
+
+        // The user must have management rights
+        self.requireManagePermission(req, res, next, function() {
+            // Make sure a message is given
+            if(message.length === 0) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'Het bericht van de omroep mist.\n\n' +
+                    'Ga alstublieft terug en vul een bericht in.'
+                });
+                return;
+            }
+
+            // Create the target, with the selected users, teams or point
+            var target = {
+                type: targetType,
+                ids: []
+            };
+            if(targetType === 'users' || targetType === 'teams' || targetType === 'point')
+                target.ids = _.compact([].concat(req.body['field-broadcast-' + targetType] || []));
+            if(targetType === 'point')
+                target.range = /^\d+$/.test(String(rawRange).trim()) ? parseInt(rawRange, 10) : NaN;
+
+            // Create the trigger
+            var trigger = {
+                type: triggerType
+            };
+            if(triggerType === 'now')
+                trigger.time = new Date();
+            else if(triggerType === 'time')
+                trigger.time = Validator.isValidDateTime(rawTime) ? Validator.parseDateTime(rawTime) : null;
+            else if(triggerType === 'start' || triggerType === 'end')
+                trigger.offset = /^\d+$/.test(String(rawOffset).trim()) ? parseInt(rawOffset, 10) : NaN;
+
+            // Validate the target and trigger
+            var invalidMessage = BroadcastTarget.validate(target) || BroadcastTrigger.validate(trigger);
+            if(invalidMessage !== null) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: invalidMessage + '\n\nGa alstublieft terug en pas de omroep aan.'
+                });
+                return;
+            }
+
+            // Create the broadcast
+            Broadcaster.create(game, req.session.user, message, target, trigger, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Redirect back to the broadcast page
+                res.redirect('/game/' + game.getIdHex() + '/broadcast');
+            });
+        });
+    },
+
+    /**
+     * Cancel page, to cancel a scheduled broadcast.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    cancel: (req, res, next) => {
+        // Store the module instance, get the game and the broadcast ID
+        const self = module.exports;
+        const game = req.game;
+        const broadcastId = req.params.broadcast;
+
+        // The user must have management rights
+        self.requireManagePermission(req, res, next, function() {
+            // Make sure the broadcast ID is valid
+            if(!Broadcaster.isValidToken(broadcastId)) {
+                next(new Error('Ongeldige omroep.'));
+                return;
+            }
+
+            // Cancel the broadcast
+            BroadcastDatabase.cancelBroadcast(game, broadcastId, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Redirect back to the broadcast page
+                res.redirect('/game/' + game.getIdHex() + '/broadcast');
+            });
+        });
+    }
+};
@@ -0,0 +1,255 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var ApiUtils = require('../../util/ApiUtils');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var Validator = require('../../validator/Validator');
+var ChatDatabase = require('../../model/chat/ChatDatabase');
+var Chat = require('../../live/chat/Chat');
+var ChatThread = require('../../live/chat/ChatThread');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the chat pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/chat', (req, res, next) => self.get(req, res, next));
+        router.get('/:game/chat/:player', (req, res, next) => self.get(req, res, next));
+    },
+
+    /**
+     * Get page.
+     * Shows the thread of the user with the managers, the inbox for managers, or the thread of a manager with the
+     * player given in the URL.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // Determine whether the user is a manager
+        game.hasManagePermission(user, function(err, isManager) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Show the inbox to managers that didn't select a player
+            if(isManager && req.params.player === undefined) {
+                self.renderInbox(req, res, next);
+                return;
+            }
+
+            // Get the thread
+            Chat.getThread(game, user, req.params.player, function(err, thread) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Handle no permission situations
+                if(thread === null) {
+                    LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                    return;
+                }
+
+                // Show the thread
+                self.renderThread(req, res, next, thread);
+            });
+        });
+    },
+
+    /**
+     * Render the manager inbox, with the threads of all players in the game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    renderInbox: (req, res, next) => {
+        // Get the game
+        const game = req.game;
+
+        // Get the messages and the users of the game
+        ApiUtils.fetchProperties({
+            messages: (callback) => ChatDatabase.getMessages(game, callback),
+            users: (callback) => Core.model.gameUserModelManager.getGameUsers(game, {requested: false}, callback)
+        }, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Get the names of the users, and of anybody that sent a message
+            Chat.getNames(result.users.map((user) => user.getId()).concat(result.messages.map((message) => message.sender)), function(err, names) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Summarize the threads
+                const threads = ChatThread.summarize(result.messages).map((thread) => ({
+                    user: thread.user,
+                    name: _.has(names, thread.user) ? names[thread.user] : '?',
+                    message: thread.last.message,
+                    senderName: names[thread.last.sender.toString()],
+                    fromManager: thread.last.fromManager,
+                    date: Validator.formatDateTime(thread.last.date).replace('T', ' '),
+                    count: thread.count,
+                    unread: thread.unread
+                }));
+
+                // Show the inbox
+                LayoutRenderer.renderAndShow(req, res, next, 'game/chat/inbox', 'Berichten', {
+                    page: {
+                        leftButton: 'back'
+                    },
+                    game: {
+                        id: game.getIdHex()
+                    },
+                    threads,
+                    users: _.sortBy(result.users
+                        .filter((user) => !_.some(threads, (thread) => thread.user === user.getIdHex()))
+                        .map((user) => ({
+                            id: user.getIdHex(),
+                            name: names[user.getIdHex()]
+                        })), 'name')
+                });
+            });
+        });
+    },
+
+    /**
+     * Render a chat thread.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {Object} thread Thread to render, see {@code Chat.getThread}.
+     */
+    renderThread: (req, res, next, thread) => {
+        // Get the game
+        const game = req.game;
+
+        // Get the messages, the name of the player, and the assignment or submission to ask about
+        ApiUtils.fetchProperties({
+            messages: (callback) => Chat.getMessages(game, thread.user, null, callback),
+            name: (callback) => thread.user.getName(callback),
+            links: (callback) => Chat.getLinks(game, thread.user, req.query.assignment, req.query.submission, callback)
+        }, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Get the names of the assignments messages are about
+            const assignmentIds = _.uniq(_.compact(result.messages.map((message) => message.assignment)));
+            if(result.links.assignment !== null && !_.includes(assignmentIds, result.links.assignment.getIdHex()))
+                assignmentIds.push(result.links.assignment.getIdHex());
+            ApiUtils.serializeAll(assignmentIds, (id, callback) => Core.model.assignmentModelManager.getAssignmentById(id, function(err, assignment) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Assignments that don't exist anymore don't have a name
+                if(assignment === null || assignment === undefined) {
+                    callback(null, '?');
+                    return;
+                }
+
+                assignment.getName(callback);
+            }), function(err, assignmentNames) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Map the assignment names by their ID
+                const assignments = _.zipObject(assignmentIds, assignmentNames);
+
+                // Show the thread
+                LayoutRenderer.renderAndShow(req, res, next, 'game/chat/thread', result.name, {
+                    page: {
+                        leftButton: 'back'
+                    },
+                    game: {
+                        id: game.getIdHex()
+                    },
+                    thread: {
+                        user: thread.user.getIdHex(),
+                        name: result.name,
+                        manager: thread.fromManager
+                    },
+                    messages: result.messages.map((message) => _.assign(message, {
+                        dateLabel: Validator.formatDateTime(new Date(message.date)).replace('T', ' '),
+                        assignmentName: message.assignment !== null ? assignments[message.assignment] : null,
+                        own: message.fromManager === thread.fromManager
+                    })),
+                    link: {
+                        assignment: result.links.assignment !== null ? {
+                            id: result.links.assignment.getIdHex(),
+                            name: assignments[result.links.assignment.getIdHex()]
+                        } : null,
+                        submission: result.links.submission !== null ? result.links.submission.getIdHex() : null
+                    },
+                    maxLength: ChatThread.MAX_MESSAGE_LENGTH
+                });
+            });
+        });
+    }
+};
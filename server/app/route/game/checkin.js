@@ -0,0 +1,213 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var Core = require('../../../Core');
+var PointCheckIn = require('../../live/point/PointCheckIn');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the check-in pages, where players check in at a point by scanning its QR code or entering its code.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the check-in pages, the QR code at a point links to the page with the code
+        router.get('/:game/checkin', (req, res, next) => self.get(req, res, next));
+        router.get('/:game/checkin/:code', (req, res, next) => self.checkIn(req, res, next, req.params.code));
+        router.post('/:game/checkin', (req, res, next) => self.checkIn(req, res, next, req.body['field-check-in-code']));
+    },
+
+    /**
+     * Get page to enter a check-in code.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Call back if the game is invalid
+        if(req.game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // Show the check-in page
+        LayoutRenderer.renderAndShow(req, res, next, 'game/checkin', 'Inchecken', {
+            page: {
+                leftButton: 'back'
+            },
+            game: {
+                id: req.game.getIdHex()
+            },
+            checkedIn: false
+        });
+    },
+
+    /**
+     * Check the user in at the point with the given code.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {string} code Check-in code.
+     */
+    checkIn: (req, res, next, code) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        /**
+         * Show an error page with the given message.
+         *
+         * @param {string} message Message.
+         */
+        const showError = (message) => LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {message});
+
+        // Make sure the user is a participant of the game
+        game.getUserState(user, function(err, userState) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Only participants can check in
+            if(!userState.participant) {
+                showError('U moet deelnemer zijn van dit spel om in te checken bij een punt.');
+                return;
+            }
+
+            // Get the live game, which is only loaded while the game is running
+            const liveGame = Core.gameManager.getLoadedGame(game);
+            if(liveGame === null) {
+                showError('U kunt alleen inchecken bij een punt terwijl het spel bezig is.');
+                return;
+            }
+
+            // Find the point with the given code
+            liveGame.pointManager.getPointByCheckInCode(PointCheckIn.formatCode(code), function(err, point) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Show an error if no point uses the code
+                if(point === null) {
+                    showError('De code die u heeft ingevuld is onbekend.\n\n' +
+                        'Ga alstublieft terug en controleer de code, of scan de QR code bij het punt opnieuw.');
+                    return;
+                }
+
+                // Get the live user
+                liveGame.getUser(user, function(err, liveUser) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Make sure the live user is valid
+                    if(liveUser === null) {
+                        showError('U kunt op dit moment niet inchecken bij dit punt.');
+                        return;
+                    }
+
+                    // Make sure the point is available to the user
+                    point.isVisibleFor(liveUser, function(err, visible) {
+                        // Call back errors
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Show an error if the point isn't available
+                        if(!visible) {
+                            showError('Dit punt is op dit moment niet beschikbaar voor u.');
+                            return;
+                        }
+
+                        // Check in at the point
+                        point.checkIn(liveUser, function(err) {
+                            // Call back errors
+                            if(err !== null) {
+                                next(err);
+                                return;
+                            }
+
+                            // Determine whether the user is at the point now, it might also require the GPS range
+                            point.isUserInRange(liveUser, function(err, inRange) {
+                                // Call back errors
+                                if(err !== null) {
+                                    next(err);
+                                    return;
+                                }
+
+                                // Get the point name
+                                point.getName(function(err, name) {
+                                    // Call back errors
+                                    if(err !== null) {
+                                        next(err);
+                                        return;
+                                    }
+
+                                    // Show the check-in result
+                                    LayoutRenderer.renderAndShow(req, res, next, 'game/checkin', 'Ingecheckt', {
+                                        hideBackButton: true,
+                                        game: {
+                                            id: game.getIdHex()
+                                        },
+                                        point: {
+                                            name,
+                                            inRange
+                                        },
+                                        checkedIn: true
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+};
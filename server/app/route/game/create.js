@@ -20,12 +20,15 @@
  * program. If not, see <http://opensource.org/licenses/MIT/>.                *
  ******************************************************************************/
 
+var _ = require('lodash');
 var express = require('express');
 var router = express.Router();
 
 var Validator = require('../../validator/Validator');
 var LayoutRenderer = require('../../layout/LayoutRenderer');
 var GameDatabase = require('../../model/game/GameDatabase');
+var GameArchive = require('../../archive/GameArchive');
+var GameImporter = require('../../archive/GameImporter');
 
 // Create index
 router.get('/', function(req, res, next) {
@@ -55,7 +58,8 @@ router.get('/', function(req, res, next) {
             page: {
                 leftButton: 'back'
             },
-            created: false
+            created: false,
+            archiveExtension: GameArchive.FILE_EXTENSION
         });
     });
 });
@@ -64,6 +68,8 @@ router.get('/', function(req, res, next) {
 router.post('/', function(req, res, next) {
     // Get the login field values
     var gameName = req.body['field-game-name'];
+    var gameArchive = (req.files !== null && req.files !== undefined) ? req.files['field-game-archive'] : undefined;
+    var gameArchiveSubmissions = req.body['field-game-archive-submissions'] === 'true';
 
     // Make sure the user has a valid session
     if(!req.requireValidSession())
@@ -86,6 +92,12 @@ router.post('/', function(req, res, next) {
             return;
         }
 
+        // Import the game if an archive is given
+        if(gameArchive !== undefined && gameArchive !== null && gameArchive.data.length > 0) {
+            importGame(req, res, next, gameArchive, gameName, gameArchiveSubmissions);
+            return;
+        }
+
         // Validate game name
         if(!Validator.isValidGameName(gameName)) {
             // Show a warning if the user hadn't filled in their game name
@@ -129,4 +141,66 @@ router.post('/', function(req, res, next) {
     });
 });
 
+/**
+ * Import a game from an uploaded archive, and show the result page.
+ *
+ * @param req Express request object.
+ * @param res Express response object.
+ * @param next Express next callback.
+ * @param {Object} archiveFile Uploaded archive file.
+ * @param {string} gameName Name for the game, the name from the archive is used if empty.
+ * @param {boolean} submissions True to also import players and submissions.
+ */
+function importGame(req, res, next, archiveFile, gameName, submissions) {
+    // Unpack the archive
+    GameArchive.unpack(archiveFile.data, function(err, archive) {
+        // Show an error page if the archive is invalid
+        if(err !== null) {
+            LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                message: err.message + '\n\n' +
+                'Ga alstublieft terug en kies een ander bestand.'
+            });
+            return;
+        }
+
+        // Use the name from the archive if no name is given
+        if(!_.isString(gameName) || gameName.trim().length === 0)
+            gameName = archive.game.name;
+
+        // Validate the game name
+        if(!Validator.isValidGameName(gameName)) {
+            LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                message: 'De naam voor het geïmporteerde spel is ongeldig.\n\n' +
+                'Ga alstublieft terug en vul een andere naam in.'
+            });
+            return;
+        }
+
+        // Import the game
+        GameImporter.importGame(archive, req.session.user, {
+            name: gameName,
+            submissions
+        }, function(err, gameModel, summary) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Show the game creation page
+            LayoutRenderer.renderAndShow(req, res, next, 'game/create', 'Spel geïmporteerd', {
+                page: {
+                    leftButton: 'back'
+                },
+                created: true,
+                imported: summary,
+                game: {
+                    id: gameModel.getIdHex(),
+                    name: Validator.formatGameName(gameName)
+                }
+            });
+        });
+    });
+}
+
 module.exports = router;
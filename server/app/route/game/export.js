@@ -0,0 +1,131 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var GameArchive = require('../../archive/GameArchive');
+var GameExporter = require('../../archive/GameExporter');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the export pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/export', self.get);
+    },
+
+    /**
+     * Get page.
+     * Responds with an archive of the game as file download.
+     * The submissions query parameter may be set to true to include players and submissions.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must have management rights
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Export the game
+            GameExporter.exportGame(game, {
+                submissions: req.query.submissions === 'true'
+            }, function(err, archive) {
+                // Call back errors
+                if(err !== null) {
+                    self.handleError(req, res, next, err);
+                    return;
+                }
+
+                // Pack the archive
+                GameArchive.pack(archive, function(err, data) {
+                    // Call back errors
+                    if(err !== null) {
+                        self.handleError(req, res, next, err);
+                        return;
+                    }
+
+                    // Send the archive as download
+                    res.attachment(GameArchive.getFileName(archive.game.name));
+                    res.type('application/gzip');
+                    res.send(data);
+                });
+            });
+        });
+    },
+
+    /**
+     * Show an error that occurred while exporting.
+     * Games that are too large to export show an error page, other errors are passed to the next callback.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {Error} err Error.
+     */
+    handleError: (req, res, next, err) => {
+        // Pass errors that aren't caused by the size of the archive
+        if(err.status !== GameArchive.STATUS_TOO_LARGE) {
+            next(err);
+            return;
+        }
+
+        // Show an error page
+        res.status(err.status);
+        LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+            message: err.message + '\n\n' +
+            'Ga alstublieft terug, en exporteer het spel zonder spelers en inzendingen.'
+        });
+    }
+};
@@ -0,0 +1,179 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var LocationHistoryDatabase = require('../../model/locationhistory/LocationHistoryDatabase');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the location history pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/history', (req, res, next) => self.get(req, res, next));
+        router.post('/:game/history', (req, res, next) => self.post(req, res, next));
+        router.post('/:game/history/clear', (req, res, next) => self.clear(req, res, next));
+    },
+
+    /**
+     * Make sure the user may manage the game of the request.
+     * A no permission or error page is shown if this isn't the case.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {function} callback Called without arguments if the user may manage the game.
+     */
+    requireManagePermission: (req, res, next, callback) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must have management rights
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Continue
+            callback();
+        });
+    },
+
+    /**
+     * Get page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // The user must have management rights
+        self.requireManagePermission(req, res, next, function() {
+            // Determine whether the location history is recorded
+            game.isLocationHistory(function(err, locationHistory) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Show the location history page
+                LayoutRenderer.renderAndShow(req, res, next, 'game/history', 'Locatiegeschiedenis', {
+                    page: {
+                        leftButton: 'back'
+                    },
+                    game: {
+                        id: game.getIdHex(),
+                        locationHistory
+                    }
+                });
+            });
+        });
+    },
+
+    /**
+     * Post page, to enable or disable recording the location history.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Store the module instance, get the game and the field value
+        const self = module.exports;
+        const game = req.game;
+        const locationHistory = req.body['field-game-location-history'] === 'true';
+
+        // The user must have management rights
+        self.requireManagePermission(req, res, next, function() {
+            // Set whether to record the location history
+            game.setLocationHistory(locationHistory, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Redirect back to the location history page
+                res.redirect('/game/' + game.getIdHex() + '/history');
+            });
+        });
+    },
+
+    /**
+     * Clear page, to delete the recorded location history.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    clear: (req, res, next) => {
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // The user must have management rights
+        self.requireManagePermission(req, res, next, function() {
+            // Delete the location history
+            LocationHistoryDatabase.deleteLocations(game, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Redirect back to the location history page
+                res.redirect('/game/' + game.getIdHex() + '/history');
+            });
+        });
+    }
+};
@@ -35,7 +35,19 @@ var pageSubmissionInfo = require('./submission/info');
 var pageSubmissionEdit = require('./submission/edit');
 var pageSubmissionDelete = require('./submission/delete');
 var pageSubmissionApprove = require('./submission/approve');
+var pageSubmissionReview = require('./submission/review');
+var pageSubmissionFile = require('./submission/file');
 var pageManage = require('./manage');
+var pageExport = require('./export');
+var pageSchedule = require('./schedule');
+var pageRoute = require('./route');
+var pageRange = require('./range');
+var pageArea = require('./area');
+var pageHistory = require('./history');
+var pageCheckIn = require('./checkin');
+var pageDashboard = require('./dashboard');
+var pageBroadcast = require('./broadcast');
+var pageChat = require('./chat');
 var viewAssignments = require('./assignment-view');
 
 var Core = require('../../../Core');
@@ -43,6 +55,7 @@ var CallbackLatch = require('../../util/CallbackLatch');
 var LayoutRenderer = require('../../layout/LayoutRenderer');
 var GameParam = require('../../router/middleware/GameParam');
 var Validator = require('../../validator/Validator');
+var GameSchedule = require('../../live/game/GameSchedule');
 
 // Games overview, redirect back to the front page
 router.use('/create', pageCreate);
@@ -80,9 +93,45 @@ pageSubmissionDelete.route(router);
 // Route the submission approval page
 pageSubmissionApprove.route(router);
 
+// Route the submission review page
+pageSubmissionReview.route(router);
+
+// Route the submission file download
+pageSubmissionFile.route(router);
+
 // Route the game management page
 pageManage.route(router);
 
+// Route the game export page
+pageExport.route(router);
+
+// Route the game schedule page
+pageSchedule.route(router);
+
+// Route the game route page
+pageRoute.route(router);
+
+// Route the game range page
+pageRange.route(router);
+
+// Route the game play area page
+pageArea.route(router);
+
+// Route the game location history page
+pageHistory.route(router);
+
+// Route the point check-in page
+pageCheckIn.route(router);
+
+// Route the game dashboard page
+pageDashboard.route(router);
+
+// Route the game broadcast page
+pageBroadcast.route(router);
+
+// Route the game chat pages
+pageChat.route(router);
+
 // Game page
 router.get('/:game', function(req, res, next) {
     // Make sure the user has a valid session
@@ -111,7 +160,8 @@ router.get('/:game', function(req, res, next) {
             name: null,
             stage: null,
             userCount: 0,
-            userState: null
+            userState: null,
+            countdown: null
         },
         user: {
             isHost: false,
@@ -162,6 +212,25 @@ router.get('/:game', function(req, res, next) {
         latch.resolve();
     });
 
+    // Fetch the game schedule
+    var schedule = null;
+    latch.add();
+    game.getSchedule(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                next(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the schedule
+        schedule = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
     // Fetch the game's users count
     latch.add();
     game.getUsersCount(function(err, usersCount) {
@@ -254,6 +323,15 @@ router.get('/:game', function(req, res, next) {
 
     // Render the page when we're ready
     latch.then(function() {
+        // Determine the countdown to show, based on the game schedule
+        var countdown = GameSchedule.getCountdown(options.game.stage, schedule);
+        if(countdown !== null)
+            options.game.countdown = {
+                type: countdown.type,
+                date: countdown.date.toISOString(),
+                label: Validator.formatDateTime(countdown.date).replace('T', ' ')
+            };
+
         // Render the game page
         //noinspection JSCheckFunctionSignatures
         LayoutRenderer.renderAndShow(req, res, next, 'game/index', options.game.name, options);
@@ -112,6 +112,24 @@ module.exports = {
             latch.resolve();
         });
 
+        // Fetch the play area, serialized for the area map
+        latch.add();
+        game.getArea(function(err, area) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            gameObject.area = area !== null ? JSON.stringify(area) : '';
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
         // Determine whether the user has permission to manage this game
         latch.add();
         game.hasManagePermission(user, function(err, result) {
@@ -0,0 +1,236 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var QRCode = require('qrcode');
+
+var Core = require('../../../../Core');
+var ApiUtils = require('../../../util/ApiUtils');
+var LoginTokenDatabase = require('../../../model/logintoken/LoginTokenDatabase');
+var LayoutRenderer = require('../../../layout/LayoutRenderer');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the login card pages.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the login card page
+        router.get('/:game/player/cards', (req, res, next) => self.get(req, res, next));
+        router.post('/:game/player/cards', (req, res, next) => self.post(req, res, next));
+    },
+
+    /**
+     * Get page for the login cards.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must be able to manage the game
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Show the login card page
+            LayoutRenderer.renderAndShow(req, res, next, 'game/player/cards', 'Inlogkaarten', {
+                page: {
+                    leftButton: 'back'
+                },
+                game: {
+                    id: game.getIdHex()
+                },
+                generated: false
+            });
+        });
+    },
+
+    /**
+     * Post page for the login cards.
+     * A new login token is generated for each participant, earlier login cards can't be used anymore.
+     * Participants that can manage the game, such as administrators, don't get a login card, because a login card
+     * gives access to their whole account.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // Store the module instance
+        const self = module.exports;
+
+        // The user must be able to manage the game
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user has permission
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Get the participants of the game
+            Core.model.gameUserModelManager.getGameUsers(game, {participants: true}, function(err, participants) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Determine the base URL the login cards link to
+                const baseUrl = req.protocol + '://' + req.get('host') + '/login/token/';
+
+                // Create the login cards one by one, to preserve the order of the participants
+                var cards = [];
+                var skipped = 0;
+                var createCard = function(i) {
+                    // Show the login cards when all cards are created
+                    if(i >= participants.length) {
+                        LayoutRenderer.renderAndShow(req, res, next, 'game/player/cards', 'Inlogkaarten', {
+                            hideBackButton: true,
+                            game: {
+                                id: game.getIdHex()
+                            },
+                            generated: true,
+                            cards,
+                            skipped
+                        });
+                        return;
+                    }
+
+                    // Get the participant
+                    const participant = participants[i];
+
+                    // Skip participants that can manage the game
+                    game.hasManagePermission(participant, function(err, privileged) {
+                        // Call back errors
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Don't create a login card, and create the next
+                        if(privileged) {
+                            skipped++;
+                            createCard(i + 1);
+                            return;
+                        }
+
+                        // Create the login card
+                        self.createCard(game, participant, baseUrl, next, function(card) {
+                            cards.push(card);
+                            createCard(i + 1);
+                        });
+                    });
+                };
+                createCard(0);
+            });
+        });
+    },
+
+    /**
+     * Create a login card for the given participant, with a new login token.
+     *
+     * @param {GameModel} game Game.
+     * @param {UserModel} participant Participant to create the login card for.
+     * @param {string} baseUrl Base URL the login card links to, the login token is appended.
+     * @param next Express next callback, called when an error occurred.
+     * @param {function} callback Called with the login card.
+     */
+    createCard: (game, participant, baseUrl, next, callback) => {
+        // Fetch the name and username of the participant, and create a login token
+        ApiUtils.fetchProperties({
+            name: (callback) => participant.getName(callback),
+            username: (callback) => participant.getUsername(callback),
+            token: (callback) => LoginTokenDatabase.addLoginToken(game, participant, callback)
+        }, function(err, card) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Render the QR code for the login URL
+            QRCode.toDataURL(baseUrl + card.token, function(err, qr) {
+                // Call back errors
+                if(err !== null && err !== undefined) {
+                    next(err);
+                    return;
+                }
+
+                // Call back the card
+                callback({
+                    name: card.name,
+                    username: card.username,
+                    qr
+                });
+            });
+        });
+    }
+};
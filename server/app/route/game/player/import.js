@@ -0,0 +1,347 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../../Core');
+var CallbackLatch = require('../../../util/CallbackLatch');
+var PlayerList = require('../../../player/PlayerList');
+var UserDatabase = require('../../../model/user/UserDatabase');
+var GameUserDatabase = require('../../../model/gameuser/GameUserDatabase');
+var GameTeamDatabase = require('../../../model/gameteam/GameTeamDatabase');
+var LayoutRenderer = require('../../../layout/LayoutRenderer');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the player import pages.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the player import page
+        router.get('/:game/player/import', (req, res, next) => self.get(req, res, next));
+        router.post('/:game/player/import', (req, res, next) => self.post(req, res, next));
+    },
+
+    /**
+     * Get page for player import.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must be able to manage the game
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Show the player import page
+            LayoutRenderer.renderAndShow(req, res, next, 'game/player/import', 'Spelers importeren', {
+                page: {
+                    leftButton: 'back'
+                },
+                game: {
+                    id: game.getIdHex()
+                },
+                imported: false
+            });
+        });
+    },
+
+    /**
+     * Post page for player import.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Get the uploaded file
+        var playerFile = (req.files !== null && req.files !== undefined) ? req.files['field-player-file'] : undefined;
+
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must be able to manage the game
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user has permission
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Make sure a file is uploaded
+            if(playerFile === undefined || playerFile === null || playerFile.data.length === 0) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'Er is geen bestand geüpload.\n\n' +
+                    'Ga alstublieft terug en kies een CSV bestand om te importeren.'
+                });
+                return;
+            }
+
+            // Parse the players
+            var result = PlayerList.parse(playerFile.data.toString('utf8'));
+
+            // Make sure there's at least one valid player
+            if(result.players.length === 0) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'Het geüploade bestand bevat geen geldige spelers.\n\n' +
+                    'Ga alstublieft terug en kies een ander bestand.'
+                });
+                return;
+            }
+
+            // Get the existing teams of the game, by their lowercase name
+            module.exports.getTeamsByName(game, function(err, teams) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Keep track of the created players, and the number of created teams
+                var created = [];
+                var teamCount = 0;
+
+                // Add the players one by one, to preserve their order and to create each team once
+                var addPlayer = function(i) {
+                    // Show the credential sheet when all players are added
+                    if(i >= result.players.length) {
+                        // Reload the teams of the live game if it's loaded, and players are added to a team
+                        const liveGame = Core.gameManager.getLoadedGame(game);
+                        if(liveGame !== null && _.some(created, (player) => player.team !== null))
+                            liveGame.loadTeams(function(err) {
+                                // Show a warning on error
+                                if(err !== null) {
+                                    console.warn('Failed to reload the user teams of a live game.');
+                                    console.warn(err);
+                                }
+                            });
+
+                        // Show the credential sheet
+                        LayoutRenderer.renderAndShow(req, res, next, 'game/player/import', 'Spelers geïmporteerd', {
+                            hideBackButton: true,
+                            imported: true,
+                            game: {
+                                id: game.getIdHex()
+                            },
+                            players: created,
+                            invalid: result.invalid
+                        });
+                        return;
+                    }
+
+                    // Get the player
+                    const player = result.players[i];
+
+                    // Skip the player if the username is already used
+                    Core.model.userModelManager.isUserWithUsername(player.username, function(err, used) {
+                        // Call back errors
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Report the player as invalid if the username is used
+                        if(used) {
+                            result.invalid.push({
+                                line: player.line,
+                                message: 'Gebruikersnaam is al in gebruik.'
+                            });
+                            addPlayer(i + 1);
+                            return;
+                        }
+
+                        // Generate a password if none is given
+                        const password = player.password !== null ? player.password : PlayerList.generatePassword();
+
+                        // Create the user
+                        UserDatabase.addUser(player.username, password, player.name, function(err, playerUser) {
+                            // Call back errors
+                            if(err !== null) {
+                                next(err);
+                                return;
+                            }
+
+                            // Join the user to the game
+                            GameUserDatabase.addGameUser(game, playerUser,
+                                player.role === PlayerList.ROLE_PARTICIPANT,
+                                player.role === PlayerList.ROLE_SPECTATOR, function(err, gameUser) {
+                                // Call back errors
+                                if(err !== null) {
+                                    next(err);
+                                    return;
+                                }
+
+                                // Add the player to the credential sheet
+                                created.push({
+                                    name: player.name,
+                                    username: player.username,
+                                    password,
+                                    team: player.team,
+                                    spectator: player.role === PlayerList.ROLE_SPECTATOR
+                                });
+
+                                // Continue with the next player if no team is given
+                                if(player.team === null) {
+                                    addPlayer(i + 1);
+                                    return;
+                                }
+
+                                /**
+                                 * Assign the player to the given team, and continue with the next player.
+                                 *
+                                 * @param {GameTeamModel} team Team model.
+                                 */
+                                const assignTeam = function(team) {
+                                    gameUser.setTeam(team, function(err) {
+                                        // Call back errors
+                                        if(err !== null) {
+                                            next(err);
+                                            return;
+                                        }
+
+                                        // Add the next player
+                                        addPlayer(i + 1);
+                                    });
+                                };
+
+                                // Use the existing team if there is one
+                                const teamKey = player.team.toLowerCase();
+                                if(teams[teamKey] !== undefined) {
+                                    assignTeam(teams[teamKey]);
+                                    return;
+                                }
+
+                                // Create the team
+                                GameTeamDatabase.addGameTeam(game, player.team, PlayerList.getTeamColor(teamCount++), function(err, team) {
+                                    // Call back errors
+                                    if(err !== null) {
+                                        next(err);
+                                        return;
+                                    }
+
+                                    // Remember the team, and assign the player
+                                    teams[teamKey] = team;
+                                    assignTeam(team);
+                                });
+                            });
+                        });
+                    });
+                };
+                addPlayer(0);
+            });
+        });
+    },
+
+    /**
+     * Get the teams of a game, mapped by their lowercase name.
+     *
+     * @param {GameModel} game Game model.
+     * @param {function} callback Called with an error or null, and an object with the teams by their lowercase name.
+     */
+    getTeamsByName: (game, callback) => {
+        Core.model.gameTeamModelManager.getTeams(game, function(err, teams) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Create a callback latch
+            var latch = new CallbackLatch();
+            var calledBack = false;
+
+            // Get the name of each team
+            var result = {};
+            teams.forEach(function(team) {
+                latch.add();
+                team.getName(function(err, name) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Add the team
+                    result[name.toLowerCase()] = team;
+                    latch.resolve();
+                });
+            });
+
+            // Call back the teams
+            latch.then(function() {
+                if(!calledBack)
+                    callback(null, result);
+                calledBack = true;
+            });
+        });
+    }
+};
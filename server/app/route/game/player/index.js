@@ -20,13 +20,18 @@
  * program. If not, see <http://opensource.org/licenses/MIT/>.                *
  ******************************************************************************/
 
+var _ = require('lodash');
 var crypto = require('crypto');
 
 var Core = require('../../../../Core');
 var LayoutRenderer = require('../../../layout/LayoutRenderer');
 var CallbackLatch = require('../../../util/CallbackLatch');
+var ApiUtils = require('../../../util/ApiUtils');
 
 var pageCreate = require('./create');
+var pageImport = require('./import');
+var pageCards = require('./cards');
+var pageTeam = require('./team');
 
 // Export the module
 module.exports = {
@@ -50,6 +55,15 @@ module.exports = {
 
         // Route the create page
         pageCreate.route(router);
+
+        // Route the import page
+        pageImport.route(router);
+
+        // Route the login card page
+        pageCards.route(router);
+
+        // Route the team pages
+        pageTeam.route(router);
     },
 
     /**
@@ -80,7 +94,8 @@ module.exports = {
                 leftButton: 'back'
             },
             user: {
-                isAdmin: false
+                isAdmin: false,
+                hasPermission: false
             },
             game: {
                 id: game.getIdHex(),
@@ -132,6 +147,24 @@ module.exports = {
             latch.resolve();
         });
 
+        // Determine whether the user has permission to manage the game
+        latch.add();
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the result
+            options.user.hasPermission = hasPermission;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
         // Get the game users count
         latch.add();
         Core.model.gameUserModelManager.getGameUsersCount(game, function(err, usersCount) {
@@ -150,6 +183,24 @@ module.exports = {
             latch.resolve();
         });
 
+        // Get the number of teams
+        latch.add();
+        Core.model.gameTeamModelManager.getTeams(game, function(err, teams) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            options.game.teamCount = teams.length;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
         // Render the page when we're ready
         latch.then(function() {
             // Render the game page if we didn't call back yet
@@ -298,6 +349,39 @@ module.exports = {
             latch.resolve();
         });
 
+        // Fetch the teams in this game
+        latch.add();
+        Core.model.gameTeamModelManager.getTeams(game, function(err, teams) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Serialize each team
+            ApiUtils.serializeAll(teams, (team, callback) => ApiUtils.fetchProperties({
+                id: (callback) => callback(null, team.getIdHex()),
+                name: (callback) => team.getName(callback),
+                color: (callback) => team.getColor(callback)
+            }, callback), function(err, teamObjects) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the teams
+                gameObject.teams = teamObjects;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
         // Create the query options object based on the category
         var options = {};
         if(category === 'requested')
@@ -325,7 +409,8 @@ module.exports = {
             users.forEach(function(user) {
                 // Create an user object
                 var userObject = {
-                    id: user.getIdHex()
+                    id: user.getIdHex(),
+                    team: null
                 };
 
                 // Get the first name of the user
@@ -348,6 +433,35 @@ module.exports = {
                     // Resolve the latch
                     latch.resolve();
                 });
+
+                // Get the team of the user
+                latch.add();
+                Core.model.gameUserModelManager.getGameUser(game, user, function(err, gameUser) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    gameUser.getTeam(function(err, team) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                callback(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Set the team ID, the name and color are resolved from the list of teams
+                        if(team !== null)
+                            userObject.team = team.getIdHex();
+
+                        // Resolve the latch
+                        latch.resolve();
+                    });
+                });
             });
 
             // Resolve the latch
@@ -356,6 +470,11 @@ module.exports = {
 
         // Call back with the game object
         latch.then(function() {
+            // Resolve the team of each user
+            gameObject.users.users.forEach(function(userObject) {
+                userObject.team = _.find(gameObject.teams, (team) => team.id === userObject.team) || null;
+            });
+
             if(!calledBack)
                 callback(null, gameObject);
             calledBack = true;
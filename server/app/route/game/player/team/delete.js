@@ -0,0 +1,118 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var Core = require('../../../../../Core');
+var LayoutRenderer = require('../../../../layout/LayoutRenderer');
+var ApiUtils = require('../../../../util/ApiUtils');
+
+var pageEdit = require('./edit');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the team deletion pages.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the team deletion page
+        router.get('/:game/player/team/:team/delete', (req, res, next) => self.get(req, res, next));
+        router.post('/:game/player/team/:team/delete', (req, res, next) => self.post(req, res, next));
+    },
+
+    /**
+     * Get page for team deletion.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user may manage this team
+        pageEdit.requireTeamPermission(req, res, next, function() {
+            // Fetch the team properties
+            ApiUtils.fetchProperties({
+                name: (callback) => req.team.getName(callback),
+                color: (callback) => req.team.getColor(callback),
+                userCount: (callback) => req.team.getUsers(function(err, users) {
+                    callback(err, users !== undefined ? users.length : 0);
+                })
+            }, function(err, team) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Render the page
+                LayoutRenderer.renderAndShow(req, res, next, 'game/player/team/delete', team.name, {
+                    page: {
+                        leftButton: 'back'
+                    },
+                    team: team
+                });
+            });
+        });
+    },
+
+    /**
+     * Post page for team deletion.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Make sure the user may manage this team
+        pageEdit.requireTeamPermission(req, res, next, function() {
+            // Get the game
+            const game = req.game;
+
+            // Delete the team
+            req.team.delete(function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Reload the teams of the live game, if it's loaded
+                const liveGame = Core.gameManager.getLoadedGame(game);
+                if(liveGame !== null)
+                    liveGame.loadTeams(function(err) {
+                        // Show a warning on error
+                        if(err !== null) {
+                            console.warn('Failed to reload the user teams of a live game.');
+                            console.warn(err);
+                        }
+                    });
+
+                // Go back to the team overview page
+                res.redirect('/game/' + game.getIdHex() + '/player/teams');
+            });
+        });
+    }
+};
@@ -0,0 +1,210 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Validator = require('../../../../validator/Validator');
+var LayoutRenderer = require('../../../../layout/LayoutRenderer');
+var ApiUtils = require('../../../../util/ApiUtils');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the team edit pages.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the team edit page
+        router.get('/:game/player/team/:team/edit', (req, res, next) => self.get(req, res, next));
+        router.post('/:game/player/team/:team/edit', (req, res, next) => self.post(req, res, next));
+    },
+
+    /**
+     * Make sure the user may manage the team of the request.
+     * A no permission or error page is shown if this isn't the case.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {function} callback Called without arguments if the user may manage the team.
+     */
+    requireTeamPermission: (req, res, next, callback) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game, user and team
+        const game = req.game;
+        const user = req.session.user;
+        const team = req.team;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // Call back if the team is invalid
+        if(team === undefined) {
+            next(new Error('Ongeldig team.'));
+            return;
+        }
+
+        // The user must have management rights
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Make sure the team is part of this game
+            ApiUtils.isGameModel(game, team, function(err, isGameTeam) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Call back if the team isn't part of this game
+                if(!isGameTeam) {
+                    next(new Error('Ongeldig team.'));
+                    return;
+                }
+
+                // Continue
+                callback();
+            });
+        });
+    },
+
+    /**
+     * Get page for team editing.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user may manage this team
+        module.exports.requireTeamPermission(req, res, next, function() {
+            // Create the page options object
+            var options = {
+                page: {
+                    leftButton: 'back'
+                },
+                game: {
+                    id: req.game.getIdHex()
+                },
+                team: {
+                    id: req.team.getIdHex()
+                }
+            };
+
+            // Fetch the team name and color
+            ApiUtils.fetchProperties({
+                name: (callback) => req.team.getName(callback),
+                color: (callback) => req.team.getColor(callback)
+            }, function(err, properties) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Set the properties and render the page
+                options.team = _.merge(options.team, properties);
+                LayoutRenderer.renderAndShow(req, res, next, 'game/player/team/edit', options.team.name, options);
+            });
+        });
+    },
+
+    /**
+     * Post page for team editing.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Get the field values
+        var teamName = req.body['field-team-name'];
+        var teamColor = req.body['field-team-color'];
+
+        // Make sure the user may manage this team
+        module.exports.requireTeamPermission(req, res, next, function() {
+            // Validate the team name
+            if(!Validator.isValidTeamName(teamName)) {
+                // Show a warning if the user hadn't filled in the team name
+                if(_.isEmpty(teamName)) {
+                    LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                        message: 'De naam van het team mist.\n\n' +
+                        'Ga alstublieft terug en vul een naam voor het team in.'
+                    });
+                    return;
+                }
+
+                // Show an error page
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'De naam die u heeft ingevuld voor het team is ongeldig.\n\n' +
+                    'Ga alstublieft terug en vul een andere naam in.'
+                });
+                return;
+            }
+
+            // Validate the team color
+            if(!Validator.isValidTeamColor(teamColor)) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'De kleur die u heeft gekozen voor het team is ongeldig.\n\n' +
+                    'Ga alstublieft terug en kies een andere kleur.'
+                });
+                return;
+            }
+
+            // Set the team properties
+            req.team.setFields({
+                name: Validator.formatTeamName(teamName),
+                color: Validator.formatTeamColor(teamColor)
+            }, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Redirect to the team overview page
+                res.redirect('/game/' + req.game.getIdHex() + '/player/teams');
+            });
+        });
+    }
+};
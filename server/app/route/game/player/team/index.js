@@ -0,0 +1,268 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../../../Core');
+var Validator = require('../../../../validator/Validator');
+var GameTeamDatabase = require('../../../../model/gameteam/GameTeamDatabase');
+var LayoutRenderer = require('../../../../layout/LayoutRenderer');
+var CallbackLatch = require('../../../../util/CallbackLatch');
+var ApiUtils = require('../../../../util/ApiUtils');
+var TeamParam = require('../../../../router/middleware/TeamParam');
+
+var pageEdit = require('./edit');
+var pageDelete = require('./delete');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the team pages.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Add the team middleware
+        TeamParam.attach(router);
+
+        // Route the team list and creation
+        router.get('/:game/player/teams', self.get);
+        router.post('/:game/player/teams', self.post);
+
+        // Route other team pages
+        pageEdit.route(router);
+        pageDelete.route(router);
+    },
+
+    /**
+     * Get page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // Create the page options object
+        var options = {
+            page: {
+                leftButton: 'back'
+            },
+            user: {
+                hasPermission: false
+            },
+            game: {
+                id: game.getIdHex(),
+                teams: []
+            }
+        };
+
+        // Create a callback latch for the games properties
+        var latch = new CallbackLatch();
+        var calledBack = false;
+
+        // Fetch the game name
+        latch.add();
+        game.getName(function(err, name) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            options.game.name = name;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Determine whether the user has permission to manage this game
+        latch.add();
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the result
+            options.user.hasPermission = hasPermission;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Get the teams and their members
+        latch.add();
+        Core.model.gameTeamModelManager.getTeams(game, function(err, teams) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Serialize each team
+            ApiUtils.serializeAll(teams, (team, callback) => ApiUtils.fetchProperties({
+                id: (callback) => callback(null, team.getIdHex()),
+                name: (callback) => team.getName(callback),
+                color: (callback) => team.getColor(callback),
+                users: (callback) => team.getUsers(function(err, users) {
+                    // Call back errors
+                    if(err !== null) {
+                        callback(err);
+                        return;
+                    }
+
+                    // Get the name of each user
+                    ApiUtils.serializeAll(users, (user, callback) => user.getName(callback), callback);
+                })
+            }, callback), function(err, teamObjects) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the teams
+                options.game.teams = teamObjects;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Render the page when we're ready
+        latch.then(function() {
+            if(!calledBack)
+                LayoutRenderer.renderAndShow(req, res, next, 'game/player/team/index', options.game.name, options);
+            calledBack = true;
+        });
+    },
+
+    /**
+     * Post page for team creation.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Get the field values
+        var teamName = req.body['field-team-name'];
+        var teamColor = req.body['field-team-color'];
+
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must have management rights
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user has permission
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Validate the team name
+            if(!Validator.isValidTeamName(teamName)) {
+                // Show a warning if the user hadn't filled in the team name
+                if(_.isEmpty(teamName)) {
+                    LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                        message: 'De naam van het team mist.\n\n' +
+                        'Ga alstublieft terug en vul een naam voor het team in dat u wilt aanmaken.'
+                    });
+                    return;
+                }
+
+                // Show an error page
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'De naam die u heeft ingevuld voor het team is ongeldig.\n\n' +
+                    'Ga alstublieft terug en vul een andere naam in.'
+                });
+                return;
+            }
+
+            // Validate the team color
+            if(!Validator.isValidTeamColor(teamColor)) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'De kleur die u heeft gekozen voor het team is ongeldig.\n\n' +
+                    'Ga alstublieft terug en kies een andere kleur.'
+                });
+                return;
+            }
+
+            // Create the team
+            GameTeamDatabase.addGameTeam(game, teamName, teamColor, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Redirect to the team overview page
+                res.redirect('/game/' + game.getIdHex() + '/player/teams');
+            });
+        });
+    }
+};
@@ -0,0 +1,231 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var QRCode = require('qrcode');
+
+var ApiUtils = require('../../../util/ApiUtils');
+var PointCheckIn = require('../../../live/point/PointCheckIn');
+var LayoutRenderer = require('../../../layout/LayoutRenderer');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the point check-in pages.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the point check-in page
+        router.get('/:game/point/:point/checkin', (req, res, next) => self.get(req, res, next));
+        router.post('/:game/point/:point/checkin', (req, res, next) => self.post(req, res, next));
+    },
+
+    /**
+     * Require the user to be able to manage the game of the requested point, and the point to be part of that game.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {function} callback Called without arguments if the user has permission.
+     */
+    requirePermission: (req, res, next, callback) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Call back if the game is invalid
+        if(req.game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // Call back if the point is invalid
+        if(req.point === undefined) {
+            next(new Error('Ongeldig punt.'));
+            return;
+        }
+
+        // The user must be able to manage the game
+        req.game.hasManagePermission(req.session.user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Make sure the point is part of this game
+            ApiUtils.isGameModel(req.game, req.point, function(err, isGamePoint) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Call back if the point isn't part of this game
+                if(!isGamePoint) {
+                    next(ApiUtils.createError('Ongeldig punt.', 404));
+                    return;
+                }
+
+                // Continue
+                callback();
+            });
+        });
+    },
+
+    /**
+     * Get page for the point check-in settings.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        module.exports.requirePermission(req, res, next, function() {
+            // Get the game and point
+            const game = req.game;
+            const point = req.point;
+
+            // Fetch the point name and check-in settings
+            ApiUtils.fetchProperties({
+                name: (callback) => point.getName(callback),
+                method: (callback) => point.getCheckInMethod(callback),
+                code: (callback) => point.getCheckInCode(callback)
+            }, function(err, properties) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Create the page options object
+                var options = {
+                    page: {
+                        leftButton: 'back'
+                    },
+                    game: {
+                        id: game.getIdHex()
+                    },
+                    point: {
+                        id: point.getIdHex(),
+                        name: properties.name,
+                        method: properties.method,
+                        code: properties.code,
+                        qr: null
+                    }
+                };
+
+                // Show the page without a QR code if the point doesn't have a code
+                if(properties.code === null) {
+                    LayoutRenderer.renderAndShow(req, res, next, 'game/point/checkin', properties.name, options);
+                    return;
+                }
+
+                // Render the QR code, which links to the check-in page with the code of the point
+                const url = req.protocol + '://' + req.get('host') + '/game/' + game.getIdHex() + '/checkin/' + properties.code;
+                QRCode.toDataURL(url, function(err, qr) {
+                    // Call back errors
+                    if(err !== null && err !== undefined) {
+                        next(err);
+                        return;
+                    }
+
+                    // Show the page
+                    options.point.qr = qr;
+                    LayoutRenderer.renderAndShow(req, res, next, 'game/point/checkin', properties.name, options);
+                });
+            });
+        });
+    },
+
+    /**
+     * Post page for the point check-in settings.
+     * A code is generated when a method that uses the code is selected, and the point doesn't have a code yet.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Get the field values
+        const method = req.body['field-point-check-in-method'];
+        const resetCode = req.body['field-point-check-in-code-reset'] === 'true';
+
+        module.exports.requirePermission(req, res, next, function() {
+            // Get the game and point
+            const game = req.game;
+            const point = req.point;
+
+            // Validate the method
+            if(!PointCheckIn.isValidMethod(method)) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'De manier van inchecken die u heeft gekozen is ongeldig.\n\n' +
+                    'Ga alstublieft terug en kies een andere manier van inchecken.'
+                });
+                return;
+            }
+
+            // Get the current code
+            point.getCheckInCode(function(err, code) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Generate a new code if requested, or if the method needs one
+                if(resetCode || (code === null && PointCheckIn.usesCode(method)))
+                    code = PointCheckIn.generateCode();
+
+                // Set the method and code
+                point.setCheckInMethod(method, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    point.setCheckInCode(code, function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Go back to the check-in page
+                        res.redirect('/game/' + game.getIdHex() + '/point/' + point.getIdHex() + '/checkin');
+                    });
+                });
+            });
+        });
+    }
+};
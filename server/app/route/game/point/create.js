@@ -27,6 +27,7 @@ var Core = require('../../../../Core');
 var Coordinate = require('../../../coordinate/Coordinate');
 var Validator = require('../../../validator/Validator');
 var PointDatabase = require('../../../model/point/PointDatabase');
+var PointRange = require('../../../live/point/PointRange');
 var LayoutRenderer = require('../../../layout/LayoutRenderer');
 
 // Export the module
@@ -82,15 +83,25 @@ module.exports = {
                 return;
             }
 
-            // Show the point creation page
-            LayoutRenderer.renderAndShow(req, res, next, 'game/point/create', 'Punt aanmaken', {
-                page: {
-                    leftButton: 'back'
-                },
-                game: {
-                    id: game.getIdHex()
-                },
-                created: false
+            // Get the point range of the game, used for points that don't override it
+            game.getPointRange(function(err, gameRange) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Show the point creation page
+                LayoutRenderer.renderAndShow(req, res, next, 'game/point/create', 'Punt aanmaken', {
+                    page: {
+                        leftButton: 'back'
+                    },
+                    game: {
+                        id: game.getIdHex(),
+                        range: PointRange.resolve(gameRange)
+                    },
+                    created: false
+                });
             });
         });
     },
@@ -107,6 +118,10 @@ module.exports = {
         var pointName = req.body['field-point-name'];
         var pointLat = req.body['field-point-lat'];
         var pointLng = req.body['field-point-lng'];
+        var pointRange = {
+            range: PointRange.parse(req.body['field-point-range']),
+            active: PointRange.parse(req.body['field-point-range-active'])
+        };
 
         // Make sure the user has a valid session
         if(!req.requireValidSession())
@@ -200,6 +215,15 @@ module.exports = {
                 return;
             }
 
+            // Validate the range
+            var rangeMessage = PointRange.validate(pointRange);
+            if(rangeMessage !== null) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: rangeMessage + '\n\nGa alstublieft terug en pas het bereik van het punt aan.'
+                });
+                return;
+            }
+
             // Format the point name
             var pointNameFormatted = Validator.formatPointName(pointName);
 
@@ -217,17 +241,26 @@ module.exports = {
                     return;
                 }
 
-                // Show the game creation page
-                LayoutRenderer.renderAndShow(req, res, next, 'game/point/create', 'Punt aangemaakt', {
-                    hideBackButton: true,
-                    created: true,
-                    game: {
-                        id: game.getIdHex()
-                    },
-                    point: {
-                        id: pointModel.getIdHex(),
-                        name: pointNameFormatted
+                // Set the range of the point
+                pointModel.setRange(pointRange, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
                     }
+
+                    // Show the game creation page
+                    LayoutRenderer.renderAndShow(req, res, next, 'game/point/create', 'Punt aangemaakt', {
+                        hideBackButton: true,
+                        created: true,
+                        game: {
+                            id: game.getIdHex()
+                        },
+                        point: {
+                            id: pointModel.getIdHex(),
+                            name: pointNameFormatted
+                        }
+                    });
                 });
             });
         });
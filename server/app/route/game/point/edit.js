@@ -27,6 +27,7 @@ var Core = require('../../../../Core');
 var Coordinate = require('../../../coordinate/Coordinate');
 var Validator = require('../../../validator/Validator');
 var PointDatabase = require('../../../model/point/PointDatabase');
+var PointRange = require('../../../live/point/PointRange');
 var LayoutRenderer = require('../../../layout/LayoutRenderer');
 var CallbackLatch = require('../../../util/CallbackLatch');
 
@@ -98,7 +99,13 @@ module.exports = {
                 point: {
                     name: '',
                     latitude: 0,
-                    longitude: 0
+                    longitude: 0,
+                    range: null,
+                    rangeActive: null
+                },
+                game: {
+                    id: game.getIdHex(),
+                    range: null
                 }
             };
 
@@ -143,6 +150,43 @@ module.exports = {
                 latch.resolve();
             });
 
+            // Fetch the range of the point
+            latch.add();
+            point.getRange(function(err, range) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the property
+                options.point.range = range.range;
+                options.point.rangeActive = range.active;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
+            // Fetch the range of the game, used if the point doesn't override it
+            latch.add();
+            game.getPointRange(function(err, range) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the property
+                options.game.range = PointRange.resolve(range);
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
             // Render the page when we're ready
             latch.then(function() {
                 // Render the game page if we didn't call back yet
@@ -165,6 +209,10 @@ module.exports = {
         var pointName = req.body['field-point-name'];
         var pointLat = req.body['field-point-lat'];
         var pointLng = req.body['field-point-lng'];
+        var pointRange = {
+            range: PointRange.parse(req.body['field-point-range']),
+            active: PointRange.parse(req.body['field-point-range-active'])
+        };
 
         // Make sure the user has a valid session
         if(!req.requireValidSession())
@@ -265,6 +313,15 @@ module.exports = {
                 return;
             }
 
+            // Validate the range
+            var rangeMessage = PointRange.validate(pointRange);
+            if(rangeMessage !== null) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: rangeMessage + '\n\nGa alstublieft terug en pas het bereik van het punt aan.'
+                });
+                return;
+            }
+
             // Format the point name
             var pointNameFormatted = Validator.formatPointName(pointName);
 
@@ -287,8 +344,15 @@ module.exports = {
                         return;
                     }
 
-                    // Redirect to the points overview page
-                    res.redirect('/game/' + game.getIdHex() + '/points');
+                    point.setRange(pointRange, function(err) {
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Redirect to the points overview page
+                        res.redirect('/game/' + game.getIdHex() + '/points');
+                    });
                 });
             });
         });
@@ -0,0 +1,154 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var Core = require('../../../../Core');
+var PointFile = require('../../../coordinate/PointFile');
+var LayoutRenderer = require('../../../layout/LayoutRenderer');
+var CallbackLatch = require('../../../util/CallbackLatch');
+var ApiUtils = require('../../../util/ApiUtils');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the point export pages.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the point export
+        router.get('/:game/points/export', (req, res, next) => self.get(req, res, next));
+    },
+
+    /**
+     * Get page.
+     * Responds with the points of the game as file download.
+     * The format query parameter may be set to gpx, geojson or kml, GPX is used by default.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // Determine the format
+        var format = req.query.format !== undefined ? req.query.format.toString().toLowerCase() : PointFile.FORMAT_GPX;
+        if(!PointFile.isValidFormat(format)) {
+            LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                message: 'Onbekend bestandsformaat. Gebruik GPX, GeoJSON of KML.'
+            });
+            return;
+        }
+
+        // The user must have management rights
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Create a callback latch
+            var latch = new CallbackLatch();
+            var calledBack = false;
+
+            // Fetch the game name and points
+            var gameName;
+            var points;
+
+            latch.add();
+            game.getName(function(err, name) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                gameName = name;
+                latch.resolve();
+            });
+
+            latch.add();
+            Core.model.pointModelManager.getPoints(game, undefined, function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Fetch the name and location of each point
+                ApiUtils.serializeAll(result, (point, callback) => ApiUtils.fetchProperties({
+                    name: (callback) => point.getName(callback),
+                    location: (callback) => point.getLocation(callback)
+                }, callback), function(err, serialized) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    points = serialized;
+                    latch.resolve();
+                });
+            });
+
+            // Send the file when ready
+            latch.then(function() {
+                if(calledBack)
+                    return;
+
+                // Send the points as download
+                res.attachment(PointFile.getFileName(gameName, format));
+                res.type(PointFile.MIME_TYPES[format]);
+                res.send(PointFile.write(points, format, gameName));
+            });
+        });
+    }
+};
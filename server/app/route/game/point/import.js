@@ -0,0 +1,199 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var PointDatabase = require('../../../model/point/PointDatabase');
+var PointFile = require('../../../coordinate/PointFile');
+var LayoutRenderer = require('../../../layout/LayoutRenderer');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the point import pages.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the point import page
+        router.get('/:game/points/import', (req, res, next) => self.get(req, res, next));
+        router.post('/:game/points/import', (req, res, next) => self.post(req, res, next));
+    },
+
+    /**
+     * Get page for point import.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The player must have the ability to manage this game
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Handle errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Show the point import page
+            LayoutRenderer.renderAndShow(req, res, next, 'game/point/import', 'Punten importeren', {
+                page: {
+                    leftButton: 'back'
+                },
+                game: {
+                    id: game.getIdHex()
+                },
+                imported: false
+            });
+        });
+    },
+
+    /**
+     * Post page for point import.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Get the uploaded file
+        var pointFile = (req.files !== null && req.files !== undefined) ? req.files['field-point-file'] : undefined;
+
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must be able to manage the game
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user has permission
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Make sure a file is uploaded
+            if(pointFile === undefined || pointFile === null || pointFile.data.length === 0) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'Er is geen bestand geüpload.\n\n' +
+                    'Ga alstublieft terug en kies een GPX, GeoJSON of KML bestand om te importeren.'
+                });
+                return;
+            }
+
+            // Get the file contents, and determine the format
+            var content = pointFile.data.toString('utf8');
+            var format = PointFile.detectFormat(pointFile.name, content);
+
+            // Parse the points
+            var result = format !== null ? PointFile.parse(content, format) : null;
+            if(result === null) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'Het geüploade bestand kon niet worden gelezen.\n\n' +
+                    'Ga alstublieft terug en kies een geldig GPX, GeoJSON of KML bestand.'
+                });
+                return;
+            }
+
+            // Make sure there's at least one valid point
+            if(result.points.length === 0) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'Het geüploade bestand bevat geen geldige punten.\n\n' +
+                    'Ga alstublieft terug en kies een ander bestand.'
+                });
+                return;
+            }
+
+            // Add the points one by one, to preserve their order
+            var addPoint = function(i) {
+                // Show the import summary when all points are added
+                if(i >= result.points.length) {
+                    LayoutRenderer.renderAndShow(req, res, next, 'game/point/import', 'Punten geïmporteerd', {
+                        hideBackButton: true,
+                        imported: true,
+                        game: {
+                            id: game.getIdHex()
+                        },
+                        summary: {
+                            format: format,
+                            points: result.points.length,
+                            invalid: result.invalid
+                        }
+                    });
+                    return;
+                }
+
+                // Add the point
+                var point = result.points[i];
+                PointDatabase.addPoint(point.name, game, user, point.location, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Add the next point
+                    addPoint(i + 1);
+                });
+            };
+            addPoint(0);
+        });
+    }
+};
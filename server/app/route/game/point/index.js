@@ -31,6 +31,9 @@ var pageCreate = require('./create');
 var pageInfo = require('./info');
 var pageEdit = require('./edit');
 var pageDelete = require('./delete');
+var pageImport = require('./import');
+var pageExport = require('./export');
+var pageCheckIn = require('./checkin');
 var pageSubmissionCreate = require('./submission/create');
 
 // Export the module
@@ -56,6 +59,9 @@ module.exports = {
         pageInfo.route(router);
         pageEdit.route(router);
         pageDelete.route(router);
+        pageImport.route(router);
+        pageExport.route(router);
+        pageCheckIn.route(router);
         pageSubmissionCreate.route(router);
     },
 
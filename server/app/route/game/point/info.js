@@ -141,6 +141,24 @@ module.exports = {
                 latch.resolve();
             });
 
+            // Fetch the range, to show it on the map
+            latch.add();
+            point.getResolvedRange(function(err, range) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the property
+                options.point.range = range.range;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
             // Render the page when we're ready
             latch.then(function() {
                 // Render the game page if we didn't call back yet
@@ -22,12 +22,11 @@
 
 var _ = require('lodash');
 var crypto = require('crypto');
-const path = require("path");
-const fs = require("fs");
 
 const config = require("../../../../../config");
 
 var ApprovalState = require('../../../../model/submission/ApprovalState');
+var SubmissionRevision = require('../../../../model/submission/SubmissionRevision');
 var Core = require('../../../../../Core');
 var Coordinate = require('../../../../coordinate/Coordinate');
 var Validator = require('../../../../validator/Validator');
@@ -35,12 +34,27 @@ var SubmissionDatabase = require('../../../../model/submission/SubmissionDatabas
 var LayoutRenderer = require('../../../../layout/LayoutRenderer');
 var SubmissionParam = require('../../../../router/middleware/SubmissionParam');
 var CallbackLatch = require('../../../../util/CallbackLatch');
+var ApiUtils = require('../../../../util/ApiUtils');
 const PacketType = require("../../../../realtime/PacketType");
-const HashUtils = require("../../../../hash/HashUtils");
 const Formatter = require("../../../../format/Formatter");
+var AnswerType = require('../../../../model/assignment/AnswerType');
+var AnswerGrader = require('../../../../model/assignment/AnswerGrader');
+var FileStorage = require('../../../../storage/FileStorage');
+var MediaProcessor = require('../../../../media/MediaProcessor');
+var ExifReader = require('../../../../media/ExifReader');
+var OfflineReplay = require('../../../../live/user/OfflineReplay');
+var pageSubmissionApprove = require('../../submission/approve/approve');
 
 // Define and export the module
 module.exports = {
+    /**
+     * Response header containing the ID of the stored submission.
+     * Clients that replay submissions made while being offline use this to check whether a submission was stored.
+     *
+     * @type {string}
+     */
+    SUBMISSION_HEADER: 'X-Submission',
+
     /**
      * Route the player pages.
      *
@@ -118,6 +132,9 @@ module.exports = {
                 game: {
                     id: game.getIdHex()
                 },
+                user: {
+                    id: user.getIdHex()
+                },
                 assignment: {
                     id: assignment.getIdHex(),
                     name: null,
@@ -125,7 +142,10 @@ module.exports = {
                     points: 1,
                     retry: false,
                     allow_text: true,
-                    allow_file: false
+                    allow_file: false,
+                    auto_graded: false,
+                    choices: null,
+                    multiple: false
                 },
                 point: {
                     id: null,
@@ -245,6 +265,45 @@ module.exports = {
                 latch.resolve();
             });
 
+            // Get the answer type and configuration
+            latch.add();
+            assignment.getAnswerType(function(err, answerType) {
+                // Handle errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set whether the answer is graded automatically
+                options.assignment.auto_graded = AnswerType.isAutoGraded(answerType);
+                options.assignment.multiple = answerType === AnswerType.MULTIPLE_CHOICE;
+
+                // Return early if this isn't a choice assignment
+                if(!AnswerType.isChoice(answerType)) {
+                    latch.resolve();
+                    return;
+                }
+
+                // Get the choices to show
+                assignment.getAnswerConfig(function(err, answerConfig) {
+                    // Handle errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the choices
+                    options.assignment.choices = answerConfig.choices;
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            });
+
             // Find the point for this submission
             latch.add();
             assignment.findPoint(user, game, function(err, livePoint) {
@@ -307,6 +366,12 @@ module.exports = {
         var submissionText = req.body['field-submission-text'];
         var submissionFile = (req.files !== null && req.files !== undefined) ? req.files['field-submission-file'] : null;
 
+        // Get the token of the client, and the time of answers submitted while being offline
+        const rawClientToken = req.body['field-submission-token'];
+        const clientToken = OfflineReplay.isValidToken(rawClientToken) ? rawClientToken : null;
+        const clientDate = req.body['field-submission-time'] !== undefined ?
+            OfflineReplay.parseTime(req.body['field-submission-time'], new Date()) : undefined;
+
         // Make sure the user has a valid session
         if(!req.requireValidSession())
             return;
@@ -316,6 +381,14 @@ module.exports = {
         const user = req.session.user;
         const assignment = req.assignment;
 
+        // Refuse answers made by another user, a client may replay answers after a different user logged in
+        if(!OfflineReplay.isSameUser(req.body['field-submission-user'], user)) {
+            LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                message: 'Dit antwoord is door een andere gebruiker gemaakt, en kan niet door u worden ingezonden.'
+            });
+            return;
+        }
+
         // Call back if the game is invalid
         if(game === undefined) {
             next(new Error('Ongeldig spel.'));
@@ -328,6 +401,15 @@ module.exports = {
             return;
         }
 
+        // Show an error if the answer was submitted while being offline for too long
+        if(clientDate === null) {
+            LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                message: 'Dit antwoord is te lang geleden zonder verbinding gemaakt, en kan niet meer worden ingezonden.\n\n' +
+                'Ga alstublieft terug, en probeer de opdracht opnieuw.'
+            });
+            return;
+        }
+
         // Store the module instance
         const self = module.exports;
 
@@ -338,310 +420,478 @@ module.exports = {
         //     return;
         // }
 
-        // Make sure the point is in-range
-        assignment.findPoint(user, game, function(err, livePoint) {
-            // Handle errors
+        // Make sure the submission wasn't stored before, clients may replay submissions made while being offline twice
+        self.checkClientToken(game, user, clientToken, req, res, next, function(err, duplicate) {
+            // Call back errors
             if(err !== null) {
                 next(err);
                 return;
             }
 
-            // Show an error if no point is found
-            if(livePoint === null) {
-                // Show an error page
-                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
-                    message: 'Deze opdracht is niet aan u toegewezen.\n\n' +
-                    'Ga alstubieft terug en voltooi een opdracht op een van de punten op de kaart.'
-                });
+            // Return if the submission was stored before
+            if(duplicate)
                 return;
-            }
-
-            // Determine whether the point is in-range
-            var inRange = livePoint.isInRangeMemory(user);
 
-            // Show an error if the point isn't in-range
-            if(!inRange) {
-                // Show an error page
-                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
-                    message: 'Het punt waar deze opdracht voor u beschikbaar is is niet meer binnen uw bereik.\n\n' +
-                    'Ga alstublieft terug, en loop richting het punt middels de kaart.\n\n' +
-                    'Daarna kunt u opnieuw proberen een antwoord voor deze opdracht in te zenden.'
-                });
-                return;
-            }
-
-            // Check whether an answer has already been submitted, show the proper pages if that's the case
-            self.checkIfSubmitted(game, user, assignment, req, res, next, function(err, complete) {
-                // Call back errors
+            // Make sure the point is in-range
+            assignment.findPoint(user, game, function(err, livePoint) {
+                // Handle errors
                 if(err !== null) {
-                    if(!calledBack)
-                        next(err);
-                    calledBack = true;
+                    next(err);
                     return;
                 }
 
-                // Return if completed
-                if(complete)
+                // Show an error if no point is found
+                if(livePoint === null) {
+                    // Show an error page
+                    LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                        message: 'Deze opdracht is niet aan u toegewezen.\n\n' +
+                        'Ga alstubieft terug en voltooi een opdracht op een van de punten op de kaart.'
+                    });
                     return;
+                }
 
-                // Create a callback latch
-                var latch = new CallbackLatch();
-                var calledBack = false;
-
-                // Check whether to allow text and file answers
-                var allowText = false;
-                var allowFile = false;
-
-                // Check whether text answers are allowed
-                latch.add();
-                assignment.isAnswerText(function(err, result) {
-                    // Call back errors
-                    if(err !== null) {
-                        if(!calledBack)
-                            next(err);
-                        calledBack = true;
-                        return;
-                    }
-
-                    // Set whether text is allowed
-                    allowText = result;
-
-                    // Resolve the latch
-                    latch.resolve();
-                });
-
-                // Check whether file answers are allowed
-                latch.add();
-                assignment.isAnswerFile(function(err, result) {
-                    // Call back errors
+                // Determine whether the point is in-range, use the time of answers submitted while being offline
+                self.isInRange(livePoint, user, clientDate, function(err, inRange) {
+                    // Handle errors
                     if(err !== null) {
-                        if(!calledBack)
-                            next(err);
-                        calledBack = true;
+                        next(err);
                         return;
                     }
 
-                    // Set whether file is allowed
-                    allowFile = result;
-
-                    // Resolve the latch
-                    latch.resolve();
-                });
-
-                // Resolve the latch
-                latch.then(function() {
-                    // Set the text and file values to null if they're not allowed
-                    if(submissionText === undefined || !allowText || (_.isString(submissionText) && submissionText.trim().length <= 0))
-                        submissionText = null;
-                    if(submissionFile === undefined || !allowFile || (_.isString(submissionFile) && submissionFile.trim().length <= 0))
-                        submissionFile = null;
-
-                    // Show an error if both values are null
-                    if(submissionText === null && submissionFile === null) {
+                    // Show an error if the point isn't in-range
+                    if(!inRange) {
                         // Show an error page
                         LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
-                            message: 'Voer alstublieft een antwoord in om in te zenden.'
+                            message: 'Het punt waar deze opdracht voor u beschikbaar is is niet meer binnen uw bereik.\n\n' +
+                            'Ga alstublieft terug, en loop richting het punt middels de kaart.\n\n' +
+                            'Daarna kunt u opnieuw proberen een antwoord voor deze opdracht in te zenden.'
                         });
                         return;
                     }
 
-                    // Create a file latch
-                    var fileLatch = new CallbackLatch();
+                    // Check whether an answer has already been submitted, show the proper pages if that's the case
+                    self.checkIfSubmitted(game, user, assignment, req, res, next, function(err, complete, retrySubmission) {
+                        // Make sure we only call back once
+                        var calledBack = false;
 
-                    // Process the file upload
-                    var submissionFileName = null;
-                    if(submissionFile !== null) {
-                        // Add the latch
-                        fileLatch.add();
-                        console.log('File upload: Received filed (name: \'' + submissionFile.name + '\', mimetype: \'' + submissionFile.mimetype + '\')');
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                next(err);
+                            calledBack = true;
+                            return;
+                        }
 
-                        // Get the extension of the file
-                        var uploadExt = submissionFile.name.trim().split('.').pop();
+                        // Return if completed
+                        if(complete)
+                            return;
 
-                        // Determine the file path to use
-                        var filePath;
-                        do {
-                            // Generate a random file name
-                            var fileName = HashUtils.randomHash() + '.' + uploadExt;
+                        // Create a callback latch
+                        var latch = new CallbackLatch();
 
-                            // Update the file path
-                            filePath = path.join(config.upload.path, fileName);
+                        // Check whether to allow text and file answers
+                        var allowText = false;
+                        var allowFile = false;
 
-                        } while(fs.existsSync(filePath));
+                        // The answer type and configuration, used to grade the answer automatically
+                        var answerType = AnswerType.OPEN;
+                        var answerConfig = null;
 
-                        // Show a status message
-                        console.log('File upload: Moving file to \'' + filePath + '\'...');
+                        // Check whether text answers are allowed
+                        latch.add();
+                        assignment.isAnswerText(function(err, result) {
+                            // Call back errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    next(err);
+                                calledBack = true;
+                                return;
+                            }
 
-                        // Move the file
-                        submissionFile.mv(filePath, function(err) {
-                            // Handle errors
-                            if(err) {
-                                // Show a status message
-                                console.error('File upload: Failed to upload and move file!');
-                                console.error(err);
+                            // Set whether text is allowed
+                            allowText = result;
+
+                            // Resolve the latch
+                            latch.resolve();
+                        });
 
-                                // Call back the error
+                        // Check whether file answers are allowed
+                        latch.add();
+                        assignment.isAnswerFile(function(err, result) {
+                            // Call back errors
+                            if(err !== null) {
                                 if(!calledBack)
                                     next(err);
                                 calledBack = true;
                                 return;
                             }
 
-                            // Show a status message
-                            console.log('File upload: File successfully moved! (size: ' + Formatter.formatBytes(fs.statSync(filePath).size) + ')');
-
-                            // Set the file name for the submission in the database
-                            submissionFileName = fileName;
+                            // Set whether file is allowed
+                            allowFile = result;
 
                             // Resolve the latch
-                            fileLatch.resolve();
+                            latch.resolve();
                         });
-                    }
 
-                    // Continue after the file latch
-                    fileLatch.then(function() {
-                        // Create the point
-                        SubmissionDatabase.addSubmission(assignment, user, null, ApprovalState.PENDING, submissionText, submissionFileName, function(err, submissionModel) {
+                        // Get the answer type
+                        latch.add();
+                        assignment.getAnswerType(function(err, result) {
                             // Call back errors
                             if(err !== null) {
-                                next(err);
+                                if(!calledBack)
+                                    next(err);
+                                calledBack = true;
                                 return;
                             }
 
-                            // Create a page options object
-                            var options = {
-                                hideBackButton: true,
-                                created: true,
-                                game: {
-                                    id: game.getIdHex()
-                                },
-                                assignment: {
-                                    id: null,
-                                    name: '',
-                                    description: ''
-                                },
-                                submission: {
-                                    id: submissionModel.getIdHex(),
-                                    text: submissionText,
-                                    file: null
-                                }
-                            };
+                            // Set the answer type
+                            answerType = result;
 
-                            // Reset the latch to it's identity
-                            latch.identity();
+                            // Resolve the latch
+                            latch.resolve();
+                        });
 
-                            // Get the answer file
-                            latch.add();
-                            submissionModel.getAnswerFileObject(function(err, fileObject) {
-                                // Call back errors
-                                if(err !== null) {
-                                    if(!calledBack)
-                                        next(err);
-                                    calledBack = true;
-                                    return;
-                                }
+                        // Get the answer configuration
+                        latch.add();
+                        assignment.getAnswerConfig(function(err, result) {
+                            // Call back errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    next(err);
+                                calledBack = true;
+                                return;
+                            }
 
-                                // Set the file object
-                                options.submission.file = fileObject;
+                            // Set the answer configuration
+                            answerConfig = result;
 
-                                // Resolve the latch
-                                latch.resolve();
-                            });
+                            // Resolve the latch
+                            latch.resolve();
+                        });
 
-                            // Get the assignment name
-                            latch.add();
-                            assignment.getName(function(err, name) {
-                                // Call back errors
-                                if(err !== null) {
-                                    if(!calledBack)
-                                        next(err);
-                                    calledBack = true;
+                        // Resolve the latch
+                        latch.then(function() {
+                            // Grade the answer right away if the assignment is graded automatically
+                            var approvalState = ApprovalState.PENDING;
+                            if(AnswerType.isAutoGraded(answerType)) {
+                                // Get the answer, the selected choices or the answer text
+                                var answer = AnswerType.isChoice(answerType) ? AnswerGrader.parseChoiceAnswer(req.body['field-submission-choice']) : submissionText;
+
+                                // Show an error if no answer is given
+                                if(_.isEmpty(answer) || (_.isString(answer) && answer.trim().length <= 0)) {
+                                    // Show an error page
+                                    LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                                        message: 'Voer alstublieft een antwoord in om in te zenden.'
+                                    });
                                     return;
                                 }
 
-                                // Set the name
-                                options.assignment.name = name;
+                                // Grade the answer, and store the given answer as text
+                                approvalState = AnswerGrader.grade(answerType, answerConfig, answer) ? ApprovalState.APPROVED : ApprovalState.REJECTED;
+                                submissionText = AnswerGrader.formatAnswer(answerType, answerConfig, answer);
+                                submissionFile = null;
+                            }
 
-                                // Resolve the latch
-                                latch.resolve();
-                            });
+                            // Set the text and file values to null if they're not allowed
+                            if(submissionText === undefined || !allowText || (_.isString(submissionText) && submissionText.trim().length <= 0))
+                                submissionText = null;
+                            if(submissionFile === undefined || !allowFile || (_.isString(submissionFile) && submissionFile.trim().length <= 0))
+                                submissionFile = null;
+
+                            // Show an error if both values are null
+                            if(submissionText === null && submissionFile === null) {
+                                // Show an error page
+                                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                                    message: 'Voer alstublieft een antwoord in om in te zenden.'
+                                });
+                                return;
+                            }
 
-                            // Get the assignment description
-                            latch.add();
-                            assignment.getDescription(function(err, description) {
-                                // Call back errors
-                                if(err !== null) {
-                                    if(!calledBack)
-                                        next(err);
-                                    calledBack = true;
-                                    return;
-                                }
+                            // Create a file latch
+                            var fileLatch = new CallbackLatch();
 
-                                // Set the description
-                                options.assignment.description = description;
+                            // Process the file upload
+                            var submissionFileName = null;
+                            if(submissionFile !== null) {
+                                // Add the latch
+                                fileLatch.add();
+                                console.log('File upload: Received filed (name: \'' + submissionFile.name + '\', mimetype: \'' + submissionFile.mimetype + '\')');
 
-                                // Resolve the latch
-                                latch.resolve();
-                            });
+                                // Generate a random name to store the file with
+                                var fileName = FileStorage.generateName(submissionFile.name);
 
-                            // Show the game creation page
-                            latch.then(function() {
-                                // Render the success page
-                                LayoutRenderer.renderAndShow(req, res, next, 'game/submission/submit', 'Antwoord ingezonden', options);
+                                // Show a status message
+                                console.log('File upload: Storing file as \'' + fileName + '\'...');
 
-                                // Resend the game location data
-                                Core.gameManager.broadcastLocationData(0, game, user, true, undefined, function(err) {
-                                    // Call back errors
+                                // Store the file
+                                Core.fileStorage.write(fileName, submissionFile.data, function(err) {
+                                    // Handle errors
                                     if(err !== null) {
-                                        console.error('Failed to broadcast location data to user, ignoring.');
+                                        // Show a status message
+                                        console.error('File upload: Failed to store file!');
                                         console.error(err);
+
+                                        // Call back the error
+                                        if(!calledBack)
+                                            next(err);
+                                        calledBack = true;
+                                        return;
                                     }
+
+                                    // Show a status message
+                                    console.log('File upload: File successfully stored! (size: ' + Formatter.formatBytes(submissionFile.data.length) + ')');
+
+                                    // Set the file name for the submission in the database
+                                    submissionFileName = fileName;
+
+                                    // Resolve the latch
+                                    fileLatch.resolve();
                                 });
+                            }
 
-                                // Get a list of manager users on this game, to also broadcast this created submission to
-                                game.getManageUsers(user, function(err, managers) {
+                            // Continue after the file latch
+                            fileLatch.then(function() {
+                                // Store the answer as new attempt on the rejected submission when retrying, create a
+                                // new submission otherwise
+                                const storeOptions = {
+                                    clientToken,
+                                    clientDate
+                                };
+                                const store = retrySubmission !== null ?
+                                    (callback) => self.retrySubmission(retrySubmission, submissionText, submissionFileName, livePoint.getPointModel(), storeOptions, callback) :
+                                    (callback) => SubmissionDatabase.addSubmission(assignment, user, null, ApprovalState.PENDING, submissionText, submissionFileName, livePoint.getPointModel(), storeOptions, callback);
+
+                                // Store the submission
+                                store(function(err, submissionModel) {
                                     // Call back errors
                                     if(err !== null) {
-                                        console.error('Failed to get manager users of game, unable to broadcast submission change to, ignoring.');
-                                        console.error(err);
+                                        next(err);
                                         return;
                                     }
 
-                                    // Define the delay value in milliseconds
-                                    var scheduleTime = Math.min(managers.length * 1000, 5000);
-                                    var delay = 0;
-
-                                    // Send the change to the managers
-                                    managers.forEach(function(manageUser) {
-                                        // Do the update
-                                        var doUpdate = function() {
-                                            // Send the packet
-                                            Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_SUBMISSION_CHANGE, {
-                                                submission: submissionModel.getIdHex(),
-                                                name: options.submission.name,
-                                                state: 'create',
-                                                own: false
-                                            }, manageUser);
-
-                                            // Resend the game location data
-                                            Core.gameManager.broadcastLocationData(0, game, manageUser, true, undefined, function(err) {
-                                                // Call back errors
-                                                if(err !== null) {
-                                                    console.error('Failed to broadcast location data to user, ignoring.');
-                                                    console.error(err);
-                                                }
-                                            });
-                                        };
+                                    // Create a page options object
+                                    var options = {
+                                        hideBackButton: true,
+                                        created: true,
+                                        game: {
+                                            id: game.getIdHex()
+                                        },
+                                        assignment: {
+                                            id: null,
+                                            name: '',
+                                            description: '',
+                                            points: 0,
+                                            retry: false
+                                        },
+                                        submission: {
+                                            id: submissionModel.getIdHex(),
+                                            text: submissionText,
+                                            file: null,
+                                            approve_state: ApprovalState.PENDING
+                                        }
+                                    };
+
+                                    // Reset the latch to it's identity
+                                    latch.identity();
+
+                                    // Apply the grade of automatically graded answers, this awards the points and notifies the users
+                                    if(approvalState !== ApprovalState.PENDING) {
+                                        latch.add();
+                                        pageSubmissionApprove.applyApprovalState(game, submissionModel, approvalState, null, function(err) {
+                                            // Call back errors
+                                            if(err !== null) {
+                                                if(!calledBack)
+                                                    next(err);
+                                                calledBack = true;
+                                                return;
+                                            }
+
+                                            // Set the approval state
+                                            options.submission.approve_state = approvalState;
+
+                                            // Resolve the latch
+                                            latch.resolve();
+                                        });
+
+                                        // Get the assignment points
+                                        latch.add();
+                                        assignment.getPoints(function(err, points) {
+                                            // Call back errors
+                                            if(err !== null) {
+                                                if(!calledBack)
+                                                    next(err);
+                                                calledBack = true;
+                                                return;
+                                            }
+
+                                            // Set the points
+                                            options.assignment.points = points;
+
+                                            // Resolve the latch
+                                            latch.resolve();
+                                        });
+
+                                        // Get the assignment retry state
+                                        latch.add();
+                                        assignment.isRetry(function(err, isRetry) {
+                                            // Call back errors
+                                            if(err !== null) {
+                                                if(!calledBack)
+                                                    next(err);
+                                                calledBack = true;
+                                                return;
+                                            }
+
+                                            // Set the retry state
+                                            options.assignment.retry = isRetry;
+
+                                            // Resolve the latch
+                                            latch.resolve();
+                                        });
+                                    }
+
+                                    // Store the metadata of the uploaded file, used to verify submitted photos
+                                    if(submissionFileName !== null) {
+                                        latch.add();
+                                        submissionModel.setFileMetadata(submissionFileName, ExifReader.read(submissionFile.data), function(err) {
+                                            // Call back errors
+                                            if(err !== null) {
+                                                if(!calledBack)
+                                                    next(err);
+                                                calledBack = true;
+                                                return;
+                                            }
+
+                                            // Resolve the latch
+                                            latch.resolve();
+                                        });
+                                    }
+
+                                    // Queue the uploaded file for processing in the background, and get the answer file
+                                    latch.add();
+                                    MediaProcessor.enqueue(submissionModel, submissionFileName, function(err) {
+                                        // Call back errors
+                                        if(err !== null) {
+                                            if(!calledBack)
+                                                next(err);
+                                            calledBack = true;
+                                            return;
+                                        }
+
+                                        submissionModel.getAnswerFileObject(function(err, fileObject) {
+                                            // Call back errors
+                                            if(err !== null) {
+                                                if(!calledBack)
+                                                    next(err);
+                                                calledBack = true;
+                                                return;
+                                            }
+
+                                            // Set the file object
+                                            options.submission.file = fileObject;
+
+                                            // Resolve the latch
+                                            latch.resolve();
+                                        });
+                                    });
 
-                                        // Run tasks with a delay of zero immediately and schedule delayed tasks
-                                        if(delay === 0)
-                                            doUpdate();
-                                        else
-                                            setTimeout(doUpdate, parseInt(delay));
+                                    // Get the assignment name
+                                    latch.add();
+                                    assignment.getName(function(err, name) {
+                                        // Call back errors
+                                        if(err !== null) {
+                                            if(!calledBack)
+                                                next(err);
+                                            calledBack = true;
+                                            return;
+                                        }
+
+                                        // Set the name
+                                        options.assignment.name = name;
+
+                                        // Resolve the latch
+                                        latch.resolve();
+                                    });
 
-                                        // Increase the delay
-                                        if(config.game.spreadTicks && scheduleTime !== 0)
-                                            delay += scheduleTime / managers.length;
+                                    // Get the assignment description
+                                    latch.add();
+                                    assignment.getDescription(function(err, description) {
+                                        // Call back errors
+                                        if(err !== null) {
+                                            if(!calledBack)
+                                                next(err);
+                                            calledBack = true;
+                                            return;
+                                        }
+
+                                        // Set the description
+                                        options.assignment.description = description;
+
+                                        // Resolve the latch
+                                        latch.resolve();
+                                    });
+
+                                    // Show the game creation page
+                                    latch.then(function() {
+                                        // Render the success page, and tell clients replaying the submission that it's stored
+                                        res.set(self.SUBMISSION_HEADER, submissionModel.getIdHex());
+                                        LayoutRenderer.renderAndShow(req, res, next, 'game/submission/submit', 'Antwoord ingezonden', options);
+
+                                        // Resend the game location data
+                                        Core.gameManager.broadcastLocationData(0, game, user, true, undefined, function(err) {
+                                            // Call back errors
+                                            if(err !== null) {
+                                                console.error('Failed to broadcast location data to user, ignoring.');
+                                                console.error(err);
+                                            }
+                                        });
+
+                                        // Get a list of manager users on this game, to also broadcast this created submission to
+                                        game.getManageUsers(user, function(err, managers) {
+                                            // Call back errors
+                                            if(err !== null) {
+                                                console.error('Failed to get manager users of game, unable to broadcast submission change to, ignoring.');
+                                                console.error(err);
+                                                return;
+                                            }
+
+                                            // Define the delay value in milliseconds
+                                            var scheduleTime = Math.min(managers.length * 1000, 5000);
+                                            var delay = 0;
+
+                                            // Send the change to the managers
+                                            managers.forEach(function(manageUser) {
+                                                // Do the update
+                                                var doUpdate = function() {
+                                                    // Send the packet
+                                                    Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_SUBMISSION_CHANGE, {
+                                                        submission: submissionModel.getIdHex(),
+                                                        name: options.submission.name,
+                                                        state: 'create',
+                                                        own: false
+                                                    }, manageUser);
+
+                                                    // Resend the game location data
+                                                    Core.gameManager.broadcastLocationData(0, game, manageUser, true, undefined, function(err) {
+                                                        // Call back errors
+                                                        if(err !== null) {
+                                                            console.error('Failed to broadcast location data to user, ignoring.');
+                                                            console.error(err);
+                                                        }
+                                                    });
+                                                };
+
+                                                // Run tasks with a delay of zero immediately and schedule delayed tasks
+                                                if(delay === 0)
+                                                    doUpdate();
+                                                else
+                                                    setTimeout(doUpdate, parseInt(delay));
+
+                                                // Increase the delay
+                                                if(config.game.spreadTicks && scheduleTime !== 0)
+                                                    delay += scheduleTime / managers.length;
+                                            });
+                                        });
                                     });
                                 });
                             });
@@ -652,6 +902,33 @@ module.exports = {
         });
     },
 
+    /**
+     * Get the submissions for the given assignment, made by the given user or by a user in the same team.
+     * Users in a team share their assignments, so a submission of one of them counts for the whole team.
+     *
+     * @param {GameModel} game Current game.
+     * @param {UserModel} user Current user.
+     * @param {AssignmentModel} assignment Current assignment.
+     * @param {function} callback callback(err, submissions) Called with the submissions, or when an error occurred.
+     */
+    getTeamSubmissions: function(game, user, assignment, callback) {
+        // Get the live game, to find the users in the same team
+        Core.gameManager.getGame(game, function(err, liveGame) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Get the users in the team, or just the user if the game isn't active
+            const users = liveGame !== null ? liveGame.getTeamUserIds(user)
+                .map((userId) => Core.model.userModelManager._instanceManager.create(userId)) : [user];
+
+            // Get the submissions of all users
+            Core.model.submissionModelManager.getUsersSubmissions(users, assignment, callback);
+        });
+    },
+
     /**
      * Check whether the user is able to submit new answers, because there might be a submission pending,
      * approved or rejected.
@@ -666,8 +943,8 @@ module.exports = {
      * @param {checkIfSubmittedCallback} callback Called with the result, or when an error occurred.
      */
     checkIfSubmitted: function(game, user, assignment, req, res, next, callback) {
-        // Get all submissions for this user, on this assignment
-        Core.model.submissionModelManager.getSubmissions(user, assignment, function(err, submissions) {
+        // Get all submissions for this user and his team, on this assignment
+        module.exports.getTeamSubmissions(game, user, assignment, function(err, submissions) {
             // Call back errors
             if (err !== null) {
                 callback(err);
@@ -676,7 +953,7 @@ module.exports = {
 
             // Call back if we didn't find any submissions
             if(submissions.length <= 0) {
-                callback(null, false);
+                callback(null, false, null);
                 return;
             }
 
@@ -688,6 +965,10 @@ module.exports = {
             // Check whether the user has the ability to retry this assignment
             var canRetry = false;
 
+            // Count the attempts made on all submissions, and get the maximum number of attempts
+            var attempts = 0;
+            var maxAttempts = null;
+
             // Create a callback latch
             var latch = new CallbackLatch();
             var calledBack = false;
@@ -699,15 +980,24 @@ module.exports = {
                 if(calledBack)
                     return;
 
-                // Get the state for the submission
-                submission.getApprovalState(function(err, state) {
+                // Get the state and the number of attempts for the submission
+                ApiUtils.fetchProperties({
+                    state: (callback) => submission.getApprovalState(callback),
+                    attempts: (callback) => submission.getAttemptCount(callback)
+                }, function(err, properties) {
                     // Call back errors
                     if (err !== null) {
-                        callback(err);
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
                         return;
                     }
 
+                    // Count the attempts
+                    attempts += properties.attempts;
+
                     // Put the submission in the proper section
+                    const state = properties.state;
                     if (state === ApprovalState.PENDING)
                         pending.push(submission);
                     else if (state === ApprovalState.APPROVED)
@@ -738,6 +1028,24 @@ module.exports = {
                 latch.resolve();
             });
 
+            // Get the maximum number of attempts
+            latch.add();
+            assignment.getMaxAttempts(function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the maximum number of attempts
+                maxAttempts = result;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
             // Process the submissions when all have been fetched
             latch.then(function() {
                 // Don't submit answers if there's already one pending, show a button to view the pending submission
@@ -799,11 +1107,31 @@ module.exports = {
                     return;
                 }
 
-                // Call back
-                callback(null, false);
+                // Don't submit answers if the maximum number of attempts has been reached
+                if(rejected.length > 0 && !SubmissionRevision.canAttempt(attempts, maxAttempts)) {
+                    LayoutRenderer.renderAndShow(req, res, next, 'game/submission/error', 'Inzending afgekeurd', {
+                        message: 'Uw inzending voor deze opdracht is afgekeurd.\n\n' +
+                        'U heeft het maximum aantal pogingen voor deze opdracht bereikt, en kunt geen nieuw antwoord meer inzenden.\n\n' +
+                        'Ga terug of bekijk de inzending.',
+                        hideBackButton: false,
+                        game: {
+                            id: game.getIdHex()
+                        },
+                        submission: {
+                            id: rejected[rejected.length - 1].getIdHex()
+                        }
+                    });
+
+                    // Call back and return
+                    callback(null, true);
+                    return;
+                }
+
+                // Call back, with the rejected submission to retry if there is any
+                callback(null, false, rejected.length > 0 ? rejected[rejected.length - 1] : null);
             });
         });
-    }
+    },
 
     /**
      * Called with the result, or when an error occurred.
@@ -811,5 +1139,166 @@ module.exports = {
      * @callback checkIfSubmittedCallback
      * @type {Error|null} Error if an error occurred, false if not.
      * @type {boolean} True if the request has been processed, false if not.
+     * @type {SubmissionModel|null} Rejected submission the new answer is a retry of, or null if it's the first attempt.
+     */
+
+    /**
+     * Store a new attempt on a rejected submission.
+     * The current answer and its approval decision are kept as revision, so all attempts of the user on an
+     * assignment are kept in a single submission.
+     *
+     * @param {SubmissionModel} submission Rejected submission.
+     * @param {string|null} answerText Answer text of the new attempt.
+     * @param {string|null} answerFile Answer file of the new attempt.
+     * @param {PointModel|null} point Point the new attempt was made at.
+     * @param {Object} options Submission options.
+     * @param {string|null} [options.clientToken] Client token of the attempt.
+     * @param {Date|null} [options.clientDate] Time the attempt was made at while being offline.
+     * @param {retrySubmissionCallback} callback Called with the submission, or when an error occurred.
+     */
+    retrySubmission: function(submission, answerText, answerFile, point, options, callback) {
+        // Keep the current answer and its approval decision as revision, before it's replaced
+        submission.addRevision(function(err) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Store the new attempt, and reset the approval state along with the grade of the previous attempt
+            submission.setFields({
+                answer_text: answerText,
+                answer_file: answerFile,
+                approve_state: ApprovalState.PENDING,
+                feedback: null,
+                awarded_points: null,
+                point,
+                client_token: options.clientToken !== undefined ? options.clientToken : null,
+                client_date: options.clientDate !== undefined ? options.clientDate : null
+            }, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Call back the submission
+                callback(null, submission);
+            });
+        });
+    },
+
+    /**
+     * Called with the submission, or when an error occurred.
+     *
+     * @callback retrySubmissionCallback
+     * @type {Error|null} Error if an error occurred, null if not.
+     * @type {SubmissionModel=} Submission holding the new attempt.
+     */
+
+    /**
+     * Check whether a submission with the given client token was stored before.
+     * Clients replay submissions made while being offline when they reconnect, which may happen twice if the
+     * connection drops again before the response is received.
+     * A page will be shown to the user telling the submission was already stored.
+     *
+     * @param {GameModel} game Current game.
+     * @param {UserModel} user Current user.
+     * @param {string|null} clientToken Client token of the submission, or null if not given.
+     * @param {object} req Express request object.
+     * @param {object} res Express response object.
+     * @param {function} next Express next callback.
+     * @param {checkClientTokenCallback} callback Called with the result, or when an error occurred.
+     */
+    checkClientToken: function(game, user, clientToken, req, res, next, callback) {
+        // Nothing was stored before if no token is given
+        if(clientToken === null) {
+            callback(null, false);
+            return;
+        }
+
+        // Find the submission that was stored with this token
+        Core.model.submissionModelManager.getSubmissionByClientToken(user, clientToken, function(err, submission) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Call back if the submission wasn't stored before
+            if(submission === null) {
+                callback(null, false);
+                return;
+            }
+
+            // Show a page with a button to view the submission, and tell the client it's stored
+            res.set(module.exports.SUBMISSION_HEADER, submission.getIdHex());
+            LayoutRenderer.renderAndShow(req, res, next, 'game/submission/error', 'Antwoord ingezonden', {
+                message: 'Dit antwoord is al ingezonden.\n\n' +
+                'Ga terug of bekijk de inzending.',
+                hideBackButton: false,
+                game: {
+                    id: game.getIdHex()
+                },
+                submission: {
+                    id: submission.getIdHex()
+                }
+            });
+
+            // Call back
+            callback(null, true);
+        });
+    },
+
+    /**
+     * Called with the result, or when an error occurred.
+     *
+     * @callback checkClientTokenCallback
+     * @type {Error|null} Error if an error occurred, false if not.
+     * @type {boolean} True if the submission was stored before and the request has been processed, false if not.
+     */
+
+    /**
+     * Check whether the given point is in range of the user.
+     * For answers submitted while being offline the locations the server received around the time the answer was made
+     * at are used, if the user isn't in range anymore when the client reconnects.
+     *
+     * @param {Point} livePoint Live point.
+     * @param {UserModel} user Current user.
+     * @param {Date|undefined} clientDate Time the answer was made at while being offline, or undefined.
+     * @param {isInRangeCallback} callback Called with the result, or when an error occurred.
+     */
+    isInRange: function(livePoint, user, clientDate, callback) {
+        // Use the last known state if the user is in range, or if the answer wasn't made while being offline
+        if(livePoint.isInRangeMemory(user) || clientDate === undefined) {
+            callback(null, livePoint.isInRangeMemory(user));
+            return;
+        }
+
+        // Get the live user
+        livePoint.getGame().getUser(user, function(err, liveUser) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // The user can't have been in range if he isn't active in the game
+            if(liveUser === null) {
+                callback(null, false);
+                return;
+            }
+
+            // Check whether the user was in range at the time the answer was made at
+            livePoint.isUserInRangeAt(liveUser, clientDate, callback);
+        });
+    }
+
+    /**
+     * Called with the result, or when an error occurred.
+     *
+     * @callback isInRangeCallback
+     * @type {Error|null} Error if an error occurred, false if not.
+     * @type {boolean} True if the point is in range, false if not.
      */
 };
@@ -0,0 +1,290 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var PointRoute = require('../../live/point/PointRoute');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var ApiUtils = require('../../util/ApiUtils');
+var CallbackLatch = require('../../util/CallbackLatch');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the route pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/route', self.get);
+        router.post('/:game/route', self.post);
+    },
+
+    /**
+     * Get page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must have management rights
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Create a callback latch
+            var latch = new CallbackLatch();
+            var calledBack = false;
+
+            // Create the page options object
+            var options = {
+                page: {
+                    leftButton: 'back'
+                },
+                game: {
+                    id: game.getIdHex(),
+                    routeMode: false
+                },
+                points: [],
+                saved: false
+            };
+
+            // Determine whether the game is in route mode
+            latch.add();
+            game.isRouteMode(function(err, isRouteMode) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the route mode
+                options.game.routeMode = isRouteMode;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
+            // Get the points and the points they require
+            latch.add();
+            Core.model.pointModelManager.getPoints(game, null, function(err, points) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Get the name and required points of each point
+                ApiUtils.serializeAll(points, (point, callback) => ApiUtils.fetchProperties({
+                    id: (callback) => callback(null, point.getIdHex()),
+                    name: (callback) => point.getName(callback),
+                    required: (callback) => point.getRequiredPoints((err, requiredPoints) =>
+                        callback(err, err === null ? requiredPoints.map((requiredPoint) => requiredPoint.getIdHex()) : undefined))
+                }, callback), function(err, pointObjects) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Leave out required points that don't exist anymore
+                    const pointIds = pointObjects.map((point) => point.id);
+                    pointObjects.forEach((point) => point.required = _.intersection(point.required, pointIds));
+
+                    // Determine the step of each point, and sort the points by it if the route is valid
+                    const route = _.fromPairs(pointObjects.map((point) => [point.id, point.required]));
+                    if(PointRoute.validate(route) === null) {
+                        const steps = PointRoute.getSteps(route);
+                        pointObjects.forEach((point) => point.step = steps[point.id]);
+                        pointObjects = _.sortBy(pointObjects, 'step');
+                    }
+
+                    // Set the points
+                    options.points = pointObjects;
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            });
+
+            // Show the route page
+            latch.then(function() {
+                if(!calledBack)
+                    LayoutRenderer.renderAndShow(req, res, next, 'game/route', 'Route', options);
+                calledBack = true;
+            });
+        });
+    },
+
+    /**
+     * Post page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Get the route mode field value
+        var routeMode = req.body['field-route-mode'] === 'true';
+
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must have management rights
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Get the points of the game
+            Core.model.pointModelManager.getPoints(game, null, function(err, points) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Build the route from the required points field of each point
+                var route = {};
+                points.forEach(function(point) {
+                    var required = req.body['field-point-' + point.getIdHex() + '-required'];
+                    route[point.getIdHex()] = _.uniq(_.castArray(required !== undefined ? required : []));
+                });
+
+                // Validate the route
+                var message = PointRoute.validate(route);
+                if(message !== null) {
+                    LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                        message: message + '\n\nGa alstublieft terug en pas de route aan.'
+                    });
+                    return;
+                }
+
+                // Create a callback latch
+                var latch = new CallbackLatch();
+                var calledBack = false;
+
+                // Set the required points of each point
+                points.forEach(function(point) {
+                    latch.add();
+                    point.setRequiredPoints(route[point.getIdHex()].map((pointId) =>
+                        _.find(points, (other) => other.getIdHex() === pointId)), function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                next(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Resolve the latch
+                        latch.resolve();
+                    });
+                });
+
+                // Set the route mode
+                latch.add();
+                game.setRouteMode(routeMode, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+
+                // Show the route page
+                latch.then(function() {
+                    if(!calledBack)
+                        LayoutRenderer.renderAndShow(req, res, next, 'game/route', 'Route opgeslagen', {
+                            hideBackButton: true,
+                            game: {
+                                id: game.getIdHex(),
+                                routeMode
+                            },
+                            saved: true
+                        });
+                    calledBack = true;
+                });
+            });
+        });
+    }
+};
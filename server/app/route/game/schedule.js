@@ -0,0 +1,224 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var GameSchedule = require('../../live/game/GameSchedule');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var Validator = require('../../validator/Validator');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the schedule pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/schedule', self.get);
+        router.post('/:game/schedule', self.post);
+    },
+
+    /**
+     * Get page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must have management rights
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Get the current schedule
+            game.getSchedule(function(err, schedule) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Show the schedule page
+                LayoutRenderer.renderAndShow(req, res, next, 'game/schedule', 'Planning', {
+                    page: {
+                        leftButton: 'back'
+                    },
+                    game: {
+                        id: game.getIdHex()
+                    },
+                    schedule: {
+                        start: schedule.start !== null ? Validator.formatDateTime(schedule.start) : '',
+                        end: schedule.end !== null ? Validator.formatDateTime(schedule.end) : '',
+                        duration: schedule.duration !== null ? schedule.duration : ''
+                    },
+                    saved: false
+                });
+            });
+        });
+    },
+
+    /**
+     * Post page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Get the field values
+        var scheduleStart = req.body['field-game-schedule-start'];
+        var scheduleEnd = req.body['field-game-schedule-end'];
+        var scheduleDuration = req.body['field-game-schedule-duration'];
+
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must have management rights
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Create the schedule, leaving empty fields unscheduled
+            var schedule = {
+                start: null,
+                end: null,
+                duration: null
+            };
+
+            // Parse the start date
+            if(!_.isEmpty(scheduleStart) && scheduleStart.trim().length > 0) {
+                if(!Validator.isValidDateTime(scheduleStart)) {
+                    LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                        message: 'De starttijd die u heeft ingevuld is ongeldig.\n\n' +
+                        'Ga alstublieft terug en vul een geldige datum en tijd in.'
+                    });
+                    return;
+                }
+                schedule.start = Validator.parseDateTime(scheduleStart);
+            }
+
+            // Parse the end date
+            if(!_.isEmpty(scheduleEnd) && scheduleEnd.trim().length > 0) {
+                if(!Validator.isValidDateTime(scheduleEnd)) {
+                    LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                        message: 'De eindtijd die u heeft ingevuld is ongeldig.\n\n' +
+                        'Ga alstublieft terug en vul een geldige datum en tijd in.'
+                    });
+                    return;
+                }
+                schedule.end = Validator.parseDateTime(scheduleEnd);
+            }
+
+            // Parse the duration
+            if(!_.isEmpty(scheduleDuration) && scheduleDuration.trim().length > 0)
+                schedule.duration = /^\d+$/.test(scheduleDuration.trim()) ? parseInt(scheduleDuration, 10) : NaN;
+
+            // Validate the schedule
+            var message = GameSchedule.validate(schedule);
+            if(message !== null) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: message + '\n\nGa alstublieft terug en pas de planning aan.'
+                });
+                return;
+            }
+
+            // Set the schedule
+            game.setSchedule(schedule, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Run a game tick, to apply the schedule right away if its time has passed already
+                Core.gameManager.tick(function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Show the schedule page
+                    LayoutRenderer.renderAndShow(req, res, next, 'game/schedule', 'Planning opgeslagen', {
+                        hideBackButton: true,
+                        game: {
+                            id: game.getIdHex()
+                        },
+                        saved: true,
+                        scheduled: GameSchedule.isScheduled(schedule)
+                    });
+                });
+            });
+        });
+    }
+};
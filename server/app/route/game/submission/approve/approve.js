@@ -23,6 +23,8 @@
 var _ = require('lodash');
 var crypto = require('crypto');
 
+var config = require('../../../../../config');
+
 var Core = require('../../../../../Core');
 var Coordinate = require('../../../../coordinate/Coordinate');
 var Validator = require('../../../../validator/Validator');
@@ -31,6 +33,7 @@ var LayoutRenderer = require('../../../../layout/LayoutRenderer');
 var SubmissionParam = require('../../../../router/middleware/SubmissionParam');
 var CallbackLatch = require('../../../../util/CallbackLatch');
 var ApprovalState = require('../../../../model/submission/ApprovalState');
+var SubmissionGrade = require('../../../../model/submission/SubmissionGrade');
 const PacketType = require("../../../../realtime/PacketType");
 
 // Export the module
@@ -122,7 +125,9 @@ module.exports = {
                             points: 0
                         },
                         answer_text: null,
-                        answer_file: null
+                        answer_file: null,
+                        attempt: 1,
+                        verification: null
                     },
                     approve_state: approvalState
                 };
@@ -236,6 +241,42 @@ module.exports = {
                     latch.resolve();
                 });
 
+                // Verify the metadata of submitted photos
+                latch.add();
+                submission.getPhotoVerification(config.media.verification, function(err, verification) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the verification result
+                    options.submission.verification = verification;
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+
+                // Get the attempt, the approval decision is tied to it
+                latch.add();
+                submission.getAttemptCount(function(err, attempt) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the attempt
+                    options.submission.attempt = attempt;
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+
                 // Render the page when we're ready
                 latch.then(function() {
                     // Determine what the title of the page should be
@@ -308,192 +349,227 @@ module.exports = {
                     return;
                 }
 
-                // Set the approval state of the submission
-                submission.setApprovalState(approvalState, function(err) {
-                    // Call back errors
+                // Parse the feedback and awarded points
+                self.parseGrade(req, res, next, submission, function(err, grade) {
+                    // Handle errors
                     if(err !== null) {
                         next(err);
                         return;
                     }
 
-                    // Get the assignment
-                    submission.getAssignment(function(err, assignment) {
-                        // Call back errors
+                    // Make sure the decision is made on the current attempt
+                    self.checkAttempt(req, res, next, submission, function(err) {
+                        // Handle errors
                         if(err !== null) {
                             next(err);
                             return;
                         }
 
-                        // Check whether the user can retry
-                        assignment.isRetry(function(err, isRetry) {
+                        // Apply the approval state to the submission
+                        self.applyApprovalState(game, submission, approvalState, grade, function(err) {
                             // Call back errors
                             if(err !== null) {
                                 next(err);
                                 return;
                             }
 
-                            // Create a callback latch
-                            var latch = new CallbackLatch();
-                            var removeFromPoint = false;
+                            // Go back to the submission overview page when done
+                            // TODO: Maybe redirect to a different, possibly better page?
+                            res.redirect('/game/' + game.getIdHex() + '/');
+                        });
+                    });
+                });
+            });
+        });
+    },
 
-                            // Remove the assignment from live points if the approved or rejected with no retry
-                            if(approvalState === ApprovalState.APPROVED || (approvalState === ApprovalState.REJECTED && !isRetry)) {
-                                removeFromPoint = true;
-                                latch.add();
-                                assignment.findPoint(user, game, function(err, livePoint) {
-                                    // Call back errors
-                                    if(err !== null) {
-                                        next(err);
-                                        return;
-                                    }
+    /**
+     * Set the approval state of a submission.
+     * The assignment is removed from the live point of the submission owner if it's completed, and the change is
+     * broadcasted to the submission owner and the game managers.
+     *
+     * @param {GameModel} game Game the submission is in.
+     * @param {SubmissionModel} submission Submission to set the approval state for.
+     * @param {int} approvalState New approval state.
+     * @param {{feedback: string|null, points: Number|null}|null} grade Feedback for the submission owner, and the
+     * points awarded when approving or null for the full points. Null to give no feedback, and award the full points.
+     * @param {applyApprovalStateCallback} callback Called on success or when an error occurred.
+     */
+    applyApprovalState: function(game, submission, approvalState, grade, callback) {
+        // Get the feedback and awarded points, these are reset along with the approval state
+        const feedback = grade !== null && approvalState !== ApprovalState.PENDING ? grade.feedback : null;
+        const awardedPoints = grade !== null && approvalState === ApprovalState.APPROVED ? grade.points : null;
+
+        // Set the approval state, feedback and awarded points of the submission
+        submission.setFields({
+            approve_state: approvalState,
+            feedback,
+            awarded_points: awardedPoints
+        }, function(err) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
 
-                                    // Remove the assignments from the point
-                                    if(livePoint !== null)
-                                        livePoint.removeUserAssignmentAssignments(user, assignment, function(err) {
-                                            if(err !== null) {
-                                                console.error('Failed to remove assignment from live point, ignoring.');
-                                                console.error(err);
-                                            }
-                                        });
+            // Get the owner of the submission
+            submission.getUser(function(err, submissionOwner) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
 
-                                    // Resolve the latch
-                                    latch.resolve();
-                                });
-                            }
+                // Get the assignment
+                submission.getAssignment(function(err, assignment) {
+                    // Call back errors
+                    if(err !== null) {
+                        callback(err);
+                        return;
+                    }
 
-                            // Continue when the assignment is successfully removed from the live point
-                            latch.then(function() {
-                                // Update the points for the players, and reveal a new point if relevant
-                                if(removeFromPoint) {
-                                    Core.gameManager.getGame(game, function(err, liveGame) {
-                                        if(err !== null || liveGame === null) {
-                                            console.error('Failed to update user points, ignoring.');
-                                            if(err !== null)
-                                                console.error(err);
+                    // Check whether the user can retry
+                    assignment.isRetry(function(err, isRetry) {
+                        // Call back errors
+                        if(err !== null) {
+                            callback(err);
+                            return;
+                        }
+
+                        // Create a callback latch
+                        var latch = new CallbackLatch();
+                        var removeFromPoint = false;
+
+                        // Remove the assignment from live points if the approved or rejected with no retry
+                        if(approvalState === ApprovalState.APPROVED || (approvalState === ApprovalState.REJECTED && !isRetry)) {
+                            removeFromPoint = true;
+                            latch.add();
+                            assignment.findPoint(submissionOwner, game, function(err, livePoint) {
+                                // Call back errors
+                                if(err !== null) {
+                                    callback(err);
+                                    return;
+                                }
+
+                                // Remove the assignments from the point
+                                if(livePoint !== null)
+                                    livePoint.removeUserAssignmentAssignments(submissionOwner, assignment, function(err) {
+                                        if(err !== null) {
+                                            console.error('Failed to remove assignment from live point, ignoring.');
+                                            console.error(err);
                                         }
+                                    });
 
-                                        liveGame.pointManager.updateUserPoints(user, function(err) {
-                                            if(err !== null) {
-                                                console.error('Failed to update user points, ignoring.');
-                                                console.error(err);
-                                            }
-                                        });
+                                // Complete the point when the assignment is approved, to unlock the next points on the route
+                                if(livePoint !== null && approvalState === ApprovalState.APPROVED) {
+                                    latch.add();
+                                    livePoint.complete(submissionOwner, function(err) {
+                                        // Show a warning on error
+                                        if(err !== null) {
+                                            console.error('Failed to complete live point, ignoring.');
+                                            console.error(err);
+                                        }
+
+                                        // Resolve the latch
+                                        latch.resolve();
                                     });
                                 }
 
-                                // Get the submission user and assignment name
-                                var submissionOwner;
-                                var submissionName;
+                                // Resolve the latch
+                                latch.resolve();
+                            });
+                        }
 
-                                // Create a latch
-                                var updateLatch = new CallbackLatch();
+                        // Continue when the assignment is successfully removed from the live point
+                        latch.then(function() {
+                            // Update the points for the players, and reveal a new point if relevant
+                            if(removeFromPoint) {
+                                Core.gameManager.getGame(game, function(err, liveGame) {
+                                    if(err !== null || liveGame === null) {
+                                        console.error('Failed to update user points, ignoring.');
+                                        if(err !== null)
+                                            console.error(err);
+                                        return;
+                                    }
 
-                                // Get the owner of the submission
-                                updateLatch.add();
-                                submission.getUser(function(err, owner) {
+                                    liveGame.pointManager.updateUserPoints(submissionOwner, function(err) {
+                                        if(err !== null) {
+                                            console.error('Failed to update user points, ignoring.');
+                                            console.error(err);
+                                        }
+                                    });
+                                });
+                            }
+
+                            // Get the name of the assignment
+                            assignment.getName(function(err, submissionName) {
+                                // Call back errors
+                                if(err !== null) {
+                                    console.error('Failed to get name of submission, to send the changed state update to, ignoring.');
+                                    console.error(err);
+                                    return;
+                                }
+
+                                // Send game data to all users
+                                Core.gameManager.sendGameDataToAll(game, function(err) {
                                     // Call back errors
                                     if(err !== null) {
-                                        console.error('Failed to get owner of submission, to send the changed state update to, ignoring.');
+                                        console.error('Failed to send all game data');
                                         console.error(err);
-                                        return;
                                     }
-
-                                    // Set the owner
-                                    submissionOwner = owner;
-
-                                    // Resolve the latch
-                                    updateLatch.resolve();
                                 });
 
-                                // Get the assignment
-                                updateLatch.add();
-                                submission.getAssignment(function(err, assignment) {
+                                // Send the change to the user, along with the feedback of the grader
+                                Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_SUBMISSION_APPROVAL_CHANGE, {
+                                    submission: submission.getIdHex(),
+                                    name: submissionName,
+                                    approve_state: approvalState,
+                                    feedback,
+                                    awarded_points: awardedPoints,
+                                    own: true
+                                }, submissionOwner);
+
+                                // Resend the game location data
+                                Core.gameManager.broadcastLocationData(0, game, submissionOwner, true, undefined, function(err) {
                                     // Call back errors
                                     if(err !== null) {
-                                        console.error('Failed to get assignment of the submission, unable to update submission state to user, ignoring.');
+                                        console.error('Failed to broadcast location data to user, ignoring.');
                                         console.error(err);
-                                        return;
                                     }
-
-                                    // Get the name of the assignment
-                                    assignment.getName(function(err, name) {
-                                        // Call back errors
-                                        if(err !== null) {
-                                            console.error('Failed to get name of submission, to send the changed state update to, ignoring.');
-                                            console.error(err);
-                                            return;
-                                        }
-
-                                        // Set the name
-                                        submissionName = name;
-
-                                        // Resolve the latch
-                                        updateLatch.resolve();
-                                    });
                                 });
 
-                                // Continue the latch
-                                updateLatch.then(function() {
-                                    // Send game data to all users
-                                    Core.gameManager.sendGameDataToAll(game, function(err) {
-                                        // Call back errors
-                                        if(err !== null) {
-                                            console.error('Failed to send all game data');
-                                            console.error(err);
-                                        }
-                                    });
-
-                                    // Send the change to the user
-                                    Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_SUBMISSION_APPROVAL_CHANGE, {
-                                        submission: submission.getIdHex(),
-                                        name: submissionName,
-                                        approve_state: approvalState,
-                                        own: true
-                                    }, submissionOwner);
-
-                                    // Resend the game location data
-                                    Core.gameManager.broadcastLocationData(0, game, submissionOwner, true, undefined, function(err) {
-                                        // Call back errors
-                                        if(err !== null) {
-                                            console.error('Failed to broadcast location data to user, ignoring.');
-                                            console.error(err);
-                                        }
-                                    });
-
-                                    // Get a list of manager users on this game, to also broadcast this message to
-                                    game.getManageUsers(submissionOwner, function(err, managers) {
-                                        // Call back errors
-                                        if(err !== null) {
-                                            console.error('Failed to get manager users of game, unable to broadcast submission change to, ignoring.');
-                                            console.error(err);
-                                            return;
-                                        }
+                                // Get a list of manager users on this game, to also broadcast this message to
+                                game.getManageUsers(submissionOwner, function(err, managers) {
+                                    // Call back errors
+                                    if(err !== null) {
+                                        console.error('Failed to get manager users of game, unable to broadcast submission change to, ignoring.');
+                                        console.error(err);
+                                        return;
+                                    }
 
-                                        // Send the change to the managers
-                                        managers.forEach(function(manageUser) {
-                                            Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_SUBMISSION_APPROVAL_CHANGE, {
-                                                submission: submission.getIdHex(),
-                                                name: submissionName,
-                                                approve_state: approvalState,
-                                                own: false
-                                            }, manageUser);
-
-                                            // Resend the game location data
-                                            Core.gameManager.broadcastLocationData(0, game, manageUser, true, undefined, function(err) {
-                                                // Call back errors
-                                                if(err !== null) {
-                                                    console.error('Failed to broadcast location data to user, ignoring.');
-                                                    console.error(err);
-                                                }
-                                            });
+                                    // Send the change to the managers
+                                    managers.forEach(function(manageUser) {
+                                        Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_SUBMISSION_APPROVAL_CHANGE, {
+                                            submission: submission.getIdHex(),
+                                            name: submissionName,
+                                            approve_state: approvalState,
+                                            own: false
+                                        }, manageUser);
+
+                                        // Resend the game location data
+                                        Core.gameManager.broadcastLocationData(0, game, manageUser, true, undefined, function(err) {
+                                            // Call back errors
+                                            if(err !== null) {
+                                                console.error('Failed to broadcast location data to user, ignoring.');
+                                                console.error(err);
+                                            }
                                         });
                                     });
                                 });
-
-                                // Go back to the submission overview page when done
-                                // TODO: Maybe redirect to a different, possibly better page?
-                                res.redirect('/game/' + game.getIdHex() + '/');
                             });
+
+                            // We're done, call back
+                            callback(null);
                         });
                     });
                 });
@@ -501,6 +577,13 @@ module.exports = {
         });
     },
 
+    /**
+     * Called on success or when an error occurred.
+     *
+     * @callback applyApprovalStateCallback
+     * @param {Error|null} Error instance if an error occurred, null otherwise.
+     */
+
     /**
      * Parse the approval type parameter, and show an error page if it's invalid.
      *
@@ -510,23 +593,13 @@ module.exports = {
      * @param {parseParameterCallback} callback Callback with the result.
      */
     parseApprovalParam: function(req, res, next, callback) {
-        // Get the parameter value
+        // Parse the approval type parameter
         //noinspection JSUnresolvedVariable
-        var type = req.params.approve_type;
+        const approvalState = ApprovalState.parse(req.params.approve_type);
 
-        // Trim and lowercase the value if it's a string
-        if(_.isString(type))
-            type = type.trim().toLowerCase();
-
-        // TODO: Do the parsing though the ApprovalState class, in a new helper (parser) function.
-
-        // Parse the approve type
-        if(type === 'reset')
-            callback(null, ApprovalState.PENDING);
-        else if(type === 'accept')
-            callback(null, ApprovalState.APPROVED);
-        else if(type === 'reject')
-            callback(null, ApprovalState.REJECTED);
+        // Call back the approval state
+        if(approvalState !== null)
+            callback(null, approvalState);
 
         else {
             // Show an error page
@@ -535,7 +608,7 @@ module.exports = {
                 'Ga alstublieft terug en probeer het opnieuw.'
             });
         }
-    }
+    },
 
     /**
      * Called with the result or when an error occurred.
@@ -544,4 +617,124 @@ module.exports = {
      * @param {Error|null} Error instance if an error occurred, null otherwise.
      * @param {int} Approval state to change to, based on the URL.
      */
+
+    /**
+     * Parse the feedback and awarded points fields, and show an error page if they're invalid.
+     *
+     * @param {object} req Express request object.
+     * @param {object} res Express response object.
+     * @param {function} next Express next callback.
+     * @param {SubmissionModel} submission Submission that is graded.
+     * @param {parseGradeCallback} callback Callback with the result.
+     */
+    parseGrade: function(req, res, next, submission, callback) {
+        // Get the field values
+        var feedback = req.body['field-feedback'];
+        const points = req.body['field-points'];
+        if(feedback === undefined)
+            feedback = '';
+
+        // Validate the feedback
+        if(!Validator.isValidSubmissionFeedback(feedback)) {
+            LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                message: 'De feedback is te lang, deze mag maximaal ' + config.validation.submissionFeedbackMaxLength +
+                ' tekens bevatten.\n\nGa alstublieft terug en probeer het opnieuw.'
+            });
+            return;
+        }
+
+        // Get the points of the assignment
+        submission.getPoints(function(err, maxPoints) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Parse the awarded points
+            const awardedPoints = SubmissionGrade.parsePoints(points, maxPoints);
+            if(awardedPoints === undefined) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'Het aantal punten moet een heel getal zijn tussen 0 en ' + maxPoints + '.\n\n' +
+                    'Ga alstublieft terug en probeer het opnieuw.'
+                });
+                return;
+            }
+
+            // Call back the grade
+            callback(null, {
+                feedback: Validator.formatSubmissionFeedback(feedback),
+                points: awardedPoints
+            });
+        });
+    },
+
+    /**
+     * Called with the result or when an error occurred.
+     *
+     * @callback parseGradeCallback
+     * @param {Error|null} Error instance if an error occurred, null otherwise.
+     * @param {{feedback: string|null, points: Number|null}} Feedback and awarded points, null for the full points.
+     */
+
+    /**
+     * Make sure the approval decision is made on the current attempt of the submission, and show an error page if
+     * the player submitted a new attempt after the grader opened the submission.
+     * The check is skipped if the attempt field isn't given.
+     *
+     * @param {object} req Express request object.
+     * @param {object} res Express response object.
+     * @param {function} next Express next callback.
+     * @param {SubmissionModel} submission Submission that is graded.
+     * @param {function} callback Called without an error if the attempt is current, or when an error occurred.
+     */
+    checkAttempt: function(req, res, next, submission, callback) {
+        // Get the attempt field value
+        const attempt = req.body['field-attempt'];
+        if(attempt === undefined) {
+            callback(null);
+            return;
+        }
+
+        // Check whether the attempt is current
+        module.exports.isCurrentAttempt(submission, attempt, function(err, current) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Show an error page if the attempt has changed
+            if(!current) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'De speler heeft een nieuwe poging ingezonden nadat u deze inzending heeft geopend.\n\n' +
+                    'Ga alstublieft terug en bekijk de nieuwe poging.'
+                });
+                return;
+            }
+
+            // Continue
+            callback(null);
+        });
+    },
+
+    /**
+     * Check whether the given attempt is the current attempt of the submission.
+     *
+     * @param {SubmissionModel} submission Submission.
+     * @param {string|Number} attempt Attempt number, as given by the grader.
+     * @param {function} callback callback(err, current) Called with the result, or when an error occurred.
+     */
+    isCurrentAttempt: function(submission, attempt, callback) {
+        submission.getAttemptCount(function(err, attempts) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Compare the attempts
+            callback(null, parseInt(attempt, 10) === attempts);
+        });
+    }
 };
@@ -21,6 +21,7 @@
  ******************************************************************************/
 
 var crypto = require('crypto');
+var config = require('../../../../../config');
 
 var Core = require('../../../../../Core');
 var LayoutRenderer = require('../../../../layout/LayoutRenderer');
@@ -108,6 +109,7 @@ module.exports = {
                     approve_state: 0,
                     answer_text: null,
                     answer_file: null,
+                    verification: null
                 }
             };
 
@@ -225,6 +227,24 @@ module.exports = {
                 latch.resolve();
             });
 
+            // Verify the metadata of submitted photos
+            latch.add();
+            submission.getPhotoVerification(config.media.verification, function(err, verification) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the verification result
+                options.submission.verification = verification;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
             // Render the page when we're ready
             latch.then(function() {
                 // Render the game page if we didn't call back yet
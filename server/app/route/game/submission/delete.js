@@ -395,132 +395,161 @@ module.exports = {
                 return;
             }
 
-            // TODO: Delete the live submission if there is any
+            // Delete the submission
+            module.exports.deleteSubmission(game, submission, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Go back to the submission overview page when done
+                // TODO: Maybe redirect to a different, possibly better page?
+                res.redirect('/game/' + game.getIdHex() + '/');
+            });
+        });
+    },
 
-            // Get the submission user and assignment name
-            var submissionOwner;
-            var submissionName;
+    /**
+     * Delete a submission.
+     * The deletion is broadcasted to the submission owner and the game managers.
+     *
+     * @param {GameModel} game Game the submission is in.
+     * @param {SubmissionModel} submission Submission to delete.
+     * @param {deleteSubmissionCallback} callback Called on success or when an error occurred.
+     */
+    deleteSubmission: (game, submission, callback) => {
+        // TODO: Delete the live submission if there is any
+
+        // Get the submission user and assignment name
+        var submissionOwner;
+        var submissionName;
 
-            // Create a latch
-            var updateLatch = new CallbackLatch();
+        // Create a latch
+        var updateLatch = new CallbackLatch();
 
-            // Get the owner of the submission
-            updateLatch.add();
-            submission.getUser(function(err, owner) {
+        // Get the owner of the submission
+        updateLatch.add();
+        submission.getUser(function(err, owner) {
+            // Call back errors
+            if(err !== null) {
+                console.error('Failed to get owner of submission, to send the changed state update to, ignoring.');
+                console.error(err);
+                return;
+            }
+
+            // Set the owner
+            submissionOwner = owner;
+
+            // Resolve the latch
+            updateLatch.resolve();
+        });
+
+        // Get the assignment
+        updateLatch.add();
+        submission.getAssignment(function(err, assignment) {
+            // Call back errors
+            if(err !== null) {
+                console.error('Failed to get assignment of the submission, unable to update submission state to user, ignoring.');
+                console.error(err);
+                return;
+            }
+
+            // Get the name of the assignment
+            assignment.getName(function(err, name) {
                 // Call back errors
                 if(err !== null) {
-                    console.error('Failed to get owner of submission, to send the changed state update to, ignoring.');
+                    console.error('Failed to get name of submission, to send the changed state update to, ignoring.');
                     console.error(err);
                     return;
                 }
 
-                // Set the owner
-                submissionOwner = owner;
+                // Set the name
+                submissionName = name;
 
                 // Resolve the latch
                 updateLatch.resolve();
             });
+        });
 
-            // Get the assignment
-            updateLatch.add();
-            submission.getAssignment(function(err, assignment) {
+        // Continue the latch
+        updateLatch.then(function() {
+            // Send the change to the user
+            Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_SUBMISSION_CHANGE, {
+                submission: submission.getIdHex(),
+                name: submissionName,
+                state: 'delete',
+                own: true
+            }, submissionOwner);
+
+            // Get a list of manager users on this game, to also broadcast this message to
+            game.getManageUsers(submissionOwner, function(err, managers) {
                 // Call back errors
                 if(err !== null) {
-                    console.error('Failed to get assignment of the submission, unable to update submission state to user, ignoring.');
+                    console.error('Failed to get manager users of game, unable to broadcast submission change to, ignoring.');
                     console.error(err);
                     return;
                 }
 
-                // Get the name of the assignment
-                assignment.getName(function(err, name) {
-                    // Call back errors
-                    if(err !== null) {
-                        console.error('Failed to get name of submission, to send the changed state update to, ignoring.');
-                        console.error(err);
-                        return;
-                    }
-
-                    // Set the name
-                    submissionName = name;
-
-                    // Resolve the latch
-                    updateLatch.resolve();
+                // Send the change to the managers
+                managers.forEach(function(manageUser) {
+                    Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_SUBMISSION_CHANGE, {
+                        submission: submission.getIdHex(),
+                        name: submissionName,
+                        state: 'delete',
+                        own: false
+                    }, manageUser);
                 });
-            });
 
-            // Continue the latch
-            updateLatch.then(function() {
-                // Send the change to the user
-                Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_SUBMISSION_CHANGE, {
-                    submission: submission.getIdHex(),
-                    name: submissionName,
-                    state: 'delete',
-                    own: true
-                }, submissionOwner);
-
-                // Get a list of manager users on this game, to also broadcast this message to
-                game.getManageUsers(submissionOwner, function(err, managers) {
+                // Delete the model
+                submission.delete(function(err) {
                     // Call back errors
                     if(err !== null) {
-                        console.error('Failed to get manager users of game, unable to broadcast submission change to, ignoring.');
-                        console.error(err);
+                        callback(err);
                         return;
                     }
 
-                    // Send the change to the managers
-                    managers.forEach(function(manageUser) {
-                        Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_SUBMISSION_CHANGE, {
-                            submission: submission.getIdHex(),
-                            name: submissionName,
-                            state: 'delete',
-                            own: false
-                        }, manageUser);
+                    // Send game data to all users
+                    Core.gameManager.sendGameDataToAll(game, function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            console.error('Failed to send all game data');
+                            console.error(err);
+                        }
                     });
 
-                    // Delete the model
-                    submission.delete(function(err) {
+                    // Resend the game location data
+                    Core.gameManager.broadcastLocationData(0, game, submissionOwner, true, undefined, function(err) {
                         // Call back errors
                         if(err !== null) {
-                            next(err);
-                            return;
+                            console.error('Failed to broadcast location data to user, ignoring.');
+                            console.error(err);
                         }
+                    });
 
-                        // Send game data to all users
-                        Core.gameManager.sendGameDataToAll(game, function(err) {
-                            // Call back errors
-                            if(err !== null) {
-                                console.error('Failed to send all game data');
-                                console.error(err);
-                            }
-                        });
-
+                    // Send the change to the managers
+                    managers.forEach(function(manageUser) {
                         // Resend the game location data
-                        Core.gameManager.broadcastLocationData(0, game, submissionOwner, true, undefined, function(err) {
+                        Core.gameManager.broadcastLocationData(0, game, manageUser, true, undefined, function(err) {
                             // Call back errors
                             if(err !== null) {
                                 console.error('Failed to broadcast location data to user, ignoring.');
                                 console.error(err);
                             }
                         });
-
-                        // Send the change to the managers
-                        managers.forEach(function(manageUser) {
-                            // Resend the game location data
-                            Core.gameManager.broadcastLocationData(0, game, manageUser, true, undefined, function(err) {
-                                // Call back errors
-                                if(err !== null) {
-                                    console.error('Failed to broadcast location data to user, ignoring.');
-                                    console.error(err);
-                                }
-                            });
-                        });
-
-                        // Go back to the submission overview page when done
-                        // TODO: Maybe redirect to a different, possibly better page?
-                        res.redirect('/game/' + game.getIdHex() + '/');
                     });
+
+                    // We're done, call back
+                    callback(null);
                 });
             });
         });
-    },
+    }
+
+    /**
+     * Called on success or when an error occurred.
+     *
+     * @callback deleteSubmissionCallback
+     * @param {Error|null} Error instance if an error occurred, null otherwise.
+     */
 };
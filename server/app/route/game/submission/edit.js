@@ -22,10 +22,6 @@
 
 var _ = require('lodash');
 var crypto = require('crypto');
-var path = require('path');
-var fs = require('fs');
-
-const config = require("../../../../config");
 
 var Core = require('../../../../Core');
 var LayoutRenderer = require('../../../layout/LayoutRenderer');
@@ -33,7 +29,9 @@ var SubmissionParam = require('../../../router/middleware/SubmissionParam');
 var CallbackLatch = require('../../../util/CallbackLatch');
 const PacketType = require("../../../realtime/PacketType");
 const ApprovalState = require("../../../model/submission/ApprovalState");
-const HashUtils = require("../../../hash/HashUtils");
+const FileStorage = require("../../../storage/FileStorage");
+const MediaProcessor = require("../../../media/MediaProcessor");
+const ExifReader = require("../../../media/ExifReader");
 const Formatter = require("../../../format/Formatter");
 
 // Export the module
@@ -557,29 +555,18 @@ module.exports = {
                         fileLatch.add();
                         console.log('File upload: Received filed (name: \'' + submissionFile.name + '\', mimetype: \'' + submissionFile.mimetype + '\')');
 
-                        // Get the extension of the file
-                        var uploadExt = submissionFile.name.trim().split('.').pop();
-
-                        // Determine the file path to use
-                        var filePath;
-                        do {
-                            // Generate a random file name
-                            var fileName = HashUtils.randomHash() + '.' + uploadExt;
-
-                            // Update the file path
-                            filePath = path.join(config.upload.path, fileName);
-
-                        } while(fs.existsSync(filePath));
+                        // Generate a random name to store the file with
+                        var fileName = FileStorage.generateName(submissionFile.name);
 
                         // Show a status message
-                        console.log('File upload: Moving file to \'' + filePath + '\'...');
+                        console.log('File upload: Storing file as \'' + fileName + '\'...');
 
-                        // Move the file
-                        submissionFile.mv(filePath, function(err) {
+                        // Store the file
+                        Core.fileStorage.write(fileName, submissionFile.data, function(err) {
                             // Handle errors
-                            if(err) {
+                            if(err !== null) {
                                 // Show a status message
-                                console.error('File upload: Failed to upload and move file!');
+                                console.error('File upload: Failed to store file!');
                                 console.error(err);
 
                                 // Call back the error
@@ -590,7 +577,7 @@ module.exports = {
                             }
 
                             // Show a status message
-                            console.log('File upload: File successfully moved! (size: ' + Formatter.formatBytes(fs.statSync(filePath).size) + ')');
+                            console.log('File upload: File successfully stored! (size: ' + Formatter.formatBytes(submissionFile.data.length) + ')');
 
                             // Set the file name for the submission in the database
                             submissionFileName = fileName;
@@ -600,6 +587,21 @@ module.exports = {
                         });
                     }
 
+                    // Keep the current answer and its approval decision as revision, before it's replaced
+                    fileLatch.add();
+                    submission.addRevision(function(err) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                next(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Resolve the latch
+                        fileLatch.resolve();
+                    });
+
                     // Continue
                     fileLatch.then(function() {
                         // Create an apply latch
@@ -620,7 +622,7 @@ module.exports = {
                             applyLatch.resolve();
                         });
 
-                        // Set the file field
+                        // Set the file field, and queue the new file for processing in the background
                         if(submissionFileName !== null) {
                             applyLatch.add();
                             submission.setAnswerFile(submissionFileName, function(err) {
@@ -632,14 +634,45 @@ module.exports = {
                                     return;
                                 }
 
+                                MediaProcessor.enqueue(submission, submissionFileName, function(err) {
+                                    // Call back errors
+                                    if(err !== null) {
+                                        if(!calledBack)
+                                            next(err);
+                                        calledBack = true;
+                                        return;
+                                    }
+
+                                    // Resolve the latch
+                                    applyLatch.resolve();
+                                });
+                            });
+                        }
+
+                        // Store the metadata of the new file, used to verify submitted photos
+                        if(submissionFileName !== null) {
+                            applyLatch.add();
+                            submission.setFileMetadata(submissionFileName, ExifReader.read(submissionFile.data), function(err) {
+                                // Call back errors
+                                if(err !== null) {
+                                    if(!calledBack)
+                                        next(err);
+                                    calledBack = true;
+                                    return;
+                                }
+
                                 // Resolve the latch
                                 applyLatch.resolve();
                             });
                         }
 
-                        // Set the approval state
+                        // Reset the approval state, along with the feedback and awarded points of the previous grade
                         applyLatch.add();
-                        submission.setApprovalState(ApprovalState.PENDING, function(err) {
+                        submission.setFields({
+                            approve_state: ApprovalState.PENDING,
+                            feedback: null,
+                            awarded_points: null
+                        }, function(err) {
                             // Call back errors
                             if(err !== null) {
                                 if(!calledBack)
@@ -0,0 +1,163 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var path = require('path');
+
+var Core = require('../../../../Core');
+var LayoutRenderer = require('../../../layout/LayoutRenderer');
+var SubmissionParam = require('../../../router/middleware/SubmissionParam');
+var ApiUtils = require('../../../util/ApiUtils');
+var FileUtils = require('../../../util/FileUtils');
+var MediaState = require('../../../media/MediaState');
+var MediaVariant = require('../../../media/MediaVariant');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the submission file download.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Attach the submission parameter middleware
+        SubmissionParam.attach(router);
+
+        // Route the submission file download
+        router.get('/:game/submission/:submission/file/:file', (req, res, next) => self.get(req, res, next));
+    },
+
+    /**
+     * Serve a file answer of a submission, or of one of its revisions.
+     * Files are only served to users that have permission to view the submission.
+     * A generated variant of the file, such as a thumbnail, is served when the variant query parameter is set.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game, user, submission and file name
+        const game = req.game;
+        const user = req.session.user;
+        const submission = req.submission;
+        const fileName = req.params.file;
+        const variant = req.query.variant;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // Call back if the submission is invalid
+        if(submission === undefined) {
+            next(new Error('Ongeldige inzending.'));
+            return;
+        }
+
+        // Create a function to show the file not found page
+        const showNotFound = () => LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+            message: 'Het opgevraagde bestand bestaat niet (meer).'
+        });
+
+        // The user must have permission to view the submission
+        submission.hasViewPermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user has permission
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Get the file of the submission, and the files of its revisions
+            ApiUtils.fetchProperties({
+                answerFile: (callback) => submission.getAnswerFile(callback),
+                revisions: (callback) => submission.getRevisions(callback),
+                media: (callback) => submission.getMedia(callback)
+            }, function(err, properties) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Only files that belong to this submission may be served
+                var files = [properties.answerFile].concat(properties.revisions.map((revision) => revision.answer_file));
+                if(!_.isString(fileName) || !_.includes(files, fileName)) {
+                    showNotFound();
+                    return;
+                }
+
+                // Variants must exist for the file, and must have been generated
+                if(variant !== undefined && (!_.includes(MediaVariant.getVariants(fileName), variant)
+                        || properties.media[fileName] !== MediaState.PROCESSED)) {
+                    showNotFound();
+                    return;
+                }
+
+                // Determine the name of the stored file to serve
+                const storageName = variant !== undefined ? MediaVariant.getName(fileName, variant) : fileName;
+
+                // Open the file from the storage
+                Core.fileStorage.createReadStream(storageName, function(err, stream, size) {
+                    // Show the not found page for missing files, and call back other errors
+                    if(err !== null) {
+                        if(err.code === 'ENOENT')
+                            showNotFound();
+                        else
+                            next(err);
+                        return;
+                    }
+
+                    // Set the content type, files that can't be shown inline are downloaded
+                    res.type(path.extname(storageName) || 'application/octet-stream');
+                    if(!FileUtils.isImage(fileName) && !FileUtils.isVideo(fileName))
+                        res.attachment(fileName);
+                    if(size !== undefined)
+                        res.set('Content-Length', size);
+
+                    // Files are private, and must not be sniffed as another content type
+                    res.set('Cache-Control', 'private, max-age=3600');
+                    res.set('X-Content-Type-Options', 'nosniff');
+
+                    // Stream the file
+                    stream.on('error', next);
+                    stream.pipe(res);
+                });
+            });
+        });
+    }
+};
@@ -26,7 +26,11 @@ var Core = require('../../../../Core');
 var LayoutRenderer = require('../../../layout/LayoutRenderer');
 var SubmissionParam = require('../../../router/middleware/SubmissionParam');
 var CallbackLatch = require('../../../util/CallbackLatch');
+var ApiUtils = require('../../../util/ApiUtils');
 var ApprovalState = require("../../../model/submission/ApprovalState.js");
+var SubmissionModel = require('../../../model/submission/SubmissionModel');
+var SubmissionRevision = require('../../../model/submission/SubmissionRevision');
+var Validator = require('../../../validator/Validator');
 
 // Export the module
 module.exports = {
@@ -99,12 +103,14 @@ module.exports = {
                     id: game.getIdHex()
                 },
                 submission: {
+                    id: submission.getIdHex(),
                     assignment: {
                         id: null,
                         name: '',
                         description: '',
                         points: 1,
-                        retry: false
+                        retry: false,
+                        max_attempts: null
                     },
                     user: {
                         id: null,
@@ -117,6 +123,11 @@ module.exports = {
                     },
                     answer_text: null,
                     answer_file: null,
+                    feedback: null,
+                    points: 0,
+                    offline_date: null,
+                    attempt: 1,
+                    revisions: [],
                     permissions: {
                         view: false,
                         edit: false,
@@ -220,6 +231,24 @@ module.exports = {
                     // Resolve the latch
                     latch.resolve();
                 });
+
+                // Fetch the maximum number of attempts
+                latch.add();
+                assignment.getMaxAttempts(function(err, maxAttempts) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the property
+                    options.submission.assignment.max_attempts = maxAttempts;
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
             });
 
             // Get the user
@@ -352,6 +381,93 @@ module.exports = {
                 latch.resolve();
             });
 
+            // Fetch the feedback of the grader
+            latch.add();
+            submission.getFeedback(function(err, feedback) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the property
+                options.submission.feedback = feedback;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
+            // Fetch the earned points, which may be partial points awarded by the grader
+            latch.add();
+            submission.getEarnedPoints(function(err, points) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the property
+                options.submission.points = points;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
+            // Fetch the time the answer was made at, if it was submitted while being offline
+            latch.add();
+            submission.getClientDate(function(err, clientDate) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the property
+                if(clientDate !== null)
+                    options.submission.offline_date = Validator.formatDateTime(clientDate).replace('T', ' ');
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
+            // Fetch the earlier attempts for the revision timeline, newest first
+            latch.add();
+            ApiUtils.fetchProperties({
+                revisions: (callback) => submission.getRevisions(callback),
+                media: (callback) => submission.getMedia(callback)
+            }, function(err, properties) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the current attempt and the revisions
+                const revisions = properties.revisions;
+                options.submission.attempt = SubmissionRevision.getAttemptCount(revisions);
+                options.submission.revisions = revisions.map((revision, i) => ({
+                    attempt: i + 1,
+                    date: Validator.formatDateTime(revision.date).replace('T', ' '),
+                    answer_text: revision.answer_text,
+                    answer_file: SubmissionModel.createFileObject(game.getIdHex(), submission.getIdHex(), revision.answer_file,
+                        properties.media),
+                    approve_state: revision.approve_state,
+                    feedback: revision.feedback,
+                    awarded_points: revision.awarded_points
+                })).reverse();
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
             // Get the permissions
             latch.add();
             submission.getPermissionObject(user, function(err, permissions) {
@@ -0,0 +1,400 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var config = require('../../../../config');
+
+var Core = require('../../../../Core');
+var ApiUtils = require('../../../util/ApiUtils');
+var CallbackLatch = require('../../../util/CallbackLatch');
+var LayoutRenderer = require('../../../layout/LayoutRenderer');
+var ApprovalState = require('../../../model/submission/ApprovalState');
+
+var pageApprove = require('./approve/approve');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the submission review pages.
+     *
+     * @param router Express router instance.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/submissions/review', (req, res, next) => self.get(req, res, next));
+        router.post('/:game/submissions/review', (req, res, next) => self.post(req, res, next));
+    },
+
+    /**
+     * Make sure the user may manage the game of the request.
+     * A no permission or error page is shown if this isn't the case.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     * @param {function} callback Called without arguments if the user may manage the game.
+     */
+    requireManagePermission: (req, res, next, callback) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Ongeldig spel.'));
+            return;
+        }
+
+        // The user must have management rights
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Handle no permission situations
+            if(!hasPermission) {
+                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                return;
+            }
+
+            // Continue
+            callback();
+        });
+    },
+
+    /**
+     * Get page, listing the submissions that are awaiting approval.
+     * The assignment and user query parameters may be used to filter the list.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Store the module instance and get the game
+        const self = module.exports;
+        const game = req.game;
+
+        // Get the filters
+        const assignmentFilter = _.isString(req.query.assignment) && req.query.assignment.length > 0 ? req.query.assignment : null;
+        const userFilter = _.isString(req.query.user) && req.query.user.length > 0 ? req.query.user : null;
+
+        // Get the number of submissions that were skipped when applying the last batch
+        const skipped = _.isString(req.query.skipped) && /^\d+$/.test(req.query.skipped) ? parseInt(req.query.skipped, 10) : 0;
+
+        // The user must have management rights
+        self.requireManagePermission(req, res, next, function() {
+            // Get the assignments and participants of the game
+            ApiUtils.fetchProperties({
+                assignments: (callback) => Core.model.assignmentModelManager.getAssignments(game, null, callback),
+                users: (callback) => Core.model.gameUserModelManager.getGameUsers(game, {participants: true}, callback)
+            }, function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Get the names of the assignments and users, to show in the filters
+                ApiUtils.fetchProperties({
+                    assignments: (callback) => ApiUtils.serializeAll(result.assignments, self.serializeName, callback),
+                    users: (callback) => ApiUtils.serializeAll(result.users, self.serializeName, callback)
+                }, function(err, names) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Apply the filters, unknown assignments and users are ignored
+                    const assignments = result.assignments.filter((assignment) => assignmentFilter === null || assignment.getIdHex() === assignmentFilter);
+                    const user = userFilter !== null ? _.find(result.users, (user) => user.getIdHex() === userFilter) || null : null;
+
+                    // Get the pending submissions
+                    self.getPendingSubmissions(assignments, user, function(err, submissions) {
+                        // Call back errors
+                        if(err !== null) {
+                            next(err);
+                            return;
+                        }
+
+                        // Add the assignment and user names to the submissions
+                        const assignmentNames = _.fromPairs(names.assignments.map((assignment) => [assignment.id, assignment.name]));
+                        const userNames = _.fromPairs(names.users.map((user) => [user.id, user.name]));
+                        submissions.forEach(function(submission) {
+                            submission.assignment.name = assignmentNames[submission.assignment.id] || '';
+                            if(submission.user.id !== null)
+                                submission.user.name = userNames[submission.user.id] || '';
+                        });
+
+                        // Show the review page
+                        LayoutRenderer.renderAndShow(req, res, next, 'game/submission/review', 'Beoordelen', {
+                            page: {
+                                leftButton: 'back'
+                            },
+                            game: {
+                                id: game.getIdHex()
+                            },
+                            filter: {
+                                assignment: assignmentFilter,
+                                user: userFilter
+                            },
+                            assignments: names.assignments,
+                            users: names.users,
+                            submissions,
+                            skipped
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Post page, to approve or reject a batch of submissions.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Store the module instance, get the game and user
+        const self = module.exports;
+        const game = req.game;
+        const user = req.session.user;
+
+        // Get the submission IDs and the approval state
+        var submissionIds = req.body['field-submissions'];
+        if(submissionIds === undefined)
+            submissionIds = [];
+        else if(!_.isArray(submissionIds))
+            submissionIds = [submissionIds];
+        const approvalState = ApprovalState.parse(req.body['field-approve-type']);
+
+        // The user must have management rights
+        self.requireManagePermission(req, res, next, function() {
+            // Show an error page if the approval type is invalid
+            if(approvalState === null) {
+                LayoutRenderer.renderAndShow(req, res, next, 'error', 'Oeps!', {
+                    message: 'Er is iets fout gegaan bij het goed- of foutkeuren van de inzendingen.\n\n' +
+                    'Ga alstublieft terug en probeer het opnieuw.'
+                });
+                return;
+            }
+
+            // Apply the approval state to each submission, one at a time
+            // Submissions that are decided on already, or that have a new attempt, are skipped and reported
+            var i = 0;
+            var skipped = 0;
+            const applyNext = function() {
+                // Redirect back to the review page with the same filters when done
+                if(i >= submissionIds.length) {
+                    var query = [];
+                    if(skipped > 0)
+                        query.push('skipped=' + skipped);
+                    if(_.isString(req.body['field-assignment']) && req.body['field-assignment'].length > 0)
+                        query.push('assignment=' + encodeURIComponent(req.body['field-assignment']));
+                    if(_.isString(req.body['field-user']) && req.body['field-user'].length > 0)
+                        query.push('user=' + encodeURIComponent(req.body['field-user']));
+                    res.redirect('/game/' + game.getIdHex() + '/submissions/review' + (query.length > 0 ? '?' + query.join('&') : ''));
+                    return;
+                }
+
+                // Get the submission, and the attempt the decision was made on
+                const submissionId = submissionIds[i++];
+                const attempt = req.body['field-attempt-' + submissionId];
+                Core.model.submissionModelManager.getSubmissionById(submissionId, function(err, submission) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Make sure the submission is part of this game
+                    ApiUtils.requireGameModel(game, submission, 'Ongeldige inzending.', next, function() {
+                        // The user must have submission approval permission
+                        submission.hasApprovalPermission(user, function(err, hasPermission) {
+                            // Call back errors
+                            if(err !== null) {
+                                next(err);
+                                return;
+                            }
+
+                            // Handle no permission situations
+                            if(!hasPermission) {
+                                LayoutRenderer.renderAndShow(req, res, next, 'permission/nopermission', 'Oeps!');
+                                return;
+                            }
+
+                            // Make sure the submission is still pending, and that the decision is made on the current attempt
+                            ApiUtils.fetchProperties({
+                                state: (callback) => submission.getApprovalState(callback),
+                                current: (callback) => attempt !== undefined ?
+                                    pageApprove.isCurrentAttempt(submission, attempt, callback) : callback(null, false)
+                            }, function(err, result) {
+                                // Call back errors
+                                if(err !== null) {
+                                    next(err);
+                                    return;
+                                }
+
+                                // Skip stale submissions
+                                if(result.state !== ApprovalState.PENDING || !result.current) {
+                                    skipped++;
+                                    applyNext();
+                                    return;
+                                }
+
+                                // Apply the approval state, and continue with the next submission
+                                pageApprove.applyApprovalState(game, submission, approvalState, null, function(err) {
+                                    // Call back errors
+                                    if(err !== null) {
+                                        next(err);
+                                        return;
+                                    }
+
+                                    // Continue
+                                    applyNext();
+                                });
+                            });
+                        });
+                    });
+                });
+            };
+            applyNext();
+        });
+    },
+
+    /**
+     * Get the submissions awaiting approval for the given assignments, ordered from old to new.
+     *
+     * @param {AssignmentModel[]} assignments Assignments to get the submissions for.
+     * @param {UserModel|null} user User to get the submissions for, or null to get the submissions of all users.
+     * @param {function} callback Called with an error or null, and the list of submissions.
+     */
+    getPendingSubmissions: (assignments, user, callback) => {
+        // Create a list of submissions
+        var submissions = [];
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+        var calledBack = false;
+
+        // Get the submissions for each assignment
+        assignments.forEach(function(assignment) {
+            latch.add();
+            Core.model.submissionModelManager.getSubmissions(user, assignment, function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Get the properties of each submission
+                result.forEach(function(submission) {
+                    latch.add();
+                    ApiUtils.fetchProperties({
+                        approve_state: (callback) => submission.getApprovalState(callback),
+                        user: (callback) => submission.getUser(callback),
+                        answer_text: (callback) => submission.getAnswerText(callback),
+                        answer_file: (callback) => submission.getAnswerFileObject(callback),
+                        attempt: (callback) => submission.getAttemptCount(callback),
+                        verification: (callback) => submission.getPhotoVerification(config.media.verification, callback)
+                    }, function(err, properties) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                callback(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Add the submission if it's awaiting approval
+                        if(properties.approve_state === ApprovalState.PENDING)
+                            submissions.push({
+                                id: submission.getIdHex(),
+                                assignment: {
+                                    id: assignment.getIdHex(),
+                                    name: ''
+                                },
+                                user: {
+                                    id: properties.user !== null ? properties.user.getIdHex() : null,
+                                    name: ''
+                                },
+                                answer_text: properties.answer_text,
+                                answer_file: properties.answer_file,
+                                attempt: properties.attempt,
+                                verification: properties.verification
+                            });
+
+                        // Resolve the latch
+                        latch.resolve();
+                    });
+                });
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Call back the submissions ordered by their ID, which starts with their creation time
+        latch.then(function() {
+            if(!calledBack)
+                callback(null, _.sortBy(submissions, 'id'));
+            calledBack = true;
+        });
+    },
+
+    /**
+     * Serialize the ID and name of an assignment or user, for the filter options.
+     *
+     * @param {AssignmentModel|UserModel} model Model to serialize.
+     * @param {function} callback Called with the serialized model, or when an error occurred.
+     */
+    serializeName: (model, callback) => {
+        model.getName(function(err, name) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Call back the ID and name
+            callback(null, {
+                id: model.getIdHex(),
+                name
+            });
+        });
+    }
+};
@@ -25,6 +25,7 @@ var router = express.Router();
 var _ = require("lodash");
 
 var ajax = require('./ajax/index');
+var api = require('./api/index');
 var login = require('./account/login');
 var logout = require('./account/logout');
 var register = require('./account/register');
@@ -32,6 +33,7 @@ var games = require('./games');
 var game = require('./game/index');
 var about = require('./about');
 var status = require('./status');
+var metrics = require('./metrics');
 
 var appInfo = require('../../appInfo');
 var Core = require('../../Core');
@@ -130,6 +132,9 @@ router.get('/', function(req, res, next) {
 // Ajax requests
 router.use('/ajax', ajax);
 
+// API requests
+router.use('/api', api);
+
 // Login page
 router.use('/login', login);
 
@@ -151,6 +156,9 @@ router.use('/about', about);
 // Status page
 router.use('/status', status);
 
+// Prometheus metrics
+router.use('/metrics', metrics);
+
 /**
  * Get the game list.
  *
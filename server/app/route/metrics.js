@@ -0,0 +1,69 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var express = require('express');
+var router = express.Router();
+
+var config = require('../../config');
+var ApiUtils = require('../util/ApiUtils');
+var MetricsUtils = require('../util/MetricsUtils');
+var SessionValidator = require('../router/middleware/SessionValidator');
+
+// Metrics in the Prometheus text exposition format
+router.get('/', function(req, res, next) {
+    // Make sure the metrics are enabled
+    if(!config.metrics.enable) {
+        next(ApiUtils.createError('Metrics are disabled.', 404));
+        return;
+    }
+
+    // Make sure a token is configured
+    if(!_.isString(config.metrics.token) || config.metrics.token.length === 0) {
+        next(ApiUtils.createError('No metrics token configured.', 403));
+        return;
+    }
+
+    // Require the configured token, as bearer token or as query parameter
+    var token = SessionValidator.getBearerToken(req);
+    if(token === undefined)
+        token = req.query.token;
+    if(token !== config.metrics.token) {
+        next(ApiUtils.createError('Invalid metrics token.', 401));
+        return;
+    }
+
+    // Get the metrics and respond with them
+    MetricsUtils.getMetrics(function(err, metrics) {
+        // Handle errors
+        if(err !== null) {
+            next(err);
+            return;
+        }
+
+        // Respond
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(metrics);
+    });
+});
+
+module.exports = router;
@@ -76,8 +76,26 @@ Router.prototype.init = function(callback) {
     Core.expressApp.use(bodyParser.json());
     Core.expressApp.use(bodyParser.urlencoded({extended: false}));
     Core.expressApp.use(cookieParser());
+
+    // Never serve files from the legacy upload directory, uploaded files are served through permission checked routes
+    Core.expressApp.use('/public/uploads', function(req, res, next) {
+        // Create an error, and set the status code
+        var error = new Error('Not Found');
+        error.status = 404;
+
+        // Forward the error
+        next(error);
+    });
+
+    // Serve the public files
     Core.expressApp.use('/public', express.static(publicPath));
 
+    // Serve the service worker from the root, so it's able to handle requests for all pages
+    Core.expressApp.get('/sw.js', function(req, res) {
+        res.set('Cache-Control', 'no-cache');
+        res.sendFile(path.join(publicPath, 'js', 'sw.js'));
+    });
+
     // Configure file uploads
     if(config.upload.enabled)
         Core.expressApp.use(fileUpload({
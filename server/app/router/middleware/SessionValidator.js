@@ -78,6 +78,10 @@ SessionValidator.route = function(req, res, next) {
     // Get the session token
     var sessionToken = req.cookies.session_token;
 
+    // Fall back to the bearer token in the authorization header, used by API clients
+    if(sessionToken === undefined)
+        sessionToken = SessionValidator.getBearerToken(req);
+
     // Continue if the session token is undefined
     if(sessionToken === undefined) {
         next();
@@ -115,5 +119,25 @@ SessionValidator.route = function(req, res, next) {
     });
 };
 
+/**
+ * Get the bearer token from the authorization header of a request.
+ *
+ * @param {*} req Express request.
+ *
+ * @return {string|undefined} Bearer token, or undefined if the request doesn't have one.
+ */
+SessionValidator.getBearerToken = function(req) {
+    // Get the authorization header
+    var header = req.headers.authorization;
+
+    // Make sure the header is a bearer authorization header
+    if(typeof header !== 'string' || header.substring(0, 7).toLowerCase() !== 'bearer ')
+        return undefined;
+
+    // Get the token, return undefined if it's empty
+    var token = header.substring(7).trim();
+    return token.length > 0 ? token : undefined;
+};
+
 // Export the class
 module.exports = SessionValidator;
\ No newline at end of file
@@ -0,0 +1,90 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var HashUtils = require('../hash/HashUtils');
+var LocalFileStorage = require('./LocalFileStorage');
+var S3FileStorage = require('./S3FileStorage');
+
+/**
+ * FileStorage class.
+ * Creates the storage backend for uploaded files. Each backend provides the write, read, createReadStream and remove
+ * functions, see LocalFileStorage.
+ *
+ * @class
+ * @constructor
+ */
+var FileStorage = function() {};
+
+/**
+ * Local disk storage type.
+ *
+ * @type {string}
+ */
+FileStorage.TYPE_LOCAL = 'local';
+
+/**
+ * S3 compatible object storage type.
+ *
+ * @type {string}
+ */
+FileStorage.TYPE_S3 = 's3';
+
+/**
+ * Create the storage backend for the given configuration.
+ *
+ * @param {Object} storageConfig Storage configuration, see config.storage.
+ * @param {string} uploadPath Directory to store files in when using local disk storage.
+ *
+ * @return {LocalFileStorage|S3FileStorage} Storage backend.
+ */
+FileStorage.create = function(storageConfig, uploadPath) {
+    switch(storageConfig.type) {
+        case FileStorage.TYPE_LOCAL:
+            return new LocalFileStorage(uploadPath);
+
+        case FileStorage.TYPE_S3:
+            return new S3FileStorage(storageConfig.s3);
+
+        default:
+            throw new Error('Unknown file storage type \'' + storageConfig.type + '\'.');
+    }
+};
+
+/**
+ * Generate a random name to store an uploaded file with.
+ * The extension of the original file name is kept, so the file type can still be determined.
+ *
+ * @param {string} originalName Original file name.
+ *
+ * @return {string} File name.
+ */
+FileStorage.generateName = function(originalName) {
+    // Get a safe extension for the file
+    var parts = originalName.trim().split('.');
+    var ext = parts.length > 1 ? parts.pop().replace(/[^a-z0-9]/gi, '') : '';
+
+    // Build the name
+    return HashUtils.randomHash() + (ext.length > 0 ? '.' + ext : '');
+};
+
+// Export the class
+module.exports = FileStorage;
@@ -0,0 +1,114 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * LocalFileStorage class.
+ * Stores files in a directory on the local disk.
+ *
+ * @class
+ * @constructor
+ *
+ * @param {string} directory Directory to store the files in.
+ */
+var LocalFileStorage = function(directory) {
+    /**
+     * Directory the files are stored in.
+     *
+     * @type {string}
+     * @private
+     */
+    this._directory = directory;
+};
+
+/**
+ * Get the path of a stored file.
+ * Only the base name is used, so files outside the storage directory can't be accessed.
+ *
+ * @param {string} name File name.
+ *
+ * @return {string} File path.
+ * @private
+ */
+LocalFileStorage.prototype._getPath = function(name) {
+    return path.join(this._directory, path.basename(name));
+};
+
+/**
+ * Store a file.
+ *
+ * @param {string} name File name.
+ * @param {Buffer} data File contents.
+ * @param {function} callback Called on success, or when an error occurred.
+ */
+LocalFileStorage.prototype.write = function(name, data, callback) {
+    fs.writeFile(this._getPath(name), data, (err) => callback(err || null));
+};
+
+/**
+ * Read a stored file.
+ *
+ * @param {string} name File name.
+ * @param {function} callback Called with the file contents, or when an error occurred.
+ */
+LocalFileStorage.prototype.read = function(name, callback) {
+    fs.readFile(this._getPath(name), (err, data) => callback(err || null, data));
+};
+
+/**
+ * Create a stream to read a stored file.
+ * An error with the ENOENT code is called back if the file doesn't exist.
+ *
+ * @param {string} name File name.
+ * @param {function} callback Called with a readable stream, or when an error occurred.
+ */
+LocalFileStorage.prototype.createReadStream = function(name, callback) {
+    // Get the file path
+    const filePath = this._getPath(name);
+
+    // Make sure the file exists before streaming it
+    fs.stat(filePath, function(err, stats) {
+        // Call back errors
+        if(err) {
+            callback(err);
+            return;
+        }
+
+        // Call back the stream
+        callback(null, fs.createReadStream(filePath), stats.size);
+    });
+};
+
+/**
+ * Remove a stored file.
+ *
+ * @param {string} name File name.
+ * @param {function} callback Called on success, or when an error occurred.
+ */
+LocalFileStorage.prototype.remove = function(name, callback) {
+    fs.unlink(this._getPath(name), (err) => callback(err || null));
+};
+
+// Export the class
+module.exports = LocalFileStorage;
@@ -0,0 +1,244 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var url = require('url');
+var http = require('http');
+var https = require('https');
+
+var S3Signature = require('./S3Signature');
+
+/**
+ * S3FileStorage class.
+ * Stores files in a bucket on S3 compatible object storage, such as Amazon S3 or MinIO.
+ * Path style URLs are used, so the bucket doesn't need its own host name.
+ *
+ * @class
+ * @constructor
+ *
+ * @param {Object} options Storage options.
+ * @param {string} options.endpoint Endpoint URL, for example http://127.0.0.1:9000.
+ * @param {string} options.region Region of the bucket.
+ * @param {string} options.bucket Bucket name.
+ * @param {string} options.accessKey Access key.
+ * @param {string} options.secretKey Secret key.
+ */
+var S3FileStorage = function(options) {
+    /**
+     * Parsed endpoint URL.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._endpoint = url.parse(options.endpoint);
+
+    /**
+     * Bucket name.
+     *
+     * @type {string}
+     * @private
+     */
+    this._bucket = options.bucket;
+
+    /**
+     * Credentials used to sign requests.
+     *
+     * @type {{accessKey: string, secretKey: string, region: string}}
+     * @private
+     */
+    this._credentials = {
+        accessKey: options.accessKey,
+        secretKey: options.secretKey,
+        region: options.region
+    };
+};
+
+/**
+ * Send a signed request for an object in the bucket.
+ *
+ * @param {string} method HTTP method.
+ * @param {string} name Object name.
+ * @param {Buffer|null} body Request body, or null.
+ * @param {function} callback Called with the response, or when an error occurred.
+ * @private
+ */
+S3FileStorage.prototype._request = function(method, name, body, callback) {
+    // Build the path, the endpoint may have a path prefix
+    var basePath = (this._endpoint.pathname || '/').replace(/\/+$/, '');
+    var objectPath = S3Signature.encodePath(basePath + '/' + this._bucket + '/' + name.replace(/^\/+/, ''));
+
+    // Build and sign the headers
+    var headers = {
+        host: this._endpoint.host,
+        'x-amz-date': S3Signature.formatDate(new Date()),
+        'x-amz-content-sha256': body !== null ? S3Signature.hash(body) : S3Signature.EMPTY_PAYLOAD_HASH
+    };
+    if(body !== null)
+        headers['content-length'] = body.length;
+    headers.authorization = S3Signature.sign(method, objectPath, headers, this._credentials);
+
+    // Send the request
+    var request = (this._endpoint.protocol === 'https:' ? https : http).request({
+        protocol: this._endpoint.protocol,
+        hostname: this._endpoint.hostname,
+        port: this._endpoint.port,
+        method,
+        path: objectPath,
+        headers
+    }, (res) => callback(null, res));
+    request.on('error', callback);
+    request.end(body !== null ? body : undefined);
+};
+
+/**
+ * Read the body of a response, and create an error for unsuccessful responses.
+ *
+ * @param {http.IncomingMessage} res Response.
+ * @param {function} callback Called with the body, or with an error if the response wasn't successful.
+ * @private
+ */
+S3FileStorage.prototype._readResponse = function(res, callback) {
+    // Collect the body
+    var chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('error', callback);
+    res.on('end', function() {
+        // Call back the body of successful responses
+        var body = Buffer.concat(chunks);
+        if(res.statusCode >= 200 && res.statusCode < 300) {
+            callback(null, body);
+            return;
+        }
+
+        // Call back an error
+        callback(S3FileStorage.createError(res.statusCode, body.toString()));
+    });
+};
+
+/**
+ * Create an error for an unsuccessful response.
+ * Missing objects get the ENOENT code, the same as missing files on the local disk.
+ *
+ * @param {Number} statusCode HTTP status code.
+ * @param {string} [message] Response body.
+ *
+ * @return {Error} Error.
+ */
+S3FileStorage.createError = function(statusCode, message) {
+    var error = new Error('Object storage request failed with status ' + statusCode + (!_.isEmpty(message) ? ': ' + message : '.'));
+    error.status = statusCode;
+    if(statusCode === 404)
+        error.code = 'ENOENT';
+    return error;
+};
+
+/**
+ * Store a file.
+ *
+ * @param {string} name File name.
+ * @param {Buffer} data File contents.
+ * @param {function} callback Called on success, or when an error occurred.
+ */
+S3FileStorage.prototype.write = function(name, data, callback) {
+    const self = this;
+    this._request('PUT', name, data, function(err, res) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Read the response
+        self._readResponse(res, (err) => callback(err));
+    });
+};
+
+/**
+ * Read a stored file.
+ *
+ * @param {string} name File name.
+ * @param {function} callback Called with the file contents, or when an error occurred.
+ */
+S3FileStorage.prototype.read = function(name, callback) {
+    const self = this;
+    this._request('GET', name, null, function(err, res) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Read the response
+        self._readResponse(res, callback);
+    });
+};
+
+/**
+ * Create a stream to read a stored file.
+ * An error with the ENOENT code is called back if the file doesn't exist.
+ *
+ * @param {string} name File name.
+ * @param {function} callback Called with a readable stream, or when an error occurred.
+ */
+S3FileStorage.prototype.createReadStream = function(name, callback) {
+    const self = this;
+    this._request('GET', name, null, function(err, res) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Read the response if it isn't successful, to create an error
+        if(res.statusCode !== 200) {
+            self._readResponse(res, callback);
+            return;
+        }
+
+        // Call back the response as stream
+        var length = parseInt(res.headers['content-length'], 10);
+        callback(null, res, !isNaN(length) ? length : undefined);
+    });
+};
+
+/**
+ * Remove a stored file.
+ *
+ * @param {string} name File name.
+ * @param {function} callback Called on success, or when an error occurred.
+ */
+S3FileStorage.prototype.remove = function(name, callback) {
+    const self = this;
+    this._request('DELETE', name, null, function(err, res) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Read the response
+        self._readResponse(res, (err) => callback(err));
+    });
+};
+
+// Export the class
+module.exports = S3FileStorage;
@@ -0,0 +1,144 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var crypto = require('crypto');
+
+/**
+ * Signing algorithm.
+ *
+ * @type {string}
+ */
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+/**
+ * S3Signature class.
+ * Signs requests for S3 compatible object storage, using AWS signature version 4.
+ *
+ * @class
+ * @constructor
+ */
+var S3Signature = function() {};
+
+/**
+ * Hash of an empty payload.
+ *
+ * @type {string}
+ */
+S3Signature.EMPTY_PAYLOAD_HASH = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+/**
+ * Hash the given data with SHA-256.
+ *
+ * @param {string|Buffer} data Data to hash.
+ *
+ * @return {string} Hexadecimal hash.
+ */
+S3Signature.hash = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Format a date as used in the x-amz-date header.
+ *
+ * @param {Date} date Date to format.
+ *
+ * @return {string} Date formatted as YYYYMMDDTHHMMSSZ.
+ */
+S3Signature.formatDate = (date) => date.toISOString().replace(/[:\-]|\.\d{3}/g, '');
+
+/**
+ * Encode a URI path, each segment is encoded separately.
+ *
+ * @param {string} path Path to encode.
+ *
+ * @return {string} Encoded path.
+ */
+S3Signature.encodePath = (path) => path.split('/').map((segment) =>
+    encodeURIComponent(segment).replace(/[!'()*]/g, (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase())).join('/');
+
+/**
+ * Build the canonical request.
+ *
+ * @param {string} method HTTP method.
+ * @param {string} path Encoded request path.
+ * @param {Object} headers Request headers to sign.
+ * @param {string} payloadHash Hash of the payload.
+ *
+ * @return {string} Canonical request.
+ */
+S3Signature.getCanonicalRequest = function(method, path, headers, payloadHash) {
+    // Build the canonical headers, sorted by their lower case name
+    var names = _.keys(headers).map((name) => name.toLowerCase()).sort();
+    var lowerHeaders = _.mapKeys(headers, (value, name) => name.toLowerCase());
+    var canonicalHeaders = names.map((name) => name + ':' + String(lowerHeaders[name]).trim().replace(/\s+/g, ' ') + '\n').join('');
+
+    // Build the canonical request, this client doesn't use query parameters
+    return [method, path, '', canonicalHeaders, names.join(';'), payloadHash].join('\n');
+};
+
+/**
+ * Create the signing key.
+ *
+ * @param {string} secretKey Secret access key.
+ * @param {string} day Date formatted as YYYYMMDD.
+ * @param {string} region Region.
+ *
+ * @return {Buffer} Signing key.
+ */
+S3Signature.getSigningKey = function(secretKey, day, region) {
+    const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+    return hmac(hmac(hmac(hmac('AWS4' + secretKey, day), region), 's3'), 'aws4_request');
+};
+
+/**
+ * Create the authorization header value for a request.
+ * The headers must include the host, x-amz-date and x-amz-content-sha256 headers.
+ *
+ * @param {string} method HTTP method.
+ * @param {string} path Encoded request path.
+ * @param {Object} headers Request headers to sign.
+ * @param {{accessKey: string, secretKey: string, region: string}} credentials Credentials and region.
+ *
+ * @return {string} Authorization header value.
+ */
+S3Signature.sign = function(method, path, headers, credentials) {
+    // Get the date and payload hash from the headers
+    var lowerHeaders = _.mapKeys(headers, (value, name) => name.toLowerCase());
+    var amzDate = lowerHeaders['x-amz-date'];
+    var day = amzDate.substring(0, 8);
+    var scope = day + '/' + credentials.region + '/s3/aws4_request';
+
+    // Build the string to sign
+    var canonicalRequest = S3Signature.getCanonicalRequest(method, path, headers, lowerHeaders['x-amz-content-sha256']);
+    var stringToSign = [ALGORITHM, amzDate, scope, S3Signature.hash(canonicalRequest)].join('\n');
+
+    // Sign the string
+    var signature = crypto.createHmac('sha256', S3Signature.getSigningKey(credentials.secretKey, day, credentials.region))
+        .update(stringToSign).digest('hex');
+
+    // Build the authorization header
+    return ALGORITHM + ' Credential=' + credentials.accessKey + '/' + scope +
+        ', SignedHeaders=' + _.keys(lowerHeaders).sort().join(';') +
+        ', Signature=' + signature;
+};
+
+// Export the class
+module.exports = S3Signature;
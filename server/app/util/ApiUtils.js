@@ -0,0 +1,321 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var CallbackLatch = require('./CallbackLatch');
+
+/**
+ * ApiUtils class.
+ *
+ * @class
+ * @constructor
+ */
+var ApiUtils = function() {};
+
+/**
+ * Create an error instance for an API response.
+ *
+ * @param {string} message Error message.
+ * @param {Number} [status=500] HTTP status code to respond with.
+ *
+ * @return {Error} Error instance.
+ */
+ApiUtils.createError = function(message, status) {
+    // Create the error, and set the status code
+    var error = new Error(message);
+    error.status = status !== undefined ? status : 500;
+    return error;
+};
+
+/**
+ * Require the client to have a valid session.
+ * A 401 error is passed to the next callback if the client doesn't have a valid session.
+ *
+ * @param req Express request object.
+ * @param {function} next Express next callback.
+ *
+ * @return {boolean} True if the client has a valid session, false if not and an error was passed along.
+ */
+ApiUtils.requireValidSession = function(req, next) {
+    // Return true if the session is valid
+    if(req.session.valid)
+        return true;
+
+    // Pass an error along, and return false
+    next(ApiUtils.createError('Je moet ingelogd zijn.', 401));
+    return false;
+};
+
+/**
+ * Respond with a successful API response.
+ * The given data is merged into the response object.
+ *
+ * @param res Express response object.
+ * @param {Object} [data] Response data.
+ * @param {Number} [status=200] HTTP status code to respond with.
+ */
+ApiUtils.respond = function(res, data, status) {
+    res.status(status !== undefined ? status : 200).json(_.merge({
+        status: 'ok'
+    }, data));
+};
+
+/**
+ * Respond with an error API response.
+ *
+ * @param res Express response object.
+ * @param {Error} err Error to respond with.
+ * @param {boolean} [stacktrace=false] True to include the stack trace, false if not.
+ */
+ApiUtils.respondError = function(res, err, stacktrace) {
+    // Create a response object
+    var responseObject = {
+        status: 'error',
+        error: {
+            message: err.message,
+            status: err.status || 500
+        }
+    };
+
+    // Append the stack trace if requested
+    if(stacktrace)
+        responseObject.error.stacktrace = err.stack;
+
+    // Respond with the response object
+    res.status(responseObject.error.status).json(responseObject);
+};
+
+/**
+ * Fetch a set of properties through their getter functions.
+ * Each getter is called with a callback, the results are put in an object with the same keys.
+ *
+ * @param {Object} getters Object with a getter function for each property.
+ * @param {ApiUtils~fetchPropertiesCallback} callback Called with the result or when an error occurred.
+ */
+ApiUtils.fetchProperties = function(getters, callback) {
+    // Create a result object
+    var result = {};
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Loop through the getters
+    _.forOwn(getters, function(getter, key) {
+        // Call the getter
+        latch.add();
+        getter(function(err, value) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            result[key] = value;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Call back the result when done
+    latch.then(function() {
+        if(!calledBack)
+            callback(null, result);
+        calledBack = true;
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback ApiUtils~fetchPropertiesCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} Object with the fetched property values.
+ */
+
+/**
+ * Serialize a list of models, while preserving their order.
+ *
+ * @param {Array} models List of models to serialize.
+ * @param {function} serializer Serializer function, called with a model and a callback.
+ * @param {ApiUtils~serializeAllCallback} callback Called with the result or when an error occurred.
+ */
+ApiUtils.serializeAll = function(models, serializer, callback) {
+    // Create a result array
+    var result = new Array(models.length);
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Serialize each model
+    models.forEach(function(model, i) {
+        latch.add();
+        serializer(model, function(err, serialized) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Put the serialized model in the result
+            result[i] = serialized;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Call back the result when done
+    latch.then(function() {
+        if(!calledBack)
+            callback(null, result);
+        calledBack = true;
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback ApiUtils~serializeAllCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Array=} Array of serialized models.
+ */
+
+/**
+ * Require the given user to have permission to manage the given game.
+ * A 403 error is passed to the next callback if the user doesn't have permission.
+ *
+ * @param {GameModel} game Game model.
+ * @param {UserModel} user User model.
+ * @param {function} next Express next callback.
+ * @param {function} callback Called without arguments if the user has permission.
+ */
+ApiUtils.requireManagePermission = function(game, user, next, callback) {
+    game.hasManagePermission(user, function(err, hasPermission) {
+        // Call back errors
+        if(err !== null) {
+            next(err);
+            return;
+        }
+
+        // Make sure the user has permission
+        if(!hasPermission) {
+            next(ApiUtils.createError('Je hebt geen rechten om dit spel te beheren.', 403));
+            return;
+        }
+
+        // Continue
+        callback();
+    });
+};
+
+/**
+ * Check whether the given model belongs to the given game.
+ *
+ * @param {GameModel} game Game model.
+ * @param {PointModel|AssignmentModel|SubmissionModel} model Model that has a getGame function.
+ * @param {ApiUtils~isGameModelCallback} callback Called with the result or when an error occurred.
+ */
+ApiUtils.isGameModel = function(game, model, callback) {
+    // Get the game of the model
+    model.getGame(function(err, modelGame) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Compare the games, and call back the result
+        callback(null, modelGame !== null && modelGame !== undefined && game.getId().equals(modelGame.getId()));
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback ApiUtils~isGameModelCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the model belongs to the game, false if not.
+ */
+
+/**
+ * Require the given model to exist, and to belong to the given game.
+ * A 404 error is passed to the next callback if this isn't the case.
+ *
+ * @param {GameModel} game Game model.
+ * @param {PointModel|AssignmentModel|SubmissionModel|undefined} model Model that has a getGame function.
+ * @param {string} message Error message to use if the model is invalid.
+ * @param {function} next Express next callback.
+ * @param {function} callback Called without arguments if the model is valid.
+ */
+ApiUtils.requireGameModel = function(game, model, message, next, callback) {
+    // Make sure the model is defined
+    if(model === undefined || model === null) {
+        next(ApiUtils.createError(message, 404));
+        return;
+    }
+
+    // Make sure the model belongs to the game
+    ApiUtils.isGameModel(game, model, function(err, isGameModel) {
+        // Call back errors
+        if(err !== null) {
+            next(err);
+            return;
+        }
+
+        // Pass an error along if the model isn't part of this game
+        if(!isGameModel) {
+            next(ApiUtils.createError(message, 404));
+            return;
+        }
+
+        // Continue
+        callback();
+    });
+};
+
+/**
+ * Parse a boolean value from a request body.
+ * Both boolean values and their string representation are accepted.
+ *
+ * @param {*} value Value to parse.
+ *
+ * @return {boolean|undefined} Parsed boolean, or undefined if the value is invalid.
+ */
+ApiUtils.parseBoolean = function(value) {
+    if(value === true || value === 'true')
+        return true;
+    else if(value === false || value === 'false')
+        return false;
+    return undefined;
+};
+
+// Export the class
+module.exports = ApiUtils;
@@ -0,0 +1,226 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+/**
+ * Constructor.
+ * A queue that processes jobs in the background, so the caller doesn't have to wait for them to complete.
+ * Failed jobs are retried until the maximum number of attempts is reached.
+ *
+ * @param {JobQueue~handler} handler Function that processes a job.
+ * @param {Object} [options] Queue options.
+ * @param {int} [options.concurrency=1] Number of jobs to process at the same time.
+ * @param {int} [options.attempts=1] Maximum number of attempts for each job.
+ * @param {int} [options.retryDelay=0] Delay in milliseconds before retrying a failed job.
+ *
+ * @returns {JobQueue} JobQueue instance.
+ */
+var JobQueue = function(handler, options) {
+    // Use empty options if none are given
+    if(options === undefined || options === null)
+        options = {};
+
+    /**
+     * Function that processes a job.
+     *
+     * @type {JobQueue~handler}
+     * @private
+     */
+    this._handler = handler;
+
+    /**
+     * Number of jobs to process at the same time.
+     *
+     * @type {int}
+     * @private
+     */
+    this._concurrency = options.concurrency !== undefined ? options.concurrency : 1;
+
+    /**
+     * Maximum number of attempts for each job.
+     *
+     * @type {int}
+     * @private
+     */
+    this._attempts = options.attempts !== undefined ? options.attempts : 1;
+
+    /**
+     * Delay in milliseconds before retrying a failed job.
+     *
+     * @type {int}
+     * @private
+     */
+    this._retryDelay = options.retryDelay !== undefined ? options.retryDelay : 0;
+
+    /**
+     * Jobs waiting to be processed, along with their number of attempts.
+     *
+     * @type {Array}
+     * @private
+     */
+    this._waiting = [];
+
+    /**
+     * Number of jobs that are being processed or waiting to be retried.
+     *
+     * @type {int}
+     * @private
+     */
+    this._active = 0;
+
+    /**
+     * Functions to call when the queue becomes idle.
+     *
+     * @type {Array}
+     * @private
+     */
+    this._idleCallbacks = [];
+};
+
+/**
+ * Process a job.
+ *
+ * @callback JobQueue~handler
+ * @param {*} job Job to process.
+ * @param {function} callback Called without arguments on success, or with an error when the job failed.
+ */
+
+/**
+ * Add a job to the queue.
+ * The job is processed in the background.
+ *
+ * @param {*} job Job to add.
+ * @param {function} [callback] Called when the job completed, or with an error when all attempts failed.
+ */
+JobQueue.prototype.push = function(job, callback) {
+    this._waiting.push({
+        job,
+        attempt: 0,
+        callback
+    });
+    this._next();
+};
+
+/**
+ * Get the number of jobs that haven't completed yet.
+ *
+ * @return {int} Number of jobs.
+ */
+JobQueue.prototype.getLength = function() {
+    return this._waiting.length + this._active;
+};
+
+/**
+ * Check whether the queue is idle, and has no jobs to process.
+ *
+ * @return {boolean} True if idle, false if not.
+ */
+JobQueue.prototype.isIdle = function() {
+    return this.getLength() === 0;
+};
+
+/**
+ * Call the given function when the queue is idle.
+ * The function is called immediately if the queue is idle already.
+ *
+ * @param {function} callback Called when the queue is idle.
+ */
+JobQueue.prototype.onIdle = function(callback) {
+    if(this.isIdle())
+        callback();
+    else
+        this._idleCallbacks.push(callback);
+};
+
+/**
+ * Start processing the next jobs, as far as the concurrency allows.
+ *
+ * @private
+ */
+JobQueue.prototype._next = function() {
+    // Store a reference to this
+    const self = this;
+
+    // Start processing jobs until the concurrency limit is reached
+    while(this._active < this._concurrency && this._waiting.length > 0) {
+        const entry = this._waiting.shift();
+        this._active++;
+        entry.attempt++;
+
+        this._run(entry, function(err) {
+            // Retry failed jobs if there are attempts left
+            if(err !== null && entry.attempt < self._attempts) {
+                setTimeout(function() {
+                    self._active--;
+                    self._waiting.push(entry);
+                    self._next();
+                }, self._retryDelay);
+                return;
+            }
+
+            // Report jobs that failed completely
+            if(err !== null && entry.callback === undefined) {
+                console.error('Job failed after ' + entry.attempt + ' attempt(s), dropping it.');
+                console.error(err);
+            }
+
+            // Complete the job
+            self._active--;
+            if(entry.callback !== undefined)
+                entry.callback(err);
+
+            // Continue with the next job, or call the idle callbacks
+            self._next();
+            if(self.isIdle()) {
+                const idleCallbacks = self._idleCallbacks;
+                self._idleCallbacks = [];
+                idleCallbacks.forEach((idleCallback) => idleCallback());
+            }
+        });
+    }
+};
+
+/**
+ * Run the handler for a job, and make sure it's only called back once.
+ *
+ * @param {Object} entry Queue entry of the job.
+ * @param {function} callback Called with an error or null when the handler completed.
+ * @private
+ */
+JobQueue.prototype._run = function(entry, callback) {
+    var calledBack = false;
+    const done = function(err) {
+        if(calledBack)
+            return;
+        calledBack = true;
+        callback(err !== undefined && err !== null ? err : null);
+    };
+
+    // Handlers that throw are treated as failed
+    try {
+        this._handler(entry.job, done);
+    } catch(err) {
+        done(err);
+    }
+};
+
+// Export the class
+module.exports = JobQueue;
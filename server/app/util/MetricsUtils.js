@@ -0,0 +1,309 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var cluster = require('cluster');
+var crypto = require('crypto');
+var os = require('os');
+var process = require('process');
+var percentile = require('stats-percentile');
+
+var config = require('../../config');
+var Core = require('../../Core');
+var ApprovalState = require('../model/submission/ApprovalState');
+var SubmissionDatabase = require('../model/submission/SubmissionDatabase');
+var Metrics = require('../metrics/Metrics');
+var RedisPubSub = require('../redis/RedisPubSub');
+
+/**
+ * Pub/sub channel the metrics of other workers are requested on.
+ *
+ * @type {string}
+ */
+const CHANNEL = 'metrics';
+
+/**
+ * Event loop latency quantiles to report.
+ *
+ * @type {Number[]}
+ */
+const LATENCY_QUANTILES = [0.5, 0.9, 0.99];
+
+/**
+ * Labels used for the approval states of submissions.
+ *
+ * @type {Object}
+ */
+const APPROVAL_STATE_LABELS = {};
+APPROVAL_STATE_LABELS[ApprovalState.PENDING] = 'pending';
+APPROVAL_STATE_LABELS[ApprovalState.APPROVED] = 'approved';
+APPROVAL_STATE_LABELS[ApprovalState.REJECTED] = 'rejected';
+
+/**
+ * MetricsUtils class.
+ *
+ * @class
+ * @constructor
+ */
+var MetricsUtils = function() {};
+
+/**
+ * Map of pending metric requests to other workers, with the request ID as key and a list of responses as value.
+ *
+ * @type {Map}
+ */
+var pendingRequests = new Map();
+
+/**
+ * Collect the metrics of all workers, and format them in the Prometheus text exposition format.
+ * The metrics of other workers are requested through Redis pub/sub, each worker is labeled with its host and ID.
+ * Workers that don't respond in time are left out.
+ *
+ * @param {MetricsUtils~getMetricsCallback} callback Called with the formatted metrics or when an error occurred.
+ */
+MetricsUtils.getMetrics = function(callback) {
+    // Create a registry for the metrics of all workers, and add the metrics of this worker
+    const registry = Metrics.createRegistry();
+    MetricsUtils.collectWorker();
+    registry.merge(Metrics.registry.serialize(), MetricsUtils.getWorkerLabels());
+
+    // Request the metrics of the other workers
+    MetricsUtils.requestWorkerMetrics(function(responses) {
+        // Add the metrics of the other workers
+        responses.forEach((response) => registry.merge(response.metrics, response.labels));
+
+        // Count the submissions, which are the same for all workers
+        SubmissionDatabase.countApprovalStates(function(err, counts) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Set the submission counts
+            const name = Metrics.getName('submissions');
+            _.forOwn(counts, (count, state) => registry.set(name, {state: APPROVAL_STATE_LABELS[state]}, count));
+
+            // Format the metrics, and call back
+            callback(null, registry.format());
+        });
+    });
+};
+
+/**
+ * Called with the formatted metrics or when an error occurred.
+ *
+ * @callback MetricsUtils~getMetricsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {string=} Metrics in the Prometheus text exposition format.
+ */
+
+/**
+ * Get the labels that identify this worker.
+ *
+ * @return {{host: string, worker: string}} Labels.
+ */
+MetricsUtils.getWorkerLabels = function() {
+    return {
+        host: os.hostname(),
+        worker: cluster.isMaster ? 'master' : String(cluster.worker.id)
+    };
+};
+
+/**
+ * Collect the metrics that describe the current state of this worker.
+ */
+MetricsUtils.collectWorker = function() {
+    MetricsUtils.collectProcess();
+    MetricsUtils.collectLatency();
+    MetricsUtils.collectRealTime();
+    MetricsUtils.collectCache();
+};
+
+/**
+ * Request the metrics of all other workers through Redis pub/sub.
+ * Responses are collected until the configured timeout passes. No metrics are requested if we aren't connected.
+ *
+ * @param {MetricsUtils~requestWorkerMetricsCallback} callback Called with the responses.
+ */
+MetricsUtils.requestWorkerMetrics = function(callback) {
+    // Create a unique request ID, and publish the request
+    const id = crypto.randomBytes(16).toString('hex');
+    if(!RedisPubSub.publish(CHANNEL, {type: 'request', id})) {
+        callback([]);
+        return;
+    }
+    pendingRequests.set(id, []);
+
+    // Call back with the responses when the timeout passes
+    setTimeout(function() {
+        const responses = pendingRequests.get(id);
+        pendingRequests.delete(id);
+        callback(responses);
+    }, config.metrics.workerTimeout);
+};
+
+/**
+ * Called with the responses.
+ *
+ * @callback MetricsUtils~requestWorkerMetricsCallback
+ * @param {{labels: Object, metrics: Object[]}[]} Responses of the other workers.
+ */
+
+/**
+ * Start responding to metric requests of other workers, and collecting their responses.
+ */
+MetricsUtils.listen = function() {
+    RedisPubSub.subscribe(CHANNEL, function(data) {
+        // Make sure the message is valid
+        if(!_.isPlainObject(data) || !_.isString(data.id))
+            return;
+
+        // Respond to requests with the metrics of this worker
+        if(data.type === 'request') {
+            MetricsUtils.collectWorker();
+            RedisPubSub.publish(CHANNEL, {
+                type: 'response',
+                id: data.id,
+                labels: MetricsUtils.getWorkerLabels(),
+                metrics: Metrics.registry.serialize()
+            });
+        }
+
+        // Collect responses to our own requests
+        else if(data.type === 'response' && pendingRequests.has(data.id) && _.isPlainObject(data.labels) &&
+            _.isArray(data.metrics))
+            pendingRequests.get(data.id).push({
+                labels: data.labels,
+                metrics: data.metrics
+            });
+    });
+};
+
+/**
+ * Collect the process and system metrics.
+ */
+MetricsUtils.collectProcess = function() {
+    // Set the uptime
+    Metrics.registry.set(Metrics.getName('process_uptime_seconds'), {}, Math.floor(process.uptime()));
+
+    // Set the CPU usage, if supported by this version of Node
+    if(_.isFunction(process.cpuUsage)) {
+        const cpuUsage = process.cpuUsage();
+        Metrics.registry.set(Metrics.getName('process_cpu_seconds_total'), {mode: 'user'}, cpuUsage.user / 1e6);
+        Metrics.registry.set(Metrics.getName('process_cpu_seconds_total'), {mode: 'system'}, cpuUsage.system / 1e6);
+    }
+
+    // Set the memory usage of the process
+    const memoryUsage = process.memoryUsage();
+    const memoryName = Metrics.getName('process_memory_bytes');
+    Metrics.registry.set(memoryName, {type: 'rss'}, memoryUsage.rss);
+    Metrics.registry.set(memoryName, {type: 'heap_used'}, memoryUsage.heapUsed);
+    Metrics.registry.set(memoryName, {type: 'heap_total'}, memoryUsage.heapTotal);
+    if(memoryUsage.external !== undefined)
+        Metrics.registry.set(memoryName, {type: 'external'}, memoryUsage.external);
+
+    // Set the system load average
+    const loadAvg = os.loadavg();
+    Metrics.registry.set(Metrics.getName('system_load_average'), {minutes: '1'}, loadAvg[0]);
+    Metrics.registry.set(Metrics.getName('system_load_average'), {minutes: '5'}, loadAvg[1]);
+    Metrics.registry.set(Metrics.getName('system_load_average'), {minutes: '15'}, loadAvg[2]);
+
+    // Set the system memory
+    Metrics.registry.set(Metrics.getName('system_memory_bytes'), {type: 'free'}, os.freemem());
+    Metrics.registry.set(Metrics.getName('system_memory_bytes'), {type: 'total'}, os.totalmem());
+};
+
+/**
+ * Collect the event loop latency metrics.
+ * The latency is measured since the last time the latency was requested.
+ */
+MetricsUtils.collectLatency = function() {
+    // Clear the previous values
+    const name = Metrics.getName('event_loop_latency_seconds');
+    Metrics.registry.clear(name);
+
+    // Make sure the event loop monitor is running, and that there are measurements
+    if(Core.eventLoopMonitor === null)
+        return;
+    const latencyList = Core.eventLoopMonitor.countLatency();
+    if(latencyList.length === 0)
+        return;
+
+    // Set the minimum, maximum and the quantiles, the measurements are in microseconds
+    Metrics.registry.set(name, {quantile: '0'}, _.min(latencyList) / 1e6);
+    LATENCY_QUANTILES.forEach(function(quantile) {
+        Metrics.registry.set(name, {quantile: String(quantile)}, percentile(latencyList, quantile * 100) / 1e6);
+    });
+    Metrics.registry.set(name, {quantile: '1'}, _.max(latencyList) / 1e6);
+};
+
+/**
+ * Collect the live game and real time connection metrics.
+ */
+MetricsUtils.collectRealTime = function() {
+    // Set the number of loaded games
+    Metrics.registry.set(Metrics.getName('live_games'), {}, Core.gameManager.getLoadedGameCount());
+
+    // Make sure the real time server is online
+    const gameConnectionsName = Metrics.getName('realtime_game_connections');
+    Metrics.registry.clear(gameConnectionsName);
+    if(!Core.realTime.isOnline())
+        return;
+
+    // Set the total number of connections
+    Metrics.registry.set(Metrics.getName('realtime_connections'), {}, Core.realTime.getConnectionCount());
+
+    // Count the connections of the users in each loaded game
+    Core.gameManager.games.forEach(function(liveGame) {
+        var connections = 0;
+        liveGame.userManager.users.forEach(function(liveUser) {
+            connections += Core.realTime.getUserConnectionCount(liveUser.getId());
+        });
+        Metrics.registry.set(gameConnectionsName, {game: liveGame.getIdHex()}, connections);
+    });
+};
+
+/**
+ * Collect the object cache metrics.
+ */
+MetricsUtils.collectCache = function() {
+    // Count the cached objects and fields
+    var objectCount = 0;
+    var fieldCount = 0;
+    _.forOwn(Core.model, function(modelManager) {
+        // Make sure the model manager has an instance manager
+        if(!_.has(modelManager, '_instanceManager'))
+            return;
+
+        objectCount += modelManager._instanceManager.count();
+        fieldCount += modelManager._instanceManager.countCacheFields();
+    });
+
+    // Set the counts
+    Metrics.registry.set(Metrics.getName('cache_objects'), {type: 'objects'}, objectCount);
+    Metrics.registry.set(Metrics.getName('cache_objects'), {type: 'fields'}, fieldCount);
+};
+
+// Export the class
+module.exports = MetricsUtils;
@@ -190,11 +190,8 @@ StatusUtils.getStatus = function(callback) {
         //status.cache.queryCount += modelManager._instanceManager._queryCount;
         status.cache.objectCount += modelManager._instanceManager.count();
 
-        // Iterate through the objects
-        for(var object of modelManager._instanceManager._instances.values()) {
-            //status.cache.queryCount += object._baseModel._cache._queryCount;
-            status.cache.fieldCount += object._baseModel._cache.getCacheCount();
-        }
+        // Count the cached fields of the objects
+        status.cache.fieldCount += modelManager._instanceManager.countCacheFields();
     }
     //status.cache.queryCount = 123;
 
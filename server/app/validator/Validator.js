@@ -357,5 +357,146 @@ Validator.formatAssignmentDescription = function(assignmentDescription) {
     return assignmentDescription.trim();
 };
 
+/**
+ * Format the given submission feedback.
+ *
+ * @param {string} feedback Submission feedback.
+ *
+ * @return {string|null} The formatted submission feedback, or null if it's empty.
+ */
+Validator.formatSubmissionFeedback = function(feedback) {
+    // Trim the feedback, and return null if it's empty
+    feedback = feedback.trim();
+    return feedback.length > 0 ? feedback : null;
+};
+
+/**
+ * Check whether the given submission feedback is valid.
+ * Empty feedback is valid, as giving feedback is optional.
+ *
+ * @param {string} feedback Submission feedback.
+ *
+ * @return {boolean} True if the feedback is valid, false if not.
+ */
+Validator.isValidSubmissionFeedback = function(feedback) {
+    // Make sure the feedback is a string
+    if(!_.isString(feedback))
+        return false;
+
+    // Make sure the length is within bounds
+    return feedback.trim().length <= config.validation.submissionFeedbackMaxLength;
+};
+
+/**
+ * Format the the given team name.
+ *
+ * @param {string} teamName Team name.
+ *
+ * @return {string} The formatted team name.
+ */
+Validator.formatTeamName = function(teamName) {
+    // Trim the team name, and return
+    return teamName.trim();
+};
+
+/**
+ * Check whether the given team name is valid.
+ *
+ * @param {string} teamName Team name.
+ *
+ * @return {boolean} True if the team name is valid, false if not.
+ */
+Validator.isValidTeamName = function(teamName) {
+    // Make sure the team name isn't undefined or null
+    if(teamName === undefined || teamName === null)
+        return false;
+
+    // Trim the team name
+    teamName = teamName.trim();
+
+    // Count the number of characters
+    const charCount = teamName.length;
+
+    // Make sure the length is within bounds
+    return (charCount >= config.validation.teamNameMinLength && charCount <= config.validation.teamNameMaxLength);
+};
+
+/**
+ * Format the given team color.
+ *
+ * @param {string} teamColor Team color, as hexadecimal color code.
+ *
+ * @return {string} The formatted team color.
+ */
+Validator.formatTeamColor = function(teamColor) {
+    // Trim the color, and make it lowercase
+    return teamColor.trim().toLowerCase();
+};
+
+/**
+ * Check whether the given team color is valid.
+ * The color must be a hexadecimal color code, such as #ff0000.
+ *
+ * @param {string} teamColor Team color.
+ *
+ * @return {boolean} True if the team color is valid, false if not.
+ */
+Validator.isValidTeamColor = function(teamColor) {
+    return _.isString(teamColor) && /^#[0-9a-f]{6}$/i.test(teamColor.trim());
+};
+
+/**
+ * Regular expression for date and time values, formatted as YYYY-MM-DD HH:MM.
+ * A T may be used as separator as well, as sent by date and time input fields.
+ *
+ * @type {RegExp}
+ */
+const DATE_TIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})$/;
+
+/**
+ * Parse the given date and time, in the local time zone of the server.
+ * This doesn't validate the value, validation must be done through the {@code Validator.isValidDateTime} function.
+ *
+ * @param {string} dateTime Date and time value, formatted as YYYY-MM-DD HH:MM.
+ *
+ * @return {Date} The parsed date.
+ */
+Validator.parseDateTime = function(dateTime) {
+    var parts = DATE_TIME_REGEX.exec(dateTime.trim()).slice(1).map((part) => parseInt(part, 10));
+    return new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4]);
+};
+
+/**
+ * Check whether the given date and time is valid.
+ *
+ * @param {string} dateTime Date and time value, formatted as YYYY-MM-DD HH:MM.
+ *
+ * @return {boolean} True if the date and time is valid, false if not.
+ */
+Validator.isValidDateTime = function(dateTime) {
+    // Make sure the value is a string that matches the regex
+    if(!_.isString(dateTime) || !DATE_TIME_REGEX.test(dateTime.trim()))
+        return false;
+
+    // Parse the date, and make sure no part overflowed, which happens for dates such as February 30th
+    var parts = DATE_TIME_REGEX.exec(dateTime.trim()).slice(1).map((part) => parseInt(part, 10));
+    var date = Validator.parseDateTime(dateTime);
+    return date.getFullYear() === parts[0] && date.getMonth() === parts[1] - 1 && date.getDate() === parts[2] &&
+        date.getHours() === parts[3] && date.getMinutes() === parts[4];
+};
+
+/**
+ * Format the given date and time, to use it as value for a date and time input field.
+ *
+ * @param {Date} date Date.
+ *
+ * @return {string} Date and time formatted as YYYY-MM-DDTHH:MM in the local time zone of the server.
+ */
+Validator.formatDateTime = function(date) {
+    const pad = (value) => _.padStart(value.toString(), 2, '0');
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + 'T' +
+        pad(date.getHours()) + ':' + pad(date.getMinutes());
+};
+
 // Export the class
 module.exports = Validator;
\ No newline at end of file
@@ -58,10 +58,16 @@ if(cluster.isMaster) {
     console.log('Available CPUs for workers: ' + CPU_COUNT);
 
     // Determine the number of workers
-    const workerCount = config.cluster.maxWorkerCount !== null && config.cluster.maxWorkerCount !== undefined ?
-            workerCount = Math.min(config.cluster.maxWorkerCount, CPU_COUNT) :
+    var workerCount = config.cluster.maxWorkerCount !== null && config.cluster.maxWorkerCount !== undefined ?
+            Math.min(config.cluster.maxWorkerCount, CPU_COUNT) :
             CPU_COUNT;
 
+    // Workers can only share real time packets and live game state when cluster synchronization is enabled
+    if(workerCount > 1 && (!config.redis.enable || !config.cluster.sync)) {
+        console.log('Cluster synchronization through Redis is disabled in config, limiting to a single worker.');
+        workerCount = 1;
+    }
+
     // Show the number of workers to use
     console.log('Using number of workers: ' + workerCount);
 
@@ -33,11 +33,14 @@ config.realtime = {};
 config.cluster = {};
 config.web = {};
 config.upload = {};
+config.storage = {};
+config.media = {};
 config.user = {};
 config.security = {};
 config.session = {};
 config.validation = {};
 config.game = {};
+config.metrics = {};
 config.sentry = {};
 
 
@@ -165,11 +168,28 @@ config.cache.internal.flushInterval = 5 * 60 * 1000;
  * Maximum number of allowed worker threads.
  * Null or undefined to set it to unlimited.
  *
- * Warning: Multiple workers don't seem to work properly yet along with Socket.IO.
+ * Multiple workers require cluster synchronization to be enabled, a single worker is used otherwise.
  *
  * @type {null|number}
  */
-config.cluster.maxWorkerCount = 1;
+config.cluster.maxWorkerCount = null;
+
+/**
+ * Define whether to synchronize real time packets and live game state between workers through Redis pub/sub.
+ * This is required when running multiple workers, or multiple hosts connected to the same Redis server.
+ * Requires Redis to be enabled.
+ *
+ * @type {boolean}
+ */
+config.cluster.sync = true;
+
+/**
+ * Prefix for the Redis pub/sub channels used for cluster synchronization.
+ * Pub/sub channels aren't bound to a Redis database, so this must be unique for each deployment sharing a Redis server.
+ *
+ * @type {string}
+ */
+config.cluster.channelPrefix = 'maris-game:';
 
 
 /******************************************************************************
@@ -231,16 +251,108 @@ config.upload.enabled = true;
 config.upload.maxFileSize = 256 * 1024 * 1024;
 
 /**
- * Path to upload the files to.
+ * Path to upload the files to, when storing them on the local disk.
+ * This directory must not be publicly reachable, files are served through permission checked routes.
+ * @type {string}
+ */
+config.upload.path = __dirname + '/../uploads';
+
+/**
+ * Publicly reachable path uploaded files were stored in by older versions.
+ * Files found here are moved into the storage when the server starts. Set to null to skip this.
+ * @type {string|null}
+ */
+config.upload.legacyPath = __dirname + '/../public/uploads';
+
+
+/******************************************************************************
+ * Storage configuration.                                                     *
+ ******************************************************************************/
+
+/**
+ * Storage backend for uploaded files.
+ * Use 'local' to store files on the local disk in the upload path, or 's3' to store them on S3 compatible object
+ * storage such as MinIO. Use object storage when running cluster workers on multiple hosts.
+ * @type {string}
+ */
+config.storage.type = 'local';
+
+/**
+ * S3 compatible object storage configuration, used with the 's3' storage type.
+ * @type {{endpoint: string, region: string, bucket: string, accessKey: string, secretKey: string}}
+ */
+config.storage.s3 = {
+    endpoint: 'http://127.0.0.1:9000',
+    region: 'us-east-1',
+    bucket: 'maris-uploads',
+    accessKey: '',
+    secretKey: ''
+};
+
+
+/******************************************************************************
+ * Media processing configuration.                                            *
+ ******************************************************************************/
+
+/**
+ * Define whether thumbnails and previews are generated for uploaded images and videos.
+ * Files are processed in a background queue, the original files are always kept.
  * @type {boolean}
  */
-config.upload.path = __dirname + '/../public/uploads';
+config.media.enabled = true;
+
+/**
+ * ImageMagick command, used to process images.
+ * @type {string}
+ */
+config.media.imageCommand = 'convert';
 
 /**
- * Public reachable path.
+ * FFmpeg command, used to grab frames from videos.
  * @type {string}
  */
-config.upload.publicPath = '/public/uploads';
+config.media.videoCommand = 'ffmpeg';
+
+/**
+ * Maximum width and height of thumbnails.
+ * @type {int} Size in pixels.
+ */
+config.media.thumbnailSize = 320;
+
+/**
+ * Maximum width and height of image previews and video posters.
+ * @type {int} Size in pixels.
+ */
+config.media.previewSize = 1600;
+
+/**
+ * Maximum time a single processing command may take, before it's stopped.
+ * @type {int} Time in milliseconds.
+ */
+config.media.timeout = 60 * 1000;
+
+/**
+ * Number of files to process at the same time, on each worker.
+ * @type {int}
+ */
+config.media.concurrency = 1;
+
+/**
+ * Number of times to try to process a file, before giving up.
+ * @type {int}
+ */
+config.media.attempts = 2;
+
+/**
+ * Verification of the metadata of submitted photos, used to flag photos that were probably taken at another place or
+ * time for reviewers. The location tolerance in meters is added to the range of the point, the time tolerance in
+ * minutes is allowed before the start and after the end of the game.
+ * @type {{locationTolerance: Number, timeTolerance: Number}}
+ */
+config.media.verification = {
+    locationTolerance: 100,
+    timeTolerance: 15
+};
 
 
 /******************************************************************************
@@ -314,6 +426,12 @@ config.security.globalSalt = 'mKd5xolXY68AApenCejmgjHsdkVK9dSiUg0m69z4'; // Exam
  */
 config.security.tokenLength = 64;
 
+/**
+ * Length of generated passwords, such as the passwords for players created from a class list.
+ * @type {int}
+ */
+config.security.generatedPasswordLength = 8;
+
 
 /******************************************************************************
  * Session configuration.                                                     *
@@ -343,6 +461,12 @@ config.session.expireUnused = 60 * 60 * 24 * 16;
  */
 config.session.cookieName = 'session_token';
 
+/**
+ * Number of seconds a one-time login token, such as the token on a printed QR login card, is valid.
+ * @type {number}
+ */
+config.session.loginTokenExpire = 60 * 60 * 24 * 30;
+
 
 /******************************************************************************
  * Validation configuration.                                                  *
@@ -420,19 +544,57 @@ config.validation.gameNameMinLength = 2;
  */
 config.validation.gameNameMaxLength = 128;
 
+/**
+ * Minimum number of team name characters.
+ * @type {int}
+ */
+config.validation.teamNameMinLength = 1;
+
+/**
+ * Maximum number of team name characters.
+ * @type {int}
+ */
+config.validation.teamNameMaxLength = 64;
+
+/**
+ * Minimum range of a point in meters.
+ * @type {number}
+ */
+config.validation.pointRangeMin = 1;
+
+/**
+ * Maximum range of a point in meters.
+ * @type {number}
+ */
+config.validation.pointRangeMax = 1000;
+
+/**
+ * Maximum number of corners of the play area of a game.
+ * @type {number}
+ */
+config.validation.gameAreaMaxCorners = 100;
+
+/**
+ * Maximum number of characters of the feedback a grader gives on a submission.
+ * @type {int}
+ */
+config.validation.submissionFeedbackMaxLength = 2048;
+
 
 /******************************************************************************
  * Game configuration.                                                        *
  ******************************************************************************/
 
 /**
- * The range of a point in a game as radius from the center in meters.
+ * The default range of a point in a game as radius from the center in meters.
+ * The range may be configured for each game, and overridden for each point.
  * @type {number}
  */
 config.game.pointRange = 12;
 
 /**
- * The range of a point in a game as radius from the center in meters when the point is active.
+ * The default range of a point in a game as radius from the center in meters when the point is active.
+ * The range may be configured for each game, and overridden for each point.
  * @type {number}
  */
 config.game.pointRangeActive = 20;
@@ -451,12 +613,43 @@ config.game.pointAssignmentCount = 2;
  */
 config.game.pointMinClean = 3;
 
+/**
+ * Time in milliseconds a check-in at a point, by scanning its QR code or entering its code, is valid.
+ * @type {number}
+ */
+config.game.checkInDuration = 15 * 60 * 1000;
+
+/**
+ * Length of generated point check-in codes.
+ * @type {int}
+ */
+config.game.checkInCodeLength = 6;
+
 /**
  * Location decay time in milliseconds.
  * @type {number}
  */
 config.game.locationDecayTime = 30 * 1000;
 
+/**
+ * Minimum time in milliseconds between two recorded locations of a user, in games that record a location history.
+ * @type {number}
+ */
+config.game.locationHistoryInterval = 10 * 1000;
+
+/**
+ * Time in milliseconds after the last location update a player is shown as offline on the manager dashboard.
+ * Players are shown as idle between the location decay time and this time.
+ * @type {number}
+ */
+config.game.playerOfflineTime = 5 * 60 * 1000;
+
+/**
+ * Interval in milliseconds the manager dashboard is refreshed at, to update player locations and activity.
+ * @type {number}
+ */
+config.game.dashboardRefreshInterval = 15 * 1000;
+
 /**
  * Update interval in milliseconds to send new location updates.
  * @type {number}
@@ -476,6 +669,83 @@ config.game.locationUpdateInterval = 60 * 1000;
  */
 config.game.spreadTicks = true;
 
+/**
+ * Interval in milliseconds to run game ticks at.
+ * Game ticks enforce game schedules, a game is started or finished at most this long after its scheduled time.
+ *
+ * @type {number}
+ */
+config.game.tickInterval = 5 * 1000;
+
+/**
+ * Interval in milliseconds to check for scheduled broadcasts at.
+ * A scheduled broadcast is sent at most this long after it's due.
+ *
+ * @type {number}
+ */
+config.game.broadcastInterval = 15 * 1000;
+
+/**
+ * Maximum age in milliseconds of submissions and locations a client queued while it was offline.
+ * Older queued data is dropped when the client replays it after reconnecting.
+ *
+ * @type {number}
+ */
+config.game.offlineMaxAge = 12 * 60 * 60 * 1000;
+
+/**
+ * Time in milliseconds the clock of a client may run ahead of the server clock.
+ * Queued data with a time further in the future is rejected.
+ *
+ * @type {number}
+ */
+config.game.offlineClockTolerance = 60 * 1000;
+
+/**
+ * Maximum size in bytes of an unpacked game archive, including the uploaded files it contains.
+ * Archives are built as a single document in memory, this must stay well below the maximum string length of Node.
+ *
+ * @type {number}
+ */
+config.game.archiveMaxSize = 256 * 1024 * 1024;
+
+/**
+ * Minimum time in milliseconds between two locations in the location trail the server keeps of each user.
+ * Answers made while being offline are only accepted if a location in this trail was in range of the point.
+ *
+ * @type {number}
+ */
+config.game.offlineTrailInterval = 5 * 1000;
+
+
+/******************************************************************************
+ * Metrics configuration.                                                     *
+ ******************************************************************************/
+
+/**
+ * Define whether the Prometheus metrics endpoint at /metrics is enabled.
+ * A token must be configured as well.
+ *
+ * @type {boolean}
+ */
+config.metrics.enable = false;
+
+/**
+ * Token required to fetch the metrics, as bearer token or as token query parameter.
+ * The metrics can't be fetched if no token is configured.
+ *
+ * @type {string|undefined}
+ */
+config.metrics.token = undefined;
+
+/**
+ * Time in milliseconds to wait for the metrics of other workers, which are requested through Redis pub/sub.
+ * Each request to the metrics endpoint reports the metrics of all workers that respond in time.
+ *
+ * @type {number}
+ */
+config.metrics.workerTimeout = 1000;
+
 
 /******************************************************************************
  * Sentry error monitoring configuration.                                     *
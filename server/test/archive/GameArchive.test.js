@@ -0,0 +1,254 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const beforeEach = mocha.beforeEach;
+const afterEach = mocha.afterEach;
+const assert = require('chai').assert;
+
+const zlib = require('zlib');
+
+const config = require('../../config');
+const GameArchive = require('../../app/archive/GameArchive');
+
+/**
+ * Create an archive with some sample content.
+ *
+ * @return {Object} Archive object.
+ */
+function createSampleArchive() {
+    const archive = GameArchive.create();
+    archive.game.name = 'Stadstour';
+    archive.game.route_mode = true;
+    archive.game.point_range = {range: 20, active: null};
+    archive.game.area = [
+        {latitude: 52.0, longitude: 5.0},
+        {latitude: 52.0, longitude: 5.3},
+        {latitude: 52.3, longitude: 5.3}
+    ];
+    archive.points.push({id: 'p1', name: 'Markt', location: {latitude: 52.1, longitude: 5.1}, required_points: []});
+    archive.points.push({
+        id: 'p2',
+        name: 'Dom',
+        location: {latitude: 52.2, longitude: 5.2},
+        required_points: ['p1'],
+        range: {range: 30, active: 40},
+        check_in: {method: 'either', code: 'K7M2QX'}
+    });
+    archive.assignments.push({
+        id: 'a1',
+        name: 'Toren',
+        description: 'Hoe hoog is de toren?',
+        answer_text: true,
+        answer_file: false,
+        points: 2,
+        retry: true,
+        max_attempts: 2,
+        answer_type: 3,
+        answer_config: {value: 112, tolerance: 1}
+    });
+    archive.users.push({username: 'speler', participant: true, spectator: false});
+    archive.submissions.push({
+        assignment: 'a1',
+        user: 'speler',
+        approve_user: null,
+        approve_state: 1,
+        answer_text: '112',
+        answer_file: null,
+        feedback: 'Goed gedaan!',
+        awarded_points: 1,
+        revisions: [{
+            answer_text: '100',
+            answer_file: null,
+            approve_state: 2,
+            feedback: 'Bijna!',
+            awarded_points: null,
+            date: '2017-06-01T12:00:00.000Z'
+        }]
+    });
+    return archive;
+}
+
+// Game archive module
+describe('archive.GameArchive', function() {
+    // validate function
+    describe('validate', function() {
+        // Valid archives
+        it('Valid archives', function () {
+            assert.isNull(GameArchive.validate(GameArchive.create()));
+            assert.isNull(GameArchive.validate(createSampleArchive()));
+
+            // Archives of older versions don't have attempts and revisions
+            const archive = createSampleArchive();
+            delete archive.assignments[0].max_attempts;
+            delete archive.submissions[0].revisions;
+            assert.isNull(GameArchive.validate(archive));
+        });
+
+        // Invalid format
+        it('Invalid format', function () {
+            assert.isString(GameArchive.validate(null));
+            assert.isString(GameArchive.validate({format: 'other'}));
+
+            const archive = createSampleArchive();
+            archive.version = GameArchive.VERSION + 1;
+            assert.isString(GameArchive.validate(archive));
+        });
+
+        // Invalid content
+        it('Invalid content', function () {
+            var archive = createSampleArchive();
+            archive.points[0].location.latitude = 'noord';
+            assert.isString(GameArchive.validate(archive));
+
+            archive = createSampleArchive();
+            archive.assignments[0].answer_config = null;
+            assert.isString(GameArchive.validate(archive));
+
+            archive = createSampleArchive();
+            archive.submissions[0].assignment = 'unknown';
+            assert.isString(GameArchive.validate(archive));
+
+            archive = createSampleArchive();
+            archive.points[1].required_points = ['unknown'];
+            assert.isString(GameArchive.validate(archive));
+
+            archive = createSampleArchive();
+            archive.points[1].range = {range: 40, active: 30};
+            assert.isString(GameArchive.validate(archive));
+
+            archive = createSampleArchive();
+            archive.game.point_range = {range: 'ver', active: null};
+            assert.isString(GameArchive.validate(archive));
+
+            archive = createSampleArchive();
+            archive.game.area = archive.game.area.slice(0, 2);
+            assert.isString(GameArchive.validate(archive));
+
+            archive = createSampleArchive();
+            archive.points[1].check_in = {method: 'nfc', code: null};
+            assert.isString(GameArchive.validate(archive));
+
+            archive = createSampleArchive();
+            archive.submissions[0].awarded_points = -1;
+            assert.isString(GameArchive.validate(archive));
+
+            archive = createSampleArchive();
+            archive.assignments[0].max_attempts = 0;
+            assert.isString(GameArchive.validate(archive));
+
+            archive = createSampleArchive();
+            archive.submissions[0].revisions[0].date = 'gisteren';
+            assert.isString(GameArchive.validate(archive));
+        });
+    });
+
+    // pack and unpack functions
+    describe('pack', function() {
+        // Round trip
+        it('Round trip', function (done) {
+            const archive = createSampleArchive();
+            GameArchive.pack(archive, function(err, data) {
+                assert.isNull(err);
+                assert.instanceOf(data, Buffer);
+
+                GameArchive.unpack(data, function(err, result) {
+                    assert.isNull(err);
+                    assert.deepEqual(result, archive);
+                    done();
+                });
+            });
+        });
+
+        // Unpack invalid data
+        it('Unpack invalid data', function (done) {
+            GameArchive.unpack(Buffer.from('not an archive'), function(err) {
+                assert.instanceOf(err, Error);
+                done();
+            });
+        });
+
+        // Unpack an invalid archive
+        it('Unpack an invalid archive', function (done) {
+            GameArchive.unpack(zlib.gzipSync(JSON.stringify({format: 'other'})), function(err) {
+                assert.instanceOf(err, Error);
+                done();
+            });
+        });
+    });
+
+    // Size limits of archives
+    describe('size limit', function() {
+        const maxSize = config.game.archiveMaxSize;
+
+        beforeEach(function() {
+            config.game.archiveMaxSize = 1024;
+        });
+
+        afterEach(function() {
+            config.game.archiveMaxSize = maxSize;
+        });
+
+        // Add files
+        it('Add files', function () {
+            const archive = createSampleArchive();
+            archive.files = {};
+            assert.isTrue(GameArchive.addFile(archive, 'a', Buffer.alloc(600)));
+            assert.strictEqual(archive.files.a, Buffer.alloc(600).toString('base64'));
+            assert.isFalse(GameArchive.addFile(archive, 'b', Buffer.alloc(300)));
+            assert.notProperty(archive.files, 'b');
+        });
+
+        // Pack a large archive
+        it('Pack a large archive', function (done) {
+            const archive = createSampleArchive();
+            archive.files = {a: 'a'.repeat(2048)};
+            GameArchive.pack(archive, function(err) {
+                assert.instanceOf(err, Error);
+                assert.strictEqual(err.status, GameArchive.STATUS_TOO_LARGE);
+                done();
+            });
+        });
+
+        // Unpack a large archive
+        it('Unpack a large archive', function (done) {
+            const archive = createSampleArchive();
+            archive.files = {a: 'a'.repeat(2048)};
+            GameArchive.unpack(zlib.gzipSync(JSON.stringify(archive)), function(err) {
+                assert.instanceOf(err, Error);
+                assert.strictEqual(err.status, GameArchive.STATUS_TOO_LARGE);
+                done();
+            });
+        });
+    });
+
+    // getFileName function
+    describe('getFileName', function() {
+        // File names
+        it('File names', function () {
+            assert.equal(GameArchive.getFileName('Stadstour Utrecht 2017'), 'Stadstour-Utrecht-2017.' + GameArchive.FILE_EXTENSION);
+            assert.equal(GameArchive.getFileName(' ??? '), 'spel.' + GameArchive.FILE_EXTENSION);
+        });
+    });
+});
@@ -0,0 +1,176 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const Coordinate = require('../../app/coordinate/Coordinate');
+const PointFile = require('../../app/coordinate/PointFile');
+
+/**
+ * List of sample points.
+ *
+ * @type {Array}
+ */
+const SAMPLE_POINTS = [
+    {name: 'Markt & Kerk', location: new Coordinate({latitude: 52.0907, longitude: 5.1214})},
+    {name: 'Station', location: new Coordinate({latitude: 52.0894, longitude: 5.1101})}
+];
+
+describe('coordinate.PointFile', function() {
+    describe('detectFormat', function() {
+        it('File extension', function() {
+            assert.strictEqual(PointFile.detectFormat('route.GPX', ''), PointFile.FORMAT_GPX);
+            assert.strictEqual(PointFile.detectFormat('punten.geojson', ''), PointFile.FORMAT_GEOJSON);
+            assert.strictEqual(PointFile.detectFormat('punten.json', ''), PointFile.FORMAT_GEOJSON);
+            assert.strictEqual(PointFile.detectFormat('kaart.kml', ''), PointFile.FORMAT_KML);
+        });
+
+        it('File contents', function() {
+            assert.strictEqual(PointFile.detectFormat('bestand', '<?xml version="1.0"?><gpx version="1.1"></gpx>'), PointFile.FORMAT_GPX);
+            assert.strictEqual(PointFile.detectFormat('bestand', ' {"type": "FeatureCollection"}'), PointFile.FORMAT_GEOJSON);
+            assert.strictEqual(PointFile.detectFormat('bestand', '<kml xmlns="http://www.opengis.net/kml/2.2"></kml>'), PointFile.FORMAT_KML);
+            assert.isNull(PointFile.detectFormat('bestand.txt', 'Hallo'));
+        });
+    });
+
+    describe('parse', function() {
+        it('GPX waypoints and route points', function() {
+            const result = PointFile.parse('<?xml version="1.0"?>\n' +
+                '<gpx version="1.1">\n' +
+                '  <wpt lat="52.0907" lon="5.1214"><name>Markt &amp; Kerk</name></wpt>\n' +
+                '  <rte><rtept lon=\'5.1101\' lat=\'52.0894\'><name><![CDATA[Station <Centraal>]]></name></rtept></rte>\n' +
+                '  <wpt lat="52.1" lon="5.2"/>\n' +
+                '</gpx>', PointFile.FORMAT_GPX);
+
+            assert.strictEqual(result.invalid, 0);
+            assert.lengthOf(result.points, 3);
+            assert.strictEqual(result.points[0].name, 'Markt & Kerk');
+            assert.strictEqual(result.points[0].location.latitude, 52.0907);
+            assert.strictEqual(result.points[0].location.longitude, 5.1214);
+            assert.strictEqual(result.points[1].name, 'Station <Centraal>');
+            assert.strictEqual(result.points[2].name, 'Punt 3');
+        });
+
+        it('Numeric character references', function() {
+            const result = PointFile.parse('<gpx>\n' +
+                '  <wpt lat="52.1" lon="5.1"><name>Caf&#233; &#x1F600;</name></wpt>\n' +
+                '  <wpt lat="52.2" lon="5.2"><name>Punt &#xD800; &#1114112;</name></wpt>\n' +
+                '</gpx>', PointFile.FORMAT_GPX);
+
+            assert.lengthOf(result.points, 2);
+            assert.strictEqual(result.points[0].name, 'Caf\u00E9 \uD83D\uDE00');
+            assert.strictEqual(result.points[1].name, 'Punt &#xD800; &#1114112;');
+        });
+
+        it('KML placemarks', function() {
+            const result = PointFile.parse('<kml><Document><name>Tour</name>\n' +
+                '  <Placemark><name>Markt</name><Point><coordinates> 5.1214,52.0907,0 </coordinates></Point></Placemark>\n' +
+                '  <Placemark><name>Lijn</name><LineString><coordinates>5.1,52.1 5.2,52.2</coordinates></LineString></Placemark>\n' +
+                '</Document></kml>', PointFile.FORMAT_KML);
+
+            assert.strictEqual(result.invalid, 0);
+            assert.lengthOf(result.points, 1);
+            assert.strictEqual(result.points[0].name, 'Markt');
+            assert.strictEqual(result.points[0].location.latitude, 52.0907);
+            assert.strictEqual(result.points[0].location.longitude, 5.1214);
+        });
+
+        it('GeoJSON point features', function() {
+            const result = PointFile.parse(JSON.stringify({
+                type: 'FeatureCollection',
+                features: [
+                    {type: 'Feature', properties: {name: 'Markt'}, geometry: {type: 'Point', coordinates: [5.1214, 52.0907]}},
+                    {type: 'Feature', properties: {title: 'Halte'}, geometry: {type: 'MultiPoint', coordinates: [[5.1, 52.1], [5.2, 52.2]]}},
+                    {type: 'Feature', properties: {}, geometry: {type: 'LineString', coordinates: [[5.1, 52.1], [5.2, 52.2]]}}
+                ]
+            }), PointFile.FORMAT_GEOJSON);
+
+            assert.strictEqual(result.invalid, 0);
+            assert.lengthOf(result.points, 3);
+            assert.strictEqual(result.points[0].name, 'Markt');
+            assert.strictEqual(result.points[0].location.longitude, 5.1214);
+            assert.strictEqual(result.points[1].name, 'Halte');
+            assert.strictEqual(result.points[2].location.latitude, 52.2);
+        });
+
+        it('Invalid locations', function() {
+            const result = PointFile.parse('<gpx>' +
+                '<wpt lat="95" lon="5"><name>Te noordelijk</name></wpt>' +
+                '<wpt lat="52" lon="abc"><name>Geen getal</name></wpt>' +
+                '<wpt lon="5"><name>Geen latitude</name></wpt>' +
+                '<wpt lat="52" lon="5"><name>Goed</name></wpt>' +
+                '</gpx>', PointFile.FORMAT_GPX);
+
+            assert.strictEqual(result.invalid, 3);
+            assert.lengthOf(result.points, 1);
+            assert.strictEqual(result.points[0].name, 'Goed');
+        });
+
+        it('Unclosed elements', function() {
+            // Elements that aren't closed are skipped, without scanning the rest of the file for each of them
+            const gpx = PointFile.parse('<gpx>' + '<wpt lat="52" lon="5"><name>'.repeat(50000) +
+                '<wpt lat="52" lon="5"/></gpx>', PointFile.FORMAT_GPX);
+            assert.lengthOf(gpx.points, 1);
+
+            const kml = PointFile.parse('<kml>' + '<Placemark><Point><coordinates>5,52'.repeat(50000) + '</kml>',
+                PointFile.FORMAT_KML);
+            assert.lengthOf(kml.points, 0);
+        });
+
+        it('Invalid files', function() {
+            assert.isNull(PointFile.parse('{niet json', PointFile.FORMAT_GEOJSON));
+            assert.isNull(PointFile.parse('{"type": "Point"}', PointFile.FORMAT_GEOJSON));
+            assert.isNull(PointFile.parse('<html></html>', PointFile.FORMAT_GPX));
+            assert.isNull(PointFile.parse('<gpx></gpx>', 'csv'));
+        });
+    });
+
+    describe('write', function() {
+        it('Round trip', function() {
+            PointFile.FORMATS.forEach(function(format) {
+                const result = PointFile.parse(PointFile.write(SAMPLE_POINTS, format, 'Tour'), format);
+
+                assert.strictEqual(result.invalid, 0, format);
+                assert.lengthOf(result.points, SAMPLE_POINTS.length, format);
+                result.points.forEach(function(point, i) {
+                    assert.strictEqual(point.name, SAMPLE_POINTS[i].name, format);
+                    assert.strictEqual(point.location.latitude, SAMPLE_POINTS[i].location.latitude, format);
+                    assert.strictEqual(point.location.longitude, SAMPLE_POINTS[i].location.longitude, format);
+                });
+            });
+        });
+
+        it('Unsupported format', function() {
+            assert.isNull(PointFile.write(SAMPLE_POINTS, 'csv', 'Tour'));
+        });
+    });
+
+    describe('getFileName', function() {
+        it('File names', function() {
+            assert.strictEqual(PointFile.getFileName('Tour door Utrecht!', 'kml'), 'Tour-door-Utrecht.kml');
+            assert.strictEqual(PointFile.getFileName(' ?? ', 'gpx'), 'punten.gpx');
+        });
+    });
+});
@@ -0,0 +1,47 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const LiveSync = require('../../app/live/LiveSync');
+
+// Live state synchronization module
+describe('live.LiveSync', function() {
+    // Applying changes
+    describe('apply', function() {
+        it('Rejects invalid changes', function() {
+            [null, {}, {type: LiveSync.USER_LOCATION}, {type: LiveSync.USER_LOCATION, game: 'abc'}].forEach(function(data) {
+                LiveSync.apply(data, (err) => assert.instanceOf(err, Error));
+            });
+        });
+    });
+
+    // Publishing changes
+    describe('publish', function() {
+        it('Doesn\'t publish when not connected', function() {
+            assert.isFalse(LiveSync.publish(LiveSync.POINT_RANGE, {game: '0123456789abcdef01234567'}));
+        });
+    });
+});
@@ -0,0 +1,103 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const Coordinate = require('../../../app/coordinate/Coordinate');
+const BroadcastTarget = require('../../../app/live/broadcast/BroadcastTarget');
+
+describe('live.broadcast.BroadcastTarget', function() {
+    const userA = '000000000000000000000001';
+    const userB = '000000000000000000000002';
+    const userC = '000000000000000000000003';
+    const teamA = '0000000000000000000000aa';
+    const point = '0000000000000000000000ff';
+
+    describe('validate', function() {
+        it('Valid targets', function() {
+            assert.isNull(BroadcastTarget.validate({type: 'all'}));
+            assert.isNull(BroadcastTarget.validate({type: 'users', ids: [userA, userB]}));
+            assert.isNull(BroadcastTarget.validate({type: 'teams', ids: [teamA]}));
+            assert.isNull(BroadcastTarget.validate({type: 'point', ids: [point], range: 50}));
+        });
+
+        it('Invalid targets', function() {
+            assert.isString(BroadcastTarget.validate({type: 'everyone'}));
+            assert.isString(BroadcastTarget.validate({type: 'users', ids: []}));
+            assert.isString(BroadcastTarget.validate({type: 'users', ids: ['invalid']}));
+            assert.isString(BroadcastTarget.validate({type: 'teams', ids: []}));
+            assert.isString(BroadcastTarget.validate({type: 'point', ids: [point, point], range: 50}));
+            assert.isString(BroadcastTarget.validate({type: 'point', ids: [point], range: 0}));
+        });
+    });
+
+    describe('selectUserIds', function() {
+        const userIds = [userA, userB, userC];
+        const teams = {};
+        teams[userA] = teamA;
+        teams[userC] = teamA;
+
+        it('All users', function() {
+            assert.deepEqual(BroadcastTarget.selectUserIds({type: 'all'}, userIds, teams), userIds);
+        });
+
+        it('Specific users', function() {
+            assert.deepEqual(BroadcastTarget.selectUserIds({type: 'users', ids: [userB]}, userIds, teams), [userB]);
+        });
+
+        it('Users in teams', function() {
+            assert.deepEqual(BroadcastTarget.selectUserIds({type: 'teams', ids: [teamA.toUpperCase()]}, userIds, teams), [userA, userC]);
+        });
+
+        it('Users near a point are not selected', function() {
+            assert.deepEqual(BroadcastTarget.selectUserIds({type: 'point', ids: [point], range: 50}, userIds, teams), []);
+        });
+    });
+
+    describe('isNearPoint', function() {
+        const target = {type: 'point', ids: [point], range: 50};
+        const pointLocation = new Coordinate({latitude: 52.0, longitude: 5.0});
+
+        it('Users within range', function() {
+            assert.isTrue(BroadcastTarget.isNearPoint(target, new Coordinate({latitude: 52.0002, longitude: 5.0}), pointLocation));
+        });
+
+        it('Users out of range or without a location', function() {
+            assert.isFalse(BroadcastTarget.isNearPoint(target, new Coordinate({latitude: 52.01, longitude: 5.0}), pointLocation));
+            assert.isFalse(BroadcastTarget.isNearPoint(target, null, pointLocation));
+        });
+    });
+
+    describe('describe', function() {
+        it('Describes each type with names', function() {
+            const names = {};
+            names[userA] = 'Anna';
+            names[point] = 'Kerk';
+            assert.strictEqual(BroadcastTarget.describe({type: 'all'}, names), 'Alle spelers');
+            assert.strictEqual(BroadcastTarget.describe({type: 'users', ids: [userA, userB]}, names), 'Spelers: Anna, ?');
+            assert.strictEqual(BroadcastTarget.describe({type: 'point', ids: [point], range: 50}, names), 'Binnen 50 meter van Kerk');
+        });
+    });
+});
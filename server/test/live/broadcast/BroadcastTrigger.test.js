@@ -0,0 +1,94 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const BroadcastTrigger = require('../../../app/live/broadcast/BroadcastTrigger');
+
+describe('live.broadcast.BroadcastTrigger', function() {
+    const minute = 60 * 1000;
+    const started = new Date(Date.UTC(2017, 5, 1, 12, 0, 0));
+    const schedule = {
+        start: null,
+        end: null,
+        duration: 60,
+        started
+    };
+
+    describe('validate', function() {
+        it('Valid triggers', function() {
+            assert.isNull(BroadcastTrigger.validate({type: 'now', time: new Date()}));
+            assert.isNull(BroadcastTrigger.validate({type: 'time', time: started}));
+            assert.isNull(BroadcastTrigger.validate({type: 'start', offset: 0}));
+            assert.isNull(BroadcastTrigger.validate({type: 'end', offset: 10}));
+        });
+
+        it('Invalid triggers', function() {
+            assert.isString(BroadcastTrigger.validate({type: 'later'}));
+            assert.isString(BroadcastTrigger.validate({type: 'time', time: null}));
+            assert.isString(BroadcastTrigger.validate({type: 'start', offset: -1}));
+            assert.isString(BroadcastTrigger.validate({type: 'end', offset: NaN}));
+        });
+    });
+
+    describe('getDueDate', function() {
+        it('Time triggers', function() {
+            assert.strictEqual(BroadcastTrigger.getDueDate({type: 'time', time: started}, 0, schedule), started);
+        });
+
+        it('Start triggers', function() {
+            const trigger = {type: 'start', offset: 5};
+            assert.strictEqual(BroadcastTrigger.getDueDate(trigger, 1, schedule).getTime(), started.getTime() + 5 * minute);
+            assert.isNull(BroadcastTrigger.getDueDate(trigger, 0, schedule));
+            assert.isNull(BroadcastTrigger.getDueDate(trigger, 2, schedule));
+        });
+
+        it('End triggers', function() {
+            const trigger = {type: 'end', offset: 10};
+            assert.strictEqual(BroadcastTrigger.getDueDate(trigger, 1, schedule).getTime(), started.getTime() + 50 * minute);
+            assert.isNull(BroadcastTrigger.getDueDate(trigger, 1, {start: null, end: null, duration: null, started}));
+            assert.isNull(BroadcastTrigger.getDueDate(trigger, 2, schedule));
+        });
+    });
+
+    describe('isDue', function() {
+        it('Due once the date has passed', function() {
+            const trigger = {type: 'end', offset: 10};
+            assert.isFalse(BroadcastTrigger.isDue(trigger, 1, schedule, new Date(started.getTime() + 49 * minute)));
+            assert.isTrue(BroadcastTrigger.isDue(trigger, 1, schedule, new Date(started.getTime() + 50 * minute)));
+            assert.isFalse(BroadcastTrigger.isDue(trigger, 2, schedule, new Date(started.getTime() + 55 * minute)));
+        });
+    });
+
+    describe('describe', function() {
+        it('Describes each type', function() {
+            const format = () => 'DATE';
+            assert.strictEqual(BroadcastTrigger.describe({type: 'now'}, format), 'Direct');
+            assert.strictEqual(BroadcastTrigger.describe({type: 'time', time: started}, format), 'Op DATE');
+            assert.strictEqual(BroadcastTrigger.describe({type: 'start', offset: 0}, format), 'Bij de start');
+            assert.strictEqual(BroadcastTrigger.describe({type: 'end', offset: 10}, format), '10 minuten voor het einde');
+        });
+    });
+});
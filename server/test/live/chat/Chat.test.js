@@ -0,0 +1,95 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const beforeEach = mocha.beforeEach;
+const afterEach = mocha.afterEach;
+const assert = require('chai').assert;
+
+const mongo = require('mongodb');
+const ObjectId = mongo.ObjectId;
+
+const Core = require('../../../Core');
+const Chat = require('../../../app/live/chat/Chat');
+
+/**
+ * Create an in-memory user.
+ *
+ * @return {Object} User.
+ */
+function createUser() {
+    const id = new ObjectId();
+    return {
+        getId: () => id
+    };
+}
+
+describe('live.chat.Chat', function() {
+    describe('isTeamSubmission', function() {
+        const game = {};
+        const player = createUser();
+        const teamMate = createUser();
+        const other = createUser();
+
+        var gameUserModelManager;
+
+        beforeEach(function() {
+            // Put the player and the team mate in the same team
+            gameUserModelManager = Core.model.gameUserModelManager;
+            Core.model.gameUserModelManager = {
+                getTeamUsers: (game, user, callback) => callback(null, [player, teamMate])
+            };
+        });
+
+        afterEach(function() {
+            Core.model.gameUserModelManager = gameUserModelManager;
+        });
+
+        const check = function(submitter, expected, done) {
+            Chat.isTeamSubmission(game, player, {
+                getUser: (callback) => callback(null, submitter)
+            }, function(err, result) {
+                assert.isNull(err);
+                assert.strictEqual(result, expected);
+                done();
+            });
+        };
+
+        it('Submission of the player', function(done) {
+            check(player, true, done);
+        });
+
+        it('Submission of a team mate', function(done) {
+            check(teamMate, true, done);
+        });
+
+        it('Submission of another player', function(done) {
+            check(other, false, done);
+        });
+
+        it('Submission without a user', function(done) {
+            check(null, false, done);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const ObjectId = require('mongodb').ObjectId;
+
+const ChatThread = require('../../../app/live/chat/ChatThread');
+
+describe('live.chat.ChatThread', function() {
+    const playerA = new ObjectId('000000000000000000000001');
+    const playerB = new ObjectId('000000000000000000000002');
+    const manager = new ObjectId('0000000000000000000000aa');
+
+    /**
+     * Create a message.
+     *
+     * @param {ObjectId} user Player of the thread.
+     * @param {boolean} fromManager True if sent by a manager.
+     * @param {Number} time Time the message was sent at.
+     * @param {boolean} read True if the message was read by the other side.
+     *
+     * @return {Object} Message.
+     */
+    function createMessage(user, fromManager, time, read) {
+        return {
+            id: new ObjectId().toString(),
+            user,
+            sender: fromManager ? manager : user,
+            fromManager,
+            message: 'Bericht',
+            assignment: null,
+            submission: null,
+            date: new Date(time),
+            readDate: read ? new Date(time + 1000) : null
+        };
+    }
+
+    describe('formatMessage', function() {
+        it('Trim messages', function() {
+            assert.strictEqual(ChatThread.formatMessage('  Hallo  '), 'Hallo');
+        });
+
+        it('Reject empty and invalid messages', function() {
+            assert.isNull(ChatThread.formatMessage('   '));
+            assert.isNull(ChatThread.formatMessage(undefined));
+            assert.isNull(ChatThread.formatMessage(42));
+        });
+
+        it('Reject messages that are too long', function() {
+            assert.isNotNull(ChatThread.formatMessage('a'.repeat(ChatThread.MAX_MESSAGE_LENGTH)));
+            assert.isNull(ChatThread.formatMessage('a'.repeat(ChatThread.MAX_MESSAGE_LENGTH + 1)));
+        });
+    });
+
+    describe('countUnread', function() {
+        it('Count the messages of the other side', function() {
+            const messages = [
+                createMessage(playerA, false, 1000, false),
+                createMessage(playerA, false, 2000, true),
+                createMessage(playerA, true, 3000, false)
+            ];
+            assert.strictEqual(ChatThread.countUnread(messages, true), 1);
+            assert.strictEqual(ChatThread.countUnread(messages, false), 1);
+        });
+    });
+
+    describe('summarize', function() {
+        it('Group messages by player', function() {
+            const threads = ChatThread.summarize([
+                createMessage(playerA, false, 1000, true),
+                createMessage(playerB, false, 2000, true),
+                createMessage(playerA, true, 3000, false)
+            ]);
+            assert.lengthOf(threads, 2);
+            assert.strictEqual(threads[0].user, playerA.toString());
+            assert.strictEqual(threads[0].count, 2);
+            assert.strictEqual(threads[0].last.date.getTime(), 3000);
+            assert.strictEqual(threads[0].unread, 0);
+        });
+
+        it('Put threads with unread messages first', function() {
+            const threads = ChatThread.summarize([
+                createMessage(playerA, false, 1000, false),
+                createMessage(playerB, false, 2000, true)
+            ]);
+            assert.deepEqual(threads.map((thread) => thread.user), [playerA.toString(), playerB.toString()]);
+            assert.strictEqual(threads[0].unread, 1);
+        });
+
+        it('Summarize no messages', function() {
+            assert.deepEqual(ChatThread.summarize([]), []);
+        });
+    });
+
+    describe('serialize', function() {
+        it('Serialize a message', function() {
+            const message = createMessage(playerA, true, 1000, true);
+            message.submission = new ObjectId('0000000000000000000000ff');
+
+            const names = {};
+            names[manager.toString()] = 'Beheerder';
+
+            const serialized = ChatThread.serialize(message, names);
+            assert.strictEqual(serialized.user, playerA.toString());
+            assert.strictEqual(serialized.sender, manager.toString());
+            assert.strictEqual(serialized.senderName, 'Beheerder');
+            assert.isTrue(serialized.fromManager);
+            assert.isNull(serialized.assignment);
+            assert.strictEqual(serialized.submission, '0000000000000000000000ff');
+            assert.strictEqual(serialized.date, 1000);
+            assert.isTrue(serialized.read);
+        });
+
+        it('Serialize a message of an unknown sender', function() {
+            assert.strictEqual(ChatThread.serialize(createMessage(playerA, false, 1000, false), {}).senderName, '?');
+        });
+    });
+});
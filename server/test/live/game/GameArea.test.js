@@ -0,0 +1,95 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const config = require('../../../config');
+const GameArea = require('../../../app/live/game/GameArea');
+
+// A square area around the center of Utrecht
+const AREA = [
+    {latitude: 52.08, longitude: 5.10},
+    {latitude: 52.08, longitude: 5.14},
+    {latitude: 52.10, longitude: 5.14},
+    {latitude: 52.10, longitude: 5.10}
+];
+
+describe('live.game.GameArea', function() {
+    describe('parse', function() {
+        it('Empty values', function() {
+            assert.isNull(GameArea.parse(undefined));
+            assert.isNull(GameArea.parse(' '));
+        });
+
+        it('Valid values', function() {
+            const area = GameArea.parse(JSON.stringify(AREA));
+            assert.lengthOf(area, 4);
+            assert.strictEqual(area[2].latitude, 52.10);
+            assert.strictEqual(area[2].longitude, 5.14);
+        });
+
+        it('Invalid values', function() {
+            assert.isUndefined(GameArea.parse('{'));
+            assert.isUndefined(GameArea.parse('{"latitude": 52}'));
+            assert.isUndefined(GameArea.parse('[{"latitude": "52", "longitude": 5}]'));
+        });
+    });
+
+    describe('validate', function() {
+        it('Valid areas', function() {
+            assert.isNull(GameArea.validate(null));
+            assert.isNull(GameArea.validate(AREA));
+        });
+
+        it('Invalid areas', function() {
+            assert.isString(GameArea.validate(undefined));
+            assert.isString(GameArea.validate([{latitude: 91, longitude: 5}].concat(AREA)));
+        });
+
+        it('Number of corners', function() {
+            assert.isString(GameArea.validate(AREA.slice(0, 2)));
+
+            const corners = [];
+            for(var i = 0; i <= config.validation.gameAreaMaxCorners; i++)
+                corners.push({latitude: 52, longitude: i / 1000});
+            assert.isString(GameArea.validate(corners));
+        });
+    });
+
+    describe('contains', function() {
+        it('Without area', function() {
+            assert.isTrue(GameArea.contains(null, {latitude: 0, longitude: 0}));
+        });
+
+        it('Inside', function() {
+            assert.isTrue(GameArea.contains(AREA, {latitude: 52.09, longitude: 5.12}));
+        });
+
+        it('Outside', function() {
+            assert.isFalse(GameArea.contains(AREA, {latitude: 52.11, longitude: 5.12}));
+            assert.isFalse(GameArea.contains(AREA, {latitude: 52.09, longitude: 5.09}));
+        });
+    });
+});
@@ -0,0 +1,131 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const GameSchedule = require('../../../app/live/game/GameSchedule');
+
+/**
+ * Create a schedule, with all properties that aren't given set to null.
+ *
+ * @param {Object} properties Schedule properties.
+ *
+ * @return {Object} Schedule.
+ */
+function createSchedule(properties) {
+    return Object.assign({
+        start: null,
+        end: null,
+        duration: null,
+        started: null
+    }, properties);
+}
+
+// Dates used in the tests
+const START = new Date('2017-06-01T09:00:00Z');
+const END = new Date('2017-06-01T11:00:00Z');
+const BEFORE = new Date('2017-06-01T08:00:00Z');
+const DURING = new Date('2017-06-01T10:00:00Z');
+const AFTER = new Date('2017-06-01T12:00:00Z');
+
+describe('live.game.GameSchedule', function() {
+    describe('validate', function() {
+        it('Valid schedules', function() {
+            assert.isNull(GameSchedule.validate(createSchedule({})));
+            assert.isNull(GameSchedule.validate(createSchedule({start: START, end: END})));
+            assert.isNull(GameSchedule.validate(createSchedule({duration: 30})));
+        });
+
+        it('Invalid schedules', function() {
+            assert.isString(GameSchedule.validate(createSchedule({start: END, end: START})));
+            assert.isString(GameSchedule.validate(createSchedule({start: START, end: START})));
+            assert.isString(GameSchedule.validate(createSchedule({duration: 0})));
+            assert.isString(GameSchedule.validate(createSchedule({duration: 1.5})));
+            assert.isString(GameSchedule.validate(createSchedule({duration: NaN})));
+        });
+    });
+
+    describe('getEndDate', function() {
+        it('No end', function() {
+            assert.isNull(GameSchedule.getEndDate(createSchedule({start: START})));
+            assert.isNull(GameSchedule.getEndDate(createSchedule({duration: 30})));
+        });
+
+        it('Scheduled end', function() {
+            assert.strictEqual(GameSchedule.getEndDate(createSchedule({end: END})).getTime(), END.getTime());
+        });
+
+        it('Duration', function() {
+            assert.strictEqual(GameSchedule.getEndDate(createSchedule({start: START, duration: 30})).getTime(), START.getTime() + 30 * 60 * 1000);
+            assert.strictEqual(GameSchedule.getEndDate(createSchedule({start: START, started: DURING, duration: 30})).getTime(), DURING.getTime() + 30 * 60 * 1000);
+        });
+
+        it('Earliest end', function() {
+            assert.strictEqual(GameSchedule.getEndDate(createSchedule({started: DURING, end: END, duration: 120})).getTime(), END.getTime());
+        });
+    });
+
+    describe('getNextStage', function() {
+        it('Start', function() {
+            const schedule = createSchedule({start: START, end: END});
+            assert.isNull(GameSchedule.getNextStage(0, schedule, BEFORE));
+            assert.strictEqual(GameSchedule.getNextStage(0, schedule, START), 1);
+            assert.strictEqual(GameSchedule.getNextStage(0, schedule, DURING), 1);
+            assert.strictEqual(GameSchedule.getNextStage(0, schedule, AFTER), 2);
+        });
+
+        it('Finish', function() {
+            assert.isNull(GameSchedule.getNextStage(1, createSchedule({end: END}), DURING));
+            assert.strictEqual(GameSchedule.getNextStage(1, createSchedule({end: END}), AFTER), 2);
+            assert.strictEqual(GameSchedule.getNextStage(1, createSchedule({started: START, duration: 30}), DURING), 2);
+            assert.isNull(GameSchedule.getNextStage(1, createSchedule({start: START}), AFTER));
+        });
+
+        it('Unscheduled stages', function() {
+            assert.isNull(GameSchedule.getNextStage(0, createSchedule({end: END}), AFTER));
+            assert.isNull(GameSchedule.getNextStage(2, createSchedule({start: START, end: END}), DURING));
+        });
+    });
+
+    describe('getCountdown', function() {
+        it('Countdown to start', function() {
+            const countdown = GameSchedule.getCountdown(0, createSchedule({start: START, end: END}));
+            assert.strictEqual(countdown.type, 'start');
+            assert.strictEqual(countdown.date.getTime(), START.getTime());
+        });
+
+        it('Countdown to end', function() {
+            const countdown = GameSchedule.getCountdown(1, createSchedule({started: START, duration: 60}));
+            assert.strictEqual(countdown.type, 'end');
+            assert.strictEqual(countdown.date.getTime(), START.getTime() + 60 * 60 * 1000);
+        });
+
+        it('No countdown', function() {
+            assert.isNull(GameSchedule.getCountdown(0, createSchedule({end: END})));
+            assert.isNull(GameSchedule.getCountdown(1, createSchedule({start: START})));
+            assert.isNull(GameSchedule.getCountdown(2, createSchedule({start: START, end: END})));
+        });
+    });
+});
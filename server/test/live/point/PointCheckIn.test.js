@@ -0,0 +1,115 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const config = require('../../../config');
+const PointCheckIn = require('../../../app/live/point/PointCheckIn');
+
+describe('live.point.PointCheckIn', function() {
+    describe('isValidMethod', function() {
+        it('Valid methods', function() {
+            PointCheckIn.METHODS.forEach((method) => assert.isTrue(PointCheckIn.isValidMethod(method)));
+        });
+
+        it('Invalid methods', function() {
+            assert.isFalse(PointCheckIn.isValidMethod('nfc'));
+            assert.isFalse(PointCheckIn.isValidMethod(undefined));
+        });
+    });
+
+    describe('usesCode', function() {
+        it('Only GPS ignores the code', function() {
+            assert.isFalse(PointCheckIn.usesCode(PointCheckIn.METHOD_GPS));
+            assert.isTrue(PointCheckIn.usesCode(PointCheckIn.METHOD_QR));
+            assert.isTrue(PointCheckIn.usesCode(PointCheckIn.METHOD_EITHER));
+            assert.isTrue(PointCheckIn.usesCode(PointCheckIn.METHOD_BOTH));
+        });
+    });
+
+    describe('isAtPoint', function() {
+        it('GPS', function() {
+            assert.isTrue(PointCheckIn.isAtPoint(PointCheckIn.METHOD_GPS, true, false));
+            assert.isFalse(PointCheckIn.isAtPoint(PointCheckIn.METHOD_GPS, false, true));
+        });
+
+        it('QR', function() {
+            assert.isTrue(PointCheckIn.isAtPoint(PointCheckIn.METHOD_QR, false, true));
+            assert.isFalse(PointCheckIn.isAtPoint(PointCheckIn.METHOD_QR, true, false));
+        });
+
+        it('Either', function() {
+            assert.isTrue(PointCheckIn.isAtPoint(PointCheckIn.METHOD_EITHER, true, false));
+            assert.isTrue(PointCheckIn.isAtPoint(PointCheckIn.METHOD_EITHER, false, true));
+            assert.isFalse(PointCheckIn.isAtPoint(PointCheckIn.METHOD_EITHER, false, false));
+        });
+
+        it('Both', function() {
+            assert.isTrue(PointCheckIn.isAtPoint(PointCheckIn.METHOD_BOTH, true, true));
+            assert.isFalse(PointCheckIn.isAtPoint(PointCheckIn.METHOD_BOTH, true, false));
+            assert.isFalse(PointCheckIn.isAtPoint(PointCheckIn.METHOD_BOTH, false, true));
+        });
+    });
+
+    describe('isValidCheckIn', function() {
+        it('Never checked in', function() {
+            assert.isFalse(PointCheckIn.isValidCheckIn(undefined, 1000));
+        });
+
+        it('Recent check-in', function() {
+            assert.isTrue(PointCheckIn.isValidCheckIn(1000, 1000 + config.game.checkInDuration));
+        });
+
+        it('Expired check-in', function() {
+            assert.isFalse(PointCheckIn.isValidCheckIn(1000, 1001 + config.game.checkInDuration));
+        });
+    });
+
+    describe('matchesCode', function() {
+        it('Ignore case, spaces and dashes', function() {
+            assert.isTrue(PointCheckIn.matchesCode('ABC123', ' abc-123 '));
+        });
+
+        it('Different code', function() {
+            assert.isFalse(PointCheckIn.matchesCode('ABC123', 'ABC124'));
+        });
+
+        it('Point without code', function() {
+            assert.isFalse(PointCheckIn.matchesCode(null, ''));
+            assert.isFalse(PointCheckIn.matchesCode('', ''));
+        });
+    });
+
+    describe('generateCode', function() {
+        it('Length', function() {
+            assert.lengthOf(PointCheckIn.generateCode(), config.game.checkInCodeLength);
+        });
+
+        it('Formatted', function() {
+            const code = PointCheckIn.generateCode();
+            assert.strictEqual(PointCheckIn.formatCode(code), code);
+        });
+    });
+});
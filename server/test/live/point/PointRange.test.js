@@ -0,0 +1,88 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const config = require('../../../config');
+const PointRange = require('../../../app/live/point/PointRange');
+
+// A range that doesn't configure anything
+const NONE = {
+    range: null,
+    active: null
+};
+
+describe('live.point.PointRange', function() {
+    describe('resolve', function() {
+        it('Default range', function() {
+            assert.deepEqual(PointRange.resolve(NONE, NONE), PointRange.getDefault());
+        });
+
+        it('Point range overrides game range', function() {
+            assert.deepEqual(PointRange.resolve({range: 30, active: 40}, {range: 10, active: 15}), {range: 30, active: 40});
+            assert.deepEqual(PointRange.resolve({range: null, active: 40}, {range: 10, active: 15}), {range: 10, active: 40});
+            assert.deepEqual(PointRange.resolve(NONE, {range: 10, active: 15}), {range: 10, active: 15});
+        });
+
+        it('Active range is never smaller than range', function() {
+            assert.deepEqual(PointRange.resolve({range: 50, active: null}, NONE), {range: 50, active: 50});
+        });
+    });
+
+    describe('parse', function() {
+        it('Empty values', function() {
+            assert.isNull(PointRange.parse(undefined));
+            assert.isNull(PointRange.parse(' '));
+        });
+
+        it('Valid values', function() {
+            assert.strictEqual(PointRange.parse('25'), 25);
+            assert.strictEqual(PointRange.parse(' 12,5 '), 12.5);
+        });
+
+        it('Invalid values', function() {
+            assert.isNaN(PointRange.parse('-5'));
+            assert.isNaN(PointRange.parse('veel'));
+        });
+    });
+
+    describe('validate', function() {
+        it('Valid ranges', function() {
+            assert.isNull(PointRange.validate(NONE));
+            assert.isNull(PointRange.validate({range: 15, active: 25}));
+            assert.isNull(PointRange.validate({range: 15, active: null}));
+        });
+
+        it('Out of limits', function() {
+            assert.isString(PointRange.validate({range: NaN, active: null}));
+            assert.isString(PointRange.validate({range: config.validation.pointRangeMax + 1, active: null}));
+            assert.isString(PointRange.validate({range: null, active: 0}));
+        });
+
+        it('Active range smaller than range', function() {
+            assert.isString(PointRange.validate({range: 25, active: 15}));
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const PointRoute = require('../../../app/live/point/PointRoute');
+
+// A fixed tour from a to c, and a dependency graph where d requires both a and b
+const TOUR = {
+    a: [],
+    b: ['a'],
+    c: ['b']
+};
+const GRAPH = {
+    a: [],
+    b: [],
+    d: ['a', 'b']
+};
+
+describe('live.point.PointRoute', function() {
+    describe('isUnlocked', function() {
+        it('Without required points', function() {
+            assert.isTrue(PointRoute.isUnlocked([], []));
+        });
+
+        it('With required points', function() {
+            assert.isTrue(PointRoute.isUnlocked(['a', 'b'], ['b', 'a', 'c']));
+            assert.isFalse(PointRoute.isUnlocked(['a', 'b'], ['a']));
+        });
+    });
+
+    describe('getUnlockedPointIds', function() {
+        it('Tour', function() {
+            assert.deepEqual(PointRoute.getUnlockedPointIds(TOUR, []), ['a']);
+            assert.deepEqual(PointRoute.getUnlockedPointIds(TOUR, ['a']), ['b']);
+            assert.deepEqual(PointRoute.getUnlockedPointIds(TOUR, ['a', 'b', 'c']), []);
+        });
+
+        it('Graph', function() {
+            assert.deepEqual(PointRoute.getUnlockedPointIds(GRAPH, []), ['a', 'b']);
+            assert.deepEqual(PointRoute.getUnlockedPointIds(GRAPH, ['a']), ['b']);
+            assert.deepEqual(PointRoute.getUnlockedPointIds(GRAPH, ['a', 'b']), ['d']);
+        });
+    });
+
+    describe('validate', function() {
+        it('Valid routes', function() {
+            assert.isNull(PointRoute.validate({}));
+            assert.isNull(PointRoute.validate(TOUR));
+            assert.isNull(PointRoute.validate(GRAPH));
+        });
+
+        it('Unknown point', function() {
+            assert.isString(PointRoute.validate({a: ['x']}));
+        });
+
+        it('Cycle', function() {
+            assert.isString(PointRoute.validate({a: ['a']}));
+            assert.isString(PointRoute.validate({a: [], b: ['c'], c: ['b']}));
+            assert.isString(PointRoute.validate({a: ['c'], b: ['a'], c: ['b'], d: ['c']}));
+        });
+    });
+
+    describe('getSteps', function() {
+        it('Tour', function() {
+            assert.deepEqual(PointRoute.getSteps(TOUR), {a: 1, b: 2, c: 3});
+        });
+
+        it('Graph', function() {
+            assert.deepEqual(PointRoute.getSteps(GRAPH), {a: 1, b: 1, d: 2});
+        });
+    });
+});
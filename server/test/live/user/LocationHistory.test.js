@@ -0,0 +1,84 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const config = require('../../../config');
+const LocationHistory = require('../../../app/live/user/LocationHistory');
+
+/**
+ * Create a history entry.
+ *
+ * @param {string} user User ID.
+ * @param {Number} seconds Number of seconds since the start of the game.
+ *
+ * @return {Object} History entry.
+ */
+function createEntry(user, seconds) {
+    return {
+        user,
+        latitude: 52 + seconds / 1000,
+        longitude: 5,
+        date: new Date(Date.UTC(2017, 5, 1, 10, 0, seconds))
+    };
+}
+
+describe('live.user.LocationHistory', function() {
+    describe('shouldRecord', function() {
+        it('First location', function() {
+            assert.isTrue(LocationHistory.shouldRecord(null, new Date()));
+        });
+
+        it('Interval', function() {
+            const time = new Date(Date.UTC(2017, 5, 1, 10, 0, 0));
+            assert.isFalse(LocationHistory.shouldRecord(time, new Date(time.getTime() + config.game.locationHistoryInterval - 1)));
+            assert.isTrue(LocationHistory.shouldRecord(time, new Date(time.getTime() + config.game.locationHistoryInterval)));
+        });
+    });
+
+    describe('getTrails', function() {
+        it('No entries', function() {
+            assert.deepEqual(LocationHistory.getTrails([]), []);
+        });
+
+        it('Trail for each user', function() {
+            const trails = LocationHistory.getTrails([
+                createEntry('a', 20),
+                createEntry('b', 5),
+                createEntry('a', 10)
+            ]);
+
+            assert.lengthOf(trails, 2);
+            const trailA = trails.find((trail) => trail.user === 'a');
+            assert.lengthOf(trailA.locations, 2);
+            assert.deepEqual(trailA.locations[0], {
+                latitude: 52.01,
+                longitude: 5,
+                date: new Date(Date.UTC(2017, 5, 1, 10, 0, 10))
+            });
+            assert.strictEqual(trailA.locations[1].latitude, 52.02);
+        });
+    });
+});
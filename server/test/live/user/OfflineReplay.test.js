@@ -0,0 +1,139 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const config = require('../../../config');
+const Coordinate = require('../../../app/coordinate/Coordinate');
+const OfflineReplay = require('../../../app/live/user/OfflineReplay');
+
+describe('live.user.OfflineReplay', function() {
+    describe('isValidToken', function() {
+        it('Valid tokens', function() {
+            assert.isTrue(OfflineReplay.isValidToken('0123456789abcdef0123456789abcdef'));
+            assert.isTrue(OfflineReplay.isValidToken('abcDEF_-0123456789'));
+        });
+
+        it('Invalid tokens', function() {
+            [undefined, null, 123, '', 'short', 'a'.repeat(65), '0123456789abcdef 0123'].forEach(function(token) {
+                assert.isFalse(OfflineReplay.isValidToken(token));
+            });
+        });
+    });
+
+    describe('parseTime', function() {
+        const now = new Date(Date.UTC(2017, 5, 1, 12, 0, 0));
+
+        it('Parses numbers and strings', function() {
+            const time = now.getTime() - 60 * 1000;
+            assert.strictEqual(OfflineReplay.parseTime(time, now).getTime(), time);
+            assert.strictEqual(OfflineReplay.parseTime(String(time), now).getTime(), time);
+        });
+
+        it('Rejects invalid times', function() {
+            [undefined, null, '', 'abc', '12.5', NaN, Infinity, {}].forEach(function(value) {
+                assert.isNull(OfflineReplay.parseTime(value, now));
+            });
+        });
+
+        it('Rejects times that are too old', function() {
+            assert.isNotNull(OfflineReplay.parseTime(now.getTime() - config.game.offlineMaxAge, now));
+            assert.isNull(OfflineReplay.parseTime(now.getTime() - config.game.offlineMaxAge - 1, now));
+        });
+
+        it('Limits times in the future', function() {
+            assert.strictEqual(OfflineReplay.parseTime(now.getTime() + config.game.offlineClockTolerance, now).getTime(), now.getTime());
+            assert.isNull(OfflineReplay.parseTime(now.getTime() + config.game.offlineClockTolerance + 1, now));
+        });
+    });
+
+    describe('addTrailLocation', function() {
+        const now = new Date(Date.UTC(2017, 5, 1, 12, 0, 0));
+        const location = new Coordinate({latitude: 52.5, longitude: 5.25});
+
+        it('Keeps the trail ordered by time', function() {
+            const trail = [];
+            assert.isTrue(OfflineReplay.addTrailLocation(trail, location, new Date(now.getTime() - 60 * 1000), now));
+            assert.isTrue(OfflineReplay.addTrailLocation(trail, location, now, now));
+            assert.isTrue(OfflineReplay.addTrailLocation(trail, location, new Date(now.getTime() - 30 * 1000), now));
+            assert.deepEqual(trail.map((entry) => entry.time.getTime()), [-60, -30, 0].map((offset) => now.getTime() + offset * 1000));
+        });
+
+        it('Skips locations close to another location', function() {
+            const trail = [];
+            assert.isTrue(OfflineReplay.addTrailLocation(trail, location, now, now));
+            assert.isFalse(OfflineReplay.addTrailLocation(trail, location, new Date(now.getTime() - config.game.offlineTrailInterval + 1), now));
+            assert.strictEqual(trail.length, 1);
+        });
+
+        it('Removes old locations', function() {
+            const trail = [];
+            const old = new Date(now.getTime() - config.game.offlineMaxAge - 1);
+            assert.isFalse(OfflineReplay.addTrailLocation(trail, location, old, now));
+            assert.isTrue(OfflineReplay.addTrailLocation(trail, location, old, old));
+            assert.isTrue(OfflineReplay.addTrailLocation(trail, location, now, now));
+            assert.deepEqual(trail.map((entry) => entry.time), [now]);
+        });
+    });
+
+    describe('getTrailLocations', function() {
+        const now = new Date(Date.UTC(2017, 5, 1, 12, 0, 0));
+        const near = new Coordinate({latitude: 52.5, longitude: 5.25});
+        const far = new Coordinate({latitude: 53, longitude: 6});
+        const trail = [
+            {location: far, time: new Date(now.getTime() - config.game.locationDecayTime - 1)},
+            {location: near, time: new Date(now.getTime() - config.game.locationDecayTime)}
+        ];
+
+        it('Locations known at the given time', function() {
+            assert.deepEqual(OfflineReplay.getTrailLocations(trail, now), [near]);
+        });
+
+        it('No known locations', function() {
+            assert.deepEqual(OfflineReplay.getTrailLocations(trail, new Date(now.getTime() + 60 * 60 * 1000)), []);
+        });
+    });
+
+    describe('isSameUser', function() {
+        const user = {
+            getIdHex: () => '0000000000000000000000aa'
+        };
+
+        it('Data that isn\'t queued', function() {
+            assert.isTrue(OfflineReplay.isSameUser(undefined, user));
+        });
+
+        it('Data queued for the user', function() {
+            assert.isTrue(OfflineReplay.isSameUser('0000000000000000000000aa', user));
+            assert.isTrue(OfflineReplay.isSameUser('0000000000000000000000AA', user));
+        });
+
+        it('Data queued for another user', function() {
+            assert.isFalse(OfflineReplay.isSameUser('0000000000000000000000bb', user));
+            assert.isFalse(OfflineReplay.isSameUser('', user));
+            assert.isFalse(OfflineReplay.isSameUser(null, user));
+        });
+    });
+});
@@ -0,0 +1,64 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const config = require('../../../config');
+const ApprovalState = require('../../../app/model/submission/ApprovalState');
+const PlayerActivity = require('../../../app/live/user/PlayerActivity');
+
+describe('live.user.PlayerActivity', function() {
+    describe('getState', function() {
+        it('Active', function() {
+            assert.strictEqual(PlayerActivity.getState(0), PlayerActivity.STATE_ACTIVE);
+            assert.strictEqual(PlayerActivity.getState(config.game.locationDecayTime), PlayerActivity.STATE_ACTIVE);
+        });
+
+        it('Idle', function() {
+            assert.strictEqual(PlayerActivity.getState(config.game.locationDecayTime + 1), PlayerActivity.STATE_IDLE);
+            assert.strictEqual(PlayerActivity.getState(config.game.playerOfflineTime), PlayerActivity.STATE_IDLE);
+        });
+
+        it('Offline', function() {
+            assert.strictEqual(PlayerActivity.getState(config.game.playerOfflineTime + 1), PlayerActivity.STATE_OFFLINE);
+            assert.strictEqual(PlayerActivity.getState(null), PlayerActivity.STATE_OFFLINE);
+        });
+    });
+
+    describe('countSubmissions', function() {
+        it('No submissions', function() {
+            assert.deepEqual(PlayerActivity.countSubmissions([]), {total: 0, pending: 0, approved: 0, rejected: 0});
+        });
+
+        it('Count states', function() {
+            assert.deepEqual(PlayerActivity.countSubmissions([
+                ApprovalState.PENDING,
+                ApprovalState.APPROVED,
+                ApprovalState.APPROVED,
+                ApprovalState.REJECTED
+            ]), {total: 4, pending: 1, approved: 2, rejected: 1});
+        });
+    });
+});
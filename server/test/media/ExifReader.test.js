@@ -0,0 +1,193 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const ExifReader = require('../../app/media/ExifReader');
+
+/**
+ * Build a JPEG image with an EXIF segment, containing the given IFDs.
+ * The first IFD is IFD0, entries with an ifd value point to the IFD at that index.
+ *
+ * @param {boolean} littleEndian True to use the little endian byte order.
+ * @param {Array} ifds List of IFDs, each a list of entries with a tag, type and value.
+ *
+ * @return {Buffer} JPEG data.
+ */
+function buildJpeg(littleEndian, ifds) {
+    // Encode the entry values
+    const encode = function(entry) {
+        if(entry.type === 2)
+            return Buffer.from(entry.value + '\0', 'binary');
+        const values = [].concat(entry.value);
+        const size = entry.type === 3 ? 2 : entry.type === 4 ? 4 : 8;
+        const buffer = Buffer.alloc(values.length * size);
+        values.forEach(function(value, i) {
+            if(entry.type === 3)
+                littleEndian ? buffer.writeUInt16LE(value, i * 2) : buffer.writeUInt16BE(value, i * 2);
+            else if(entry.type === 4)
+                littleEndian ? buffer.writeUInt32LE(value, i * 4) : buffer.writeUInt32BE(value, i * 4);
+            else {
+                littleEndian ? buffer.writeUInt32LE(value[0], i * 8) : buffer.writeUInt32BE(value[0], i * 8);
+                littleEndian ? buffer.writeUInt32LE(value[1], i * 8 + 4) : buffer.writeUInt32BE(value[1], i * 8 + 4);
+            }
+        });
+        return buffer;
+    };
+
+    // Determine the IFD offsets, the values are stored after the IFDs
+    const offsets = [];
+    var offset = 8;
+    ifds.forEach(function(ifd) {
+        offsets.push(offset);
+        offset += 2 + ifd.length * 12 + 4;
+    });
+
+    // Write the header and the IFDs
+    const parts = [];
+    var data = [];
+    const header = Buffer.alloc(offset);
+    header.write(littleEndian ? 'II' : 'MM', 0, 'binary');
+    const uint16 = (value, at) => littleEndian ? header.writeUInt16LE(value, at) : header.writeUInt16BE(value, at);
+    const uint32 = (value, at) => littleEndian ? header.writeUInt32LE(value, at) : header.writeUInt32BE(value, at);
+    uint16(42, 2);
+    uint32(8, 4);
+    ifds.forEach(function(ifd, i) {
+        uint16(ifd.length, offsets[i]);
+        ifd.forEach(function(entry, j) {
+            const at = offsets[i] + 2 + j * 12;
+            const value = entry.ifd !== undefined ? encode({type: 4, value: offsets[entry.ifd]}) : encode(entry);
+            uint16(entry.tag, at);
+            uint16(entry.ifd !== undefined ? 4 : entry.type, at + 2);
+            uint32(entry.type === 2 ? value.length : [].concat(entry.ifd !== undefined ? 0 : entry.value).length, at + 4);
+            if(value.length <= 4)
+                value.copy(header, at + 8);
+            else {
+                uint32(offset, at + 8);
+                data.push(value);
+                offset += value.length;
+            }
+        });
+    });
+    parts.push(header);
+    const tiff = Buffer.concat(parts.concat(data));
+
+    // Wrap the TIFF data in a JPEG image
+    const segment = Buffer.alloc(10);
+    segment.writeUInt16BE(0xFFE1, 0);
+    segment.writeUInt16BE(tiff.length + 8, 2);
+    segment.write('Exif\0\0', 4, 'binary');
+    return Buffer.concat([Buffer.from([0xFF, 0xD8]), segment, tiff, Buffer.from([0xFF, 0xDA, 0x00, 0x02, 0xFF, 0xD9])]);
+}
+
+// EXIF reader module
+describe('media.ExifReader', function() {
+    // read function
+    describe('read', function() {
+        // GPS location and time stamp
+        it('GPS location and date', function () {
+            const jpeg = buildJpeg(false, [
+                [{tag: 0x8825, ifd: 1}],
+                [
+                    {tag: 0x0001, type: 2, value: 'N'},
+                    {tag: 0x0002, type: 5, value: [[52, 1], [5, 1], [2400, 100]]},
+                    {tag: 0x0003, type: 2, value: 'W'},
+                    {tag: 0x0004, type: 5, value: [[4, 1], [30, 1], [0, 1]]},
+                    {tag: 0x0007, type: 5, value: [[11, 1], [30, 1], [15, 1]]},
+                    {tag: 0x001D, type: 2, value: '2017:05:24'}
+                ]
+            ]);
+
+            const metadata = ExifReader.read(jpeg);
+            assert.closeTo(metadata.location.latitude, 52.09, 0.0001);
+            assert.closeTo(metadata.location.longitude, -4.5, 0.0001);
+            assert.strictEqual(metadata.date.toISOString(), '2017-05-24T11:30:15.000Z');
+            assert.isTrue(metadata.dateZoned);
+        });
+
+        // Original date with a time zone offset
+        it('Original date with offset', function () {
+            const jpeg = buildJpeg(true, [
+                [{tag: 0x8769, ifd: 1}],
+                [
+                    {tag: 0x9003, type: 2, value: '2017:05:24 13:45:10'},
+                    {tag: 0x9011, type: 2, value: '+02:00'}
+                ]
+            ]);
+
+            const metadata = ExifReader.read(jpeg);
+            assert.isNull(metadata.location);
+            assert.strictEqual(metadata.date.toISOString(), '2017-05-24T11:45:10.000Z');
+            assert.isTrue(metadata.dateZoned);
+        });
+
+        // Original date without a time zone
+        it('Original date without offset', function () {
+            const jpeg = buildJpeg(true, [
+                [{tag: 0x0132, type: 2, value: '2017:05:24 13:45:10'}]
+            ]);
+
+            const metadata = ExifReader.read(jpeg);
+            assert.strictEqual(metadata.date.getTime(), new Date(2017, 4, 24, 13, 45, 10).getTime());
+            assert.isFalse(metadata.dateZoned);
+        });
+
+        // Images without metadata
+        it('No metadata', function () {
+            assert.isNull(ExifReader.read(Buffer.from([0x89, 0x50, 0x4E, 0x47])));
+            assert.isNull(ExifReader.read(Buffer.from([0xFF, 0xD8, 0xFF, 0xDA, 0x00, 0x02])));
+            assert.isNull(ExifReader.read(null));
+        });
+
+        // Corrupt metadata
+        it('Corrupt metadata', function () {
+            const jpeg = buildJpeg(false, [
+                [{tag: 0x9003, type: 2, value: '2017:05:24 13:45:10'}]
+            ]);
+            assert.isNull(ExifReader.read(jpeg.slice(0, 30)));
+        });
+    });
+
+    // parseDate function
+    describe('parseDate', function() {
+        // Invalid dates
+        it('Invalid dates', function () {
+            assert.isNull(ExifReader.parseDate('0000:00:00 00:00:00'));
+            assert.isNull(ExifReader.parseDate('2017-05-24 13:45:10'));
+            assert.isNull(ExifReader.parseDate(undefined));
+        });
+    });
+
+    // parseCoordinate function
+    describe('parseCoordinate', function() {
+        // Coordinate references and bounds
+        it('References and bounds', function () {
+            assert.strictEqual(ExifReader.parseCoordinate([10, 30, 0], 'S', 90), -10.5);
+            assert.strictEqual(ExifReader.parseCoordinate([10, 30, 0], 'N', 90), 10.5);
+            assert.isNull(ExifReader.parseCoordinate([95, 0, 0], 'N', 90));
+            assert.isNull(ExifReader.parseCoordinate([10, NaN, 0], 'N', 90));
+        });
+    });
+});
@@ -0,0 +1,81 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const MediaProcessor = require('../../app/media/MediaProcessor');
+const MediaVariant = require('../../app/media/MediaVariant');
+
+// Media options used for testing
+const OPTIONS = {
+    imageCommand: 'convert',
+    videoCommand: 'ffmpeg',
+    thumbnailSize: 320,
+    previewSize: 1600
+};
+
+// Media processor module
+describe('media.MediaProcessor', function() {
+    // getCommand function
+    describe('getCommand', function() {
+        // Image thumbnails
+        it('Image thumbnail', function () {
+            const command = MediaProcessor.getCommand('a.jpg', MediaVariant.THUMBNAIL, '/tmp/in.jpg', '/tmp/out.jpg', OPTIONS);
+            assert.strictEqual(command.command, 'convert');
+            assert.strictEqual(command.args[0], 'jpeg:/tmp/in.jpg[0]');
+            assert.include(command.args, '-strip');
+            assert.include(command.args, '-auto-orient');
+            assert.include(command.args, '320x320>');
+            assert.strictEqual(command.args[command.args.length - 1], 'jpg:/tmp/out.jpg');
+
+            // Orientation must be applied before the metadata is stripped
+            assert.isBelow(command.args.indexOf('-auto-orient'), command.args.indexOf('-strip'));
+        });
+
+        // Large image previews
+        it('Image preview', function () {
+            const command = MediaProcessor.getCommand('a.png', MediaVariant.LARGE, '/tmp/in.png', '/tmp/out.jpg', OPTIONS);
+            assert.include(command.args, '-resize');
+            assert.include(command.args, '1600x1600>');
+        });
+
+        // Images are read with the coder of their format
+        it('Image coder', function () {
+            assert.strictEqual(MediaProcessor.getCommand('a.PNG', MediaVariant.LARGE, '/tmp/in.PNG', '/tmp/out.jpg', OPTIONS).args[0], 'png:/tmp/in.PNG[0]');
+            assert.strictEqual(MediaProcessor.getCommand('a.gif', MediaVariant.LARGE, '/tmp/in.gif', '/tmp/out.jpg', OPTIONS).args[0], 'gif:/tmp/in.gif[0]');
+        });
+
+        // Video posters
+        it('Video poster', function () {
+            const command = MediaProcessor.getCommand('a.mp4', MediaVariant.POSTER, '/tmp/in.mp4', '/tmp/out.jpg', OPTIONS);
+            assert.strictEqual(command.command, 'ffmpeg');
+            assert.strictEqual(command.args[command.args.indexOf('-i') + 1], '/tmp/in.mp4');
+            assert.strictEqual(command.args[command.args.indexOf('-map_metadata') + 1], '-1');
+            assert.strictEqual(command.args[command.args.indexOf('-frames:v') + 1], '1');
+            assert.include(command.args[command.args.indexOf('-vf') + 1], 'min(1600,iw)');
+            assert.strictEqual(command.args[command.args.length - 1], '/tmp/out.jpg');
+        });
+    });
+});
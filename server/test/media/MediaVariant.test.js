@@ -0,0 +1,71 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const MediaVariant = require('../../app/media/MediaVariant');
+
+// Media variant module
+describe('media.MediaVariant', function() {
+    // getVariants function
+    describe('getVariants', function() {
+        // Variants per file type
+        it('Variants per file type', function () {
+            assert.deepEqual(MediaVariant.getVariants('foto.JPG'), [MediaVariant.THUMBNAIL, MediaVariant.LARGE]);
+            assert.deepEqual(MediaVariant.getVariants('video.mp4'), [MediaVariant.THUMBNAIL, MediaVariant.POSTER]);
+            assert.deepEqual(MediaVariant.getVariants('verslag.pdf'), []);
+            assert.deepEqual(MediaVariant.getVariants(null), []);
+        });
+    });
+
+    // hasVariants function
+    describe('hasVariants', function() {
+        // Files with and without variants
+        it('Files with and without variants', function () {
+            assert.isTrue(MediaVariant.hasVariants('foto.png'));
+            assert.isTrue(MediaVariant.hasVariants('video.webm'));
+            assert.isFalse(MediaVariant.hasVariants('verslag.docx'));
+        });
+    });
+
+    // getName function
+    describe('getName', function() {
+        // Variant names
+        it('Variant names', function () {
+            assert.strictEqual(MediaVariant.getName('abc.png', MediaVariant.THUMBNAIL), 'abc.png.thumbnail.jpg');
+            assert.strictEqual(MediaVariant.getName('abc.mov', MediaVariant.POSTER), 'abc.mov.poster.jpg');
+        });
+    });
+
+    // isValid function
+    describe('isValid', function() {
+        // Valid and invalid variants
+        it('Valid and invalid variants', function () {
+            assert.isTrue(MediaVariant.isValid(MediaVariant.LARGE));
+            assert.isFalse(MediaVariant.isValid('original'));
+            assert.isFalse(MediaVariant.isValid(undefined));
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const Coordinate = require('../../app/coordinate/Coordinate');
+const PhotoVerification = require('../../app/media/PhotoVerification');
+
+// Point used for testing
+const POINT = {
+    location: new Coordinate({latitude: 52.0907, longitude: 5.1214}),
+    range: 50
+};
+
+// Running window of the game used for testing
+const WINDOW = {
+    start: new Date('2017-05-24T09:00:00Z'),
+    end: new Date('2017-05-24T12:00:00Z')
+};
+
+// Verification options used for testing
+const OPTIONS = {
+    locationTolerance: 100,
+    timeTolerance: 15
+};
+
+/**
+ * Get the flag types of a verification result.
+ *
+ * @param {PhotoVerification~Result} result Verification result.
+ * @return {Array} Flag types.
+ */
+const types = (result) => result.flags.map((flag) => flag.type);
+
+// Photo verification module
+describe('media.PhotoVerification', function() {
+    // verify function
+    describe('verify', function() {
+        // Photo taken at the point while playing
+        it('Valid photo', function () {
+            const result = PhotoVerification.verify({
+                date: new Date('2017-05-24T10:00:00Z'),
+                dateZoned: true,
+                location: {latitude: 52.0910, longitude: 5.1216}
+            }, POINT, WINDOW, OPTIONS);
+            assert.isFalse(result.suspicious);
+            assert.deepEqual(result.flags, []);
+            assert.isBelow(result.distance, 150);
+        });
+
+        // Photo without metadata
+        it('No metadata', function () {
+            const result = PhotoVerification.verify(null, POINT, WINDOW, OPTIONS);
+            assert.isTrue(result.suspicious);
+            assert.deepEqual(types(result), [PhotoVerification.NO_METADATA]);
+        });
+
+        // Photo taken elsewhere
+        it('Too far away', function () {
+            const result = PhotoVerification.verify({
+                date: new Date('2017-05-24T10:00:00Z'),
+                dateZoned: true,
+                location: {latitude: 52.3702, longitude: 4.8952}
+            }, POINT, WINDOW, OPTIONS);
+            assert.deepEqual(types(result), [PhotoVerification.TOO_FAR]);
+            assert.isAbove(result.distance, 30000);
+        });
+
+        // Photos taken outside the running window
+        it('Outside window', function () {
+            const before = PhotoVerification.verify({
+                date: new Date('2017-05-23T10:00:00Z'),
+                dateZoned: true,
+                location: null
+            }, POINT, WINDOW, OPTIONS);
+            assert.deepEqual(types(before), [PhotoVerification.NO_LOCATION, PhotoVerification.OUTSIDE_WINDOW]);
+
+            const after = PhotoVerification.verify({
+                date: new Date('2017-05-24T12:30:00Z'),
+                dateZoned: true,
+                location: null
+            }, POINT, WINDOW, OPTIONS);
+            assert.include(types(after), PhotoVerification.OUTSIDE_WINDOW);
+
+            // Within the tolerance
+            const tolerated = PhotoVerification.verify({
+                date: new Date('2017-05-24T12:10:00Z'),
+                dateZoned: true,
+                location: null
+            }, POINT, WINDOW, OPTIONS);
+            assert.notInclude(types(tolerated), PhotoVerification.OUTSIDE_WINDOW);
+        });
+
+        // Unknown point and window
+        it('Unknown point and window', function () {
+            const result = PhotoVerification.verify({
+                date: null,
+                dateZoned: false,
+                location: {latitude: 52.3702, longitude: 4.8952}
+            }, null, {start: null, end: null}, OPTIONS);
+            assert.deepEqual(types(result), [PhotoVerification.NO_DATE]);
+            assert.isNull(result.distance);
+        });
+    });
+});
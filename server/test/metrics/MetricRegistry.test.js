@@ -0,0 +1,163 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const MetricRegistry = require('../../app/metrics/MetricRegistry');
+const Metrics = require('../../app/metrics/Metrics');
+const PacketType = require('../../app/realtime/PacketType');
+
+describe('metrics.MetricRegistry', function() {
+    describe('formatLabels', function() {
+        it('Sort and escape labels', function() {
+            const labels = {type: 'a"b', game: 'x\\y'};
+            assert.strictEqual(MetricRegistry.formatLabels(labels), '{game="x\\\\y",type="a\\"b"}');
+        });
+
+        it('Format no labels', function() {
+            assert.strictEqual(MetricRegistry.formatLabels({}), '');
+        });
+    });
+
+    describe('formatValue', function() {
+        it('Format special values', function() {
+            assert.strictEqual(MetricRegistry.formatValue(1.5), '1.5');
+            assert.strictEqual(MetricRegistry.formatValue(Infinity), '+Inf');
+            assert.strictEqual(MetricRegistry.formatValue(NaN), 'NaN');
+        });
+    });
+
+    describe('format', function() {
+        it('Format counters and gauges', function() {
+            const registry = new MetricRegistry();
+            registry.register('test_total', MetricRegistry.TYPE_COUNTER, 'Test counter.');
+            registry.register('test_gauge', MetricRegistry.TYPE_GAUGE, 'Test gauge.');
+            registry.increase('test_total', {type: 'a'});
+            registry.increase('test_total', {type: 'a'}, 2);
+            registry.set('test_gauge', {}, 7);
+
+            assert.strictEqual(registry.format({worker: 1}), [
+                '# HELP test_total Test counter.',
+                '# TYPE test_total counter',
+                'test_total{type="a",worker="1"} 3',
+                '# HELP test_gauge Test gauge.',
+                '# TYPE test_gauge gauge',
+                'test_gauge{worker="1"} 7',
+                ''
+            ].join('\n'));
+        });
+
+        it('Format histograms', function() {
+            const registry = new MetricRegistry();
+            registry.register('test_seconds', MetricRegistry.TYPE_HISTOGRAM, 'Test histogram.', [0.1, 1]);
+            registry.observe('test_seconds', {}, 0.05);
+            registry.observe('test_seconds', {}, 0.5);
+            registry.observe('test_seconds', {}, 2);
+
+            const lines = registry.format().split('\n');
+            assert.include(lines, 'test_seconds_bucket{le="0.1"} 1');
+            assert.include(lines, 'test_seconds_bucket{le="1"} 2');
+            assert.include(lines, 'test_seconds_bucket{le="+Inf"} 3');
+            assert.include(lines, 'test_seconds_sum 2.55');
+            assert.include(lines, 'test_seconds_count 3');
+        });
+
+        it('Clear values', function() {
+            const registry = new MetricRegistry();
+            registry.register('test_gauge', MetricRegistry.TYPE_GAUGE, 'Test gauge.');
+            registry.set('test_gauge', {game: 'a'}, 1);
+            registry.clear('test_gauge');
+            assert.notInclude(registry.format(), 'game="a"');
+        });
+
+        it('Reject unregistered metrics', function() {
+            assert.throws(() => new MetricRegistry().increase('test_total'));
+        });
+    });
+
+    describe('merge', function() {
+        it('Merge the values of other workers', function() {
+            // Create a registry for each worker, and one for the combined values
+            const create = function() {
+                const registry = new MetricRegistry();
+                registry.register('test_total', MetricRegistry.TYPE_COUNTER, 'Test counter.');
+                registry.register('test_seconds', MetricRegistry.TYPE_HISTOGRAM, 'Test histogram.', [1]);
+                return registry;
+            };
+            const first = create();
+            const second = create();
+            const combined = create();
+            first.increase('test_total', {type: 'a'}, 2);
+            second.increase('test_total', {type: 'a'}, 3);
+            second.observe('test_seconds', {}, 0.5);
+
+            // Merge the serialized values, as they're sent between workers
+            combined.merge(JSON.parse(JSON.stringify(first.serialize())), {worker: 1});
+            combined.merge(JSON.parse(JSON.stringify(second.serialize())), {worker: 2});
+
+            // Each metric is formatted once, with the values of all workers
+            const lines = combined.format().split('\n');
+            assert.strictEqual(lines.filter((line) => line === '# TYPE test_total counter').length, 1);
+            assert.include(lines, 'test_total{type="a",worker="1"} 2');
+            assert.include(lines, 'test_total{type="a",worker="2"} 3');
+            assert.include(lines, 'test_seconds_bucket{le="1",worker="2"} 1');
+            assert.include(lines, 'test_seconds_count{worker="2"} 1');
+        });
+
+        it('Ignore unregistered metrics', function() {
+            const registry = new MetricRegistry();
+            registry.merge([{name: 'test_total', values: [{labels: {}, value: 1, counts: null, sum: 0, count: 0}]}]);
+            assert.strictEqual(registry.format(), '\n');
+        });
+    });
+});
+
+describe('metrics.Metrics', function() {
+    describe('getPacketTypeName', function() {
+        it('Known packet type', function() {
+            assert.strictEqual(Metrics.getPacketTypeName(PacketType.LOCATION_UPDATE), 'LOCATION_UPDATE');
+        });
+
+        it('Unknown packet type', function() {
+            assert.strictEqual(Metrics.getPacketTypeName(-1), 'unknown');
+            assert.strictEqual(Metrics.getPacketTypeName('LOCATION_UPDATE'), 'unknown');
+        });
+    });
+
+    describe('countPacket', function() {
+        it('Count packets per type', function() {
+            Metrics.countPacket(PacketType.LOCATION_UPDATE);
+            assert.include(Metrics.registry.format(), 'maris_realtime_packets_received_total{type="LOCATION_UPDATE"}');
+        });
+    });
+
+    describe('startModelCallTimer', function() {
+        it('Record call durations', function() {
+            Metrics.startModelCallTimer('mongo', 'get')();
+            const pattern = /maris_model_call_duration_seconds_count\{operation="get",store="mongo"\} \d+/;
+            assert.match(Metrics.registry.format(), pattern);
+        });
+    });
+});
@@ -0,0 +1,152 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const AnswerType = require('../../../app/model/assignment/AnswerType');
+const AnswerGrader = require('../../../app/model/assignment/AnswerGrader');
+
+// Answer grader module
+describe('model.assignment.AnswerGrader', function() {
+    // parseNumber function
+    describe('parseNumber', function() {
+        // Valid numbers
+        it('Valid numbers', function () {
+            assert.equal(AnswerGrader.parseNumber('42'), 42);
+            assert.equal(AnswerGrader.parseNumber(' -1.5 '), -1.5);
+            assert.equal(AnswerGrader.parseNumber('3,14'), 3.14);
+            assert.equal(AnswerGrader.parseNumber(7), 7);
+        });
+
+        // Invalid numbers
+        it('Invalid numbers', function () {
+            assert.isNaN(AnswerGrader.parseNumber(''));
+            assert.isNaN(AnswerGrader.parseNumber('12abc'));
+            assert.isNaN(AnswerGrader.parseNumber(undefined));
+        });
+    });
+
+    // parseChoices and formatChoices functions
+    describe('parseChoices', function() {
+        // Parse choices
+        it('Parse choices', function () {
+            const config = AnswerGrader.parseChoices('Amsterdam\r\n* Den Haag\n\n  Rotterdam ');
+            assert.deepEqual(config.choices, ['Amsterdam', 'Den Haag', 'Rotterdam']);
+            assert.deepEqual(config.correct, [1]);
+        });
+
+        // Format choices
+        it('Format choices', function () {
+            const raw = AnswerGrader.formatChoices({choices: ['A', 'B', 'C'], correct: [0, 2]});
+            assert.equal(raw, '* A\nB\n* C');
+            assert.deepEqual(AnswerGrader.parseChoices(raw), {choices: ['A', 'B', 'C'], correct: [0, 2]});
+        });
+    });
+
+    // isValidConfig function
+    describe('isValidConfig', function() {
+        // Open answers
+        it('Open answers', function () {
+            assert.isTrue(AnswerGrader.isValidConfig(AnswerType.OPEN, null));
+            assert.isFalse(AnswerGrader.isValidConfig(AnswerType.OPEN, {value: 1}));
+        });
+
+        // Choice answers
+        it('Choice answers', function () {
+            assert.isTrue(AnswerGrader.isValidConfig(AnswerType.CHOICE, {choices: ['A', 'B'], correct: [1]}));
+            assert.isFalse(AnswerGrader.isValidConfig(AnswerType.CHOICE, {choices: ['A', 'B'], correct: [0, 1]}));
+            assert.isTrue(AnswerGrader.isValidConfig(AnswerType.MULTIPLE_CHOICE, {choices: ['A', 'B'], correct: [0, 1]}));
+            assert.isFalse(AnswerGrader.isValidConfig(AnswerType.MULTIPLE_CHOICE, {choices: ['A', 'B'], correct: []}));
+            assert.isFalse(AnswerGrader.isValidConfig(AnswerType.CHOICE, {choices: ['A'], correct: [0]}));
+            assert.isFalse(AnswerGrader.isValidConfig(AnswerType.CHOICE, {choices: ['A', 'B'], correct: [2]}));
+        });
+
+        // Numeric answers
+        it('Numeric answers', function () {
+            assert.isTrue(AnswerGrader.isValidConfig(AnswerType.NUMERIC, {value: 10, tolerance: 0.5}));
+            assert.isFalse(AnswerGrader.isValidConfig(AnswerType.NUMERIC, {value: NaN, tolerance: 0}));
+            assert.isFalse(AnswerGrader.isValidConfig(AnswerType.NUMERIC, {value: 10, tolerance: -1}));
+        });
+
+        // Pattern answers
+        it('Pattern answers', function () {
+            assert.isTrue(AnswerGrader.isValidConfig(AnswerType.PATTERN, {pattern: 'ja|yes'}));
+            assert.isFalse(AnswerGrader.isValidConfig(AnswerType.PATTERN, {pattern: ''}));
+            assert.isFalse(AnswerGrader.isValidConfig(AnswerType.PATTERN, {pattern: '(unclosed'}));
+        });
+    });
+
+    // parseChoiceAnswer function
+    describe('parseChoiceAnswer', function() {
+        // Parse answers
+        it('Parse answers', function () {
+            assert.deepEqual(AnswerGrader.parseChoiceAnswer('1'), [1]);
+            assert.deepEqual(AnswerGrader.parseChoiceAnswer(['2', '0', '2', 'x']), [0, 2]);
+            assert.deepEqual(AnswerGrader.parseChoiceAnswer(undefined), []);
+        });
+    });
+
+    // grade function
+    describe('grade', function() {
+        // Choice answers
+        it('Choice answers', function () {
+            const config = {choices: ['A', 'B', 'C'], correct: [0, 2]};
+            assert.isTrue(AnswerGrader.grade(AnswerType.MULTIPLE_CHOICE, config, [2, 0]));
+            assert.isFalse(AnswerGrader.grade(AnswerType.MULTIPLE_CHOICE, config, [0]));
+            assert.isFalse(AnswerGrader.grade(AnswerType.MULTIPLE_CHOICE, config, [0, 1, 2]));
+        });
+
+        // Numeric answers
+        it('Numeric answers', function () {
+            const config = {value: 9.81, tolerance: 0.01};
+            assert.isTrue(AnswerGrader.grade(AnswerType.NUMERIC, config, '9,8'));
+            assert.isTrue(AnswerGrader.grade(AnswerType.NUMERIC, config, '9.82'));
+            assert.isFalse(AnswerGrader.grade(AnswerType.NUMERIC, config, '9.83'));
+            assert.isFalse(AnswerGrader.grade(AnswerType.NUMERIC, config, 'tien'));
+        });
+
+        // Pattern answers
+        it('Pattern answers', function () {
+            const config = {pattern: '(den )?haag'};
+            assert.isTrue(AnswerGrader.grade(AnswerType.PATTERN, config, ' Den Haag '));
+            assert.isTrue(AnswerGrader.grade(AnswerType.PATTERN, config, 'HAAG'));
+            assert.isFalse(AnswerGrader.grade(AnswerType.PATTERN, config, 'Den Haag centrum'));
+        });
+
+        // Open answers
+        it('Open answers', function () {
+            assert.isFalse(AnswerGrader.grade(AnswerType.OPEN, null, 'Antwoord'));
+        });
+    });
+
+    // formatAnswer function
+    describe('formatAnswer', function() {
+        // Format answers
+        it('Format answers', function () {
+            assert.equal(AnswerGrader.formatAnswer(AnswerType.MULTIPLE_CHOICE, {choices: ['A', 'B', 'C'], correct: [0]}, [0, 2]), 'A, C');
+            assert.equal(AnswerGrader.formatAnswer(AnswerType.NUMERIC, {value: 1, tolerance: 0}, ' 12 '), '12');
+        });
+    });
+});
@@ -0,0 +1,66 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const ApprovalState = require('../../../app/model/submission/ApprovalState');
+
+// Approval state module
+describe('model.submission.ApprovalState', function() {
+    // isValid function
+    describe('isValid', function() {
+        // Valid states
+        it('Valid states', function () {
+            assert.isTrue(ApprovalState.isValid(ApprovalState.PENDING));
+            assert.isTrue(ApprovalState.isValid(ApprovalState.APPROVED));
+            assert.isTrue(ApprovalState.isValid(ApprovalState.REJECTED));
+        });
+
+        // Invalid states
+        it('Invalid states', function () {
+            assert.isFalse(ApprovalState.isValid(-1));
+            assert.isFalse(ApprovalState.isValid(3));
+            assert.isFalse(ApprovalState.isValid('1'));
+        });
+    });
+
+    // parse function
+    describe('parse', function() {
+        // Valid types
+        it('Valid types', function () {
+            assert.strictEqual(ApprovalState.parse('reset'), ApprovalState.PENDING);
+            assert.strictEqual(ApprovalState.parse('accept'), ApprovalState.APPROVED);
+            assert.strictEqual(ApprovalState.parse(' Reject '), ApprovalState.REJECTED);
+        });
+
+        // Invalid types
+        it('Invalid types', function () {
+            assert.isNull(ApprovalState.parse('approve'));
+            assert.isNull(ApprovalState.parse(''));
+            assert.isNull(ApprovalState.parse(undefined));
+            assert.isNull(ApprovalState.parse(1));
+        });
+    });
+});
@@ -0,0 +1,74 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const ApprovalState = require('../../../app/model/submission/ApprovalState');
+const SubmissionGrade = require('../../../app/model/submission/SubmissionGrade');
+
+// Submission grade module
+describe('model.submission.SubmissionGrade', function() {
+    // parsePoints function
+    describe('parsePoints', function() {
+        // Full points
+        it('Full points', function () {
+            assert.isNull(SubmissionGrade.parsePoints('', 10));
+            assert.isNull(SubmissionGrade.parsePoints(' ', 10));
+            assert.isNull(SubmissionGrade.parsePoints(null, 10));
+            assert.isNull(SubmissionGrade.parsePoints(undefined, 10));
+        });
+
+        // Partial points
+        it('Partial points', function () {
+            assert.strictEqual(SubmissionGrade.parsePoints('0', 10), 0);
+            assert.strictEqual(SubmissionGrade.parsePoints(' 7 ', 10), 7);
+            assert.strictEqual(SubmissionGrade.parsePoints(10, 10), 10);
+        });
+
+        // Invalid points
+        it('Invalid points', function () {
+            assert.isUndefined(SubmissionGrade.parsePoints('11', 10));
+            assert.isUndefined(SubmissionGrade.parsePoints(-1, 10));
+            assert.isUndefined(SubmissionGrade.parsePoints('2.5', 10));
+            assert.isUndefined(SubmissionGrade.parsePoints('abc', 10));
+        });
+    });
+
+    // getEarnedPoints function
+    describe('getEarnedPoints', function() {
+        // Approved submissions
+        it('Approved submissions', function () {
+            assert.strictEqual(SubmissionGrade.getEarnedPoints(ApprovalState.APPROVED, 10, null), 10);
+            assert.strictEqual(SubmissionGrade.getEarnedPoints(ApprovalState.APPROVED, 10, 4), 4);
+            assert.strictEqual(SubmissionGrade.getEarnedPoints(ApprovalState.APPROVED, 3, 4), 3);
+        });
+
+        // Submissions that aren't approved
+        it('Submissions that aren\'t approved', function () {
+            assert.strictEqual(SubmissionGrade.getEarnedPoints(ApprovalState.PENDING, 10, null), 0);
+            assert.strictEqual(SubmissionGrade.getEarnedPoints(ApprovalState.REJECTED, 10, 4), 0);
+        });
+    });
+});
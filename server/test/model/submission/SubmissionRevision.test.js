@@ -0,0 +1,100 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const ApprovalState = require('../../../app/model/submission/ApprovalState');
+const SubmissionRevision = require('../../../app/model/submission/SubmissionRevision');
+
+// Submission revision module
+describe('model.submission.SubmissionRevision', function() {
+    // create function
+    describe('create', function() {
+        // Revision object
+        it('Revision object', function () {
+            const date = new Date();
+            assert.deepEqual(SubmissionRevision.create('Antwoord', null, ApprovalState.REJECTED, 'Te kort', undefined, date), {
+                answer_text: 'Antwoord',
+                answer_file: null,
+                approve_state: ApprovalState.REJECTED,
+                feedback: 'Te kort',
+                awarded_points: null,
+                date: date
+            });
+        });
+    });
+
+    // getAttemptCount function
+    describe('getAttemptCount', function() {
+        // Attempt count
+        it('Attempt count', function () {
+            assert.strictEqual(SubmissionRevision.getAttemptCount(null), 1);
+            assert.strictEqual(SubmissionRevision.getAttemptCount([]), 1);
+            assert.strictEqual(SubmissionRevision.getAttemptCount([{}, {}]), 3);
+        });
+    });
+
+    // canAttempt function
+    describe('canAttempt', function() {
+        // Unlimited attempts
+        it('Unlimited attempts', function () {
+            assert.isTrue(SubmissionRevision.canAttempt(1, null));
+            assert.isTrue(SubmissionRevision.canAttempt(100, null));
+        });
+
+        // Limited attempts
+        it('Limited attempts', function () {
+            assert.isTrue(SubmissionRevision.canAttempt(1, 2));
+            assert.isFalse(SubmissionRevision.canAttempt(2, 2));
+            assert.isFalse(SubmissionRevision.canAttempt(1, 1));
+        });
+    });
+
+    // parseMaxAttempts function
+    describe('parseMaxAttempts', function() {
+        // Unlimited attempts
+        it('Unlimited attempts', function () {
+            assert.isNull(SubmissionRevision.parseMaxAttempts(''));
+            assert.isNull(SubmissionRevision.parseMaxAttempts(' '));
+            assert.isNull(SubmissionRevision.parseMaxAttempts(null));
+            assert.isNull(SubmissionRevision.parseMaxAttempts(undefined));
+        });
+
+        // Limited attempts
+        it('Limited attempts', function () {
+            assert.strictEqual(SubmissionRevision.parseMaxAttempts('1'), 1);
+            assert.strictEqual(SubmissionRevision.parseMaxAttempts(' 3 '), 3);
+            assert.strictEqual(SubmissionRevision.parseMaxAttempts(5), 5);
+        });
+
+        // Invalid values
+        it('Invalid values', function () {
+            assert.isUndefined(SubmissionRevision.parseMaxAttempts('0'));
+            assert.isUndefined(SubmissionRevision.parseMaxAttempts(-1));
+            assert.isUndefined(SubmissionRevision.parseMaxAttempts('1.5'));
+            assert.isUndefined(SubmissionRevision.parseMaxAttempts('abc'));
+        });
+    });
+});
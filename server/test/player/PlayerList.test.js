@@ -0,0 +1,120 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const crypto = require('crypto');
+
+const config = require('../../config');
+const PlayerList = require('../../app/player/PlayerList');
+
+describe('player.PlayerList', function() {
+    describe('parseCsv', function() {
+        it('Comma separated', function() {
+            assert.deepEqual(PlayerList.parseCsv('a,b\r\nc, d\n'), [['a', 'b'], ['c', 'd']]);
+        });
+
+        it('Semicolon separated', function() {
+            assert.deepEqual(PlayerList.parseCsv('a;b,c;d\ne;f'), [['a', 'b,c', 'd'], ['e', 'f']]);
+        });
+
+        it('Quoted values', function() {
+            assert.deepEqual(PlayerList.parseCsv('"Jansen, Piet","zegt ""hoi"""'), [['Jansen, Piet', 'zegt "hoi"']]);
+        });
+
+        it('Empty rows', function() {
+            assert.deepEqual(PlayerList.parseCsv('\n,\na\n\n'), [['a']]);
+        });
+    });
+
+    describe('parse', function() {
+        it('Without header', function() {
+            const result = PlayerList.parse('Piet Jansen,piet,geheim1,Rood,toeschouwer\nAnna de Vries,anna');
+            assert.lengthOf(result.invalid, 0);
+            assert.deepEqual(result.players, [{
+                line: 1,
+                name: 'Piet Jansen',
+                username: 'piet',
+                password: 'geheim1',
+                team: 'Rood',
+                role: PlayerList.ROLE_SPECTATOR
+            }, {
+                line: 2,
+                name: 'Anna de Vries',
+                username: 'anna',
+                password: null,
+                team: null,
+                role: PlayerList.ROLE_PARTICIPANT
+            }]);
+        });
+
+        it('With header', function() {
+            const result = PlayerList.parse('Gebruikersnaam;Team;Naam\npiet;Blauw;Piet Jansen');
+            assert.lengthOf(result.invalid, 0);
+            assert.strictEqual(result.players[0].line, 2);
+            assert.strictEqual(result.players[0].name, 'Piet Jansen');
+            assert.strictEqual(result.players[0].username, 'piet');
+            assert.strictEqual(result.players[0].team, 'Blauw');
+        });
+
+        it('Invalid rows', function() {
+            const result = PlayerList.parse('naam,gebruikersnaam,rol\nPiet,piet\nKees,kees met spatie\nPieter,PIET\nAnna,anna,koning');
+            assert.lengthOf(result.players, 1);
+            assert.deepEqual(result.invalid.map((row) => row.line), [3, 4, 5]);
+            result.invalid.forEach((row) => assert.isString(row.message));
+        });
+    });
+
+    describe('getTeamColor', function() {
+        it('Reuse colors', function() {
+            assert.strictEqual(PlayerList.getTeamColor(0), PlayerList.TEAM_COLORS[0]);
+            assert.strictEqual(PlayerList.getTeamColor(PlayerList.TEAM_COLORS.length + 1), PlayerList.TEAM_COLORS[1]);
+        });
+    });
+
+    describe('generatePassword', function() {
+        it('Length', function() {
+            assert.lengthOf(PlayerList.generatePassword(), config.security.generatedPasswordLength);
+        });
+
+        it('Random', function() {
+            assert.notStrictEqual(PlayerList.generatePassword(), PlayerList.generatePassword());
+        });
+
+        it('Reject biased bytes', function() {
+            // Return bytes that must be rejected first, and zero bytes afterwards
+            const randomBytes = crypto.randomBytes;
+            var calls = 0;
+            crypto.randomBytes = (size) => Buffer.alloc(size, calls++ === 0 ? 255 : 0);
+
+            try {
+                assert.strictEqual(PlayerList.generatePassword(), 'a'.repeat(config.security.generatedPasswordLength));
+                assert.strictEqual(calls, 2);
+            } finally {
+                crypto.randomBytes = randomBytes;
+            }
+        });
+    });
+});
@@ -0,0 +1,102 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const RedisAdapter = require('../../app/realtime/RedisAdapter');
+const RedisPubSub = require('../../app/redis/RedisPubSub');
+
+/**
+ * Create a namespace with fake sockets, that record the packets they receive.
+ *
+ * @param {string} name Namespace name.
+ * @param {Array} socketIds IDs of the sockets.
+ * @return {Object} Namespace, with a received object containing the received packets for each socket.
+ */
+function createNamespace(name, socketIds) {
+    const nsp = {
+        name,
+        connected: {},
+        received: {}
+    };
+    socketIds.forEach(function(id) {
+        nsp.received[id] = [];
+        nsp.connected[id] = {
+            packet: (packets) => nsp.received[id].push(packets)
+        };
+    });
+    return nsp;
+}
+
+// Redis adapter module
+describe('realtime.RedisAdapter', function() {
+    // Local broadcasts
+    it('Broadcasts to local sockets in the given rooms', function() {
+        const nsp = createNamespace('/local', ['a', 'b']);
+        const adapter = new RedisAdapter(nsp);
+        adapter.add('a', 'user:1');
+        adapter.add('b', 'user:2');
+
+        adapter.broadcast({type: 2, data: ['default', {type: 1}]}, {rooms: ['user:1']});
+        assert.lengthOf(nsp.received.a, 1);
+        assert.lengthOf(nsp.received.b, 0);
+        RedisPubSub.unsubscribe('realtime:/local');
+    });
+
+    // Broadcasts of other workers
+    it('Delivers broadcasts published by other workers to local sockets', function() {
+        const nsp = createNamespace('/remote', ['a', 'b', 'c']);
+        const adapter = new RedisAdapter(nsp);
+        adapter.add('a', 'user:1');
+        adapter.add('b', 'user:1');
+        adapter.add('c', 'user:2');
+
+        RedisPubSub.receive('realtime:/remote', RedisPubSub.encode({
+            packet: {type: 2, data: ['default', {type: 1}]},
+            opts: {rooms: ['user:1'], except: ['b'], flags: {}}
+        }, 'other:1'));
+        assert.lengthOf(nsp.received.a, 1);
+        assert.lengthOf(nsp.received.b, 0);
+        assert.lengthOf(nsp.received.c, 0);
+        RedisPubSub.unsubscribe('realtime:/remote');
+    });
+
+    it('Ignores malformed broadcasts', function() {
+        const nsp = createNamespace('/malformed', ['a']);
+        const adapter = new RedisAdapter(nsp);
+        adapter.add('a', 'user:1');
+
+        adapter.onRemoteBroadcast(null);
+        adapter.onRemoteBroadcast({packet: {type: 2, data: []}});
+        assert.lengthOf(nsp.received.a, 0);
+        RedisPubSub.unsubscribe('realtime:/malformed');
+    });
+
+    // Binary packets
+    it('Detects binary packets', function() {
+        assert.isTrue(RedisAdapter.isBinaryPacket({type: 5, data: ['default', Buffer.alloc(2)]}));
+        assert.isFalse(RedisAdapter.isBinaryPacket({type: 2, data: ['default', {type: 1}]}));
+    });
+});
@@ -0,0 +1,109 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const RedisPubSub = require('../../app/redis/RedisPubSub');
+
+// Redis pub/sub module
+describe('redis.RedisPubSub', function() {
+    // Encoding messages
+    describe('encode', function() {
+        it('Encodes data and origin as JSON', function() {
+            const decoded = JSON.parse(RedisPubSub.encode({user: 'abc'}, 'host:1'));
+            assert.deepEqual(decoded, {origin: 'host:1', data: {user: 'abc'}});
+        });
+    });
+
+    // Decoding messages
+    describe('decode', function() {
+        it('Decodes encoded messages', function() {
+            assert.deepEqual(RedisPubSub.decode(RedisPubSub.encode([1, 2], 'host:1')), {origin: 'host:1', data: [1, 2]});
+        });
+
+        it('Returns null for malformed messages', function() {
+            assert.isNull(RedisPubSub.decode('{'));
+            assert.isNull(RedisPubSub.decode('"text"'));
+            assert.isNull(RedisPubSub.decode(JSON.stringify({data: 1})));
+        });
+    });
+
+    // Receiving messages
+    describe('receive', function() {
+        it('Passes messages of other workers to the listeners', function() {
+            var received = [];
+            RedisPubSub.subscribe('test:receive', (data, origin) => received.push([data, origin]));
+
+            assert.isTrue(RedisPubSub.receive('test:receive', RedisPubSub.encode({a: 1}, 'other:1')));
+            assert.deepEqual(received, [[{a: 1}, 'other:1']]);
+            RedisPubSub.unsubscribe('test:receive');
+        });
+
+        it('Ignores messages published by this process', function() {
+            var received = 0;
+            RedisPubSub.subscribe('test:origin', () => received++);
+
+            assert.isFalse(RedisPubSub.receive('test:origin', RedisPubSub.encode({a: 1}, RedisPubSub.getOrigin())));
+            assert.strictEqual(received, 0);
+            RedisPubSub.unsubscribe('test:origin');
+        });
+
+        it('Ignores channels without listeners and malformed messages', function() {
+            RedisPubSub.subscribe('test:ignore', () => assert.fail());
+
+            assert.isFalse(RedisPubSub.receive('test:other', RedisPubSub.encode({a: 1}, 'other:1')));
+            assert.isFalse(RedisPubSub.receive('test:ignore', 'not json'));
+            RedisPubSub.unsubscribe('test:ignore');
+        });
+
+        it('Keeps invoking listeners when one throws', function() {
+            var received = 0;
+            RedisPubSub.subscribe('test:throw', () => {
+                throw new Error('Listener failure');
+            });
+            RedisPubSub.subscribe('test:throw', () => received++);
+
+            // Hide the logged error
+            const consoleError = console.error;
+            console.error = function() {};
+            try {
+                RedisPubSub.receive('test:throw', RedisPubSub.encode(null, 'other:1'));
+            } finally {
+                console.error = consoleError;
+            }
+
+            assert.strictEqual(received, 1);
+            RedisPubSub.unsubscribe('test:throw');
+        });
+    });
+
+    // Publishing messages
+    describe('publish', function() {
+        it('Doesn\'t publish when not connected', function() {
+            assert.isFalse(RedisPubSub.isConnected());
+            assert.isFalse(RedisPubSub.publish('test:publish', {a: 1}));
+        });
+    });
+});
@@ -0,0 +1,230 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const beforeEach = mocha.beforeEach;
+const afterEach = mocha.afterEach;
+const assert = require('chai').assert;
+
+const mongo = require('mongodb');
+const ObjectId = mongo.ObjectId;
+
+const Core = require('../../../../../Core');
+const LayoutRenderer = require('../../../../../app/layout/LayoutRenderer');
+const ApprovalState = require('../../../../../app/model/submission/ApprovalState');
+const SubmissionRevision = require('../../../../../app/model/submission/SubmissionRevision');
+const pageSubmissionCreate = require('../../../../../app/route/game/point/submission/create');
+
+/**
+ * Hexadecimal ID of the current user, and of a user in the same team.
+ *
+ * @type {string}
+ */
+const USER_ID = '0000000000000000000000b1';
+const TEAM_MATE_ID = '0000000000000000000000b2';
+
+/**
+ * Create an in-memory submission, with the functions used by the submission create route.
+ *
+ * @param {string} id Hexadecimal submission ID.
+ * @param {string} [owner] Hexadecimal ID of the user that made the submission, defaults to the current user.
+ *
+ * @return {Object} Submission.
+ */
+function createSubmission(id, owner) {
+    const fields = {
+        approve_state: ApprovalState.PENDING,
+        answer_text: 'Eerste antwoord',
+        answer_file: null,
+        feedback: null,
+        awarded_points: null,
+        revisions: []
+    };
+
+    return {
+        fields,
+        owner: owner || USER_ID,
+        getIdHex: () => id,
+        getApprovalState: (callback) => callback(null, fields.approve_state),
+        getAttemptCount: (callback) => callback(null, SubmissionRevision.getAttemptCount(fields.revisions)),
+        addRevision: function(callback) {
+            fields.revisions.push(SubmissionRevision.create(fields.answer_text, fields.answer_file, fields.approve_state,
+                fields.feedback, fields.awarded_points, new Date()));
+            callback(null);
+        },
+        setFields: function(values, callback) {
+            Object.keys(values).forEach((key) => fields[key] = values[key]);
+            callback(null);
+        }
+    };
+}
+
+describe('route.game.point.submission.create', function() {
+    const game = {
+        getIdHex: () => '0000000000000000000000aa'
+    };
+    const user = {
+        getIdHex: () => USER_ID
+    };
+    const assignment = {
+        isRetry: (callback) => callback(null, true),
+        getMaxAttempts: (callback) => callback(null, 2)
+    };
+
+    var submissions;
+    var rendered;
+    var originalManager;
+    var originalGameManager;
+    var originalUserManager;
+    var originalRenderAndShow;
+
+    beforeEach(function() {
+        // Serve the in-memory submissions, and record the rendered pages
+        submissions = [];
+        rendered = [];
+        originalManager = Core.model.submissionModelManager;
+        originalGameManager = Core.gameManager;
+        originalUserManager = Core.model.userModelManager;
+        originalRenderAndShow = LayoutRenderer.renderAndShow;
+        Core.model.submissionModelManager = {
+            getUsersSubmissions: (users, assignment, callback) => callback(null, submissions.filter((submission) =>
+                users.some((user) => user.getIdHex() === submission.owner)))
+        };
+        Core.model.userModelManager = {
+            _instanceManager: {
+                create: (id) => ({
+                    getIdHex: () => id.toString()
+                })
+            }
+        };
+        Core.gameManager = {
+            getGame: (game, callback) => callback(null, {
+                getTeamUserIds: () => [USER_ID, TEAM_MATE_ID].map((id) => new ObjectId(id))
+            })
+        };
+        LayoutRenderer.renderAndShow = function(req, res, next, pugName, pageTitle, options) {
+            rendered.push(options);
+        };
+    });
+
+    afterEach(function() {
+        Core.model.submissionModelManager = originalManager;
+        Core.gameManager = originalGameManager;
+        Core.model.userModelManager = originalUserManager;
+        LayoutRenderer.renderAndShow = originalRenderAndShow;
+    });
+
+    /**
+     * Check whether the user may submit an answer.
+     *
+     * @param {function} callback Called with whether the request was processed, and the submission to retry.
+     */
+    function checkIfSubmitted(callback) {
+        const next = (err) => assert.fail(err);
+        pageSubmissionCreate.checkIfSubmitted(game, user, assignment, null, null, next, function(err, complete, retrySubmission) {
+            assert.isNull(err);
+            callback(complete, retrySubmission);
+        });
+    }
+
+    it('Allow the first attempt', function(done) {
+        checkIfSubmitted(function(complete, retrySubmission) {
+            assert.isFalse(complete);
+            assert.isNull(retrySubmission);
+            done();
+        });
+    });
+
+    it('Pending submission of a team mate', function(done) {
+        submissions.push(createSubmission('000000000000000000000001', TEAM_MATE_ID));
+
+        checkIfSubmitted(function(complete) {
+            assert.isTrue(complete);
+            assert.lengthOf(rendered, 1);
+            done();
+        });
+    });
+
+    it('Ignore submissions of other users', function(done) {
+        submissions.push(createSubmission('000000000000000000000001', '0000000000000000000000c1'));
+
+        checkIfSubmitted(function(complete) {
+            assert.isFalse(complete);
+            done();
+        });
+    });
+
+    it('Reject, retry, limit reached', function(done) {
+        // The first attempt is rejected
+        const submission = createSubmission('000000000000000000000001');
+        submission.fields.approve_state = ApprovalState.REJECTED;
+        submissions.push(submission);
+
+        // The retry is stored on the rejected submission
+        checkIfSubmitted(function(complete, retrySubmission) {
+            assert.isFalse(complete);
+            assert.strictEqual(retrySubmission, submission);
+
+            pageSubmissionCreate.retrySubmission(retrySubmission, 'Tweede antwoord', null, null, {}, function(err, result) {
+                assert.isNull(err);
+                assert.strictEqual(result, submission);
+                assert.strictEqual(submission.fields.answer_text, 'Tweede antwoord');
+                assert.strictEqual(submission.fields.approve_state, ApprovalState.PENDING);
+                assert.lengthOf(submission.fields.revisions, 1);
+                assert.strictEqual(submission.fields.revisions[0].approve_state, ApprovalState.REJECTED);
+
+                // The pending retry blocks new answers
+                checkIfSubmitted(function(complete) {
+                    assert.isTrue(complete);
+
+                    // The retry is rejected as well, which reaches the maximum of two attempts
+                    submission.fields.approve_state = ApprovalState.REJECTED;
+                    rendered = [];
+                    checkIfSubmitted(function(complete, retrySubmission) {
+                        assert.isTrue(complete);
+                        assert.isUndefined(retrySubmission);
+                        assert.lengthOf(rendered, 1);
+                        assert.include(rendered[0].message, 'maximum aantal pogingen');
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('Count the attempts of all submissions', function(done) {
+        // Two rejected submissions, created before retries were stored as revisions
+        [1, 2].forEach(function(i) {
+            const submission = createSubmission('00000000000000000000000' + i);
+            submission.fields.approve_state = ApprovalState.REJECTED;
+            submissions.push(submission);
+        });
+
+        checkIfSubmitted(function(complete) {
+            assert.isTrue(complete);
+            assert.include(rendered[0].message, 'maximum aantal pogingen');
+            done();
+        });
+    });
+});
@@ -0,0 +1,126 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const before = mocha.before;
+const after = mocha.after;
+const assert = require('chai').assert;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileStorage = require('../../app/storage/FileStorage');
+const LocalFileStorage = require('../../app/storage/LocalFileStorage');
+const S3FileStorage = require('../../app/storage/S3FileStorage');
+
+// File storage module
+describe('storage.FileStorage', function() {
+    // create function
+    describe('create', function() {
+        // Storage types
+        it('Storage types', function () {
+            assert.instanceOf(FileStorage.create({type: 'local'}, os.tmpdir()), LocalFileStorage);
+            assert.instanceOf(FileStorage.create({
+                type: 's3',
+                s3: {endpoint: 'http://127.0.0.1:9000', region: 'us-east-1', bucket: 'maris', accessKey: 'a', secretKey: 'b'}
+            }, os.tmpdir()), S3FileStorage);
+            assert.throws(() => FileStorage.create({type: 'ftp'}, os.tmpdir()));
+        });
+    });
+
+    // generateName function
+    describe('generateName', function() {
+        // Generated names
+        it('Generated names', function () {
+            assert.match(FileStorage.generateName('Foto.JPG'), /^[A-Za-z0-9]{64}\.JPG$/);
+            assert.match(FileStorage.generateName('../../evil.p/hp'), /^[A-Za-z0-9]{64}\.php$/);
+            assert.match(FileStorage.generateName('zonder-extensie'), /^[A-Za-z0-9]{64}$/);
+            assert.notStrictEqual(FileStorage.generateName('a.png'), FileStorage.generateName('a.png'));
+        });
+    });
+});
+
+// Local file storage module
+describe('storage.LocalFileStorage', function() {
+    // Create a temporary directory to store files in
+    var directory;
+    var storage;
+    before(function() {
+        directory = path.join(os.tmpdir(), 'maris-storage-' + process.pid);
+        fs.mkdirSync(directory);
+        storage = new LocalFileStorage(directory);
+    });
+
+    // Remove the temporary directory
+    after(function() {
+        fs.readdirSync(directory).forEach((name) => fs.unlinkSync(path.join(directory, name)));
+        fs.rmdirSync(directory);
+    });
+
+    // Storing files
+    it('Write, read and remove', function (done) {
+        storage.write('file.txt', Buffer.from('Antwoord'), function(err) {
+            assert.isNull(err);
+
+            storage.read('file.txt', function(err, data) {
+                assert.isNull(err);
+                assert.strictEqual(data.toString(), 'Antwoord');
+
+                storage.remove('file.txt', function(err) {
+                    assert.isNull(err);
+                    assert.isFalse(fs.existsSync(path.join(directory, 'file.txt')));
+                    done();
+                });
+            });
+        });
+    });
+
+    // Streaming files
+    it('Read stream', function (done) {
+        storage.write('stream.txt', Buffer.from('Stroom'), function(err) {
+            assert.isNull(err);
+
+            storage.createReadStream('stream.txt', function(err, stream, size) {
+                assert.isNull(err);
+                assert.strictEqual(size, 6);
+
+                var chunks = [];
+                stream.on('data', (chunk) => chunks.push(chunk));
+                stream.on('end', function() {
+                    assert.strictEqual(Buffer.concat(chunks).toString(), 'Stroom');
+                    done();
+                });
+            });
+        });
+    });
+
+    // Missing files and paths outside the directory
+    it('Missing files', function (done) {
+        storage.createReadStream('../' + path.basename(directory) + '/missing.txt', function(err) {
+            assert.strictEqual(err.code, 'ENOENT');
+            done();
+        });
+    });
+});
@@ -0,0 +1,170 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const before = mocha.before;
+const after = mocha.after;
+const assert = require('chai').assert;
+
+const http = require('http');
+
+const S3FileStorage = require('../../app/storage/S3FileStorage');
+const S3Signature = require('../../app/storage/S3Signature');
+
+// Storage credentials
+const CREDENTIALS = {
+    accessKey: 'minio',
+    secretKey: 'minio-secret',
+    region: 'us-east-1'
+};
+
+/**
+ * Create a minimal stand-in for an S3 compatible object storage server such as MinIO.
+ * Objects are kept in memory, and requests with an invalid signature are rejected.
+ *
+ * @return {http.Server} Server.
+ */
+function createObjectServer() {
+    const objects = {};
+    return http.createServer(function(req, res) {
+        // Collect the body
+        var chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', function() {
+            const body = Buffer.concat(chunks);
+
+            // Verify the payload hash and the signature
+            const signedHeaders = {
+                host: req.headers.host,
+                'x-amz-date': req.headers['x-amz-date'],
+                'x-amz-content-sha256': req.headers['x-amz-content-sha256']
+            };
+            if(req.headers['content-length'] !== undefined && req.method === 'PUT')
+                signedHeaders['content-length'] = req.headers['content-length'];
+            if(S3Signature.hash(body) !== req.headers['x-amz-content-sha256'] ||
+                S3Signature.sign(req.method, req.url, signedHeaders, CREDENTIALS) !== req.headers.authorization) {
+                res.writeHead(403);
+                res.end('SignatureDoesNotMatch');
+                return;
+            }
+
+            // Handle the request
+            if(req.method === 'PUT') {
+                objects[req.url] = body;
+                res.writeHead(200);
+                res.end();
+            } else if(!objects.hasOwnProperty(req.url)) {
+                res.writeHead(404);
+                res.end('NoSuchKey');
+            } else if(req.method === 'GET') {
+                res.writeHead(200, {'Content-Length': objects[req.url].length});
+                res.end(objects[req.url]);
+            } else if(req.method === 'DELETE') {
+                delete objects[req.url];
+                res.writeHead(204);
+                res.end();
+            }
+        });
+    });
+}
+
+// S3 file storage module
+describe('storage.S3FileStorage', function() {
+    // Start the object storage stand-in
+    var server;
+    var storage;
+    before(function(done) {
+        server = createObjectServer();
+        server.listen(0, '127.0.0.1', function() {
+            storage = new S3FileStorage({
+                endpoint: 'http://127.0.0.1:' + server.address().port,
+                region: CREDENTIALS.region,
+                bucket: 'maris-uploads',
+                accessKey: CREDENTIALS.accessKey,
+                secretKey: CREDENTIALS.secretKey
+            });
+            done();
+        });
+    });
+
+    // Stop the server
+    after(function(done) {
+        server.close(done);
+    });
+
+    // Storing objects
+    it('Write, read and remove', function (done) {
+        storage.write('file.txt', Buffer.from('Antwoord'), function(err) {
+            assert.isNull(err);
+
+            storage.read('file.txt', function(err, data) {
+                assert.isNull(err);
+                assert.strictEqual(data.toString(), 'Antwoord');
+
+                storage.remove('file.txt', function(err) {
+                    assert.isNull(err);
+
+                    storage.read('file.txt', function(err) {
+                        assert.strictEqual(err.code, 'ENOENT');
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    // Streaming objects
+    it('Read stream', function (done) {
+        storage.write('stream.txt', Buffer.from('Stroom'), function(err) {
+            assert.isNull(err);
+
+            storage.createReadStream('stream.txt', function(err, stream, size) {
+                assert.isNull(err);
+                assert.strictEqual(size, 6);
+
+                var chunks = [];
+                stream.on('data', (chunk) => chunks.push(chunk));
+                stream.on('end', function() {
+                    assert.strictEqual(Buffer.concat(chunks).toString(), 'Stroom');
+                    done();
+                });
+            });
+        });
+    });
+
+    // Invalid credentials
+    it('Invalid credentials', function (done) {
+        const invalidStorage = new S3FileStorage({
+            endpoint: 'http://127.0.0.1:' + server.address().port,
+            region: CREDENTIALS.region,
+            bucket: 'maris-uploads',
+            accessKey: CREDENTIALS.accessKey,
+            secretKey: 'wrong'
+        });
+        invalidStorage.write('file.txt', Buffer.from('Antwoord'), function(err) {
+            assert.strictEqual(err.status, 403);
+            done();
+        });
+    });
+});
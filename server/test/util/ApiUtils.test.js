@@ -0,0 +1,115 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const ApiUtils = require('../../app/util/ApiUtils');
+
+// API utilities module
+describe('util.ApiUtils', function() {
+    // createError function
+    describe('createError', function() {
+        // Error with status
+        it('Error with status', function () {
+            const err = ApiUtils.createError('Not Found', 404);
+            assert.instanceOf(err, Error);
+            assert.equal(err.message, 'Not Found');
+            assert.equal(err.status, 404);
+        });
+
+        // Error without status
+        it('Error without status', function () {
+            assert.equal(ApiUtils.createError('Failure').status, 500);
+        });
+    });
+
+    // parseBoolean function
+    describe('parseBoolean', function() {
+        // Boolean values
+        it('Boolean values', function () {
+            assert.isTrue(ApiUtils.parseBoolean(true));
+            assert.isFalse(ApiUtils.parseBoolean(false));
+        });
+
+        // Boolean strings
+        it('Boolean strings', function () {
+            assert.isTrue(ApiUtils.parseBoolean('true'));
+            assert.isFalse(ApiUtils.parseBoolean('false'));
+        });
+
+        // Invalid values
+        it('Invalid values', function () {
+            assert.isUndefined(ApiUtils.parseBoolean(undefined));
+            assert.isUndefined(ApiUtils.parseBoolean('yes'));
+            assert.isUndefined(ApiUtils.parseBoolean(1));
+        });
+    });
+
+    // fetchProperties function
+    describe('fetchProperties', function() {
+        // Fetch values
+        it('Fetch values', function (done) {
+            ApiUtils.fetchProperties({
+                a: (callback) => callback(null, 1),
+                b: (callback) => setImmediate(() => callback(null, 'b'))
+            }, function(err, result) {
+                assert.isNull(err);
+                assert.deepEqual(result, {a: 1, b: 'b'});
+                done();
+            });
+        });
+
+        // Pass errors along
+        it('Pass errors along', function (done) {
+            ApiUtils.fetchProperties({
+                a: (callback) => callback(new Error('Failure'))
+            }, function(err) {
+                assert.instanceOf(err, Error);
+                done();
+            });
+        });
+    });
+
+    // serializeAll function
+    describe('serializeAll', function() {
+        // Preserve order
+        it('Preserve order', function (done) {
+            ApiUtils.serializeAll([3, 1, 2], (value, callback) => setTimeout(() => callback(null, value * 2), value), function(err, result) {
+                assert.isNull(err);
+                assert.deepEqual(result, [6, 2, 4]);
+                done();
+            });
+        });
+
+        // Empty list
+        it('Empty list', function (done) {
+            ApiUtils.serializeAll([], (value, callback) => callback(null, value), function(err, result) {
+                assert.isNull(err);
+                assert.deepEqual(result, []);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/******************************************************************************
+ * Copyright (c) Maris Game 2017. All rights reserved.                        *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const JobQueue = require('../../app/util/JobQueue');
+
+// Job queue module
+describe('util.JobQueue', function() {
+    // Processing jobs
+    it('Processes jobs in order', function(done) {
+        var processed = [];
+        var queue = new JobQueue(function(job, callback) {
+            processed.push(job);
+            setImmediate(callback);
+        });
+
+        // Push some jobs, they must not be processed synchronously
+        queue.push(1);
+        queue.push(2);
+        queue.push(3);
+        assert.isFalse(queue.isIdle());
+        assert.strictEqual(queue.getLength(), 3);
+
+        queue.onIdle(function() {
+            assert.deepEqual(processed, [1, 2, 3]);
+            assert.isTrue(queue.isIdle());
+            done();
+        });
+    });
+
+    // Concurrency limit
+    it('Respects the concurrency', function(done) {
+        var running = 0;
+        var maxRunning = 0;
+        var queue = new JobQueue(function(job, callback) {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            setTimeout(function() {
+                running--;
+                callback();
+            }, 5);
+        }, {concurrency: 2});
+
+        for(var i = 0; i < 5; i++)
+            queue.push(i);
+
+        queue.onIdle(function() {
+            assert.strictEqual(maxRunning, 2);
+            done();
+        });
+    });
+
+    // Retrying failed jobs
+    it('Retries failed jobs', function(done) {
+        var attempts = 0;
+        var queue = new JobQueue(function(job, callback) {
+            attempts++;
+            callback(attempts < 3 ? new Error('Failed') : null);
+        }, {attempts: 3});
+
+        queue.push('job', function(err) {
+            assert.isNull(err);
+            assert.strictEqual(attempts, 3);
+            done();
+        });
+    });
+
+    // Giving up on failing jobs
+    it('Gives up after the maximum attempts', function(done) {
+        var attempts = 0;
+        var queue = new JobQueue(function(job, callback) {
+            attempts++;
+            throw new Error('Failed');
+        }, {attempts: 2});
+
+        queue.push('job', function(err) {
+            assert.instanceOf(err, Error);
+            assert.strictEqual(attempts, 2);
+            assert.isTrue(queue.isIdle());
+            done();
+        });
+    });
+
+    // Idle callback
+    it('Calls idle callbacks immediately when idle', function() {
+        var called = false;
+        new JobQueue(() => {}).onIdle(() => called = true);
+        assert.isTrue(called);
+    });
+});
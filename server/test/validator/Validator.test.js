@@ -92,4 +92,86 @@ describe('validator.Validator', function() {
             assert.isFalse(Validator.isValidMail('a@b@c.com'));
         });
     });
+
+    // isValidDateTime function
+    describe('isValidDateTime', function() {
+        // Valid date and time
+        it('Valid date and time', function() {
+            assert.isTrue(Validator.isValidDateTime('2017-06-01 09:30'));
+            assert.isTrue(Validator.isValidDateTime('2017-06-01T09:30'));
+            assert.isTrue(Validator.isValidDateTime(' 2016-02-29 23:59 '));
+        });
+
+        // Invalid format
+        it('Invalid format', function() {
+            assert.isFalse(Validator.isValidDateTime(''));
+            assert.isFalse(Validator.isValidDateTime('01-06-2017 09:30'));
+            assert.isFalse(Validator.isValidDateTime('2017-06-01'));
+            assert.isFalse(Validator.isValidDateTime(undefined));
+        });
+
+        // Nonexistent date
+        it('Nonexistent date', function() {
+            assert.isFalse(Validator.isValidDateTime('2017-02-29 12:00'));
+            assert.isFalse(Validator.isValidDateTime('2017-06-01 24:00'));
+            assert.isFalse(Validator.isValidDateTime('2017-13-01 12:00'));
+        });
+    });
+
+    // parseDateTime and formatDateTime functions
+    describe('formatDateTime', function() {
+        // Round trip
+        it('Round trip', function() {
+            const date = Validator.parseDateTime('2017-06-01 09:30');
+            assert.strictEqual(date.getHours(), 9);
+            assert.strictEqual(date.getMinutes(), 30);
+            assert.strictEqual(Validator.formatDateTime(date), '2017-06-01T09:30');
+        });
+    });
+
+    // isValidTeamColor function
+    describe('isValidTeamColor', function() {
+        // Valid color
+        it('Valid color', function() {
+            assert.isTrue(Validator.isValidTeamColor('#ff0000'));
+            assert.isTrue(Validator.isValidTeamColor(' #00AA7f '));
+        });
+
+        // Invalid color
+        it('Invalid color', function() {
+            assert.isFalse(Validator.isValidTeamColor('ff0000'));
+            assert.isFalse(Validator.isValidTeamColor('#f00'));
+            assert.isFalse(Validator.isValidTeamColor('#gg0000'));
+            assert.isFalse(Validator.isValidTeamColor(undefined));
+        });
+    });
+
+    // formatSubmissionFeedback function
+    describe('formatSubmissionFeedback', function() {
+        // Trimmed feedback
+        it('Trimmed feedback', function() {
+            assert.strictEqual(Validator.formatSubmissionFeedback('  Goed gedaan! '), 'Goed gedaan!');
+        });
+
+        // Empty feedback
+        it('Empty feedback', function() {
+            assert.isNull(Validator.formatSubmissionFeedback(''));
+            assert.isNull(Validator.formatSubmissionFeedback(' \n '));
+        });
+    });
+
+    // isValidSubmissionFeedback function
+    describe('isValidSubmissionFeedback', function() {
+        // Valid feedback
+        it('Valid feedback', function() {
+            assert.isTrue(Validator.isValidSubmissionFeedback('Goed gedaan!'));
+            assert.isTrue(Validator.isValidSubmissionFeedback(''));
+        });
+
+        // Invalid feedback
+        it('Invalid feedback', function() {
+            assert.isFalse(Validator.isValidSubmissionFeedback('a'.repeat(5000)));
+            assert.isFalse(Validator.isValidSubmissionFeedback(null));
+        });
+    });
 });